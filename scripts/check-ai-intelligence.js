@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+// NAVA OPS - AI Intelligence Check
+// Runs forecasting, anomaly detection, k-means clustering, health scoring
+// and the recommendation rules over fixed synthetic datasets and compares
+// the results with figures worked out by hand; no network or database.
+// Every case builds its own dataset, so one failure does not hide another.
+//
+//   npm run ai:check
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addDays, round,
+  generateRevenueForecast, fitForecastModel, toSeries, FORECAST_METHODS,
+  detectAnomalies, detectAllAnomalies, ANOMALY_METHODS, ANOMALY_SEVERITY,
+  kMeans, clusterCategories,
+  calculateBranchHealthScore, calculateMultipleBranchScores,
+  generateAllRecommendations, getTopRecommendations
+} from '../src/lib/aiIntelligence/index.js';
+
+// Daily rows from a Sunday, one per value
+const START = '2025-01-05';
+const daily = (values, field = 'revenue') => values.map((value, index) => ({ date: addDays(START, index), [field]: value }));
+const range = (length, at) => Array.from({ length }, (_, index) => at(index));
+
+describe('forecasting', () => {
+  // A straight line is continued exactly, with no band
+  const line = () => daily(range(28, day => 1000 + 10 * day));
+  const lineForecast = () => generateRevenueForecast(line(), { days: 30 });
+
+  test('method of a straight line', () => {
+    assert.equal(lineForecast().method, FORECAST_METHODS.LINEAR);
+  });
+  test('fit of a straight line', () => {
+    assert.equal(lineForecast().rSquared, 1);
+  });
+  test('first forecast day', () => {
+    const [first] = lineForecast().forecast;
+    assert.deepEqual([first.date, first.value, first.lowerBound, first.upperBound], ['2025-02-02', 1280, 1280, 1280]);
+  });
+  test('confidence without residuals', () => {
+    assert.equal(lineForecast().forecast[0].confidence, 99);
+  });
+  test('30-day total', () => {
+    assert.equal(lineForecast().summary.totalProjected, 42750);
+  });
+  test('average against history', () => {
+    const { summary } = lineForecast();
+    assert.deepEqual([summary.averageDaily, summary.historicalAverage], [1425, 1135]);
+  });
+  test('trend', () => {
+    assert.equal(lineForecast().summary.trend, 'increasing');
+  });
+  test('same input, same forecast', () => {
+    assert.deepEqual(lineForecast(), lineForecast());
+  });
+
+  // A weekly pattern is picked up and carried forward
+  const pattern = [0.7, 0.8, 0.9, 1, 1.1, 1.2, 1.3];
+  const weekly = () => daily(range(28, day => 1000 * pattern[day % 7]));
+  const weeklyIndices = () => Object.entries(generateRevenueForecast(weekly(), { days: 7 }).seasonality || {});
+
+  test('method of a weekly pattern', () => {
+    assert.equal(generateRevenueForecast(weekly(), { days: 7 }).method, FORECAST_METHODS.SEASONAL);
+  });
+  test('quietest weekday', () => {
+    assert.equal(weeklyIndices().sort((a, b) => a[1] - b[1])[0]?.[0], 'sunday');
+  });
+  test('busiest weekday', () => {
+    assert.equal(weeklyIndices().sort((a, b) => b[1] - a[1])[0]?.[0], 'saturday');
+  });
+  test('indices follow the pattern', () => {
+    const indices = weeklyIndices();
+    assert.equal(indices.length, 7);
+    indices.forEach(([weekday, index], day) => {
+      assert.ok(Math.abs(index - pattern[day]) < 0.05, `${weekday} index ${index}, expected about ${pattern[day]}`);
+    });
+  });
+  test('Saturday above Sunday', () => {
+    const byDay = Object.fromEntries(generateRevenueForecast(weekly(), { days: 7 }).forecast.map(point => [point.date, point.value]));
+    assert.ok(byDay['2025-02-08'] > byDay['2025-02-02'] * 1.5, `Saturday ${byDay['2025-02-08']}, Sunday ${byDay['2025-02-02']}`);
+  });
+  test('short history stays linear', () => {
+    assert.equal(fitForecastModel(toSeries(weekly().slice(0, 10))).method, FORECAST_METHODS.LINEAR);
+  });
+});
+
+describe('anomalies', () => {
+  // One spike and one drop in an otherwise steady series
+  const steady = () => range(20, day => [100, 104, 96][day % 3]);
+  const spiked = () => steady().map((value, day) => (day === 12 ? 160 : day === 5 ? 40 : value));
+  const flagged = (result) => result.anomalies.map(anomaly => [anomaly.index, anomaly.type, anomaly.severity]);
+  const spikeAndDrop = [[5, 'drop', ANOMALY_SEVERITY.CRITICAL], [12, 'spike', ANOMALY_SEVERITY.CRITICAL]];
+
+  test('z-score and IQR', () => {
+    assert.deepEqual(flagged(detectAnomalies(spiked())), spikeAndDrop);
+  });
+  test('z-score only', () => {
+    // Two outliers widen the spread for each other, so z-scores are checked on one
+    const single = steady().map((value, day) => (day === 12 ? 160 : value));
+    assert.deepEqual(flagged(detectAnomalies(single, { method: ANOMALY_METHODS.ZSCORE })), [[12, 'spike', ANOMALY_SEVERITY.CRITICAL]]);
+  });
+  test('IQR only', () => {
+    assert.deepEqual(flagged(detectAnomalies(spiked(), { method: ANOMALY_METHODS.IQR })), spikeAndDrop);
+  });
+  test('steady series', () => {
+    assert.deepEqual(detectAnomalies(steady()).anomalies, []);
+  });
+  test('constant series', () => {
+    assert.deepEqual(detectAnomalies(range(10, () => 50)).anomalies, []);
+  });
+  test('short series', () => {
+    assert.equal(detectAnomalies([1, 2, 900, 3]).insufficientData, true);
+  });
+  test('dip against a trend', () => {
+    // Steady growth is not an anomaly, a dip against it is
+    const growing = range(30, day => 1000 + 50 * day).map((value, day) => (day === 20 ? value * 0.5 : value));
+    assert.deepEqual(flagged(detectAnomalies(growing)), [[20, 'drop', ANOMALY_SEVERITY.CRITICAL]]);
+  });
+
+  const all = () => detectAllAnomalies({ revenue: daily(spiked()), orders: daily(steady(), 'orders') });
+
+  test('summary', () => {
+    assert.deepEqual(all().summary, { total: 2, critical: 2, warning: 0, byMetric: { revenue: 2, orders: 0, costs: 0 } });
+  });
+  test('most recent first', () => {
+    assert.deepEqual(all().anomalies.map(anomaly => anomaly.date), ['2025-01-17', '2025-01-10']);
+  });
+  test('description', () => {
+    assert.match(all().anomalies[0].description, /^Revenue spike on 2025-01-17: 160 against an expected/);
+  });
+});
+
+describe('clustering', () => {
+  // Two well separated groups
+  const points = [[0, 0], [0, 1], [1, 0], [10, 10], [10, 11], [11, 10]];
+
+  test('assignments', () => {
+    assert.deepEqual(kMeans(points, 2).assignments, [1, 1, 1, 0, 0, 0]);
+  });
+  test('centroids', () => {
+    assert.deepEqual(kMeans(points, 2).centroids.map(centroid => centroid.map(value => round(value, 4))), [[10.3333, 10.3333], [0.3333, 0.3333]]);
+  });
+  test('inertia', () => {
+    assert.equal(round(kMeans(points, 2).inertia, 4), 2.6667);
+  });
+  test('k capped at the points', () => {
+    assert.equal(kMeans(points.slice(0, 2), 5).centroids.length, 2);
+  });
+  test('same input, same clusters', () => {
+    assert.deepEqual(kMeans(points, 2), kMeans(points, 2));
+  });
+
+  // Categories in three tiers
+  const categories = () => [
+    { id: 'grills', revenue: 10000, orders: 500 },
+    { id: 'mains', revenue: 9600, orders: 480 },
+    { id: 'salads', revenue: 5000, orders: 250 },
+    { id: 'sides', revenue: 5200, orders: 260 },
+    { id: 'soups', revenue: 800, orders: 40 },
+    { id: 'kids', revenue: 700, orders: 35 }
+  ];
+
+  test('category tiers', () => {
+    assert.deepEqual(clusterCategories(categories()).clusters.map(cluster => [cluster.label, cluster.members]), [
+      ['Top Performers', ['grills', 'mains']],
+      ['Steady Sellers', ['salads', 'sides']],
+      ['Underperformers', ['soups', 'kids']]
+    ]);
+  });
+  test('tier averages', () => {
+    assert.deepEqual(clusterCategories(categories()).clusters[0].averages, { revenue: 9800, orders: 490, averageTicket: 20 });
+  });
+});
+
+describe('health', () => {
+  // A flat branch at the cost benchmark, then against a smaller peer
+  const branch = (id, revenue) => ({
+    id,
+    name: id,
+    performance: range(10, day => ({ date: addDays(START, day), revenue, orders: revenue / 20, costs: revenue * 0.3 }))
+  });
+  const single = () => calculateBranchHealthScore(branch('downtown', 1000));
+
+  test('component scores', () => {
+    // growth 0% scores 53, no volatility 100, a 30% cost ratio 80; no peers, so no volume
+    assert.deepEqual(Object.values(single().components).map(component => component.score), [53, 100, 80, null]);
+  });
+  test('score', () => {
+    const { score, grade, status } = single();
+    assert.deepEqual([score, grade, status], [75, 'C', 'good']);
+  });
+  test('strengths', () => {
+    assert.deepEqual(single().strengths, ['Revenue is steady day to day', 'Costs are well controlled']);
+  });
+  test('issues', () => {
+    assert.deepEqual(single().issues, []);
+  });
+
+  // Against the 7,500 peer average the large branch scores 100 on volume, the small one 27
+  const ranked = () => calculateMultipleBranchScores([branch('mall', 500), branch('downtown', 1000)]);
+
+  test('ranking', () => {
+    assert.deepEqual(ranked().map(score => [score.branchId, score.score, score.rank]), [['downtown', 80, 1], ['mall', 65, 2]]);
+  });
+  test('volume issue', () => {
+    assert.deepEqual(ranked()[1].issues, ['Revenue trails comparable branches']);
+  });
+});
+
+describe('recommendations', () => {
+  // Falling revenue at a 50% cost ratio with one dominant category
+  const declining = () => ({
+    performance: range(20, day => {
+      const revenue = 2000 - 40 * day;
+      return { date: addDays(START, day), revenue, orders: 100, costs: revenue * 0.5 };
+    }),
+    categories: [
+      { name: 'Grills', revenue: 6000 },
+      { name: 'Drinks', revenue: 2000 },
+      { name: 'Desserts', revenue: 2000 }
+    ]
+  });
+
+  test('rules that apply', () => {
+    assert.deepEqual(generateAllRecommendations(declining()).recommendations.map(item => [item.id, item.priority]), [
+      ['revenue_decline', 'critical'],
+      ['high_cost_ratio', 'critical'],
+      ['category_concentration', 'low']
+    ]);
+  });
+  test('decline description', () => {
+    assert.equal(generateAllRecommendations(declining()).recommendations[0].description, 'Revenue trended down 38% over the last 20 days.');
+  });
+  test('cost description', () => {
+    assert.equal(generateAllRecommendations(declining()).recommendations[1].description, 'Costs are 50% of revenue against a 30% benchmark.');
+  });
+  test('summary', () => {
+    assert.deepEqual(generateAllRecommendations(declining()).summary, { total: 3, critical: 2, high: 0, medium: 0, low: 1 });
+  });
+  test('top one', () => {
+    assert.deepEqual(getTopRecommendations(declining(), 1).summary, { total: 1, critical: 1, high: 0, medium: 0, low: 0, available: 3 });
+  });
+  test('healthy business', () => {
+    const healthy = { performance: range(20, day => ({ date: addDays(START, day), revenue: 1000, orders: 50, costs: 250 })) };
+    assert.deepEqual(generateAllRecommendations(healthy).recommendations, []);
+  });
+});
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// NAVA OPS - LLM Provider Check
+// Runs every AI provider against canned API responses (a stub fetch, no
+// network or keys) and checks the normalized text, tool calls, usage and
+// retry behaviour, plus the mock provider's determinism and the context
+// budget helpers (history split, tool result trimming, pricing).
+//
+//   npm run llm:check
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LLM_PROVIDERS, resolveLlmProvider, mockReply, mockToolCall, toOpenAIMessages, toAnthropicMessages,
+  estimateTokens, estimateMessageTokens, splitHistory, fitToolResult, inputTokenBudget, estimateCost, CONTEXT_BUDGET
+} from '../supabase/functions/_shared/llm/index.js';
+
+const MESSAGES = [
+  { role: 'system', content: 'You are an advisor.\n- Revenue: 12,000\n- Orders: 300' },
+  { role: 'assistant', content: 'Hello! How can I help?' },
+  { role: 'user', content: 'How did we do this week?' }
+];
+const REQUEST = { messages: MESSAGES, temperature: 0.7, maxTokens: 200 };
+
+const ENV = {
+  OPENAI_API_KEY: 'sk-test',
+  ANTHROPIC_API_KEY: 'sk-ant-test',
+  AZURE_OPENAI_API_KEY: 'azure-test',
+  AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com/',
+  AZURE_OPENAI_DEPLOYMENT: 'advisor',
+  LOCAL_LLM_URL: 'http://localhost:11434/v1'
+};
+
+const sse = (events) => events.map(event => (
+  typeof event === 'string' ? `data: ${event}\n\n` : `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+)).join('');
+
+const openaiStream = (withUsage) => sse([
+  JSON.stringify({ choices: [{ delta: { role: 'assistant', content: '' } }] }),
+  JSON.stringify({ choices: [{ delta: { content: 'Sales ' } }] }),
+  JSON.stringify({ choices: [{ delta: { content: 'grew.' }, finish_reason: 'stop' }] }),
+  ...(withUsage ? [JSON.stringify({ choices: [], usage: { prompt_tokens: 40, completion_tokens: 3 } })] : []),
+  '[DONE]'
+]);
+
+const anthropicStream = sse([
+  { type: 'message_start', message: { usage: { input_tokens: 38, output_tokens: 1 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Sales ' } },
+  { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'grew.' } },
+  { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+  { type: 'message_stop' }
+]);
+
+const FIXTURES = {
+  openai: {
+    complete: { choices: [{ message: { content: 'Sales grew.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 40, completion_tokens: 3 } },
+    stream: openaiStream(true),
+    usage: { inputTokens: 40, outputTokens: 3, totalTokens: 43, estimated: false }
+  },
+  azure: {
+    complete: { choices: [{ message: { content: 'Sales grew.' }, finish_reason: 'stop' }], usage: { prompt_tokens: 40, completion_tokens: 3 } },
+    stream: openaiStream(true),
+    usage: { inputTokens: 40, outputTokens: 3, totalTokens: 43, estimated: false }
+  },
+  local: {
+    complete: { choices: [{ message: { content: 'Sales grew.' }, finish_reason: 'stop' }] },
+    stream: openaiStream(false),
+    usage: null // estimated
+  },
+  anthropic: {
+    complete: { content: [{ type: 'text', text: 'Sales grew.' }], stop_reason: 'end_turn', usage: { input_tokens: 38, output_tokens: 4 } },
+    stream: anthropicStream,
+    usage: { inputTokens: 38, outputTokens: 4, totalTokens: 42, estimated: false }
+  }
+};
+
+// A tool round: the model asked for sales, got them and now answers
+const TOOLS = [{
+  name: 'get_sales',
+  description: 'Sales between two dates',
+  parameters: { type: 'object', properties: { start_date: { type: 'string' }, end_date: { type: 'string' } } }
+}];
+const TOOL_ARGS = { start_date: '2025-03-01', end_date: '2025-03-30' };
+const TOOL_MESSAGES = [
+  ...MESSAGES,
+  { role: 'assistant', content: 'Let me check.', toolCalls: [{ id: 'call_1', name: 'get_sales', arguments: TOOL_ARGS }] },
+  { role: 'tool', toolCallId: 'call_1', name: 'get_sales', content: '{"revenue":12000}' }
+];
+
+const TOOL_FIXTURES = {
+  openai: {
+    complete: { choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_sales', arguments: JSON.stringify(TOOL_ARGS) } }] }, finish_reason: 'tool_calls' }] },
+    stream: sse([
+      JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_sales', arguments: '' } }] } }] }),
+      JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"start_date":"2025-03-01",' } }] } }] }),
+      JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"end_date":"2025-03-30"}' } }] }, finish_reason: 'tool_calls' }] }),
+      '[DONE]'
+    ])
+  },
+  anthropic: {
+    complete: { content: [{ type: 'tool_use', id: 'call_1', name: 'get_sales', input: TOOL_ARGS }], stop_reason: 'tool_use', usage: { input_tokens: 50, output_tokens: 20 } },
+    stream: sse([
+      { type: 'message_start', message: { usage: { input_tokens: 50, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'call_1', name: 'get_sales', input: {} } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"start_date":"2025-03-01",' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"end_date":"2025-03-30"}' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+      { type: 'message_stop' }
+    ])
+  }
+};
+TOOL_FIXTURES.azure = TOOL_FIXTURES.openai;
+TOOL_FIXTURES.local = TOOL_FIXTURES.openai;
+
+const EXPECTED_TOOL_CALLS = [{ id: 'call_1', name: 'get_sales', arguments: TOOL_ARGS }];
+
+// A fetch that fails `failures` times with the given status, then answers
+function stubFetch(answer, { failures = 0, status = 429 } = {}) {
+  const calls = [];
+  const fetchStub = async (url, init) => {
+    calls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    if (calls.length <= failures) {
+      return new Response(JSON.stringify({ error: { message: 'Rate limited' } }), { status, headers: { 'retry-after': '0' } });
+    }
+    const body = JSON.parse(init.body).stream ? answer.stream : JSON.stringify(answer.complete);
+    return new Response(body, { status: 200 });
+  };
+  return { fetchStub, calls };
+}
+
+const collect = async (iterator) => {
+  const chunks = [];
+  for await (const chunk of iterator) chunks.push(chunk);
+  return chunks;
+};
+
+const env = (name) => ENV[name];
+const noRetryDelay = { sleep: async () => {} };
+
+describe('providers', () => {
+  for (const [id, fixture] of Object.entries(FIXTURES)) {
+    const resolved = () => {
+      const { provider, config } = resolveLlmProvider(id, env);
+      assert.ok(config, `${id} is not configured by the test environment`);
+      return { provider, config };
+    };
+
+    describe(id, () => {
+      test('complete', async () => {
+        const { provider, config } = resolved();
+        const { fetchStub } = stubFetch(fixture);
+        const result = await provider.complete({ ...config, fetch: fetchStub }, REQUEST);
+        assert.equal(result.content, 'Sales grew.');
+        if (fixture.usage) assert.deepEqual(result.usage, fixture.usage);
+        else assert.equal(result.usage.estimated, true);
+      });
+
+      test('stream after two 429s', async () => {
+        const { provider, config } = resolved();
+        const { fetchStub, calls } = stubFetch(fixture, { failures: 2 });
+        const chunks = await collect(provider.stream({ ...config, fetch: fetchStub, retry: noRetryDelay }, REQUEST));
+        assert.equal(chunks.filter(chunk => chunk.type === 'text').map(chunk => chunk.text).join(''), 'Sales grew.');
+        assert.deepEqual(chunks.slice(-2).map(chunk => chunk.type), ['usage', 'done']);
+        assert.equal(calls.length, 3);
+        if (fixture.usage) assert.deepEqual(chunks.at(-2).usage, fixture.usage);
+      });
+
+      test('400 is not retried', async () => {
+        const { provider, config } = resolved();
+        const { fetchStub, calls } = stubFetch(fixture, { failures: 1, status: 400 });
+        const error = await provider.complete({ ...config, fetch: fetchStub, retry: noRetryDelay }, REQUEST).then(() => null, e => e);
+        assert.deepEqual([error?.status, calls.length], [400, 1]);
+      });
+
+      test('config without credentials', () => {
+        assert.equal(resolveLlmProvider(id, () => undefined).config, null);
+      });
+    });
+  }
+});
+
+// Tool calls come back normalized, whole and streamed
+describe('tool calls', () => {
+  for (const [id, fixture] of Object.entries(TOOL_FIXTURES)) {
+    const toolRequest = { ...REQUEST, tools: TOOLS };
+
+    test(`${id} complete`, async () => {
+      const { provider, config } = resolveLlmProvider(id, env);
+      const { fetchStub, calls } = stubFetch(fixture);
+      const result = await provider.complete({ ...config, fetch: fetchStub }, toolRequest);
+      assert.deepEqual(result.toolCalls, EXPECTED_TOOL_CALLS);
+      assert.ok(calls[0].body.tools?.length, 'tools were not sent');
+    });
+
+    test(`${id} stream`, async () => {
+      const { provider, config } = resolveLlmProvider(id, env);
+      const { fetchStub } = stubFetch(fixture);
+      const chunks = await collect(provider.stream({ ...config, fetch: fetchStub }, toolRequest));
+      assert.deepEqual(chunks.filter(chunk => chunk.type === 'tool_call').map(chunk => chunk.toolCall), EXPECTED_TOOL_CALLS);
+    });
+  }
+});
+
+// Tool turns are sent in each API's own shape
+describe('message shapes', () => {
+  test('openai tool turns', () => {
+    const [call, result] = toOpenAIMessages(TOOL_MESSAGES).slice(-2);
+    assert.deepEqual(call.tool_calls[0].function, { name: 'get_sales', arguments: JSON.stringify(TOOL_ARGS) });
+    assert.deepEqual([result.role, result.tool_call_id], ['tool', 'call_1']);
+  });
+
+  test('anthropic tool turns', () => {
+    const [call, result] = toAnthropicMessages(TOOL_MESSAGES).messages.slice(-2);
+    assert.deepEqual(call.content.map(block => block.type), ['text', 'tool_use']);
+    assert.deepEqual([result.role, result.content[0].type], ['user', 'tool_result']);
+  });
+
+  // Anthropic gets the system prompt separately and starts with a user turn
+  test('anthropic system prompt', async () => {
+    const { provider, config } = resolveLlmProvider('anthropic', env);
+    const { fetchStub, calls } = stubFetch(FIXTURES.anthropic);
+    await provider.complete({ ...config, fetch: fetchStub }, REQUEST);
+    assert.deepEqual(calls[0].body.messages.map(message => message.role), ['user']);
+    assert.equal(calls[0].body.system, MESSAGES[0].content);
+  });
+});
+
+// The mock needs nothing and always answers the same way
+describe('mock', () => {
+  const mock = () => resolveLlmProvider('mock', () => undefined);
+
+  test('reply', async () => {
+    const { provider, config } = mock();
+    const first = await provider.complete(config, REQUEST);
+    assert.equal(first.content, mockReply(MESSAGES));
+    assert.equal((await provider.complete(config, REQUEST)).content, first.content);
+  });
+
+  test('streamed reply', async () => {
+    const { provider, config } = mock();
+    const chunks = await collect(provider.stream(config, REQUEST));
+    assert.equal(chunks.filter(chunk => chunk.type === 'text').map(chunk => chunk.text).join(''), mockReply(MESSAGES));
+  });
+
+  // With tools it looks something up once per question, then answers
+  test('tool call', async () => {
+    const { provider, config } = mock();
+    const lookup = await provider.complete(config, { ...REQUEST, tools: TOOLS });
+    assert.deepEqual(lookup.toolCalls.map(call => call.name), ['get_sales']);
+  });
+
+  test('answer after the tool result', async () => {
+    const { provider, config } = mock();
+    const answer = await provider.complete(config, { ...REQUEST, messages: TOOL_MESSAGES, tools: TOOLS });
+    assert.deepEqual(answer.toolCalls, []);
+    assert.ok(answer.content.includes('get_sales'), answer.content);
+  });
+
+  test('no tool call when told not to', () => {
+    assert.equal(mockToolCall(MESSAGES, TOOLS, 'none'), null);
+  });
+});
+
+describe('context', () => {
+  // Every provider says how big its context is and how it counts tokens
+  Object.values(LLM_PROVIDERS).forEach(provider => {
+    test(`${provider.id} context window`, () => {
+      assert.ok(provider.contextWindow > 0);
+      assert.ok(inputTokenBudget(provider, 1000) <= provider.contextWindow - 1000);
+    });
+  });
+
+  // Long histories keep the latest turns, starting with a question, and
+  // leave the rest for the summary; short ones are sent whole
+  const turns = () => Array.from({ length: 40 }, (_, index) => ({ role: index % 2 ? 'assistant' : 'user', content: 'x'.repeat(400) }));
+
+  test('split keeps every turn', () => {
+    const { recent, older } = splitHistory(turns());
+    assert.equal(older.length + recent.length, 40);
+  });
+  test('recent turns are the latest, from a question', () => {
+    const history = turns();
+    const { recent } = splitHistory(history);
+    assert.deepEqual(recent.at(-1), history.at(-1));
+    assert.equal(recent[0].role, 'user');
+  });
+  test('recent turns fit the budget', () => {
+    assert.ok(estimateMessageTokens(splitHistory(turns()).recent) <= CONTEXT_BUDGET.historyTokens);
+  });
+  test('short history is not split', () => {
+    assert.equal(splitHistory(turns().slice(0, 4)).older.length, 0);
+  });
+  test('last question and answer always kept', () => {
+    assert.equal(splitHistory(turns().slice(0, 2), { historyTokens: 10 }).recent.length, 2);
+  });
+
+  // Large tool results lose rows until they fit; dated series keep the latest
+  test('tool result trimmed to fit', () => {
+    const series = Array.from({ length: 400 }, (_, index) => ({ date: `2025-01-${index}`, sales: index }));
+    const fitted = JSON.parse(fitToolResult({ branch: 'Downtown', series }, 500));
+    assert.ok(estimateTokens(JSON.stringify(fitted)) <= 500);
+    assert.deepEqual([fitted.truncated, fitted.branch], [true, 'Downtown']);
+    assert.deepEqual(fitted.series.at(-1), series.at(-1));
+  });
+  test('small tool result untouched', () => {
+    assert.equal(fitToolResult({ total: 5 }), '{"total":5}');
+  });
+});
+
+// Cost comes from the longest matching price; unknown models have none
+describe('cost', () => {
+  test('openai', () => {
+    assert.equal(estimateCost({ inputTokens: 1e6, outputTokens: 1e6 }, LLM_PROVIDERS.openai, 'gpt-4o-mini-2024-07-18'), 0.75);
+  });
+  test('anthropic', () => {
+    assert.equal(estimateCost({ inputTokens: 1e6, outputTokens: 0 }, LLM_PROVIDERS.anthropic, 'claude-3-5-haiku-latest'), 0.8);
+  });
+  test('azure deployment', () => {
+    assert.equal(estimateCost({ inputTokens: 1, outputTokens: 1 }, LLM_PROVIDERS.azure, 'prod-chat'), null);
+  });
+  test('local', () => {
+    assert.equal(estimateCost({ inputTokens: 1e6, outputTokens: 1e6 }, LLM_PROVIDERS.local, 'llama3.1'), 0);
+  });
+});
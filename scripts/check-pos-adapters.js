@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// NAVA OPS - POS Adapter Check
+// Runs every POS adapter over its fixture payload and compares the result
+// with what the fixture expects; no network or database needed.
+//
+//   npm run pos:check
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { POS_ADAPTERS, generateMockPayload } from '../src/services/pos/index.js';
+import { POS_FIXTURES } from '../src/services/pos/fixtures.js';
+import { round2 } from '../src/services/pos/normalize.js';
+
+const sorted = (counts) => Object.fromEntries(Object.entries(counts).sort());
+
+Object.entries(POS_FIXTURES).forEach(([provider, { payload, expected }]) => {
+  const adapter = POS_ADAPTERS[provider];
+  const normalized = () => adapter.normalize(payload);
+
+  describe(adapter.name, () => {
+    test('orders', () => {
+      assert.equal(normalized().orders.length, expected.orders);
+    });
+    test('skipped', () => {
+      const { skipped } = normalized();
+      assert.equal(skipped.length, expected.skipped, skipped.map(entry => `${entry.external_id}: ${entry.reason}`).join('; '));
+    });
+    test('total', () => {
+      assert.equal(round2(normalized().orders.reduce((sum, order) => sum + order.total, 0)), expected.total);
+    });
+    test('statuses', () => {
+      const statuses = {};
+      normalized().orders.forEach(order => { statuses[order.status] = (statuses[order.status] || 0) + 1; });
+      assert.deepEqual(sorted(statuses), sorted(expected.statuses));
+    });
+    test('second run', () => {
+      assert.deepEqual(normalized(), normalized());
+    });
+  });
+});
+
+// Generated mock traffic must normalize cleanly and repeat for the same seed
+describe('Mock generator', () => {
+  const locations = [{ id: 'mock-loc-1', name: 'Downtown' }, { id: 'mock-loc-2', name: 'Airport' }];
+  const now = new Date('2024-04-10T12:00:00Z');
+  const generate = () => generateMockPayload({ locations, count: 200, now });
+
+  test('malformed generated orders', () => {
+    const { skipped } = POS_ADAPTERS.mock.normalize(generate());
+    assert.deepEqual(skipped.filter(entry => !entry.reason.startsWith('Order is')), []);
+  });
+  test('generated payload', () => {
+    assert.deepEqual(generate(), generate());
+  });
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// NAVA OPS - Report Schedule Runner
+// Runs due report schedules once and purges expired reports; call it from
+// cron (e.g. every 15 minutes) when the run-report-schedules Edge Function
+// is not deployed.
+//
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run reports:schedules
+
+import { createClient } from '@supabase/supabase-js';
+import { runDueSchedules, purgeExpiredReports } from '../supabase/functions/_shared/reportScheduler.js';
+
+const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!url || !serviceRoleKey) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(url, serviceRoleKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+try {
+  const limit = Number(process.argv[2]) || undefined;
+  const summary = await runDueSchedules(supabase, { limit });
+  console.log(`Report schedules: ${summary.processed} processed, ${summary.completed} completed, ${summary.failed} failed`);
+  const purged = await purgeExpiredReports(supabase);
+  console.log(`Expired reports purged: ${purged}`);
+  process.exit(summary.failed > 0 ? 1 : 0);
+} catch (error) {
+  console.error('Report schedule run failed', error);
+  process.exit(1);
+}
@@ -31,6 +31,9 @@ const TeamManagement = lazy(() => import('./pages/TeamManagement'));
 const FinancialReports = lazy(() => import('./pages/FinancialReports'));
 const FinancialIntelligence = lazy(() => import('./pages/FinancialIntelligence'));
 const MenuIntelligence = lazy(() => import('./pages/MenuIntelligence'));
+const CustomerInsights = lazy(() => import('./pages/CustomerInsights'));
+const InventoryManagement = lazy(() => import('./pages/InventoryManagement'));
+const DataImport = lazy(() => import('./pages/DataImport'));
 const Settings = lazy(() => import('./pages/Settings'));
 const NotificationsCenter = lazy(() => import('./pages/NotificationsCenter'));
 const ExecutiveHQ = lazy(() => import('./pages/ExecutiveHQ'));
@@ -261,6 +264,33 @@ export default function App() {
                     </RequireAuth>
                   } />
 
+                  {/* Customer Insights - Directory, RFM & Churn */}
+                  <Route path="/customers" element={
+                    <RequireAuth requiredPermissions={['reports:view']}>
+                      <Layout>
+                        <CustomerInsights />
+                      </Layout>
+                    </RequireAuth>
+                  } />
+
+                  {/* Inventory - Stock Ledger */}
+                  <Route path="/inventory" element={
+                    <RequireAuth requiredPermissions={['restaurants:view']}>
+                      <Layout>
+                        <InventoryManagement />
+                      </Layout>
+                    </RequireAuth>
+                  } />
+
+                  {/* Data Import - Historical Orders & Products */}
+                  <Route path="/data-import" element={
+                    <RequireAuth requiredPermissions={['restaurants:edit']}>
+                      <Layout>
+                        <DataImport />
+                      </Layout>
+                    </RequireAuth>
+                  } />
+
                   {/* AI Intelligence Hub - Smart Assistant */}
                   <Route path="/ai-hub" element={
                     <RequireAuth>
@@ -5,7 +5,11 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { useAIChat } from '../../contexts/AIChatContext';
-import { X, Send, Sparkles, Trash2, Loader2 } from 'lucide-react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { useSubscription } from '../../contexts/SubscriptionContext';
+import {
+  X, Send, Sparkles, Trash2, Loader2, History, Search, Pencil, Check, Plus, Pin, PinOff, MapPin, Database, AlertCircle, Gauge,
+} from 'lucide-react';
 
 // Quick suggestion templates - Business Advisor focused
 const QUICK_SUGGESTIONS = [
@@ -47,6 +51,222 @@ const QUICK_SUGGESTIONS = [
   },
 ];
 
+const formatDay = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+const formatCost = (cost) => {
+  if (cost === null) return null;
+  if (cost === 0) return 'no cost';
+  return cost < 0.01 ? '< $0.01' : `~$${cost.toFixed(2)}`;
+};
+
+/**
+ * The conversation's tokens, cost and requests, and the month's AI
+ * requests against the plan's allowance
+ */
+function UsageMeter() {
+  const { messages, conversationUsage } = useAIChat();
+  const { getUsage } = useSubscription();
+
+  const allowance = getUsage('aiRequests');
+  const showAllowance = allowance.limit > 0;
+  if (messages.length === 0 && !showAllowance) {
+    return null;
+  }
+
+  const percentage = Math.min(100, allowance.percentage || 0);
+  const barColor = !allowance.allowed ? 'bg-red-500' : percentage >= 80 ? 'bg-amber-500' : 'bg-indigo-500';
+  const cost = formatCost(conversationUsage.cost);
+  const contextShare = conversationUsage.contextLimit > 0
+    ? Math.round((conversationUsage.contextTokens / conversationUsage.contextLimit) * 100)
+    : 0;
+
+  return (
+    <div className="mb-3 space-y-1.5 text-xs text-gray-500 dark:text-gray-400">
+      {messages.length > 0 && (
+        <div
+          className="flex items-center justify-between gap-2"
+          title={`Last request used ${contextShare}% of the ${formatTokens(conversationUsage.contextLimit)} token context budget`}
+        >
+          <span className="flex items-center gap-1">
+            <Gauge className="w-3.5 h-3.5 flex-shrink-0" />
+            {formatTokens(conversationUsage.totalTokens)} tokens
+            {cost && ` · ${cost}`}
+            {` · ${conversationUsage.requests} ${conversationUsage.requests === 1 ? 'request' : 'requests'}`}
+          </span>
+          {conversationUsage.summarized && (
+            <span className="text-gray-400" title="Earlier messages are sent as a summary to keep requests small">
+              Earlier turns summarized
+            </span>
+          )}
+        </div>
+      )}
+      {showAllowance && (
+        <div>
+          <div className="flex items-center justify-between">
+            <span>AI requests this month</span>
+            <span className={allowance.allowed ? '' : 'text-red-600 dark:text-red-400'}>
+              {allowance.usage} of {allowance.limit}
+            </span>
+          </div>
+          <div className="mt-1 h-1 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div className={`h-full ${barColor} transition-all`} style={{ width: `${percentage}%` }} />
+          </div>
+          {!allowance.allowed && (
+            <p className="mt-1 text-red-600 dark:text-red-400">
+              You have used this month&apos;s AI requests. Upgrade your plan to keep asking.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Saved conversations with search, rename and delete
+ */
+function ConversationList({ activeId, onOpen }) {
+  const {
+    conversations,
+    conversationsLoading,
+    loadConversations,
+    renameConversation,
+    deleteConversation,
+  } = useAIChat();
+
+  const [search, setSearch] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  // Search as the user types, after a short pause
+  useEffect(() => {
+    const timer = setTimeout(() => loadConversations(search), 300);
+    return () => clearTimeout(timer);
+  }, [search, loadConversations]);
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  };
+
+  const saveTitle = async () => {
+    if (editTitle.trim()) {
+      await renameConversation(editingId, editTitle);
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? Answers pinned to the Dashboard stay there.`)) {
+      deleteConversation(conversation.id);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search conversations..."
+            className="w-full pl-9 pr-3 py-2 text-sm bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-3 py-2">
+        {conversationsLoading && conversations.length === 0 && (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-5 h-5 animate-spin text-indigo-500" />
+          </div>
+        )}
+
+        {!conversationsLoading && conversations.length === 0 && (
+          <p className="text-sm text-center text-gray-500 dark:text-gray-400 py-8">
+            {search.trim() ? 'No conversations match your search' : 'No saved conversations yet'}
+          </p>
+        )}
+
+        {conversations.map((conversation) => (
+          <div
+            key={conversation.id}
+            className={`group flex items-center gap-2 px-3 py-2 rounded-lg ${
+              conversation.id === activeId
+                ? 'bg-indigo-50 dark:bg-indigo-900/20'
+                : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'
+            }`}
+          >
+            {editingId === conversation.id ? (
+              <>
+                <input
+                  type="text"
+                  value={editTitle}
+                  autoFocus
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') saveTitle();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-indigo-500 text-gray-900 dark:text-white"
+                />
+                <button
+                  onClick={saveTitle}
+                  className="p-1 text-gray-500 hover:text-indigo-600 dark:text-gray-400 dark:hover:text-indigo-400"
+                  aria-label="Save title"
+                >
+                  <Check className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setEditingId(null)}
+                  className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  aria-label="Cancel rename"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </>
+            ) : (
+              <>
+                <button onClick={() => onOpen(conversation.id)} className="flex-1 min-w-0 text-left">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {conversation.title}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {conversation.branch?.name || 'All branches'} · {formatDay(conversation.last_message_at)}
+                  </p>
+                </button>
+                <button
+                  onClick={() => startEditing(conversation)}
+                  className="p-1 text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                  aria-label="Rename conversation"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(conversation)}
+                  className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                  aria-label="Delete conversation"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 export default function AIChatSidebar() {
   const {
     isOpen,
@@ -56,9 +276,15 @@ export default function AIChatSidebar() {
     sendMessage,
     sendSuggestion,
     clearMessages,
+    activeConversation,
+    openConversation,
+    pinMessage,
+    unpinMessage,
   } = useAIChat();
+  const { selectedBranch } = useBranchSelection();
 
   const [inputValue, setInputValue] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -94,6 +320,20 @@ export default function AIChatSidebar() {
     sendSuggestion(suggestion.prompt);
   };
 
+  const handleOpenConversation = async (conversationId) => {
+    await openConversation(conversationId);
+    setShowHistory(false);
+  };
+
+  const handleNewConversation = () => {
+    clearMessages();
+    setShowHistory(false);
+  };
+
+  // Resumed conversations keep answering for the branch they started on
+  const conversationBranchId = activeConversation?.branch_id || null;
+  const showBranchNote = Boolean(activeConversation) && conversationBranchId !== (selectedBranch?.id || null);
+
   const formatTime = (date) => {
     return new Date(date).toLocaleTimeString('en-US', {
       hour: '2-digit',
@@ -128,17 +368,46 @@ export default function AIChatSidebar() {
               <p className="text-xs text-white/80">Your trusted consultant</p>
             </div>
           </div>
-          <button
-            onClick={closeSidebar}
-            className="p-2 hover:bg-white/10 rounded-lg transition-colors"
-            aria-label="Close sidebar"
-          >
-            <X className="w-5 h-5 text-white" />
-          </button>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => setShowHistory((prev) => !prev)}
+              className={`p-2 rounded-lg transition-colors ${showHistory ? 'bg-white/20' : 'hover:bg-white/10'}`}
+              aria-label="Conversation history"
+              title="Conversation history"
+            >
+              <History className="w-5 h-5 text-white" />
+            </button>
+            <button
+              onClick={closeSidebar}
+              className="p-2 hover:bg-white/10 rounded-lg transition-colors"
+              aria-label="Close sidebar"
+            >
+              <X className="w-5 h-5 text-white" />
+            </button>
+          </div>
         </header>
 
+        {showHistory && (
+          <ConversationList activeId={activeConversation?.id} onOpen={handleOpenConversation} />
+        )}
+
+        {/* Resumed conversation title and branch */}
+        {!showHistory && activeConversation && (
+          <div className="px-6 py-2 border-b border-gray-200 dark:border-gray-700">
+            <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+              {activeConversation.title}
+            </p>
+            {showBranchNote && (
+              <p className="flex items-center gap-1 text-xs text-amber-600 dark:text-amber-400">
+                <MapPin className="w-3 h-3 flex-shrink-0" />
+                Answering with {activeConversation.branch?.name || 'all branches'} data, where this conversation started
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Advisor Suggestions (shown when no messages) */}
-        {messages.length === 0 && (
+        {!showHistory && messages.length === 0 && (
           <div className="px-6 py-4 space-y-4">
             <div>
               <p className="text-sm font-bold text-gray-900 dark:text-white mb-1">
@@ -169,7 +438,7 @@ export default function AIChatSidebar() {
         )}
 
         {/* Messages Area */}
-        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+        <div className={`flex-1 overflow-y-auto px-6 py-4 space-y-4 ${showHistory ? 'hidden' : ''}`}>
           {messages.map((message) => (
             <div
               key={message.id}
@@ -186,26 +455,75 @@ export default function AIChatSidebar() {
                     : 'bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white'
                 } rounded-2xl px-4 py-3 shadow-sm`}
               >
-                <div className="text-sm whitespace-pre-wrap break-words">
-                  {message.content}
-                  {message.isStreaming && (
-                    <span className="inline-block w-2 h-4 ml-1 bg-current animate-pulse" />
-                  )}
-                </div>
+                {/* Data the advisor looked up for this answer */}
+                {message.toolCalls?.length > 0 && (
+                  <ul className="mb-2 space-y-1">
+                    {message.toolCalls.map((call) => (
+                      <li
+                        key={call.id}
+                        className="flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400"
+                        title={call.error}
+                      >
+                        {call.status === 'running' ? (
+                          <Loader2 className="w-3 h-3 flex-shrink-0 animate-spin text-indigo-500" />
+                        ) : call.status === 'error' ? (
+                          <AlertCircle className="w-3 h-3 flex-shrink-0 text-red-500" />
+                        ) : (
+                          <Database className="w-3 h-3 flex-shrink-0 text-indigo-500" />
+                        )}
+                        <span className="truncate">{call.label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {message.isPending && !message.content ? (
+                  <div className="flex items-center gap-2">
+                    <Loader2 className="w-4 h-4 animate-spin text-indigo-500" />
+                    <span className="text-sm text-gray-600 dark:text-gray-300">
+                      {message.toolCalls?.some((call) => call.status === 'running') ? 'Looking up your data...' : 'Thinking...'}
+                    </span>
+                  </div>
+                ) : (
+                  <div className="text-sm whitespace-pre-wrap break-words">
+                    {message.content}
+                    {message.isStreaming && (
+                      <span className="inline-block w-2 h-4 ml-1 bg-current animate-pulse" />
+                    )}
+                  </div>
+                )}
                 <div
-                  className={`text-xs mt-1 ${
+                  className={`flex items-center justify-between gap-3 text-xs mt-1 ${
                     message.role === 'user'
                       ? 'text-indigo-200'
                       : 'text-gray-500 dark:text-gray-400'
                   }`}
                 >
                   {formatTime(message.timestamp)}
+                  {message.role === 'assistant' && message.savedId && !message.isError && !message.isPending && (
+                    <button
+                      onClick={() => (message.insightId ? unpinMessage(message.id) : pinMessage(message.id))}
+                      className="flex items-center gap-1 hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors"
+                      title={message.insightId ? 'Remove from Dashboard' : 'Pin to Dashboard insights'}
+                    >
+                      {message.insightId ? (
+                        <>
+                          <PinOff className="w-3 h-3" />
+                          Pinned
+                        </>
+                      ) : (
+                        <>
+                          <Pin className="w-3 h-3" />
+                          Pin
+                        </>
+                      )}
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
           ))}
 
-          {/* Loading indicator */}
+          {/* Loading indicator (while the conversation is being saved) */}
           {isLoading && messages[messages.length - 1]?.role === 'user' && (
             <div className="flex justify-start">
               <div className="bg-gray-100 dark:bg-gray-700 rounded-2xl px-4 py-3 shadow-sm">
@@ -222,22 +540,23 @@ export default function AIChatSidebar() {
           <div ref={messagesEndRef} />
         </div>
 
-        {/* Clear Chat Button (shown when messages exist) */}
-        {messages.length > 0 && (
-          <div className="px-6 pb-2">
+        {/* New Conversation Button (shown when messages exist or browsing history) */}
+        {(messages.length > 0 || showHistory) && (
+          <div className="px-6 py-2">
             <button
-              onClick={clearMessages}
+              onClick={handleNewConversation}
               disabled={isLoading}
-              className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              className="flex items-center gap-2 text-sm text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              <Trash2 className="w-4 h-4" />
-              Clear conversation
+              <Plus className="w-4 h-4" />
+              New conversation
             </button>
           </div>
         )}
 
         {/* Input Area */}
         <footer className="border-t border-gray-200 dark:border-gray-700 p-4">
+          <UsageMeter />
           <div className="flex items-end gap-2">
             <div className="flex-1 relative">
               <textarea
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../services/api';
+import { SalesHeatmap } from '../../shared/components/organisms/UI/Charts';
+import { isOpenAt } from '../../utils/businessDay';
+import { formatAmount } from '../../utils/currency';
+import { Clock } from 'lucide-react';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Open hours doing less than this share of the branch's busiest hour
+const DEAD_HOUR_RATIO = 0.1;
+
+const selectClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Open hours whose average falls below DEAD_HOUR_RATIO of the peak hour
+ */
+const findDeadHours = (branch, values) => {
+  const peak = Math.max(0, ...values.flat());
+  if (peak === 0) return [];
+
+  const dead = [];
+  values.forEach((hours, weekday) => {
+    hours.forEach((value, hour) => {
+      if (isOpenAt(branch.businessHours, weekday, hour, branch.dayCloseTime) && value < peak * DEAD_HOUR_RATIO) {
+        dead.push({ weekday, hour });
+      }
+    });
+  });
+  return dead;
+};
+
+/**
+ * BranchTrafficHeatmap Component
+ * Average orders or revenue by weekday × hour for a branch, optionally
+ * compared with a second branch, with business hours overlaid
+ */
+const BranchTrafficHeatmap = () => {
+  const { branches, selectedBranch } = useBranchSelection();
+  const { addNotification } = useNotification();
+
+  const [branchA, setBranchA] = useState('');
+  const [branchB, setBranchB] = useState('');
+  const [metric, setMetric] = useState('orders');
+  const [days, setDays] = useState(28);
+  const [heatmaps, setHeatmaps] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!branchA && (selectedBranch || branches[0])) {
+      setBranchA((selectedBranch || branches[0]).id);
+    }
+  }, [branches, selectedBranch, branchA]);
+
+  useEffect(() => {
+    if (!branchA) return;
+
+    const fetchHeatmaps = async () => {
+      try {
+        setLoading(true);
+        const data = await api.analytics.getSalesHeatmap({
+          branchIds: [branchA, branchB].filter(Boolean),
+          days
+        });
+        setHeatmaps(data);
+      } catch {
+        addNotification({ title: 'Error', message: 'Failed to load traffic heatmap', type: 'error' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHeatmaps();
+  }, [branchA, branchB, days, addNotification]);
+
+  const valueKey = metric === 'orders' ? 'avgOrders' : 'avgRevenue';
+  const currency = heatmaps[0]?.currency;
+  const formatValue = (value) => (metric === 'orders'
+    ? `${value.toLocaleString()} orders/day`
+    : `${formatAmount(value, currency)}/day`);
+
+  const panels = useMemo(() => heatmaps.map(branch => {
+    const values = branch.grid.map(hours => hours.map(cell => cell[valueKey]));
+    return { branch, values, deadHours: findDeadHours(branch, values) };
+  }), [heatmaps, valueKey]);
+
+  // Shared scale so both branches read the same way
+  const maxValue = Math.max(0, ...panels.flatMap(panel => panel.values.flat())) || null;
+
+  const difference = panels.length === 2
+    ? panels[0].values.map((hours, weekday) =>
+      hours.map((value, hour) => Math.round((value - panels[1].values[weekday][hour]) * 100) / 100))
+    : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+          <Clock className="w-5 h-5 text-blue-600" />
+          Traffic by Hour
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={branchA} onChange={(e) => setBranchA(e.target.value)} className={selectClass}>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+          <select value={branchB} onChange={(e) => setBranchB(e.target.value)} className={selectClass}>
+            <option value="">Compare with…</option>
+            {branches.filter(branch => branch.id !== branchA).map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} className={selectClass}>
+            <option value="orders">Orders</option>
+            <option value="revenue">Revenue</option>
+          </select>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className={selectClass}>
+            <option value={28}>Last 4 weeks</option>
+            <option value={56}>Last 8 weeks</option>
+            <option value={91}>Last 13 weeks</option>
+          </select>
+        </div>
+      </div>
+
+      {panels.map(({ branch, values, deadHours }) => (
+        <div key={branch.branchId}>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-medium text-gray-900 dark:text-white">{branch.name}</h4>
+            {deadHours.length > 0 && (
+              <span className="text-xs text-amber-600 dark:text-amber-400">
+                {deadHours.length} open hour(s) below {DEAD_HOUR_RATIO * 100}% of peak
+                {' '}(e.g. {WEEKDAY_NAMES[deadHours[0].weekday]} {String(deadHours[0].hour).padStart(2, '0')}:00)
+              </span>
+            )}
+          </div>
+          <SalesHeatmap
+            values={values}
+            businessHours={branch.businessHours}
+            dayCloseTime={branch.dayCloseTime}
+            maxValue={maxValue}
+            formatValue={formatValue}
+            loading={loading}
+          />
+        </div>
+      ))}
+
+      {difference && !loading && (
+        <div>
+          <h4 className="font-medium text-gray-900 dark:text-white mb-2">
+            {panels[0].branch.name} vs {panels[1].branch.name}
+          </h4>
+          <SalesHeatmap values={difference} diverging formatValue={formatValue} />
+        </div>
+      )}
+
+      {heatmaps.some(branch => branch.missingRate) && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          Some revenue has no exchange rate to {currency} and is shown unconverted.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BranchTrafficHeatmap;
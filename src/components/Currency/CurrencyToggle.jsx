@@ -0,0 +1,38 @@
+import React from 'react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+
+/**
+ * CurrencyToggle Component
+ * Switches figures between the brand reporting currency and each branch's
+ * local currency
+ */
+const CurrencyToggle = ({ className = '' }) => {
+  const { currencyView, setCurrencyView, reportingCurrency } = useBranchSelection();
+
+  const options = [
+    { value: 'reporting', label: reportingCurrency, title: 'Convert all figures into the brand reporting currency' },
+    { value: 'local', label: 'Local', title: "Show each branch in its own currency" }
+  ];
+
+  return (
+    <div className={`inline-flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden ${className}`}>
+      {options.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          title={option.title}
+          onClick={() => setCurrencyView(option.value)}
+          className={`px-3 py-1.5 text-sm font-medium transition-colors ${
+            currencyView === option.value
+              ? 'bg-primary-600 text-white'
+              : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default CurrencyToggle;
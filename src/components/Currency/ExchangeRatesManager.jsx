@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNotification } from '../../contexts/NotificationContext';
+import api from '../../services/api';
+import { SUPPORTED_CURRENCIES, parseExchangeRatesCSV } from '../../utils/currency';
+import { getBusinessDate } from '../../utils/businessDay';
+import { Plus, Trash2, Upload } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-800 text-gray-900 dark:text-white';
+
+/**
+ * ExchangeRatesManager Component
+ * Dated exchange rates used to convert branch figures into the reporting
+ * currency. Rates can be entered one at a time or imported from a CSV
+ * (date,from,to,rate).
+ */
+const ExchangeRatesManager = ({ reportingCurrency }) => {
+  const { addNotification } = useNotification();
+  const fileInputRef = useRef(null);
+
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [importErrors, setImportErrors] = useState([]);
+  const [form, setForm] = useState(() => ({
+    from_currency: '',
+    to_currency: reportingCurrency,
+    rate: '',
+    rate_date: getBusinessDate()
+  }));
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await api.exchangeRates.getAll({ limit: 100 });
+      setRates(data || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load exchange rates', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [addNotification]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  useEffect(() => {
+    setForm(prev => ({ ...prev, to_currency: reportingCurrency }));
+  }, [reportingCurrency]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = async () => {
+    const rate = Number(form.rate);
+    if (!form.from_currency || form.from_currency === form.to_currency || !(rate > 0) || !form.rate_date) {
+      addNotification({
+        title: 'Invalid rate',
+        message: 'Pick two different currencies, a date and a rate above zero',
+        type: 'warning'
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.exchangeRates.upsert({ ...form, rate });
+      setForm(prev => ({ ...prev, rate: '' }));
+      await fetchRates();
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to save exchange rate', type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { rows, errors } = parseExchangeRatesCSV(await file.text());
+    setImportErrors(errors);
+
+    if (rows.length === 0) {
+      addNotification({ title: 'Import failed', message: 'No valid rates found in the file', type: 'error' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.exchangeRates.importRows(rows);
+      addNotification({
+        title: 'Rates imported',
+        message: `${rows.length} rate(s) imported${errors.length ? `, ${errors.length} line(s) skipped` : ''}`,
+        type: errors.length ? 'warning' : 'success'
+      });
+      await fetchRates();
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to import exchange rates', type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await api.exchangeRates.delete(id);
+      setRates(prev => prev.filter(rate => rate.id !== id));
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to delete exchange rate', type: 'error' });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Branch figures are converted into {reportingCurrency} with the latest rate on or before each day.
+        A rate also works in reverse (1 / rate), so one direction per pair is enough.
+      </p>
+
+      {/* Manual entry */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">From</label>
+          <select name="from_currency" value={form.from_currency} onChange={handleChange} className={inputClass}>
+            <option value="">Select</option>
+            {SUPPORTED_CURRENCIES.map(({ code }) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">To</label>
+          <select name="to_currency" value={form.to_currency} onChange={handleChange} className={inputClass}>
+            {SUPPORTED_CURRENCIES.map(({ code }) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Rate</label>
+          <input
+            type="number"
+            name="rate"
+            min="0"
+            step="any"
+            value={form.rate}
+            onChange={handleChange}
+            placeholder="1.0210"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Effective date</label>
+          <input type="date" name="rate_date" value={form.rate_date} onChange={handleChange} className={inputClass} />
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={saving}
+            className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+            Add
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={saving}
+            title="Import CSV with columns date,from,to,rate"
+            className="flex items-center justify-center gap-1 px-3 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4" />
+            CSV
+          </button>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {importErrors.length > 0 && (
+        <div className="p-3 rounded-lg bg-yellow-50 dark:bg-yellow-900/20 text-sm text-yellow-800 dark:text-yellow-300">
+          <p className="font-medium mb-1">Skipped lines</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {importErrors.slice(0, 10).map(error => (
+              <li key={error.line}>Line {error.line}: {error.message}</li>
+            ))}
+          </ul>
+          {importErrors.length > 10 && <p className="mt-1">…and {importErrors.length - 10} more</p>}
+        </div>
+      )}
+
+      {/* Stored rates */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+              <th className="py-2 pr-4 font-medium">Date</th>
+              <th className="py-2 pr-4 font-medium">Pair</th>
+              <th className="py-2 pr-4 font-medium">Rate</th>
+              <th className="py-2 pr-4 font-medium">Source</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={5} className="py-4 text-center text-gray-500 dark:text-gray-400">Loading rates...</td>
+              </tr>
+            ) : rates.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="py-4 text-center text-gray-500 dark:text-gray-400">
+                  No exchange rates yet. Branches in other currencies are shown unconverted.
+                </td>
+              </tr>
+            ) : rates.map(rate => (
+              <tr key={rate.id} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-900 dark:text-white">
+                <td className="py-2 pr-4">{rate.rate_date}</td>
+                <td className="py-2 pr-4">1 {rate.from_currency} = {rate.to_currency}</td>
+                <td className="py-2 pr-4 font-mono">{Number(rate.rate).toFixed(6)}</td>
+                <td className="py-2 pr-4 text-gray-500 dark:text-gray-400">
+                  {rate.source === 'csv_import' ? 'CSV import' : 'Manual'}
+                </td>
+                <td className="py-2 text-right">
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(rate.id)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete rate"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRatesManager;
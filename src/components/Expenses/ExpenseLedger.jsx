@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Receipt, Plus, Pencil, Trash2, Repeat } from 'lucide-react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { expensesAPI } from '../../services/api';
+import { formatAmount } from '../../utils/currency';
+import ExpenseModal from './ExpenseModal';
+
+const describeTiming = (expense) => {
+  if (!expense.is_recurring) return expense.expense_date;
+  const interval = String(expense.recurrence_interval);
+  return `${interval.charAt(0).toUpperCase()}${interval.slice(1)} from ${expense.expense_date}${expense.recurrence_end_date ? ` until ${expense.recurrence_end_date}` : ''}`;
+};
+
+/**
+ * ExpenseLedger Component
+ * Rent, payroll, utilities, marketing and other expenses counted in the
+ * window, one-off or recurring. onChange runs after every add, edit or
+ * delete so the page can refresh its figures.
+ */
+const ExpenseLedger = ({ startDate, endDate, onChange }) => {
+  const { branches, selectedBranch } = useBranchSelection();
+  const { addNotification } = useNotification();
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+
+  const loadExpenses = useCallback(async () => {
+    try {
+      setLoading(true);
+      setExpenses(await expensesAPI.getAll({ startDate, endDate }) || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load expenses', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate, addNotification]);
+
+  useEffect(() => {
+    loadExpenses();
+  }, [loadExpenses]);
+
+  const handleSave = async (data) => {
+    try {
+      if (editing?.id) {
+        await expensesAPI.update(editing.id, data);
+      } else {
+        await expensesAPI.create(data);
+      }
+      setEditing(null);
+      addNotification({ title: 'Success', message: 'Expense saved', type: 'success' });
+      await loadExpenses();
+      onChange?.();
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to save expense', type: 'error' });
+    }
+  };
+
+  const handleDelete = async (expense) => {
+    const label = expense.description || expense.category;
+    const warning = expense.is_recurring ? ' Every occurrence, past and future, is removed from the figures.' : '';
+    if (!confirm(`Delete the expense "${label}"?${warning}`)) return;
+
+    try {
+      await expensesAPI.delete(expense.id);
+      setExpenses(prev => prev.filter(item => item.id !== expense.id));
+      onChange?.();
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to delete expense', type: 'error' });
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Expense Ledger
+        </h3>
+        <button
+          onClick={() => setEditing({})}
+          disabled={branches.length === 0}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg flex items-center gap-2 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          Add Expense
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading expenses...</div>
+      ) : expenses.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-4 font-medium">Date</th>
+                <th className="py-2 pr-4 font-medium">Branch</th>
+                <th className="py-2 pr-4 font-medium">Category</th>
+                <th className="py-2 pr-4 font-medium">Description</th>
+                <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {expenses.map(expense => (
+                <tr key={expense.id} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-900 dark:text-white">
+                  <td className="py-2 pr-4">
+                    <span className="flex items-center gap-1">
+                      {expense.is_recurring && <Repeat className="w-3.5 h-3.5 text-blue-500 shrink-0" />}
+                      {describeTiming(expense)}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">{expense.branches?.name || '—'}</td>
+                  <td className="py-2 pr-4 capitalize">{expense.category === 'cogs' ? 'COGS' : expense.category}</td>
+                  <td className="py-2 pr-4">
+                    {expense.description || '—'}
+                    {expense.vendor && (
+                      <span className="text-gray-500 dark:text-gray-400"> · {expense.vendor}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4 text-right font-mono">{formatAmount(expense.amount, expense.currency)}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => setEditing(expense)}
+                      title="Edit"
+                      className="p-1 text-gray-400 hover:text-blue-600"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(expense)}
+                      title="Delete"
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Receipt className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600 dark:text-gray-400">No expenses recorded for this period</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Add rent, payroll, utilities and marketing so costs are not estimated
+          </p>
+        </div>
+      )}
+
+      <ExpenseModal
+        isOpen={!!editing}
+        expense={editing?.id ? editing : null}
+        branches={branches}
+        defaultBranchId={selectedBranch?.id}
+        onSave={handleSave}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  );
+};
+
+export default ExpenseLedger;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../../shared/components/organisms/UI/Modal';
+import { EXPENSE_CATEGORIES, RECURRENCE_INTERVALS } from '../../utils/costing';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from '../../utils/currency';
+import { getBusinessDate } from '../../utils/businessDay';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+// COGS comes from product costs, so it is not entered by hand
+const LEDGER_CATEGORIES = EXPENSE_CATEGORIES.filter(category => category !== 'cogs');
+
+const branchCurrency = (branches, branchId) =>
+  branches.find(branch => branch.id === branchId)?.currency || DEFAULT_CURRENCY;
+
+const emptyForm = {
+  branch_id: '',
+  category: 'rent',
+  description: '',
+  amount: '',
+  currency: DEFAULT_CURRENCY,
+  expense_date: '',
+  is_recurring: false,
+  recurrence_interval: 'monthly',
+  recurrence_end_date: '',
+  vendor: '',
+  reference: '',
+  notes: ''
+};
+
+/**
+ * ExpenseModal Component
+ * Record or edit an expense: a one-off entry on its date, or a recurring one
+ * repeating from its date until an optional end date
+ */
+const ExpenseModal = ({ isOpen, expense, branches, defaultBranchId, onSave, onClose }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    if (expense) {
+      setForm({
+        ...Object.fromEntries(Object.keys(emptyForm).map(key => [key, expense[key] ?? emptyForm[key]])),
+        amount: String(expense.amount),
+        recurrence_interval: expense.recurrence_interval || emptyForm.recurrence_interval
+      });
+    } else {
+      const branchId = defaultBranchId || branches[0]?.id || '';
+      setForm({ ...emptyForm, branch_id: branchId, currency: branchCurrency(branches, branchId), expense_date: getBusinessDate() });
+    }
+  }, [isOpen, expense, defaultBranchId, branches]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      // A new branch brings its own currency
+      ...(name === 'branch_id' ? { currency: branchCurrency(branches, value) } : {})
+    }));
+  };
+
+  const amount = Number(form.amount);
+  const valid = form.branch_id && form.expense_date && form.amount !== '' && amount >= 0 &&
+    (!form.is_recurring || !form.recurrence_end_date || form.recurrence_end_date >= form.expense_date);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!valid) return;
+
+    setSaving(true);
+    try {
+      await onSave({
+        branch_id: form.branch_id,
+        category: form.category,
+        description: form.description.trim() || null,
+        amount,
+        currency: form.currency,
+        expense_date: form.expense_date,
+        is_recurring: form.is_recurring,
+        recurrence_interval: form.is_recurring ? form.recurrence_interval : null,
+        recurrence_end_date: form.is_recurring && form.recurrence_end_date ? form.recurrence_end_date : null,
+        vendor: form.vendor.trim() || null,
+        reference: form.reference.trim() || null,
+        notes: form.notes.trim() || null
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const categories = LEDGER_CATEGORIES.includes(form.category) ? LEDGER_CATEGORIES : [...LEDGER_CATEGORIES, form.category];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={expense ? 'Edit Expense' : 'New Expense'}
+      footer={
+        <button
+          type="submit"
+          form="expense-form"
+          disabled={saving || !valid}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      }
+    >
+      <form id="expense-form" onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Branch</label>
+          <select name="branch_id" value={form.branch_id} onChange={handleChange} className={inputClass} required>
+            <option value="">Select a branch</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Category</label>
+          <select name="category" value={form.category} onChange={handleChange} className={`${inputClass} capitalize`}>
+            {categories.map(category => (
+              <option key={category} value={category}>{category === 'cogs' ? 'COGS' : category}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Description</label>
+          <input
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            placeholder="Shop rent, electricity, Instagram ads, ..."
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Amount</label>
+          <input
+            type="number"
+            name="amount"
+            min="0"
+            step="0.01"
+            value={form.amount}
+            onChange={handleChange}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Currency</label>
+          <select name="currency" value={form.currency} onChange={handleChange} className={inputClass}>
+            {SUPPORTED_CURRENCIES.map(({ code }) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>{form.is_recurring ? 'First occurrence' : 'Date'}</label>
+          <input type="date" name="expense_date" value={form.expense_date} onChange={handleChange} className={inputClass} required />
+        </div>
+
+        <div className="flex items-end">
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 pb-2">
+            <input
+              type="checkbox"
+              name="is_recurring"
+              checked={form.is_recurring}
+              onChange={handleChange}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Recurring expense
+          </label>
+        </div>
+
+        {form.is_recurring && (
+          <>
+            <div>
+              <label className={labelClass}>Repeats</label>
+              <select name="recurrence_interval" value={form.recurrence_interval} onChange={handleChange} className={`${inputClass} capitalize`}>
+                {RECURRENCE_INTERVALS.map(interval => (
+                  <option key={interval} value={interval}>{interval}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Ends (optional)</label>
+              <input
+                type="date"
+                name="recurrence_end_date"
+                min={form.expense_date}
+                value={form.recurrence_end_date}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+          </>
+        )}
+
+        <div>
+          <label className={labelClass}>Vendor</label>
+          <input name="vendor" value={form.vendor} onChange={handleChange} className={inputClass} />
+        </div>
+
+        <div>
+          <label className={labelClass}>Invoice / receipt no.</label>
+          <input name="reference" value={form.reference} onChange={handleChange} className={inputClass} />
+        </div>
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Notes</label>
+          <textarea name="notes" rows={2} value={form.notes} onChange={handleChange} className={inputClass} />
+        </div>
+
+        {form.is_recurring && (
+          <p className="md:col-span-2 text-xs text-gray-500 dark:text-gray-400">
+            The amount is counted once per occurrence, from the first occurrence until the end date (or indefinitely).
+          </p>
+        )}
+      </form>
+    </Modal>
+  );
+};
+
+export default ExpenseModal;
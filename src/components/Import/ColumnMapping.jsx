@@ -0,0 +1,99 @@
+import React from 'react';
+import { IMPORT_ENTITIES, DATE_FORMATS } from '../../lib/importEngine';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * ColumnMapping Component
+ * Pick the file column for every field, with a sample value from the first row
+ */
+const ColumnMapping = ({ entity, headers, sampleRow, mapping, settings, branches, onMappingChange, onSettingsChange }) => {
+  const { fields } = IMPORT_ENTITIES[entity];
+  const groups = [
+    { title: entity === 'orders' ? 'Order' : 'Product', fields: fields.filter(field => !field.item) },
+    { title: 'Items (one row per item)', fields: fields.filter(field => field.item) }
+  ].filter(group => group.fields.length > 0);
+
+  const handleColumnChange = (key, value) => {
+    const next = { ...mapping };
+    if (value === '') {
+      delete next[key];
+    } else {
+      next[key] = Number(value);
+    }
+    onMappingChange(next);
+  };
+
+  const sample = (index) => {
+    const value = sampleRow?.cells[index];
+    return value === undefined || value === '' ? '—' : String(value);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {entity === 'orders' && (
+          <div>
+            <label className={labelClass}>Date format in the file</label>
+            <select
+              value={settings.dateFormat}
+              onChange={(e) => onSettingsChange({ ...settings, dateFormat: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(DATE_FORMATS).map(([key, format]) => (
+                <option key={key} value={key}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label className={labelClass}>
+            {entity === 'orders' ? 'Branch for rows without one' : 'Branch for rows without one (optional)'}
+          </label>
+          <select
+            value={settings.defaultBranchId || ''}
+            onChange={(e) => onSettingsChange({ ...settings, defaultBranchId: e.target.value || null })}
+            className={inputClass}
+          >
+            <option value="">{entity === 'orders' ? 'None - rows need a branch column' : 'All branches'}</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {groups.map(group => (
+        <div key={group.title}>
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">{group.title}</h4>
+          <div className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {group.fields.map(field => (
+              <div key={field.key} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center px-4 py-2">
+                <span className="text-sm text-gray-700 dark:text-gray-300">
+                  {field.label}
+                  {field.required && <span className="text-red-500"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) => handleColumnChange(field.key, e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="">Not imported</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>{header}</option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {mapping[field.key] !== undefined && `e.g. ${sample(mapping[field.key])}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ColumnMapping;
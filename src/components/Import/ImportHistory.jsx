@@ -0,0 +1,90 @@
+import React from 'react';
+import { FileSpreadsheet, Play, Undo2 } from 'lucide-react';
+import { IMPORT_ENTITIES } from '../../lib/importEngine';
+
+const STATUS_LABELS = {
+  pending: { text: 'Not started', color: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300' },
+  importing: { text: 'Paused', color: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' },
+  completed: { text: 'Completed', color: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' },
+  failed: { text: 'Stopped', color: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' },
+  undone: { text: 'Undone', color: 'bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400' }
+};
+
+/**
+ * ImportHistory Component
+ * Past import batches with their progress; unfinished ones can be resumed
+ * and any batch can be undone as a whole
+ */
+const ImportHistory = ({ batches, loading, activeBatchId, onResume, onUndo }) => {
+  if (loading) {
+    return <div className="h-32 flex items-center justify-center text-gray-400 animate-pulse">Loading imports...</div>;
+  }
+
+  if (batches.length === 0) {
+    return <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">No imports yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {batches.map(batch => {
+        const status = batch.id === activeBatchId
+          ? { text: 'Importing', color: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' }
+          : STATUS_LABELS[batch.status];
+        const percent = batch.total_rows > 0 ? Math.round((batch.processed_rows / batch.total_rows) * 100) : 0;
+        const resumable = ['pending', 'importing', 'failed'].includes(batch.status) && batch.payload_path;
+        const busy = !!activeBatchId;
+
+        return (
+          <div key={batch.id} className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <FileSpreadsheet className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">{batch.file_name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {IMPORT_ENTITIES[batch.entity]?.label} · {new Date(batch.created_at).toLocaleString()}
+                    {' · '}{batch.processed_rows} of {batch.total_rows} imported
+                    {batch.skipped_rows > 0 && ` · ${batch.skipped_rows} rows skipped`}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.color}`}>{status.text}</span>
+                {resumable && (
+                  <button
+                    onClick={() => onResume(batch)}
+                    disabled={busy}
+                    className="btn-secondary flex items-center gap-1 text-sm disabled:opacity-50"
+                  >
+                    <Play className="w-4 h-4" />
+                    Resume
+                  </button>
+                )}
+                {batch.status !== 'undone' && (
+                  <button
+                    onClick={() => onUndo(batch)}
+                    disabled={busy}
+                    className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg disabled:opacity-50"
+                    title="Undo import"
+                  >
+                    <Undo2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            {batch.status !== 'undone' && batch.status !== 'completed' && (
+              <div className="mt-3 h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+              </div>
+            )}
+            {batch.status === 'failed' && batch.error && (
+              <p className="mt-2 text-xs text-red-600 dark:text-red-400">{batch.error}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ImportHistory;
@@ -0,0 +1,134 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle2, Download } from 'lucide-react';
+import { IMPORT_ENTITIES } from '../../lib/importEngine';
+import { exportToCSV } from '../../utils/exportUtils';
+
+const ERROR_LIMIT = 200;
+const PREVIEW_LIMIT = 10;
+
+const PREVIEW_COLUMNS = {
+  orders: [
+    { key: 'order_number', label: 'Order' },
+    { key: 'order_date', label: 'Date' },
+    { key: 'branch', label: 'Branch' },
+    { key: 'items', label: 'Items', align: 'right' },
+    { key: 'total', label: 'Total', align: 'right' }
+  ],
+  products: [
+    { key: 'name', label: 'Name' },
+    { key: 'sku', label: 'SKU' },
+    { key: 'branch', label: 'Branch' },
+    { key: 'price', label: 'Price', align: 'right' },
+    { key: 'cost', label: 'Cost', align: 'right' }
+  ]
+};
+
+/**
+ * ImportReview Component
+ * Validation outcome: what will be imported, and every row that will not
+ */
+const ImportReview = ({ entity, result, totalRows, branches }) => {
+  const { records, errors, skippedRows } = result;
+  const label = IMPORT_ENTITIES[entity].label.toLowerCase();
+  const branchName = (id) => branches.find(branch => branch.id === id)?.name || (entity === 'orders' ? '—' : 'All branches');
+
+  const previewValue = (record, key) => {
+    if (key === 'branch') return branchName(record.branch_id);
+    if (key === 'items') return record.items.length;
+    return record[key] ?? '—';
+  };
+
+  const downloadErrors = () => {
+    exportToCSV(errors.map(error => ({ line: error.line, field: error.field || '', message: error.message })), 'import_errors');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/20 flex items-center gap-3">
+          <CheckCircle2 className="w-6 h-6 text-green-600 dark:text-green-400" />
+          <div>
+            <p className="font-semibold text-gray-900 dark:text-white">{records.length} {label} ready to import</p>
+            <p className="text-sm text-gray-600 dark:text-gray-400">From {totalRows - skippedRows} of {totalRows} rows</p>
+          </div>
+        </div>
+        <div className={`p-4 rounded-lg flex items-center gap-3 ${errors.length > 0 ? 'bg-red-50 dark:bg-red-900/20' : 'bg-gray-50 dark:bg-gray-700/50'}`}>
+          <AlertTriangle className={`w-6 h-6 ${errors.length > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-400'}`} />
+          <div className="flex-1">
+            <p className="font-semibold text-gray-900 dark:text-white">{skippedRows} rows will be skipped</p>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {entity === 'orders' ? 'An order with any invalid row is skipped whole' : 'Fix them in the file and import it again'}
+            </p>
+          </div>
+          {errors.length > 0 && (
+            <button onClick={downloadErrors} className="btn-secondary flex items-center gap-2 text-sm">
+              <Download className="w-4 h-4" />
+              Errors CSV
+            </button>
+          )}
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Problems</h4>
+          <div className="max-h-64 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-gray-50 dark:bg-gray-800">
+                <tr className="text-left text-gray-700 dark:text-gray-300">
+                  <th className="py-2 px-3 font-semibold">Row</th>
+                  <th className="py-2 px-3 font-semibold">Field</th>
+                  <th className="py-2 px-3 font-semibold">Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {errors.slice(0, ERROR_LIMIT).map((error, index) => (
+                  <tr key={index} className="border-t border-gray-100 dark:border-gray-700">
+                    <td className="py-1.5 px-3 text-gray-500 dark:text-gray-400">{error.line}</td>
+                    <td className="py-1.5 px-3 text-gray-700 dark:text-gray-300">{error.field || '—'}</td>
+                    <td className="py-1.5 px-3 text-red-600 dark:text-red-400">{error.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {errors.length > ERROR_LIMIT && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Showing {ERROR_LIMIT} of {errors.length} problems; download the CSV for the full list
+            </p>
+          )}
+        </div>
+      )}
+
+      {records.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Preview</h4>
+          <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700 dark:text-gray-300 bg-gray-50 dark:bg-gray-800">
+                  {PREVIEW_COLUMNS[entity].map(column => (
+                    <th key={column.key} className={`py-2 px-3 font-semibold ${column.align === 'right' ? 'text-right' : ''}`}>{column.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {records.slice(0, PREVIEW_LIMIT).map((record, index) => (
+                  <tr key={index} className="border-t border-gray-100 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+                    {PREVIEW_COLUMNS[entity].map(column => (
+                      <td key={column.key} className={`py-1.5 px-3 ${column.align === 'right' ? 'text-right' : ''}`}>
+                        {previewValue(record, column.key)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportReview;
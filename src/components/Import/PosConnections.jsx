@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Plug, Plus, Trash2, PlayCircle } from 'lucide-react';
+import { POS_ADAPTERS } from '../../services/pos';
+
+const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm';
+
+/**
+ * PosConnections Component
+ * The brand's POS connections and the branch each external location feeds.
+ * Orders from a location without a branch are held until it is mapped.
+ */
+const PosConnections = ({ connections, branches, loading, busyId, onCreate, onDelete, onMapLocation, onLoadSample }) => {
+  const [form, setForm] = useState(null);
+
+  const startForm = () => {
+    const adapter = POS_ADAPTERS.mock;
+    setForm({ provider: adapter.id, name: adapter.name, order_prefix: adapter.orderPrefix });
+  };
+
+  const changeProvider = (provider) => {
+    const adapter = POS_ADAPTERS[provider];
+    setForm({ provider, name: adapter.name, order_prefix: adapter.orderPrefix });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onCreate({ ...form, name: form.name.trim(), order_prefix: form.order_prefix.trim() });
+    setForm(null);
+  };
+
+  if (loading) {
+    return <div className="h-24 flex items-center justify-center text-gray-400 animate-pulse">Loading connections...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {connections.length === 0 && !form && (
+        <p className="py-4 text-center text-sm text-gray-500 dark:text-gray-400">No POS connected yet.</p>
+      )}
+
+      {connections.map(connection => {
+        const locations = connection.locations || [];
+        const unmapped = locations.filter(location => !location.branch_id).length;
+
+        return (
+          <div key={connection.id} className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <Plug className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white truncate">{connection.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {POS_ADAPTERS[connection.provider]?.name}
+                    {connection.order_prefix && ` · order numbers prefixed ${connection.order_prefix}`}
+                    {' · '}{connection.last_synced_at ? `last sync ${new Date(connection.last_synced_at).toLocaleString()}` : 'never synced'}
+                  </p>
+                  {connection.last_error && (
+                    <p className="text-xs text-red-600 dark:text-red-400">{connection.last_error}</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                {unmapped > 0 && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400">
+                    {unmapped} unmapped
+                  </span>
+                )}
+                <button
+                  onClick={() => onLoadSample(connection)}
+                  disabled={!!busyId}
+                  className="btn-secondary flex items-center gap-1 text-sm disabled:opacity-50"
+                >
+                  <PlayCircle className="w-4 h-4" />
+                  {busyId === connection.id ? 'Loading...' : 'Load sample orders'}
+                </button>
+                <button
+                  onClick={() => onDelete(connection)}
+                  disabled={!!busyId}
+                  className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title="Remove connection"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            {locations.length > 0 && (
+              <div className="divide-y divide-gray-200 dark:divide-gray-600">
+                {locations.map(location => (
+                  <div key={location.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+                    <div className="text-sm">
+                      <span className="text-gray-900 dark:text-white">{location.external_location_name || location.external_location_id}</span>
+                      {location.external_location_name && (
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{location.external_location_id}</span>
+                      )}
+                    </div>
+                    <select
+                      value={location.branch_id || ''}
+                      onChange={(e) => onMapLocation(location, e.target.value || null)}
+                      className={inputClass}
+                    >
+                      <option value="">Not mapped (orders held)</option>
+                      {branches.map(branch => (
+                        <option key={branch.id} value={branch.id}>{branch.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {form ? (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+            POS
+            <select value={form.provider} onChange={(e) => changeProvider(e.target.value)} className={inputClass}>
+              {Object.values(POS_ADAPTERS).map(adapter => (
+                <option key={adapter.id} value={adapter.id}>{adapter.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+            Name
+            <input
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              required
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm text-gray-700 dark:text-gray-300">
+            Order number prefix
+            <input
+              value={form.order_prefix}
+              onChange={(e) => setForm(prev => ({ ...prev, order_prefix: e.target.value }))}
+              className={`${inputClass} w-28`}
+            />
+          </label>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setForm(null)} className="btn-secondary">Cancel</button>
+            <button type="submit" className="btn-primary">Connect</button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={startForm} className="btn-secondary flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          Add POS connection
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PosConnections;
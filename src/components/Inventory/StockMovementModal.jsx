@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../../shared/components/organisms/UI/Modal';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const TITLES = {
+  receive: 'Receive Stock',
+  waste: 'Record Waste',
+  transfer: 'Transfer Stock',
+  count: 'Stock Count'
+};
+
+const WASTE_REASONS = ['Expired', 'Damaged', 'Spoiled', 'Preparation error', 'Other'];
+
+const emptyForm = {
+  productId: '',
+  branchId: '',
+  toBranchId: '',
+  quantity: '',
+  unitCost: '',
+  reason: WASTE_REASONS[0],
+  notes: ''
+};
+
+/**
+ * StockMovementModal Component
+ * Record a receipt, waste, transfer between branches or physical count
+ */
+const StockMovementModal = ({ isOpen, mode, products, branches, defaults, onSave, onClose }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setForm({ ...emptyForm, ...defaults });
+  }, [isOpen, defaults]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const quantity = Number(form.quantity);
+  const valid = form.productId && form.branchId && form.quantity !== '' &&
+    (mode === 'count' ? quantity >= 0 : quantity > 0) &&
+    (mode !== 'transfer' || (form.toBranchId && form.toBranchId !== form.branchId));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!valid) return;
+
+    setSaving(true);
+    try {
+      await onSave(mode, {
+        ...form,
+        quantity,
+        unitCost: form.unitCost === '' ? null : Number(form.unitCost),
+        notes: form.notes || null
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={TITLES[mode]}
+      footer={
+        <button
+          type="submit"
+          form="stock-movement-form"
+          disabled={saving || !valid}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      }
+    >
+      <form id="stock-movement-form" onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className={labelClass}>Product</label>
+          <select name="productId" value={form.productId} onChange={handleChange} className={inputClass} required>
+            <option value="">Select a product</option>
+            {products.map(product => (
+              <option key={product.id} value={product.id}>
+                {product.name}{product.sku ? ` (${product.sku})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>{mode === 'transfer' ? 'From branch' : 'Branch'}</label>
+          <select name="branchId" value={form.branchId} onChange={handleChange} className={inputClass} required>
+            <option value="">Select a branch</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {mode === 'transfer' && (
+          <div>
+            <label className={labelClass}>To branch</label>
+            <select name="toBranchId" value={form.toBranchId} onChange={handleChange} className={inputClass} required>
+              <option value="">Select a branch</option>
+              {branches.filter(branch => branch.id !== form.branchId).map(branch => (
+                <option key={branch.id} value={branch.id}>{branch.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className={labelClass}>{mode === 'count' ? 'Counted quantity' : 'Quantity'}</label>
+          <input
+            type="number"
+            name="quantity"
+            min={mode === 'count' ? 0 : 1}
+            step="1"
+            value={form.quantity}
+            onChange={handleChange}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        {mode === 'receive' && (
+          <div>
+            <label className={labelClass}>Unit cost (optional)</label>
+            <input
+              type="number"
+              name="unitCost"
+              min="0"
+              step="0.01"
+              value={form.unitCost}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </div>
+        )}
+
+        {mode === 'waste' && (
+          <div>
+            <label className={labelClass}>Reason</label>
+            <select name="reason" value={form.reason} onChange={handleChange} className={inputClass}>
+              {WASTE_REASONS.map(reason => (
+                <option key={reason} value={reason}>{reason}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Notes</label>
+          <textarea
+            name="notes"
+            rows={2}
+            value={form.notes}
+            onChange={handleChange}
+            placeholder={mode === 'receive' ? 'Supplier, invoice number, ...' : ''}
+            className={inputClass}
+          />
+        </div>
+
+        {mode === 'count' && (
+          <p className="md:col-span-2 text-xs text-gray-500 dark:text-gray-400">
+            The difference from the recorded quantity is saved as an adjustment.
+          </p>
+        )}
+        {mode === 'receive' && (
+          <p className="md:col-span-2 text-xs text-gray-500 dark:text-gray-400">
+            Unit cost is in the branch currency and is averaged into the product cost.
+          </p>
+        )}
+      </form>
+    </Modal>
+  );
+};
+
+export default StockMovementModal;
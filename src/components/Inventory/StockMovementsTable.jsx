@@ -0,0 +1,68 @@
+import React from 'react';
+
+const MOVEMENT_LABELS = {
+  receive: { text: 'Received', color: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' },
+  sale: { text: 'Sold', color: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' },
+  waste: { text: 'Waste', color: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' },
+  transfer_in: { text: 'Transfer in', color: 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400' },
+  transfer_out: { text: 'Transfer out', color: 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400' },
+  adjustment: { text: 'Adjustment', color: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' }
+};
+
+/**
+ * StockMovementsTable Component
+ * Recent inventory ledger entries
+ */
+const StockMovementsTable = ({ movements, loading }) => {
+  if (loading) {
+    return <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading movements...</div>;
+  }
+
+  if (movements.length === 0) {
+    return <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">No stock movements recorded yet.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+            <th className="py-2 px-3 font-semibold">Date</th>
+            <th className="py-2 px-3 font-semibold">Product</th>
+            <th className="py-2 px-3 font-semibold">Branch</th>
+            <th className="py-2 px-3 font-semibold">Type</th>
+            <th className="py-2 px-3 font-semibold text-right">Quantity</th>
+            <th className="py-2 px-3 font-semibold">Details</th>
+            <th className="py-2 px-3 font-semibold">By</th>
+          </tr>
+        </thead>
+        <tbody>
+          {movements.map(movement => {
+            const label = MOVEMENT_LABELS[movement.movement_type];
+            return (
+              <tr key={movement.id} className="border-b border-gray-100 dark:border-gray-700">
+                <td className="py-2 px-3 text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                  {new Date(movement.created_at).toLocaleString()}
+                </td>
+                <td className="py-2 px-3 font-medium text-gray-900 dark:text-white">{movement.products?.name}</td>
+                <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{movement.branches?.name}</td>
+                <td className="py-2 px-3">
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${label.color}`}>{label.text}</span>
+                </td>
+                <td className={`py-2 px-3 text-right font-semibold ${movement.quantity < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                  {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                </td>
+                <td className="py-2 px-3 text-gray-500 dark:text-gray-400">
+                  {[movement.reason === 'stock_count' ? 'Stock count' : movement.reason, movement.notes].filter(Boolean).join(' · ')}
+                </td>
+                <td className="py-2 px-3 text-gray-500 dark:text-gray-400">{movement.created_by_user?.full_name || '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StockMovementsTable;
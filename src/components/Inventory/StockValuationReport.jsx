@@ -0,0 +1,113 @@
+import React, { useMemo } from 'react';
+import { formatAmount } from '../../utils/currency';
+
+/**
+ * StockValuationReport Component
+ * Value of stock on hand at current cost, per branch and per product
+ */
+const StockValuationReport = ({ levels, branches, currency }) => {
+  const { byBranch, byProduct, total } = useMemo(() => {
+    const branchTotals = {};
+    const productTotals = {};
+
+    levels.forEach(level => {
+      const value = Number(level.stock_value) || 0;
+      const units = Math.max(0, level.quantity);
+
+      const branch = branchTotals[level.branch_id] || (branchTotals[level.branch_id] = { id: level.branch_id, products: 0, units: 0, value: 0 });
+      if (units > 0) branch.products += 1;
+      branch.units += units;
+      branch.value += value;
+
+      const product = productTotals[level.product_id] || (productTotals[level.product_id] = {
+        id: level.product_id,
+        name: level.product_name,
+        sku: level.sku,
+        units: 0,
+        value: 0
+      });
+      product.units += units;
+      product.value += value;
+    });
+
+    return {
+      byBranch: Object.values(branchTotals).sort((a, b) => b.value - a.value),
+      byProduct: Object.values(productTotals).filter(product => product.units > 0).sort((a, b) => b.value - a.value),
+      total: Object.values(branchTotals).reduce((sum, branch) => sum + branch.value, 0)
+    };
+  }, [levels]);
+
+  const missingRate = levels.some(level => level.missing_rate);
+  const unpriced = levels.filter(level => level.quantity > 0 && !(Number(level.unit_cost) > 0)).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-baseline justify-between">
+        <h4 className="font-semibold text-gray-900 dark:text-white">Stock value by branch</h4>
+        <span className="text-lg font-bold text-gray-900 dark:text-white">{formatAmount(total, currency)}</span>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+            <th className="py-2 px-3 font-semibold">Branch</th>
+            <th className="py-2 px-3 font-semibold text-right">Products in stock</th>
+            <th className="py-2 px-3 font-semibold text-right">Units</th>
+            <th className="py-2 px-3 font-semibold text-right">Value</th>
+            <th className="py-2 px-3 font-semibold text-right">Share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {byBranch.map(branch => (
+            <tr key={branch.id} className="border-b border-gray-100 dark:border-gray-700">
+              <td className="py-2 px-3 font-medium text-gray-900 dark:text-white">
+                {branches.find(b => b.id === branch.id)?.name || 'Unknown'}
+              </td>
+              <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{branch.products}</td>
+              <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{branch.units.toLocaleString()}</td>
+              <td className="py-2 px-3 text-right font-semibold text-gray-900 dark:text-white">{formatAmount(branch.value, currency)}</td>
+              <td className="py-2 px-3 text-right text-gray-500 dark:text-gray-400">
+                {total > 0 ? `${Math.round((branch.value / total) * 100)}%` : '—'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4 className="font-semibold text-gray-900 dark:text-white">Stock value by product</h4>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+            <th className="py-2 px-3 font-semibold">Product</th>
+            <th className="py-2 px-3 font-semibold">SKU</th>
+            <th className="py-2 px-3 font-semibold text-right">Units</th>
+            <th className="py-2 px-3 font-semibold text-right">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {byProduct.map(product => (
+            <tr key={product.id} className="border-b border-gray-100 dark:border-gray-700">
+              <td className="py-2 px-3 font-medium text-gray-900 dark:text-white">{product.name}</td>
+              <td className="py-2 px-3 text-gray-500 dark:text-gray-400">{product.sku || '—'}</td>
+              <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{product.units.toLocaleString()}</td>
+              <td className="py-2 px-3 text-right font-semibold text-gray-900 dark:text-white">{formatAmount(product.value, currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {unpriced > 0 && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          {unpriced} stocked item(s) have no cost and are valued at zero. Receive stock with a unit cost to price them.
+        </p>
+      )}
+      {missingRate && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          Some branches have no exchange rate to {currency} and are shown unconverted.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StockValuationReport;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { useNotification } from '../../contexts/NotificationContext';
+import { executiveAPI } from '../../services/executiveAPI';
+import { formatAmount } from '../../utils/currency';
+import StatCard from '../../shared/components/organisms/UI/StatCard';
+import { Percent, DollarSign, Clock, Users } from 'lucide-react';
+
+const formatPercent = (value) => (value === null ? '—' : `${value}%`);
+
+/**
+ * LaborEfficiencyPanel Component
+ * Labor cost %, sales per labor hour and labor hours for a period,
+ * consolidated and per branch
+ */
+const LaborEfficiencyPanel = ({ days = 30 }) => {
+  const { addNotification } = useNotification();
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLabor = async () => {
+      try {
+        setLoading(true);
+        setSummary(await executiveAPI.getLaborEfficiency(days));
+      } catch {
+        addNotification({ title: 'Error', message: 'Failed to load labor efficiency', type: 'error' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLabor();
+  }, [days, addNotification]);
+
+  if (loading || !summary) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading labor data...</div>
+      </div>
+    );
+  }
+
+  const { totals, currency, targetLaborCostPercent } = summary;
+  const overTarget = totals.laborCostPercent !== null && totals.laborCostPercent > targetLaborCostPercent;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 space-y-6">
+      <h3 className="text-xl font-bold text-gray-900 dark:text-white flex items-center gap-3">
+        <Percent className="w-6 h-6 text-indigo-500" />
+        Labor Efficiency
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          icon={Percent}
+          title="Labor Cost %"
+          value={formatPercent(totals.laborCostPercent)}
+          subtitle={`Target ${targetLaborCostPercent}% · scheduled ${formatPercent(totals.scheduledLaborCostPercent)}`}
+          color={overTarget ? 'red' : 'green'}
+        />
+        <StatCard
+          icon={DollarSign}
+          title="Sales per Labor Hour"
+          value={totals.salesPerLaborHour === null ? '—' : formatAmount(totals.salesPerLaborHour, currency)}
+          subtitle={`${formatAmount(totals.revenue, currency)} sales`}
+        />
+        <StatCard
+          icon={Clock}
+          title="Labor Hours"
+          value={totals.laborHours.toLocaleString()}
+          subtitle={`${totals.scheduledHours.toLocaleString()} scheduled · ${totals.actualHours.toLocaleString()} logged (${totals.actualDays} days)`}
+        />
+        <StatCard
+          icon={Users}
+          title="Labor Cost"
+          value={formatAmount(totals.laborCost, currency)}
+          subtitle="Logged hours where recorded, scheduled hours otherwise"
+        />
+      </div>
+
+      {summary.branches.length > 1 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+                <th className="py-2 px-3 font-semibold">Branch</th>
+                <th className="py-2 px-3 font-semibold">Sales</th>
+                <th className="py-2 px-3 font-semibold">Labor Cost</th>
+                <th className="py-2 px-3 font-semibold">Labor %</th>
+                <th className="py-2 px-3 font-semibold">Labor Hours</th>
+                <th className="py-2 px-3 font-semibold">Sales / Labor Hour</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.branches.map(branch => (
+                <tr key={branch.id} className="border-b border-gray-100 dark:border-gray-700">
+                  <td className="py-2 px-3 font-medium text-gray-900 dark:text-white">{branch.name}</td>
+                  <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{formatAmount(branch.revenue, branch.currency)}</td>
+                  <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{formatAmount(branch.laborCost, branch.currency)}</td>
+                  <td className={`py-2 px-3 font-semibold ${branch.overTarget ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>
+                    {formatPercent(branch.laborCostPercent)}
+                  </td>
+                  <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{branch.laborHours.toLocaleString()}</td>
+                  <td className="py-2 px-3 text-gray-700 dark:text-gray-300">
+                    {branch.salesPerLaborHour === null ? '—' : formatAmount(branch.salesPerLaborHour, branch.currency)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totals.unpricedHours > 0 && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          {totals.unpricedHours.toLocaleString()} scheduled hour(s) have no hourly wage and are not costed.
+          Set staff wages or a default wage in Brand Settings.
+        </p>
+      )}
+      {summary.missingRate && (
+        <p className="text-xs text-amber-600 dark:text-amber-400">
+          Some amounts have no exchange rate to {currency} and are shown unconverted.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LaborEfficiencyPanel;
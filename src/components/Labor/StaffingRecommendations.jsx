@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import laborAnalyticsAPI from '../../services/laborAnalytics';
+import { SalesHeatmap } from '../../shared/components/organisms/UI/Charts';
+import { getBusinessDate, getDaySettings, shiftDate } from '../../utils/businessDay';
+import { getWeekStart } from '../../utils/rostering';
+import { formatAmount } from '../../utils/currency';
+import { Users } from 'lucide-react';
+
+const selectClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * StaffingRecommendations Component
+ * Recommended headcount per weekday × hour from expected sales, compared
+ * with the hours covered by a week's roster
+ */
+const StaffingRecommendations = () => {
+  const { branches, selectedBranch } = useBranchSelection();
+  const { addNotification } = useNotification();
+
+  const [branchId, setBranchId] = useState('');
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [view, setView] = useState('gap');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!branchId && (selectedBranch || branches[0])) {
+      setBranchId((selectedBranch || branches[0]).id);
+    }
+  }, [branches, selectedBranch, branchId]);
+
+  useEffect(() => {
+    if (!branchId) return;
+
+    const fetchRecommendations = async () => {
+      try {
+        setLoading(true);
+        const today = getBusinessDate(new Date(), getDaySettings(branchId));
+        const weekStart = shiftDate(getWeekStart(today), weekOffset * 7);
+        setData(await laborAnalyticsAPI.getStaffingRecommendations({ branchId, weekStart }));
+      } catch {
+        addNotification({ title: 'Error', message: 'Failed to load staffing recommendations', type: 'error' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRecommendations();
+  }, [branchId, weekOffset, addNotification]);
+
+  const values = data ? data.grid.map(hours => hours.map(cell => cell[view])) : [];
+  const formatValue = (value) => {
+    if (view === 'gap') return value > 0 ? `${value} over` : value < 0 ? `${-value} short` : 'on target';
+    return `${value} staff`;
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white flex items-center gap-3">
+          <Users className="w-6 h-6 text-indigo-500" />
+          Recommended Staffing
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={branchId} onChange={(e) => setBranchId(e.target.value)} className={selectClass}>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+          <select value={weekOffset} onChange={(e) => setWeekOffset(Number(e.target.value))} className={selectClass}>
+            <option value={0}>This week&apos;s roster</option>
+            <option value={1}>Next week&apos;s roster</option>
+          </select>
+          <select value={view} onChange={(e) => setView(e.target.value)} className={selectClass}>
+            <option value="gap">Scheduled vs recommended</option>
+            <option value="recommended">Recommended</option>
+            <option value="scheduled">Scheduled</option>
+          </select>
+        </div>
+      </div>
+
+      {data && !data.targetSalesPerLaborHour ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Set staff hourly wages, a default wage or a sales-per-labor-hour target in Brand Settings to get recommendations.
+        </p>
+      ) : (
+        <>
+          {data && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Target {formatAmount(data.targetSalesPerLaborHour, data.currency)} sales per labor hour ·
+              {' '}{data.totals.recommendedHours} hours recommended, {data.totals.scheduledHours} scheduled
+              {' '}(week of {data.weekStart})
+            </p>
+          )}
+          <SalesHeatmap
+            values={values}
+            businessHours={data?.businessHours}
+            dayCloseTime={data?.dayCloseTime}
+            diverging={view === 'gap'}
+            formatValue={formatValue}
+            loading={loading}
+          />
+          {view === 'gap' && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Blue hours are overstaffed and amber hours understaffed against expected sales from the last 4 weeks.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StaffingRecommendations;
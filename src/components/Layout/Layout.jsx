@@ -18,7 +18,10 @@ import {
   Crown,
   Menu,
   X,
-  Building2
+  Building2,
+  Package,
+  Upload,
+  UserCheck
 } from 'lucide-react';
 
 export default function Layout({ children }) {
@@ -46,6 +49,9 @@ export default function Layout({ children }) {
     { name: 'Brand Overview', href: '/brand-overview', icon: Building2 },
     { name: 'Executive HQ', href: '/executive-hq', icon: Crown, premium: true },
     { name: 'Branches', href: '/branches', icon: Store },
+    { name: 'Customers', href: '/customers', icon: UserCheck },
+    { name: 'Inventory', href: '/inventory', icon: Package },
+    { name: 'Data Import', href: '/data-import', icon: Upload },
     { name: 'Reports', href: '/reports', icon: FileText },
     { name: 'Financial', href: '/financial', icon: DollarSign },
     { name: 'Team', href: '/team', icon: Users },
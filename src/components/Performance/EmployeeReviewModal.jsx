@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../../shared/components/organisms/UI/Modal';
+import { Star } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const emptyReview = { rating: 0, strengths: '', improvements: '', comments: '' };
+
+/**
+ * EmployeeReviewModal Component
+ * Record a manager review (1-5 stars) for an employee
+ */
+const EmployeeReviewModal = ({ isOpen, employee, onSave, onClose }) => {
+  const [review, setReview] = useState(emptyReview);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) setReview(emptyReview);
+  }, [isOpen]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({
+        employeeId: employee.id,
+        rating: review.rating,
+        strengths: review.strengths || null,
+        improvements: review.improvements || null,
+        comments: review.comments || null
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={employee ? `Review ${employee.name}` : 'Review'}
+      footer={
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || review.rating === 0}
+          className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Review'}
+        </button>
+      }
+    >
+      <div className="space-y-4">
+        <div className="flex items-center gap-1">
+          {[1, 2, 3, 4, 5].map(value => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setReview(prev => ({ ...prev, rating: value }))}
+              title={`${value} star(s)`}
+            >
+              <Star className={`w-8 h-8 ${value <= review.rating ? 'text-yellow-500 fill-current' : 'text-gray-300 dark:text-gray-600'}`} />
+            </button>
+          ))}
+        </div>
+        <textarea
+          rows={2}
+          value={review.strengths}
+          onChange={(e) => setReview(prev => ({ ...prev, strengths: e.target.value }))}
+          placeholder="Strengths"
+          className={inputClass}
+        />
+        <textarea
+          rows={2}
+          value={review.improvements}
+          onChange={(e) => setReview(prev => ({ ...prev, improvements: e.target.value }))}
+          placeholder="Areas to improve"
+          className={inputClass}
+        />
+        <textarea
+          rows={2}
+          value={review.comments}
+          onChange={(e) => setReview(prev => ({ ...prev, comments: e.target.value }))}
+          placeholder="Comments"
+          className={inputClass}
+        />
+      </div>
+    </Modal>
+  );
+};
+
+export default EmployeeReviewModal;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../../shared/components/organisms/UI/Modal';
+import { SCORE_COMPONENTS, DEFAULT_PERFORMANCE_WEIGHTS } from '../../services/performanceScoring';
+
+/**
+ * ScoringWeightsModal Component
+ * Edit the relative weight of each employee score component
+ */
+const ScoringWeightsModal = ({ isOpen, weights, onSave, onClose }) => {
+  const [draft, setDraft] = useState(DEFAULT_PERFORMANCE_WEIGHTS);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && weights) setDraft(weights);
+  }, [isOpen, weights]);
+
+  const total = SCORE_COMPONENTS.reduce((sum, { key }) => sum + (Number(draft[key]) || 0), 0);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Scoring Weights"
+      footer={
+        <div className="flex justify-between w-full">
+          <button
+            type="button"
+            onClick={() => setDraft(DEFAULT_PERFORMANCE_WEIGHTS)}
+            className="px-4 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+          >
+            Reset to defaults
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || total === 0}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Weights'}
+          </button>
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Weights are relative. Components without data for an employee (e.g. no shifts or no attributed sales)
+          are left out and the remaining weights are scaled up.
+        </p>
+        {SCORE_COMPONENTS.map(({ key, label }) => {
+          const value = Number(draft[key]) || 0;
+          return (
+            <div key={key} className="flex items-center gap-4">
+              <label className="w-40 text-sm font-medium text-gray-700 dark:text-gray-300">{label}</label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={value}
+                onChange={(e) => setDraft(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+                className="flex-1"
+              />
+              <span className="w-20 text-right text-sm text-gray-900 dark:text-white">
+                {value} <span className="text-gray-400">({total > 0 ? Math.round((value / total) * 100) : 0}%)</span>
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </Modal>
+  );
+};
+
+export default ScoringWeightsModal;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { REPORT_PERIODS } from '../../lib/reportTypes';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+/**
+ * ReportFilters Component
+ * Inputs for the parameters a report type declares
+ */
+const ReportFilters = ({ parameters = [], filters, onFilterChange }) => {
+  const { branches } = useBranchSelection();
+
+  const update = (key, value) => onFilterChange({ ...filters, [key]: value });
+
+  if (parameters.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Select a report type to configure it.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+      {parameters.map(parameter => {
+        const value = filters[parameter.key] ?? parameter.default ?? '';
+
+        if (parameter.type === 'period') {
+          return (
+            <React.Fragment key={parameter.key}>
+              <div>
+                <label className={labelClass}>{parameter.label}</label>
+                <select value={value} onChange={(e) => update(parameter.key, e.target.value)} className={inputClass}>
+                  {Object.entries(REPORT_PERIODS).map(([key, period]) => (
+                    <option key={key} value={key}>{period.label}</option>
+                  ))}
+                </select>
+              </div>
+              {value === 'CUSTOM' && (
+                <>
+                  <div>
+                    <label className={labelClass}>From</label>
+                    <input
+                      type="date"
+                      value={filters.startDate || ''}
+                      onChange={(e) => update('startDate', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>To</label>
+                    <input
+                      type="date"
+                      value={filters.endDate || ''}
+                      onChange={(e) => update('endDate', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                </>
+              )}
+            </React.Fragment>
+          );
+        }
+
+        if (parameter.type === 'branch') {
+          return (
+            <div key={parameter.key}>
+              <label className={labelClass}>{parameter.label}</label>
+              <select value={value || ''} onChange={(e) => update(parameter.key, e.target.value || null)} className={inputClass}>
+                <option value="">All branches</option>
+                {branches.map(branch => (
+                  <option key={branch.id} value={branch.id}>{branch.name}</option>
+                ))}
+              </select>
+            </div>
+          );
+        }
+
+        return (
+          <div key={parameter.key}>
+            <label className={labelClass}>{parameter.label}</label>
+            <select value={value} onChange={(e) => update(parameter.key, e.target.value)} className={inputClass}>
+              {parameter.options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReportFilters;
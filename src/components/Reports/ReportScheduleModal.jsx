@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import Modal from '../../shared/components/organisms/UI/Modal';
+import { SCHEDULED_REPORT_TYPES, SCHEDULE_FREQUENCIES, WEEKDAYS } from '../../lib/reportScheduler';
+import { EXPORT_FORMATS } from '../../lib/exportEngine';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const emptyForm = {
+  name: '',
+  report_type: 'sales_summary',
+  report_format: 'pdf',
+  branch_id: '',
+  frequency: 'weekly',
+  day_of_week: 0,
+  day_of_month: 1,
+  run_at: '07:00',
+  timezone: 'Asia/Riyadh',
+  recipients: []
+};
+
+/**
+ * ReportScheduleModal Component
+ * Create or edit a recurring report: type, scope, cadence, format and recipients
+ */
+const ReportScheduleModal = ({ isOpen, schedule, branches, recipients, defaultTimezone, onSave, onClose }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(schedule
+      ? {
+          ...emptyForm,
+          ...schedule,
+          branch_id: schedule.branch_id || '',
+          run_at: String(schedule.run_at || emptyForm.run_at).slice(0, 5),
+          day_of_week: schedule.day_of_week ?? emptyForm.day_of_week,
+          day_of_month: schedule.day_of_month ?? emptyForm.day_of_month
+        }
+      : { ...emptyForm, timezone: defaultTimezone || emptyForm.timezone });
+  }, [isOpen, schedule, defaultTimezone]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleRecipient = (id) => {
+    setForm(prev => ({
+      ...prev,
+      recipients: prev.recipients.includes(id)
+        ? prev.recipients.filter(recipient => recipient !== id)
+        : [...prev.recipients, id]
+    }));
+  };
+
+  const valid = form.name.trim() && form.recipients.length > 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!valid) return;
+
+    setSaving(true);
+    try {
+      await onSave({
+        name: form.name.trim(),
+        report_type: form.report_type,
+        report_format: form.report_format,
+        branch_id: form.branch_id || null,
+        frequency: form.frequency,
+        day_of_week: form.frequency === 'weekly' ? Number(form.day_of_week) : null,
+        day_of_month: form.frequency === 'monthly' ? Number(form.day_of_month) : null,
+        run_at: form.run_at,
+        timezone: form.timezone,
+        recipients: form.recipients
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={schedule ? 'Edit Schedule' : 'New Schedule'}
+      footer={
+        <button
+          type="submit"
+          form="report-schedule-form"
+          disabled={saving || !valid}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      }
+    >
+      <form id="report-schedule-form" onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className={labelClass}>Name</label>
+          <input name="name" value={form.name} onChange={handleChange} className={inputClass} placeholder="Weekly sales for managers" required />
+        </div>
+
+        <div>
+          <label className={labelClass}>Report</label>
+          <select name="report_type" value={form.report_type} onChange={handleChange} className={inputClass}>
+            {Object.values(SCHEDULED_REPORT_TYPES).map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Branch</label>
+          <select name="branch_id" value={form.branch_id} onChange={handleChange} className={inputClass}>
+            <option value="">All branches</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Frequency</label>
+          <select name="frequency" value={form.frequency} onChange={handleChange} className={inputClass}>
+            {Object.entries(SCHEDULE_FREQUENCIES).map(([key, frequency]) => (
+              <option key={key} value={key}>{frequency.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Covers {SCHEDULE_FREQUENCIES[form.frequency].covers}
+          </p>
+        </div>
+
+        {form.frequency === 'weekly' && (
+          <div>
+            <label className={labelClass}>Day</label>
+            <select name="day_of_week" value={form.day_of_week} onChange={handleChange} className={inputClass}>
+              {WEEKDAYS.map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {form.frequency === 'monthly' && (
+          <div>
+            <label className={labelClass}>Day of month</label>
+            <select name="day_of_month" value={form.day_of_month} onChange={handleChange} className={inputClass}>
+              {Array.from({ length: 28 }, (_, i) => i + 1).map(day => (
+                <option key={day} value={day}>{day}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className={labelClass}>Time</label>
+          <input type="time" name="run_at" value={form.run_at} onChange={handleChange} className={inputClass} required />
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{form.timezone}</p>
+        </div>
+
+        <div>
+          <label className={labelClass}>Format</label>
+          <select name="report_format" value={form.report_format} onChange={handleChange} className={inputClass}>
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Recipients</label>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {recipients.map(recipient => (
+              <label key={recipient.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.recipients.includes(recipient.id)}
+                  onChange={() => toggleRecipient(recipient.id)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {recipient.name}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Recipients get an in-app notification with a link to the file
+          </p>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReportScheduleModal;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarClock, Plus, Pause, Play, Pencil, Trash2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useBrand } from '../../contexts/BrandContext';
+import { useBranchSelection } from '../../contexts/BranchSelectionContext';
+import { useNotification } from '../../contexts/NotificationContext';
+import { reportSchedulesAPI, teamAPI } from '../../services/api';
+import { SCHEDULED_REPORT_TYPES, SCHEDULE_FREQUENCIES, WEEKDAYS } from '../../lib/reportScheduler';
+import { EXPORT_FORMATS } from '../../lib/exportEngine';
+import ReportScheduleModal from './ReportScheduleModal';
+
+const describeCadence = (schedule) => {
+  const time = String(schedule.run_at).slice(0, 5);
+  if (schedule.frequency === 'weekly') return `Every ${WEEKDAYS[schedule.day_of_week]} at ${time}`;
+  if (schedule.frequency === 'monthly') return `Monthly on day ${schedule.day_of_month} at ${time}`;
+  return `Daily at ${time}`;
+};
+
+/**
+ * ReportSchedules Component
+ * Recurring reports delivered to the history and as in-app notifications
+ */
+const ReportSchedules = () => {
+  const { user, userProfile } = useAuth();
+  const { brand } = useBrand();
+  const { branches } = useBranchSelection();
+  const { addNotification } = useNotification();
+  const [schedules, setSchedules] = useState([]);
+  const [team, setTeam] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSchedules(await reportSchedulesAPI.getAll() || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load report schedules', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [addNotification]);
+
+  useEffect(() => {
+    loadSchedules();
+    // Team members are optional recipients; the list just stays short without them
+    teamAPI.getAll()
+      .then(members => setTeam((members || []).filter(member => member.status === 'active')))
+      .catch(() => setTeam([]));
+  }, [loadSchedules]);
+
+  const recipients = [
+    ...(user ? [{ id: user.id, name: `${userProfile?.full_name || user.email} (you)` }] : []),
+    ...team
+      .filter(member => member.member_id !== user?.id)
+      .map(member => ({ id: member.member_id, name: member.member?.full_name || member.member?.email || 'Team member' }))
+  ];
+  const recipientNames = Object.fromEntries(recipients.map(recipient => [recipient.id, recipient.name]));
+
+  const handleSave = async (data) => {
+    try {
+      if (editing?.id) {
+        const saved = await reportSchedulesAPI.update(editing.id, data);
+        setSchedules(prev => prev.map(schedule => (schedule.id === saved.id ? saved : schedule)));
+      } else {
+        const saved = await reportSchedulesAPI.create(data);
+        setSchedules(prev => [saved, ...prev]);
+      }
+      setEditing(null);
+      addNotification({ title: 'Success', message: 'Schedule saved', type: 'success' });
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to save schedule', type: 'error' });
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      const saved = await reportSchedulesAPI.setActive(schedule.id, !schedule.is_active);
+      setSchedules(prev => prev.map(item => (item.id === saved.id ? saved : item)));
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to update schedule', type: 'error' });
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!confirm(`Delete the schedule "${schedule.name}"? Reports it produced stay in the history.`)) return;
+
+    try {
+      await reportSchedulesAPI.delete(schedule.id);
+      setSchedules(prev => prev.filter(item => item.id !== schedule.id));
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to delete schedule', type: 'error' });
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Scheduled Reports
+        </h3>
+        <button
+          onClick={() => setEditing({})}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          New Schedule
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading schedules...</div>
+      ) : schedules.length > 0 ? (
+        <div className="space-y-3">
+          {schedules.map(schedule => (
+            <div
+              key={schedule.id}
+              className={`p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg flex items-center justify-between ${schedule.is_active ? '' : 'opacity-60'}`}
+            >
+              <div className="flex items-center gap-4">
+                <div className="p-3 bg-blue-100 dark:bg-blue-900/20 rounded-lg">
+                  <CalendarClock className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-900 dark:text-white">
+                    {schedule.name}
+                    <span className="font-normal text-gray-500 dark:text-gray-400">
+                      {' · '}{SCHEDULED_REPORT_TYPES[schedule.report_type]?.name}
+                      {' · '}{schedule.branches?.name || 'All branches'}
+                      {' · '}{EXPORT_FORMATS[schedule.report_format]?.label}
+                    </span>
+                  </h4>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {describeCadence(schedule)} ({schedule.timezone}), covering {SCHEDULE_FREQUENCIES[schedule.frequency]?.covers}
+                    {schedule.is_active && schedule.next_run_at && ` · Next: ${new Date(schedule.next_run_at).toLocaleString()}`}
+                    {!schedule.is_active && ' · Paused'}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    To: {schedule.recipients.map(id => recipientNames[id] || 'Former member').join(', ')}
+                  </p>
+                  {schedule.last_status === 'failed' && (
+                    <p className="text-xs text-red-600 dark:text-red-400">Last run failed: {schedule.last_error}</p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => handleToggle(schedule)}
+                  title={schedule.is_active ? 'Pause' : 'Resume'}
+                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg"
+                >
+                  {schedule.is_active ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                </button>
+                <button
+                  onClick={() => setEditing(schedule)}
+                  title="Edit"
+                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(schedule)}
+                  title="Delete"
+                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <CalendarClock className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600 dark:text-gray-400">No scheduled reports yet</p>
+        </div>
+      )}
+
+      <ReportScheduleModal
+        isOpen={!!editing}
+        schedule={editing?.id ? editing : null}
+        branches={branches}
+        recipients={recipients}
+        defaultTimezone={brand?.timezone}
+        onSave={handleSave}
+        onClose={() => setEditing(null)}
+      />
+    </div>
+  );
+};
+
+export default ReportSchedules;
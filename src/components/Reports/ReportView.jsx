@@ -0,0 +1,145 @@
+import React from 'react';
+import { MultiLineChart, StackedBarChart } from '../../shared/components/organisms/UI/Charts';
+import { formatValue } from '../../lib/exportEngine';
+
+const SEVERITY_STYLES = {
+  critical: 'border-red-500 bg-red-50 dark:bg-red-900/20',
+  warning: 'border-amber-500 bg-amber-50 dark:bg-amber-900/20',
+  info: 'border-blue-500 bg-blue-50 dark:bg-blue-900/20',
+  positive: 'border-green-500 bg-green-50 dark:bg-green-900/20'
+};
+
+const sectionClass = 'bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6';
+
+const KpiSection = ({ section, currency }) => (
+  <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+    {section.items.map(item => (
+      <div key={item.label} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+        <div className="text-sm text-gray-600 dark:text-gray-400">{item.label}</div>
+        <div className="text-xl font-bold text-gray-900 dark:text-white mt-1">
+          {formatValue(item.value, item.format, currency)}
+        </div>
+        {item.change !== null && item.change !== undefined && (
+          <div className={`text-xs mt-1 ${item.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+            {item.change >= 0 ? '+' : ''}{item.change}% vs previous period
+          </div>
+        )}
+      </div>
+    ))}
+  </div>
+);
+
+const TableSection = ({ section, currency }) => {
+  if (section.rows.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No data for this period.</p>;
+  }
+
+  const alignRight = (column) => column.format !== 'text' && column.format !== 'date';
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+            {section.columns.map(column => (
+              <th key={column.key} className={`py-2 px-3 font-semibold ${alignRight(column) ? 'text-right' : 'text-left'}`}>
+                {column.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {section.rows.map((row, index) => (
+            <tr key={index} className="border-b border-gray-100 dark:border-gray-700">
+              {section.columns.map(column => (
+                <td key={column.key} className={`py-2 px-3 text-gray-700 dark:text-gray-300 ${alignRight(column) ? 'text-right' : ''}`}>
+                  {formatValue(row[column.key], column.format, currency)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        {section.totals && (
+          <tfoot>
+            <tr className="font-semibold text-gray-900 dark:text-white">
+              {section.columns.map(column => (
+                <td key={column.key} className={`py-2 px-3 ${alignRight(column) ? 'text-right' : ''}`}>
+                  {formatValue(section.totals[column.key], column.format, currency)}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    </div>
+  );
+};
+
+const ChartSection = ({ section }) => {
+  // The shared charts plot against `date`
+  const data = section.xKey === 'date'
+    ? section.data
+    : section.data.map(row => ({ ...row, date: row[section.xKey] }));
+
+  return section.chart === 'bar'
+    ? <StackedBarChart data={data} bars={section.series} />
+    : <MultiLineChart data={data} lines={section.series} />;
+};
+
+/**
+ * ReportView Component
+ * Renders a generated report: summary, sections, insights and data notes
+ */
+const ReportView = ({ report }) => (
+  <div className="space-y-6">
+    <div className="bg-blue-50 dark:bg-blue-900/20 rounded-xl p-6 border border-blue-200 dark:border-blue-800">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
+        Executive Summary
+      </h3>
+      <p className="text-gray-700 dark:text-gray-300 leading-relaxed">{report.executiveSummary}</p>
+    </div>
+
+    {report.insights.length > 0 && (
+      <div className={sectionClass}>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Insights</h3>
+        <div className="space-y-3">
+          {report.insights.map((insight, index) => (
+            <div key={index} className={`p-4 rounded-lg border-l-4 ${SEVERITY_STYLES[insight.severity]}`}>
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <h4 className="font-semibold text-gray-900 dark:text-white">{insight.title}</h4>
+                {insight.source === 'ai' && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300">
+                    AI
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-gray-700 dark:text-gray-300">{insight.description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+
+    {report.sections.map(section => (
+      <div key={section.id} className={sectionClass}>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">{section.title}</h3>
+        {section.type === 'kpis' && <KpiSection section={section} currency={report.currency} />}
+        {section.type === 'table' && <TableSection section={section} currency={report.currency} />}
+        {section.type === 'chart' && <ChartSection section={section} />}
+        {section.type === 'text' && (
+          <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">{section.content}</p>
+        )}
+      </div>
+    ))}
+
+    {report.metadata.warnings.length > 0 && (
+      <ul className="space-y-1 text-xs text-amber-600 dark:text-amber-400">
+        {report.metadata.warnings.map(warning => (
+          <li key={warning}>{warning}</li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default ReportView;
@@ -1,20 +1,58 @@
 /**
  * AI Chat Context
- * Manages AI chat sidebar state and functionality
+ * Manages AI chat sidebar state and functionality. Conversations are saved
+ * per user and brand; a resumed conversation keeps the branch and page
+ * context it started with. The advisor looks up live data through
+ * read-only tools (see advisorTools) scoped to the user's branches. Each
+ * request stays inside the provider's token budget: older turns are folded
+ * into a rolling summary and the conversation's tokens, cost and requests
+ * are tracked for the usage meter.
  */
 
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useEffect, useMemo } from 'react';
 import { aiChatClient } from '@/services/aiClient';
-import { getBusinessMetricsForAdvisor } from '@/services/advisorMetricsService';
+import {
+  getAdvisorScope, advisorToolDefinitions, runAdvisorTool, describeToolCall, relevantBranches
+} from '@/services/advisorTools';
+import { CONTEXT_BUDGET, tokenCountingOf, inputTokenBudget, splitHistory, estimateCost } from '@/services/llm';
+import { aiConversationsAPI } from '@/services/api';
 import { logger } from '@/lib/logger';
+import { getBusinessDate } from '@/utils/businessDay';
 import { useBrand } from './BrandContext';
 import { useBranchSelection } from './BranchSelectionContext';
+import { useSubscription } from './SubscriptionContext';
 
 const AIChatContext = createContext(null);
 
+// Tokens reserved for each answer
+const ANSWER_TOKENS = 1000;
+
+const NO_SUMMARY = { text: null, count: 0 };
+const NO_USAGE = { inputTokens: 0, outputTokens: 0, requests: 0, contextTokens: 0 };
+
+const addUsage = (totals, usage, requests) => ({
+  inputTokens: totals.inputTokens + (usage?.inputTokens || 0),
+  outputTokens: totals.outputTokens + (usage?.outputTokens || 0),
+  requests: totals.requests + requests,
+  contextTokens: totals.contextTokens,
+});
+
+// Saved ai_messages row as a chat message
+const toChatMessage = (row) => ({
+  id: row.id,
+  savedId: row.id,
+  role: row.role,
+  content: row.content,
+  timestamp: new Date(row.created_at),
+  isError: row.is_error,
+  insightId: row.insight_id,
+  toolCalls: row.tool_calls || [],
+});
+
 export function AIChatProvider({ children }) {
   const { brand } = useBrand();
   const { selectedBranch } = useBranchSelection();
+  const { refreshUsage } = useSubscription();
 
   // State
   const [isOpen, setIsOpen] = useState(false);
@@ -22,6 +60,36 @@ export function AIChatProvider({ children }) {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [currentContext, setCurrentContext] = useState({});
+  const [conversations, setConversations] = useState([]);
+  const [conversationsLoading, setConversationsLoading] = useState(false);
+  const [activeConversation, setActiveConversation] = useState(null);
+  // Turns folded into the summary are the first `count` messages
+  const [summary, setSummary] = useState(NO_SUMMARY);
+  const [usageTotals, setUsageTotals] = useState(NO_USAGE);
+
+  // Conversations belong to a brand
+  useEffect(() => {
+    setConversations([]);
+    setActiveConversation(null);
+    setMessages([]);
+    setSummary(NO_SUMMARY);
+    setUsageTotals(NO_USAGE);
+  }, [brand?.id]);
+
+  const { provider, model } = useMemo(() => aiChatClient.providerFor(brand), [brand]);
+
+  /**
+   * The conversation's usage for the meter: tokens, estimated cost (null
+   * when the model's price is unknown), requests, and how full the last
+   * request's context was
+   */
+  const conversationUsage = useMemo(() => ({
+    ...usageTotals,
+    totalTokens: usageTotals.inputTokens + usageTotals.outputTokens,
+    cost: estimateCost(usageTotals, provider, model),
+    contextLimit: inputTokenBudget(provider, ANSWER_TOKENS),
+    summarized: summary.count > 0,
+  }), [usageTotals, summary, provider, model]);
 
   /**
    * Open the sidebar
@@ -54,13 +122,151 @@ export function AIChatProvider({ children }) {
   }, []);
 
   /**
-   * Clear all messages
+   * Start a new conversation; the current one stays in the history
    */
   const clearMessages = useCallback(() => {
     setMessages([]);
+    setActiveConversation(null);
+    setSummary(NO_SUMMARY);
+    setUsageTotals(NO_USAGE);
+    setError(null);
     logger.info('AI Chat messages cleared');
   }, []);
 
+  /**
+   * Load saved conversations, optionally matching a search term
+   */
+  const loadConversations = useCallback(async (search = '') => {
+    setConversationsLoading(true);
+    try {
+      const data = await aiConversationsAPI.list({ search });
+      setConversations(data || []);
+    } catch (err) {
+      logger.error('Failed to load AI conversations', err);
+      setError(err.message || 'Failed to load conversations');
+    } finally {
+      setConversationsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Resume a saved conversation
+   */
+  const openConversation = useCallback(async (conversationId) => {
+    setError(null);
+    try {
+      const { messages: savedMessages = [], ...conversation } = await aiConversationsAPI.get(conversationId);
+      setActiveConversation(conversation);
+      setMessages(savedMessages.map(toChatMessage));
+      setSummary({ text: conversation.summary || null, count: conversation.summarized_count || 0 });
+      setUsageTotals({
+        inputTokens: Number(conversation.input_tokens) || 0,
+        outputTokens: Number(conversation.output_tokens) || 0,
+        requests: conversation.ai_requests || 0,
+        contextTokens: 0,
+      });
+      logger.info('AI conversation resumed', { conversationId });
+    } catch (err) {
+      logger.error('Failed to open AI conversation', err);
+      setError(err.message || 'Failed to open conversation');
+    }
+  }, []);
+
+  /**
+   * Rename a saved conversation
+   */
+  const renameConversation = useCallback(async (conversationId, title) => {
+    try {
+      const updated = await aiConversationsAPI.rename(conversationId, title);
+      setConversations((prev) => prev.map((item) => (item.id === conversationId ? updated : item)));
+      setActiveConversation((prev) => (prev?.id === conversationId ? { ...prev, title: updated.title } : prev));
+    } catch (err) {
+      logger.error('Failed to rename AI conversation', err);
+      setError(err.message || 'Failed to rename conversation');
+    }
+  }, []);
+
+  /**
+   * Delete a saved conversation (pinned answers stay on the Dashboard)
+   */
+  const deleteConversation = useCallback(async (conversationId) => {
+    try {
+      await aiConversationsAPI.delete(conversationId);
+      setConversations((prev) => prev.filter((item) => item.id !== conversationId));
+      if (activeConversation?.id === conversationId) {
+        clearMessages();
+      }
+    } catch (err) {
+      logger.error('Failed to delete AI conversation', err);
+      setError(err.message || 'Failed to delete conversation');
+    }
+  }, [activeConversation, clearMessages]);
+
+  /**
+   * Save a message to a conversation. Chatting goes on if saving fails.
+   */
+  const saveMessage = useCallback(async (conversationId, message) => {
+    if (!conversationId) {
+      return null;
+    }
+    try {
+      const saved = await aiConversationsAPI.addMessage(conversationId, message);
+      setConversations((prev) => {
+        const conversation = prev.find((item) => item.id === conversationId);
+        return conversation
+          ? [{ ...conversation, last_message_at: saved.created_at }, ...prev.filter((item) => item.id !== conversationId)]
+          : prev;
+      });
+      return saved;
+    } catch (err) {
+      logger.warn('Could not save AI message', err);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Pin an advisor answer to the Dashboard as an insight
+   */
+  const pinMessage = useCallback(async (messageId) => {
+    const index = messages.findIndex((msg) => msg.id === messageId);
+    const message = messages[index];
+    if (!message?.savedId || !activeConversation) {
+      return;
+    }
+
+    const question = messages.slice(0, index).reverse().find((msg) => msg.role === 'user');
+    try {
+      const insight = await aiConversationsAPI.pinMessage({
+        message: { id: message.savedId, content: message.content },
+        question: question?.content,
+        conversation: activeConversation,
+      });
+      setMessages((prev) => prev.map((msg) => (msg.id === messageId ? { ...msg, insightId: insight.id } : msg)));
+      logger.info('AI answer pinned to Dashboard', { insightId: insight.id });
+    } catch (err) {
+      logger.error('Failed to pin AI answer', err);
+      setError(err.message || 'Failed to pin answer');
+    }
+  }, [messages, activeConversation]);
+
+  /**
+   * Remove a pinned answer from the Dashboard
+   */
+  const unpinMessage = useCallback(async (messageId) => {
+    const message = messages.find((msg) => msg.id === messageId);
+    if (!message?.savedId || !message.insightId) {
+      return;
+    }
+
+    try {
+      await aiConversationsAPI.unpinMessage({ id: message.savedId, insightId: message.insightId });
+      setMessages((prev) => prev.map((msg) => (msg.id === messageId ? { ...msg, insightId: null } : msg)));
+    } catch (err) {
+      logger.error('Failed to unpin AI answer', err);
+      setError(err.message || 'Failed to unpin answer');
+    }
+  }, [messages]);
+
   /**
    * Send a message to AI
    */
@@ -83,115 +289,170 @@ export function AIChatProvider({ children }) {
 
       setMessages((prev) => [...prev, newUserMessage]);
 
-      try {
-        // Fetch business metrics for rich context
-        let businessMetrics = null;
+      // A resumed conversation answers from the branch and page it started on
+      const branch = activeConversation ? activeConversation.branch : selectedBranch;
+      const pageContext = activeConversation
+        ? { ...currentContext, ...activeConversation.context }
+        : currentContext;
+
+      let conversation = activeConversation;
+      if (!conversation) {
         try {
-          businessMetrics = await getBusinessMetricsForAdvisor({
+          conversation = await aiConversationsAPI.create({
+            firstMessage: userMessage,
             branchId: selectedBranch?.id || null,
-            includePredictions: true,
-            includeAnomalies: true,
-            includeRecommendations: true,
-            timeframe: 'current',
+            context: currentContext,
           });
-          logger.info('Fetched business metrics for AI advisor', businessMetrics);
-        } catch (metricsError) {
-          logger.warn('Could not fetch business metrics', metricsError);
+          setActiveConversation(conversation);
+          setConversations((prev) => [conversation, ...prev]);
+        } catch (conversationError) {
+          logger.warn('Could not save AI conversation', conversationError);
         }
+      }
+      await saveMessage(conversation?.id, { role: 'user', content: userMessage });
+
+      const assistantMessageId = Date.now() + 1;
+      let fullResponse = '';
+      let toolCalls = [];
+
+      const updateAssistantMessage = (changes) => {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === assistantMessageId
+              ? { ...msg, ...changes }
+              : msg
+          )
+        );
+      };
+
+      // Placeholder for the answer and the data lookups behind it
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: assistantMessageId,
+          role: 'assistant',
+          content: '',
+          timestamp: new Date(),
+          isStreaming: streaming,
+          isPending: true,
+          toolCalls: [],
+        },
+      ]);
+
+      const counting = tokenCountingOf(provider);
+      const maxInputTokens = inputTokenBudget(provider, ANSWER_TOKENS);
+      let nextSummary = summary;
+      let totals = usageTotals;
+
+      try {
+        // Turns since the summary; once they outgrow the history budget the
+        // older ones are folded into it
+        const turns = messages
+          .map((msg, index) => ({ role: msg.role, content: msg.content, index, isError: msg.isError }))
+          .slice(summary.count)
+          .filter((turn) => !turn.isError);
+        const { recent, older } = splitHistory(turns, {
+          counting,
+          historyTokens: Math.min(CONTEXT_BUDGET.historyTokens, Math.floor(maxInputTokens / 3)),
+        });
+        if (older.length > 0) {
+          try {
+            const folded = await aiChatClient.summarizeConversation({ summary: summary.text, turns: older, counting });
+            nextSummary = { text: folded.content, count: recent[0]?.index ?? messages.length };
+            totals = addUsage(totals, folded.usage, 1);
+          } catch (summaryError) {
+            // Answer from the recent turns alone; the summary is retried next time
+            logger.warn('Could not summarize earlier AI turns', summaryError);
+          }
+        }
+
+        // The advisor looks data up with tools, for the user's branches only
+        const scope = await getAdvisorScope({ branchId: branch?.id || null });
+        const { branches, more } = relevantBranches(scope, userMessage);
 
-        // Prepare context with metrics
         const context = {
           brand,
-          branch: selectedBranch,
-          metrics: businessMetrics,
-          ...currentContext,
+          branch,
+          branches,
+          moreBranches: more,
+          today: getBusinessDate(),
+          summary: nextSummary.text,
+          ...pageContext,
         };
 
         const systemMessage = aiChatClient.generateSystemMessage(context);
-        const conversationMessages = messages.map((msg) => ({
-          role: msg.role,
-          content: msg.content,
-        }));
-
         const apiMessages = [
           systemMessage,
-          ...conversationMessages,
+          ...recent.map((turn) => ({ role: turn.role, content: turn.content })),
           { role: 'user', content: userMessage },
         ];
 
-        if (streaming) {
-          // Streaming response
-          const assistantMessageId = Date.now() + 1;
-          let fullResponse = '';
-
-          // Add placeholder for assistant message
-          setMessages((prev) => [
-            ...prev,
-            {
-              id: assistantMessageId,
-              role: 'assistant',
-              content: '',
-              timestamp: new Date(),
-              isStreaming: true,
-            },
-          ]);
-
-          await aiChatClient.sendMessageStreaming(
-            apiMessages,
-            (chunk) => {
-              fullResponse += chunk;
-              setMessages((prev) =>
-                prev.map((msg) =>
-                  msg.id === assistantMessageId
-                    ? { ...msg, content: fullResponse }
-                    : msg
-                )
-              );
-            }
-          );
-
-          // Mark streaming as complete
-          setMessages((prev) =>
-            prev.map((msg) =>
-              msg.id === assistantMessageId
-                ? { ...msg, isStreaming: false }
-                : msg
-            )
-          );
-        } else {
-          // Regular response
-          const response = await aiChatClient.sendMessage(apiMessages);
-
-          const assistantMessage = {
-            id: Date.now() + 1,
-            role: 'assistant',
-            content: response,
-            timestamp: new Date(),
-          };
-
-          setMessages((prev) => [...prev, assistantMessage]);
-        }
+        const { content, usage, requests, contextTokens } = await aiChatClient.sendMessageWithTools(apiMessages, {
+          tools: advisorToolDefinitions(scope),
+          runTool: (call) => runAdvisorTool(call, scope),
+          stream: streaming,
+          counting,
+          maxInputTokens,
+          maxTokens: ANSWER_TOKENS,
+          onChunk: (chunk) => {
+            fullResponse += chunk;
+            updateAssistantMessage({ content: fullResponse });
+          },
+          onToolCall: (call) => {
+            const entry = {
+              id: call.id,
+              name: call.name,
+              label: describeToolCall(call, scope),
+              status: call.status,
+              ...(call.error ? { error: call.error } : {}),
+            };
+            toolCalls = toolCalls.some((item) => item.id === call.id)
+              ? toolCalls.map((item) => (item.id === call.id ? entry : item))
+              : [...toolCalls, entry];
+            updateAssistantMessage({ toolCalls });
+          },
+        });
+        totals = { ...addUsage(totals, usage, requests), contextTokens };
+
+        const saved = await saveMessage(conversation?.id, {
+          role: 'assistant',
+          content,
+          usage,
+          toolCalls: toolCalls.length > 0 ? toolCalls : null,
+        });
+        updateAssistantMessage({ content, isStreaming: false, isPending: false, savedId: saved?.id });
 
         logger.info('AI message sent successfully');
       } catch (err) {
         logger.error('Failed to send AI message', err);
         setError(err.message || 'Failed to send message');
 
-        // Add error message to chat
-        const errorMessage = {
-          id: Date.now() + 1,
+        // Show the error in place of the answer
+        const errorContent = `Sorry, I encountered an error: ${err.message || 'Unknown error'}. Please try again.`;
+        await saveMessage(conversation?.id, {
           role: 'assistant',
-          content: `Sorry, I encountered an error: ${err.message || 'Unknown error'}. Please try again.`,
-          timestamp: new Date(),
+          content: errorContent,
           isError: true,
-        };
-
-        setMessages((prev) => [...prev, errorMessage]);
+          toolCalls: toolCalls.length > 0 ? toolCalls : null,
+        });
+        updateAssistantMessage({ content: errorContent, isError: true, isStreaming: false, isPending: false });
       } finally {
+        setSummary(nextSummary);
+        setUsageTotals(totals);
         setIsLoading(false);
+        if (conversation?.id && (nextSummary !== summary || totals !== usageTotals)) {
+          aiConversationsAPI
+            .saveProgress(conversation.id, { summary: nextSummary.text, summarizedCount: nextSummary.count, usage: totals })
+            .catch((progressError) => logger.warn('Could not save AI conversation usage', progressError));
+        }
+        // The proxy counted the requests against the monthly allowance
+        refreshUsage('aiRequests');
       }
     },
-    [messages, brand, selectedBranch, currentContext]
+    [
+      messages, brand, selectedBranch, currentContext, activeConversation, saveMessage,
+      provider, summary, usageTotals, refreshUsage,
+    ]
   );
 
   /**
@@ -211,6 +472,10 @@ export function AIChatProvider({ children }) {
     isLoading,
     error,
     currentContext,
+    conversations,
+    conversationsLoading,
+    activeConversation,
+    conversationUsage,
 
     // Methods
     openSidebar,
@@ -220,6 +485,12 @@ export function AIChatProvider({ children }) {
     sendSuggestion,
     clearMessages,
     updateContext,
+    loadConversations,
+    openConversation,
+    renameConversation,
+    deleteConversation,
+    pinMessage,
+    unpinMessage,
   };
 
   return <AIChatContext.Provider value={value}>{children}</AIChatContext.Provider>;
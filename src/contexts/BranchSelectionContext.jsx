@@ -2,6 +2,7 @@ import React, { createContext, useContext, useState, useEffect, useCallback } fr
 import { useAuth } from './AuthContext';
 import { useBrand } from './BrandContext';
 import api from '../services/api';
+import { DEFAULT_CURRENCY } from '../utils/currency';
 
 const BranchSelectionContext = createContext();
 
@@ -18,6 +19,10 @@ export const BranchSelectionProvider = ({ children }) => {
   const [selectedBranch, setSelectedBranch] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // 'reporting' converts figures into the brand currency, 'local' keeps branch currencies
+  const [currencyView, setCurrencyViewState] = useState(
+    () => localStorage.getItem('currencyView') || 'reporting'
+  );
 
   /**
    * Fetch all branches for the current brand
@@ -188,6 +193,26 @@ export const BranchSelectionProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Switch between reporting-currency and local-currency figures
+   */
+  const setCurrencyView = useCallback((view) => {
+    setCurrencyViewState(view);
+    localStorage.setItem('currencyView', view);
+  }, []);
+
+  /**
+   * Currency argument for analytics calls: undefined converts into the
+   * reporting currency, null keeps the branch's own currency. Local figures
+   * are only used when the view is scoped to a single branch (or split per
+   * branch), since summing different currencies is meaningless.
+   */
+  const resolveCurrency = useCallback((perBranch) => {
+    return currencyView === 'local' && perBranch ? null : undefined;
+  }, [currencyView]);
+
+  const reportingCurrency = brand?.currency || DEFAULT_CURRENCY;
+
   const value = {
     // State
     branches,
@@ -195,6 +220,12 @@ export const BranchSelectionProvider = ({ children }) => {
     loading,
     error,
 
+    // Currency view
+    currencyView,
+    setCurrencyView,
+    reportingCurrency,
+    resolveCurrency,
+
     // Branch count
     branchCount: branches.length,
     hasMultipleBranches: branches.length > 1,
@@ -1,6 +1,9 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { brandAPI } from '@/services/api';
 import { logger } from '@/lib/logger';
+import { setReportingDaySettings } from '@/utils/businessDay';
+import { setReportingCurrency } from '@/utils/currency';
+import { setPdfBranding } from '@/utils/pdfDocument';
 import { useAuth } from './AuthContext';
 
 const BrandContext = createContext(null);
@@ -29,6 +32,15 @@ export const BrandProvider = ({ children }) => {
     }
   }, [user]);
 
+  // Date ranges without a branch follow the brand's timezone and day-close cutoff,
+  // and consolidated figures are converted into the brand's reporting currency.
+  // Exported PDFs carry the brand's logo and color
+  useEffect(() => {
+    setReportingDaySettings(brand);
+    setReportingCurrency(brand?.currency);
+    setPdfBranding(brand);
+  }, [brand]);
+
   const fetchBrand = async () => {
     try {
       setLoading(true);
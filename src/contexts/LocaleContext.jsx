@@ -1,6 +1,7 @@
 // src/contexts/LocaleContext.jsx
 import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
 import logger from '../lib/logger';
+import { getReportingCurrency } from '../utils/currency';
 
 const LocaleContext = createContext();
 
@@ -320,7 +321,7 @@ export function LocaleProvider({ children }) {
   }, [locale]);
 
   // Format currency according to locale
-  const formatCurrency = useCallback((amount, currency = 'SAR') => {
+  const formatCurrency = useCallback((amount, currency = getReportingCurrency()) => {
     try {
       return new Intl.NumberFormat(locale === 'ar' ? 'ar-SA' : 'en-US', {
         style: 'currency',
@@ -136,18 +136,36 @@ export const SubscriptionProvider = ({ children }) => {
   }, [usage]);
 
   /**
-   * Track usage for a feature
+   * Track usage for a feature. Resolves to the counted usage, with
+   * allowed: false when the plan limit left no room (nothing is counted then)
    */
   const trackUsage = useCallback(async (featureKey, incrementBy = 1) => {
-    if (!user?.id) return;
+    if (!user?.id) return null;
 
     try {
-      await subscriptionService.usage.track(user.id, featureKey, incrementBy);
+      const result = await subscriptionService.usage.track(user.id, featureKey, incrementBy);
       // Refresh usage data
       const usageData = await subscriptionService.usage.getAllUsage(user.id);
       setUsage(usageData);
+      return result;
     } catch (err) {
       logger.error(`Failed to track usage for ${featureKey}`, err);
+      return null;
+    }
+  }, [user]);
+
+  /**
+   * Reload usage for one feature counted elsewhere, e.g. AI advisor
+   * requests counted by the ai-chat Edge Function
+   */
+  const refreshUsage = useCallback(async (featureKey) => {
+    if (!user?.id) return;
+
+    try {
+      const featureUsage = await subscriptionService.usage.checkLimit(user.id, featureKey);
+      setUsage((prev) => ({ ...prev, [featureKey]: featureUsage }));
+    } catch (err) {
+      logger.error(`Failed to refresh usage for ${featureKey}`, err);
     }
   }, [user]);
 
@@ -347,6 +365,7 @@ export const SubscriptionProvider = ({ children }) => {
     cancelSubscription,
     reactivateSubscription,
     trackUsage,
+    refreshUsage,
 
     // Checks
     hasFeature,
@@ -0,0 +1,136 @@
+/**
+ * AvailabilityEditor Component
+ * Edit an employee's recurring weekly availability windows
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Save } from 'lucide-react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { saveAvailability } from '../services/schedulingService';
+
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+export default function AvailabilityEditor({ brandId, staff, availability, onChange }) {
+  const { addNotification } = useNotification();
+  const [employeeId, setEmployeeId] = useState('');
+  const [windows, setWindows] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!employeeId && staff.length > 0) setEmployeeId(staff[0].id);
+  }, [staff, employeeId]);
+
+  useEffect(() => {
+    setWindows(availability
+      .filter(window => window.employee_id === employeeId)
+      .map(window => ({
+        weekday: window.weekday,
+        start_time: window.start_time.slice(0, 5),
+        end_time: window.end_time.slice(0, 5),
+        is_available: window.is_available
+      })));
+  }, [availability, employeeId]);
+
+  const updateWindow = (index, changes) => {
+    setWindows(prev => prev.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveAvailability({ brandId, employeeId, windows });
+      addNotification({ type: 'success', title: 'Availability saved', message: 'Roster checks now use the updated windows' });
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to save availability', message: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (staff.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No staff members yet</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={employeeId} onChange={(e) => setEmployeeId(e.target.value)} className={inputClass}>
+          {staff.map(member => (
+            <option key={member.id} value={member.id}>{member.full_name || member.email}</option>
+          ))}
+        </select>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Days without windows are treated as fully available.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        {windows.map((window, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              value={window.weekday}
+              onChange={(e) => updateWindow(index, { weekday: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {WEEKDAY_LABELS.map((label, weekday) => (
+                <option key={label} value={weekday}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={window.is_available ? 'available' : 'unavailable'}
+              onChange={(e) => updateWindow(index, { is_available: e.target.value === 'available' })}
+              className={inputClass}
+            >
+              <option value="available">Available</option>
+              <option value="unavailable">Unavailable</option>
+            </select>
+            <input
+              type="time"
+              value={window.start_time}
+              onChange={(e) => updateWindow(index, { start_time: e.target.value })}
+              className={inputClass}
+            />
+            <span className="text-gray-500">–</span>
+            <input
+              type="time"
+              value={window.end_time}
+              onChange={(e) => updateWindow(index, { end_time: e.target.value })}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => setWindows(prev => prev.filter((_, i) => i !== index))}
+              className="p-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+              title="Remove window"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => setWindows(prev => [...prev, { weekday: 0, start_time: '09:00', end_time: '17:00', is_available: true }])}
+          className="flex items-center gap-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+        >
+          <Plus className="w-4 h-4" />
+          Add window
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || !employeeId}
+          className="flex items-center gap-1 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Saving...' : 'Save availability'}
+        </button>
+      </div>
+    </div>
+  );
+}
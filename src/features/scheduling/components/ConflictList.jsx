@@ -0,0 +1,46 @@
+/**
+ * ConflictList Component
+ * Roster problems grouped by employee: overlaps, rest periods, weekly hours,
+ * time off and availability
+ */
+
+import React from 'react';
+import { AlertTriangle, AlertCircle, CheckCircle } from 'lucide-react';
+
+export default function ConflictList({ conflicts, staff }) {
+  if (conflicts.length === 0) {
+    return (
+      <div className="flex items-center gap-2 p-3 rounded-lg bg-green-50 dark:bg-green-900/20 text-sm text-green-700 dark:text-green-400">
+        <CheckCircle className="w-4 h-4" />
+        No conflicts in this roster
+      </div>
+    );
+  }
+
+  const nameOf = (employeeId) => {
+    const member = staff.find(m => m.id === employeeId);
+    return member?.full_name || member?.email || 'Staff member at another branch';
+  };
+
+  const errors = conflicts.filter(conflict => conflict.severity === 'error').length;
+
+  return (
+    <div className="rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50/50 dark:bg-amber-900/10 p-4">
+      <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+        {conflicts.length} issue(s){errors > 0 ? `, ${errors} blocking` : ''}
+      </p>
+      <ul className="space-y-1.5 text-sm">
+        {conflicts.map((conflict, index) => (
+          <li key={`${conflict.type}-${index}`} className="flex items-start gap-2">
+            {conflict.severity === 'error'
+              ? <AlertCircle className="w-4 h-4 text-red-500 mt-0.5 shrink-0" />
+              : <AlertTriangle className="w-4 h-4 text-amber-500 mt-0.5 shrink-0" />}
+            <span className="text-gray-700 dark:text-gray-300">
+              <span className="font-medium">{nameOf(conflict.employeeId)}:</span> {conflict.message}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * RosterGrid Component
+ * Staff × weekday grid of shifts with weekly hours and conflict markers
+ */
+
+import React, { useMemo } from 'react';
+import { Plus, AlertTriangle } from 'lucide-react';
+import { getShiftMinutes } from '@/utils/rostering';
+
+const formatTime = (time) => time?.slice(0, 5);
+
+export default function RosterGrid({ staff, shifts, weekDates, conflicts, timeOff, onAddShift, onEditShift }) {
+  // Shift id -> worst severity among its conflicts
+  const conflictByShift = useMemo(() => {
+    const map = {};
+    conflicts.forEach(conflict => {
+      conflict.shiftIds.forEach(id => {
+        if (map[id] !== 'error') map[id] = conflict.severity;
+      });
+    });
+    return map;
+  }, [conflicts]);
+
+  const rows = [
+    ...staff.map(member => ({ id: member.id, name: member.full_name || member.email })),
+    { id: null, name: 'Open shifts' }
+  ];
+
+  const shiftsFor = (employeeId, date) => shifts.filter(shift =>
+    (shift.employee_id || null) === employeeId && shift.shift_date === date
+  );
+
+  const isOnLeave = (employeeId, date) => employeeId && timeOff.some(request =>
+    request.employee_id === employeeId &&
+    request.status === 'approved' &&
+    request.start_date <= date &&
+    request.end_date >= date
+  );
+
+  const weeklyHours = (employeeId) => {
+    const minutes = shifts
+      .filter(shift => shift.employee_id === employeeId)
+      .reduce((sum, shift) => sum + getShiftMinutes(shift), 0);
+    return Math.round((minutes / 60) * 10) / 10;
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full border-collapse text-sm">
+        <thead>
+          <tr>
+            <th className="sticky left-0 bg-white dark:bg-gray-800 px-3 py-2 text-left font-semibold text-gray-700 dark:text-gray-300 w-48">
+              Staff
+            </th>
+            {weekDates.map(date => (
+              <th key={date} className="px-2 py-2 text-center font-semibold text-gray-700 dark:text-gray-300 min-w-[120px]">
+                {new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', timeZone: 'UTC' })}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id || 'open'} className="border-t border-gray-200 dark:border-gray-700">
+              <td className="sticky left-0 bg-white dark:bg-gray-800 px-3 py-2 align-top">
+                <div className="font-medium text-gray-900 dark:text-white">{row.name}</div>
+                {row.id && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{weeklyHours(row.id)}h this week</div>
+                )}
+              </td>
+              {weekDates.map(date => (
+                <td
+                  key={date}
+                  className={`px-1 py-1 align-top ${isOnLeave(row.id, date) ? 'bg-amber-50 dark:bg-amber-900/10' : ''}`}
+                >
+                  <div className="space-y-1">
+                    {shiftsFor(row.id, date).map(shift => {
+                      const severity = conflictByShift[shift.id];
+                      return (
+                        <button
+                          key={shift.id}
+                          type="button"
+                          onClick={() => onEditShift(shift)}
+                          className={`w-full text-left px-2 py-1 rounded-md text-xs border transition-colors
+                            ${severity === 'error'
+                              ? 'border-red-400 bg-red-50 dark:bg-red-900/20'
+                              : severity === 'warning'
+                                ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20'
+                                : 'border-indigo-200 dark:border-indigo-800 bg-indigo-50 dark:bg-indigo-900/20'}
+                            hover:shadow-sm`}
+                        >
+                          <div className="flex items-center gap-1 font-semibold text-gray-900 dark:text-white">
+                            {severity && <AlertTriangle className={`w-3 h-3 ${severity === 'error' ? 'text-red-500' : 'text-amber-500'}`} />}
+                            {formatTime(shift.start_time)}–{formatTime(shift.end_time)}
+                          </div>
+                          {shift.role && <div className="text-gray-500 dark:text-gray-400 truncate">{shift.role}</div>}
+                        </button>
+                      );
+                    })}
+                    {isOnLeave(row.id, date) && (
+                      <div className="text-[11px] text-amber-700 dark:text-amber-400 px-1">Time off</div>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => onAddShift({ employee_id: row.id || '', shift_date: date })}
+                      className="w-full flex justify-center py-1 text-gray-300 hover:text-indigo-500 dark:text-gray-600"
+                      title="Add shift"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  </div>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
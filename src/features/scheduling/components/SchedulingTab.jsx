@@ -0,0 +1,273 @@
+/**
+ * SchedulingTab Component
+ * Weekly roster of a branch with shift templates, availability, time off
+ * and conflict checks; publishing a roster notifies the scheduled staff
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Calendar, ChevronLeft, ChevronRight, Send, RotateCcw } from 'lucide-react';
+import { useBrand } from '@/contexts/BrandContext';
+import { useBranchSelection } from '@/contexts/BranchSelectionContext';
+import { useNotification } from '@/contexts/NotificationContext';
+import { getBusinessDate, getDaySettings, shiftDate } from '@/utils/businessDay';
+import { getWeekStart, getWeekDates } from '@/utils/rostering';
+import { useRoster } from '../hooks/useRoster';
+import RosterGrid from './RosterGrid';
+import ShiftFormModal from './ShiftFormModal';
+import ConflictList from './ConflictList';
+import TimeOffRequests from './TimeOffRequests';
+import AvailabilityEditor from './AvailabilityEditor';
+import ShiftTemplates from './ShiftTemplates';
+import StaffWages from './StaffWages';
+
+const VIEWS = [
+  { id: 'roster', label: 'Roster' },
+  { id: 'timeOff', label: 'Time Off' },
+  { id: 'availability', label: 'Availability' },
+  { id: 'templates', label: 'Shift Templates' },
+  { id: 'wages', label: 'Wages' }
+];
+
+export default function SchedulingTab() {
+  const { brand } = useBrand();
+  const { branches, selectedBranch, selectBranch } = useBranchSelection();
+  const { addNotification } = useNotification();
+
+  const [view, setView] = useState('roster');
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(getBusinessDate(new Date(), getDaySettings(selectedBranch?.id))));
+  const [editor, setEditor] = useState({ isOpen: false, shift: null, defaults: null });
+
+  const branchId = selectedBranch?.id;
+  const weekDates = useMemo(() => getWeekDates(weekStart), [weekStart]);
+
+  const {
+    staff,
+    templates,
+    roster,
+    shifts,
+    availability,
+    timeOff,
+    conflicts,
+    loading,
+    saveShift,
+    removeShift,
+    publish,
+    unpublish,
+    refresh
+  } = useRoster({ brand, branchId, weekStart });
+
+  const blockingConflicts = conflicts.filter(conflict => conflict.severity === 'error').length;
+  const isPublished = roster?.status === 'published';
+
+  const closeEditor = () => setEditor({ isOpen: false, shift: null, defaults: null });
+
+  const handleSaveShift = async (shiftData, shiftId, attendance) => {
+    try {
+      await saveShift(shiftData, shiftId, attendance);
+      closeEditor();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to save shift', message: error.message });
+    }
+  };
+
+  const handleDeleteShift = async (shiftId) => {
+    if (!confirm('Delete this shift?')) return;
+    try {
+      await removeShift(shiftId);
+      closeEditor();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to delete shift', message: error.message });
+    }
+  };
+
+  const handlePublish = async () => {
+    if (blockingConflicts > 0 && !confirm(`This roster has ${blockingConflicts} blocking conflict(s). Publish anyway?`)) {
+      return;
+    }
+    try {
+      const notified = await publish();
+      addNotification({
+        type: 'success',
+        title: 'Roster published',
+        message: `${notified} staff member(s) notified`
+      });
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to publish roster', message: error.message });
+    }
+  };
+
+  const handleUnpublish = async () => {
+    try {
+      await unpublish();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to unpublish roster', message: error.message });
+    }
+  };
+
+  if (!branchId) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 text-center py-12">
+        <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500 dark:text-gray-400">Add a branch to start scheduling shifts</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div className="flex items-center gap-3">
+            <Calendar className="w-6 h-6 text-indigo-500" />
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white">Staff Scheduling</h3>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {branches.length > 1 && (
+              <select
+                value={branchId}
+                onChange={(e) => selectBranch(e.target.value)}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              >
+                {branches.map(branch => (
+                  <option key={branch.id} value={branch.id}>{branch.name}</option>
+                ))}
+              </select>
+            )}
+
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => setWeekStart(prev => shiftDate(prev, -7))}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300"
+                title="Previous week"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span className="text-sm font-medium text-gray-900 dark:text-white whitespace-nowrap">
+                {weekDates[0]} → {weekDates[6]}
+              </span>
+              <button
+                type="button"
+                onClick={() => setWeekStart(prev => shiftDate(prev, 7))}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-300"
+                title="Next week"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+
+            <span className={`px-2.5 py-1 text-xs font-medium rounded-full ${isPublished
+              ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300'
+              : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'}`}
+            >
+              {roster ? (isPublished ? 'Published' : 'Draft') : 'No roster yet'}
+            </span>
+
+            {isPublished ? (
+              <button
+                type="button"
+                onClick={handleUnpublish}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Back to draft
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handlePublish}
+                disabled={!roster || shifts.length === 0}
+                className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Send className="w-4 h-4" />
+                Publish
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex gap-2 border-b border-gray-200 dark:border-gray-700 mb-6">
+          {VIEWS.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => setView(item.id)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${view === item.id
+                ? 'border-indigo-500 text-indigo-600 dark:text-indigo-400'
+                : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'}`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : (
+          <>
+            {view === 'roster' && (
+              <div className="space-y-4">
+                <ConflictList conflicts={conflicts} staff={staff} />
+                <RosterGrid
+                  staff={staff}
+                  shifts={shifts}
+                  weekDates={weekDates}
+                  conflicts={conflicts}
+                  timeOff={timeOff}
+                  onAddShift={(defaults) => setEditor({ isOpen: true, shift: null, defaults })}
+                  onEditShift={(shift) => setEditor({ isOpen: true, shift, defaults: null })}
+                />
+              </div>
+            )}
+
+            {view === 'timeOff' && (
+              <TimeOffRequests brandId={brand.id} staff={staff} onChange={() => refresh(false)} />
+            )}
+
+            {view === 'availability' && (
+              <AvailabilityEditor
+                brandId={brand.id}
+                staff={staff}
+                availability={availability}
+                onChange={() => refresh(false)}
+              />
+            )}
+
+            {view === 'wages' && (
+              <StaffWages
+                staff={staff}
+                currency={selectedBranch.currency || brand.currency}
+                defaultWage={brand.default_hourly_wage}
+                onChange={() => refresh(false)}
+              />
+            )}
+
+            {view === 'templates' && (
+              <ShiftTemplates
+                brandId={brand.id}
+                branchId={branchId}
+                templates={templates}
+                onChange={() => refresh(false)}
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      <ShiftFormModal
+        isOpen={editor.isOpen}
+        shift={editor.shift}
+        defaults={editor.defaults}
+        staff={staff}
+        templates={templates}
+        weekDates={weekDates}
+        onSave={handleSaveShift}
+        onDelete={handleDeleteShift}
+        onClose={closeEditor}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+/**
+ * ShiftFormModal Component
+ * Create or edit a shift, optionally starting from a template
+ */
+
+import React, { useState, useEffect } from 'react';
+import Modal from '@/shared/components/organisms/UI/Modal';
+import { getDaySettings, getLocalDate } from '@/utils/businessDay';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+const labelClass = 'block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+const emptyShift = {
+  employee_id: '',
+  template_id: '',
+  shift_date: '',
+  start_time: '09:00',
+  end_time: '17:00',
+  break_minutes: 0,
+  role: '',
+  notes: ''
+};
+
+// HH:MM of an instant in the branch's timezone
+const toLocalTime = (timestamp, timezone) => (timestamp
+  ? new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(new Date(timestamp))
+  : '');
+
+export default function ShiftFormModal({ isOpen, shift, defaults, staff, templates, weekDates, onSave, onDelete, onClose }) {
+  const [formData, setFormData] = useState(emptyShift);
+  const [attendance, setAttendance] = useState({ clockIn: '', clockOut: '' });
+  const [saving, setSaving] = useState(false);
+
+  const { timezone } = getDaySettings(shift?.branch_id);
+  // Attendance can be recorded once an assigned shift's day has started
+  const canRecordAttendance = !!shift?.employee_id && shift.shift_date <= getLocalDate(new Date(), timezone);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFormData(shift
+      ? {
+        ...emptyShift,
+        ...shift,
+        employee_id: shift.employee_id || '',
+        template_id: shift.template_id || '',
+        start_time: shift.start_time?.slice(0, 5),
+        end_time: shift.end_time?.slice(0, 5),
+        role: shift.role || '',
+        notes: shift.notes || ''
+      }
+      : { ...emptyShift, ...defaults });
+
+    const record = shift?.attendance?.[0];
+    setAttendance({
+      clockIn: toLocalTime(record?.clock_in, timezone),
+      clockOut: toLocalTime(record?.clock_out, timezone)
+    });
+  }, [isOpen, shift, defaults, timezone]);
+
+  const handleTemplateChange = (templateId) => {
+    const template = templates.find(t => t.id === templateId);
+    setFormData(prev => ({
+      ...prev,
+      template_id: templateId,
+      ...(template && {
+        start_time: template.start_time.slice(0, 5),
+        end_time: template.end_time.slice(0, 5),
+        break_minutes: template.break_minutes || 0,
+        role: template.role || prev.role
+      })
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({
+        employee_id: formData.employee_id || null,
+        template_id: formData.template_id || null,
+        shift_date: formData.shift_date,
+        start_time: formData.start_time,
+        end_time: formData.end_time,
+        break_minutes: Number(formData.break_minutes) || 0,
+        role: formData.role || null,
+        notes: formData.notes || null
+      }, shift?.id, canRecordAttendance
+        ? { clockIn: attendance.clockIn || null, clockOut: attendance.clockIn && attendance.clockOut ? attendance.clockOut : null }
+        : undefined);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const overnight = formData.end_time && formData.start_time && formData.end_time <= formData.start_time;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={shift ? 'Edit Shift' : 'Add Shift'}
+      footer={
+        <div className="flex justify-between w-full">
+          <div>
+            {shift && (
+              <button
+                type="button"
+                onClick={() => onDelete(shift.id)}
+                className="px-4 py-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              form="shift-form"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Shift'}
+            </button>
+          </div>
+        </div>
+      }
+    >
+      <form id="shift-form" onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Employee</label>
+          <select
+            value={formData.employee_id}
+            onChange={(e) => setFormData({ ...formData, employee_id: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Open shift (unassigned)</option>
+            {staff.map(member => (
+              <option key={member.id} value={member.id}>{member.full_name || member.email}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Day</label>
+          <select
+            value={formData.shift_date}
+            onChange={(e) => setFormData({ ...formData, shift_date: e.target.value })}
+            className={inputClass}
+            required
+          >
+            {weekDates.map(date => (
+              <option key={date} value={date}>
+                {new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short', timeZone: 'UTC' })}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Template</label>
+          <select
+            value={formData.template_id}
+            onChange={(e) => handleTemplateChange(e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Custom times</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>
+                {template.name} ({template.start_time.slice(0, 5)}–{template.end_time.slice(0, 5)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className={labelClass}>Start</label>
+          <input
+            type="time"
+            value={formData.start_time}
+            onChange={(e) => setFormData({ ...formData, start_time: e.target.value, template_id: '' })}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>End</label>
+          <input
+            type="time"
+            value={formData.end_time}
+            onChange={(e) => setFormData({ ...formData, end_time: e.target.value, template_id: '' })}
+            className={inputClass}
+            required
+          />
+          {overnight && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Ends the next day</p>
+          )}
+        </div>
+
+        <div>
+          <label className={labelClass}>Unpaid break (minutes)</label>
+          <input
+            type="number"
+            min="0"
+            step="5"
+            value={formData.break_minutes}
+            onChange={(e) => setFormData({ ...formData, break_minutes: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Role / Station</label>
+          <input
+            type="text"
+            value={formData.role}
+            onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+            placeholder="Cashier, Kitchen, ..."
+            className={inputClass}
+          />
+        </div>
+
+        {canRecordAttendance && (
+          <>
+            <div>
+              <label className={labelClass}>Clocked in</label>
+              <input
+                type="time"
+                value={attendance.clockIn}
+                onChange={(e) => setAttendance({ ...attendance, clockIn: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className={labelClass}>Clocked out</label>
+              <input
+                type="time"
+                value={attendance.clockOut}
+                onChange={(e) => setAttendance({ ...attendance, clockOut: e.target.value })}
+                disabled={!attendance.clockIn}
+                className={inputClass}
+              />
+            </div>
+          </>
+        )}
+
+        <div className="md:col-span-2">
+          <label className={labelClass}>Notes</label>
+          <textarea
+            rows={2}
+            value={formData.notes}
+            onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,132 @@
+/**
+ * ShiftTemplates Component
+ * Reusable shift definitions (brand-wide or for the current branch)
+ */
+
+import React, { useState } from 'react';
+import { Plus, Archive } from 'lucide-react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { getShiftMinutes } from '@/utils/rostering';
+import { createShiftTemplate, archiveShiftTemplate } from '../services/schedulingService';
+
+const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const emptyTemplate = {
+  name: '',
+  start_time: '09:00',
+  end_time: '17:00',
+  break_minutes: 30,
+  role: '',
+  branchOnly: false
+};
+
+export default function ShiftTemplates({ brandId, branchId, templates, onChange }) {
+  const { addNotification } = useNotification();
+  const [form, setForm] = useState(emptyTemplate);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    try {
+      await createShiftTemplate({
+        brand_id: brandId,
+        branch_id: form.branchOnly ? branchId : null,
+        name: form.name.trim(),
+        start_time: form.start_time,
+        end_time: form.end_time,
+        break_minutes: Number(form.break_minutes) || 0,
+        role: form.role || null
+      });
+      setForm(emptyTemplate);
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to create template', message: error.message });
+    }
+  };
+
+  const handleArchive = async (templateId) => {
+    try {
+      await archiveShiftTemplate(templateId);
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to archive template', message: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Template name (e.g. Morning)"
+          className={`${inputClass} flex-1 min-w-[160px]`}
+          required
+        />
+        <input type="time" value={form.start_time} onChange={(e) => setForm({ ...form, start_time: e.target.value })} className={inputClass} />
+        <input type="time" value={form.end_time} onChange={(e) => setForm({ ...form, end_time: e.target.value })} className={inputClass} />
+        <input
+          type="number"
+          min="0"
+          step="5"
+          value={form.break_minutes}
+          onChange={(e) => setForm({ ...form, break_minutes: e.target.value })}
+          className={`${inputClass} w-24`}
+          title="Unpaid break (minutes)"
+        />
+        <input
+          type="text"
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+          placeholder="Role"
+          className={`${inputClass} w-32`}
+        />
+        <label className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.branchOnly}
+            onChange={(e) => setForm({ ...form, branchOnly: e.target.checked })}
+          />
+          This branch only
+        </label>
+        <button type="submit" className="flex items-center gap-1 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm">
+          <Plus className="w-4 h-4" />
+          Add
+        </button>
+      </form>
+
+      {templates.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No shift templates yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {templates.map(template => (
+            <li key={template.id} className="py-3 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: template.color || '#6366f1' }} />
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">{template.name}</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {template.start_time.slice(0, 5)}–{template.end_time.slice(0, 5)}
+                    {' · '}{Math.round(getShiftMinutes(template) / 6) / 10}h paid
+                    {template.role ? ` · ${template.role}` : ''}
+                    {template.branch_id ? ' · this branch' : ' · all branches'}
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleArchive(template.id)}
+                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+                title="Archive template"
+              >
+                <Archive className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+/**
+ * StaffWages Component
+ * Hourly wages used to cost rosters (in the branch's currency)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Save } from 'lucide-react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { updateStaffWage } from '../services/schedulingService';
+
+const inputClass = 'w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+export default function StaffWages({ staff, currency, defaultWage, onChange }) {
+  const { addNotification } = useNotification();
+  const [wages, setWages] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  useEffect(() => {
+    setWages(Object.fromEntries(staff.map(member => [member.id, member.hourly_wage ?? ''])));
+  }, [staff]);
+
+  const handleSave = async (employeeId) => {
+    const value = wages[employeeId];
+    setSavingId(employeeId);
+    try {
+      await updateStaffWage(employeeId, value === '' ? null : Number(value));
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to save wage', message: error.message });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (staff.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">No staff members yet</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Hourly wage in {currency}. Staff without a wage are costed at the brand default
+        {defaultWage ? ` (${defaultWage})` : ', which is not set'}.
+      </p>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {staff.map(member => {
+          const changed = String(wages[member.id] ?? '') !== String(member.hourly_wage ?? '');
+          return (
+            <li key={member.id} className="py-2 flex items-center justify-between gap-4">
+              <span className="font-medium text-gray-900 dark:text-white">{member.full_name || member.email}</span>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.25"
+                  value={wages[member.id] ?? ''}
+                  onChange={(e) => setWages(prev => ({ ...prev, [member.id]: e.target.value }))}
+                  placeholder="Default"
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleSave(member.id)}
+                  disabled={!changed || savingId === member.id}
+                  className="p-2 text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg disabled:opacity-30"
+                  title="Save wage"
+                >
+                  <Save className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+/**
+ * TimeOffRequests Component
+ * Submit time-off requests and approve or reject pending ones
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Check, X, Plus } from 'lucide-react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { getBusinessDate } from '@/utils/businessDay';
+import {
+  fetchTimeOffRequests,
+  createTimeOffRequest,
+  reviewTimeOffRequest
+} from '../services/schedulingService';
+
+const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  cancelled: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+};
+
+export default function TimeOffRequests({ brandId, staff, onChange }) {
+  const { addNotification } = useNotification();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(() => {
+    const today = getBusinessDate();
+    return { employee_id: '', start_date: today, end_date: today, type: 'vacation', reason: '' };
+  });
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      // Everything still relevant: ending today or later
+      const data = await fetchTimeOffRequests({ brandId, startDate: getBusinessDate() });
+      setRequests(data);
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to load time off', message: error.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [brandId, addNotification]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.employee_id || form.end_date < form.start_date) {
+      addNotification({ type: 'warning', title: 'Invalid request', message: 'Pick an employee and a valid date range' });
+      return;
+    }
+
+    try {
+      await createTimeOffRequest({ ...form, brand_id: brandId, reason: form.reason || null });
+      setForm(prev => ({ ...prev, reason: '' }));
+      await loadRequests();
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to submit request', message: error.message });
+    }
+  };
+
+  const handleReview = async (requestId, status) => {
+    try {
+      await reviewTimeOffRequest(requestId, { status });
+      await loadRequests();
+      onChange?.();
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Failed to update request', message: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-2">
+        <select
+          value={form.employee_id}
+          onChange={(e) => setForm({ ...form, employee_id: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">Employee…</option>
+          {staff.map(member => (
+            <option key={member.id} value={member.id}>{member.full_name || member.email}</option>
+          ))}
+        </select>
+        <input type="date" value={form.start_date} onChange={(e) => setForm({ ...form, start_date: e.target.value })} className={inputClass} />
+        <input type="date" value={form.end_date} onChange={(e) => setForm({ ...form, end_date: e.target.value })} className={inputClass} />
+        <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={inputClass}>
+          <option value="vacation">Vacation</option>
+          <option value="sick">Sick</option>
+          <option value="personal">Personal</option>
+          <option value="other">Other</option>
+        </select>
+        <input
+          type="text"
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          placeholder="Reason (optional)"
+          className={`${inputClass} flex-1 min-w-[160px]`}
+        />
+        <button type="submit" className="flex items-center gap-1 px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-sm">
+          <Plus className="w-4 h-4" />
+          Request
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading requests...</p>
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No upcoming time off</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {requests.map(request => (
+            <li key={request.id} className="py-3 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">
+                  {request.employee?.full_name || 'Employee'}
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400 capitalize">{request.type}</span>
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {request.start_date}{request.end_date !== request.start_date ? ` → ${request.end_date}` : ''}
+                  {request.reason ? ` · ${request.reason}` : ''}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[request.status]}`}>
+                  {request.status}
+                </span>
+                {request.status === 'pending' && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleReview(request.id, 'approved')}
+                      className="p-1.5 text-green-600 hover:bg-green-50 dark:hover:bg-green-900/20 rounded-lg"
+                      title="Approve"
+                    >
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleReview(request.id, 'rejected')}
+                      className="p-1.5 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+                      title="Reject"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
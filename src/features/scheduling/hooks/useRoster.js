@@ -0,0 +1,141 @@
+/**
+ * useRoster Hook
+ * Loads a branch's weekly roster with everything needed to check it for
+ * conflicts: the staff's shifts around the week (any branch), availability
+ * and time off
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { shiftDate } from '@/utils/businessDay';
+import {
+  detectRosterConflicts,
+  DEFAULT_MIN_REST_HOURS,
+  DEFAULT_MAX_WEEKLY_HOURS
+} from '@/utils/rostering';
+import {
+  fetchStaff,
+  fetchShiftTemplates,
+  fetchRoster,
+  ensureRoster,
+  fetchShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  recordShiftAttendance,
+  publishRoster,
+  unpublishRoster,
+  fetchAvailability,
+  fetchTimeOffRequests
+} from '../services/schedulingService';
+
+export function useRoster({ brand, branchId, weekStart }) {
+  const { addNotification } = useNotification();
+
+  const [staff, setStaff] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [roster, setRoster] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [contextShifts, setContextShifts] = useState([]);
+  const [availability, setAvailability] = useState([]);
+  const [timeOff, setTimeOff] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const weekEnd = shiftDate(weekStart, 6);
+
+  const loadRoster = useCallback(async (showLoading = true) => {
+    if (!brand?.id || !branchId) return;
+    if (showLoading) setLoading(true);
+
+    try {
+      const [staffData, templateData, rosterData, shiftData, availabilityData, timeOffData] = await Promise.all([
+        fetchStaff(brand.id),
+        fetchShiftTemplates({ brandId: brand.id, branchId }),
+        fetchRoster({ branchId, weekStart }),
+        fetchShifts({ startDate: weekStart, endDate: weekEnd, branchId }),
+        fetchAvailability({ brandId: brand.id }),
+        fetchTimeOffRequests({ brandId: brand.id, status: ['pending', 'approved'], startDate: weekStart, endDate: weekEnd })
+      ]);
+
+      // The same staff's shifts at any branch, a day either side of the week,
+      // so cross-branch overlaps and rest periods over the boundary show up
+      const staffIds = staffData.map(member => member.id);
+      const surrounding = staffIds.length > 0
+        ? await fetchShifts({ startDate: shiftDate(weekStart, -1), endDate: shiftDate(weekEnd, 1), employeeIds: staffIds })
+        : [];
+
+      setStaff(staffData);
+      setTemplates(templateData);
+      setRoster(rosterData);
+      setShifts(shiftData);
+      setContextShifts(surrounding.filter(shift => !shiftData.some(own => own.id === shift.id)));
+      setAvailability(availabilityData);
+      setTimeOff(timeOffData);
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        title: 'Failed to load roster',
+        message: error.message
+      });
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  }, [brand?.id, branchId, weekStart, weekEnd, addNotification]);
+
+  useEffect(() => {
+    loadRoster();
+  }, [loadRoster]);
+
+  const conflicts = useMemo(() => detectRosterConflicts([...shifts, ...contextShifts], {
+    weekStart,
+    availability,
+    timeOff,
+    minRestHours: Number(brand?.min_rest_hours) || DEFAULT_MIN_REST_HOURS,
+    maxWeeklyHours: Number(brand?.max_weekly_hours) || DEFAULT_MAX_WEEKLY_HOURS
+  }), [shifts, contextShifts, weekStart, availability, timeOff, brand?.min_rest_hours, brand?.max_weekly_hours]);
+
+  const saveShift = async (shiftData, shiftId = null, attendance = undefined) => {
+    if (shiftId) {
+      await updateShift(shiftId, shiftData);
+      if (attendance !== undefined) {
+        await recordShiftAttendance(shiftId, attendance);
+      }
+    } else {
+      const target = roster || await ensureRoster({ brandId: brand.id, branchId, weekStart });
+      await createShift({ ...shiftData, roster_id: target.id, branch_id: branchId });
+    }
+    await loadRoster(false);
+  };
+
+  const removeShift = async (shiftId) => {
+    await deleteShift(shiftId);
+    await loadRoster(false);
+  };
+
+  const publish = async () => {
+    const notified = await publishRoster(roster.id);
+    await loadRoster(false);
+    return notified;
+  };
+
+  const unpublish = async () => {
+    await unpublishRoster(roster.id);
+    await loadRoster(false);
+  };
+
+  return {
+    staff,
+    templates,
+    roster,
+    shifts,
+    availability,
+    timeOff,
+    conflicts,
+    loading,
+    saveShift,
+    removeShift,
+    publish,
+    unpublish,
+    refresh: loadRoster
+  };
+}
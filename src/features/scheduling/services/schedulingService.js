@@ -0,0 +1,409 @@
+/**
+ * Scheduling Service
+ * Shift templates, weekly rosters, availability and time-off requests
+ */
+
+import { supabase } from '@/lib/supabase';
+
+/**
+ * Fetch staff of a brand
+ */
+export const fetchStaff = async (brandId) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id, full_name, email, role, is_active, hourly_wage')
+      .eq('brand_id', brandId)
+      .order('full_name');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch staff: ${error.message}`);
+  }
+};
+
+/**
+ * Set a staff member's hourly wage (null clears it, falling back to the brand default)
+ */
+export const updateStaffWage = async (employeeId, hourlyWage) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .update({ hourly_wage: hourlyWage })
+      .eq('id', employeeId)
+      .select('id, hourly_wage')
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to update wage: ${error.message}`);
+  }
+};
+
+// ============================================================================
+// SHIFT TEMPLATES
+// ============================================================================
+
+/**
+ * Fetch shift templates for a brand (brand-wide and branch-specific)
+ */
+export const fetchShiftTemplates = async ({ brandId, branchId = null }) => {
+  try {
+    let query = supabase
+      .from('shift_templates')
+      .select('*')
+      .eq('brand_id', brandId)
+      .eq('is_active', true);
+
+    if (branchId) {
+      query = query.or(`branch_id.is.null,branch_id.eq.${branchId}`);
+    }
+
+    const { data, error } = await query.order('start_time');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch shift templates: ${error.message}`);
+  }
+};
+
+/**
+ * Create a shift template
+ */
+export const createShiftTemplate = async (templateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('shift_templates')
+      .insert([templateData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to create shift template: ${error.message}`);
+  }
+};
+
+/**
+ * Retire a shift template (kept for shifts that reference it)
+ */
+export const archiveShiftTemplate = async (templateId) => {
+  try {
+    const { error } = await supabase
+      .from('shift_templates')
+      .update({ is_active: false })
+      .eq('id', templateId);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new Error(`Failed to archive shift template: ${error.message}`);
+  }
+};
+
+// ============================================================================
+// ROSTERS & SHIFTS
+// ============================================================================
+
+/**
+ * Fetch the roster of a branch for a week (null when none exists yet)
+ */
+export const fetchRoster = async ({ branchId, weekStart }) => {
+  try {
+    const { data, error } = await supabase
+      .from('rosters')
+      .select('*')
+      .eq('branch_id', branchId)
+      .eq('week_start', weekStart)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to fetch roster: ${error.message}`);
+  }
+};
+
+/**
+ * Get or create the draft roster of a branch for a week
+ */
+export const ensureRoster = async ({ brandId, branchId, weekStart }) => {
+  try {
+    const existing = await fetchRoster({ branchId, weekStart });
+    if (existing) return existing;
+
+    const { data, error } = await supabase
+      .from('rosters')
+      .insert([{ brand_id: brandId, branch_id: branchId, week_start: weekStart }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to create roster: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch shifts in a date range, for a branch or for a set of employees
+ * (employee shifts at other branches matter for conflict checks)
+ */
+export const fetchShifts = async ({ startDate, endDate, branchId = null, employeeIds = null }) => {
+  try {
+    let query = supabase
+      .from('shifts')
+      .select('*, employee:user_profiles!employee_id(id, full_name), roster:rosters(status), attendance:attendance_records(id, clock_in, clock_out, source)')
+      .gte('shift_date', startDate)
+      .lte('shift_date', endDate);
+
+    if (branchId) {
+      query = query.eq('branch_id', branchId);
+    }
+
+    if (employeeIds) {
+      query = query.in('employee_id', employeeIds);
+    }
+
+    const { data, error } = await query.order('shift_date').order('start_time');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch shifts: ${error.message}`);
+  }
+};
+
+/**
+ * Create a shift
+ */
+export const createShift = async (shiftData) => {
+  try {
+    const { data, error } = await supabase
+      .from('shifts')
+      .insert([shiftData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to create shift: ${error.message}`);
+  }
+};
+
+/**
+ * Update a shift
+ */
+export const updateShift = async (shiftId, shiftData) => {
+  try {
+    const { data, error } = await supabase
+      .from('shifts')
+      .update(shiftData)
+      .eq('id', shiftId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to update shift: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a shift
+ */
+export const deleteShift = async (shiftId) => {
+  try {
+    const { error } = await supabase
+      .from('shifts')
+      .delete()
+      .eq('id', shiftId);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new Error(`Failed to delete shift: ${error.message}`);
+  }
+};
+
+/**
+ * Record a shift's clock-in/out from branch-local times (HH:MM).
+ * A null clock-in clears the manual record.
+ */
+export const recordShiftAttendance = async (shiftId, { clockIn, clockOut = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('record_shift_attendance', {
+      shift_uuid: shiftId,
+      clock_in_time: clockIn,
+      clock_out_time: clockOut
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to record attendance: ${error.message}`);
+  }
+};
+
+/**
+ * Publish a roster and notify the scheduled staff.
+ * Returns the number of employees notified.
+ */
+export const publishRoster = async (rosterId) => {
+  try {
+    const { data, error } = await supabase.rpc('publish_roster', { roster_uuid: rosterId });
+
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    throw new Error(`Failed to publish roster: ${error.message}`);
+  }
+};
+
+/**
+ * Move a published roster back to draft for edits (re-publish to notify again)
+ */
+export const unpublishRoster = async (rosterId) => {
+  try {
+    const { error } = await supabase
+      .from('rosters')
+      .update({ status: 'draft' })
+      .eq('id', rosterId);
+
+    if (error) throw error;
+  } catch (error) {
+    throw new Error(`Failed to unpublish roster: ${error.message}`);
+  }
+};
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+/**
+ * Fetch availability windows for a brand's staff
+ */
+export const fetchAvailability = async ({ brandId, employeeId = null }) => {
+  try {
+    let query = supabase
+      .from('employee_availability')
+      .select('*')
+      .eq('brand_id', brandId);
+
+    if (employeeId) {
+      query = query.eq('employee_id', employeeId);
+    }
+
+    const { data, error } = await query.order('weekday').order('start_time');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch availability: ${error.message}`);
+  }
+};
+
+/**
+ * Replace an employee's weekly availability with a new set of windows
+ */
+export const saveAvailability = async ({ brandId, employeeId, windows }) => {
+  try {
+    const { error: deleteError } = await supabase
+      .from('employee_availability')
+      .delete()
+      .eq('employee_id', employeeId)
+      .eq('brand_id', brandId);
+
+    if (deleteError) throw deleteError;
+    if (windows.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('employee_availability')
+      .insert(windows.map(window => ({ ...window, brand_id: brandId, employee_id: employeeId })))
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to save availability: ${error.message}`);
+  }
+};
+
+// ============================================================================
+// TIME OFF
+// ============================================================================
+
+/**
+ * Fetch time-off requests, optionally overlapping a date range
+ */
+export const fetchTimeOffRequests = async ({ brandId, status = null, startDate = null, endDate = null }) => {
+  try {
+    let query = supabase
+      .from('time_off_requests')
+      .select('*, employee:user_profiles!employee_id(id, full_name)')
+      .eq('brand_id', brandId);
+
+    if (status) {
+      query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+    }
+
+    // Requests overlapping [startDate, endDate]
+    if (startDate) query = query.gte('end_date', startDate);
+    if (endDate) query = query.lte('start_date', endDate);
+
+    const { data, error } = await query.order('start_date', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch time-off requests: ${error.message}`);
+  }
+};
+
+/**
+ * Create a time-off request
+ */
+export const createTimeOffRequest = async (requestData) => {
+  try {
+    const { data, error } = await supabase
+      .from('time_off_requests')
+      .insert([requestData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to create time-off request: ${error.message}`);
+  }
+};
+
+/**
+ * Approve or reject a time-off request
+ */
+export const reviewTimeOffRequest = async (requestId, { status, reviewNotes = null }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data, error } = await supabase
+      .from('time_off_requests')
+      .update({
+        status,
+        review_notes: reviewNotes,
+        reviewed_by: user?.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw new Error(`Failed to review time-off request: ${error.message}`);
+  }
+};
@@ -11,11 +11,13 @@ import StatCard from '@/shared/components/organisms/UI/StatCard';
 import { useTasks } from '../hooks/useTasks';
 import { createTask, updateTask, deleteTask, exportTasks } from '../services/taskService';
 import { useNotification } from '@/contexts/NotificationContext';
+import { getBusinessDate, formatBusinessDate } from '@/utils/businessDay';
 
 export default function TasksManagement() {
   const { tasks, loading, filters, setFilters, stats, reload } = useTasks();
   const { addNotification } = useNotification();
   const [showTaskForm, setShowTaskForm] = useState(false);
+  const today = getBusinessDate();
 
   const handleExport = async (format) => {
     try {
@@ -182,6 +184,15 @@ export default function TasksManagement() {
                     }`}>
                       {task.priority === 'high' ? 'عالية' : task.priority === 'medium' ? 'متوسطة' : 'منخفضة'}
                     </span>
+                    {task.due_date && (
+                      <span className={
+                        task.status !== 'completed' && task.due_date < today
+                          ? 'text-red-600 dark:text-red-400'
+                          : 'text-gray-600 dark:text-gray-400'
+                      }>
+                        الاستحقاق: {formatBusinessDate(task.due_date, 'ar-SA')}
+                      </span>
+                    )}
                     {task.assigned_user && (
                       <span className="text-gray-600 dark:text-gray-400">
                         المكلف: {task.assigned_user.full_name}
@@ -133,7 +133,7 @@ export const exportTasks = async (tasks, format = 'excel') => {
       exportToCSV(exportData, 'tasks');
       break;
     case 'pdf':
-      await exportToPDF('tasks', exportData);
+      await exportToPDF('tasks', exportData, { title: 'المهام' });
       break;
   }
 };
@@ -53,24 +53,29 @@ export const useUsageLimit = (limitKey) => {
       return { allowed: true, unlimited: true };
     }
 
+    const notifyLimitReached = () => showNotification({
+      type: 'warning',
+      title: 'Usage Limit Reached',
+      message: `You've reached your ${limitKey} limit. Please upgrade your plan to continue.`,
+      actionLabel: 'Upgrade Plan',
+      actionUrl: '/subscriptions'
+    });
+
     // Check if would exceed limit
     if (current + incrementBy > limit) {
-      showNotification({
-        type: 'warning',
-        title: 'Usage Limit Reached',
-        message: `You've reached your ${limitKey} limit. Please upgrade your plan to continue.`,
-        actionLabel: 'Upgrade Plan',
-        actionUrl: '/subscriptions'
-      });
-
+      notifyLimitReached();
       return { allowed: false, limit, usage: current, remaining: 0 };
     }
 
-    // Track usage
-    await trackUsage(limitKey, incrementBy);
+    // Track usage; the server refuses it if other requests used up the limit meanwhile
+    const tracked = await trackUsage(limitKey, incrementBy);
+    if (tracked && !tracked.allowed) {
+      notifyLimitReached();
+      return { allowed: false, limit, usage: current, remaining: 0 };
+    }
 
     // Show warning if approaching limit (80%)
-    const newUsage = current + incrementBy;
+    const newUsage = tracked?.usage ?? current + incrementBy;
     const percentage = (newUsage / limit) * 100;
 
     if (percentage >= 80 && percentage < 100) {
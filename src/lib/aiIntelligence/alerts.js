@@ -0,0 +1,191 @@
+/**
+ * AI Intelligence - Smart Alerts
+ * Threshold alerts on trends, cost ratio, the latest day, anomalies,
+ * customer churn and branch health. Alert ids are derived from what
+ * triggered them, so the same condition keeps the same id between runs and
+ * can be marked resolved.
+ */
+
+import { mean, round, formatNumber } from './statistics.js';
+import { deriveMetrics, extractSeries } from './metrics.js';
+import { detectAllAnomalies, ANOMALY_SEVERITY } from './anomalies.js';
+import { calculateMultipleBranchScores } from './healthScore.js';
+
+export const ALERT_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+export const DEFAULT_ALERT_CONFIG = {
+  revenueDropPercent: 10,
+  orderDropPercent: 10,
+  costRatioWarning: 0.35,
+  costRatioCritical: 0.45,
+  lastDayDropPercent: 30,
+  churnRate: 25,
+  branchHealthScore: 40,
+  includeAnomalies: true
+};
+
+const alert = ({ id, type, severity, title, message, metric = null, value = null, threshold = null, date = null }) => ({
+  id,
+  type,
+  severity,
+  title,
+  message,
+  metric,
+  value: value === null ? null : round(value, 3),
+  threshold,
+  date
+});
+
+const severityRank = (severity) => {
+  const rank = ALERT_SEVERITIES.indexOf(severity);
+  return rank === -1 ? ALERT_SEVERITIES.length : rank;
+};
+
+/**
+ * Generate every alert the data triggers, most severe first
+ * @param {Object} data - Series/totals, branches and an optional `satisfaction` customer section
+ * @param {Object} config - Overrides for DEFAULT_ALERT_CONFIG
+ */
+export function generateAllAlerts(data = {}, config = {}) {
+  const settings = { ...DEFAULT_ALERT_CONFIG, ...config };
+  const metrics = deriveMetrics(data);
+  const series = extractSeries(data);
+  const alerts = [];
+
+  const revenueChange = metrics.revenueTrend.changePercent;
+  if (metrics.days >= 3 && revenueChange <= -settings.revenueDropPercent) {
+    alerts.push(alert({
+      id: 'revenue-decline',
+      type: 'revenue_decline',
+      severity: revenueChange <= -2 * settings.revenueDropPercent ? 'critical' : 'high',
+      title: 'Revenue declining',
+      message: `Revenue trended down ${round(Math.abs(revenueChange), 1)}% over the last ${metrics.days} days.`,
+      metric: 'revenue',
+      value: revenueChange,
+      threshold: -settings.revenueDropPercent
+    }));
+  }
+
+  const orderChange = metrics.orderTrend.changePercent;
+  if (series.orders.length >= 3 && orderChange <= -settings.orderDropPercent) {
+    alerts.push(alert({
+      id: 'orders-decline',
+      type: 'orders_decline',
+      severity: orderChange <= -2 * settings.orderDropPercent ? 'high' : 'medium',
+      title: 'Order volume declining',
+      message: `Orders trended down ${round(Math.abs(orderChange), 1)}% over the period.`,
+      metric: 'orders',
+      value: orderChange,
+      threshold: -settings.orderDropPercent
+    }));
+  }
+
+  if (metrics.costRatio !== null && metrics.costRatio >= settings.costRatioWarning) {
+    const critical = metrics.costRatio >= settings.costRatioCritical;
+    alerts.push(alert({
+      id: 'cost-ratio',
+      type: 'high_costs',
+      severity: critical ? 'critical' : 'medium',
+      title: 'Costs high relative to revenue',
+      message: `Costs are ${round(metrics.costRatio * 100, 1)}% of revenue.`,
+      metric: 'costRatio',
+      value: metrics.costRatio,
+      threshold: critical ? settings.costRatioCritical : settings.costRatioWarning
+    }));
+  }
+
+  // Latest day against the week before it
+  if (series.revenue.length >= 8) {
+    const latest = series.revenue[series.revenue.length - 1];
+    const baseline = mean(series.revenue.slice(-8, -1).map(point => point.value));
+    const drop = baseline > 0 ? ((baseline - latest.value) / baseline) * 100 : 0;
+    if (drop >= settings.lastDayDropPercent) {
+      alerts.push(alert({
+        id: `latest-day-${latest.date || series.revenue.length - 1}`,
+        type: 'latest_day_drop',
+        severity: 'high',
+        title: 'Latest day well below the week',
+        message: `${latest.date ? `Revenue on ${latest.date}` : 'The latest day\'s revenue'} was ${formatNumber(latest.value)}, ${round(drop)}% below the previous 7-day average of ${formatNumber(baseline)}.`,
+        metric: 'revenue',
+        value: latest.value,
+        threshold: round(baseline * (1 - settings.lastDayDropPercent / 100)),
+        date: latest.date
+      }));
+    }
+  }
+
+  if (settings.includeAnomalies) {
+    detectAllAnomalies(data).anomalies.forEach(anomaly => {
+      alerts.push(alert({
+        id: `anomaly-${anomaly.metric}-${anomaly.date || anomaly.index}`,
+        type: 'anomaly',
+        severity: anomaly.severity === ANOMALY_SEVERITY.CRITICAL ? 'critical' : 'low',
+        title: `Unusual ${anomaly.metric} ${anomaly.type}`,
+        message: anomaly.description,
+        metric: anomaly.metric,
+        value: anomaly.value,
+        threshold: anomaly.expected,
+        date: anomaly.date
+      }));
+    });
+  }
+
+  const satisfaction = data.satisfaction || data;
+  const customers = satisfaction.customers && !Array.isArray(satisfaction.customers) ? satisfaction.customers : null;
+  if (customers && customers.churnRate >= settings.churnRate) {
+    alerts.push(alert({
+      id: 'customer-churn',
+      type: 'customer_churn',
+      severity: 'medium',
+      title: 'Many customers at risk of churning',
+      message: `${round(customers.churnRate, 1)}% of customers are well past their usual visit interval.`,
+      metric: 'churnRate',
+      value: customers.churnRate,
+      threshold: settings.churnRate
+    }));
+  }
+
+  if (Array.isArray(data.branches) && data.branches.length > 0) {
+    calculateMultipleBranchScores(data.branches)
+      .filter(score => score.score !== null && score.score < settings.branchHealthScore)
+      .forEach(score => {
+        alerts.push(alert({
+          id: `branch-health-${score.branchId ?? score.name}`,
+          type: 'branch_health',
+          severity: 'high',
+          title: `${score.name || 'Branch'} health is ${score.status}`,
+          message: `Health score ${score.score}/100.${score.issues.length > 0 ? ` ${score.issues.join('. ')}.` : ''}`,
+          metric: 'healthScore',
+          value: score.score,
+          threshold: settings.branchHealthScore
+        }));
+      });
+  }
+
+  alerts.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+
+  const summary = { total: alerts.length };
+  ALERT_SEVERITIES.forEach(severity => {
+    summary[severity] = alerts.filter(item => item.severity === severity).length;
+  });
+  return { alerts, summary };
+}
+
+const alertList = (alerts) => (Array.isArray(alerts) ? alerts : (alerts && alerts.alerts) || []);
+
+/**
+ * Alerts at or above a severity
+ * @param {Array|Object} alerts - Alert list or a generateAllAlerts result
+ */
+export function filterAlertsBySeverity(alerts, minSeverity = 'medium') {
+  const limit = severityRank(minSeverity);
+  return alertList(alerts).filter(item => severityRank(item.severity) <= limit);
+}
+
+/**
+ * Alerts not yet marked resolved
+ */
+export function getActiveAlerts(allAlerts, resolvedAlertIds = []) {
+  const resolved = new Set(resolvedAlertIds);
+  return alertList(allAlerts).filter(item => !resolved.has(item.id));
+}
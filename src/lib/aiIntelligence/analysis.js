@@ -0,0 +1,77 @@
+/**
+ * AI Intelligence - Analysis
+ * Runs the whole analysis in one pass and condenses it into the short
+ * summary shown on dashboards and given to the advisor.
+ */
+
+import { round } from './statistics.js';
+import { deriveMetrics, extractSeries } from './metrics.js';
+import { generatePredictionSummary } from './predictions.js';
+import { generateForecastSummary } from './forecasting.js';
+import { detectAllAnomalies } from './anomalies.js';
+import { generateAllRecommendations, getTopRecommendations } from './recommendations.js';
+import { generateAllAlerts } from './alerts.js';
+import { calculateBranchHealthScore, getBranchHealthSummary } from './healthScore.js';
+import { generatePerformanceScore } from './performanceScore.js';
+import { clusterCategories, clusterBranches, clusterCustomers } from './clustering.js';
+
+const hasItems = (list) => Array.isArray(list) && list.length > 0;
+
+/**
+ * Run every enabled analysis over the data
+ * @param {Object} data - { revenue, orders, costs, categories, branches, customers, satisfaction }
+ * @param {Object} options - enable* switches (all on by default), industry, daysAhead, alertConfig
+ */
+export function runComprehensiveAnalysis(data = {}, options = {}) {
+  const {
+    enablePredictions = true,
+    enableAnomalies = true,
+    enableRecommendations = true,
+    enableForecasts = true,
+    enableAlerts = true,
+    enableScoring = true,
+    enableClustering = true,
+    industry = 'default',
+    daysAhead = 30,
+    alertConfig = {}
+  } = options;
+  const series = extractSeries(data);
+
+  return {
+    predictions: enablePredictions ? generatePredictionSummary(data, daysAhead) : null,
+    anomalies: enableAnomalies ? detectAllAnomalies(data) : null,
+    recommendations: enableRecommendations ? generateAllRecommendations(data, { industry }) : null,
+    forecasts: enableForecasts && series.revenue.length > 0 ? generateForecastSummary(series) : null,
+    alerts: enableAlerts ? generateAllAlerts(data, alertConfig) : null,
+    health: enableScoring ? calculateBranchHealthScore(data, { industry }) : null,
+    healthScores: enableScoring && hasItems(data.branches) ? getBranchHealthSummary(data.branches, { industry }) : null,
+    scores: enableScoring ? generatePerformanceScore(data, industry) : null,
+    clusters: enableClustering
+      ? {
+        categories: hasItems(data.categories) ? clusterCategories(data.categories) : null,
+        branches: hasItems(data.branches) ? clusterBranches(data.branches) : null,
+        customers: hasItems(data.customers) ? clusterCustomers(data.customers) : null
+      }
+      : null
+  };
+}
+
+/**
+ * Overall health, trend, critical alert count and top three
+ * recommendations
+ */
+export function getAIInsightsSummary(data = {}, { industry = 'default' } = {}) {
+  const health = calculateBranchHealthScore(data, { industry });
+  const metrics = deriveMetrics(data);
+  const alerts = generateAllAlerts(data);
+
+  return {
+    overallHealth: health.status || 'unknown',
+    healthScore: health.score,
+    trendDirection: metrics.revenueTrend.direction,
+    revenueChangePercent: round(metrics.revenueTrend.changePercent, 1),
+    criticalAlerts: alerts.summary.critical,
+    totalAlerts: alerts.summary.total,
+    topRecommendations: getTopRecommendations(data, 3, { industry }).recommendations
+  };
+}
@@ -0,0 +1,165 @@
+/**
+ * AI Intelligence - Anomaly Detection
+ * Flags days that break from the expected level. Each value is compared
+ * with the fitted trend (and weekly pattern, when there is one) so steady
+ * growth and quiet weekdays aren't reported; the residuals are then tested
+ * with z-scores, the IQR fences, or both.
+ */
+
+import {
+  mean,
+  quantile,
+  standardDeviation,
+  round,
+  formatNumber,
+  toSeries
+} from './statistics.js';
+import { extractSeries } from './metrics.js';
+import { fitForecastModel } from './forecasting.js';
+
+export const ANOMALY_METHODS = {
+  ZSCORE: 'zscore',
+  IQR: 'iqr',
+  // Reported only when both tests agree, which keeps short series quiet
+  BOTH: 'both'
+};
+
+export const ANOMALY_SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning'
+};
+
+// Fewest observations anomalies are looked for in
+export const MIN_ANOMALY_POINTS = 5;
+
+const DEFAULT_OPTIONS = {
+  method: ANOMALY_METHODS.BOTH,
+  zThreshold: 2,
+  criticalZ: 3,
+  iqrMultiplier: 1.5,
+  criticalIqrMultiplier: 3,
+  detrend: true
+};
+
+const METRIC_LABELS = {
+  revenue: 'Revenue',
+  orders: 'Orders',
+  costs: 'Costs'
+};
+
+/**
+ * Detect anomalies in one series
+ * @param {Array} data - Numbers or dated rows
+ * @param {Object} options - { key, method, zThreshold, criticalZ, iqrMultiplier, criticalIqrMultiplier, detrend }
+ * @returns {{anomalies: Array, method: string, statistics: Object|null, insufficientData: boolean}}
+ */
+export function detectAnomalies(data, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const series = toSeries(data, settings.key || null);
+
+  if (series.length < MIN_ANOMALY_POINTS) {
+    return { anomalies: [], method: settings.method, statistics: null, insufficientData: true };
+  }
+
+  const values = series.map(point => point.value);
+  const expected = settings.detrend ? fitForecastModel(series).fitted : values.map(() => mean(values));
+  const residuals = values.map((value, index) => value - expected[index]);
+
+  const residualMean = mean(residuals);
+  const stdDev = standardDeviation(residuals);
+  const q1 = quantile(residuals, 0.25);
+  const q3 = quantile(residuals, 0.75);
+  const iqr = q3 - q1;
+
+  const useZ = settings.method !== ANOMALY_METHODS.IQR;
+  const useIqr = settings.method !== ANOMALY_METHODS.ZSCORE;
+
+  const anomalies = [];
+  residuals.forEach((residual, index) => {
+    const zScore = stdDev > 0 ? (residual - residualMean) / stdDev : 0;
+    const zLevel = Math.abs(zScore) >= settings.criticalZ ? 2 : Math.abs(zScore) >= settings.zThreshold ? 1 : 0;
+
+    const fenceDistance = residual > q3 ? (residual - q3) : residual < q1 ? (q1 - residual) : 0;
+    const iqrLevel = iqr > 0
+      ? (fenceDistance > settings.criticalIqrMultiplier * iqr ? 2 : fenceDistance > settings.iqrMultiplier * iqr ? 1 : 0)
+      : 0;
+
+    const levels = [useZ ? zLevel : null, useIqr ? iqrLevel : null].filter(level => level !== null);
+    if (levels.some(level => level === 0)) return;
+
+    const value = values[index];
+    const expectedValue = Math.max(0, expected[index]);
+    anomalies.push({
+      index,
+      date: series[index].date,
+      value: round(value),
+      expected: round(expectedValue),
+      deviation: round(value - expectedValue),
+      deviationPercent: expectedValue > 0 ? round(((value - expectedValue) / expectedValue) * 100, 1) : null,
+      zScore: round(zScore, 2),
+      type: residual > 0 ? 'spike' : 'drop',
+      severity: levels.includes(2) ? ANOMALY_SEVERITY.CRITICAL : ANOMALY_SEVERITY.WARNING
+    });
+  });
+
+  return {
+    anomalies,
+    method: settings.method,
+    insufficientData: false,
+    statistics: {
+      mean: round(mean(values)),
+      stdDev: round(stdDev),
+      q1: round(q1),
+      q3: round(q3),
+      lowerFence: round(q1 - settings.iqrMultiplier * iqr),
+      upperFence: round(q3 + settings.iqrMultiplier * iqr)
+    }
+  };
+}
+
+/**
+ * One-line description of an anomaly
+ */
+export function describeAnomaly(anomaly, metric) {
+  const label = METRIC_LABELS[metric] || metric;
+  const when = anomaly.date ? ` on ${anomaly.date}` : ` at point ${anomaly.index + 1}`;
+  const change = anomaly.deviationPercent !== null
+    ? ` (${anomaly.deviationPercent > 0 ? '+' : ''}${anomaly.deviationPercent}%)`
+    : '';
+  return `${label} ${anomaly.type}${when}: ${formatNumber(anomaly.value)} against an expected ${formatNumber(anomaly.expected)}${change}`;
+}
+
+/**
+ * Detect anomalies in revenue, orders and costs
+ * @param {Object} data - { revenue, orders, costs } or daily `performance` rows
+ * @param {Object} options - Passed to detectAnomalies
+ */
+export function detectAllAnomalies(data = {}, options = {}) {
+  const series = extractSeries(data);
+  const results = {};
+  const anomalies = [];
+
+  ['revenue', 'orders', 'costs'].forEach(metric => {
+    results[metric] = detectAnomalies(series[metric], options);
+    results[metric].anomalies.forEach(anomaly => {
+      anomalies.push({ ...anomaly, metric, description: describeAnomaly(anomaly, metric) });
+    });
+  });
+
+  // Critical first, most recent first within a severity
+  anomalies.sort((a, b) => {
+    if (a.severity !== b.severity) return a.severity === ANOMALY_SEVERITY.CRITICAL ? -1 : 1;
+    return (b.date || '').localeCompare(a.date || '') || b.index - a.index;
+  });
+
+  return {
+    ...results,
+    anomalies,
+    summary: {
+      total: anomalies.length,
+      critical: anomalies.filter(anomaly => anomaly.severity === ANOMALY_SEVERITY.CRITICAL).length,
+      warning: anomalies.filter(anomaly => anomaly.severity === ANOMALY_SEVERITY.WARNING).length,
+      byMetric: Object.fromEntries(Object.entries(results).map(([metric, result]) => [metric, result.anomalies.length]))
+    }
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * AI Intelligence - Clustering
+ * K-means over standardized features with deterministic farthest-point
+ * seeding, so the same input always gives the same groups. Clusters are
+ * ranked by a per-entity score and named from best to worst, or from
+ * their profile where rank alone would mislead.
+ */
+
+import { sum, mean, round, standardDeviation, toSeries } from './statistics.js';
+import { trendOf } from './metrics.js';
+
+const MAX_ITERATIONS = 100;
+
+const distance = (a, b) => Math.sqrt(sum(a.map((value, index) => (value - b[index]) ** 2)));
+
+/**
+ * Scale each feature column to zero mean and unit variance (constant
+ * columns become 0)
+ */
+export function standardize(rows) {
+  if (rows.length === 0) return [];
+  const columns = rows[0].map((_, index) => rows.map(row => row[index]));
+  const stats = columns.map(column => ({ mean: mean(column), std: standardDeviation(column) }));
+  return rows.map(row => row.map((value, index) => (
+    stats[index].std > 0 ? (value - stats[index].mean) / stats[index].std : 0
+  )));
+}
+
+/**
+ * K-means clustering. Seeds with the point nearest the overall mean, then
+ * repeatedly the point farthest from every chosen seed.
+ * @param {number[][]} points - Feature vectors
+ * @param {number} k - Number of clusters (capped at the number of points)
+ * @returns {{assignments: number[], centroids: number[][], iterations: number, inertia: number}}
+ */
+export function kMeans(points, k, { maxIterations = MAX_ITERATIONS } = {}) {
+  const n = points.length;
+  if (n === 0) return { assignments: [], centroids: [], iterations: 0, inertia: 0 };
+  const clusterCount = Math.max(1, Math.min(k, n));
+
+  const center = points[0].map((_, index) => mean(points.map(point => point[index])));
+  const seeds = [points.reduce((best, point, index) => (
+    distance(point, center) < distance(points[best], center) ? index : best
+  ), 0)];
+  while (seeds.length < clusterCount) {
+    let farthest = -1;
+    let farthestDistance = -1;
+    points.forEach((point, index) => {
+      if (seeds.includes(index)) return;
+      const nearest = Math.min(...seeds.map(seed => distance(point, points[seed])));
+      if (nearest > farthestDistance) {
+        farthest = index;
+        farthestDistance = nearest;
+      }
+    });
+    seeds.push(farthest);
+  }
+
+  let centroids = seeds.map(index => [...points[index]]);
+  let assignments = new Array(n).fill(-1);
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations += 1;
+    const next = points.map(point => {
+      let best = 0;
+      centroids.forEach((centroid, index) => {
+        if (distance(point, centroid) < distance(point, centroids[best])) best = index;
+      });
+      return best;
+    });
+
+    const changed = next.some((cluster, index) => cluster !== assignments[index]);
+    assignments = next;
+    if (!changed) break;
+
+    // Empty clusters keep their previous centroid
+    centroids = centroids.map((centroid, cluster) => {
+      const members = points.filter((_, index) => assignments[index] === cluster);
+      if (members.length === 0) return centroid;
+      return centroid.map((_, feature) => mean(members.map(member => member[feature])));
+    });
+  }
+
+  const inertia = sum(points.map((point, index) => distance(point, centroids[assignments[index]]) ** 2));
+  return { assignments, centroids, iterations, inertia };
+}
+
+/**
+ * Pick `count` names spread evenly over a best-to-worst list
+ */
+function spreadLabels(labels, count) {
+  if (count === 1) return [labels[0]];
+  return Array.from({ length: count }, (_, rank) => labels[Math.round((rank * (labels.length - 1)) / (count - 1))]);
+}
+
+/**
+ * Cluster entities and describe each cluster
+ * @param {Array} items - Entities
+ * @param {Object} config - { features: [{ key, value(item) }], rank(standardizedRow), labels, k, id(item) },
+ *   plus an optional name(standardizedCentroid) used instead of the ranked labels
+ */
+function clusterEntities(items, { features, rank, labels, k, id, name = null }) {
+  if (items.length === 0) return { k: 0, clusters: [], assignments: [], iterations: 0 };
+
+  const raw = items.map(item => features.map(feature => Number(feature.value(item)) || 0));
+  const scaled = standardize(raw);
+  const result = kMeans(scaled, k);
+
+  // Order clusters best first by the mean rank score of their members;
+  // seeds on duplicate points can leave a cluster empty, which is dropped
+  const order = result.centroids
+    .map((_, cluster) => {
+      const members = scaled.filter((_, index) => result.assignments[index] === cluster);
+      return { cluster, size: members.length, score: members.length > 0 ? mean(members.map(rank)) : 0 };
+    })
+    .filter(entry => entry.size > 0)
+    .sort((a, b) => b.score - a.score || a.cluster - b.cluster)
+    .map(entry => entry.cluster);
+  const clusterCount = order.length;
+  const names = name
+    ? order.map(cluster => {
+      const members = scaled.filter((_, index) => result.assignments[index] === cluster);
+      return name(features.map((_, column) => mean(members.map(member => member[column]))));
+    })
+    : spreadLabels(labels, clusterCount);
+
+  const clusters = order.map((cluster, position) => {
+    const memberIndexes = items.map((_, index) => index).filter(index => result.assignments[index] === cluster);
+    const averages = Object.fromEntries(features.map((feature, column) => [
+      feature.key,
+      round(mean(memberIndexes.map(index => raw[index][column])))
+    ]));
+    return {
+      id: position,
+      label: names[position],
+      size: memberIndexes.length,
+      share: round((memberIndexes.length / items.length) * 100, 1),
+      averages,
+      members: memberIndexes.map(index => id(items[index]))
+    };
+  });
+
+  const clusterOf = Object.fromEntries(order.map((cluster, position) => [cluster, position]));
+  return {
+    k: clusterCount,
+    iterations: result.iterations,
+    clusters,
+    assignments: items.map((item, index) => ({
+      id: id(item),
+      cluster: clusterOf[result.assignments[index]],
+      label: names[clusterOf[result.assignments[index]]]
+    }))
+  };
+}
+
+const identify = (item) => (item.id !== undefined ? item.id : item.name);
+
+/**
+ * Group menu categories by revenue, volume and average ticket
+ * @param {Array} categories - { id, name, revenue, orders }
+ */
+export function clusterCategories(categories = [], { k = 3 } = {}) {
+  return clusterEntities(categories, {
+    k,
+    id: identify,
+    labels: ['Top Performers', 'Steady Sellers', 'Underperformers'],
+    features: [
+      { key: 'revenue', value: category => category.revenue },
+      { key: 'orders', value: category => category.orders },
+      { key: 'averageTicket', value: category => (category.orders > 0 ? category.revenue / category.orders : 0) }
+    ],
+    rank: ([revenue, orders]) => revenue + orders
+  });
+}
+
+/**
+ * Group branches by revenue, growth and day-to-day consistency
+ * @param {Array} branches - { id, name, revenue, history? }
+ */
+export function clusterBranches(branches = [], { k = 3 } = {}) {
+  const profiles = branches.map(branch => {
+    const history = toSeries(branch.history || [], 'revenue').map(point => point.value);
+    const revenue = typeof branch.revenue === 'number' ? branch.revenue : sum(history);
+    const avg = mean(history);
+    return {
+      branch,
+      revenue,
+      growth: trendOf(history).changePercent,
+      volatility: history.length >= 3 && avg > 0 ? standardDeviation(history) / avg : 0
+    };
+  });
+
+  return clusterEntities(profiles, {
+    k,
+    id: profile => identify(profile.branch),
+    labels: ['Leaders', 'Steady', 'Needs Attention'],
+    features: [
+      { key: 'revenue', value: profile => profile.revenue },
+      { key: 'growth', value: profile => profile.growth },
+      { key: 'volatility', value: profile => profile.volatility }
+    ],
+    rank: ([revenue, growth, volatility]) => revenue + growth - 0.5 * volatility
+  });
+}
+
+/**
+ * Group customers by spend, visits, ticket and recency
+ * @param {Array} customers - { id, name, totalSpent, orderCount, averageOrderValue?, daysSinceLastVisit? }
+ */
+export function clusterCustomers(customers = [], { k = 4 } = {}) {
+  const hasRecency = customers.some(customer => typeof customer.daysSinceLastVisit === 'number');
+  const features = [
+    { key: 'totalSpent', value: customer => customer.totalSpent },
+    { key: 'orderCount', value: customer => customer.orderCount },
+    {
+      key: 'averageOrderValue',
+      value: customer => customer.averageOrderValue ?? (customer.orderCount > 0 ? customer.totalSpent / customer.orderCount : 0)
+    }
+  ];
+  if (hasRecency) {
+    features.push({ key: 'daysSinceLastVisit', value: customer => customer.daysSinceLastVisit });
+  }
+
+  return clusterEntities(customers, {
+    k,
+    id: identify,
+    features,
+    // Recency counts against a cluster: long absences rank it lower
+    rank: (row) => row[0] + row[1] + 0.5 * row[2] - (hasRecency ? row[3] : 0),
+    // Named by profile (in standard deviations from the mean customer) so
+    // a recent low spender is not called lapsing just for ranking last
+    name: ([spend, visits, , recency]) => {
+      if (hasRecency && recency > 0.5) return 'Lapsing';
+      if (spend > 0.5) return 'High Value';
+      if (visits > 0) return 'Loyal Regulars';
+      return 'Occasional';
+    }
+  });
+}
@@ -0,0 +1,232 @@
+/**
+ * AI Intelligence - Explanations
+ * Plain-language explanations of period changes, trends, anomalies and
+ * branch rankings, generated from the numbers alone. Revenue changes are
+ * split exactly into an order-volume effect and an average-ticket effect.
+ */
+
+import { mean, median, round, formatNumber, percentChange, coefficientOfVariation, toSeries, weekdayOf } from './statistics.js';
+import { TREND, trendOf, deriveMetrics } from './metrics.js';
+import { fitForecastModel } from './forecasting.js';
+import { calculateMultipleBranchScores } from './healthScore.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const COMPARED_METRICS = [
+  { key: 'totalRevenue', label: 'Revenue' },
+  { key: 'totalOrders', label: 'Orders' },
+  { key: 'averageOrderValue', label: 'Average order value' },
+  { key: 'totalCosts', label: 'Costs' },
+  { key: 'costRatio', label: 'Cost ratio' }
+];
+
+const POSSIBLE_CAUSES = {
+  spike: [
+    'An event, holiday or payday nearby',
+    'A large group, catering or corporate order',
+    'A promotion or marketing push running that day',
+    'Duplicate or mis-keyed POS entries'
+  ],
+  drop: [
+    'Shortened opening hours or a closure',
+    'A POS, payment or delivery platform outage',
+    'Best sellers out of stock',
+    'Weather or a local disruption',
+    'Orders not yet synced from the POS'
+  ]
+};
+
+const directionOf = (change) => {
+  if (change > 0) return TREND.INCREASING;
+  if (change < 0) return TREND.DECREASING;
+  return TREND.STABLE;
+};
+
+/**
+ * Explain what changed between two periods and why revenue moved
+ * @param {Object} currentData - Series/totals for the current period
+ * @param {Object} previousData - Series/totals for the comparison period
+ */
+export function generatePerformanceExplanation(currentData = {}, previousData = {}, { periodLabel = 'the previous period' } = {}) {
+  const current = deriveMetrics(currentData);
+  const previous = deriveMetrics(previousData);
+
+  const changes = COMPARED_METRICS
+    .filter(({ key }) => current[key] !== null && previous[key] !== null)
+    .map(({ key, label }) => ({
+      metric: key,
+      label,
+      current: round(current[key], 3),
+      previous: round(previous[key], 3),
+      change: round(current[key] - previous[key], 3),
+      changePercent: round(percentChange(current[key], previous[key]), 1),
+      direction: directionOf(current[key] - previous[key])
+    }));
+
+  const drivers = [];
+  const { totalRevenue: revenueNow, totalOrders: ordersNow, averageOrderValue: ticketNow } = current;
+  const { totalRevenue: revenueBefore, totalOrders: ordersBefore, averageOrderValue: ticketBefore } = previous;
+  const revenueChange = revenueNow !== null && revenueBefore !== null ? revenueNow - revenueBefore : null;
+
+  if (revenueChange !== null && ordersNow && ordersBefore && ticketNow !== null && ticketBefore !== null) {
+    // (o1 - o0) * a0 + o1 * (a1 - a0) sums exactly to r1 - r0
+    const volumeEffect = (ordersNow - ordersBefore) * ticketBefore;
+    const ticketEffect = ordersNow * (ticketNow - ticketBefore);
+    const scale = Math.abs(volumeEffect) + Math.abs(ticketEffect);
+    drivers.push(
+      { factor: 'order volume', effect: round(volumeEffect), share: scale ? round((Math.abs(volumeEffect) / scale) * 100) : 0 },
+      { factor: 'average ticket', effect: round(ticketEffect), share: scale ? round((Math.abs(ticketEffect) / scale) * 100) : 0 }
+    );
+    drivers.sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect));
+  }
+
+  const sentences = [];
+  if (revenueChange !== null) {
+    const revenuePercent = round(percentChange(revenueNow, revenueBefore), 1);
+    sentences.push(revenueChange === 0
+      ? `Revenue was unchanged from ${periodLabel}.`
+      : `Revenue ${revenueChange > 0 ? 'rose' : 'fell'} ${Math.abs(revenuePercent)}% (${revenueChange > 0 ? '+' : '-'}${formatNumber(Math.abs(revenueChange))}) against ${periodLabel}.`);
+  }
+  if (drivers.length > 0 && revenueChange) {
+    const [main, other] = drivers;
+    sentences.push(`Most of the change came from ${main.factor} (${main.effect >= 0 ? '+' : '-'}${formatNumber(Math.abs(main.effect))}), with ${other.factor} contributing ${other.effect >= 0 ? '+' : '-'}${formatNumber(Math.abs(other.effect))}.`);
+  }
+  if (current.costRatio !== null && previous.costRatio !== null) {
+    const points = round((current.costRatio - previous.costRatio) * 100, 1);
+    if (Math.abs(points) >= 1) {
+      sentences.push(`Costs ${points > 0 ? 'rose' : 'fell'} to ${round(current.costRatio * 100, 1)}% of revenue (${points > 0 ? '+' : ''}${points} points).`);
+    }
+  }
+
+  return {
+    direction: revenueChange === null ? null : directionOf(revenueChange),
+    summary: sentences[0] || 'Not enough data to compare the periods.',
+    explanation: sentences.join(' '),
+    changes,
+    drivers
+  };
+}
+
+/**
+ * Describe the trend, range and weekly pattern of a series
+ */
+export function explainPerformanceTrend(historicalData = [], metric = 'revenue') {
+  const series = toSeries(historicalData, metric);
+  if (series.length < 3) {
+    return { metric, trend: null, explanation: 'Not enough history to describe a trend.', points: series.length };
+  }
+
+  const values = series.map(point => point.value);
+  const trend = trendOf(values);
+  const volatility = coefficientOfVariation(values);
+  const peak = series.reduce((best, point) => (point.value > best.value ? point : best));
+  const low = series.reduce((worst, point) => (point.value < worst.value ? point : worst));
+  const model = fitForecastModel(series);
+
+  const sentences = [trend.direction === TREND.STABLE
+    ? `${metric.charAt(0).toUpperCase()}${metric.slice(1)} held steady over ${series.length} days, averaging ${formatNumber(mean(values))}.`
+    : `${metric.charAt(0).toUpperCase()}${metric.slice(1)} ${trend.direction === TREND.INCREASING ? 'grew' : 'declined'} ${round(Math.abs(trend.changePercent), 1)}% over ${series.length} days, averaging ${formatNumber(mean(values))}.`];
+
+  if (model.seasonalIndices) {
+    const ranked = Object.entries(model.seasonalIndices).sort((a, b) => b[1] - a[1]);
+    const [best, bestIndex] = ranked[0];
+    const [worst, worstIndex] = ranked[ranked.length - 1];
+    sentences.push(`There is a weekly pattern: ${best}s run ${round((bestIndex - 1) * 100)}% above average and ${worst}s ${round((1 - worstIndex) * 100)}% below.`);
+  }
+  sentences.push(volatility > 0.3
+    ? `Day-to-day swings are large (${round(volatility * 100)}% variation).`
+    : `Day-to-day variation is moderate (${round(volatility * 100)}%).`);
+
+  return {
+    metric,
+    trend: trend.direction,
+    changePercent: round(trend.changePercent, 1),
+    volatility: round(volatility, 3),
+    average: round(mean(values)),
+    peak: { date: peak.date, value: round(peak.value) },
+    low: { date: low.date, value: round(low.value) },
+    weeklyPattern: model.seasonalIndices,
+    explanation: sentences.join(' '),
+    points: series.length
+  };
+}
+
+/**
+ * Put an anomaly in context and list likely causes to check
+ * @param {Object} anomaly - From detectAnomalies/detectAllAnomalies
+ * @param {Array} historicalData - The series it was found in
+ */
+export function explainAnomaly(anomaly, historicalData = []) {
+  const series = toSeries(historicalData, anomaly.metric || null);
+  const values = series.map(point => point.value);
+  const weekday = anomaly.date ? weekdayOf(anomaly.date) : null;
+  const sameWeekday = weekday === null
+    ? []
+    : series.filter(point => point.date && point.date !== anomaly.date && weekdayOf(point.date) === weekday).map(point => point.value);
+
+  const context = {
+    average: round(mean(values)),
+    median: round(median(values)),
+    weekday: weekday === null ? null : WEEKDAYS[weekday],
+    sameWeekdayAverage: sameWeekday.length > 0 ? round(mean(sameWeekday)) : null
+  };
+
+  const direction = anomaly.type === 'spike' ? 'above' : 'below';
+  const sentences = [
+    `${anomaly.date ? `On ${context.weekday} ${anomaly.date}` : 'At this point'} the value was ${formatNumber(anomaly.value)}, ${anomaly.deviationPercent !== null && anomaly.deviationPercent !== undefined ? `${Math.abs(anomaly.deviationPercent)}% ` : ''}${direction} the ${formatNumber(anomaly.expected)} expected from the trend.`
+  ];
+  if (context.sameWeekdayAverage !== null) {
+    sentences.push(`Other ${context.weekday}s averaged ${formatNumber(context.sameWeekdayAverage)}, so this is ${Math.abs(anomaly.value - context.sameWeekdayAverage) > Math.abs(anomaly.value - anomaly.expected) ? 'even further from' : 'also unusual for'} a typical ${context.weekday}.`);
+  }
+
+  return {
+    anomaly,
+    explanation: sentences.join(' '),
+    context,
+    possibleCauses: POSSIBLE_CAUSES[anomaly.type] || [],
+    suggestedChecks: anomaly.type === 'drop'
+      ? ['Confirm the branch was open for its usual hours', 'Check that all POS orders for the day were synced']
+      : ['Check for duplicate orders or unusually large tickets', 'Confirm any promotion or event that day']
+  };
+}
+
+/**
+ * Explain where a branch stands among all branches
+ * @param {Object} branch - The branch (matched by id, else name)
+ * @param {Array} allBranches - Every branch, including this one
+ */
+export function explainBranchComparison(branch, allBranches = []) {
+  const scores = calculateMultipleBranchScores(allBranches);
+  const matches = (score) => (branch.id !== undefined ? score.branchId === branch.id : score.name === branch.name);
+  const own = scores.find(matches);
+  const revenues = allBranches.map(item => deriveMetrics(item).totalRevenue || 0);
+  const averageRevenue = mean(revenues);
+  const revenue = deriveMetrics(branch).totalRevenue || 0;
+  const revenueRank = [...revenues].sort((a, b) => b - a).indexOf(revenue) + 1;
+  const vsAveragePercent = round(percentChange(revenue, averageRevenue), 1);
+
+  const name = branch.name || 'This branch';
+  const sentences = [
+    `${name} ranks ${revenueRank} of ${allBranches.length} by revenue, ${vsAveragePercent >= 0 ? `${vsAveragePercent}% above` : `${Math.abs(vsAveragePercent)}% below`} the branch average.`
+  ];
+  if (own && own.score !== null) {
+    sentences.push(`Its health score is ${own.score}/100 (${own.status}), ${own.rank === 1 ? 'the best of the group' : `placing it ${own.rank} of ${scores.length}`}.`);
+  }
+  if (own && own.strengths.length > 0) sentences.push(`Strengths: ${own.strengths.join('; ').toLowerCase()}.`);
+  if (own && own.issues.length > 0) sentences.push(`Watch: ${own.issues.join('; ').toLowerCase()}.`);
+
+  return {
+    branchId: branch.id ?? null,
+    name: branch.name ?? null,
+    revenue: round(revenue),
+    averageRevenue: round(averageRevenue),
+    vsAveragePercent,
+    revenueRank,
+    healthScore: own ? own.score : null,
+    healthRank: own ? own.rank : null,
+    total: allBranches.length,
+    strengths: own ? own.strengths : [],
+    weaknesses: own ? own.issues : [],
+    explanation: sentences.join(' ')
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * AI Intelligence - Forecasting
+ * Linear trend forecasts with optional day-of-week seasonality. The weekly
+ * component is kept only when it explains enough of the variance, so short
+ * or flat histories fall back to the plain trend line. Prediction bands
+ * widen with the horizon from the in-sample residual spread.
+ */
+
+import {
+  sum,
+  mean,
+  round,
+  clamp,
+  linearRegression,
+  toSeries,
+  addDays,
+  weekdayOf
+} from './statistics.js';
+import { TREND, STABLE_TREND_PERCENT } from './metrics.js';
+
+export const FORECAST_METHODS = {
+  LINEAR: 'linear',
+  SEASONAL: 'seasonal'
+};
+
+export const FORECAST_PERIODS = [30, 60, 90];
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Minimum history (two full weeks) before a weekly pattern is estimated
+const MIN_SEASONAL_POINTS = 14;
+
+// Seasonal model must cut squared error by at least this share to be used
+const SEASONAL_IMPROVEMENT = 0.1;
+
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+const squaredError = (values, fitted) => sum(values.map((value, index) => (value - fitted[index]) ** 2));
+
+/**
+ * Fit a forecasting model to a normalized series
+ * @param {Array<{date: string|null, value: number}>} series
+ * @returns {Object} Model with predict(x), weekdayAt(x), residualStd and fit details
+ */
+export function fitForecastModel(series) {
+  const values = series.map(point => point.value);
+  const n = values.length;
+  const dated = n > 0 && series.every(point => point.date);
+  const firstDate = dated ? series[0].date : null;
+  // Positions are days since the first observation when dated, else the row index
+  const positions = dated
+    ? series.map(point => Math.round((Date.parse(`${point.date}T00:00:00Z`) - Date.parse(`${firstDate}T00:00:00Z`)) / 86400000))
+    : values.map((_, index) => index);
+  const weekdayAt = (x) => (dated ? weekdayOf(addDays(firstDate, x)) : x % 7);
+
+  const linear = linearRegression(values, positions);
+  let model = {
+    method: FORECAST_METHODS.LINEAR,
+    predict: linear.predict,
+    rSquared: linear.rSquared,
+    seasonalIndices: null
+  };
+  let fitted = positions.map(x => linear.predict(x));
+
+  if (n >= MIN_SEASONAL_POINTS) {
+    const ratios = WEEKDAY_NAMES.map(() => []);
+    values.forEach((value, index) => {
+      if (fitted[index] > 0) ratios[weekdayAt(positions[index])].push(value / fitted[index]);
+    });
+
+    if (ratios.every(list => list.length > 0)) {
+      const raw = ratios.map(list => mean(list));
+      const scale = mean(raw);
+      const indices = raw.map(index => index / scale);
+      const adjusted = linearRegression(values.map((value, index) => value / indices[weekdayAt(positions[index])]), positions);
+      const predictSeasonal = (x) => adjusted.predict(x) * indices[weekdayAt(x)];
+      const seasonalFitted = positions.map(x => predictSeasonal(x));
+
+      const linearError = squaredError(values, fitted);
+      const seasonalError = squaredError(values, seasonalFitted);
+      if (seasonalError < linearError * (1 - SEASONAL_IMPROVEMENT)) {
+        const totalSquares = sum(values.map(value => (value - mean(values)) ** 2));
+        model = {
+          method: FORECAST_METHODS.SEASONAL,
+          predict: predictSeasonal,
+          rSquared: totalSquares ? Math.max(0, 1 - seasonalError / totalSquares) : 1,
+          seasonalIndices: Object.fromEntries(WEEKDAY_NAMES.map((day, index) => [day, round(indices[index], 3)]))
+        };
+        fitted = seasonalFitted;
+      }
+    }
+  }
+
+  return {
+    ...model,
+    n,
+    lastDate: dated ? series[n - 1].date : null,
+    lastPosition: n > 0 ? positions[n - 1] : -1,
+    weekdayAt,
+    fitted,
+    residualStd: n > 2 ? Math.sqrt(squaredError(values, fitted) / (n - 2)) : 0
+  };
+}
+
+/**
+ * Forecast the days after a series
+ * @param {Array} data - Numbers or dated rows
+ * @param {Object} options - { days, key, confidenceLevel, nonNegative }
+ * @returns {{model: Object|null, points: Array}}
+ */
+export function forecastSeries(data, { days = 30, key = null, confidenceLevel = 0.95, nonNegative = true } = {}) {
+  const series = toSeries(data, key);
+  if (series.length === 0) return { model: null, points: [] };
+
+  const model = fitForecastModel(series);
+  const z = Z_SCORES[confidenceLevel] || Z_SCORES[0.95];
+  const floor = (value) => (nonNegative ? Math.max(0, value) : value);
+
+  const points = Array.from({ length: days }, (_, offset) => {
+    const day = offset + 1;
+    const value = floor(model.predict(model.lastPosition + day));
+    const margin = z * model.residualStd * Math.sqrt(1 + day / model.n);
+    return {
+      day,
+      date: model.lastDate ? addDays(model.lastDate, day) : null,
+      value: round(value),
+      lowerBound: round(floor(value - margin)),
+      upperBound: round(value + margin),
+      confidence: value > 0 ? Math.round(clamp(100 - (margin / value) * 100, 5, 99)) : 5
+    };
+  });
+
+  return { model, points };
+}
+
+function historyFor(historicalData, metric) {
+  if (Array.isArray(historicalData)) return historicalData;
+  return historicalData && Array.isArray(historicalData[metric]) ? historicalData[metric] : [];
+}
+
+function summarize(points, history) {
+  const recent = history.slice(-Math.min(history.length, points.length));
+  const historicalAverage = mean(recent);
+  const averageDaily = mean(points.map(point => point.value));
+  const changePercent = historicalAverage > 0 ? ((averageDaily - historicalAverage) / historicalAverage) * 100 : 0;
+
+  let trend = TREND.STABLE;
+  if (changePercent > STABLE_TREND_PERCENT) trend = TREND.INCREASING;
+  if (changePercent < -STABLE_TREND_PERCENT) trend = TREND.DECREASING;
+
+  return {
+    totalProjected: round(sum(points.map(point => point.value))),
+    averageDaily: round(averageDaily),
+    historicalAverage: round(historicalAverage),
+    changePercent: round(changePercent, 1),
+    trend,
+    confidence: points.length > 0 ? Math.round(mean(points.map(point => point.confidence))) : 0
+  };
+}
+
+/**
+ * Forecast a metric for the coming days
+ * @param {Array|Object} historicalData - Rows for the metric, or an object keyed by metric
+ * @param {Object} options - { days, metric, confidenceLevel }
+ */
+export function generateRevenueForecast(historicalData, { days = 30, metric = 'revenue', confidenceLevel = 0.95 } = {}) {
+  const history = historyFor(historicalData, metric);
+  const { model, points } = forecastSeries(history, { days, key: metric, confidenceLevel });
+
+  return {
+    metric,
+    days,
+    method: model ? model.method : null,
+    seasonality: model ? model.seasonalIndices : null,
+    rSquared: model ? round(model.rSquared, 3) : null,
+    forecast: points,
+    summary: summarize(points, toSeries(history, metric).map(point => point.value))
+  };
+}
+
+/**
+ * 30, 60 and 90 day forecasts of a metric from one fitted model
+ */
+export function generateMultiPeriodForecast(historicalData, metric = 'revenue') {
+  const longest = Math.max(...FORECAST_PERIODS);
+  const full = generateRevenueForecast(historicalData, { days: longest, metric });
+  const history = toSeries(historyFor(historicalData, metric), metric).map(point => point.value);
+
+  const forecasts = {};
+  FORECAST_PERIODS.forEach(days => {
+    const points = full.forecast.slice(0, days);
+    forecasts[`${days}_days`] = {
+      label: `${days}-Day ${metric.charAt(0).toUpperCase()}${metric.slice(1)} Forecast`,
+      days,
+      forecast: points,
+      summary: summarize(points, history)
+    };
+  });
+
+  return {
+    metric,
+    method: full.method,
+    seasonality: full.seasonality,
+    rSquared: full.rSquared,
+    forecasts
+  };
+}
+
+/**
+ * Revenue forecasts plus 30/90 day outlooks for every metric in the data
+ * @param {Array|Object} historicalData - Revenue rows, or { revenue, orders, costs }
+ */
+export function generateForecastSummary(historicalData) {
+  const byKey = Array.isArray(historicalData) ? { revenue: historicalData } : (historicalData || {});
+  const revenue = generateMultiPeriodForecast(byKey.revenue || [], 'revenue');
+
+  const outlook = {};
+  ['revenue', 'orders', 'costs'].forEach(metric => {
+    if (!Array.isArray(byKey[metric]) || byKey[metric].length === 0) return;
+    const key = metric === 'costs' ? 'cost' : metric;
+    const { points } = forecastSeries(byKey[metric], { days: 90, key });
+    const history = toSeries(byKey[metric], key).map(point => point.value);
+    outlook[metric] = {
+      next30: summarize(points.slice(0, 30), history),
+      next90: summarize(points, history)
+    };
+  });
+
+  const highlights = Object.entries(outlook).map(([metric, { next30 }]) => (
+    next30.trend === TREND.STABLE
+      ? `${metric} is expected to hold steady over the next 30 days`
+      : `${metric} is expected to ${next30.trend === TREND.INCREASING ? 'rise' : 'fall'} ${Math.abs(next30.changePercent)}% over the next 30 days`
+  ));
+
+  return { ...revenue, outlook, highlights };
+}
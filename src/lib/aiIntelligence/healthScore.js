@@ -0,0 +1,127 @@
+/**
+ * AI Intelligence - Branch Health
+ * Weighted health score of a branch (or the whole business) from growth,
+ * consistency, cost control and volume against its peers or a target.
+ */
+
+import { mean, round, gradeFor, weightedScore, scoreAgainst } from './statistics.js';
+import { deriveMetrics } from './metrics.js';
+import { getIndustryBenchmarks } from './performanceScore.js';
+
+export const HEALTH_WEIGHTS = {
+  growth: 0.3,
+  consistency: 0.2,
+  profitability: 0.3,
+  volume: 0.2
+};
+
+export const HEALTH_STATUS = {
+  EXCELLENT: 'excellent',
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor',
+  CRITICAL: 'critical'
+};
+
+// Revenue relative to peers/target: half scores 0, parity scores 80
+const VOLUME_BAND = { target: 1, worst: 0.5 };
+
+const COMPONENT_MESSAGES = {
+  growth: { issue: 'Revenue is shrinking', strength: 'Revenue is growing' },
+  consistency: { issue: 'Daily revenue swings widely', strength: 'Revenue is steady day to day' },
+  profitability: { issue: 'Costs are high relative to revenue', strength: 'Costs are well controlled' },
+  volume: { issue: 'Revenue trails comparable branches', strength: 'Revenue leads comparable branches' }
+};
+
+export function healthStatusFor(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 80) return HEALTH_STATUS.EXCELLENT;
+  if (score >= 65) return HEALTH_STATUS.GOOD;
+  if (score >= 50) return HEALTH_STATUS.FAIR;
+  if (score >= 35) return HEALTH_STATUS.POOR;
+  return HEALTH_STATUS.CRITICAL;
+}
+
+/**
+ * Health score of one branch
+ * @param {Object} branch - Series/totals ({ id, name, revenue, history } or daily performance)
+ * @param {Object} options - { industry, peerAverageRevenue, targetRevenue }
+ */
+export function calculateBranchHealthScore(branch = {}, options = {}) {
+  const benchmarks = getIndustryBenchmarks(options.industry);
+  const metrics = deriveMetrics(branch);
+  const reference = options.targetRevenue || options.peerAverageRevenue || null;
+
+  const values = {
+    growth: metrics.revenueGrowth,
+    consistency: metrics.revenueVolatility,
+    profitability: metrics.costRatio,
+    volume: reference && metrics.totalRevenue !== null ? metrics.totalRevenue / reference : null
+  };
+  const bands = {
+    growth: benchmarks.revenueGrowth,
+    consistency: benchmarks.revenueVolatility,
+    profitability: benchmarks.costRatio,
+    volume: VOLUME_BAND
+  };
+
+  const components = Object.fromEntries(Object.keys(HEALTH_WEIGHTS).map(key => [key, {
+    score: scoreAgainst(values[key], bands[key]),
+    weight: HEALTH_WEIGHTS[key],
+    value: values[key] === null || values[key] === undefined ? null : round(values[key], 3)
+  }]));
+
+  const score = weightedScore(Object.values(components));
+  const scored = Object.entries(components).filter(([, component]) => component.score !== null);
+
+  return {
+    branchId: branch.id ?? null,
+    name: branch.name ?? null,
+    score,
+    grade: gradeFor(score),
+    status: healthStatusFor(score),
+    totalRevenue: metrics.totalRevenue === null ? null : round(metrics.totalRevenue),
+    components,
+    issues: scored.filter(([, component]) => component.score < 50).map(([key]) => COMPONENT_MESSAGES[key].issue),
+    strengths: scored.filter(([, component]) => component.score >= 80).map(([key]) => COMPONENT_MESSAGES[key].strength)
+  };
+}
+
+/**
+ * Health scores of several branches, each measured against the branch
+ * average revenue, best first with a rank
+ */
+export function calculateMultipleBranchScores(branches = [], options = {}) {
+  const revenues = branches.map(branch => deriveMetrics(branch).totalRevenue).filter(value => value !== null);
+  const peerAverageRevenue = revenues.length > 1 ? mean(revenues) : null;
+
+  return branches
+    .map(branch => calculateBranchHealthScore(branch, { peerAverageRevenue, ...options }))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+    .map((score, index) => ({ ...score, rank: index + 1 }));
+}
+
+/**
+ * Branch scores with the average, status distribution, top performer and
+ * the branches needing attention
+ */
+export function getBranchHealthSummary(branches = [], options = {}) {
+  const scores = calculateMultipleBranchScores(branches, options);
+  const scored = scores.filter(score => score.score !== null);
+  const averageScore = scored.length > 0 ? Math.round(mean(scored.map(score => score.score))) : null;
+
+  const distribution = Object.fromEntries(Object.values(HEALTH_STATUS).map(status => [
+    status,
+    scored.filter(score => score.status === status).length
+  ]));
+
+  return {
+    branches: scores,
+    averageScore,
+    averageGrade: gradeFor(averageScore),
+    status: healthStatusFor(averageScore),
+    distribution,
+    topPerformer: scored[0] || null,
+    needsAttention: scored.filter(score => score.status === HEALTH_STATUS.POOR || score.status === HEALTH_STATUS.CRITICAL)
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * AI Intelligence
+ * Deterministic, offline analytics behind aiIntelligenceAPI and the
+ * advisor: forecasting, anomaly detection, clustering, rule-based
+ * recommendations and alerts, health and performance scoring, what-if
+ * scenarios and generated explanations. No model calls and no randomness:
+ * the same data always gives the same results.
+ */
+
+export * from './statistics.js';
+export * from './metrics.js';
+export * from './forecasting.js';
+export * from './predictions.js';
+export * from './anomalies.js';
+export * from './clustering.js';
+export * from './performanceScore.js';
+export * from './healthScore.js';
+export * from './recommendations.js';
+export * from './alerts.js';
+export * from './explanations.js';
+export * from './scenarios.js';
+export * from './analysis.js';
@@ -0,0 +1,114 @@
+/**
+ * AI Intelligence - Metrics
+ * Derives the headline figures (totals, ratios, growth, volatility) the
+ * scoring, recommendation and alert rules work from, out of whichever
+ * shape the caller has: dated series, plain number arrays, daily
+ * performance rows or pre-computed totals.
+ */
+
+import {
+  sum,
+  mean,
+  percentChange,
+  linearRegression,
+  coefficientOfVariation,
+  toSeries
+} from './statistics.js';
+
+// Change over the observed window (percent) below which a trend counts as stable
+export const STABLE_TREND_PERCENT = 2;
+
+export const TREND = {
+  INCREASING: 'increasing',
+  DECREASING: 'decreasing',
+  STABLE: 'stable'
+};
+
+const firstNumber = (...values) => {
+  const found = values.find(value => typeof value === 'number' && Number.isFinite(value));
+  return found === undefined ? null : found;
+};
+
+/**
+ * Direction and size of the fitted linear trend across a window
+ * @param {number[]} values - Observations in time order
+ * @returns {{direction: string, changePercent: number, slope: number, rSquared: number}}
+ */
+export function trendOf(values) {
+  if (values.length < 3) {
+    return { direction: TREND.STABLE, changePercent: 0, slope: 0, rSquared: 0 };
+  }
+
+  const { slope, rSquared, predict } = linearRegression(values);
+  const start = predict(0);
+  const end = predict(values.length - 1);
+  const changePercent = start > 0 ? percentChange(end, start) : percentChange(end, mean(values));
+
+  let direction = TREND.STABLE;
+  if (changePercent > STABLE_TREND_PERCENT) direction = TREND.INCREASING;
+  if (changePercent < -STABLE_TREND_PERCENT) direction = TREND.DECREASING;
+
+  return { direction, changePercent, slope, rSquared };
+}
+
+/**
+ * Pick the revenue, orders, costs and profit series out of a data object
+ */
+export function extractSeries(data = {}) {
+  const rows = Array.isArray(data.performance) && data.performance.length > 0
+    ? data.performance
+    : (Array.isArray(data.history) ? data.history : []);
+
+  return {
+    revenue: Array.isArray(data.revenue) && data.revenue.length > 0 ? toSeries(data.revenue, 'revenue') : toSeries(rows, 'revenue'),
+    orders: Array.isArray(data.orders) && data.orders.length > 0 ? toSeries(data.orders, 'orders') : toSeries(rows.filter(row => row && row.orders !== undefined), 'orders'),
+    costs: Array.isArray(data.costs) && data.costs.length > 0 ? toSeries(data.costs, 'cost') : toSeries(rows.filter(row => row && row.costs !== undefined), 'costs'),
+    profit: toSeries(rows.filter(row => row && row.profit !== undefined), 'profit')
+  };
+}
+
+/**
+ * Headline metrics of a business, branch or period
+ * @param {Object} data - Series and/or totals
+ * @returns {Object} Totals, ratios (0-1), growth (percent over the window) and volatility
+ */
+export function deriveMetrics(data = {}) {
+  const series = extractSeries(data);
+  const revenueValues = series.revenue.map(point => point.value);
+  const orderValues = series.orders.map(point => point.value);
+  const costValues = series.costs.map(point => point.value);
+
+  const totalRevenue = revenueValues.length > 0
+    ? sum(revenueValues)
+    : firstNumber(data.totalRevenue, data.revenue, data.total_revenue);
+  const totalOrders = orderValues.length > 0
+    ? sum(orderValues)
+    : firstNumber(data.totalOrders, data.orders, data.orderCount, data.total_orders);
+  const totalCosts = costValues.length > 0
+    ? sum(costValues)
+    : firstNumber(data.totalCosts, data.costs, data.total_costs);
+
+  const profitTotal = series.profit.length > 0 ? sum(series.profit.map(point => point.value)) : null;
+  const revenueTrend = trendOf(revenueValues);
+  const orderTrend = trendOf(orderValues);
+
+  return {
+    days: revenueValues.length,
+    totalRevenue,
+    totalOrders,
+    totalCosts,
+    averageOrderValue: totalOrders > 0 && totalRevenue !== null
+      ? totalRevenue / totalOrders
+      : firstNumber(data.averageOrderValue),
+    averageDailyRevenue: revenueValues.length > 0 ? mean(revenueValues) : null,
+    averageDailyOrders: orderValues.length > 0 ? mean(orderValues) : null,
+    costRatio: totalRevenue > 0 && totalCosts !== null ? totalCosts / totalRevenue : null,
+    profitMargin: totalRevenue > 0 && profitTotal !== null ? profitTotal / totalRevenue : firstNumber(data.profitMargin),
+    revenueTrend,
+    orderTrend,
+    revenueGrowth: revenueValues.length >= 3 ? revenueTrend.changePercent : firstNumber(data.revenueGrowth, data.growth),
+    orderGrowth: orderValues.length >= 3 ? orderTrend.changePercent : firstNumber(data.orderGrowth),
+    revenueVolatility: revenueValues.length >= 3 ? coefficientOfVariation(revenueValues) : null,
+    orderVolatility: orderValues.length >= 3 ? coefficientOfVariation(orderValues) : null
+  };
+}
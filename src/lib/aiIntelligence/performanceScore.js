@@ -0,0 +1,231 @@
+/**
+ * AI Intelligence - Performance Scoring
+ * Scores revenue, operations, finances and customers 0-100 against
+ * industry benchmark bands, rolls them into a weighted overall score and
+ * ranks a business against its peers. Metrics without data are left out
+ * rather than scored as zero.
+ */
+
+import {
+  mean,
+  median,
+  round,
+  gradeFor,
+  weightedScore,
+  scoreAgainst
+} from './statistics.js';
+import { deriveMetrics } from './metrics.js';
+
+/**
+ * Benchmark bands: `target` scores 80, `worst` scores 0. Growth is percent
+ * over the analysed window, volatility the coefficient of variation,
+ * ratios are 0-1 and customer rates are percentages.
+ */
+export const INDUSTRY_BENCHMARKS = {
+  default: {
+    revenueGrowth: { target: 5, worst: -10 },
+    revenueVolatility: { target: 0.15, worst: 0.6 },
+    orderGrowth: { target: 5, worst: -10 },
+    orderVolatility: { target: 0.15, worst: 0.6 },
+    costRatio: { target: 0.3, worst: 0.5 },
+    profitMargin: { target: 0.15, worst: -0.05 },
+    repeatRate: { target: 40, worst: 10 },
+    retentionRate: { target: 60, worst: 20 },
+    churnRate: { target: 15, worst: 50 },
+    rating: { target: 4.5, worst: 3 }
+  },
+  quick_service: {
+    costRatio: { target: 0.28, worst: 0.45 },
+    repeatRate: { target: 50, worst: 15 },
+    retentionRate: { target: 65, worst: 25 }
+  },
+  casual_dining: {},
+  fine_dining: {
+    costRatio: { target: 0.32, worst: 0.5 },
+    profitMargin: { target: 0.1, worst: -0.05 },
+    repeatRate: { target: 30, worst: 5 },
+    retentionRate: { target: 50, worst: 15 }
+  },
+  cafe: {
+    costRatio: { target: 0.25, worst: 0.42 },
+    repeatRate: { target: 55, worst: 20 },
+    retentionRate: { target: 70, worst: 30 }
+  }
+};
+
+// Share of the overall score each component carries
+export const SCORE_WEIGHTS = {
+  revenue: 0.3,
+  operational: 0.25,
+  financial: 0.25,
+  customer: 0.2
+};
+
+const METRIC_LABELS = {
+  revenueGrowth: 'Revenue growth',
+  revenueVolatility: 'Revenue consistency',
+  orderGrowth: 'Order growth',
+  orderVolatility: 'Order consistency',
+  costRatio: 'Cost ratio',
+  profitMargin: 'Profit margin',
+  repeatRate: 'Repeat customers',
+  retentionRate: 'Customer retention',
+  churnRate: 'Customer churn',
+  rating: 'Customer rating'
+};
+
+// Peer metrics where a smaller value ranks higher
+const LOWER_IS_BETTER = new Set(['costRatio', 'revenueVolatility', 'orderVolatility', 'churnRate']);
+
+/**
+ * Benchmarks for an industry (unknown industries get the defaults)
+ */
+export function getIndustryBenchmarks(industry = 'default') {
+  return { ...INDUSTRY_BENCHMARKS.default, ...(INDUSTRY_BENCHMARKS[industry] || {}) };
+}
+
+function scoreComponent(values, industry) {
+  const benchmarks = getIndustryBenchmarks(industry);
+  const metrics = Object.entries(values).map(([metric, value]) => ({
+    metric,
+    label: METRIC_LABELS[metric],
+    value: value === null || value === undefined ? null : round(value, 3),
+    benchmark: benchmarks[metric].target,
+    score: scoreAgainst(value, benchmarks[metric])
+  }));
+  const scored = metrics.filter(metric => metric.score !== null);
+  const score = scored.length > 0 ? Math.round(mean(scored.map(metric => metric.score))) : null;
+  return { score, grade: gradeFor(score), metrics };
+}
+
+/**
+ * Score revenue growth and consistency
+ */
+export function scoreRevenuePerformance(data = {}, industry = 'default') {
+  const metrics = deriveMetrics(data);
+  return scoreComponent({
+    revenueGrowth: metrics.revenueGrowth,
+    revenueVolatility: metrics.revenueVolatility
+  }, industry);
+}
+
+/**
+ * Score order volume growth and consistency
+ */
+export function scoreOperationalPerformance(data = {}, industry = 'default') {
+  const metrics = deriveMetrics(data);
+  return scoreComponent({
+    orderGrowth: metrics.orderGrowth,
+    orderVolatility: metrics.orderVolatility
+  }, industry);
+}
+
+/**
+ * Score cost ratio and profit margin
+ */
+export function scoreFinancialPerformance(data = {}, industry = 'default') {
+  const metrics = deriveMetrics(data);
+  return scoreComponent({
+    costRatio: metrics.costRatio,
+    profitMargin: metrics.profitMargin
+  }, industry);
+}
+
+/**
+ * Score customer loyalty from the customer section of the data
+ * ({ customers: { repeatRate, retentionRate, churnRate }, rating })
+ */
+export function scoreCustomerSatisfaction(data = {}, industry = 'default') {
+  const customers = data.customers && !Array.isArray(data.customers) ? data.customers : {};
+  return scoreComponent({
+    repeatRate: customers.repeatRate ?? null,
+    retentionRate: customers.retentionRate ?? null,
+    churnRate: customers.churnRate ?? null,
+    rating: data.rating ?? data.averageRating ?? null
+  }, industry);
+}
+
+/**
+ * Overall performance score with per-component scores, strengths and
+ * weaknesses
+ * @param {Object} data - Series/totals plus an optional `satisfaction` customer section
+ * @param {string} industry - INDUSTRY_BENCHMARKS key
+ */
+export function generatePerformanceScore(data = {}, industry = 'default') {
+  const components = {
+    revenue: scoreRevenuePerformance(data, industry),
+    operational: scoreOperationalPerformance(data, industry),
+    financial: scoreFinancialPerformance(data, industry),
+    customer: scoreCustomerSatisfaction(data.satisfaction || data, industry)
+  };
+
+  const overallScore = weightedScore(Object.entries(components).map(([key, component]) => ({
+    score: component.score,
+    weight: SCORE_WEIGHTS[key]
+  })));
+
+  const scoredMetrics = Object.entries(components).flatMap(([category, component]) => (
+    component.metrics
+      .filter(metric => metric.score !== null)
+      .map(metric => ({ category, metric: metric.label, score: metric.score }))
+  ));
+
+  return {
+    overallScore,
+    grade: gradeFor(overallScore),
+    industry,
+    components,
+    strengths: scoredMetrics.filter(metric => metric.score >= 80).sort((a, b) => b.score - a.score).slice(0, 3),
+    weaknesses: scoredMetrics.filter(metric => metric.score < 60).sort((a, b) => a.score - b.score).slice(0, 3)
+  };
+}
+
+/**
+ * Rank a business against peers on every numeric metric they share
+ * @param {Object} myData - { metric: value }
+ * @param {Array<Object>} peerData - Peers with the same metric keys
+ */
+export function benchmarkAgainstPeers(myData = {}, peerData = []) {
+  const metrics = Object.keys(myData)
+    .filter(metric => typeof myData[metric] === 'number' && Number.isFinite(myData[metric]))
+    .map(metric => {
+      const peers = peerData.map(peer => peer[metric]).filter(value => typeof value === 'number' && Number.isFinite(value));
+      if (peers.length === 0) return null;
+
+      const value = myData[metric];
+      const lowerIsBetter = LOWER_IS_BETTER.has(metric);
+      const beaten = peers.filter(peer => (lowerIsBetter ? value < peer : value > peer)).length;
+      const tied = peers.filter(peer => peer === value).length;
+      const percentile = Math.round(((beaten + tied / 2) / peers.length) * 100);
+      const peerAverage = mean(peers);
+
+      return {
+        metric,
+        value,
+        peerAverage: round(peerAverage),
+        peerMedian: round(median(peers)),
+        differencePercent: peerAverage ? round(((value - peerAverage) / Math.abs(peerAverage)) * 100, 1) : null,
+        percentile,
+        status: percentile >= 60 ? 'above' : percentile <= 40 ? 'below' : 'average'
+      };
+    })
+    .filter(Boolean);
+
+  const overallPercentile = metrics.length > 0 ? Math.round(mean(metrics.map(metric => metric.percentile))) : null;
+  let position = null;
+  if (overallPercentile !== null) {
+    if (overallPercentile >= 75) position = 'leader';
+    else if (overallPercentile >= 50) position = 'above average';
+    else if (overallPercentile >= 25) position = 'below average';
+    else position = 'laggard';
+  }
+
+  return {
+    peers: peerData.length,
+    metrics,
+    overallPercentile,
+    position,
+    strengths: metrics.filter(metric => metric.status === 'above').map(metric => metric.metric),
+    weaknesses: metrics.filter(metric => metric.status === 'below').map(metric => metric.metric)
+  };
+}
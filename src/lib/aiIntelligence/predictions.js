@@ -0,0 +1,127 @@
+/**
+ * AI Intelligence - Predictions
+ * Short-horizon trend predictions for revenue, orders, costs and
+ * categories, built on the forecasting model. A prediction compares the
+ * last week observed with the last week of the horizon so weekly swings
+ * don't read as a trend.
+ */
+
+import { sum, mean, round, percentChange, toSeries } from './statistics.js';
+import { TREND, STABLE_TREND_PERCENT, extractSeries } from './metrics.js';
+import { forecastSeries } from './forecasting.js';
+
+// Fewest observations a prediction is made from
+export const MIN_PREDICTION_POINTS = 3;
+
+const WEEK = 7;
+
+function buildPrediction(data, key, daysAhead) {
+  const series = toSeries(data, key);
+  if (series.length < MIN_PREDICTION_POINTS) return null;
+
+  const { model, points } = forecastSeries(series, { days: daysAhead, key: 'value' });
+  const currentValue = mean(series.slice(-WEEK).map(point => point.value));
+  const predictedValue = mean(points.slice(-WEEK).map(point => point.value));
+  const changePercent = percentChange(predictedValue, currentValue);
+
+  let trend = TREND.STABLE;
+  if (changePercent > STABLE_TREND_PERCENT) trend = TREND.INCREASING;
+  if (changePercent < -STABLE_TREND_PERCENT) trend = TREND.DECREASING;
+
+  return {
+    trend,
+    changePercent: round(changePercent, 1),
+    currentValue: round(currentValue),
+    predictedValue: round(predictedValue),
+    daysAhead,
+    method: model.method,
+    rSquared: round(model.rSquared, 3),
+    confidence: Math.round(mean(points.map(point => point.confidence))),
+    predictions: points
+  };
+}
+
+/**
+ * Predict the revenue trend
+ * @param {Array} revenueData - Revenue numbers or { date, revenue } rows
+ * @param {number} daysAhead - Horizon in days
+ * @returns {Object|null} Null with fewer than three observations
+ */
+export function predictRevenueTrend(revenueData, daysAhead = 30) {
+  const prediction = buildPrediction(revenueData, 'revenue', daysAhead);
+  return prediction ? { metric: 'revenue', ...prediction } : null;
+}
+
+/**
+ * Predict any daily performance metric (orders, covers, ...)
+ */
+export function predictPerformance(data, metric = 'orders', daysAhead = 30) {
+  const prediction = buildPrediction(data, metric, daysAhead);
+  return prediction ? { metric, ...prediction } : null;
+}
+
+/**
+ * Predict costs over the horizon against holding them at the current
+ * daily level; the difference is what keeping costs flat would save
+ */
+export function predictCostTrend(costData, daysAhead = 30) {
+  const prediction = buildPrediction(costData, 'cost', daysAhead);
+  if (!prediction) return null;
+
+  const currentCost = prediction.currentValue * daysAhead;
+  const projectedCost = sum(prediction.predictions.map(point => point.value));
+
+  return {
+    metric: 'costs',
+    ...prediction,
+    currentCost: round(currentCost),
+    projectedCost: round(projectedCost),
+    potentialSavings: round(Math.max(0, projectedCost - currentCost))
+  };
+}
+
+/**
+ * Revenue share and direction of each category. Categories with a
+ * `history` series get a trend; the rest are carried forward flat.
+ * @param {Array} categories - { id, name, revenue, orders, history? }
+ */
+export function predictCategoryPerformance(categories = [], daysAhead = 30) {
+  const rows = categories.map(category => {
+    const prediction = Array.isArray(category.history)
+      ? buildPrediction(category.history, 'revenue', daysAhead)
+      : null;
+    const currentRevenue = Number(category.revenue) || sum(toSeries(category.history || [], 'revenue').map(point => point.value));
+    return { category, prediction, currentRevenue };
+  });
+  const totalRevenue = sum(rows.map(row => row.currentRevenue));
+
+  return rows
+    .map(({ category, prediction, currentRevenue }) => ({
+      id: category.id,
+      name: category.name,
+      currentRevenue: round(currentRevenue),
+      share: totalRevenue > 0 ? round((currentRevenue / totalRevenue) * 100, 1) : 0,
+      trend: prediction ? prediction.trend : TREND.STABLE,
+      changePercent: prediction ? prediction.changePercent : 0,
+      projectedRevenue: prediction
+        ? round(sum(prediction.predictions.map(point => point.value)))
+        : null
+    }))
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Predictions for every series present in the data
+ * @param {Object} data - { revenue, orders, costs, categories } or daily `performance` rows
+ */
+export function generatePredictionSummary(data = {}, daysAhead = 30) {
+  const series = extractSeries(data);
+  return {
+    revenue: predictRevenueTrend(series.revenue, daysAhead),
+    orders: predictPerformance(series.orders, 'orders', daysAhead),
+    costs: predictCostTrend(series.costs, daysAhead),
+    categories: Array.isArray(data.categories) && data.categories.length > 0
+      ? predictCategoryPerformance(data.categories, daysAhead)
+      : null
+  };
+}
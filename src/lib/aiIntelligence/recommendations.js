@@ -0,0 +1,350 @@
+/**
+ * AI Intelligence - Recommendations
+ * Rule-based recommendations: each rule reads the derived metrics,
+ * anomalies, weekly pattern, categories, branches or customer section and
+ * returns at most one recommendation with concrete actions.
+ */
+
+import { sum, mean, round, formatNumber } from './statistics.js';
+import { TREND, trendOf, deriveMetrics, extractSeries } from './metrics.js';
+import { fitForecastModel } from './forecasting.js';
+import { detectAllAnomalies, ANOMALY_SEVERITY } from './anomalies.js';
+import { getIndustryBenchmarks } from './performanceScore.js';
+
+export const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const IMPACT_ORDER = ['high', 'medium', 'low'];
+
+// Weekday revenue index below which a day is called out as slow
+const SLOW_DAY_INDEX = 0.85;
+
+// Branch revenue below this share of the branch average is underperforming
+const BRANCH_UNDERPERFORMANCE = 0.75;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function recommendation({ id, category, priority, impact, title, description, actions, potentialImpact = null, metric = null, value = null }) {
+  return {
+    id,
+    category,
+    priority,
+    impact,
+    title,
+    description,
+    actions,
+    action: actions[0],
+    potentialImpact,
+    metric,
+    value: value === null ? null : round(value, 3)
+  };
+}
+
+const RULES = [
+  function revenueDecline({ metrics }) {
+    if (metrics.revenueTrend.direction !== TREND.DECREASING) return null;
+    const drop = Math.abs(metrics.revenueTrend.changePercent);
+    return recommendation({
+      id: 'revenue_decline',
+      category: 'revenue',
+      priority: drop >= 15 ? 'critical' : 'high',
+      impact: 'high',
+      title: 'Reverse the revenue decline',
+      description: `Revenue trended down ${round(drop, 1)}% over the last ${metrics.days} days.`,
+      actions: [
+        'Compare the slowest days with the same days last month to find where sales were lost',
+        'Run a limited-time offer or bundle to bring back traffic',
+        'Reach out to lapsing customers with a win-back offer'
+      ],
+      potentialImpact: metrics.averageDailyRevenue
+        ? `Returning to the earlier level adds about ${formatNumber((metrics.averageDailyRevenue * drop) / 100)} per day`
+        : null,
+      metric: 'revenueGrowth',
+      value: metrics.revenueTrend.changePercent
+    });
+  },
+
+  function orderDecline({ metrics }) {
+    if (metrics.orderTrend.direction !== TREND.DECREASING || metrics.orderTrend.changePercent > -5) return null;
+    return recommendation({
+      id: 'order_decline',
+      category: 'operations',
+      priority: 'high',
+      impact: 'medium',
+      title: 'Win back order volume',
+      description: `Order count trended down ${round(Math.abs(metrics.orderTrend.changePercent), 1)}% over the period.`,
+      actions: [
+        'Check delivery platform rankings and availability hours',
+        'Review service times at peak hours for bottlenecks',
+        'Promote best sellers on slow days'
+      ],
+      metric: 'orderGrowth',
+      value: metrics.orderTrend.changePercent
+    });
+  },
+
+  function costRatio({ metrics, benchmarks }) {
+    const band = benchmarks.costRatio;
+    if (metrics.costRatio === null || metrics.costRatio <= band.target) return null;
+    const excess = metrics.costRatio - band.target;
+    let priority = 'medium';
+    if (metrics.costRatio >= band.worst) priority = 'critical';
+    else if (excess > 0.05) priority = 'high';
+
+    return recommendation({
+      id: 'high_cost_ratio',
+      category: 'costs',
+      priority,
+      impact: 'high',
+      title: 'Bring costs back in line with revenue',
+      description: `Costs are ${round(metrics.costRatio * 100, 1)}% of revenue against a ${round(band.target * 100)}% benchmark.`,
+      actions: [
+        'Re-cost the top selling recipes against current supplier prices',
+        'Tighten portioning and track waste daily',
+        'Renegotiate or re-tender the largest supplier contracts'
+      ],
+      potentialImpact: metrics.totalRevenue
+        ? `Reaching the benchmark saves about ${formatNumber(excess * metrics.totalRevenue)} over a period like this one`
+        : null,
+      metric: 'costRatio',
+      value: metrics.costRatio
+    });
+  },
+
+  function costsOutpacingRevenue({ metrics, series }) {
+    const costValues = series.costs.map(point => point.value);
+    if (costValues.length < 3 || metrics.revenueGrowth === null) return null;
+    const costGrowth = trendOf(costValues).changePercent;
+    if (costGrowth - metrics.revenueGrowth < 5) return null;
+
+    return recommendation({
+      id: 'costs_outpacing_revenue',
+      category: 'costs',
+      priority: 'medium',
+      impact: 'medium',
+      title: 'Costs are growing faster than revenue',
+      description: `Costs moved ${round(costGrowth, 1)}% while revenue moved ${round(metrics.revenueGrowth, 1)}% over the same days.`,
+      actions: [
+        'Find which cost lines rose and whether prices or volumes drove it',
+        'Pass supplier increases through on the affected items'
+      ],
+      metric: 'costGrowth',
+      value: costGrowth
+    });
+  },
+
+  function volatility({ metrics }) {
+    if (metrics.revenueVolatility === null || metrics.revenueVolatility <= 0.3) return null;
+    return recommendation({
+      id: 'revenue_volatility',
+      category: 'operations',
+      priority: 'medium',
+      impact: 'medium',
+      title: 'Smooth out day-to-day swings',
+      description: `Daily revenue varies by ${round(metrics.revenueVolatility * 100)}% around its average, which makes staffing and prep hard to plan.`,
+      actions: [
+        'Schedule staff and prep from the weekday pattern rather than a flat roster',
+        'Use promotions to fill the quietest days'
+      ],
+      metric: 'revenueVolatility',
+      value: metrics.revenueVolatility
+    });
+  },
+
+  function slowWeekday({ series }) {
+    if (series.revenue.length < 14 || !series.revenue.every(point => point.date)) return null;
+    const model = fitForecastModel(series.revenue);
+    if (!model.seasonalIndices) return null;
+
+    const [day, index] = Object.entries(model.seasonalIndices).sort((a, b) => a[1] - b[1])[0];
+    if (index >= SLOW_DAY_INDEX) return null;
+
+    return recommendation({
+      id: 'slow_weekday',
+      category: 'revenue',
+      priority: 'medium',
+      impact: 'medium',
+      title: `Lift ${capitalize(day)} sales`,
+      description: `${capitalize(day)}s run ${round((1 - index) * 100)}% below an average day.`,
+      actions: [
+        `Launch a ${capitalize(day)} offer or set menu`,
+        `Trim ${capitalize(day)} staffing to match demand`
+      ],
+      metric: 'weekdayIndex',
+      value: index
+    });
+  },
+
+  function anomalies({ anomalyResults }) {
+    const critical = anomalyResults.anomalies.filter(anomaly => anomaly.severity === ANOMALY_SEVERITY.CRITICAL);
+    if (critical.length === 0) return null;
+    return recommendation({
+      id: 'investigate_anomalies',
+      category: 'operations',
+      priority: 'high',
+      impact: 'medium',
+      title: 'Investigate unusual days',
+      description: critical.slice(0, 3).map(anomaly => anomaly.description).join('; '),
+      actions: [
+        'Check POS, refund and void records for the flagged days',
+        'Note one-off causes (events, outages, weather) so they are not repeated or can be planned for'
+      ],
+      metric: 'anomalies',
+      value: critical.length
+    });
+  },
+
+  function categoryMix({ data }) {
+    const categories = Array.isArray(data.categories) ? data.categories : [];
+    const total = sum(categories.map(category => Number(category.revenue) || 0));
+    if (categories.length < 3 || total <= 0) return null;
+
+    const sorted = [...categories].sort((a, b) => (b.revenue || 0) - (a.revenue || 0));
+    const topShare = sorted[0].revenue / total;
+    const weak = sorted.filter(category => category.revenue / total < 0.1);
+
+    if (topShare > 0.5) {
+      return recommendation({
+        id: 'category_concentration',
+        category: 'menu',
+        priority: 'low',
+        impact: 'medium',
+        title: 'Reduce dependence on one category',
+        description: `${sorted[0].name} brings in ${round(topShare * 100)}% of category revenue.`,
+        actions: [
+          `Pair ${sorted[0].name} with items from smaller categories`,
+          'Feature other categories in menu placement and staff suggestions'
+        ],
+        metric: 'topCategoryShare',
+        value: topShare
+      });
+    }
+    if (weak.length > 0) {
+      return recommendation({
+        id: 'weak_categories',
+        category: 'menu',
+        priority: 'low',
+        impact: 'low',
+        title: 'Review the weakest categories',
+        description: `${weak.map(category => category.name).join(', ')} each bring in under 10% of category revenue.`,
+        actions: [
+          'Check whether these items earn their menu space in Menu Intelligence',
+          'Reposition, reprice or retire the slowest items'
+        ],
+        metric: 'weakCategories',
+        value: weak.length
+      });
+    }
+    return null;
+  },
+
+  function branches({ data }) {
+    const list = Array.isArray(data.branches) ? data.branches : [];
+    if (list.length < 2) return null;
+    const revenues = list.map(branch => ({ branch, revenue: deriveMetrics(branch).totalRevenue || 0 }));
+    const average = mean(revenues.map(entry => entry.revenue));
+    const behind = revenues.filter(entry => average > 0 && entry.revenue < average * BRANCH_UNDERPERFORMANCE);
+    if (behind.length === 0) return null;
+
+    return recommendation({
+      id: 'underperforming_branches',
+      category: 'branches',
+      priority: 'high',
+      impact: 'high',
+      title: 'Support underperforming branches',
+      description: `${behind.map(entry => entry.branch.name || entry.branch.id).join(', ')} ${behind.length === 1 ? 'is' : 'are'} more than ${round((1 - BRANCH_UNDERPERFORMANCE) * 100)}% below the branch average.`,
+      actions: [
+        'Compare opening hours, staffing and menu availability with the best branch',
+        'Run local marketing around the weaker locations',
+        'Review the branch manager scorecards'
+      ],
+      potentialImpact: `Closing the gap to the average adds about ${formatNumber(sum(behind.map(entry => average - entry.revenue)))} in revenue`,
+      metric: 'branchRevenue',
+      value: behind.length
+    });
+  },
+
+  function customerChurn({ customerSection, benchmarks }) {
+    if (!customerSection || customerSection.churnRate === undefined) return null;
+    if (customerSection.churnRate <= benchmarks.churnRate.target) return null;
+    return recommendation({
+      id: 'customer_churn',
+      category: 'customers',
+      priority: customerSection.churnRate >= benchmarks.churnRate.worst ? 'critical' : 'high',
+      impact: 'high',
+      title: 'Win back customers at risk of churning',
+      description: `${round(customerSection.churnRate, 1)}% of customers are overdue for a visit by their usual rhythm.`,
+      actions: [
+        'Send a win-back offer to the high churn risk list in Customer Insights',
+        'Ask lapsed regulars for feedback on why they stopped coming'
+      ],
+      metric: 'churnRate',
+      value: customerSection.churnRate
+    });
+  },
+
+  function repeatRate({ customerSection, benchmarks }) {
+    if (!customerSection || customerSection.repeatRate === undefined) return null;
+    if (customerSection.repeatRate >= benchmarks.repeatRate.target) return null;
+    return recommendation({
+      id: 'low_repeat_rate',
+      category: 'customers',
+      priority: 'medium',
+      impact: 'medium',
+      title: 'Turn first visits into repeat visits',
+      description: `${round(customerSection.repeatRate, 1)}% of customers have come back, against a ${benchmarks.repeatRate.target}% benchmark.`,
+      actions: [
+        'Start a loyalty stamp or points scheme',
+        'Follow up first-time customers with a return offer'
+      ],
+      metric: 'repeatRate',
+      value: customerSection.repeatRate
+    });
+  }
+];
+
+function summarize(recommendations) {
+  const summary = { total: recommendations.length };
+  PRIORITIES.forEach(priority => {
+    summary[priority] = recommendations.filter(item => item.priority === priority).length;
+  });
+  return summary;
+}
+
+/**
+ * Every recommendation that applies, most urgent first
+ * @param {Object} data - Series/totals, categories, branches and an optional `satisfaction` customer section
+ * @param {Object} options - { industry }
+ */
+export function generateAllRecommendations(data = {}, { industry = 'default' } = {}) {
+  const satisfaction = data.satisfaction || data;
+  const context = {
+    data,
+    metrics: deriveMetrics(data),
+    series: extractSeries(data),
+    anomalyResults: detectAllAnomalies(data),
+    benchmarks: getIndustryBenchmarks(industry),
+    customerSection: satisfaction.customers && !Array.isArray(satisfaction.customers) ? satisfaction.customers : null
+  };
+
+  const recommendations = RULES
+    .map(rule => rule(context))
+    .filter(Boolean)
+    .sort((a, b) => (
+      PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority)
+      || IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact)
+    ));
+
+  return { recommendations, summary: summarize(recommendations) };
+}
+
+/**
+ * The most urgent recommendations
+ */
+export function getTopRecommendations(data = {}, limit = 5, options = {}) {
+  const all = generateAllRecommendations(data, options);
+  const recommendations = all.recommendations.slice(0, limit);
+  return {
+    recommendations,
+    summary: { ...summarize(recommendations), available: all.summary.total }
+  };
+}
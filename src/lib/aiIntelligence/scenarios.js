@@ -0,0 +1,273 @@
+/**
+ * AI Intelligence - What-If Scenarios
+ * Simple, transparent simulations of pricing, marketing, cost, expansion
+ * and staffing decisions. Every result carries the same baseline/projected/
+ * impact shape and lists the assumptions it was computed from, so
+ * scenarios can be compared side by side.
+ */
+
+import { sum, mean, round, clamp, formatNumber } from './statistics.js';
+import { deriveMetrics } from './metrics.js';
+
+export const SCENARIO_TYPES = {
+  PRICE_CHANGE: 'price_change',
+  MARKETING_CAMPAIGN: 'marketing_campaign',
+  COST_REDUCTION: 'cost_reduction',
+  NEW_BRANCH: 'new_branch',
+  STAFF_OPTIMIZATION: 'staff_optimization'
+};
+
+// Restaurant demand is moderately price-inelastic
+export const DEFAULT_PRICE_ELASTICITY = -0.7;
+
+// Variable costs as a share of revenue when the data has no costs
+const DEFAULT_COST_RATIO = 0.65;
+
+const RISK_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Revenue, orders, costs and profit of the period the scenario starts from
+ */
+function baselineFrom(data = {}) {
+  const metrics = deriveMetrics(data);
+  const revenue = metrics.totalRevenue || 0;
+  const orders = metrics.totalOrders || 0;
+  const costs = metrics.totalCosts !== null ? metrics.totalCosts : revenue * DEFAULT_COST_RATIO;
+  return {
+    revenue,
+    orders,
+    averageOrderValue: metrics.averageOrderValue || (orders > 0 ? revenue / orders : 0),
+    costs,
+    profit: revenue - costs,
+    costRatio: revenue > 0 ? costs / revenue : DEFAULT_COST_RATIO
+  };
+}
+
+const snapshot = ({ revenue, orders, costs }) => ({
+  revenue: round(revenue),
+  orders: round(orders, 1),
+  costs: round(costs),
+  profit: round(revenue - costs)
+});
+
+function scenarioResult(type, label, baseline, projected, { risk, assumptions, details = {} }) {
+  const before = snapshot(baseline);
+  const after = snapshot(projected);
+  return {
+    type,
+    label,
+    baseline: before,
+    projected: after,
+    impact: {
+      revenue: round(after.revenue - before.revenue),
+      revenuePercent: before.revenue ? round(((after.revenue - before.revenue) / before.revenue) * 100, 1) : null,
+      profit: round(after.profit - before.profit),
+      profitPercent: before.profit ? round(((after.profit - before.profit) / Math.abs(before.profit)) * 100, 1) : null
+    },
+    risk,
+    assumptions,
+    details
+  };
+}
+
+/**
+ * Simulate a menu-wide price change
+ * @param {Object} currentData - Series/totals for the base period ({ priceElasticity } optional)
+ * @param {number} priceChangePercent - e.g. 5 for +5%
+ */
+export function simulatePriceChange(currentData = {}, priceChangePercent = 0) {
+  const base = baselineFrom(currentData);
+  const elasticity = currentData.priceElasticity ?? DEFAULT_PRICE_ELASTICITY;
+  const orderChange = clamp(elasticity * priceChangePercent, -100, 100) / 100;
+
+  const orders = base.orders * (1 + orderChange);
+  const revenue = base.revenue * (1 + priceChangePercent / 100) * (1 + orderChange);
+  // Ingredient and other variable costs follow volume, not price
+  const costs = base.costs * (1 + orderChange);
+
+  const size = Math.abs(priceChangePercent);
+  return scenarioResult(SCENARIO_TYPES.PRICE_CHANGE, `${priceChangePercent > 0 ? '+' : ''}${priceChangePercent}% prices`, base, { revenue, orders, costs }, {
+    risk: size > 15 ? 'high' : size > 7 ? 'medium' : 'low',
+    assumptions: [
+      `Price elasticity of ${elasticity}: orders change ${round(orderChange * 100, 1)}%`,
+      'Costs move with order volume, not with price'
+    ],
+    details: { elasticity, orderChangePercent: round(orderChange * 100, 1) }
+  });
+}
+
+/**
+ * Simulate a marketing campaign
+ * @param {Object} campaignData - { budget, reach, conversionRate (0-1), name }
+ */
+export function simulateMarketingCampaign(currentData = {}, campaignData = {}) {
+  const base = baselineFrom(currentData);
+  const { budget = 0, reach = 0, conversionRate = 0.02, name = 'Marketing campaign' } = campaignData;
+
+  const newOrders = reach * conversionRate;
+  const addedRevenue = newOrders * base.averageOrderValue;
+  const addedCosts = addedRevenue * base.costRatio + budget;
+  const contribution = addedRevenue * (1 - base.costRatio);
+  const breakEvenOrders = base.averageOrderValue * (1 - base.costRatio) > 0
+    ? budget / (base.averageOrderValue * (1 - base.costRatio))
+    : null;
+  const roi = budget > 0 ? ((contribution - budget) / budget) * 100 : null;
+
+  return scenarioResult(SCENARIO_TYPES.MARKETING_CAMPAIGN, name, base, {
+    revenue: base.revenue + addedRevenue,
+    orders: base.orders + newOrders,
+    costs: base.costs + addedCosts
+  }, {
+    risk: roi === null || roi >= 50 ? 'low' : roi >= 0 ? 'medium' : 'high',
+    assumptions: [
+      `${formatNumber(reach)} people reached, ${round(conversionRate * 100, 1)}% order once`,
+      `New orders spend the current average of ${formatNumber(base.averageOrderValue, 2)}`
+    ],
+    details: {
+      newOrders: round(newOrders, 1),
+      roi: roi === null ? null : round(roi, 1),
+      breakEvenOrders: breakEvenOrders === null ? null : Math.ceil(breakEvenOrders)
+    }
+  });
+}
+
+/**
+ * Simulate cutting costs
+ * @param {Object} costReductionData - { reductionPercent, revenueImpactPercent (quality/service loss, negative), name }
+ */
+export function simulateCostReduction(currentData = {}, costReductionData = {}) {
+  const base = baselineFrom(currentData);
+  const { reductionPercent = 0, revenueImpactPercent = 0, name = 'Cost reduction' } = costReductionData;
+
+  const revenueFactor = 1 + revenueImpactPercent / 100;
+  const revenue = base.revenue * revenueFactor;
+  const orders = base.orders * revenueFactor;
+  const costs = base.costs * revenueFactor * (1 - reductionPercent / 100);
+
+  return scenarioResult(SCENARIO_TYPES.COST_REDUCTION, name, base, { revenue, orders, costs }, {
+    risk: revenueImpactPercent < -3 || reductionPercent > 15 ? 'high' : reductionPercent > 8 ? 'medium' : 'low',
+    assumptions: [
+      `Costs fall ${reductionPercent}% at the same volume`,
+      revenueImpactPercent ? `Revenue changes ${revenueImpactPercent}% from the quality or service impact` : 'No effect on revenue'
+    ],
+    details: { savings: round(base.costs * revenueFactor - costs) }
+  });
+}
+
+/**
+ * Simulate the first year of a new branch from the existing branches'
+ * monthly performance, with a linear ramp-up
+ * @param {Array} existingBranchesData - { revenue, costs } per branch (monthly)
+ * @param {Object} newBranchData - { investment, monthlyFixedCosts, locationFactor, rampUpMonths, name }
+ */
+export function simulateNewBranch(existingBranchesData = [], newBranchData = {}) {
+  const branches = existingBranchesData.map(baselineFrom);
+  const portfolio = {
+    revenue: sum(branches.map(branch => branch.revenue)),
+    orders: sum(branches.map(branch => branch.orders)),
+    costs: sum(branches.map(branch => branch.costs))
+  };
+  const averageRevenue = mean(branches.map(branch => branch.revenue));
+  const costRatio = portfolio.revenue > 0 ? portfolio.costs / portfolio.revenue : DEFAULT_COST_RATIO;
+  const averageOrderValue = portfolio.orders > 0 ? portfolio.revenue / portfolio.orders : 0;
+
+  const {
+    investment = 0,
+    monthlyFixedCosts = 0,
+    locationFactor = 0.85,
+    rampUpMonths = 3,
+    name = 'New branch'
+  } = newBranchData;
+  const matureRevenue = averageRevenue * locationFactor;
+
+  let cumulative = -investment;
+  let paybackMonth = null;
+  const months = Array.from({ length: 12 }, (_, index) => {
+    const month = index + 1;
+    // Opens at half the mature level and reaches it after the ramp-up
+    const ramp = rampUpMonths > 0 ? Math.min(1, 0.5 + (0.5 * index) / rampUpMonths) : 1;
+    const revenue = matureRevenue * ramp;
+    const profit = revenue * (1 - costRatio) - monthlyFixedCosts;
+    cumulative += profit;
+    if (paybackMonth === null && cumulative >= 0) paybackMonth = month;
+    return { month, revenue: round(revenue), profit: round(profit), cumulative: round(cumulative) };
+  });
+
+  const firstYearRevenue = sum(months.map(month => month.revenue));
+  const firstYearProfit = sum(months.map(month => month.profit));
+  const firstYear = {
+    revenue: firstYearRevenue,
+    orders: averageOrderValue > 0 ? firstYearRevenue / averageOrderValue : 0,
+    costs: firstYearRevenue - firstYearProfit + investment
+  };
+  // Compare a year of the current portfolio with and without the branch
+  const annual = { revenue: portfolio.revenue * 12, orders: portfolio.orders * 12, costs: portfolio.costs * 12 };
+
+  return scenarioResult(SCENARIO_TYPES.NEW_BRANCH, name, annual, {
+    revenue: annual.revenue + firstYear.revenue,
+    orders: annual.orders + firstYear.orders,
+    costs: annual.costs + firstYear.costs
+  }, {
+    risk: paybackMonth === null ? 'high' : paybackMonth > 9 ? 'medium' : 'low',
+    assumptions: [
+      `Mature revenue at ${round(locationFactor * 100)}% of the average branch (${formatNumber(matureRevenue)} a month)`,
+      `Opens at half that and ramps up over ${rampUpMonths} months`,
+      `Variable costs at the portfolio's ${round(costRatio * 100, 1)}% of revenue plus ${formatNumber(monthlyFixedCosts)} fixed a month`
+    ],
+    details: { months, paybackMonth, investment, matureMonthlyRevenue: round(matureRevenue) }
+  });
+}
+
+/**
+ * Simulate changing headcount
+ * @param {Object} optimizationData - { currentStaff, proposedStaff, costPerStaff, ordersPerStaff }
+ *   `ordersPerStaff` is the most orders one person handles in the period;
+ *   orders beyond the new capacity are treated as lost
+ */
+export function simulateStaffOptimization(currentData = {}, optimizationData = {}) {
+  const base = baselineFrom(currentData);
+  const { currentStaff = 0, proposedStaff = currentStaff, costPerStaff = 0, ordersPerStaff = null, name = 'Staffing change' } = optimizationData;
+
+  const capacity = ordersPerStaff ? proposedStaff * ordersPerStaff : Infinity;
+  const lostOrders = Math.max(0, base.orders - capacity);
+  const orders = base.orders - lostOrders;
+  const revenue = orders * base.averageOrderValue;
+  const laborChange = (proposedStaff - currentStaff) * costPerStaff;
+  const costs = base.costs * (base.orders > 0 ? orders / base.orders : 1) + laborChange;
+  const utilization = Number.isFinite(capacity) && capacity > 0 ? base.orders / capacity : null;
+
+  return scenarioResult(SCENARIO_TYPES.STAFF_OPTIMIZATION, name, base, { revenue, orders, costs }, {
+    risk: utilization === null ? 'medium' : utilization > 1 ? 'high' : utilization > 0.9 ? 'medium' : 'low',
+    assumptions: [
+      `${currentStaff} → ${proposedStaff} staff at ${formatNumber(costPerStaff)} each`,
+      ordersPerStaff ? `Each person handles up to ${formatNumber(ordersPerStaff)} orders` : 'Service capacity not modelled'
+    ],
+    details: {
+      laborCostChange: round(laborChange),
+      utilization: utilization === null ? null : round(utilization * 100, 1),
+      lostOrders: round(lostOrders, 1)
+    }
+  });
+}
+
+/**
+ * Rank scenarios by profit impact (lower risk breaks ties)
+ * @param {Array} scenarios - Results of the simulate* functions
+ */
+export function compareScenarios(scenarios = []) {
+  const ranked = [...scenarios]
+    .sort((a, b) => (
+      (b.impact?.profit ?? 0) - (a.impact?.profit ?? 0)
+      || RISK_ORDER.indexOf(a.risk) - RISK_ORDER.indexOf(b.risk)
+    ))
+    .map((scenario, index) => ({ rank: index + 1, ...scenario }));
+
+  const best = ranked[0] || null;
+  return {
+    ranked,
+    best,
+    summary: best
+      ? `${best.label} has the largest profit impact (${best.impact.profit >= 0 ? '+' : '-'}${formatNumber(Math.abs(best.impact.profit))}) at ${best.risk} risk.`
+      : 'No scenarios to compare.'
+  };
+}
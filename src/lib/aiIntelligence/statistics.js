@@ -0,0 +1,178 @@
+/**
+ * AI Intelligence - Statistics
+ * Numeric helpers shared by the analytics modules and the series
+ * normalization every public function goes through. Inputs may be arrays
+ * of numbers or of dated rows ({ date, revenue }, { date, orders }, ...).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field names tried, in order, when a row has no field for the metric asked for
+const VALUE_FIELDS = ['value', 'revenue', 'total_sales', 'sales', 'orders', 'total_orders', 'cost', 'costs', 'total_costs', 'amount'];
+
+export const round = (value, digits = 2) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+export const mean = (values) => (values.length > 0 ? sum(values) / values.length : 0);
+
+export function median(values) {
+  return quantile(values, 0.5);
+}
+
+/**
+ * Quantile with linear interpolation between closest ranks
+ */
+export function quantile(values, q) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Sample standard deviation
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(sum(values.map(value => (value - avg) ** 2)) / (values.length - 1));
+}
+
+/**
+ * Standard deviation relative to the mean (0 when the mean is 0)
+ */
+export function coefficientOfVariation(values) {
+  const avg = mean(values);
+  return avg !== 0 ? standardDeviation(values) / Math.abs(avg) : 0;
+}
+
+export const percentChange = (current, previous) => (
+  previous ? ((current - previous) / Math.abs(previous)) * 100 : 0
+);
+
+/**
+ * Ordinary least squares fit of values against their positions (the
+ * index when no positions are given)
+ * @returns {{slope: number, intercept: number, rSquared: number, predict: Function}}
+ */
+export function linearRegression(values, positions = null) {
+  const n = values.length;
+  if (n === 0) return { slope: 0, intercept: 0, rSquared: 0, predict: () => 0 };
+  if (n === 1) return { slope: 0, intercept: values[0], rSquared: 0, predict: () => values[0] };
+
+  const xs = positions || values.map((_, index) => index);
+  const xMean = mean(xs);
+  const yMean = mean(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((y, index) => {
+    numerator += (xs[index] - xMean) * (y - yMean);
+    denominator += (xs[index] - xMean) ** 2;
+  });
+
+  const slope = denominator ? numerator / denominator : 0;
+  const intercept = yMean - slope * xMean;
+  const predict = (x) => intercept + slope * x;
+
+  const totalSquares = sum(values.map(y => (y - yMean) ** 2));
+  const residualSquares = sum(values.map((y, index) => (y - predict(xs[index])) ** 2));
+  const rSquared = totalSquares ? Math.max(0, 1 - residualSquares / totalSquares) : 1;
+
+  return { slope, intercept, rSquared, predict };
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Day of week (0 = Sunday) of a YYYY-MM-DD date
+ */
+export function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function readValue(row, key) {
+  if (typeof row === 'number') return row;
+  if (!row || typeof row !== 'object') return Number(row);
+  if (key && row[key] !== undefined) return Number(row[key]);
+  const field = VALUE_FIELDS.find(name => row[name] !== undefined);
+  return field ? Number(row[field]) : NaN;
+}
+
+/**
+ * Normalize a series into [{ date, value }] sorted by date, dropping rows
+ * without a numeric value. `date` is null for plain numbers.
+ * @param {Array} data - Numbers or rows
+ * @param {string} key - Field holding the value on rows
+ */
+export function toSeries(data, key = null) {
+  if (!Array.isArray(data)) return [];
+  const series = data
+    .map(row => ({
+      date: row && typeof row === 'object' ? (row.date || row.entry_date || row.business_date || null) : null,
+      value: readValue(row, key)
+    }))
+    .filter(point => Number.isFinite(point.value));
+
+  if (series.every(point => point.date)) {
+    series.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+  return series;
+}
+
+export const seriesValues = (data, key = null) => toSeries(data, key).map(point => point.value);
+
+/**
+ * Letter grade of a 0-100 score
+ */
+export function gradeFor(score) {
+  if (score === null || score === undefined) return 'N/A';
+  if (score >= 90) return 'A';
+  if (score >= 80) return 'B';
+  if (score >= 70) return 'C';
+  if (score >= 60) return 'D';
+  return 'F';
+}
+
+/**
+ * Weighted average of the components that have a score; weights of the
+ * missing ones are spread over the rest
+ * @param {Array<{score: number|null, weight: number}>} components
+ */
+export function weightedScore(components) {
+  const scored = components.filter(component => component.score !== null && component.score !== undefined);
+  const totalWeight = sum(scored.map(component => component.weight));
+  if (totalWeight === 0) return null;
+  return Math.round(sum(scored.map(component => component.score * component.weight)) / totalWeight);
+}
+
+/**
+ * Score a value 0-100 against a benchmark band: `worst` scores 0, `target`
+ * scores 80 and beating the target by a quarter of the band scores 100.
+ * Works for lower-is-better metrics by giving a target below the worst.
+ */
+export function scoreAgainst(value, { target, worst }) {
+  if (value === null || value === undefined || !Number.isFinite(value) || target === worst) return null;
+  return Math.round(clamp(((value - worst) / (target - worst)) * 80, 0, 100));
+}
+
+/**
+ * Format a figure for generated text (fixed locale so output is stable)
+ */
+export const formatNumber = (value, digits = 0) => Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 0,
+  maximumFractionDigits: digits
+});
@@ -0,0 +1,32 @@
+/**
+ * Report Export Engine
+ * Downloads a report object from the report engine as PDF, Excel, CSV or
+ * JSON (rendering lives in reportRenderers).
+ */
+
+import { saveAs } from 'file-saver';
+import { logger } from '@/lib/logger';
+import { renderReport } from '@/lib/reportRenderers';
+
+export { EXPORT_FORMATS, formatValue, renderReport } from '@/lib/reportRenderers';
+
+/**
+ * Render a report and download it
+ * @param {Object} report - Report object
+ * @param {string} format - Export format
+ * @param {string} filename - File name; the extension is corrected to match the format
+ * @returns {Promise<string>} The saved file name
+ */
+export async function exportReport(report, format, filename = report.title) {
+  try {
+    const { blob, extension } = await renderReport(report, format);
+    const name = `${String(filename).replace(/\.[a-z]+$/i, '').replace(/[\\/:*?"<>|]/g, '_')}.${extension}`;
+    saveAs(blob, name);
+    return name;
+  } catch (error) {
+    logger.error(`Failed to export report as ${format}`, error);
+    throw error;
+  }
+}
+
+export default exportReport;
@@ -0,0 +1,2 @@
+// Usage counting lives with the Edge Functions, which share it with the app
+export * from '../../supabase/functions/_shared/featureUsage.js';
@@ -0,0 +1,535 @@
+/**
+ * Import Engine
+ * Maps spreadsheet columns to orders/order_items/products fields and turns
+ * the rows into validated records for apply_import_chunk (migration 015).
+ * Order files may have one row per order or one row per item; item rows
+ * are grouped by order number. An order with any invalid row is left out
+ * whole, so imported totals always match their items.
+ */
+
+const TOTAL_TOLERANCE = 0.01;
+
+export const DATE_FORMATS = {
+  'YYYY-MM-DD': { label: 'YYYY-MM-DD (2024-03-31)', order: ['year', 'month', 'day'] },
+  'DD/MM/YYYY': { label: 'DD/MM/YYYY (31/03/2024)', order: ['day', 'month', 'year'] },
+  'MM/DD/YYYY': { label: 'MM/DD/YYYY (03/31/2024)', order: ['month', 'day', 'year'] }
+};
+
+const PAYMENT_METHODS = ['cash', 'card', 'online', 'wallet', 'other'];
+const ORDER_STATUSES = ['pending', 'processing', 'completed', 'cancelled', 'refunded'];
+
+// Common POS wording for payment methods and statuses
+const PAYMENT_ALIASES = {
+  visa: 'card', mastercard: 'card', mada: 'card', credit: 'card', debit: 'card', 'credit card': 'card',
+  'نقد': 'cash', 'نقدي': 'cash', 'كاش': 'cash', 'بطاقة': 'card', 'شبكة': 'card', 'مدى': 'card',
+  'apple pay': 'wallet', 'stc pay': 'wallet', delivery: 'online', app: 'online'
+};
+const STATUS_ALIASES = {
+  paid: 'completed', closed: 'completed', done: 'completed', void: 'cancelled', voided: 'cancelled',
+  canceled: 'cancelled', returned: 'refunded', refund: 'refunded', open: 'pending',
+  'مكتمل': 'completed', 'ملغي': 'cancelled', 'مسترجع': 'refunded'
+};
+
+/**
+ * Importable entities and their fields. `aliases` are header spellings the
+ * column mapping is suggested from; `item` fields belong to order_items.
+ */
+export const IMPORT_ENTITIES = {
+  orders: {
+    id: 'orders',
+    label: 'Orders',
+    description: 'Historical sales with their items; one row per order or one row per item',
+    chunkSize: 100,
+    fields: [
+      { key: 'order_number', label: 'Order number', required: true, aliases: ['order number', 'order no', 'order #', 'order id', 'receipt', 'receipt number', 'invoice', 'invoice number', 'bill number', 'رقم الطلب', 'رقم الفاتورة'] },
+      { key: 'order_date', label: 'Date', type: 'date', required: true, aliases: ['date', 'order date', 'created at', 'business date', 'datetime', 'التاريخ', 'تاريخ الطلب'] },
+      { key: 'order_time', label: 'Time', type: 'time', aliases: ['time', 'order time', 'الوقت'] },
+      { key: 'branch', label: 'Branch (name or code)', type: 'branch', aliases: ['branch', 'branch name', 'branch code', 'store', 'location', 'outlet', 'الفرع'] },
+      { key: 'customer_name', label: 'Customer name', aliases: ['customer', 'customer name', 'العميل', 'اسم العميل'] },
+      { key: 'customer_phone', label: 'Customer phone', aliases: ['phone', 'mobile', 'customer phone', 'الجوال', 'رقم الجوال'] },
+      { key: 'customer_email', label: 'Customer email', aliases: ['email', 'customer email', 'البريد'] },
+      { key: 'subtotal', label: 'Subtotal', type: 'number', aliases: ['subtotal', 'sub total', 'net sales', 'المجموع الفرعي'] },
+      { key: 'tax', label: 'Tax', type: 'number', aliases: ['tax', 'vat', 'tax amount', 'الضريبة'] },
+      { key: 'discount', label: 'Discount', type: 'number', aliases: ['discount', 'discounts', 'الخصم'] },
+      { key: 'total', label: 'Total', type: 'number', aliases: ['total', 'grand total', 'order total', 'amount', 'gross sales', 'الإجمالي', 'المجموع'] },
+      { key: 'payment_method', label: 'Payment method', aliases: ['payment', 'payment method', 'payment type', 'tender', 'طريقة الدفع'] },
+      { key: 'status', label: 'Status', aliases: ['status', 'order status', 'الحالة'] },
+      { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comment', 'ملاحظات'] },
+      { key: 'product_name', label: 'Item name', item: true, aliases: ['item', 'item name', 'product', 'product name', 'menu item', 'الصنف', 'المنتج'] },
+      { key: 'sku', label: 'Item SKU', item: true, aliases: ['sku', 'item sku', 'product code', 'item code', 'barcode', 'الرمز'] },
+      { key: 'quantity', label: 'Item quantity', type: 'number', item: true, aliases: ['qty', 'quantity', 'الكمية'] },
+      { key: 'unit_price', label: 'Item unit price', type: 'number', item: true, aliases: ['unit price', 'price', 'item price', 'سعر الوحدة', 'السعر'] },
+      { key: 'line_total', label: 'Item total', type: 'number', item: true, aliases: ['line total', 'item total', 'line amount', 'إجمالي الصنف'] }
+    ]
+  },
+  products: {
+    id: 'products',
+    label: 'Products',
+    description: 'Menu items and stock products; stock quantities come from stock counts',
+    chunkSize: 250,
+    fields: [
+      { key: 'name', label: 'Name', required: true, aliases: ['name', 'product', 'product name', 'item', 'item name', 'الاسم', 'المنتج', 'الصنف'] },
+      { key: 'sku', label: 'SKU', aliases: ['sku', 'code', 'product code', 'item code', 'barcode', 'الرمز'] },
+      { key: 'description', label: 'Description', aliases: ['description', 'details', 'الوصف'] },
+      { key: 'price', label: 'Price', type: 'number', aliases: ['price', 'selling price', 'unit price', 'السعر'] },
+      { key: 'cost', label: 'Cost', type: 'number', aliases: ['cost', 'unit cost', 'cost price', 'التكلفة'] },
+      { key: 'low_stock_threshold', label: 'Low-stock threshold', type: 'number', aliases: ['reorder level', 'reorder point', 'min stock', 'low stock threshold', 'حد الطلب'] },
+      { key: 'branch', label: 'Branch (name or code)', type: 'branch', aliases: ['branch', 'branch name', 'branch code', 'store', 'location', 'الفرع'] }
+    ]
+  }
+};
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+const normalizeHeader = (header) => String(header ?? '')
+  .toLowerCase()
+  .replace(/[_\-.#:]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Suggest a column for every field from the file's headers
+ * @param {string} entity - IMPORT_ENTITIES key
+ * @param {Array<string>} headers - File headers
+ * @returns {Object} field key -> column index (fields without a match are left out)
+ */
+export function suggestMapping(entity, headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  IMPORT_ENTITIES[entity].fields.forEach(field => {
+    const candidates = [normalizeHeader(field.key), normalizeHeader(field.label), ...field.aliases.map(normalizeHeader)];
+    const index = normalized.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+
+  return mapping;
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+// Arabic-Indic digits and separators as they appear in Arabic POS exports
+const toLatinDigits = (text) => String(text)
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+  .replace(/٫/g, '.')
+  .replace(/٬/g, ',');
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Parse an amount such as "1,234.50", "SAR 12" or "(5.00)"
+ * @returns {number|null} null when empty, NaN when not a number
+ */
+export function parseNumber(value) {
+  if (isEmpty(value)) return null;
+  if (typeof value === 'number') return value;
+
+  let text = toLatinDigits(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text.replace(/^[^\d-]+/, ''));
+  text = text.replace(/[^\d.]/g, '');
+  if (!text || (text.match(/\./g) || []).length > 1) return NaN;
+
+  const number = Number(text);
+  return negative ? -number : number;
+}
+
+const pad = (number) => String(number).padStart(2, '0');
+
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*([ap]\.?m\.?|ص|م)?$/i.exec(String(text).trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const meridiem = (match[4] || '').toLowerCase().replace(/\./g, '');
+  if (meridiem === 'pm' || meridiem === 'م') hours = hours % 12 + 12;
+  if (meridiem === 'am' || meridiem === 'ص') hours = hours % 12;
+
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+/**
+ * Parse a date, optionally followed by a time
+ * @param {*} value - Cell value (ISO strings from XLSX date cells are always accepted)
+ * @param {string} format - DATE_FORMATS key for text dates
+ * @returns {{date: string, time: string|null}|null}
+ */
+export function parseDate(value, format = 'YYYY-MM-DD') {
+  if (isEmpty(value)) return null;
+
+  const text = toLatinDigits(value).trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](.+?))?(?:Z|[+-]\d{2}:?\d{2})?$/.exec(text);
+  const parts = iso ? null : /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[T ,]+(.+))?$/.exec(text);
+  if (!iso && !parts) return null;
+
+  let year;
+  let month;
+  let day;
+  let timeText;
+  if (iso) {
+    [year, month, day] = iso.slice(1, 4).map(Number);
+    timeText = iso[4];
+  } else {
+    const values = {};
+    DATE_FORMATS[format].order.forEach((part, index) => { values[part] = Number(parts[index + 1]); });
+    ({ year, month, day } = values);
+    if (year < 100) year += 2000;
+    timeText = parts[4];
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  const time = timeText ? parseTime(timeText) : null;
+  if (timeText && !time) return null;
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time };
+}
+
+/**
+ * Guess the text date format of a column from its values
+ * @param {Array} values - Sample cells
+ * @returns {string} DATE_FORMATS key
+ */
+export function detectDateFormat(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  values.filter(value => !isEmpty(value)).forEach(value => {
+    const text = toLatinDigits(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return;
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/.exec(text);
+    if (!match) return;
+    if (Number(match[1]) > 12) dayFirst = true;
+    if (Number(match[2]) > 12) monthFirst = true;
+  });
+
+  if (monthFirst && !dayFirst) return 'MM/DD/YYYY';
+  if (dayFirst || values.some(value => /^\d{1,2}[/.-]/.test(toLatinDigits(value ?? '').trim()))) return 'DD/MM/YYYY';
+  return 'YYYY-MM-DD';
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeChoice = (value, allowed, aliases) => {
+  const text = String(value).trim().toLowerCase();
+  if (allowed.includes(text)) return text;
+  return aliases[text] || null;
+};
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Match branch names or codes to branch ids
+ * @param {Array} branches - Branches with id, name and code
+ * @returns {Function} value -> branch id | null
+ */
+export function branchResolver(branches) {
+  const byKey = new Map();
+  branches.forEach(branch => {
+    [branch.name, branch.code].filter(Boolean).forEach(key => byKey.set(String(key).trim().toLowerCase(), branch.id));
+  });
+  return (value) => byKey.get(String(value).trim().toLowerCase()) || null;
+}
+
+/**
+ * Match products by SKU first, then name; a product of the order's branch
+ * wins over a brand-wide one
+ * @param {Array} products - Products with id, branch_id, sku and name
+ * @returns {Function} ({sku, name}, branchId) -> product id | null
+ */
+export function productResolver(products) {
+  const index = (key) => {
+    const map = new Map();
+    products.forEach(product => {
+      const value = product[key] && String(product[key]).trim().toLowerCase();
+      if (!value) return;
+      map.set(value, [...(map.get(value) || []), product]);
+    });
+    return map;
+  };
+  const bySku = index('sku');
+  const byName = index('name');
+
+  return ({ sku, name }, branchId) => {
+    const matches = (sku && bySku.get(String(sku).trim().toLowerCase()))
+      || (name && byName.get(String(name).trim().toLowerCase()))
+      || [];
+    const match = matches.find(product => product.branch_id === branchId)
+      || matches.find(product => !product.branch_id)
+      || matches[0];
+    return match?.id || null;
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function readRow(row, fields, mapping) {
+  const values = {};
+  fields.forEach(field => {
+    const index = mapping[field.key];
+    values[field.key] = index === undefined || index === null || index === '' ? '' : row.cells[Number(index)];
+  });
+  return values;
+}
+
+function validateOrders(rows, mapping, { dateFormat, defaultBranchId, branches, products, existingOrderNumbers }) {
+  const { fields } = IMPORT_ENTITIES.orders;
+  const resolveBranch = branchResolver(branches);
+  const resolveProduct = productResolver(products);
+  const itemized = mapping.product_name !== undefined || mapping.sku !== undefined;
+  const errors = [];
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const values = readRow(row, fields, mapping);
+    const number = String(values.order_number ?? '').trim();
+    if (!number) {
+      errors.push({ line: row.line, field: 'order_number', message: 'Missing order number' });
+      return;
+    }
+    if (!groups.has(number)) groups.set(number, []);
+    groups.get(number).push({ line: row.line, values });
+  });
+
+  const records = [];
+  let skippedRows = errors.length;
+
+  groups.forEach((lines, orderNumber) => {
+    const orderErrors = [];
+    const fail = (line, field, message) => orderErrors.push({ line, field, message });
+    const head = lines[0];
+    // Order-level values may be repeated on every item row or only on the first
+    const first = (key) => lines.find(entry => !isEmpty(entry.values[key]))?.values[key];
+
+    if (!itemized && lines.length > 1) {
+      lines.slice(1).forEach(entry => fail(entry.line, 'order_number', `Duplicate order number ${orderNumber}`));
+    }
+    if (existingOrderNumbers.has(orderNumber)) {
+      fail(head.line, 'order_number', `Order ${orderNumber} already exists`);
+    }
+
+    const parsedDate = parseDate(first('order_date'), dateFormat);
+    if (!parsedDate) {
+      fail(head.line, 'order_date', isEmpty(first('order_date')) ? 'Missing date' : `Invalid date "${first('order_date')}"`);
+    }
+    let orderTime = parsedDate?.time || null;
+    if (!isEmpty(first('order_time'))) {
+      orderTime = parseTime(toLatinDigits(first('order_time'))) || parseDate(first('order_time'))?.time || null;
+      if (!orderTime) fail(head.line, 'order_time', `Invalid time "${first('order_time')}"`);
+    }
+
+    const branchValue = first('branch');
+    const branchId = isEmpty(branchValue) ? defaultBranchId : resolveBranch(branchValue);
+    if (!branchId) {
+      fail(head.line, 'branch', isEmpty(branchValue) ? 'Missing branch' : `Unknown branch "${branchValue}"`);
+    }
+
+    const amount = (key, line = head.line, raw = first(key)) => {
+      const number = parseNumber(raw);
+      if (Number.isNaN(number)) fail(line, key, `Invalid amount "${raw}"`);
+      return Number.isNaN(number) ? null : number;
+    };
+
+    const items = [];
+    if (itemized) {
+      lines.forEach(({ line, values }) => {
+        if (isEmpty(values.product_name) && isEmpty(values.sku)) return;
+
+        const quantity = isEmpty(values.quantity) ? 1 : parseNumber(values.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          fail(line, 'quantity', `Invalid quantity "${values.quantity}"`);
+          return;
+        }
+        let unitPrice = amount('unit_price', line, values.unit_price);
+        let lineTotal = amount('line_total', line, values.line_total);
+        if (unitPrice === null && lineTotal === null) {
+          fail(line, 'unit_price', 'Missing item price');
+          return;
+        }
+        if (unitPrice === null) unitPrice = round2(lineTotal / quantity);
+        if (lineTotal === null) lineTotal = round2(unitPrice * quantity);
+
+        items.push({
+          product_id: resolveProduct({ sku: values.sku, name: values.product_name }, branchId),
+          product_name: String(isEmpty(values.product_name) ? values.sku : values.product_name).trim(),
+          quantity,
+          unit_price: unitPrice,
+          subtotal: lineTotal
+        });
+      });
+    }
+
+    const tax = amount('tax') ?? 0;
+    // Some POS exports print discounts as negative amounts
+    const discount = Math.abs(amount('discount') ?? 0);
+    let subtotal = amount('subtotal');
+    let total = amount('total');
+    const itemsTotal = round2(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+    if (subtotal === null && items.length > 0) subtotal = itemsTotal;
+    if (subtotal === null && total !== null) subtotal = round2(total - tax + discount);
+    if (total === null && subtotal !== null) total = round2(subtotal + tax - discount);
+
+    if (subtotal === null || total === null) {
+      fail(head.line, 'total', 'Missing total (map a total, a subtotal or item prices)');
+    } else if (Math.abs(subtotal + tax - discount - total) > TOTAL_TOLERANCE) {
+      fail(head.line, 'total', `Total ${total} does not equal subtotal + tax − discount (${round2(subtotal + tax - discount)})`);
+    }
+
+    let paymentMethod = null;
+    if (!isEmpty(first('payment_method'))) {
+      paymentMethod = normalizeChoice(first('payment_method'), PAYMENT_METHODS, PAYMENT_ALIASES) || 'other';
+    }
+    let status = 'completed';
+    if (!isEmpty(first('status'))) {
+      status = normalizeChoice(first('status'), ORDER_STATUSES, STATUS_ALIASES);
+      if (!status) fail(head.line, 'status', `Unknown status "${first('status')}"`);
+    }
+
+    if (orderErrors.length > 0) {
+      errors.push(...orderErrors);
+      skippedRows += lines.length;
+      return;
+    }
+
+    const text = (key) => (isEmpty(first(key)) ? null : String(first(key)).trim());
+    records.push({
+      order_number: orderNumber,
+      branch_id: branchId,
+      order_date: parsedDate.date,
+      order_time: orderTime,
+      customer_name: text('customer_name'),
+      customer_phone: text('customer_phone'),
+      customer_email: text('customer_email'),
+      subtotal,
+      tax,
+      discount,
+      total,
+      payment_method: paymentMethod,
+      payment_status: status === 'refunded' ? 'refunded' : status === 'pending' ? 'pending' : 'completed',
+      status,
+      notes: text('notes'),
+      items
+    });
+  });
+
+  return { records, errors, skippedRows };
+}
+
+function validateProducts(rows, mapping, { defaultBranchId, branches, products }) {
+  const { fields } = IMPORT_ENTITIES.products;
+  const resolveBranch = branchResolver(branches);
+  const existingSkus = new Set(products.map(product => String(product.sku || '').trim().toLowerCase()).filter(Boolean));
+  const fileSkus = new Set();
+  const errors = [];
+  const records = [];
+  let skippedRows = 0;
+
+  rows.forEach(({ line, cells }) => {
+    const values = readRow({ cells }, fields, mapping);
+    const rowErrors = [];
+    const fail = (field, message) => rowErrors.push({ line, field, message });
+
+    const name = String(values.name ?? '').trim();
+    if (!name) fail('name', 'Missing name');
+
+    const sku = isEmpty(values.sku) ? null : String(values.sku).trim();
+    if (sku && existingSkus.has(sku.toLowerCase())) fail('sku', `SKU ${sku} already exists`);
+    if (sku && fileSkus.has(sku.toLowerCase())) fail('sku', `Duplicate SKU ${sku}`);
+    if (sku) fileSkus.add(sku.toLowerCase());
+
+    const amount = (key) => {
+      const number = parseNumber(values[key]);
+      if (Number.isNaN(number) || number < 0) {
+        fail(key, `Invalid ${key.replace(/_/g, ' ')} "${values[key]}"`);
+        return null;
+      }
+      return number;
+    };
+    const price = amount('price');
+    const cost = amount('cost');
+    const threshold = amount('low_stock_threshold');
+
+    const branchId = isEmpty(values.branch) ? defaultBranchId || null : resolveBranch(values.branch);
+    if (!isEmpty(values.branch) && !branchId) fail('branch', `Unknown branch "${values.branch}"`);
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      skippedRows += 1;
+      return;
+    }
+
+    records.push({
+      name,
+      sku,
+      description: isEmpty(values.description) ? null : String(values.description).trim(),
+      price,
+      cost,
+      low_stock_threshold: threshold === null ? null : Math.round(threshold),
+      branch_id: branchId
+    });
+  });
+
+  return { records, errors, skippedRows };
+}
+
+/**
+ * Validate mapped rows and build import records
+ * @param {string} entity - IMPORT_ENTITIES key
+ * @param {Array<{line: number, cells: Array}>} rows - Rows from readSpreadsheet
+ * @param {Object} mapping - Field key -> column index
+ * @param {Object} context
+ * @param {string} [context.dateFormat] - DATE_FORMATS key for text dates
+ * @param {string} [context.defaultBranchId] - Branch for rows without one
+ * @param {Array} context.branches - Brand branches (id, name, code)
+ * @param {Array} context.products - Existing products (id, name, sku, branch_id)
+ * @param {Set<string>} [context.existingOrderNumbers] - Order numbers already in the database
+ * @returns {{records: Array, errors: Array<{line, field, message}>, skippedRows: number}}
+ */
+export function validateImport(entity, rows, mapping, context) {
+  const missing = IMPORT_ENTITIES[entity].fields
+    .filter(field => field.required && (mapping[field.key] === undefined || mapping[field.key] === ''))
+    .map(field => field.label);
+  if (missing.length > 0) {
+    return { records: [], errors: [{ line: 1, field: null, message: `Map a column to: ${missing.join(', ')}` }], skippedRows: rows.length };
+  }
+
+  const settings = {
+    dateFormat: 'YYYY-MM-DD',
+    defaultBranchId: null,
+    branches: [],
+    products: [],
+    existingOrderNumbers: new Set(),
+    ...context
+  };
+  return entity === 'orders'
+    ? validateOrders(rows, mapping, settings)
+    : validateProducts(rows, mapping, settings);
+}
+
+export default {
+  IMPORT_ENTITIES,
+  DATE_FORMATS,
+  suggestMapping,
+  detectDateFormat,
+  parseNumber,
+  parseDate,
+  validateImport
+};
@@ -0,0 +1,2 @@
+// Report builders are shared with the report schedule runner
+export * from '../../supabase/functions/_shared/reportBuilders.js';
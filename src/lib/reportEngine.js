@@ -0,0 +1,146 @@
+/**
+ * Report Engine
+ * Generates report objects from the report type registry: resolves
+ * parameters, fetches data, builds sections and collects insights.
+ * The same report object is rendered on screen and by the export engine.
+ */
+
+import { logger } from '@/lib/logger';
+import { getReportType, resolvePeriod } from '@/lib/reportTypes';
+import { assembleReport, normalizeInsight } from '@/lib/reportBuilders';
+import { aiChatClient } from '@/services/aiClient';
+import { getReportingCurrency } from '@/utils/currency';
+
+const MAX_AI_INSIGHTS = 5;
+
+const insightProviders = new Set();
+
+const createReportId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `report_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Merge the definition's parameter defaults with the supplied filters
+ */
+function resolveParameters(definition, filters) {
+  const params = {};
+  definition.parameters.forEach(parameter => {
+    const value = filters[parameter.key];
+    params[parameter.key] = value === undefined || value === '' ? parameter.default : value;
+  });
+
+  const { startDate, endDate } = resolvePeriod(
+    params.period || 'LAST_30_DAYS',
+    { startDate: filters.startDate, endDate: filters.endDate },
+    params.branchId || null
+  );
+  return { ...params, startDate, endDate };
+}
+
+/**
+ * Built-in provider: asks the chat model for extra insights on the
+ * report facts. Returns nothing when the model is unavailable or its
+ * answer is not the requested JSON.
+ */
+async function aiInsightProvider({ definition, built, parameters, ruleInsights }) {
+  const prompt = [
+    `Report: ${definition.name} (${parameters.startDate} to ${parameters.endDate}), currency ${built.currency}.`,
+    `Summary: ${built.summary}`,
+    `Facts: ${JSON.stringify(built.facts)}`,
+    `Already noted: ${ruleInsights.map(insight => insight.title).join('; ') || 'nothing'}`,
+    `Reply with only a JSON array of at most ${MAX_AI_INSIGHTS} new findings, each ` +
+      '{"title": string, "description": string, "severity": "critical"|"warning"|"info"|"positive"}. ' +
+      'Be specific to these numbers and suggest an action where useful.'
+  ].join('\n');
+
+  const reply = await aiChatClient.sendMessage([
+    { role: 'system', content: 'You are a restaurant operations analyst. You answer in strict JSON.' },
+    { role: 'user', content: prompt }
+  ], { temperature: 0.3, maxTokens: 600 });
+
+  const match = typeof reply === 'string' ? reply.match(/\[[\s\S]*\]/) : null;
+  if (!match) return [];
+  const parsed = JSON.parse(match[0]);
+  return Array.isArray(parsed) ? parsed.slice(0, MAX_AI_INSIGHTS) : [];
+}
+
+insightProviders.add(aiInsightProvider);
+
+export const reportEngine = {
+  /**
+   * Register an extra insight provider. Providers receive
+   * { definition, data, built, parameters, ruleInsights } and return
+   * (a promise of) [{ title, description, severity }].
+   * @param {Function} provider - Insight provider
+   * @returns {Function} Unregister callback
+   */
+  registerInsightProvider(provider) {
+    insightProviders.add(provider);
+    return () => insightProviders.delete(provider);
+  },
+
+  /**
+   * Resolve filters to the full parameter set, including startDate/endDate
+   * @param {string} typeId - Report type id
+   * @param {Object} filters - Parameter values
+   * @returns {Object}
+   */
+  resolveParameters(typeId, filters = {}) {
+    const definition = getReportType(typeId);
+    if (!definition) {
+      throw new Error(`Unknown report type: ${typeId}`);
+    }
+    return resolveParameters(definition, filters);
+  },
+
+  /**
+   * Generate a report
+   * @param {string} typeId - Report type id (e.g. 'sales_summary')
+   * @param {Object} filters - Parameter values; period CUSTOM takes startDate/endDate
+   * @param {Object} options - { aiInsights: false } skips external providers; { id } reuses a history id
+   * @returns {Promise<Object>} Report object
+   */
+  async generateReport(typeId, filters = {}, options = {}) {
+    const parameters = this.resolveParameters(typeId, filters);
+    const definition = getReportType(typeId);
+    logger.info('Generating report', { type: definition.id, ...parameters });
+
+    try {
+      const data = await definition.fetch(parameters);
+      const built = definition.build(data, parameters);
+      const ruleInsights = built.empty ? [] : definition.insights(data, parameters).map(insight => normalizeInsight(insight, 'rules'));
+
+      let providerInsights = [];
+      const useProviders = definition.aiInsights && options.aiInsights !== false && !built.empty;
+      if (useProviders) {
+        const results = await Promise.allSettled(
+          [...insightProviders].map(provider => provider({ definition, data, built, parameters, ruleInsights }))
+        );
+        results.forEach(result => {
+          if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+            providerInsights.push(...result.value.map(insight => normalizeInsight(insight, 'ai')));
+          } else if (result.status === 'rejected') {
+            logger.warn('Report insight provider failed', result.reason);
+          }
+        });
+        providerInsights = providerInsights.filter(insight => insight.title && insight.description);
+      }
+
+      return assembleReport({
+        id: options.id || createReportId(),
+        definition,
+        parameters,
+        built,
+        insights: [...ruleInsights, ...providerInsights],
+        currency: getReportingCurrency()
+      });
+    } catch (error) {
+      logger.error(`Failed to generate ${definition.name} report`, error);
+      throw error;
+    }
+  }
+};
+
+export default reportEngine;
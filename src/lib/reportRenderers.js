@@ -0,0 +1,2 @@
+// Report renderers are shared with the report schedule runner
+export * from '../../supabase/functions/_shared/reportRenderers.js';
@@ -0,0 +1,3 @@
+// The runner itself deploys with the run-report-schedules function
+export * from '../../supabase/functions/_shared/reportScheduler.js';
+export { default } from '../../supabase/functions/_shared/reportScheduler.js';
@@ -0,0 +1,608 @@
+/**
+ * Report Type Registry
+ * Declarative report definitions used by the report engine. Each definition
+ * declares its parameters, fetches its data through the service layer,
+ * builds display/export sections and derives rule-based insights.
+ * Types the schedule runner can produce keep everything but the fetch in
+ * reportBuilders.
+ *
+ * Section shapes (rendered by ReportView and the export engine):
+ *   { id, title, type: 'kpis', items: [{ label, value, format, change }] }
+ *   { id, title, type: 'table', columns: [{ key, label, format }], rows, totals }
+ *   { id, title, type: 'chart', chart: 'line' | 'bar', xKey, series: [{ key, label }], data }
+ *   { id, title, type: 'text', content }
+ *
+ * Formats: 'currency' | 'number' | 'percent' (0-100) | 'date' | 'text'
+ */
+
+import api, { REFUND_REASONS } from '@/services/api';
+import { costModelAPI } from '@/services/costModel';
+import { menuEngineeringAPI, MENU_CLASSES } from '@/services/menuEngineering';
+import { performanceScoringAPI, SCORE_COMPONENTS } from '@/services/performanceScoring';
+import { laborAnalyticsAPI } from '@/services/laborAnalytics';
+import { getBusinessDate, getDaySettings, getPreviousPeriod, shiftDate } from '@/utils/businessDay';
+import { getReportingCurrency } from '@/utils/currency';
+import {
+  REPORT_CATEGORIES,
+  PERIOD_PARAMETER,
+  BRANCH_PARAMETER,
+  round1,
+  salesSummaryBase,
+  branchComparisonBase,
+  financialPnlBase
+} from '@/lib/reportBuilders';
+
+export { REPORT_CATEGORIES };
+
+/**
+ * Reporting periods; `days` windows end today (business day)
+ */
+export const REPORT_PERIODS = {
+  TODAY: { label: 'Today', days: 0 },
+  YESTERDAY: { label: 'Yesterday', offset: 1 },
+  LAST_7_DAYS: { label: 'Last 7 days', days: 6 },
+  LAST_30_DAYS: { label: 'Last 30 days', days: 29 },
+  LAST_90_DAYS: { label: 'Last 90 days', days: 89 },
+  THIS_MONTH: { label: 'This month', month: 0 },
+  LAST_MONTH: { label: 'Last month', month: -1 },
+  CUSTOM: { label: 'Custom range' }
+};
+
+/**
+ * Resolve a period key (or CUSTOM with explicit dates) to business dates
+ * @param {string} period - REPORT_PERIODS key
+ * @param {Object} custom - { startDate, endDate } for CUSTOM
+ * @param {string|null} branchId - Branch whose business day applies
+ * @returns {{startDate: string, endDate: string}}
+ */
+export function resolvePeriod(period, custom = {}, branchId = null) {
+  const today = getBusinessDate(new Date(), getDaySettings(branchId));
+  const definition = REPORT_PERIODS[period] || REPORT_PERIODS.LAST_30_DAYS;
+
+  if (period === 'CUSTOM') {
+    if (!custom.startDate || !custom.endDate) {
+      throw new Error('A custom period needs a start and end date');
+    }
+    return custom.startDate <= custom.endDate
+      ? { startDate: custom.startDate, endDate: custom.endDate }
+      : { startDate: custom.endDate, endDate: custom.startDate };
+  }
+
+  if (definition.offset) {
+    const day = shiftDate(today, -definition.offset);
+    return { startDate: day, endDate: day };
+  }
+
+  if (definition.month !== undefined) {
+    const [year, month] = today.split('-').map(Number);
+    const first = new Date(Date.UTC(year, month - 1 + definition.month, 1));
+    const last = new Date(Date.UTC(year, month + definition.month, 0));
+    const toDate = (date) => date.toISOString().slice(0, 10);
+    return {
+      startDate: toDate(first),
+      endDate: definition.month === 0 ? today : toDate(last)
+    };
+  }
+
+  return { startDate: shiftDate(today, -definition.days), endDate: today };
+}
+
+// ============================================================================
+// SALES SUMMARY
+// ============================================================================
+
+const salesSummary = {
+  ...salesSummaryBase,
+
+  async fetch({ startDate, endDate, branchId, granularity }) {
+    const previous = getPreviousPeriod(startDate, endDate);
+    const [current, prior, series] = await Promise.all([
+      api.orders.getStatistics({ branchId, startDate, endDate }),
+      api.orders.getStatistics({ branchId, ...previous }),
+      api.analytics.getSalesSeries({ startDate, endDate, granularity, branchIds: branchId ? [branchId] : null })
+    ]);
+    return { current, prior, series, previous };
+  }
+};
+
+// ============================================================================
+// BRANCH COMPARISON
+// ============================================================================
+
+const branchComparison = {
+  ...branchComparisonBase,
+
+  async fetch({ startDate, endDate }) {
+    const [costs, series] = await Promise.all([
+      costModelAPI.getCostSummary({ startDate, endDate }),
+      api.analytics.getSalesSeries({ startDate, endDate, granularity: 'month', byBranch: true })
+    ]);
+    return { costs, series };
+  }
+};
+
+// ============================================================================
+// PRODUCT MIX
+// ============================================================================
+
+const CLASS_LABELS = {
+  [MENU_CLASSES.STAR]: 'Star',
+  [MENU_CLASSES.PLOWHORSE]: 'Plowhorse',
+  [MENU_CLASSES.PUZZLE]: 'Puzzle',
+  [MENU_CLASSES.DOG]: 'Dog'
+};
+
+const productMix = {
+  id: 'product_mix',
+  name: 'Product Mix',
+  description: 'Units, revenue and contribution per item with menu engineering classes',
+  category: REPORT_CATEGORIES.MENU,
+  icon: 'Package',
+  color: 'orange',
+  aiInsights: true,
+  parameters: [PERIOD_PARAMETER, BRANCH_PARAMETER],
+
+  async fetch({ startDate, endDate, branchId }) {
+    const matrix = await menuEngineeringAPI.getMatrix({ branchId, startDate, endDate });
+    return { matrix };
+  },
+
+  build({ matrix }) {
+    const warnings = [];
+    if (matrix.missingRate) warnings.push('Some amounts have no exchange rate and are unconverted');
+    if (matrix.totals.uncostedItems > 0) warnings.push(`${matrix.totals.uncostedItems} item(s) have no cost and are not classified`);
+
+    const rows = matrix.items.map(item => ({
+      name: item.name,
+      category: item.category,
+      quantity: item.quantity,
+      menuMix: item.menuMix * 100,
+      revenue: item.revenue,
+      contributionMargin: item.contributionMargin,
+      totalContribution: item.totalContribution,
+      classification: item.classification ? CLASS_LABELS[item.classification] : 'Uncosted',
+      quantityChange: item.quantityChange
+    }));
+
+    return {
+      currency: matrix.currency || getReportingCurrency(),
+      empty: rows.length === 0,
+      warnings,
+      summary: rows.length === 0
+        ? 'No items sold in this period.'
+        : `${matrix.totals.items} items sold ${matrix.totals.quantity} units. ` +
+          `${matrix.counts[MENU_CLASSES.STAR]} star(s), ${matrix.counts[MENU_CLASSES.PLOWHORSE]} plowhorse(s), ` +
+          `${matrix.counts[MENU_CLASSES.PUZZLE]} puzzle(s) and ${matrix.counts[MENU_CLASSES.DOG]} dog(s).`,
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Totals',
+          type: 'kpis',
+          items: [
+            { label: 'Units Sold', value: matrix.totals.quantity, format: 'number' },
+            { label: 'Item Revenue', value: matrix.totals.revenue, format: 'currency' },
+            { label: 'Contribution', value: matrix.totals.contribution, format: 'currency' },
+            { label: 'Food Cost', value: matrix.totals.foodCostPercent === null ? null : matrix.totals.foodCostPercent * 100, format: 'percent' }
+          ]
+        },
+        {
+          id: 'items',
+          title: 'Items',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Item', format: 'text' },
+            { key: 'category', label: 'Category', format: 'text' },
+            { key: 'quantity', label: 'Units', format: 'number' },
+            { key: 'menuMix', label: 'Mix', format: 'percent' },
+            { key: 'revenue', label: 'Revenue', format: 'currency' },
+            { key: 'contributionMargin', label: 'Unit CM', format: 'currency' },
+            { key: 'totalContribution', label: 'Total CM', format: 'currency' },
+            { key: 'classification', label: 'Class', format: 'text' },
+            { key: 'quantityChange', label: 'Units vs prev.', format: 'percent' }
+          ],
+          rows
+        },
+        {
+          id: 'categories',
+          title: 'Categories',
+          type: 'table',
+          columns: [
+            { key: 'category', label: 'Category', format: 'text' },
+            { key: 'items', label: 'Items', format: 'number' },
+            { key: 'quantity', label: 'Units', format: 'number' },
+            { key: 'revenue', label: 'Revenue', format: 'currency' },
+            { key: 'contribution', label: 'Contribution', format: 'currency' }
+          ],
+          rows: matrix.categories.map(category => ({ category: category.category, ...category.totals }))
+        }
+      ],
+      facts: {
+        counts: matrix.counts,
+        topItems: rows.slice(0, 10).map(({ name, quantity, revenue, classification }) => ({ name, quantity, revenue, classification })),
+        movements: matrix.movements.slice(0, 10)
+      }
+    };
+  },
+
+  insights({ matrix }) {
+    const insights = [];
+    const dogs = matrix.items.filter(item => item.classification === MENU_CLASSES.DOG);
+    const plowhorses = matrix.items.filter(item => item.classification === MENU_CLASSES.PLOWHORSE);
+    const puzzles = matrix.items.filter(item => item.classification === MENU_CLASSES.PUZZLE);
+
+    if (dogs.length > 0) {
+      insights.push({ severity: 'warning', title: 'Candidates to remove', description: `${dogs.slice(0, 5).map(i => i.name).join(', ')} sell little and earn below-average margin.` });
+    }
+    if (plowhorses.length > 0) {
+      insights.push({ severity: 'info', title: 'Popular but low margin', description: `Review pricing or portion cost for ${plowhorses.slice(0, 5).map(i => i.name).join(', ')}.` });
+    }
+    if (puzzles.length > 0) {
+      insights.push({ severity: 'info', title: 'Profitable but overlooked', description: `Promote ${puzzles.slice(0, 5).map(i => i.name).join(', ')} to lift sales of high-margin items.` });
+    }
+
+    const demoted = matrix.movements.filter(move => move.from === MENU_CLASSES.STAR);
+    if (demoted.length > 0) {
+      insights.push({ severity: 'warning', title: 'Stars slipping', description: `${demoted.map(m => m.name).join(', ')} dropped out of the star quadrant since the previous period.` });
+    }
+
+    return insights;
+  }
+};
+
+// ============================================================================
+// FINANCIAL P&L
+// ============================================================================
+
+const financialPnl = {
+  ...financialPnlBase,
+
+  async fetch({ startDate, endDate, branchId }) {
+    const previous = getPreviousPeriod(startDate, endDate);
+    const [current, prior] = await Promise.all([
+      costModelAPI.getCostSummary({ startDate, endDate, branchId }),
+      costModelAPI.getCostSummary({ branchId, ...previous })
+    ]);
+    return { current, prior };
+  }
+};
+
+// ============================================================================
+// STAFF PERFORMANCE
+// ============================================================================
+
+const staffPerformance = {
+  id: 'staff_performance',
+  name: 'Staff Performance',
+  description: 'Weighted employee scores with their components, attributed sales and labor efficiency',
+  category: REPORT_CATEGORIES.STAFF,
+  icon: 'Users',
+  color: 'teal',
+  aiInsights: true,
+  parameters: [PERIOD_PARAMETER, BRANCH_PARAMETER],
+
+  async fetch({ startDate, endDate, branchId }) {
+    const [scores, labor] = await Promise.all([
+      performanceScoringAPI.getScores({ startDate, endDate }),
+      laborAnalyticsAPI.getLaborSummary({ startDate, endDate, branchId })
+    ]);
+    return {
+      scores: branchId ? scores.filter(employee => employee.branchId === branchId) : scores,
+      labor
+    };
+  },
+
+  build({ scores, labor }) {
+    const scored = scores.filter(employee => employee.score !== null);
+    const average = scored.length > 0 ? scored.reduce((sum, e) => sum + e.score, 0) / scored.length : null;
+    const top = [...scored].sort((a, b) => b.score - a.score)[0];
+
+    const rows = [...scores]
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+      .map(employee => ({
+        name: employee.name,
+        branch: employee.branch,
+        role: employee.role,
+        score: employee.score,
+        ...SCORE_COMPONENTS.reduce((acc, { key }) => {
+          acc[`component_${key}`] = employee.components[key];
+          return acc;
+        }, {}),
+        sales: employee.metrics.sales,
+        rating: employee.metrics.averageRating
+      }));
+
+    const warnings = [];
+    if (scores.length - scored.length > 0) warnings.push(`${scores.length - scored.length} employee(s) had no tasks, shifts, sales or reviews to score`);
+
+    return {
+      currency: scores[0]?.currency || labor.currency,
+      empty: scored.length === 0,
+      warnings,
+      summary: scored.length === 0
+        ? 'No employee activity to score in this period.'
+        : `${scored.length} employee(s) scored an average of ${average.toFixed(0)}. ` +
+          `${top.name} led with ${top.score}.` +
+          (labor.totals.laborCostPercent !== null ? ` Labor cost was ${labor.totals.laborCostPercent}% of sales.` : ''),
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Team',
+          type: 'kpis',
+          items: [
+            { label: 'Employees Scored', value: scored.length, format: 'number' },
+            { label: 'Average Score', value: average, format: 'number' },
+            { label: 'Labor Cost', value: labor.totals.laborCostPercent, format: 'percent' },
+            { label: 'Sales per Labor Hour', value: labor.totals.salesPerLaborHour, format: 'currency' }
+          ]
+        },
+        {
+          id: 'employees',
+          title: 'Employees',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Employee', format: 'text' },
+            { key: 'branch', label: 'Branch', format: 'text' },
+            { key: 'role', label: 'Role', format: 'text' },
+            { key: 'score', label: 'Score', format: 'number' },
+            ...SCORE_COMPONENTS.map(({ key, label }) => ({ key: `component_${key}`, label, format: 'number' })),
+            { key: 'sales', label: 'Sales', format: 'currency' },
+            { key: 'rating', label: 'Rating', format: 'number' }
+          ],
+          rows
+        }
+      ],
+      facts: {
+        averageScore: average === null ? null : Math.round(average),
+        laborCostPercent: labor.totals.laborCostPercent,
+        targetLaborCostPercent: labor.targetLaborCostPercent,
+        employees: rows.slice(0, 15).map(({ name, role, score, sales }) => ({ name, role, score, sales }))
+      }
+    };
+  },
+
+  insights({ scores, labor }) {
+    const insights = [];
+    const low = scores.filter(employee => employee.score !== null && employee.score < 60);
+    if (low.length > 0) {
+      insights.push({ severity: 'warning', title: 'Employees needing support', description: `${low.map(e => e.name).join(', ')} scored below 60.` });
+    }
+
+    const unreviewed = scores.filter(employee => employee.metrics.reviewCount === 0);
+    if (scores.length > 0 && unreviewed.length / scores.length >= 0.5) {
+      insights.push({ severity: 'info', title: 'Few manager reviews', description: `${unreviewed.length} of ${scores.length} employees have no review in this period.` });
+    }
+
+    const laborPercent = labor.totals.laborCostPercent;
+    if (laborPercent !== null && laborPercent > labor.targetLaborCostPercent) {
+      insights.push({ severity: 'warning', title: 'Labor over target', description: `Labor cost is ${laborPercent}% of sales against a ${labor.targetLaborCostPercent}% target.` });
+    }
+
+    return insights;
+  }
+};
+
+// ============================================================================
+// REFUNDS & VOIDS
+// ============================================================================
+
+// A cashier is flagged when their refund rate is at least this multiple of
+// their branch's and above the floor (in percent of their own sales)
+const REFUND_RATE_MULTIPLE = 2;
+const REFUND_RATE_FLOOR = 5;
+
+const refundRate = (refunds, sales) => (sales > 0 ? (refunds / sales) * 100 : null);
+
+const refundsVoids = {
+  id: 'refunds_voids',
+  name: 'Refunds & Voids',
+  description: 'Refunds and voids per branch and cashier, with refund rates to spot unusual patterns',
+  category: REPORT_CATEGORIES.SALES,
+  icon: 'AlertTriangle',
+  color: 'red',
+  aiInsights: true,
+  parameters: [PERIOD_PARAMETER, BRANCH_PARAMETER],
+
+  async fetch({ startDate, endDate, branchId }) {
+    const [summary, branches] = await Promise.all([
+      api.orders.getRefundSummary({ startDate, endDate, branchId }),
+      api.branches.getAll()
+    ]);
+    return { ...summary, branchNames: Object.fromEntries(branches.map(branch => [branch.id, branch.name])) };
+  },
+
+  build({ cashiers, branches, branchNames }) {
+    const branchRows = branches
+      .map(branch => {
+        const staff = cashiers.filter(cashier => cashier.branchId === branch.branchId);
+        return {
+          branchId: branch.branchId,
+          name: branchNames[branch.branchId] || 'Unknown branch',
+          grossRevenue: branch.grossRevenue,
+          refundCount: staff.reduce((sum, cashier) => sum + cashier.refundCount, 0),
+          refunds: branch.refunds,
+          refundRate: refundRate(branch.refunds, branch.grossRevenue),
+          voidCount: staff.reduce((sum, cashier) => sum + cashier.voidCount, 0),
+          voidAmount: staff.reduce((sum, cashier) => sum + cashier.voidAmount, 0)
+        };
+      })
+      .filter(row => row.grossRevenue > 0 || row.refundCount > 0 || row.voidCount > 0)
+      .sort((a, b) => (b.refundRate ?? 0) - (a.refundRate ?? 0));
+
+    const cashierRows = cashiers
+      .map(cashier => ({
+        name: cashier.cashierName || (cashier.cashierId ? 'Unknown staff' : 'Unattributed (POS)'),
+        branch: branchNames[cashier.branchId] || 'Unknown branch',
+        branchId: cashier.branchId,
+        refundCount: cashier.refundCount,
+        refundAmount: cashier.refundAmount,
+        voidCount: cashier.voidCount,
+        voidAmount: cashier.voidAmount,
+        sales: cashier.sales,
+        refundRate: refundRate(cashier.refundAmount, cashier.sales),
+        selfApproved: cashier.selfApproved,
+        topReason: REFUND_REASONS[cashier.topReason] || cashier.topReason || '',
+        attributed: !!cashier.cashierId
+      }))
+      .sort((a, b) => (b.refundAmount + b.voidAmount) - (a.refundAmount + a.voidAmount));
+
+    const totals = branchRows.reduce((acc, row) => {
+      acc.grossRevenue += row.grossRevenue;
+      acc.refundCount += row.refundCount;
+      acc.refunds += row.refunds;
+      acc.voidCount += row.voidCount;
+      acc.voidAmount += row.voidAmount;
+      return acc;
+    }, { grossRevenue: 0, refundCount: 0, refunds: 0, voidCount: 0, voidAmount: 0 });
+    totals.refundRate = refundRate(totals.refunds, totals.grossRevenue);
+
+    const warnings = [];
+    if ([...cashiers, ...branches].some(row => row.missingRate)) warnings.push('Some amounts have no exchange rate and are unconverted');
+    const unattributed = cashierRows.filter(row => !row.attributed);
+    if (unattributed.length > 0) warnings.push('Some POS refunds are on orders without a staff member and cannot be attributed to a cashier');
+
+    return {
+      currency: branches[0]?.currency || cashiers[0]?.currency,
+      empty: totals.refundCount === 0 && totals.voidCount === 0,
+      warnings,
+      summary: totals.refundCount === 0 && totals.voidCount === 0
+        ? 'No refunds or voids in this period.'
+        : `${totals.refundCount} refund(s) returned ${totals.refunds.toFixed(2)}` +
+          (totals.refundRate !== null ? ` (${totals.refundRate.toFixed(1)}% of gross sales)` : '') +
+          ` and ${totals.voidCount} order(s) worth ${totals.voidAmount.toFixed(2)} were voided.`,
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Totals',
+          type: 'kpis',
+          items: [
+            { label: 'Refunds', value: totals.refunds, format: 'currency' },
+            { label: 'Refund Rate', value: totals.refundRate, format: 'percent' },
+            { label: 'Voided Orders', value: totals.voidCount, format: 'number' },
+            { label: 'Voided Amount', value: totals.voidAmount, format: 'currency' }
+          ]
+        },
+        {
+          id: 'branches',
+          title: 'By Branch',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Branch', format: 'text' },
+            { key: 'grossRevenue', label: 'Gross Sales', format: 'currency' },
+            { key: 'refundCount', label: 'Refunds', format: 'number' },
+            { key: 'refunds', label: 'Refunded', format: 'currency' },
+            { key: 'refundRate', label: 'Refund Rate', format: 'percent' },
+            { key: 'voidCount', label: 'Voids', format: 'number' },
+            { key: 'voidAmount', label: 'Voided', format: 'currency' }
+          ],
+          rows: branchRows,
+          totals: { name: 'Total', ...totals }
+        },
+        {
+          id: 'cashiers',
+          title: 'By Cashier',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Cashier', format: 'text' },
+            { key: 'branch', label: 'Branch', format: 'text' },
+            { key: 'refundCount', label: 'Refunds', format: 'number' },
+            { key: 'refundAmount', label: 'Refunded', format: 'currency' },
+            { key: 'refundRate', label: 'Refund Rate', format: 'percent' },
+            { key: 'voidCount', label: 'Voids', format: 'number' },
+            { key: 'voidAmount', label: 'Voided', format: 'currency' },
+            { key: 'selfApproved', label: 'Self-approved', format: 'number' },
+            { key: 'topReason', label: 'Top Reason', format: 'text' }
+          ],
+          rows: cashierRows
+        }
+      ],
+      facts: {
+        refunds: totals.refunds,
+        refundRate: round1(totals.refundRate),
+        voids: totals.voidCount,
+        branches: branchRows.map(({ name, refunds, refundRate: rate, voidCount }) => ({ name, refunds, refundRate: round1(rate), voids: voidCount })),
+        cashiers: cashierRows.slice(0, 15).map(({ name, branch, refundAmount, refundRate: rate, voidCount, selfApproved }) => ({
+          name, branch, refunds: refundAmount, refundRate: round1(rate), voids: voidCount, selfApproved
+        }))
+      }
+    };
+  },
+
+  insights({ cashiers, branches, branchNames }) {
+    const insights = [];
+    const branchRate = Object.fromEntries(branches.map(branch => [branch.branchId, refundRate(branch.refunds, branch.grossRevenue)]));
+
+    const outliers = cashiers.filter(cashier => {
+      const rate = refundRate(cashier.refundAmount, cashier.sales);
+      const baseline = branchRate[cashier.branchId];
+      return cashier.cashierId && rate !== null && rate > REFUND_RATE_FLOOR &&
+        (baseline === null || baseline === undefined || rate >= baseline * REFUND_RATE_MULTIPLE);
+    });
+    if (outliers.length > 0) {
+      insights.push({
+        severity: 'critical',
+        title: 'Unusual refund rates',
+        description: outliers.slice(0, 5).map(cashier => (
+          `${cashier.cashierName || 'Unknown staff'} (${branchNames[cashier.branchId] || 'unknown branch'}) refunded ` +
+          `${refundRate(cashier.refundAmount, cashier.sales).toFixed(1)}% of their sales`
+        )).join('; ') + `, at least ${REFUND_RATE_MULTIPLE}× their branch's rate. Review these refunds.`
+      });
+    }
+
+    const selfApproved = cashiers.filter(cashier => cashier.selfApproved > 0);
+    if (selfApproved.length > 0) {
+      insights.push({
+        severity: 'warning',
+        title: 'Self-approved refunds',
+        description: `${selfApproved.map(c => c.cashierName || 'Unknown staff').slice(0, 5).join(', ')} approved their own refunds ` +
+          `(${selfApproved.reduce((sum, c) => sum + c.selfApproved, 0)} in total). Ask a second manager to approve where possible.`
+      });
+    }
+
+    const voidHeavy = cashiers.filter(cashier => cashier.cashierId && cashier.orderCount > 0 && cashier.voidCount / cashier.orderCount > 0.05);
+    if (voidHeavy.length > 0) {
+      insights.push({
+        severity: 'warning',
+        title: 'Frequent voids',
+        description: `${voidHeavy.map(c => c.cashierName || 'Unknown staff').slice(0, 5).join(', ')} voided more than 5% of the orders they took.`
+      });
+    }
+
+    const highBranches = branches.filter(branch => (branchRate[branch.branchId] ?? 0) > REFUND_RATE_FLOOR);
+    if (highBranches.length > 0) {
+      insights.push({
+        severity: 'info',
+        title: 'High branch refund rates',
+        description: `${highBranches.map(b => branchNames[b.branchId] || 'Unknown branch').join(', ')} refunded more than ${REFUND_RATE_FLOOR}% of gross sales; check the top reasons for a product or service issue.`
+      });
+    }
+
+    return insights;
+  }
+};
+
+/**
+ * Registry keyed by upper-cased id
+ */
+export const REPORT_TYPES = [salesSummary, branchComparison, productMix, financialPnl, staffPerformance, refundsVoids]
+  .reduce((acc, report) => {
+    acc[report.id.toUpperCase()] = report;
+    return acc;
+  }, {});
+
+/**
+ * Get a report definition by id
+ * @param {string} id - Report id (e.g. 'sales_summary')
+ * @returns {Object|null}
+ */
+export function getReportType(id) {
+  return (id && REPORT_TYPES[id.toUpperCase()]) || null;
+}
+
+/**
+ * Get the report definitions in a category
+ * @param {string} category - REPORT_CATEGORIES value
+ * @returns {Array}
+ */
+export function getReportsByCategory(category) {
+  return Object.values(REPORT_TYPES).filter(report => report.category === category);
+}
@@ -9,6 +9,7 @@ import { PageHeader } from '@/components/UI/PageHeader';
 import { LoadingSpinner } from '@/components/UI/LoadingSpinner';
 import { StatCard } from '@/components/UI/StatCard';
 import { LineChart, BarChart, PieChart } from '@/components/UI/Charts';
+import customersAPI, { toClusterInput, toSatisfactionInput } from '@/services/customers';
 import {
   Brain,
   TrendingUp,
@@ -49,14 +50,16 @@ export default function AIIntelligence() {
 
   const loadAIData = async () => {
     try {
-      // In a real app, fetch actual data from your API
+      // Customers come from the real directory; the rest is still mocked
+      const directory = await customersAPI.getDirectory();
       const mockData = {
         revenue: generateMockRevenueData(),
         orders: generateMockOrdersData(),
         costs: generateMockCostsData(),
         categories: generateMockCategoriesData(),
         branches: generateMockBranchesData(),
-        customers: generateMockCustomersData()
+        customers: toClusterInput(directory),
+        satisfaction: toSatisfactionInput(directory)
       };
 
       await runAnalysis(mockData, {
@@ -671,11 +674,3 @@ function generateMockBranchesData() {
     }
   ];
 }
-
-function generateMockCustomersData() {
-  return [
-    { id: 1, name: 'Customer 1', totalSpent: 500, orderCount: 10 },
-    { id: 2, name: 'Customer 2', totalSpent: 1200, orderCount: 25 },
-    { id: 3, name: 'Customer 3', totalSpent: 300, orderCount: 5 }
-  ];
-}
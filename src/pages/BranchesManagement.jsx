@@ -10,6 +10,8 @@ import StatCard from '@/components/UI/StatCard';
 import Modal, { ConfirmDialog } from '@/components/UI/Modal';
 import EmptyState from '@/components/UI/EmptyState';
 import { BranchComparisonChart, MultiLineChart } from '@/components/UI/Charts';
+import BranchTrafficHeatmap from '@/components/BranchTraffic/BranchTrafficHeatmap';
+import { SUPPORTED_CURRENCIES, getReportingCurrency, formatAmount } from '@/utils/currency';
 import {
   Store,
   Plus,
@@ -31,6 +33,7 @@ export default function BranchesManagement() {
 
   // State
   const [branches, setBranches] = useState([]);
+  const [salesTotals, setSalesTotals] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
@@ -45,6 +48,9 @@ export default function BranchesManagement() {
     phone: '',
     email: '',
     manager_name: '',
+    timezone: 'Asia/Riyadh',
+    day_close_time: '',
+    currency: getReportingCurrency(),
     status: 'active'
   });
 
@@ -52,8 +58,14 @@ export default function BranchesManagement() {
   const fetchBranches = async () => {
     try {
       setLoading(true);
-      const data = await api.branches.getAll();
+      // Revenue is summed server-side in the reporting currency, since
+      // branches may trade in different currencies
+      const [data, totals] = await Promise.all([
+        api.branches.getAll(),
+        api.orders.getStatistics()
+      ]);
       setBranches(data);
+      setSalesTotals(totals);
     } catch (error) {
       addNotification({
         title: 'Error',
@@ -73,16 +85,19 @@ export default function BranchesManagement() {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    // Empty cutoff means "use the brand's day-close time"
+    const branchData = { ...formData, day_close_time: formData.day_close_time || null };
+
     try {
       if (selectedBranch) {
-        await api.branches.update(selectedBranch.id, formData);
+        await api.branches.update(selectedBranch.id, branchData);
         addNotification({
           title: 'Success',
           message: 'Branch updated successfully',
           type: 'success'
         });
       } else {
-        await api.branches.create(formData);
+        await api.branches.create(branchData);
         addNotification({
           title: 'Success',
           message: 'Branch created successfully',
@@ -135,6 +150,9 @@ export default function BranchesManagement() {
       phone: '',
       email: '',
       manager_name: '',
+      timezone: 'Asia/Riyadh',
+      day_close_time: '',
+      currency: getReportingCurrency(),
       status: 'active'
     });
     setSelectedBranch(null);
@@ -153,6 +171,9 @@ export default function BranchesManagement() {
       phone: branch.phone || '',
       email: branch.email || '',
       manager_name: branch.manager_name || '',
+      timezone: branch.timezone || 'Asia/Riyadh',
+      day_close_time: branch.day_close_time ? branch.day_close_time.slice(0, 5) : '',
+      currency: branch.currency || getReportingCurrency(),
       status: branch.status || 'active'
     });
     setShowModal(true);
@@ -244,6 +265,7 @@ export default function BranchesManagement() {
     {
       header: 'Actions',
       key: 'actions',
+      exportable: false,
       render: (row) => (
         <div className="flex items-center gap-2">
           <button
@@ -269,7 +291,7 @@ export default function BranchesManagement() {
   const stats = {
     total: branches.length,
     active: branches.filter(b => b.status === 'active').length,
-    totalRevenue: branches.reduce((sum, b) => sum + (b.total_revenue || 0), 0),
+    totalRevenue: salesTotals?.totalRevenue || 0,
     totalOrders: branches.reduce((sum, b) => sum + (b.total_orders || 0), 0)
   };
 
@@ -313,8 +335,8 @@ export default function BranchesManagement() {
         />
         <StatCard
           title="Total Revenue"
-          value={`SAR ${stats.totalRevenue.toLocaleString()}`}
-          subtitle="All branches"
+          value={formatAmount(stats.totalRevenue, salesTotals?.currency)}
+          subtitle={salesTotals?.missingRate ? 'All branches · some rates missing' : 'All branches'}
           icon={DollarSign}
           color="purple"
         />
@@ -343,11 +365,14 @@ export default function BranchesManagement() {
           loading={loading}
           searchable
           exportable
-          onExport={() => showNotification('Export feature coming soon!', 'info')}
+          exportFilename="branches"
           onRowClick={(row) => handleEdit(row)}
         />
       )}
 
+      {/* Hourly traffic */}
+      {branches.length > 0 && <BranchTrafficHeatmap />}
+
       {/* Add/Edit Modal */}
       <Modal
         isOpen={showModal}
@@ -533,6 +558,62 @@ export default function BranchesManagement() {
                          focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Timezone
+              </label>
+              <select
+                value={formData.timezone}
+                onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg
+                         bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                         focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="Asia/Riyadh">Asia/Riyadh</option>
+                <option value="Asia/Dubai">Asia/Dubai</option>
+                <option value="UTC">UTC</option>
+                <option value="America/New_York">America/New_York</option>
+                <option value="Europe/London">Europe/London</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Business Day Closes At
+              </label>
+              <input
+                type="time"
+                value={formData.day_close_time}
+                onChange={(e) => setFormData({ ...formData, day_close_time: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg
+                         bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                         focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Leave empty to use the brand setting
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Local Currency
+              </label>
+              <select
+                value={formData.currency}
+                onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg
+                         bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                         focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {SUPPORTED_CURRENCIES.map(({ code, name }) => (
+                  <option key={code} value={code}>{code} - {name}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Currency the branch trades in
+              </p>
+            </div>
           </div>
         </form>
       </Modal>
@@ -3,9 +3,12 @@ import { useBrand } from '../contexts/BrandContext';
 import { useBranchSelection } from '../contexts/BranchSelectionContext';
 import api from '../services/api';
 import { calculateMonthlyPrice, getPricingBreakdown, formatPrice } from '../utils/branchBasedPricing';
+import { getBusinessDayRange, shiftDate } from '../utils/businessDay';
+import { formatAmount } from '../utils/currency';
 import PageHeader from '../components/UI/PageHeader';
 import StatCard from '../components/UI/StatCard';
 import DataTable from '../components/UI/DataTable';
+import CurrencyToggle from '../components/Currency/CurrencyToggle';
 import {
   Building2,
   DollarSign,
@@ -24,14 +27,23 @@ import {
  */
 const BrandOverview = () => {
   const { brand } = useBrand();
-  const { branches, branchCount, loading: branchesLoading } = useBranchSelection();
+  const {
+    branches,
+    branchCount,
+    loading: branchesLoading,
+    currencyView,
+    reportingCurrency,
+    resolveCurrency,
+  } = useBranchSelection();
 
   const [loading, setLoading] = useState(true);
   const [brandMetrics, setBrandMetrics] = useState({
     totalRevenue: 0,
     totalOrders: 0,
     averageOrderValue: 0,
-    growthRate: 0,
+    growthRate: null,
+    currency: null,
+    missingRate: false,
   });
   const [branchPerformance, setBranchPerformance] = useState([]);
   const [pricingInfo, setPricingInfo] = useState(null);
@@ -40,7 +52,7 @@ const BrandOverview = () => {
     if (brand && branches.length > 0) {
       fetchBrandMetrics();
     }
-  }, [brand, branches]);
+  }, [brand, branches, currencyView]);
 
   useEffect(() => {
     if (branchCount > 0) {
@@ -53,51 +65,43 @@ const BrandOverview = () => {
     try {
       setLoading(true);
 
-      // Fetch metrics for each branch and aggregate
-      const branchMetricsPromises = branches.map(branch =>
-        api.branches.getStatistics(branch.id, {
-          startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
-          endDate: new Date().toISOString()
-        }).catch(err => {
-          console.error(`Error fetching stats for branch ${branch.id}:`, err);
-          return null;
+      // Branch totals come back converted into the reporting currency, so the
+      // brand-level sums are only taken in that view
+      const previousRange = getBusinessDayRange(60);
+      const [comparison, previous] = await Promise.all([
+        api.analytics.getBranchComparison(30, resolveCurrency(true)),
+        api.orders.getStatistics({
+          startDate: previousRange.startDate,
+          endDate: shiftDate(previousRange.startDate, 29)
         })
-      );
+      ]);
+      const converted = currencyView !== 'local';
 
-      const allBranchMetrics = await Promise.all(branchMetricsPromises);
+      const branchPerformanceData = comparison.map(branch => ({
+        id: branch.id,
+        name: branch.name,
+        location: branch.city,
+        revenue: branch.revenue,
+        orders: branch.orders,
+        averageOrder: branch.averageOrderValue,
+        currency: branch.currency,
+        missingRate: branch.missingRate,
+      }));
 
-      // Aggregate metrics across all branches
-      let totalRevenue = 0;
-      let totalOrders = 0;
-      let branchPerformanceData = [];
-
-      allBranchMetrics.forEach((metrics, index) => {
-        if (metrics) {
-          totalRevenue += metrics.revenue || 0;
-          totalOrders += metrics.orders || 0;
-
-          branchPerformanceData.push({
-            id: branches[index].id,
-            name: branches[index].branch_name,
-            location: branches[index].branch_location,
-            revenue: metrics.revenue || 0,
-            orders: metrics.orders || 0,
-            averageOrder: metrics.orders > 0 ? (metrics.revenue / metrics.orders) : 0,
-            growth: metrics.growth || 0,
-          });
-        }
-      });
-
-      // Sort branches by revenue (descending)
-      branchPerformanceData.sort((a, b) => b.revenue - a.revenue);
+      const totalRevenue = converted
+        ? branchPerformanceData.reduce((sum, b) => sum + b.revenue, 0)
+        : null;
+      const totalOrders = branchPerformanceData.reduce((sum, b) => sum + b.orders, 0);
 
       setBrandMetrics({
         totalRevenue,
         totalOrders,
-        averageOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
-        growthRate: branchPerformanceData.length > 0
-          ? branchPerformanceData.reduce((sum, b) => sum + b.growth, 0) / branchPerformanceData.length
-          : 0,
+        averageOrderValue: converted && totalOrders > 0 ? totalRevenue / totalOrders : null,
+        growthRate: converted && previous.totalRevenue > 0
+          ? ((totalRevenue - previous.totalRevenue) / previous.totalRevenue) * 100
+          : null,
+        currency: reportingCurrency,
+        missingRate: converted && branchPerformanceData.some(b => b.missingRate),
       });
 
       setBranchPerformance(branchPerformanceData);
@@ -127,9 +131,12 @@ const BrandOverview = () => {
     {
       key: 'revenue',
       label: 'Revenue',
-      render: (value) => (
+      render: (value, row) => (
         <span className="font-semibold text-green-600 dark:text-green-400">
-          {formatPrice(value)}
+          {formatAmount(value, row.currency)}
+          {row.missingRate && (
+            <span className="ml-1 text-xs text-amber-600" title="No exchange rate for this branch currency">*</span>
+          )}
         </span>
       ),
     },
@@ -143,17 +150,8 @@ const BrandOverview = () => {
     {
       key: 'averageOrder',
       label: 'Avg Order',
-      render: (value) => (
-        <span className="text-gray-900 dark:text-white">{formatPrice(value)}</span>
-      ),
-    },
-    {
-      key: 'growth',
-      label: 'Growth',
-      render: (value) => (
-        <span className={value >= 0 ? 'text-green-600' : 'text-red-600'}>
-          {value >= 0 ? '+' : ''}{value.toFixed(1)}%
-        </span>
+      render: (value, row) => (
+        <span className="text-gray-900 dark:text-white">{formatAmount(value, row.currency)}</span>
       ),
     },
   ];
@@ -277,10 +275,12 @@ const BrandOverview = () => {
         />
         <StatCard
           title="Total Revenue"
-          value={formatPrice(brandMetrics.totalRevenue)}
+          value={brandMetrics.totalRevenue === null ? 'Mixed currencies' : formatAmount(brandMetrics.totalRevenue, brandMetrics.currency)}
           icon={DollarSign}
-          trend={brandMetrics.growthRate >= 0 ? `+${brandMetrics.growthRate.toFixed(1)}%` : `${brandMetrics.growthRate.toFixed(1)}%`}
-          trendUp={brandMetrics.growthRate >= 0}
+          trend={brandMetrics.growthRate === null
+            ? 'Last 30 days'
+            : `${brandMetrics.growthRate >= 0 ? '+' : ''}${brandMetrics.growthRate.toFixed(1)}%`}
+          trendUp={brandMetrics.growthRate === null || brandMetrics.growthRate >= 0}
           color="green"
         />
         <StatCard
@@ -292,7 +292,7 @@ const BrandOverview = () => {
         />
         <StatCard
           title="Avg Order Value"
-          value={formatPrice(brandMetrics.averageOrderValue)}
+          value={brandMetrics.averageOrderValue === null ? 'Mixed currencies' : formatAmount(brandMetrics.averageOrderValue, brandMetrics.currency)}
           icon={TrendingUp}
           trend="Across all branches"
           color="orange"
@@ -308,11 +308,20 @@ const BrandOverview = () => {
               Branch Performance
             </h3>
           </div>
-          <span className="text-sm text-gray-500 dark:text-gray-400">
-            Last 30 days
-          </span>
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              Last 30 days
+            </span>
+            <CurrencyToggle />
+          </div>
         </div>
 
+        {brandMetrics.missingRate && (
+          <p className="mb-4 text-sm text-amber-600 dark:text-amber-400">
+            * Some branches have no exchange rate to {brandMetrics.currency} and are shown unconverted. Add rates in Brand Settings.
+          </p>
+        )}
+
         {branchPerformance.length > 0 ? (
           <DataTable
             data={branchPerformance}
@@ -5,6 +5,9 @@ import Card from '@/components/UI/Card';
 import Button from '@/components/UI/Button';
 import Input from '@/components/UI/Input';
 import LoadingSpinner from '@/components/UI/LoadingSpinner';
+import ExchangeRatesManager from '@/components/Currency/ExchangeRatesManager';
+import { SUPPORTED_CURRENCIES } from '@/utils/currency';
+import { LLM_PROVIDERS, DEFAULT_LLM_PROVIDER } from '@/services/llm';
 import {
   Building2,
   Palette,
@@ -15,7 +18,9 @@ import {
   FileText,
   Save,
   Upload,
-  Sparkles
+  Sparkles,
+  Coins,
+  Bot
 } from 'lucide-react';
 
 const BrandSettings = () => {
@@ -41,6 +46,14 @@ const BrandSettings = () => {
     registration_number: '',
     currency: 'SAR',
     timezone: 'Asia/Riyadh',
+    day_close_time: '00:00',
+    min_rest_hours: 10,
+    max_weekly_hours: 48,
+    default_hourly_wage: '',
+    target_labor_cost_percent: 25,
+    target_sales_per_labor_hour: '',
+    ai_provider: DEFAULT_LLM_PROVIDER,
+    ai_model: '',
     language: 'en'
   });
 
@@ -65,6 +78,14 @@ const BrandSettings = () => {
         registration_number: brand.registration_number || '',
         currency: brand.currency || 'SAR',
         timezone: brand.timezone || 'Asia/Riyadh',
+        day_close_time: (brand.day_close_time || '00:00').slice(0, 5),
+        min_rest_hours: brand.min_rest_hours ?? 10,
+        max_weekly_hours: brand.max_weekly_hours ?? 48,
+        default_hourly_wage: brand.default_hourly_wage ?? '',
+        target_labor_cost_percent: brand.target_labor_cost_percent ?? 25,
+        target_sales_per_labor_hour: brand.target_sales_per_labor_hour ?? '',
+        ai_provider: brand.ai_provider || DEFAULT_LLM_PROVIDER,
+        ai_model: brand.ai_model || '',
         language: brand.language || 'en'
       });
     }
@@ -82,12 +103,20 @@ const BrandSettings = () => {
     e.preventDefault();
     setSaving(true);
 
+    // Optional settings: empty means "not set"
+    const payload = {
+      ...formData,
+      default_hourly_wage: formData.default_hourly_wage === '' ? null : formData.default_hourly_wage,
+      target_sales_per_labor_hour: formData.target_sales_per_labor_hour === '' ? null : formData.target_sales_per_labor_hour,
+      ai_model: formData.ai_model.trim() || null
+    };
+
     try {
       if (hasBrand) {
-        await updateBrand(formData);
+        await updateBrand(payload);
         showNotification('Brand updated successfully', 'success');
       } else {
-        await createBrand(formData);
+        await createBrand(payload);
         showNotification('Brand created successfully', 'success');
       }
     } catch (error) {
@@ -471,7 +500,7 @@ const BrandSettings = () => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Currency
+                Reporting Currency
               </label>
               <select
                 name="currency"
@@ -479,12 +508,13 @@ const BrandSettings = () => {
                 onChange={handleInputChange}
                 className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
               >
-                <option value="SAR">SAR - Saudi Riyal</option>
-                <option value="USD">USD - US Dollar</option>
-                <option value="EUR">EUR - Euro</option>
-                <option value="GBP">GBP - British Pound</option>
-                <option value="AED">AED - UAE Dirham</option>
+                {SUPPORTED_CURRENCIES.map(({ code, name }) => (
+                  <option key={code} value={code}>{code} - {name}</option>
+                ))}
               </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Consolidated figures across branches are converted into this currency
+              </p>
             </div>
 
             <div>
@@ -504,9 +534,165 @@ const BrandSettings = () => {
                 <option value="Europe/London">Europe/London</option>
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Business Day Closes At
+              </label>
+              <Input
+                type="time"
+                name="day_close_time"
+                value={formData.day_close_time}
+                onChange={handleInputChange}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Orders before this local time count toward the previous day (e.g. 04:00 for late-night service)
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Minimum Rest Between Shifts (hours)
+              </label>
+              <Input
+                type="number"
+                name="min_rest_hours"
+                min="0"
+                step="0.5"
+                value={formData.min_rest_hours}
+                onChange={handleInputChange}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Maximum Weekly Hours
+              </label>
+              <Input
+                type="number"
+                name="max_weekly_hours"
+                min="1"
+                step="0.5"
+                value={formData.max_weekly_hours}
+                onChange={handleInputChange}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Rosters exceeding these limits are flagged before publishing
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Default Hourly Wage
+              </label>
+              <Input
+                type="number"
+                name="default_hourly_wage"
+                min="0"
+                step="0.25"
+                value={formData.default_hourly_wage}
+                onChange={handleInputChange}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Costs open shifts and staff without their own wage
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Target Labor Cost (% of sales)
+              </label>
+              <Input
+                type="number"
+                name="target_labor_cost_percent"
+                min="1"
+                max="100"
+                step="0.5"
+                value={formData.target_labor_cost_percent}
+                onChange={handleInputChange}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Target Sales per Labor Hour
+              </label>
+              <Input
+                type="number"
+                name="target_sales_per_labor_hour"
+                min="0"
+                step="1"
+                value={formData.target_sales_per_labor_hour}
+                onChange={handleInputChange}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Leave empty to derive it from average wage and target labor cost
+              </p>
+            </div>
+          </div>
+        </Card>
+
+        {/* AI Advisor */}
+        <Card className="p-6">
+          <div className="flex items-center gap-2 mb-6">
+            <Bot className="w-5 h-5 text-primary-500" />
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+              AI Advisor
+            </h2>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Model Provider
+              </label>
+              <select
+                name="ai_provider"
+                value={formData.ai_provider}
+                onChange={handleInputChange}
+                className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+              >
+                {Object.values(LLM_PROVIDERS).map(({ id, name }) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                API keys are set on the server, not here
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                {formData.ai_provider === 'azure' ? 'Deployment' : 'Model'}
+              </label>
+              <Input
+                type="text"
+                name="ai_model"
+                value={formData.ai_model}
+                onChange={handleInputChange}
+                placeholder={LLM_PROVIDERS[formData.ai_provider]?.defaultModel || 'Server default'}
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Leave empty to use the provider's default
+              </p>
+            </div>
           </div>
         </Card>
 
+        {/* Exchange Rates */}
+        {hasBrand && (
+          <Card className="p-6">
+            <div className="flex items-center gap-2 mb-6">
+              <Coins className="w-5 h-5 text-primary-500" />
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Exchange Rates
+              </h2>
+            </div>
+
+            <ExchangeRatesManager reportingCurrency={formData.currency} />
+          </Card>
+        )}
+
         {/* Submit Button */}
         <div className="flex justify-end gap-4">
           <Button
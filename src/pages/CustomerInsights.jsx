@@ -0,0 +1,325 @@
+// NAVA OPS - Customer Insights
+// Customer directory with visit frequency, lifetime value, RFM segments and churn risk
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { useBranchSelection } from '@/contexts/BranchSelectionContext';
+import customersAPI, { RFM_SEGMENTS, CHURN_RISK, countSegments, summarizeCustomers } from '@/services/customers';
+import PageHeader from '@/shared/components/organisms/UI/PageHeader';
+import StatCard from '@/shared/components/organisms/UI/StatCard';
+import EmptyState from '@/shared/components/organisms/UI/EmptyState';
+import {
+  UserCheck,
+  Users,
+  Repeat,
+  DollarSign,
+  AlertTriangle,
+  Search,
+  PieChart
+} from 'lucide-react';
+import { formatAmount } from '@/utils/currency';
+import { formatBusinessDate } from '@/utils/businessDay';
+
+const SEGMENT_BADGES = {
+  champions: 'bg-green-100 text-green-700 dark:bg-green-900/20 dark:text-green-400',
+  loyal: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/20 dark:text-emerald-400',
+  new: 'bg-blue-100 text-blue-700 dark:bg-blue-900/20 dark:text-blue-400',
+  potential_loyalists: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/20 dark:text-indigo-400',
+  at_risk: 'bg-orange-100 text-orange-700 dark:bg-orange-900/20 dark:text-orange-400',
+  lost: 'bg-red-100 text-red-700 dark:bg-red-900/20 dark:text-red-400',
+  hibernating: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  needs_attention: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/20 dark:text-yellow-400'
+};
+
+const CHURN_META = {
+  [CHURN_RISK.LOW]: { label: 'Low', badgeClass: 'bg-green-100 text-green-700 dark:bg-green-900/20 dark:text-green-400' },
+  [CHURN_RISK.MEDIUM]: { label: 'Medium', badgeClass: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/20 dark:text-yellow-400' },
+  [CHURN_RISK.HIGH]: { label: 'High', badgeClass: 'bg-red-100 text-red-700 dark:bg-red-900/20 dark:text-red-400' }
+};
+
+const SEGMENT_LABELS = Object.fromEntries(RFM_SEGMENTS.map(segment => [segment.key, segment.label]));
+
+const PAGE_SIZE = 50;
+
+export default function CustomerInsights() {
+  const { addNotification } = useNotification();
+  const { branches } = useBranchSelection();
+  const [loading, setLoading] = useState(true);
+  const [branchId, setBranchId] = useState('');
+  const [customers, setCustomers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [segment, setSegment] = useState('');
+  const [risk, setRisk] = useState('');
+  const [visible, setVisible] = useState(PAGE_SIZE);
+
+  const fetchCustomers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await customersAPI.getDirectory({ branchId: branchId || null });
+      setCustomers(data);
+    } catch (error) {
+      console.error('Customer directory error:', error);
+      addNotification({
+        title: 'Error',
+        message: 'Failed to load customer insights',
+        type: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId, addNotification]);
+
+  useEffect(() => {
+    fetchCustomers();
+  }, [fetchCustomers]);
+
+  useEffect(() => {
+    setVisible(PAGE_SIZE);
+  }, [search, segment, risk, branchId]);
+
+  const summary = useMemo(() => summarizeCustomers(customers), [customers]);
+  const segments = useMemo(() => countSegments(customers), [customers]);
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return customers
+      .filter(customer => !segment || customer.segment === segment)
+      .filter(customer => !risk || customer.churnRisk === risk)
+      .filter(customer => !term || [customer.name, customer.phone, customer.email]
+        .some(value => value && value.toLowerCase().includes(term)))
+      .sort((a, b) => b.lifetimeValue - a.lifetimeValue);
+  }, [customers, search, segment, risk]);
+
+  const selectClass = `w-full md:w-auto px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg
+                     bg-white dark:bg-gray-700 text-gray-900 dark:text-white
+                     focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Customer Insights"
+        subtitle="Customers matched across orders by phone and email, with loyalty segments and churn risk"
+        icon={UserCheck}
+      />
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-md flex flex-col md:flex-row gap-4">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Search
+          </label>
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Name, phone or email"
+              className={`${selectClass} pl-9 md:w-full`}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Branch
+          </label>
+          <select value={branchId} onChange={(e) => setBranchId(e.target.value)} className={selectClass}>
+            <option value="">All Branches</option>
+            {branches.map((branch) => (
+              <option key={branch.id} value={branch.id}>
+                {branch.name} {branch.code ? `(${branch.code})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Segment
+          </label>
+          <select value={segment} onChange={(e) => setSegment(e.target.value)} className={selectClass}>
+            <option value="">All Segments</option>
+            {RFM_SEGMENTS.map((s) => (
+              <option key={s.key} value={s.key}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Churn Risk
+          </label>
+          <select value={risk} onChange={(e) => setRisk(e.target.value)} className={selectClass}>
+            <option value="">Any</option>
+            {Object.entries(CHURN_META).map(([key, meta]) => (
+              <option key={key} value={key}>{meta.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard
+          title="Customers"
+          value={summary.total.toLocaleString()}
+          subtitle={`${summary.active.toLocaleString()} visited in the last 90 days`}
+          icon={Users}
+          color="blue"
+          loading={loading}
+        />
+        <StatCard
+          title="Repeat Rate"
+          value={`${summary.repeatRate.toFixed(1)}%`}
+          subtitle={`${summary.averageVisits.toFixed(1)} visits per customer`}
+          icon={Repeat}
+          color="green"
+          loading={loading}
+        />
+        <StatCard
+          title="Avg Lifetime Value"
+          value={formatAmount(summary.averageLifetimeValue)}
+          subtitle={`${formatAmount(summary.averageOrderValue)} per visit`}
+          icon={DollarSign}
+          color="purple"
+          loading={loading}
+        />
+        <StatCard
+          title="High Churn Risk"
+          value={summary.highRisk.toLocaleString()}
+          subtitle={`${summary.churnRate.toFixed(1)}% of customers`}
+          icon={AlertTriangle}
+          color="red"
+          loading={loading}
+        />
+      </div>
+
+      {/* Segments */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1 flex items-center gap-2">
+          <PieChart className="w-5 h-5 text-purple-500" />
+          RFM Segments
+        </h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          Recency, frequency and spend scored 1–5 against all customers. Select a segment to filter the directory.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {segments.map((s) => (
+            <button
+              key={s.key}
+              type="button"
+              onClick={() => setSegment(segment === s.key ? '' : s.key)}
+              className={`text-left border rounded-lg p-4 transition-colors ${segment === s.key
+                ? 'border-blue-500 ring-2 ring-blue-500/30'
+                : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-900/30'}`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SEGMENT_BADGES[s.key]}`}>{s.label}</span>
+                <span className="text-2xl font-bold text-gray-900 dark:text-white">{s.count}</span>
+              </div>
+              <p className="text-xs text-gray-600 dark:text-gray-400">{s.description}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{formatAmount(s.lifetimeValue)} lifetime value</p>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Directory */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md overflow-hidden">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <UserCheck className="w-5 h-5 text-blue-500" />
+            Customer Directory
+          </h3>
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {filtered.length.toLocaleString()} customers
+          </span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 dark:bg-gray-900/50">
+              <tr>
+                <th className="text-left py-3 px-6 text-sm font-semibold text-gray-700 dark:text-gray-300">Customer</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Visits</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Lifetime Value</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Last Visit</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Favorite Items</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Segment</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700 dark:text-gray-300">Churn Risk</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {loading ? (
+                <tr>
+                  <td colSpan="7" className="py-12 text-center">
+                    <div className="flex items-center justify-center">
+                      <div className="animate-spin rounded-full h-8 w-8 border-4 border-gray-200 border-t-blue-500"></div>
+                    </div>
+                  </td>
+                </tr>
+              ) : filtered.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="py-12">
+                    <EmptyState
+                      icon={Users}
+                      title="No Customers"
+                      message={customers.length === 0
+                        ? 'Customers appear here once orders carry a phone number or email.'
+                        : 'No customers match these filters.'}
+                    />
+                  </td>
+                </tr>
+              ) : (
+                filtered.slice(0, visible).map((customer) => (
+                  <tr key={customer.id} className="hover:bg-gray-50 dark:hover:bg-gray-900/30 transition-colors">
+                    <td className="py-4 px-6">
+                      <div className="font-medium text-gray-900 dark:text-white">{customer.name}</div>
+                      <div className="text-sm text-gray-500 dark:text-gray-400">
+                        {[customer.phone, customer.email].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td className="text-right py-4 px-4 text-gray-900 dark:text-white">
+                      <div className="font-semibold">{customer.visits.toLocaleString()}</div>
+                      {customer.averageGapDays !== null && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">every {Math.round(customer.averageGapDays)}d</div>
+                      )}
+                    </td>
+                    <td className="text-right py-4 px-4 font-semibold text-gray-900 dark:text-white">
+                      {formatAmount(customer.lifetimeValue, customer.currency)}
+                    </td>
+                    <td className="text-right py-4 px-4 text-gray-900 dark:text-white">
+                      <div>{formatBusinessDate(customer.lastVisit)}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{customer.daysSinceLastVisit}d ago</div>
+                    </td>
+                    <td className="py-4 px-4 text-sm text-gray-600 dark:text-gray-400">
+                      {customer.favoriteItems.join(', ') || '—'}
+                    </td>
+                    <td className="text-center py-4 px-4">
+                      <span className={`inline-flex px-3 py-1 rounded-full text-sm font-medium ${SEGMENT_BADGES[customer.segment]}`}>
+                        {SEGMENT_LABELS[customer.segment]}
+                      </span>
+                    </td>
+                    <td className="text-center py-4 px-4">
+                      <span className={`inline-flex px-3 py-1 rounded-full text-sm font-medium ${CHURN_META[customer.churnRisk].badgeClass}`}>
+                        {CHURN_META[customer.churnRisk].label}
+                      </span>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        {!loading && filtered.length > visible && (
+          <div className="p-4 border-t border-gray-200 dark:border-gray-700 text-center">
+            <button
+              type="button"
+              onClick={() => setVisible(visible + PAGE_SIZE)}
+              className="px-4 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              Show more ({(filtered.length - visible).toLocaleString()} remaining)
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
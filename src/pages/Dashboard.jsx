@@ -5,6 +5,7 @@ import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '@/contexts/AuthContext';
 import { useBrand } from '@/contexts/BrandContext';
+import { useBranchSelection } from '@/contexts/BranchSelectionContext';
 import { useNotification } from '@/contexts/NotificationContext';
 import api from '@/services/api';
 import PageHeader from '@/components/UI/PageHeader';
@@ -12,6 +13,7 @@ import StatCard, { StatCardSkeleton } from '@/components/UI/StatCard';
 import { RevenueTrendChart, OrdersBarChart, BranchComparisonChart } from '@/components/UI/Charts';
 import DateRangePicker from '@/components/UI/DateRangePicker';
 import EmptyState from '@/components/UI/EmptyState';
+import CurrencyToggle from '@/components/Currency/CurrencyToggle';
 import {
   TrendingUp,
   DollarSign,
@@ -28,11 +30,14 @@ import {
   Zap,
   Brain
 } from 'lucide-react';
+import { getBusinessDayRange } from '@/utils/businessDay';
+import { formatAmount } from '@/utils/currency';
 
 export default function Dashboard() {
   const navigate = useNavigate();
   const { userProfile } = useAuth();
   const { brand } = useBrand();
+  const { currencyView, resolveCurrency } = useBranchSelection();
   const { addNotification } = useNotification();
 
   // State
@@ -46,15 +51,7 @@ export default function Dashboard() {
   const [branches, setBranches] = useState([]);
 
   // Date range (default: last 30 days)
-  const [dateRange, setDateRange] = useState(() => {
-    const end = new Date();
-    const start = new Date();
-    start.setDate(start.getDate() - 30);
-    return {
-      startDate: start.toISOString().split('T')[0],
-      endDate: end.toISOString().split('T')[0]
-    };
-  });
+  const [dateRange, setDateRange] = useState(() => getBusinessDayRange(30));
 
   // Calculate days between dates - Memoized
   const days = useMemo(() => {
@@ -68,10 +65,14 @@ export default function Dashboard() {
       if (showLoader) setLoading(true);
       else setRefreshing(true);
 
+      // Local currency only applies to a single branch; the comparison chart
+      // always uses the reporting currency so bars stay comparable
+      const currency = resolveCurrency(!!selectedBranch);
+
       // Fetch all data in parallel
       const [overviewData, trendsData, branchesData, insightsData, branchCompData] = await Promise.all([
-        api.analytics.getDashboardOverview(selectedBranch, days),
-        api.analytics.getRevenueTrends(selectedBranch, days),
+        api.analytics.getDashboardOverview(selectedBranch, days, currency),
+        api.analytics.getRevenueTrends(selectedBranch, days, 'day', currency),
         api.branches.getAll(),
         api.insights.getAll({ limit: 5, status: 'new' }),
         api.analytics.getBranchComparison(days)
@@ -100,12 +101,12 @@ export default function Dashboard() {
       setLoading(false);
       setRefreshing(false);
     }
-  }, [selectedBranch, days, addNotification]);
+  }, [selectedBranch, days, resolveCurrency, addNotification]);
 
   // Initial load
   useEffect(() => {
     fetchDashboardData();
-  }, [selectedBranch, dateRange]);
+  }, [selectedBranch, dateRange, currencyView]);
 
   // Manual refresh - Memoized callback
   const handleRefresh = useCallback(() => {
@@ -184,6 +185,7 @@ export default function Dashboard() {
               endDate={dateRange.endDate}
               onDateChange={handleDateRangeChange}
             />
+            <CurrencyToggle />
             <button
               onClick={handleRefresh}
               disabled={refreshing}
@@ -250,8 +252,8 @@ export default function Dashboard() {
           <>
             <StatCard
               title="Total Revenue"
-              value={`SAR ${overview?.totalRevenue?.toLocaleString() || 0}`}
-              subtitle={`Last ${days} days`}
+              value={formatAmount(overview?.totalRevenue, overview?.currency)}
+              subtitle={overview?.missingRate ? 'Some exchange rates missing' : `Last ${days} days`}
               icon={DollarSign}
               color="green"
               trend="up"
@@ -277,7 +279,7 @@ export default function Dashboard() {
             />
             <StatCard
               title="Avg Order Value"
-              value={`SAR ${overview?.averageOrderValue?.toFixed(2) || 0}`}
+              value={formatAmount(overview?.averageOrderValue, overview?.currency)}
               subtitle="Per transaction"
               icon={TrendingUp}
               color="orange"
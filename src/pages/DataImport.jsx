@@ -0,0 +1,388 @@
+// NAVA OPS - Data Import
+// Bulk import of historical orders and products from CSV/XLSX exports:
+// map columns, review validation problems, then import in resumable chunks.
+// POS connections, which ingest orders continuously, are managed here too.
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { useBranchSelection } from '@/contexts/BranchSelectionContext';
+import api from '@/services/api';
+import { dataImportAPI } from '@/services/dataImport';
+import { posIntegrationAPI } from '@/services/posIntegration';
+import { IMPORT_ENTITIES, suggestMapping, detectDateFormat } from '@/lib/importEngine';
+import { readSpreadsheet } from '@/utils/spreadsheetReader';
+import PageHeader from '@/shared/components/organisms/UI/PageHeader';
+import ColumnMapping from '@/components/Import/ColumnMapping';
+import ImportReview from '@/components/Import/ImportReview';
+import ImportHistory from '@/components/Import/ImportHistory';
+import PosConnections from '@/components/Import/PosConnections';
+import { Upload, FileSpreadsheet, ArrowLeft, Pause } from 'lucide-react';
+
+const STEPS = [
+  { id: 'upload', label: 'Upload' },
+  { id: 'map', label: 'Map columns' },
+  { id: 'review', label: 'Review' }
+];
+
+const emptyWizard = { step: 'upload', entity: 'orders', file: null, table: null, mapping: {}, result: null };
+
+export default function DataImport() {
+  const { addNotification } = useNotification();
+  const { branches } = useBranchSelection();
+  const fileInputRef = useRef(null);
+  const stopRef = useRef(false);
+
+  const [wizard, setWizard] = useState(emptyWizard);
+  const [settings, setSettings] = useState({ dateFormat: 'YYYY-MM-DD', defaultBranchId: null });
+  const [working, setWorking] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [active, setActive] = useState(null);
+  const [connections, setConnections] = useState([]);
+  const [connectionsLoading, setConnectionsLoading] = useState(true);
+  const [syncingId, setSyncingId] = useState(null);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      setLoading(true);
+      setBatches(await api.imports.getAll() || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load imports', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [addNotification]);
+
+  const fetchConnections = useCallback(async () => {
+    try {
+      setConnectionsLoading(true);
+      setConnections(await api.pos.getConnections() || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load POS connections', type: 'error' });
+    } finally {
+      setConnectionsLoading(false);
+    }
+  }, [addNotification]);
+
+  useEffect(() => {
+    fetchBatches();
+    fetchConnections();
+  }, [fetchBatches, fetchConnections]);
+
+  const replaceBatch = (batch) => {
+    setBatches(prev => (prev.some(item => item.id === batch.id)
+      ? prev.map(item => (item.id === batch.id ? batch : item))
+      : [batch, ...prev]));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setWorking(true);
+      const table = await readSpreadsheet(file);
+      if (table.rows.length === 0) {
+        addNotification({ title: 'Empty file', message: 'The file has no data rows under its header', type: 'warning' });
+        return;
+      }
+
+      const mapping = suggestMapping(wizard.entity, table.headers);
+      const dateColumn = mapping.order_date;
+      setSettings({
+        dateFormat: dateColumn === undefined
+          ? 'YYYY-MM-DD'
+          : detectDateFormat(table.rows.slice(0, 500).map(row => row.cells[dateColumn])),
+        defaultBranchId: branches.length === 1 ? branches[0].id : null
+      });
+      setWizard(prev => ({ ...prev, step: 'map', file, table, mapping, result: null }));
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to read the file', type: 'error' });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleValidate = async () => {
+    try {
+      setWorking(true);
+      const result = await dataImportAPI.validate(wizard.entity, wizard.table.rows, wizard.mapping, { ...settings, branches });
+      setWizard(prev => ({ ...prev, step: 'review', result }));
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to validate the file', type: 'error' });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const runBatch = async (batch) => {
+    stopRef.current = false;
+    setActive(batch);
+
+    try {
+      const finished = await dataImportAPI.run(batch, {
+        onProgress: (progress) => {
+          setActive(progress);
+          replaceBatch(progress);
+        },
+        shouldStop: () => stopRef.current
+      });
+      replaceBatch(finished);
+
+      if (finished.status === 'completed') {
+        addNotification({
+          title: 'Import complete',
+          message: `${finished.total_rows} ${IMPORT_ENTITIES[finished.entity].label.toLowerCase()} imported from ${finished.file_name}`,
+          type: 'success'
+        });
+      } else if (finished.status === 'failed') {
+        addNotification({ title: 'Import stopped', message: `${finished.error}. Resume it from the history once fixed.`, type: 'error' });
+      }
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Import failed', type: 'error' });
+    } finally {
+      setActive(null);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setWorking(true);
+      const batch = await dataImportAPI.start({
+        entity: wizard.entity,
+        fileName: wizard.file.name,
+        mapping: Object.fromEntries(Object.entries(wizard.mapping).map(([key, index]) => [key, wizard.table.headers[index]])),
+        records: wizard.result.records,
+        skippedRows: wizard.result.skippedRows
+      });
+      replaceBatch(batch);
+      setWizard(prev => ({ ...emptyWizard, entity: prev.entity }));
+      setWorking(false);
+      await runBatch(batch);
+    } catch (error) {
+      setWorking(false);
+      addNotification({ title: 'Error', message: error.message || 'Failed to start the import', type: 'error' });
+    }
+  };
+
+  const handleUndo = async (batch) => {
+    const label = IMPORT_ENTITIES[batch.entity].label.toLowerCase();
+    if (!confirm(`Undo the import of ${batch.file_name}? All ${batch.processed_rows} ${label} it added will be deleted.`)) return;
+
+    try {
+      replaceBatch(await dataImportAPI.undo(batch));
+      addNotification({ title: 'Import undone', message: `Removed the ${label} imported from ${batch.file_name}`, type: 'success' });
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to undo the import', type: 'error' });
+    }
+  };
+
+  const handleCreateConnection = async (connectionData) => {
+    try {
+      await api.pos.createConnection(connectionData);
+      await fetchConnections();
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to create the connection', type: 'error' });
+    }
+  };
+
+  const handleDeleteConnection = async (connection) => {
+    if (!confirm(`Remove ${connection.name}? Orders it already ingested are kept.`)) return;
+
+    try {
+      await api.pos.deleteConnection(connection.id);
+      setConnections(prev => prev.filter(item => item.id !== connection.id));
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to remove the connection', type: 'error' });
+    }
+  };
+
+  const handleMapLocation = async (location, branchId) => {
+    try {
+      await api.pos.mapLocation(location.id, branchId);
+      await fetchConnections();
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to map the location', type: 'error' });
+    }
+  };
+
+  const handleLoadSample = async (connection) => {
+    try {
+      setSyncingId(connection.id);
+      const summary = await posIntegrationAPI.ingestSample(connection, { branches });
+      const problems = summary.conflicts.length + summary.failed.length;
+      addNotification({
+        title: 'Sample orders ingested',
+        message: `${summary.inserted} new, ${summary.updated} updated, ${summary.unchanged} unchanged`
+          + (summary.held.length > 0 ? ` · ${summary.held.length} held until their location is mapped` : '')
+          + (problems > 0 ? ` · ${problems} rejected` : ''),
+        type: problems > 0 ? 'warning' : 'success'
+      });
+      await fetchConnections();
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to ingest sample orders', type: 'error' });
+    } finally {
+      setSyncingId(null);
+    }
+  };
+
+  const stepIndex = STEPS.findIndex(step => step.id === wizard.step);
+  const entity = IMPORT_ENTITIES[wizard.entity];
+  const activePercent = active?.total_rows ? Math.round((active.processed_rows / active.total_rows) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Data Import"
+        subtitle="Bring in historical orders and products from your previous POS"
+        icon={Upload}
+      />
+
+      {active && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <p className="font-semibold text-gray-900 dark:text-white">Importing {active.file_name}</p>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {active.processed_rows} of {active.total_rows} {IMPORT_ENTITIES[active.entity].label.toLowerCase()} · progress is saved after every chunk
+              </p>
+            </div>
+            <button onClick={() => { stopRef.current = true; }} className="btn-secondary flex items-center gap-2">
+              <Pause className="w-4 h-4" />
+              Pause
+            </button>
+          </div>
+          <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div className="h-full bg-blue-600 transition-all" style={{ width: `${activePercent}%` }} />
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 space-y-6">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {STEPS.map((step, index) => (
+            <React.Fragment key={step.id}>
+              {index > 0 && <span className="text-gray-300 dark:text-gray-600">/</span>}
+              <span className={index === stepIndex ? 'font-semibold text-blue-600 dark:text-blue-400' : 'text-gray-500 dark:text-gray-400'}>
+                {index + 1}. {step.label}
+              </span>
+            </React.Fragment>
+          ))}
+          {wizard.file && (
+            <span className="ml-auto flex items-center gap-1 text-gray-500 dark:text-gray-400">
+              <FileSpreadsheet className="w-4 h-4" />
+              {wizard.file.name} · {wizard.table.rows.length} rows
+            </span>
+          )}
+        </div>
+
+        {wizard.step === 'upload' && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {Object.values(IMPORT_ENTITIES).map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setWizard(prev => ({ ...prev, entity: option.id }))}
+                  className={`p-4 text-left rounded-lg border-2 ${
+                    wizard.entity === option.id
+                      ? 'border-blue-600 bg-blue-50 dark:bg-blue-900/20'
+                      : 'border-gray-200 dark:border-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <p className="font-semibold text-gray-900 dark:text-white">{option.label}</p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">{option.description}</p>
+                </button>
+              ))}
+            </div>
+            <div className="border-2 border-dashed border-gray-300 dark:border-gray-600 rounded-lg p-8 text-center">
+              <FileSpreadsheet className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+              <p className="text-gray-700 dark:text-gray-300 mb-1">CSV or Excel (.xlsx) with a header row</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                {wizard.entity === 'orders'
+                  ? 'Import products first so order items can be matched to them by SKU or name'
+                  : 'Stock on hand is not imported; record it with a stock count afterwards'}
+              </p>
+              <button onClick={() => fileInputRef.current?.click()} disabled={working} className="btn-primary disabled:opacity-50">
+                {working ? 'Reading...' : 'Choose file'}
+              </button>
+              <input ref={fileInputRef} type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} className="hidden" />
+            </div>
+          </div>
+        )}
+
+        {wizard.step === 'map' && (
+          <ColumnMapping
+            entity={wizard.entity}
+            headers={wizard.table.headers}
+            sampleRow={wizard.table.rows[0]}
+            mapping={wizard.mapping}
+            settings={settings}
+            branches={branches}
+            onMappingChange={(mapping) => setWizard(prev => ({ ...prev, mapping }))}
+            onSettingsChange={setSettings}
+          />
+        )}
+
+        {wizard.step === 'review' && (
+          <ImportReview
+            entity={wizard.entity}
+            result={wizard.result}
+            totalRows={wizard.table.rows.length}
+            branches={branches}
+          />
+        )}
+
+        {wizard.step !== 'upload' && (
+          <div className="flex items-center justify-between pt-4 border-t border-gray-200 dark:border-gray-700">
+            <button
+              onClick={() => setWizard(prev => (prev.step === 'review' ? { ...prev, step: 'map' } : { ...emptyWizard, entity: prev.entity }))}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back
+            </button>
+            {wizard.step === 'map' ? (
+              <button onClick={handleValidate} disabled={working} className="btn-primary disabled:opacity-50">
+                {working ? 'Checking...' : 'Check rows'}
+              </button>
+            ) : (
+              <button
+                onClick={handleImport}
+                disabled={working || !!active || wizard.result.records.length === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                Import {wizard.result.records.length} {entity.label.toLowerCase()}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Import History</h3>
+        <ImportHistory
+          batches={batches}
+          loading={loading}
+          activeBatchId={active?.id}
+          onResume={runBatch}
+          onUndo={handleUndo}
+        />
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">POS Connections</h3>
+        <PosConnections
+          connections={connections}
+          branches={branches}
+          loading={connectionsLoading}
+          busyId={syncingId}
+          onCreate={handleCreateConnection}
+          onDelete={handleDeleteConnection}
+          onMapLocation={handleMapLocation}
+          onLoadSample={handleLoadSample}
+        />
+      </div>
+    </div>
+  );
+}
@@ -47,6 +47,8 @@ import {
   ArrowDownRight,
   Clock
 } from 'lucide-react';
+import { getBusinessDayRange } from '@/utils/businessDay';
+import { formatAmount } from '@/utils/currency';
 
 export default function ExecutiveHQ() {
   const { userProfile } = useAuth();
@@ -71,15 +73,7 @@ export default function ExecutiveHQ() {
   const [consolidatedReports, setConsolidatedReports] = useState([]);
 
   // Date range - default to last year for executive view
-  const [dateRange, setDateRange] = useState(() => {
-    const end = new Date();
-    const start = new Date();
-    start.setFullYear(start.getFullYear() - 1);
-    return {
-      startDate: start.toISOString().split('T')[0],
-      endDate: end.toISOString().split('T')[0]
-    };
-  });
+  const [dateRange, setDateRange] = useState(() => getBusinessDayRange(365));
 
   // Fetch all executive data
   const fetchExecutiveData = async (showLoader = true) => {
@@ -304,7 +298,7 @@ export default function ExecutiveHQ() {
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             <StatCard
               title="Total Revenue"
-              value={`SAR ${executiveOverview.totalRevenue.toLocaleString()}`}
+              value={formatAmount(executiveOverview.totalRevenue)}
               subtitle="All branches combined"
               icon={DollarSign}
               color="green"
@@ -314,8 +308,8 @@ export default function ExecutiveHQ() {
             />
             <StatCard
               title="Net Profit"
-              value={`SAR ${executiveOverview.netProfit.toLocaleString()}`}
-              subtitle={`${executiveOverview.profitMargin.toFixed(1)}% margin`}
+              value={formatAmount(executiveOverview.netProfit)}
+              subtitle={`${executiveOverview.profitMargin.toFixed(1)}% margin${executiveOverview.costsEstimated ? ' · costs estimated' : ''}`}
               icon={Target}
               color="blue"
               trend={executiveOverview.profitChange >= 0 ? 'up' : 'down'}
@@ -416,6 +410,11 @@ export default function ExecutiveHQ() {
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
                 <PieChart className="w-5 h-5 text-green-500" />
                 Cost vs Revenue Analysis
+                {costVsRevenue.some(item => item.estimated) && (
+                  <span className="ml-auto px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300">
+                    Estimated
+                  </span>
+                )}
               </h3>
               <PieChartComponent
                 data={costVsRevenue}
@@ -456,7 +455,7 @@ export default function ExecutiveHQ() {
                     </div>
                     <div className="text-right">
                       <p className="font-bold text-green-600 dark:text-green-400">
-                        SAR {branch.revenue.toLocaleString()}
+                        {formatAmount(branch.revenue)}
                       </p>
                       <div className="flex items-center gap-1 text-sm text-green-600 dark:text-green-400">
                         <TrendingUp className="w-4 h-4" />
@@ -491,7 +490,7 @@ export default function ExecutiveHQ() {
                     </div>
                     <div className="text-right">
                       <p className="font-bold text-red-600 dark:text-red-400">
-                        SAR {branch.revenue.toLocaleString()}
+                        {formatAmount(branch.revenue)}
                       </p>
                       <div className="flex items-center gap-1 text-sm text-red-600 dark:text-red-400">
                         <TrendingDown className="w-4 h-4" />
@@ -526,7 +525,7 @@ export default function ExecutiveHQ() {
                 </thead>
                 <tbody>
                   {employeePerformance.slice(0, 10).map((employee, index) => (
-                    <tr key={index} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <tr key={employee.id || index} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50">
                       <td className="py-3 px-4">
                         <div className="flex items-center gap-3">
                           <div className="w-8 h-8 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white font-semibold text-sm">
@@ -546,21 +545,21 @@ export default function ExecutiveHQ() {
                                 employee.performance >= 75 ? 'bg-blue-500' :
                                 employee.performance >= 60 ? 'bg-yellow-500' : 'bg-red-500'
                               }`}
-                              style={{ width: `${employee.performance}%` }}
+                              style={{ width: `${employee.performance || 0}%` }}
                             />
                           </div>
                           <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 w-10">
-                            {employee.performance}%
+                            {employee.performance === null ? '—' : `${employee.performance}%`}
                           </span>
                         </div>
                       </td>
                       <td className="py-3 px-4 font-semibold text-gray-900 dark:text-white">
-                        SAR {employee.sales.toLocaleString()}
+                        {formatAmount(employee.sales, employee.currency)}
                       </td>
                       <td className="py-3 px-4">
                         <div className="flex items-center gap-1">
                           <Star className="w-4 h-4 text-yellow-500 fill-current" />
-                          <span className="font-semibold text-gray-900 dark:text-white">{employee.rating}</span>
+                          <span className="font-semibold text-gray-900 dark:text-white">{employee.rating ?? '—'}</span>
                         </div>
                       </td>
                     </tr>
@@ -575,6 +574,11 @@ export default function ExecutiveHQ() {
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
               <MapPin className="w-5 h-5 text-purple-500" />
               Branch Profitability Comparison
+              {profitabilityMap.some(branch => branch.estimated) && (
+                <span className="ml-auto px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300">
+                  {profitabilityMap.filter(branch => branch.estimated).length} estimated
+                </span>
+              )}
             </h3>
             <BranchComparisonChart data={profitabilityMap} loading={loading} />
           </div>
@@ -608,7 +612,7 @@ export default function ExecutiveHQ() {
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-gray-600 dark:text-gray-300">Revenue</span>
                       <span className="font-bold text-green-600 dark:text-green-400">
-                        SAR {region.revenue.toLocaleString()}
+                        {formatAmount(region.revenue)}
                       </span>
                     </div>
                     <div className="flex justify-between items-center">
@@ -4,11 +4,15 @@
 import React, { useState, useEffect } from 'react';
 import { useNotification } from '@/contexts/NotificationContext';
 import api from '@/services/api';
+import costModelAPI, { EXPENSE_CATEGORIES, ESTIMATED_COST_RATIO } from '@/services/costModel';
 import PageHeader from '@/components/UI/PageHeader';
 import StatCard from '@/components/UI/StatCard';
 import { RevenueTrendChart, MultiLineChart } from '@/components/UI/Charts';
 import DateRangePicker from '@/components/UI/DateRangePicker';
+import ExpenseLedger from '@/components/Expenses/ExpenseLedger';
 import { DollarSign, Wallet, CreditCard, Target, AlertCircle } from 'lucide-react';
+import { getBusinessDayRange } from '@/utils/businessDay';
+import { formatAmount } from '@/utils/currency';
 
 export default function FinancialReports() {
   const { addNotification } = useNotification();
@@ -18,33 +22,35 @@ export default function FinancialReports() {
     totalExpenses: 0,
     netProfit: 0,
     profitMargin: 0,
+    breakdown: {},
+    estimated: false,
+    estimatedBranches: 0,
+    currency: undefined,
+    missingRate: false,
     trends: []
   });
 
-  const [dateRange, setDateRange] = useState(() => {
-    const end = new Date();
-    const start = new Date();
-    start.setDate(start.getDate() - 90);
-    return {
-      startDate: start.toISOString().split('T')[0],
-      endDate: end.toISOString().split('T')[0]
-    };
-  });
+  const [dateRange, setDateRange] = useState(() => getBusinessDayRange(90));
 
   const fetchFinancialData = async () => {
     try {
       setLoading(true);
       const days = Math.ceil((new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (1000 * 60 * 60 * 24));
-      const [overview, trends] = await Promise.all([
-        api.analytics.getDashboardOverview(null, days),
+      const [summary, trends] = await Promise.all([
+        costModelAPI.getCostSummary(dateRange),
         api.analytics.getRevenueTrends(null, days)
       ]);
 
       setFinancialData({
-        totalRevenue: overview.overview.totalRevenue,
-        totalExpenses: overview.overview.totalRevenue * 0.65,
-        netProfit: overview.overview.totalRevenue * 0.35,
-        profitMargin: 35,
+        totalRevenue: summary.totals.revenue,
+        totalExpenses: summary.totals.totalCosts,
+        netProfit: summary.totals.netProfit,
+        profitMargin: Math.round(summary.totals.profitMargin * 10) / 10,
+        breakdown: summary.totals.breakdown,
+        estimated: summary.totals.estimated,
+        estimatedBranches: summary.totals.estimatedBranches,
+        currency: summary.currency,
+        missingRate: summary.missingRate,
         trends
       });
     } catch (error) {
@@ -80,7 +86,7 @@ export default function FinancialReports() {
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <StatCard
           title="Total Revenue"
-          value={`SAR ${financialData.totalRevenue.toLocaleString()}`}
+          value={formatAmount(financialData.totalRevenue, financialData.currency)}
           subtitle="Gross income"
           icon={DollarSign}
           color="green"
@@ -90,8 +96,10 @@ export default function FinancialReports() {
         />
         <StatCard
           title="Total Expenses"
-          value={`SAR ${financialData.totalExpenses.toLocaleString()}`}
-          subtitle="Operating costs"
+          value={formatAmount(financialData.totalExpenses, financialData.currency)}
+          subtitle={financialData.estimated
+            ? `Estimated for ${financialData.estimatedBranches} branch(es) without cost data`
+            : 'Recorded costs'}
           icon={CreditCard}
           color="red"
           trend="down"
@@ -100,8 +108,8 @@ export default function FinancialReports() {
         />
         <StatCard
           title="Net Profit"
-          value={`SAR ${financialData.netProfit.toLocaleString()}`}
-          subtitle="After expenses"
+          value={formatAmount(financialData.netProfit, financialData.currency)}
+          subtitle={financialData.estimated ? 'After expenses (partly estimated)' : 'After expenses'}
           icon={Wallet}
           color="blue"
           trend="up"
@@ -120,6 +128,48 @@ export default function FinancialReports() {
         />
       </div>
 
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+          Expense Breakdown
+          {financialData.estimated && (
+            <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300">
+              Estimated
+            </span>
+          )}
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {EXPENSE_CATEGORIES.map(category => (
+            <div key={category} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+              <p className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                {category === 'cogs' ? 'COGS' : category}
+              </p>
+              <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                {formatAmount(Math.round(financialData.breakdown[category] || 0), financialData.currency)}
+              </p>
+            </div>
+          ))}
+        </div>
+        {financialData.estimated && (
+          <p className="mt-4 text-sm text-yellow-700 dark:text-yellow-400">
+            {financialData.estimatedBranches} branch(es) have no recorded expenses or product costs;
+            their costs are estimated at {ESTIMATED_COST_RATIO * 100}% of revenue and are not included in this breakdown.
+          </p>
+        )}
+        {financialData.missingRate && (
+          <p className="mt-2 text-sm text-yellow-700 dark:text-yellow-400">
+            Some amounts have no exchange rate to {financialData.currency} for their date and are included unconverted.
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
+        <ExpenseLedger
+          startDate={dateRange.startDate}
+          endDate={dateRange.endDate}
+          onChange={fetchFinancialData}
+        />
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Revenue Trends</h3>
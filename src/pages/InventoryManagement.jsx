@@ -0,0 +1,297 @@
+// NAVA OPS - Inventory Management
+// Stock on hand per branch, the stock ledger and stock valuation
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNotification } from '@/contexts/NotificationContext';
+import { useBranchSelection } from '@/contexts/BranchSelectionContext';
+import api from '@/services/api';
+import PageHeader from '@/shared/components/organisms/UI/PageHeader';
+import StatCard from '@/shared/components/organisms/UI/StatCard';
+import StockMovementModal from '@/components/Inventory/StockMovementModal';
+import StockMovementsTable from '@/components/Inventory/StockMovementsTable';
+import StockValuationReport from '@/components/Inventory/StockValuationReport';
+import { formatAmount, getReportingCurrency } from '@/utils/currency';
+import {
+  Package,
+  PackagePlus,
+  Trash2,
+  ArrowRightLeft,
+  ClipboardCheck,
+  AlertTriangle,
+  DollarSign,
+  XCircle
+} from 'lucide-react';
+
+const TABS = [
+  { id: 'levels', label: 'Stock Levels' },
+  { id: 'movements', label: 'Movements' },
+  { id: 'valuation', label: 'Valuation' }
+];
+
+export default function InventoryManagement() {
+  const { addNotification } = useNotification();
+  const { branches } = useBranchSelection();
+  const currency = getReportingCurrency();
+
+  const [activeTab, setActiveTab] = useState('levels');
+  const [branchId, setBranchId] = useState('');
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [products, setProducts] = useState([]);
+  const [levels, setLevels] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editor, setEditor] = useState({ mode: null, defaults: null });
+
+  const fetchInventory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [productData, levelData, movementData] = await Promise.all([
+        api.inventory.getProducts(),
+        api.inventory.getStatus({ branchId: branchId || null }),
+        api.inventory.getMovements({ branchId: branchId || null, limit: 100 })
+      ]);
+      setProducts(productData || []);
+      setLevels(levelData || []);
+      setMovements(movementData || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load inventory', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId, addNotification]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  const openEditor = (mode, defaults = {}) => {
+    setEditor({ mode, defaults: { branchId, ...defaults } });
+  };
+
+  const closeEditor = () => setEditor({ mode: null, defaults: null });
+
+  const handleSave = async (mode, form) => {
+    try {
+      if (mode === 'transfer') {
+        await api.inventory.transfer({
+          productId: form.productId,
+          fromBranchId: form.branchId,
+          toBranchId: form.toBranchId,
+          quantity: form.quantity,
+          notes: form.notes
+        });
+      } else if (mode === 'count') {
+        const difference = await api.inventory.recordCount({
+          productId: form.productId,
+          branchId: form.branchId,
+          countedQuantity: form.quantity,
+          notes: form.notes
+        });
+        addNotification({
+          title: 'Stock count saved',
+          message: difference === 0 ? 'Count matches the recorded quantity' : `Adjusted by ${difference > 0 ? '+' : ''}${difference}`,
+          type: 'success'
+        });
+      } else {
+        await api.inventory.recordMovement({
+          productId: form.productId,
+          branchId: form.branchId,
+          type: mode,
+          quantity: form.quantity,
+          unitCost: mode === 'receive' ? form.unitCost : null,
+          reason: mode === 'waste' ? form.reason : null,
+          notes: form.notes
+        });
+      }
+      closeEditor();
+      await fetchInventory();
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to save stock movement', type: 'error' });
+    }
+  };
+
+  const totalValue = levels.reduce((sum, level) => sum + (Number(level.stock_value) || 0), 0);
+  const lowStock = levels.filter(level => level.is_low_stock && level.quantity > 0);
+  const outOfStock = levels.filter(level => level.quantity <= 0);
+  const visibleLevels = lowStockOnly ? levels.filter(level => level.is_low_stock) : levels;
+  const branchName = (id) => branches.find(branch => branch.id === id)?.name || 'Unknown';
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Inventory"
+        subtitle="Stock levels, movements and valuation across your branches"
+        icon={Package}
+        actions={
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => openEditor('receive')} className="btn-primary flex items-center gap-2">
+              <PackagePlus className="w-4 h-4" />
+              Receive
+            </button>
+            <button onClick={() => openEditor('waste')} className="btn-secondary flex items-center gap-2">
+              <Trash2 className="w-4 h-4" />
+              Waste
+            </button>
+            {branches.length > 1 && (
+              <button onClick={() => openEditor('transfer')} className="btn-secondary flex items-center gap-2">
+                <ArrowRightLeft className="w-4 h-4" />
+                Transfer
+              </button>
+            )}
+            <button onClick={() => openEditor('count')} className="btn-secondary flex items-center gap-2">
+              <ClipboardCheck className="w-4 h-4" />
+              Stock Count
+            </button>
+          </div>
+        }
+      />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          icon={DollarSign}
+          title="Stock Value"
+          value={formatAmount(totalValue, currency)}
+          subtitle="At current cost"
+          loading={loading}
+        />
+        <StatCard
+          icon={Package}
+          title="Items Tracked"
+          value={levels.length}
+          subtitle={`${products.length} active products`}
+          color="purple"
+          loading={loading}
+        />
+        <StatCard
+          icon={AlertTriangle}
+          title="Low Stock"
+          value={lowStock.length}
+          subtitle="At or below threshold"
+          color="orange"
+          loading={loading}
+        />
+        <StatCard
+          icon={XCircle}
+          title="Out of Stock"
+          value={outOfStock.length}
+          color="red"
+          loading={loading}
+        />
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex gap-2">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                  activeTab === tab.id
+                    ? 'bg-indigo-600 text-white'
+                    : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={branchId}
+            onChange={(e) => setBranchId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+          >
+            <option value="">All branches</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {activeTab === 'levels' && (
+          loading ? (
+            <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading stock...</div>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={lowStockOnly} onChange={(e) => setLowStockOnly(e.target.checked)} />
+                Low stock only
+              </label>
+              {visibleLevels.length === 0 ? (
+                <p className="py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+                  No stock recorded yet. Receive stock to start tracking.
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+                        <th className="py-2 px-3 font-semibold">Product</th>
+                        <th className="py-2 px-3 font-semibold">SKU</th>
+                        <th className="py-2 px-3 font-semibold">Branch</th>
+                        <th className="py-2 px-3 font-semibold text-right">On hand</th>
+                        <th className="py-2 px-3 font-semibold text-right">Threshold</th>
+                        <th className="py-2 px-3 font-semibold text-right">Value</th>
+                        <th className="py-2 px-3 font-semibold"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visibleLevels.map(level => (
+                        <tr key={`${level.product_id}-${level.branch_id}`} className="border-b border-gray-100 dark:border-gray-700">
+                          <td className="py-2 px-3 font-medium text-gray-900 dark:text-white">{level.product_name}</td>
+                          <td className="py-2 px-3 text-gray-500 dark:text-gray-400">{level.sku || '—'}</td>
+                          <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{branchName(level.branch_id)}</td>
+                          <td className={`py-2 px-3 text-right font-semibold ${
+                            level.quantity <= 0
+                              ? 'text-red-600 dark:text-red-400'
+                              : level.is_low_stock ? 'text-amber-600 dark:text-amber-400' : 'text-gray-900 dark:text-white'
+                          }`}>
+                            {level.quantity}
+                          </td>
+                          <td className="py-2 px-3 text-right text-gray-500 dark:text-gray-400">{level.low_stock_threshold ?? 0}</td>
+                          <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{formatAmount(level.stock_value, level.currency)}</td>
+                          <td className="py-2 px-3 text-right whitespace-nowrap">
+                            <button
+                              onClick={() => openEditor('receive', { productId: level.product_id, branchId: level.branch_id })}
+                              className="px-2 py-1 text-xs text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded"
+                            >
+                              Receive
+                            </button>
+                            <button
+                              onClick={() => openEditor('count', { productId: level.product_id, branchId: level.branch_id })}
+                              className="px-2 py-1 text-xs text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+                            >
+                              Count
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )
+        )}
+
+        {activeTab === 'movements' && <StockMovementsTable movements={movements} loading={loading} />}
+
+        {activeTab === 'valuation' && (
+          loading
+            ? <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading valuation...</div>
+            : <StockValuationReport levels={levels} branches={branches} currency={currency} />
+        )}
+      </div>
+
+      <StockMovementModal
+        isOpen={!!editor.mode}
+        mode={editor.mode}
+        products={products}
+        branches={branches}
+        defaults={editor.defaults}
+        onSave={handleSave}
+        onClose={closeEditor}
+      />
+    </div>
+  );
+}
@@ -1,21 +1,31 @@
 // NAVA OPS - Enterprise Reports & Analytics Hub
 // Comprehensive reporting platform with AI insights and advanced analytics
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNotification } from '@/contexts/NotificationContext';
-import PageHeader from '@/components/UI/PageHeader';
+import PageHeader from '@/shared/components/organisms/UI/PageHeader';
 import {
   BarChart3, Download, Calendar, TrendingUp, FileText, DollarSign,
   Users, Package, Target, AlertTriangle, Crown, Layers, GitCompare,
-  Clock, Settings, Play, Eye, ChevronRight, Sparkles
+  Clock, Settings, Play, Eye, ChevronRight, Sparkles, RefreshCw, Trash2, CalendarClock
 } from 'lucide-react';
-import { reportEngine } from '@/lib/reportEngine';
+import { reportsAPI } from '@/services/api';
+import { reportHistoryAPI } from '@/services/reportHistory';
 import { REPORT_TYPES, REPORT_CATEGORIES, getReportsByCategory } from '@/lib/reportTypes';
 import { exportReport } from '@/lib/exportEngine';
 import ReportFilters from '@/components/Reports/ReportFilters';
-import FinancialOverview from '@/components/Reports/FinancialOverview';
-import MenuEngineering from '@/components/Reports/MenuEngineering';
-import ChannelPerformanceReport from '@/components/Reports/ChannelPerformanceReport';
+import ReportView from '@/components/Reports/ReportView';
+import ReportSchedules from '@/components/Reports/ReportSchedules';
+
+const REPORT_TEMPLATES = [
+  { name: 'Daily Flash Report', description: 'Yesterday\'s sales against the day before', icon: Crown, type: 'sales_summary', filters: { period: 'YESTERDAY', granularity: 'day' } },
+  { name: 'Weekly Performance', description: 'Sales trend over the last 7 days', icon: TrendingUp, type: 'sales_summary', filters: { period: 'LAST_7_DAYS', granularity: 'day' } },
+  { name: 'Monthly Financial', description: 'Last month\'s profit & loss', icon: DollarSign, type: 'financial_pnl', filters: { period: 'LAST_MONTH' } },
+  { name: 'Branch Comparison', description: 'All branches over the last 30 days', icon: GitCompare, type: 'branch_comparison', filters: { period: 'LAST_30_DAYS' } },
+  { name: 'Menu Review', description: 'Product mix and menu classes over 90 days', icon: Package, type: 'product_mix', filters: { period: 'LAST_90_DAYS' } },
+  { name: 'Team Review', description: 'Staff scores for this month', icon: Users, type: 'staff_performance', filters: { period: 'THIS_MONTH' } },
+  { name: 'Refund Audit', description: 'Refunds and voids by cashier over 30 days', icon: AlertTriangle, type: 'refunds_voids', filters: { period: 'LAST_30_DAYS' } }
+];
 
 export default function ReportsAnalyticsNew() {
   const { addNotification } = useNotification();
@@ -23,31 +33,29 @@ export default function ReportsAnalyticsNew() {
   const [selectedReportType, setSelectedReportType] = useState(null);
   const [filters, setFilters] = useState({
     period: 'LAST_30_DAYS',
-    branchId: null,
-    category: null
+    branchId: null
   });
   const [generatedReport, setGeneratedReport] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
-  const [recentReports, setRecentReports] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
 
-  useEffect(() => {
-    // Load recent reports from localStorage
-    const saved = localStorage.getItem('nava_recent_reports');
-    if (saved) {
-      setRecentReports(JSON.parse(saved));
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistoryLoading(true);
+      setHistory(await reportsAPI.getAll({ limit: 50 }) || []);
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to load report history', type: 'error' });
+    } finally {
+      setHistoryLoading(false);
     }
-  }, []);
+  }, [addNotification]);
 
-  const handleGenerateReport = async () => {
-    if (!selectedReportType) {
-      addNotification({
-        title: 'Warning',
-        message: 'Please select a report type',
-        type: 'warning'
-      });
-      return;
-    }
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
 
+  const runReport = async (generate) => {
     try {
       setIsGenerating(true);
       addNotification({
@@ -56,25 +64,17 @@ export default function ReportsAnalyticsNew() {
         type: 'info'
       });
 
-      // Generate report using the engine
-      const report = await reportEngine.generateReport(selectedReportType, filters);
+      const { report, record } = await generate();
       setGeneratedReport(report);
-
-      // Save to recent reports
-      const recent = [
-        { ...report, timestamp: new Date().toISOString() },
-        ...recentReports.slice(0, 9)
-      ];
-      setRecentReports(recent);
-      localStorage.setItem('nava_recent_reports', JSON.stringify(recent));
-
-      // Switch to view tab
       setActiveTab('view');
+      loadHistory();
 
       addNotification({
-        title: 'Success',
-        message: 'Report generated successfully with AI insights',
-        type: 'success'
+        title: record ? 'Success' : 'Warning',
+        message: record
+          ? 'Report generated and saved to history'
+          : 'Report generated, but it could not be saved to history',
+        type: record ? 'success' : 'warning'
       });
     } catch (error) {
       console.error('Report generation failed:', error);
@@ -83,11 +83,29 @@ export default function ReportsAnalyticsNew() {
         message: `Failed to generate report: ${error.message}`,
         type: 'error'
       });
+      loadHistory();
     } finally {
       setIsGenerating(false);
     }
   };
 
+  const handleGenerateReport = () => {
+    if (!selectedReportType) {
+      addNotification({
+        title: 'Warning',
+        message: 'Please select a report type',
+        type: 'warning'
+      });
+      return;
+    }
+
+    runReport(() => reportHistoryAPI.generate(selectedReportType, filters));
+  };
+
+  const handleRerunReport = (record) => {
+    runReport(() => reportHistoryAPI.rerun(record));
+  };
+
   const handleExport = async (format) => {
     if (!generatedReport) return;
 
@@ -98,7 +116,7 @@ export default function ReportsAnalyticsNew() {
         type: 'info'
       });
 
-      const filename = `${generatedReport.title.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.${format}`;
+      const filename = `${generatedReport.title.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}`;
       await exportReport(generatedReport, format, filename);
 
       addNotification({
@@ -116,9 +134,38 @@ export default function ReportsAnalyticsNew() {
     }
   };
 
-  const handleViewReport = (report) => {
-    setGeneratedReport(report);
-    setActiveTab('view');
+  const handleUseTemplate = (template) => {
+    setSelectedReportType(template.type);
+    setFilters(prev => ({ ...prev, ...template.filters }));
+    setActiveTab('builder');
+  };
+
+  const handleViewReport = async (record) => {
+    try {
+      setGeneratedReport(await reportHistoryAPI.open(record));
+      setActiveTab('view');
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to open report', type: 'error' });
+    }
+  };
+
+  const handleDownloadReport = async (record) => {
+    try {
+      await reportHistoryAPI.download(record);
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message || 'Failed to download report', type: 'error' });
+    }
+  };
+
+  const handleDeleteReport = async (record) => {
+    if (!confirm(`Delete "${record.report_name}" from the history?`)) return;
+
+    try {
+      await reportsAPI.delete(record.id);
+      setHistory(prev => prev.filter(item => item.id !== record.id));
+    } catch {
+      addNotification({ title: 'Error', message: 'Failed to delete report', type: 'error' });
+    }
   };
 
   return (
@@ -163,6 +210,12 @@ export default function ReportsAnalyticsNew() {
               icon={Clock}
               label="History"
             />
+            <TabButton
+              active={activeTab === 'schedules'}
+              onClick={() => setActiveTab('schedules')}
+              icon={CalendarClock}
+              label="Schedules"
+            />
           </nav>
         </div>
 
@@ -262,9 +315,9 @@ export default function ReportsAnalyticsNew() {
 
               {/* Filters */}
               <ReportFilters
+                parameters={selectedReportType ? REPORT_TYPES[selectedReportType.toUpperCase()]?.parameters : []}
                 filters={filters}
                 onFilterChange={setFilters}
-                onApply={() => {}}
               />
             </div>
           )}
@@ -316,55 +369,19 @@ export default function ReportsAnalyticsNew() {
                     <Download className="w-4 h-4" />
                     CSV
                   </button>
+                  <button
+                    onClick={() => handleExport('json')}
+                    className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg
+                             transition-colors duration-200 flex items-center gap-2"
+                  >
+                    <Download className="w-4 h-4" />
+                    JSON
+                  </button>
                 </div>
               </div>
 
               {/* Report Content */}
-              {generatedReport.type === 'financial_overview' && (
-                <FinancialOverview reportData={generatedReport} />
-              )}
-              {generatedReport.type === 'menu_engineering' && (
-                <MenuEngineering reportData={generatedReport} />
-              )}
-              {generatedReport.type === 'channel_performance' && (
-                <ChannelPerformanceReport reportData={generatedReport} />
-              )}
-
-              {/* Default Report View for other types */}
-              {!['financial_overview', 'menu_engineering', 'channel_performance'].includes(generatedReport.type) && (
-                <div className="space-y-6">
-                  {generatedReport.executiveSummary && (
-                    <div className="bg-blue-50 dark:bg-blue-900/20 rounded-xl p-6 border border-blue-200 dark:border-blue-800">
-                      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
-                        Executive Summary
-                      </h3>
-                      <p className="text-gray-700 dark:text-gray-300 leading-relaxed">
-                        {generatedReport.executiveSummary}
-                      </p>
-                    </div>
-                  )}
-
-                  {generatedReport.insights && generatedReport.insights.length > 0 && (
-                    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
-                      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                        AI-Generated Insights
-                      </h3>
-                      <div className="space-y-3">
-                        {generatedReport.insights.map((insight, index) => (
-                          <div key={index} className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
-                            <h4 className="font-semibold text-gray-900 dark:text-white mb-1">
-                              {insight.title}
-                            </h4>
-                            <p className="text-sm text-gray-700 dark:text-gray-300">
-                              {insight.description}
-                            </p>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                  )}
-                </div>
-              )}
+              <ReportView report={generatedReport} />
             </div>
           )}
 
@@ -375,16 +392,10 @@ export default function ReportsAnalyticsNew() {
                 Report Templates
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {[
-                  { name: 'Daily Flash Report', category: 'executive', icon: Crown },
-                  { name: 'Weekly Performance', category: 'performance', icon: TrendingUp },
-                  { name: 'Monthly Financial', category: 'financial', icon: DollarSign },
-                  { name: 'Branch Comparison', category: 'comparative', icon: GitCompare },
-                  { name: 'Customer Insights', category: 'customer', icon: Users },
-                  { name: 'Anomaly Detection', category: 'anomaly', icon: AlertTriangle }
-                ].map((template, index) => (
+                {REPORT_TEMPLATES.map((template, index) => (
                   <button
                     key={index}
+                    onClick={() => handleUseTemplate(template)}
                     className="p-6 border-2 border-gray-200 dark:border-gray-700 rounded-xl
                              hover:border-blue-500 hover:shadow-lg transition-all duration-200 text-left"
                   >
@@ -392,8 +403,8 @@ export default function ReportsAnalyticsNew() {
                     <h4 className="font-semibold text-gray-900 dark:text-white mb-1">
                       {template.name}
                     </h4>
-                    <p className="text-sm text-gray-600 dark:text-gray-400 capitalize">
-                      {template.category} report template
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      {template.description}
                     </p>
                   </button>
                 ))}
@@ -405,42 +416,89 @@ export default function ReportsAnalyticsNew() {
           {activeTab === 'history' && (
             <div>
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                Recent Reports
+                Report History
               </h3>
-              {recentReports.length > 0 ? (
+              {historyLoading ? (
+                <div className="h-40 flex items-center justify-center text-gray-400 animate-pulse">Loading history...</div>
+              ) : history.length > 0 ? (
                 <div className="space-y-3">
-                  {recentReports.map((report, index) => (
+                  {history.map(record => (
                     <div
-                      key={index}
+                      key={record.id}
                       className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg flex items-center justify-between
-                               hover:shadow-md transition-shadow duration-200 cursor-pointer"
-                      onClick={() => handleViewReport(report)}
+                               hover:shadow-md transition-shadow duration-200"
                     >
-                      <div className="flex items-center gap-4">
+                      <button
+                        onClick={() => handleViewReport(record)}
+                        disabled={record.status !== 'completed'}
+                        className="flex items-center gap-4 text-left flex-1 disabled:cursor-default"
+                      >
                         <div className="p-3 bg-blue-100 dark:bg-blue-900/20 rounded-lg">
                           <FileText className="w-5 h-5 text-blue-600 dark:text-blue-400" />
                         </div>
                         <div>
                           <h4 className="font-semibold text-gray-900 dark:text-white">
-                            {report.title}
+                            {record.report_name}
+                            {record.branches?.name && (
+                              <span className="font-normal text-gray-500 dark:text-gray-400"> · {record.branches.name}</span>
+                            )}
                           </h4>
                           <p className="text-sm text-gray-600 dark:text-gray-400">
-                            {new Date(report.timestamp).toLocaleString()}
+                            {record.start_date} – {record.end_date}
+                            {' · '}
+                            {new Date(record.created_at).toLocaleString()}
+                            {record.author?.full_name && ` · ${record.author.full_name}`}
+                            {record.schedule_id && ' · Scheduled'}
                           </p>
+                          {record.status === 'failed' && (
+                            <p className="text-xs text-red-600 dark:text-red-400">{record.error_message || 'Failed'}</p>
+                          )}
+                          {['pending', 'generating'].includes(record.status) && (
+                            <p className="text-xs text-blue-600 dark:text-blue-400">Generating...</p>
+                          )}
                         </div>
+                      </button>
+                      <div className="flex items-center gap-1">
+                        {record.status === 'completed' && record.report_format !== 'json' && (
+                          <button
+                            onClick={() => handleDownloadReport(record)}
+                            title={`Download ${record.report_format.toUpperCase()}`}
+                            className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg"
+                          >
+                            <Download className="w-4 h-4" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleRerunReport(record)}
+                          disabled={isGenerating}
+                          title="Run again for the same dates"
+                          className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 rounded-lg disabled:opacity-50"
+                        >
+                          <RefreshCw className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteReport(record)}
+                          title="Delete"
+                          className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                        {record.status === 'completed' && <ChevronRight className="w-5 h-5 text-gray-400" />}
                       </div>
-                      <ChevronRight className="w-5 h-5 text-gray-400" />
                     </div>
                   ))}
                 </div>
               ) : (
                 <div className="text-center py-12">
                   <FileText className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-600 dark:text-gray-400">No recent reports</p>
+                  <p className="text-gray-600 dark:text-gray-400">No reports generated yet</p>
                 </div>
               )}
             </div>
           )}
+
+          {/* Schedules Tab */}
+          {activeTab === 'schedules' && <ReportSchedules />}
         </div>
       </div>
     </div>
@@ -6,6 +6,7 @@ import { useAuth } from '@/contexts/AuthContext';
 import { useNotification } from '@/contexts/NotificationContext';
 import PageHeader from '@/components/UI/PageHeader';
 import StaffPerformanceHub from './StaffPerformanceHub';
+import SchedulingTab from '@/features/scheduling/components/SchedulingTab';
 import {
   Users,
   UserPlus,
@@ -145,32 +146,7 @@ export default function StaffCommandCenter() {
       )}
 
       {/* Scheduling Tab */}
-      {activeTab === 'scheduling' && (
-        <div className="space-y-6">
-          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
-            <div className="flex items-center justify-between mb-6">
-              <div className="flex items-center gap-3">
-                <Calendar className="w-6 h-6 text-indigo-500" />
-                <h3 className="text-xl font-bold text-gray-900 dark:text-white">
-                  Staff Scheduling
-                </h3>
-              </div>
-              <button className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors">
-                <Calendar className="w-5 h-5" />
-                Create Schedule
-              </button>
-            </div>
-
-            <div className="text-center py-12">
-              <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
-              <p className="text-gray-500 dark:text-gray-400">Scheduling features coming soon</p>
-              <p className="text-sm text-gray-400 dark:text-gray-500 mt-2">
-                Manage shifts, time-off requests, and work schedules
-              </p>
-            </div>
-          </div>
-        </div>
-      )}
+      {activeTab === 'scheduling' && <SchedulingTab />}
 
       {/* Reports Tab */}
       {activeTab === 'reports' && (
@@ -8,6 +8,12 @@ import { executiveAPI } from '@/services/executiveAPI';
 import PageHeader from '@/components/UI/PageHeader';
 import StatCard from '@/components/UI/StatCard';
 import DateRangePicker from '@/components/UI/DateRangePicker';
+import LaborEfficiencyPanel from '@/components/Labor/LaborEfficiencyPanel';
+import StaffingRecommendations from '@/components/Labor/StaffingRecommendations';
+import ScoringWeightsModal from '@/components/Performance/ScoringWeightsModal';
+import EmployeeReviewModal from '@/components/Performance/EmployeeReviewModal';
+import { performanceScoringAPI, SCORE_COMPONENTS } from '@/services/performanceScoring';
+import { formatAmount } from '@/utils/currency';
 import {
   Users,
   TrendingUp,
@@ -21,8 +27,12 @@ import {
   UserCheck,
   UserMinus,
   AlertCircle,
-  RefreshCw
+  RefreshCw,
+  Sliders,
+  Save,
+  MessageSquare
 } from 'lucide-react';
+import { getBusinessDayRange } from '@/utils/businessDay';
 
 export default function StaffPerformanceHub() {
   const { userProfile } = useAuth();
@@ -33,17 +43,14 @@ export default function StaffPerformanceHub() {
   const [refreshing, setRefreshing] = useState(false);
   const [employeePerformance, setEmployeePerformance] = useState([]);
   const [performanceStats, setPerformanceStats] = useState(null);
+  const [weights, setWeights] = useState(null);
+  const [showWeights, setShowWeights] = useState(false);
+  const [reviewEmployee, setReviewEmployee] = useState(null);
+  const [recording, setRecording] = useState(false);
 
   // Date range - default to last 30 days
-  const [dateRange, setDateRange] = useState(() => {
-    const end = new Date();
-    const start = new Date();
-    start.setDate(start.getDate() - 30);
-    return {
-      startDate: start.toISOString().split('T')[0],
-      endDate: end.toISOString().split('T')[0]
-    };
-  });
+  const [dateRange, setDateRange] = useState(() => getBusinessDayRange(30));
+  const days = Math.ceil((new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (1000 * 60 * 60 * 24));
 
   // Fetch employee performance data
   const fetchPerformanceData = async (showLoader = true) => {
@@ -51,8 +58,6 @@ export default function StaffPerformanceHub() {
       if (showLoader) setLoading(true);
       else setRefreshing(true);
 
-      const days = Math.ceil((new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (1000 * 60 * 60 * 24));
-
       const data = await executiveAPI.getEmployeePerformance(days);
       setEmployeePerformance(data);
 
@@ -80,36 +85,80 @@ export default function StaffPerformanceHub() {
     }
   };
 
-  // Calculate performance statistics
+  // Calculate performance statistics (unscored employees count as staff only)
   const calculatePerformanceStats = (data) => {
-    if (!data || data.length === 0) {
+    const scored = (data || []).filter(emp => emp.performance !== null);
+    const rated = (data || []).filter(emp => emp.rating !== null);
+
+    if (scored.length === 0) {
       return {
-        totalEmployees: 0,
+        totalEmployees: data?.length || 0,
         avgPerformance: 0,
         topPerformers: 0,
         needsImprovement: 0,
         totalSales: 0,
-        avgRating: 0
+        avgRating: '—'
       };
     }
 
-    const totalEmployees = data.length;
-    const avgPerformance = data.reduce((sum, emp) => sum + emp.performance, 0) / totalEmployees;
-    const topPerformers = data.filter(emp => emp.performance >= 90).length;
-    const needsImprovement = data.filter(emp => emp.performance < 60).length;
-    const totalSales = data.reduce((sum, emp) => sum + emp.sales, 0);
-    const avgRating = data.reduce((sum, emp) => sum + parseFloat(emp.rating), 0) / totalEmployees;
-
     return {
-      totalEmployees,
-      avgPerformance: Math.round(avgPerformance),
-      topPerformers,
-      needsImprovement,
-      totalSales,
-      avgRating: avgRating.toFixed(1)
+      totalEmployees: data.length,
+      avgPerformance: Math.round(scored.reduce((sum, emp) => sum + emp.performance, 0) / scored.length),
+      topPerformers: scored.filter(emp => emp.performance >= 90).length,
+      needsImprovement: scored.filter(emp => emp.performance < 60).length,
+      totalSales: data.reduce((sum, emp) => sum + emp.sales, 0),
+      avgRating: rated.length > 0
+        ? (rated.reduce((sum, emp) => sum + emp.rating, 0) / rated.length).toFixed(1)
+        : '—'
     };
   };
 
+  const handleOpenWeights = async () => {
+    try {
+      setWeights(await performanceScoringAPI.getWeights());
+      setShowWeights(true);
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message, type: 'error' });
+    }
+  };
+
+  const handleSaveWeights = async (draft) => {
+    try {
+      setWeights(await performanceScoringAPI.saveWeights(draft));
+      setShowWeights(false);
+      fetchPerformanceData(false);
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message, type: 'error' });
+    }
+  };
+
+  const handleSaveReview = async (review) => {
+    try {
+      await performanceScoringAPI.createReview(review);
+      setReviewEmployee(null);
+      fetchPerformanceData(false);
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message, type: 'error' });
+    }
+  };
+
+  // Store this period's scores in the history
+  const handleRecordScores = async () => {
+    try {
+      setRecording(true);
+      const recorded = await performanceScoringAPI.recordScores(dateRange);
+      addNotification({
+        title: 'Scores recorded',
+        message: `${recorded} employee score(s) saved for ${dateRange.startDate} → ${dateRange.endDate}`,
+        type: 'success'
+      });
+    } catch (error) {
+      addNotification({ title: 'Error', message: error.message, type: 'error' });
+    } finally {
+      setRecording(false);
+    }
+  };
+
   useEffect(() => {
     fetchPerformanceData();
   }, [dateRange]);
@@ -155,6 +204,22 @@ export default function StaffPerformanceHub() {
                 endDate={dateRange.endDate}
                 onDateChange={handleDateRangeChange}
               />
+              <button
+                onClick={handleOpenWeights}
+                className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 text-white rounded-lg transition-all duration-200 font-semibold"
+              >
+                <Sliders className="w-5 h-5" />
+                <span>Weights</span>
+              </button>
+              <button
+                onClick={handleRecordScores}
+                disabled={recording || loading}
+                className="flex items-center gap-2 px-4 py-2 bg-white/20 hover:bg-white/30 text-white rounded-lg transition-all duration-200 disabled:opacity-50 font-semibold"
+                title="Save this period's scores to the history"
+              >
+                <Save className="w-5 h-5" />
+                <span>Record Scores</span>
+              </button>
               <button
                 onClick={handleRefresh}
                 disabled={refreshing}
@@ -207,6 +272,11 @@ export default function StaffPerformanceHub() {
         </div>
       )}
 
+      {/* Labor Efficiency */}
+      <LaborEfficiencyPanel days={days} />
+
+      <StaffingRecommendations />
+
       {/* Employee Performance Table */}
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-6">
         <div className="flex items-center gap-3 mb-6">
@@ -234,16 +304,23 @@ export default function StaffPerformanceHub() {
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Branch</th>
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Role</th>
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Performance</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Breakdown</th>
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Sales</th>
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Rating</th>
                   <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300">Status</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700 dark:text-gray-300"></th>
                 </tr>
               </thead>
               <tbody>
                 {employeePerformance.map((employee, index) => {
-                  const badge = getPerformanceBadge(employee.performance);
+                  const badge = employee.performance === null
+                    ? { text: 'Not scored', color: 'bg-gray-400' }
+                    : getPerformanceBadge(employee.performance);
+                  const trend = employee.performance !== null && employee.previousScore !== null
+                    ? employee.performance - employee.previousScore
+                    : null;
                   return (
-                    <tr key={index} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                    <tr key={employee.id || index} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50">
                       <td className="py-3 px-4">
                         <div className="flex items-center gap-3">
                           <div className="w-10 h-10 rounded-full bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center text-white font-semibold text-sm">
@@ -263,21 +340,42 @@ export default function StaffPerformanceHub() {
                                 employee.performance >= 75 ? 'bg-blue-500' :
                                 employee.performance >= 60 ? 'bg-yellow-500' : 'bg-red-500'
                               }`}
-                              style={{ width: `${employee.performance}%` }}
+                              style={{ width: `${employee.performance || 0}%` }}
                             />
                           </div>
                           <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 w-12">
-                            {employee.performance}%
+                            {employee.performance === null ? '—' : `${employee.performance}%`}
                           </span>
+                          {trend !== null && trend !== 0 && (
+                            trend > 0
+                              ? <TrendingUp className="w-4 h-4 text-green-500" title={`+${trend} vs last recorded`} />
+                              : <TrendingDown className="w-4 h-4 text-red-500" title={`${trend} vs last recorded`} />
+                          )}
+                        </div>
+                      </td>
+                      <td className="py-3 px-4">
+                        <div className="flex flex-wrap gap-1 max-w-[260px]">
+                          {SCORE_COMPONENTS.filter(({ key }) => employee.components[key] !== null).map(({ key, label }) => (
+                            <span
+                              key={key}
+                              className="px-2 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                              title={`${label} (weight ${employee.weights[key]})`}
+                            >
+                              {label}: {Math.round(employee.components[key])}
+                            </span>
+                          ))}
                         </div>
                       </td>
                       <td className="py-3 px-4 font-semibold text-gray-900 dark:text-white">
-                        SAR {employee.sales.toLocaleString()}
+                        {formatAmount(employee.sales, employee.currency)}
+                        <div className="text-xs font-normal text-gray-500 dark:text-gray-400">
+                          {employee.metrics.orderCount} order(s)
+                        </div>
                       </td>
                       <td className="py-3 px-4">
                         <div className="flex items-center gap-1">
                           <Star className="w-4 h-4 text-yellow-500 fill-current" />
-                          <span className="font-semibold text-gray-900 dark:text-white">{employee.rating}</span>
+                          <span className="font-semibold text-gray-900 dark:text-white">{employee.rating ?? '—'}</span>
                         </div>
                       </td>
                       <td className="py-3 px-4">
@@ -285,6 +383,15 @@ export default function StaffPerformanceHub() {
                           {badge.text}
                         </span>
                       </td>
+                      <td className="py-3 px-4">
+                        <button
+                          onClick={() => setReviewEmployee(employee)}
+                          className="p-2 text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg"
+                          title="Add review"
+                        >
+                          <MessageSquare className="w-4 h-4" />
+                        </button>
+                      </td>
                     </tr>
                   );
                 })}
@@ -293,6 +400,20 @@ export default function StaffPerformanceHub() {
           </div>
         )}
       </div>
+
+      <ScoringWeightsModal
+        isOpen={showWeights}
+        weights={weights}
+        onSave={handleSaveWeights}
+        onClose={() => setShowWeights(false)}
+      />
+
+      <EmployeeReviewModal
+        isOpen={!!reviewEmployee}
+        employee={reviewEmployee}
+        onSave={handleSaveReview}
+        onClose={() => setReviewEmployee(null)}
+      />
     </div>
   );
 }
@@ -169,7 +169,7 @@ function prepareDataForAIAnalysis(metrics) {
   if (metrics.recentOrders && Array.isArray(metrics.recentOrders)) {
     data.recentOrderCount = metrics.recentOrders.length;
     data.recentOrdersValue = metrics.recentOrders.reduce(
-      (sum, order) => sum + (order.total || 0),
+      (sum, order) => sum + (order.total || 0) - (order.refunded_amount || 0),
       0
     );
   }
@@ -0,0 +1,352 @@
+/**
+ * Advisor Tools
+ * Read-only data lookups the AI Business Advisor can call instead of working
+ * from a fixed metrics bundle. Every tool runs in the browser with the
+ * user's own data access and only for the branches they may access; a
+ * request for any other branch is refused. Tools that only exist brand-wide
+ * are not offered to users limited to some branches.
+ */
+
+import { analyticsAPI, branchesAPI } from './api';
+import { executiveAPI } from './executiveAPI';
+import { aiIntelligenceAPI } from './aiIntelligence';
+import { getBusinessDate, shiftDate } from '@/utils/businessDay';
+
+// Longest period a single lookup covers (two years, for year-on-year questions)
+const MAX_PERIOD_DAYS = 731;
+// Most series rows sent back to the model
+const MAX_SERIES_ROWS = 120;
+// History the forecasts and anomaly checks are built from
+const FORECAST_HISTORY_DAYS = 90;
+// Most branches listed in the system prompt; list_branches has the rest
+const PROMPT_BRANCHES = 15;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const pick = (object, keys) => Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+
+function dateArg(value, name) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`${name} must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+function intArg(value, { min, max, fallback }) {
+  const number = value === undefined || value === null || !Number.isFinite(Number(value))
+    ? fallback
+    : Math.round(Number(value));
+  return Math.min(max, Math.max(min, number));
+}
+
+const daysBetween = (startDate, endDate) => Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1;
+
+// Branch ids a lookup covers: the ones asked for, else the conversation's
+// branch, else every accessible branch (null = the whole brand)
+function branchScope(requested, scope) {
+  if (Array.isArray(requested) && requested.length > 0) {
+    const unknown = requested.filter(id => !scope.branches.some(branch => branch.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Not a branch the user can access: ${unknown.join(', ')}. Use list_branches for the ids.`);
+    }
+    return requested;
+  }
+  if (scope.branchId) return [scope.branchId];
+  if (!scope.restricted) return null;
+  if (scope.branches.length === 0) throw new Error('The user has no branches they can access.');
+  return scope.branches.map(branch => branch.id);
+}
+
+function branchNames(ids, scope) {
+  if (!ids) return scope.restricted ? 'your branches' : 'all branches';
+  return ids.map(id => scope.branches.find(branch => branch.id === id)?.name || id).join(', ');
+}
+
+function salesTotals(rows) {
+  const revenue = rows.reduce((total, row) => total + (Number(row.revenue) || 0), 0);
+  const orders = rows.reduce((total, row) => total + (Number(row.orders) || 0), 0);
+  return {
+    revenue: roundMoney(revenue),
+    orders,
+    averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+    currency: rows.find(row => row.currency)?.currency || null,
+    missingRate: rows.some(row => row.missingRate)
+  };
+}
+
+// Daily rows of the last FORECAST_HISTORY_DAYS days
+async function recentDailySales(branchIds) {
+  const endDate = getBusinessDate();
+  const startDate = shiftDate(endDate, -(FORECAST_HISTORY_DAYS - 1));
+  const rows = await analyticsAPI.getSalesSeries({ startDate, endDate, granularity: 'day', branchIds });
+  return { startDate, endDate, rows };
+}
+
+function summarizePrediction(prediction) {
+  if (!prediction) return null;
+  return {
+    trend: prediction.trend,
+    changePercent: prediction.changePercent,
+    currentDailyAverage: prediction.currentValue,
+    predictedDailyAverage: prediction.predictedValue,
+    predictedTotal: roundMoney(prediction.predictions.reduce((total, point) => total + point.value, 0)),
+    confidence: prediction.confidence
+  };
+}
+
+const BRANCH_IDS = {
+  type: 'array',
+  items: { type: 'string' },
+  description: "Branch ids from list_branches. Defaults to the conversation's branch, or all branches the user can access."
+};
+
+const DAYS = (fallback, max) => ({
+  type: 'integer',
+  description: `Number of days up to today (default ${fallback}, at most ${max})`
+});
+
+const ADVISOR_TOOLS = [
+  {
+    name: 'list_branches',
+    label: 'Branches',
+    description: 'List the branches the user can access with their id, code, city, status and currency.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, scope) {
+      return scope.branches.map(branch => pick(branch, ['id', 'name', 'code', 'city', 'status', 'currency']));
+    }
+  },
+  {
+    name: 'get_sales',
+    label: 'Sales',
+    description: 'Revenue, orders and average order value between two business dates (inclusive): totals plus a day, week or month series. '
+      + 'Call once per period to compare periods, e.g. last Ramadan against this year.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: { type: 'string', description: 'First day, YYYY-MM-DD' },
+        end_date: { type: 'string', description: 'Last day, YYYY-MM-DD' },
+        granularity: { type: 'string', enum: ['day', 'week', 'month'], description: 'Series buckets (default: by period length)' },
+        branch_ids: BRANCH_IDS,
+        by_branch: { type: 'boolean', description: 'Split the series per branch' }
+      },
+      required: ['start_date', 'end_date']
+    },
+    describe: (args, scope) => `${args.start_date} → ${args.end_date} · ${branchNames(args.branch_ids?.length ? args.branch_ids : scope.branchId && [scope.branchId], scope)}`,
+    async run(args, scope) {
+      const startDate = dateArg(args.start_date, 'start_date');
+      const endDate = dateArg(args.end_date, 'end_date');
+      const days = daysBetween(startDate, endDate);
+      if (days < 1) throw new Error('end_date is before start_date');
+      if (days > MAX_PERIOD_DAYS) throw new Error(`A period can cover at most ${MAX_PERIOD_DAYS} days`);
+
+      let granularity = args.granularity || (days <= 62 ? 'day' : days <= 366 ? 'week' : 'month');
+      if (granularity === 'day' && days > 92) granularity = 'week';
+
+      const branchIds = branchScope(args.branch_ids, scope);
+      const rows = await analyticsAPI.getSalesSeries({
+        startDate,
+        endDate,
+        granularity,
+        branchIds,
+        byBranch: Boolean(args.by_branch)
+      });
+
+      return {
+        startDate,
+        endDate,
+        branches: branchNames(branchIds, scope),
+        granularity,
+        totals: salesTotals(rows),
+        series: rows.slice(-MAX_SERIES_ROWS).map(row => pick(row, [
+          'date', ...(args.by_branch ? ['branchId'] : []), 'revenue', 'orders', 'averageOrderValue'
+        ])),
+        truncated: rows.length > MAX_SERIES_ROWS
+      };
+    }
+  },
+  {
+    name: 'compare_branches',
+    label: 'Branch comparison',
+    description: 'Revenue, orders, costs, profit and profit margin per branch over the last N days, most profitable first.',
+    parameters: { type: 'object', properties: { days: DAYS(30, 365) } },
+    describe: (args) => `last ${intArg(args.days, { min: 1, max: 365, fallback: 30 })} days`,
+    async run(args, scope) {
+      const days = intArg(args.days, { min: 1, max: 365, fallback: 30 });
+      const rows = await executiveAPI.getProfitabilityMap(days);
+      const permitted = new Set(scope.branches.map(branch => branch.id));
+      return rows
+        .filter(row => permitted.has(row.id))
+        .map(row => pick(row, ['id', 'name', 'city', 'revenue', 'orders', 'averageOrderValue', 'costs', 'profit', 'profitMargin', 'currency', 'estimated']));
+    }
+  },
+  {
+    name: 'get_top_products',
+    label: 'Top products',
+    description: 'Best-selling products by revenue over the last N days, for one branch or all of them.',
+    parameters: {
+      type: 'object',
+      properties: {
+        days: DAYS(30, 365),
+        branch_id: { type: 'string', description: 'Branch id from list_branches (default: the conversation\'s branch, or all)' },
+        limit: { type: 'integer', description: 'Number of products (default 10, at most 25)' }
+      }
+    },
+    describe: (args, scope) => `last ${intArg(args.days, { min: 1, max: 365, fallback: 30 })} days · ${branchNames(args.branch_id ? [args.branch_id] : scope.branchId && [scope.branchId], scope)}`,
+    async run(args, scope) {
+      const days = intArg(args.days, { min: 1, max: 365, fallback: 30 });
+      const limit = intArg(args.limit, { min: 1, max: 25, fallback: 10 });
+      const branchIds = branchScope(args.branch_id ? [args.branch_id] : null, scope);
+      if (branchIds && branchIds.length > 1) {
+        throw new Error('The user can only see some branches; pass one branch_id.');
+      }
+      return analyticsAPI.getTopPerformers(branchIds ? branchIds[0] : null, days, limit);
+    }
+  },
+  {
+    name: 'get_profit_overview',
+    label: 'Profit overview',
+    brandWide: true,
+    description: 'Brand-wide revenue, costs, net profit and margin over the last N days with the change against the N days before, plus branch and team counts.',
+    parameters: { type: 'object', properties: { days: DAYS(30, 365) } },
+    describe: (args) => `last ${intArg(args.days, { min: 1, max: 365, fallback: 30 })} days`,
+    async run(args) {
+      return executiveAPI.getExecutiveOverview(intArg(args.days, { min: 1, max: 365, fallback: 30 }));
+    }
+  },
+  {
+    name: 'get_labor_efficiency',
+    label: 'Labor efficiency',
+    description: "Labor cost %, sales per labor hour and labor hours per branch over the last N days, against the brand's labor cost target.",
+    parameters: { type: 'object', properties: { days: DAYS(30, 365) } },
+    describe: (args) => `last ${intArg(args.days, { min: 1, max: 365, fallback: 30 })} days`,
+    async run(args, scope) {
+      const summary = await executiveAPI.getLaborEfficiency(intArg(args.days, { min: 1, max: 365, fallback: 30 }));
+      const permitted = new Set(scope.branches.map(branch => branch.id));
+      return {
+        period: summary.period,
+        currency: summary.currency,
+        targetLaborCostPercent: summary.targetLaborCostPercent,
+        // Totals include branches a limited user cannot see
+        ...(scope.restricted ? {} : { totals: summary.totals }),
+        branches: summary.branches.filter(branch => permitted.has(branch.id))
+      };
+    }
+  },
+  {
+    name: 'forecast_sales',
+    label: 'Sales forecast',
+    description: `Forecast daily revenue and orders for the next N days from the last ${FORECAST_HISTORY_DAYS} days of sales.`,
+    parameters: {
+      type: 'object',
+      properties: {
+        days_ahead: { type: 'integer', description: 'Days to forecast (default 30, at most 90)' },
+        branch_ids: BRANCH_IDS
+      }
+    },
+    describe: (args, scope) => `next ${intArg(args.days_ahead, { min: 1, max: 90, fallback: 30 })} days · ${branchNames(args.branch_ids?.length ? args.branch_ids : scope.branchId && [scope.branchId], scope)}`,
+    async run(args, scope) {
+      const daysAhead = intArg(args.days_ahead, { min: 1, max: 90, fallback: 30 });
+      const { startDate, endDate, rows } = await recentDailySales(branchScope(args.branch_ids, scope));
+      const predictions = await aiIntelligenceAPI.getPredictions({ revenue: rows, orders: rows }, daysAhead);
+      return {
+        basedOn: { startDate, endDate, days: rows.length },
+        daysAhead,
+        revenue: summarizePrediction(predictions.revenue),
+        orders: summarizePrediction(predictions.performance)
+      };
+    }
+  },
+  {
+    name: 'detect_anomalies',
+    label: 'Anomalies',
+    description: `Unusual days (spikes and drops) in revenue and orders over the last ${FORECAST_HISTORY_DAYS} days, most severe first.`,
+    parameters: { type: 'object', properties: { branch_ids: BRANCH_IDS } },
+    describe: (args, scope) => branchNames(args.branch_ids?.length ? args.branch_ids : scope.branchId && [scope.branchId], scope),
+    async run(args, scope) {
+      const { startDate, endDate, rows } = await recentDailySales(branchScope(args.branch_ids, scope));
+      const result = await aiIntelligenceAPI.detectAnomalies({ performance: rows });
+      return {
+        period: { startDate, endDate },
+        summary: result.summary,
+        anomalies: result.anomalies.slice(0, 10).map(anomaly => pick(anomaly, [
+          'date', 'metric', 'type', 'severity', 'value', 'expected', 'deviationPercent', 'description'
+        ]))
+      };
+    }
+  }
+];
+
+/**
+ * What the advisor may look at: the user's accessible branches and the
+ * branch of the conversation, if that is one of them
+ * @param {Object} options - branchId of the conversation (null = all branches)
+ * @returns {Promise<{branches: Array, restricted: boolean, branchId: string|null}>}
+ */
+export async function getAdvisorScope({ branchId = null } = {}) {
+  const { branches, restricted } = await branchesAPI.getPermitted();
+  return {
+    branches,
+    restricted,
+    branchId: branches.some(branch => branch.id === branchId) ? branchId : null
+  };
+}
+
+/**
+ * Branches worth naming in the system prompt for a question: every branch
+ * while there are few, else the conversation's branch and those the
+ * question mentions first
+ * @param {Object} scope - From getAdvisorScope
+ * @param {string} question - The user's latest message
+ * @returns {{branches: Array, more: number}} more counts the branches left out
+ */
+export function relevantBranches(scope, question = '', limit = PROMPT_BRANCHES) {
+  if (scope.branches.length <= limit) return { branches: scope.branches, more: 0 };
+
+  const text = question.toLowerCase();
+  const score = (branch) => (branch.id === scope.branchId ? 2 : 0)
+    + ([branch.name, branch.city].some(word => word && text.includes(String(word).toLowerCase())) ? 1 : 0);
+  const branches = scope.branches
+    .map((branch, index) => ({ branch, index, score: score(branch) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ branch }) => branch);
+  return { branches, more: scope.branches.length - branches.length };
+}
+
+/**
+ * Tool definitions for the model ({ name, description, parameters })
+ */
+export function advisorToolDefinitions(scope) {
+  return ADVISOR_TOOLS
+    .filter(tool => !(tool.brandWide && scope.restricted))
+    .map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Run a tool call the model made
+ * @param {Object} call - { id, name, arguments }
+ * @param {Object} scope - From getAdvisorScope
+ * @returns {Promise<*>} The tool's result; throws when the call is refused or fails
+ */
+export async function runAdvisorTool(call, scope) {
+  const tool = ADVISOR_TOOLS.find(candidate => candidate.name === call.name);
+  if (!tool || (tool.brandWide && scope.restricted)) {
+    throw new Error(`Unknown tool: ${call.name}`);
+  }
+  return tool.run(call.arguments || {}, scope);
+}
+
+/**
+ * Short label for a tool call, e.g. "Sales · 2025-03-01 → 2025-03-30 · Downtown"
+ */
+export function describeToolCall(call, scope) {
+  const tool = ADVISOR_TOOLS.find(candidate => candidate.name === call.name);
+  if (!tool) return call.name;
+  try {
+    return tool.describe ? `${tool.label} · ${tool.describe(call.arguments || {}, scope)}` : tool.label;
+  } catch {
+    return tool.label;
+  }
+}
@@ -1,60 +1,182 @@
 /**
  * AI Chat Client Service
- * Handles communication with OpenAI API for chat functionality
+ * Sends advisor chat requests through the ai-chat Edge Function, which holds
+ * the provider keys, runs the brand's chosen model provider and enforces the
+ * plan's AI access and monthly allowance. With VITE_AI_PROVIDER=mock the
+ * deterministic mock provider answers in the browser instead, for offline
+ * demos without Supabase. Tool calls the model makes are run here, with the
+ * user's own data access, and their results sent back in the next round.
+ * Requests stay inside a token budget: tool results are trimmed to fit and
+ * older turns are folded into a rolling summary (see llm/context.js).
  */
 
+import { supabase } from '@/lib/supabase';
 import { logger } from '@/lib/logger';
+import {
+  getLlmProvider,
+  readServerSentEvents,
+  DEFAULT_LLM_PROVIDER,
+  CONTEXT_BUDGET,
+  estimateMessageTokens,
+  fitToolResult,
+  summaryMessages,
+  DEFAULT_TOKEN_COUNTING
+} from '@/services/llm';
+
+const AI_PROXY_URL = `${import.meta.env.VITE_SUPABASE_URL || ''}/functions/v1/ai-chat`;
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || '';
+const OFFLINE_MOCK = import.meta.env.VITE_AI_PROVIDER === 'mock';
+
+// Model rounds that may call tools before the advisor has to answer
+const MAX_TOOL_ROUNDS = 4;
+
+const mockProvider = getLlmProvider('mock');
+const mockConfig = () => mockProvider.configure(name => import.meta.env[`VITE_${name}`]);
 
-// OpenAI API Configuration
-const OPENAI_API_KEY = import.meta.env.VITE_OPENAI_API_KEY || '';
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
+/**
+ * POST to the AI proxy as the signed-in user. Proxy errors are thrown with
+ * its message, plus `code` and `status` (e.g. FEATURE_NOT_AVAILABLE / 403,
+ * USAGE_LIMIT_REACHED / 429).
+ */
+async function requestProxy(messages, options, stream) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    throw new Error('Sign in to use the AI advisor.');
+  }
+
+  const response = await fetch(AI_PROXY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      'apikey': SUPABASE_ANON_KEY,
+    },
+    body: JSON.stringify({
+      messages,
+      tools: options.tools,
+      toolChoice: options.toolChoice,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      stream,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `AI proxy error: ${response.status} ${response.statusText}`);
+    error.code = errorData.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+// Normalized provider chunks, from the proxy's event stream or the mock
+async function* streamChunks(messages, options) {
+  if (OFFLINE_MOCK) {
+    yield* mockProvider.stream(mockConfig(), {
+      messages,
+      tools: options.tools,
+      toolChoice: options.toolChoice,
+      maxTokens: options.maxTokens,
+    });
+    return;
+  }
+
+  const response = await requestProxy(messages, options, true);
+  for await (const { data } of readServerSentEvents(response.body)) {
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch (e) {
+      logger.warn('Failed to parse streaming response', e);
+    }
+  }
+}
+
+// One model round: its text, the tool calls it asked for and its usage
+async function requestRound(messages, options, stream, onChunk) {
+  if (stream) {
+    const round = { content: '', toolCalls: [], usage: null, finishReason: null };
+    for await (const chunk of streamChunks(messages, options)) {
+      if (chunk.type === 'text') {
+        round.content += chunk.text;
+        onChunk(chunk.text);
+      } else if (chunk.type === 'tool_call') {
+        round.toolCalls.push(chunk.toolCall);
+      } else if (chunk.type === 'usage') {
+        round.usage = chunk.usage;
+      } else if (chunk.type === 'done') {
+        round.finishReason = chunk.finishReason;
+      } else if (chunk.type === 'error') {
+        throw new Error(chunk.error);
+      }
+    }
+    return round;
+  }
+
+  const data = OFFLINE_MOCK
+    ? await mockProvider.complete(mockConfig(), {
+      messages,
+      tools: options.tools,
+      toolChoice: options.toolChoice,
+      maxTokens: options.maxTokens,
+    })
+    : await (await requestProxy(messages, options, false)).json();
+  return {
+    content: data.content || '',
+    toolCalls: data.toolCalls || [],
+    usage: data.usage || null,
+    finishReason: data.finishReason || null,
+  };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return usage;
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    totalTokens: total.totalTokens + usage.totalTokens,
+    estimated: total.estimated || usage.estimated,
+  };
+}
 
 /**
  * AI Chat Client
  */
 export const aiChatClient = {
   /**
-   * Send a message to OpenAI and get a response
+   * The provider and model a brand's advisor requests run on, for budgets
+   * and cost estimates
+   * @param {Object} brand - { ai_provider, ai_model }
+   * @returns {{provider: Object, model: string|null}}
+   */
+  providerFor(brand) {
+    if (OFFLINE_MOCK) {
+      return { provider: mockProvider, model: mockProvider.defaultModel };
+    }
+    const provider = getLlmProvider(brand?.ai_provider || DEFAULT_LLM_PROVIDER);
+    return { provider, model: brand?.ai_model || provider.defaultModel };
+  },
+
+  /**
+   * Send a message to the AI advisor and get a response
    * @param {Array} messages - Array of message objects with role and content
-   * @param {Object} options - Additional options
+   * @param {Object} options - { temperature, maxTokens }
    * @returns {Promise<string>} - AI response
    */
   async sendMessage(messages, options = {}) {
     try {
-      if (!OPENAI_API_KEY) {
-        logger.warn('OpenAI API key not configured');
-        return 'OpenAI API key is not configured. Please add VITE_OPENAI_API_KEY to your environment variables.';
-      }
+      logger.info('Sending message to AI advisor', { messageCount: messages.length, offline: OFFLINE_MOCK });
 
-      logger.info('Sending message to OpenAI', { messageCount: messages.length });
-
-      const response = await fetch(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages: messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 1000,
-          stream: false, // For now, we'll use non-streaming responses
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.error?.message || `OpenAI API error: ${response.status} ${response.statusText}`
-        );
-      }
+      const data = OFFLINE_MOCK
+        ? await mockProvider.complete(mockConfig(), { messages, maxTokens: options.maxTokens })
+        : await (await requestProxy(messages, options, false)).json();
+      const aiMessage = data.content || 'No response from AI';
 
-      const data = await response.json();
-      const aiMessage = data.choices?.[0]?.message?.content || 'No response from AI';
-
-      logger.info('Received response from OpenAI');
+      logger.info('Received response from AI advisor', { usage: data.usage });
       return aiMessage;
     } catch (error) {
       logger.error('AI chat request failed', error);
@@ -65,85 +187,133 @@ export const aiChatClient = {
   /**
    * Send a message with streaming response
    * @param {Array} messages - Array of message objects
-   * @param {Function} onChunk - Callback for each chunk of response
-   * @param {Object} options - Additional options
+   * @param {Function} onChunk - Callback for each chunk of response text
+   * @param {Object} options - { temperature, maxTokens }
+   * @returns {Promise<{usage: Object|null, finishReason: string|null}>}
    */
   async sendMessageStreaming(messages, onChunk, options = {}) {
     try {
-      if (!OPENAI_API_KEY) {
-        logger.warn('OpenAI API key not configured');
-        onChunk('OpenAI API key is not configured. Please add VITE_OPENAI_API_KEY to your environment variables.');
-        return;
-      }
+      logger.info('Sending streaming message to AI advisor', { messageCount: messages.length, offline: OFFLINE_MOCK });
 
-      logger.info('Sending streaming message to OpenAI', { messageCount: messages.length });
-
-      const response = await fetch(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages: messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 1000,
-          stream: true,
-        }),
-      });
+      const { usage, finishReason } = await requestRound(messages, options, true, onChunk);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.error?.message || `OpenAI API error: ${response.status} ${response.statusText}`
-        );
-      }
+      logger.info('Streaming response completed', { usage });
+      return { usage, finishReason };
+    } catch (error) {
+      logger.error('AI streaming request failed', error);
+      throw error;
+    }
+  },
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder('utf-8');
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          const trimmedLine = line.trim();
-          if (!trimmedLine || trimmedLine === 'data: [DONE]') continue;
-
-          if (trimmedLine.startsWith('data: ')) {
-            try {
-              const jsonData = JSON.parse(trimmedLine.slice(6));
-              const content = jsonData.choices?.[0]?.delta?.content;
-              if (content) {
-                onChunk(content);
-              }
-            } catch (e) {
-              logger.warn('Failed to parse streaming response', e);
-            }
+  /**
+   * Send messages with tools the advisor can call. Each round's tool calls
+   * are run with runTool and their results sent back, until the model
+   * answers; after MAX_TOOL_ROUNDS rounds, or once the conversation has
+   * used maxInputTokens, it has to answer without tools. Each result is
+   * trimmed to toolResultTokens.
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - { tools, runTool(call), onToolCall(call), onChunk(text), stream,
+   *   counting, maxInputTokens, toolResultTokens, temperature, maxTokens }
+   *   where onToolCall gets each call with status 'running', then 'done' or 'error'
+   * @returns {Promise<{content: string, usage: Object|null, finishReason: string|null, requests: number, contextTokens: number}>}
+   *   usage is summed over every round, requests counts the rounds and
+   *   contextTokens is what the last round sent
+   */
+  async sendMessageWithTools(messages, {
+    tools,
+    runTool,
+    onToolCall = () => {},
+    onChunk = () => {},
+    stream = false,
+    counting = DEFAULT_TOKEN_COUNTING,
+    maxInputTokens = CONTEXT_BUDGET.maxInputTokens,
+    toolResultTokens = CONTEXT_BUDGET.toolResultTokens,
+    ...options
+  }) {
+    try {
+      logger.info('Sending message to AI advisor with tools', { messageCount: messages.length, tools: tools.length, offline: OFFLINE_MOCK });
+
+      const conversation = [...messages];
+      let content = '';
+      let usage = null;
+
+      for (let round = 0; ; round++) {
+        const contextTokens = estimateMessageTokens(conversation, counting);
+        const toolChoice = round < MAX_TOOL_ROUNDS && contextTokens < maxInputTokens ? 'auto' : 'none';
+        const result = await requestRound(conversation, { ...options, tools, toolChoice }, stream, onChunk);
+        content += result.content;
+        usage = addUsage(usage, result.usage);
+
+        if (result.toolCalls.length === 0 || toolChoice === 'none') {
+          logger.info('Received response from AI advisor', { rounds: round + 1, usage });
+          return {
+            content: content || 'No response from AI',
+            usage,
+            finishReason: result.finishReason,
+            requests: round + 1,
+            contextTokens: result.usage?.inputTokens || contextTokens,
+          };
+        }
+
+        // Text before a tool call ("Let me check...") stays part of the answer
+        if (result.content) {
+          content += '\n\n';
+          onChunk('\n\n');
+        }
+
+        conversation.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+        for (const call of result.toolCalls) {
+          onToolCall({ ...call, status: 'running' });
+          let output;
+          try {
+            output = await runTool(call);
+            onToolCall({ ...call, status: 'done' });
+          } catch (error) {
+            logger.warn(`AI advisor tool ${call.name} failed`, error);
+            output = { error: error.message };
+            onToolCall({ ...call, status: 'error', error: error.message });
           }
+          conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: fitToolResult(output, toolResultTokens, counting) });
         }
       }
+    } catch (error) {
+      logger.error('AI chat request with tools failed', error);
+      throw error;
+    }
+  },
 
-      logger.info('Streaming response completed');
+  /**
+   * Fold older turns into the conversation's rolling summary
+   * @param {Object} options - { summary, turns, counting }
+   *   where summary is the summary so far, if any
+   * @returns {Promise<{content: string, usage: Object|null}>}
+   */
+  async summarizeConversation({ summary = null, turns, counting = DEFAULT_TOKEN_COUNTING }) {
+    try {
+      logger.info('Summarizing AI advisor conversation', { turns: turns.length, offline: OFFLINE_MOCK });
+
+      const messages = summaryMessages({ summary, turns, counting });
+      const { content, usage } = await requestRound(
+        messages,
+        { temperature: 0.2, maxTokens: CONTEXT_BUDGET.summaryTokens },
+        false
+      );
+      return { content: content.trim(), usage };
     } catch (error) {
-      logger.error('AI streaming request failed', error);
+      logger.error('AI conversation summary failed', error);
       throw error;
     }
   },
 
   /**
    * Generate a system message with context
-   * @param {Object} context - Current page context
+   * @param {Object} context - Current page context: brand, branch, page, metrics,
+   *   with tools the accessible branches (moreBranches counts those left
+   *   out) and today's business date, and the summary of earlier turns
    * @returns {Object} - System message object
    */
   generateSystemMessage(context = {}) {
-    const { brand, branch, page, metrics } = context;
+    const { brand, branch, page, metrics, branches, moreBranches = 0, today, summary } = context;
 
     let systemPrompt = `You are NAVA Business Advisor, an AI-powered business consultant for restaurant owners and managers using the NAVA Ops platform.
 
@@ -175,17 +345,41 @@ When you don't have complete data:
 Current Context:`;
 
     if (brand) {
-      systemPrompt += `\n- Brand: ${brand.brand_name || 'Unknown'}`;
+      systemPrompt += `\n- Brand: ${brand.brand_name || brand.name || 'Unknown'}`;
     }
 
     if (branch) {
-      systemPrompt += `\n- Current Branch: ${branch.branch_name || 'Unknown'}`;
+      systemPrompt += `\n- Current Branch: ${branch.branch_name || branch.name || 'Unknown'}`;
     }
 
     if (page) {
       systemPrompt += `\n- Current Page: ${page}`;
     }
 
+    // With tools, the advisor looks data up itself for these branches
+    if (branches) {
+      systemPrompt += `\n\n=== LIVE DATA ===`;
+      systemPrompt += `\nToday is ${today}. You have read-only tools that look up live sales, profit, labor, forecast and anomaly data. Use them rather than guessing or asking for numbers they can give, and say which period and branches your figures cover.`;
+      systemPrompt += branch
+        ? `\nTools default to the current branch; pass branch ids to look at others.`
+        : `\nTools default to all branches below.`;
+      systemPrompt += `\nBranches the user can access:`;
+      branches.forEach((item) => {
+        systemPrompt += `\n- ${item.name} (id: ${item.id}${item.city ? `, ${item.city}` : ''})`;
+      });
+      if (branches.length === 0 && moreBranches === 0) {
+        systemPrompt += `\n- None`;
+      }
+      if (moreBranches > 0) {
+        systemPrompt += `\n- ...and ${moreBranches} more; use list_branches to find them`;
+      }
+    }
+
+    // Older turns are not sent, only this summary of them
+    if (summary) {
+      systemPrompt += `\n\n=== EARLIER IN THIS CONVERSATION ===\n${summary}`;
+    }
+
     // Format metrics in a structured, readable way
     if (metrics && !metrics.error) {
       systemPrompt += `\n\n=== BUSINESS DATA ===`;
@@ -3,6 +3,10 @@
 
 import { supabase } from '@/lib/supabase';
 import { logger } from '@/lib/logger';
+import { getBusinessDayRange, getDaySettings, registerBranchDaySettings, shiftDate } from '@/utils/businessDay';
+import { getReportingCurrency } from '@/utils/currency';
+import { filterExpenses } from '@/utils/costing';
+import { summarizeSalesRows } from '@/utils/salesStatistics';
 
 /**
  * API Error class for better error handling
@@ -58,7 +62,7 @@ export const brandAPI = {
       .single(),
     'Failed to fetch brand'
   );
-}
+},
 
 
   /**
@@ -116,7 +120,7 @@ export const brandAPI = {
         'Failed to check brand existence'
       );
       return count > 0;
-    } catch (error) {
+    } catch {
       return false;
     }
   }
@@ -137,7 +141,7 @@ export const branchesAPI = {
     brandId = brand.id;
   }
 
-  return apiRequest(
+  const branches = await apiRequest(
     () => supabase
       .from('branches')
       .select('*')
@@ -145,7 +149,27 @@ export const branchesAPI = {
       .order('created_at', { ascending: false }),
     'Failed to fetch branches'
   );
-}
+
+  // Remember each branch's timezone / day-close cutoff for date ranges
+  registerBranchDaySettings(branches || []);
+  return branches;
+},
+
+  /**
+   * Get the branches the current user may access: all of the brand's, or
+   * those their team membership lists (team_members.branch_ids)
+   * @returns {Promise<{branches: Array, restricted: boolean}>}
+   */
+  async getPermitted() {
+    const [branches, permittedIds] = await Promise.all([
+      this.getAll(),
+      apiRequest(() => supabase.rpc('current_branch_ids'), 'Failed to fetch branch access')
+    ]);
+
+    const permitted = new Set(permittedIds || []);
+    const allowed = (branches || []).filter(branch => permitted.has(branch.id));
+    return { branches: allowed, restricted: allowed.length < (branches || []).length };
+  },
 
 
 
@@ -248,6 +272,18 @@ export const branchesAPI = {
 // ORDERS API
 // ============================================================================
 
+// Reason codes accepted by order_refunds.reason_code
+export const REFUND_REASONS = {
+  customer_request: 'Customer request',
+  wrong_item: 'Wrong item',
+  quality_issue: 'Quality issue',
+  late_delivery: 'Late delivery',
+  pricing_error: 'Pricing error',
+  duplicate_charge: 'Duplicate charge',
+  staff_error: 'Staff error',
+  other: 'Other'
+};
+
 export const ordersAPI = {
   /**
    * Get all orders with optional filters
@@ -260,8 +296,8 @@ export const ordersAPI = {
       .order('order_time', { ascending: false });
 
     if (filters.branchId) query = query.eq('branch_id', filters.branchId);
-    if (filters.startDate) query = query.gte('order_date', filters.startDate);
-    if (filters.endDate) query = query.lte('order_date', filters.endDate);
+    if (filters.startDate) query = query.gte('business_date', filters.startDate);
+    if (filters.endDate) query = query.lte('business_date', filters.endDate);
     if (filters.status) query = query.eq('status', filters.status);
     if (filters.limit) query = query.limit(filters.limit);
 
@@ -311,6 +347,13 @@ export const ordersAPI = {
           .insert(orderItems),
         'Failed to create order items'
       );
+
+      // Stock is decremented by the order_items trigger; alert on anything it pushed below threshold
+      try {
+        await inventoryAPI.notifyLowStock(newOrder.branch_id, items);
+      } catch (error) {
+        logger.warn('Failed to check stock levels after order', error);
+      }
     }
 
     return newOrder;
@@ -344,33 +387,341 @@ export const ordersAPI = {
     );
   },
 
+  /**
+   * Request a refund of a completed order, in full or in part. Without items
+   * or an amount everything not refunded yet is returned; with items the
+   * amount defaults to their share of the line subtotals. The request waits
+   * for an admin or manager (see approveRefund) unless the current user is
+   * one, in which case it is approved at once.
+   * @param {string} id - Order ID
+   * @param {Object} refund
+   * @param {number} [refund.amount] - Amount to return
+   * @param {Array} [refund.items] - [{ order_item_id, quantity, amount? }]
+   * @param {string} [refund.reasonCode] - One of REFUND_REASONS
+   * @param {string} [refund.note]
+   * @returns {Promise<Object>} The order_refund_requests row ('pending' or 'approved')
+   */
+  async refund(id, { amount = null, items = [], reasonCode = 'other', note = null } = {}) {
+    return apiRequest(
+      () => supabase.rpc('record_order_refund', {
+        order_uuid: id,
+        refund_kind: 'refund',
+        refund_amount: amount,
+        refund_items: items,
+        reason: reasonCode,
+        note
+      }),
+      `Failed to refund order ${id}`
+    );
+  },
+
+  /**
+   * Request a void of an order that has not been refunded: once approved it
+   * is cancelled and its payment returned (or marked failed if it was never
+   * taken)
+   */
+  async void(id, { reasonCode = 'other', note = null } = {}) {
+    return apiRequest(
+      () => supabase.rpc('record_order_refund', {
+        order_uuid: id,
+        refund_kind: 'void',
+        reason: reasonCode,
+        note
+      }),
+      `Failed to void order ${id}`
+    );
+  },
+
+  /**
+   * Get refund and void requests, newest first (pending ones by default)
+   */
+  async getRefundRequests(filters = {}) {
+    let query = supabase
+      .from('order_refund_requests')
+      .select('*, orders(order_number, total), branches(name)')
+      .eq('status', filters.status || 'pending')
+      .order('created_at', { ascending: false });
+
+    if (filters.branchId) query = query.eq('branch_id', filters.branchId);
+    if (filters.limit) query = query.limit(filters.limit);
+
+    return apiRequest(() => query, 'Failed to fetch refund requests');
+  },
+
+  /**
+   * Approve a pending refund or void request as the current user (an admin
+   * or manager) and record it
+   */
+  async approveRefund(requestId) {
+    return apiRequest(
+      () => supabase.rpc('approve_order_refund', { request_uuid: requestId }),
+      `Failed to approve refund request ${requestId}`
+    );
+  },
+
+  /**
+   * Reject a pending refund or void request as the current user
+   */
+  async rejectRefund(requestId) {
+    return apiRequest(
+      () => supabase.rpc('reject_order_refund', { request_uuid: requestId }),
+      `Failed to reject refund request ${requestId}`
+    );
+  },
+
+  /**
+   * Get refunds and voids, newest first, with their lines
+   */
+  async getRefunds(filters = {}) {
+    let query = supabase
+      .from('order_refunds')
+      .select('*, order_refund_items(*, order_items(product_name)), orders(order_number, total), branches(name)')
+      .order('refunded_at', { ascending: false });
+
+    if (filters.orderId) query = query.eq('order_id', filters.orderId);
+    if (filters.branchId) query = query.eq('branch_id', filters.branchId);
+    if (filters.kind) query = query.eq('kind', filters.kind);
+    if (filters.startDate) query = query.gte('business_date', filters.startDate);
+    if (filters.endDate) query = query.lte('business_date', filters.endDate);
+    if (filters.limit) query = query.limit(filters.limit);
+
+    return apiRequest(() => query, 'Failed to fetch refunds');
+  },
+
+  /**
+   * Refunds and voids per cashier (with the cashier's gross sales in the
+   * branch) and each branch's gross sales and refunds, in the reporting
+   * currency unless currency is null
+   * @returns {Promise<{cashiers: Array, branches: Array}>}
+   */
+  async getRefundSummary(filters = {}) {
+    const range = {
+      start_date: filters.startDate || null,
+      end_date: filters.endDate || null,
+      branch_uuids: filters.branchId ? [filters.branchId] : null,
+      target_currency: targetCurrency(filters.currency)
+    };
+    const [cashierRows, branchRows] = await Promise.all([
+      apiRequest(() => supabase.rpc('get_refund_summary', range), 'Failed to fetch refund summary'),
+      apiRequest(() => supabase.rpc('get_branch_sales_summary', range), 'Failed to fetch branch sales')
+    ]);
+
+    return {
+      cashiers: (cashierRows || []).map(row => ({
+        branchId: row.branch_id,
+        cashierId: row.cashier_id,
+        cashierName: row.cashier_name,
+        currency: row.currency,
+        refundCount: Number(row.refund_count),
+        refundAmount: Number(row.refund_amount),
+        voidCount: Number(row.void_count),
+        voidAmount: Number(row.void_amount),
+        selfApproved: Number(row.self_approved),
+        topReason: row.top_reason,
+        orderCount: Number(row.order_count),
+        sales: Number(row.sales),
+        missingRate: !!row.missing_rate
+      })),
+      branches: (branchRows || []).map(row => ({
+        branchId: row.branch_id,
+        currency: row.currency,
+        grossRevenue: Number(row.gross_revenue),
+        refunds: Number(row.refunds),
+        refundedOrders: Number(row.refunded_orders),
+        cancelledOrders: Number(row.cancelled_orders),
+        missingRate: !!row.missing_rate
+      }))
+    };
+  },
+
   /**
    * Get order statistics
    */
   async getStatistics(filters = {}) {
+    const rows = await apiRequest(
+      () => supabase.rpc('get_branch_sales_summary', {
+        start_date: filters.startDate || null,
+        end_date: filters.endDate || null,
+        branch_uuids: filters.branchId ? [filters.branchId] : null,
+        target_currency: targetCurrency(filters.currency)
+      }),
+      'Failed to fetch order statistics'
+    );
+
+    return summarizeSalesRows(rows, targetCurrency(filters.currency));
+  }
+};
+
+// ============================================================================
+// INVENTORY API (Stock Ledger)
+// ============================================================================
+
+// Movement types that take stock out (stored with a negative quantity)
+const OUTGOING_MOVEMENTS = ['sale', 'waste', 'transfer_out'];
+
+export const inventoryAPI = {
+  /**
+   * Get active products for stock pickers
+   */
+  async getProducts() {
+    return apiRequest(
+      () => supabase
+        .from('products')
+        .select('id, name, sku, branch_id, cost, stock_quantity, low_stock_threshold')
+        .eq('is_active', true)
+        .order('name'),
+      'Failed to fetch products'
+    );
+  },
+
+  /**
+   * Stock on hand per product and branch with low-stock flags and value
+   * (in the reporting currency unless currency is null)
+   */
+  async getStatus({ branchId = null, currency = undefined } = {}) {
+    const brand = await brandAPI.get();
+    return apiRequest(
+      () => supabase.rpc('get_inventory_status', {
+        brand_uuid: brand.id,
+        branch_uuid: branchId,
+        target_currency: targetCurrency(currency)
+      }),
+      'Failed to fetch inventory status'
+    );
+  },
+
+  /**
+   * Get ledger movements, newest first
+   */
+  async getMovements(filters = {}) {
     let query = supabase
-      .from('orders')
-      .select('total, order_date, branch_id, status');
+      .from('inventory_movements')
+      .select('*, products(name, sku), branches(name), created_by_user:user_profiles!created_by(full_name)')
+      .order('created_at', { ascending: false });
 
+    if (filters.productId) query = query.eq('product_id', filters.productId);
     if (filters.branchId) query = query.eq('branch_id', filters.branchId);
-    if (filters.startDate) query = query.gte('order_date', filters.startDate);
-    if (filters.endDate) query = query.lte('order_date', filters.endDate);
-
-    const orders = await apiRequest(() => query, 'Failed to fetch order statistics');
-
-    // Calculate statistics
-    const stats = {
-      totalOrders: orders.length,
-      totalRevenue: orders.reduce((sum, order) => sum + Number(order.total), 0),
-      averageOrderValue: 0,
-      completedOrders: orders.filter(o => o.status === 'completed').length,
-      pendingOrders: orders.filter(o => o.status === 'pending').length,
-      cancelledOrders: orders.filter(o => o.status === 'cancelled').length
-    };
+    if (filters.type) query = query.eq('movement_type', filters.type);
+    if (filters.startDate) query = query.gte('created_at', filters.startDate);
+    if (filters.limit) query = query.limit(filters.limit);
+
+    return apiRequest(() => query, 'Failed to fetch stock movements');
+  },
+
+  /**
+   * Record a receipt or waste. quantity is the number of units; the sign is
+   * taken from the movement type.
+   */
+  async recordMovement({ productId, branchId, type, quantity, unitCost = null, reason = null, notes = null }) {
+    const brand = await brandAPI.get();
+    const { data: { user } } = await supabase.auth.getUser();
+    const units = Math.abs(Math.round(Number(quantity)));
+
+    const movement = await apiRequest(
+      () => supabase
+        .from('inventory_movements')
+        .insert([{
+          brand_id: brand.id,
+          product_id: productId,
+          branch_id: branchId,
+          movement_type: type,
+          quantity: OUTGOING_MOVEMENTS.includes(type) ? -units : units,
+          unit_cost: unitCost,
+          reason,
+          notes,
+          created_by: user?.id
+        }])
+        .select()
+        .single(),
+      'Failed to record stock movement'
+    );
+
+    if (OUTGOING_MOVEMENTS.includes(type)) {
+      await this.notifyLowStock(branchId, [{ product_id: productId, quantity: units }]);
+    }
+    return movement;
+  },
+
+  /**
+   * Move stock between two branches
+   */
+  async transfer({ productId, fromBranchId, toBranchId, quantity, notes = null }) {
+    const transferId = await apiRequest(
+      () => supabase.rpc('transfer_stock', {
+        product_uuid: productId,
+        from_branch: fromBranchId,
+        to_branch: toBranchId,
+        transfer_quantity: Math.round(Number(quantity)),
+        transfer_notes: notes
+      }),
+      'Failed to transfer stock'
+    );
+
+    await this.notifyLowStock(fromBranchId, [{ product_id: productId, quantity }]);
+    return transferId;
+  },
+
+  /**
+   * Record a physical stock count; returns the adjustment made
+   */
+  async recordCount({ productId, branchId, countedQuantity, notes = null }) {
+    const difference = await apiRequest(
+      () => supabase.rpc('record_stock_count', {
+        product_uuid: productId,
+        branch_uuid: branchId,
+        counted_quantity: Math.round(Number(countedQuantity)),
+        count_notes: notes
+      }),
+      'Failed to record stock count'
+    );
+
+    if (difference < 0) {
+      await this.notifyLowStock(branchId, [{ product_id: productId, quantity: -difference }]);
+    }
+    return difference;
+  },
+
+  /**
+   * Notify the brand owner about products that the given outgoing quantities
+   * ([{ product_id, quantity }]) took to or below their low-stock threshold
+   * at a branch. Products already low before are not notified again.
+   */
+  async notifyLowStock(branchId, changes = []) {
+    const removed = {};
+    changes.forEach(({ product_id: productId, quantity }) => {
+      if (!productId) return;
+      removed[productId] = (removed[productId] || 0) + (Number(quantity) || 0);
+    });
+
+    const productIds = Object.keys(removed);
+    if (!branchId || productIds.length === 0) return [];
+
+    const levels = await apiRequest(
+      () => supabase
+        .from('inventory_levels')
+        .select('product_id, quantity, products(name, low_stock_threshold), branches(name)')
+        .eq('branch_id', branchId)
+        .in('product_id', productIds),
+      'Failed to fetch stock levels'
+    );
 
-    stats.averageOrderValue = stats.totalOrders > 0 ? stats.totalRevenue / stats.totalOrders : 0;
+    const crossed = (levels || []).filter(level => {
+      const threshold = Number(level.products?.low_stock_threshold) || 0;
+      return level.quantity <= threshold && level.quantity + removed[level.product_id] > threshold;
+    });
+    if (crossed.length === 0) return [];
 
-    return stats;
+    const brand = await brandAPI.get();
+    return Promise.all(crossed.map(level => notificationsAPI.create({
+      user_id: brand.user_id,
+      type: 'alert',
+      priority: level.quantity <= 0 ? 'high' : 'normal',
+      title: level.quantity <= 0 ? `Out of stock: ${level.products?.name}` : `Low stock: ${level.products?.name}`,
+      message: `${level.quantity} left at ${level.branches?.name || 'branch'} (threshold ${level.products?.low_stock_threshold ?? 0})`,
+      action_url: '/inventory',
+      action_label: 'View inventory',
+      metadata: { kind: 'low_stock', product_id: level.product_id, branch_id: branchId, quantity: level.quantity }
+    })));
   }
 };
 
@@ -444,6 +795,139 @@ export const metricsAPI = {
   }
 };
 
+// ============================================================================
+// EXPENSES API (Cost Ledger)
+// ============================================================================
+
+export const expensesAPI = {
+  /**
+   * Get expense entries with optional filters, recurring entries included
+   * while they repeat into the window (see filterExpenses)
+   */
+  async getAll(filters = {}) {
+    const query = filterExpenses(
+      supabase
+        .from('expenses')
+        .select('*, branches(name)')
+        .order('expense_date', { ascending: false }),
+      filters
+    );
+
+    return apiRequest(() => query, 'Failed to fetch expenses');
+  },
+
+  /**
+   * Record an expense entry for the user's brand
+   */
+  async create(expenseData) {
+    const brand = await brandAPI.get();
+    const { data: { user } } = await supabase.auth.getUser();
+
+    return apiRequest(
+      () => supabase
+        .from('expenses')
+        .insert([{ ...expenseData, brand_id: brand.id, user_id: user?.id }])
+        .select('*, branches(name)')
+        .single(),
+      'Failed to create expense'
+    );
+  },
+
+  /**
+   * Update an expense entry
+   */
+  async update(id, expenseData) {
+    return apiRequest(
+      () => supabase
+        .from('expenses')
+        .update(expenseData)
+        .eq('id', id)
+        .select('*, branches(name)')
+        .single(),
+      `Failed to update expense ${id}`
+    );
+  },
+
+  /**
+   * Delete an expense entry
+   */
+  async delete(id) {
+    return apiRequest(
+      () => supabase
+        .from('expenses')
+        .delete()
+        .eq('id', id),
+      `Failed to delete expense ${id}`
+    );
+  }
+};
+
+// ============================================================================
+// EXCHANGE RATES API (Multi-Currency)
+// ============================================================================
+
+export const exchangeRatesAPI = {
+  /**
+   * Get exchange rates for the user's brand
+   */
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('exchange_rates')
+      .select('*')
+      .order('rate_date', { ascending: false });
+
+    if (filters.fromCurrency) query = query.eq('from_currency', filters.fromCurrency);
+    if (filters.toCurrency) query = query.eq('to_currency', filters.toCurrency);
+    if (filters.startDate) query = query.gte('rate_date', filters.startDate);
+    if (filters.endDate) query = query.lte('rate_date', filters.endDate);
+    if (filters.limit) query = query.limit(filters.limit);
+
+    return apiRequest(() => query, 'Failed to fetch exchange rates');
+  },
+
+  /**
+   * Save one or more rates; a rate for the same pair and date is replaced
+   */
+  async upsert(rates, source = 'manual') {
+    const brand = await brandAPI.get();
+    const { data: { user } } = await supabase.auth.getUser();
+    const rows = (Array.isArray(rates) ? rates : [rates]).map(rate => ({
+      ...rate,
+      brand_id: brand.id,
+      user_id: user?.id,
+      source
+    }));
+
+    return apiRequest(
+      () => supabase
+        .from('exchange_rates')
+        .upsert(rows, { onConflict: 'brand_id,from_currency,to_currency,rate_date' })
+        .select(),
+      'Failed to save exchange rates'
+    );
+  },
+
+  /**
+   * Import parsed CSV rows (see parseExchangeRatesCSV)
+   */
+  async importRows(rows) {
+    return this.upsert(rows, 'csv_import');
+  },
+
+  /**
+   * Delete an exchange rate
+   */
+  async delete(id) {
+    return apiRequest(
+      () => supabase
+        .from('exchange_rates')
+        .delete()
+        .eq('id', id),
+      `Failed to delete exchange rate ${id}`
+    );
+  }
+};
+
 // ============================================================================
 // INSIGHTS API
 // ============================================================================
@@ -536,82 +1020,326 @@ export const insightsAPI = {
 };
 
 // ============================================================================
-// REPORTS API
+// AI CONVERSATIONS API
 // ============================================================================
 
-export const reportsAPI = {
+const CONVERSATION_TITLE_LENGTH = 60;
+
+// First line of a message, cut at a word boundary
+function titleFromText(text, fallback = 'New conversation') {
+  const line = String(text || '').split('\n').map(part => part.trim()).find(Boolean) || '';
+  const clean = line.replace(/\s+/g, ' ').replace(/^[#>*\-\s]+/, '');
+  if (!clean) return fallback;
+  if (clean.length <= CONVERSATION_TITLE_LENGTH) return clean;
+  const cut = clean.slice(0, CONVERSATION_TITLE_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+// Characters PostgREST filter strings treat as syntax
+const searchTerm = (text) => String(text || '').replace(/[%*,()\\]/g, ' ').trim();
+
+export const aiConversationsAPI = {
   /**
-   * Get all reports
+   * Get the user's advisor conversations, most recent first
+   * @param {Object} options - search (matches titles and message text), limit
    */
-  async getAll(filters = {}) {
+  async list({ search = '', limit = 50 } = {}) {
     let query = supabase
-      .from('reports')
-      .select('*, branches(name)')
-      .order('created_at', { ascending: false });
-
-    if (filters.branchId) query = query.eq('branch_id', filters.branchId);
-    if (filters.type) query = query.eq('report_type', filters.type);
-    if (filters.status) query = query.eq('status', filters.status);
-    if (filters.limit) query = query.limit(filters.limit);
+      .from('ai_conversations')
+      .select('*, branch:branches(id, name)')
+      .order('last_message_at', { ascending: false })
+      .limit(limit);
+
+    const term = searchTerm(search);
+    if (term) {
+      const matches = await apiRequest(
+        () => supabase
+          .from('ai_messages')
+          .select('conversation_id')
+          .ilike('content', `%${term}%`)
+          .limit(200),
+        'Failed to search conversations'
+      );
+      const ids = [...new Set((matches || []).map(match => match.conversation_id))];
+      query = query.or([`title.ilike.%${term}%`, ...(ids.length > 0 ? [`id.in.(${ids.join(',')})`] : [])].join(','));
+    }
 
-    return apiRequest(() => query, 'Failed to fetch reports');
+    return apiRequest(() => query, 'Failed to fetch conversations');
   },
 
   /**
-   * Get a single report
+   * Get a conversation with its branch and messages in order
    */
-  async getById(id) {
+  async get(id) {
     return apiRequest(
       () => supabase
-        .from('reports')
-        .select('*, branches(name)')
+        .from('ai_conversations')
+        .select('*, branch:branches(id, name), messages:ai_messages(*)')
         .eq('id', id)
+        .order('created_at', { referencedTable: 'ai_messages', ascending: true })
         .single(),
-      `Failed to fetch report ${id}`
+      `Failed to fetch conversation ${id}`
     );
   },
 
   /**
-   * Create a new report
+   * Start a conversation, titled after its first message
+   * @param {Object} conversationData - firstMessage, branchId, context
    */
-  async create(reportData) {
+  async create({ firstMessage, branchId = null, context = {} }) {
     return apiRequest(
       () => supabase
-        .from('reports')
-        .insert([reportData])
-        .select()
+        .from('ai_conversations')
+        .insert([{ title: titleFromText(firstMessage), branch_id: branchId, context }])
+        .select('*, branch:branches(id, name)')
         .single(),
-      'Failed to create report'
+      'Failed to create conversation'
     );
   },
 
   /**
-   * Update report status
+   * Rename a conversation
    */
-  async updateStatus(id, status, fileUrl = null, errorMessage = null) {
-    const updates = {
-      status,
-      updated_at: new Date().toISOString()
-    };
-
-    if (fileUrl) updates.file_url = fileUrl;
-    if (errorMessage) updates.error_message = errorMessage;
-
+  async rename(id, title) {
     return apiRequest(
       () => supabase
-        .from('reports')
-        .update(updates)
+        .from('ai_conversations')
+        .update({ title: title.trim() || 'New conversation' })
         .eq('id', id)
-        .select()
+        .select('*, branch:branches(id, name)')
         .single(),
-      `Failed to update report ${id}`
+      `Failed to rename conversation ${id}`
     );
   },
 
   /**
-   * Delete a report
+   * Save a conversation's rolling summary and usage totals
+   * @param {string} id
+   * @param {Object} progress - { summary, summarizedCount, usage: { inputTokens, outputTokens, requests } }
+   */
+  async saveProgress(id, { summary, summarizedCount, usage }) {
+    return apiRequest(
+      () => supabase
+        .from('ai_conversations')
+        .update({
+          summary,
+          summarized_count: summarizedCount,
+          input_tokens: usage.inputTokens,
+          output_tokens: usage.outputTokens,
+          ai_requests: usage.requests
+        })
+        .eq('id', id)
+        .select('*, branch:branches(id, name)')
+        .single(),
+      `Failed to save conversation ${id}`
+    );
+  },
+
+  /**
+   * Delete a conversation and its messages; pinned insights stay
+   */
+  async delete(id) {
+    return apiRequest(
+      () => supabase
+        .from('ai_conversations')
+        .delete()
+        .eq('id', id),
+      `Failed to delete conversation ${id}`
+    );
+  },
+
+  /**
+   * Append a message
+   * @param {Object} message - role, content, isError, usage, toolCalls
+   */
+  async addMessage(conversationId, { role, content, isError = false, usage = null, toolCalls = null }) {
+    return apiRequest(
+      () => supabase
+        .from('ai_messages')
+        .insert([{ conversation_id: conversationId, role, content, is_error: isError, usage, tool_calls: toolCalls }])
+        .select()
+        .single(),
+      'Failed to save message'
+    );
+  },
+
+  /**
+   * Pin an advisor answer to the Dashboard as a recommendation insight
+   * @param {Object} pin - message ({ id, content }), question it answered, conversation
+   * @returns {Promise<Object>} The insight
+   */
+  async pinMessage({ message, question = null, conversation }) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const insight = await insightsAPI.create({
+      user_id: user.id,
+      branch_id: conversation.branch_id || null,
+      insight_type: 'recommendation',
+      severity: 'info',
+      title: titleFromText(question || message.content, conversation.title),
+      description: message.content,
+      metadata: { source: 'ai_advisor', conversation_id: conversation.id, message_id: message.id }
+    });
+
+    await apiRequest(
+      () => supabase
+        .from('ai_messages')
+        .update({ insight_id: insight.id })
+        .eq('id', message.id),
+      'Failed to pin message'
+    );
+    return insight;
+  },
+
+  /**
+   * Unpin an answer: its insight is dismissed from the Dashboard
+   */
+  async unpinMessage({ id, insightId }) {
+    if (insightId) {
+      await insightsAPI.updateStatus(insightId, 'dismissed');
+    }
+    return apiRequest(
+      () => supabase
+        .from('ai_messages')
+        .update({ insight_id: null })
+        .eq('id', id),
+      'Failed to unpin message'
+    );
+  }
+};
+
+// ============================================================================
+// REPORTS API
+// ============================================================================
+
+const REPORTS_BUCKET = 'reports';
+
+export const reportsAPI = {
+  /**
+   * Get the brand's reports that have not expired
+   */
+  async getAll(filters = {}) {
+    let query = supabase
+      .from('reports')
+      .select('*, branches(name), author:user_id(full_name)')
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('created_at', { ascending: false });
+
+    if (filters.branchId) query = query.eq('branch_id', filters.branchId);
+    if (filters.type) query = query.eq('report_type', filters.type);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.limit) query = query.limit(filters.limit);
+
+    return apiRequest(() => query, 'Failed to fetch reports');
+  },
+
+  /**
+   * Get a single report
+   */
+  async getById(id) {
+    return apiRequest(
+      () => supabase
+        .from('reports')
+        .select('*, branches(name)')
+        .eq('id', id)
+        .single(),
+      `Failed to fetch report ${id}`
+    );
+  },
+
+  /**
+   * Create a new report
+   */
+  async create(reportData) {
+    return apiRequest(
+      () => supabase
+        .from('reports')
+        .insert([reportData])
+        .select()
+        .single(),
+      'Failed to create report'
+    );
+  },
+
+  /**
+   * Update report status
+   */
+  async updateStatus(id, status, fileUrl = null, errorMessage = null, fileSize = null) {
+    const updates = {
+      status,
+      updated_at: new Date().toISOString()
+    };
+
+    if (fileUrl) updates.file_url = fileUrl;
+    if (errorMessage) updates.error_message = errorMessage;
+    if (fileSize !== null) updates.file_size = fileSize;
+
+    return apiRequest(
+      () => supabase
+        .from('reports')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single(),
+      `Failed to update report ${id}`
+    );
+  },
+
+  /**
+   * Upload a rendered report file; returns its storage path
+   * @param {Object} report - Row from create() (needs id and brand_id)
+   * @param {Blob} blob - File contents
+   * @param {string} extension - File extension
+   */
+  async uploadFile(report, blob, extension) {
+    const path = `${report.brand_id}/${report.id}.${extension}`;
+    await apiRequest(
+      () => supabase.storage
+        .from(REPORTS_BUCKET)
+        .upload(path, blob, { contentType: blob.type }),
+      `Failed to upload report ${report.id}`
+    );
+    return path;
+  },
+
+  /**
+   * Storage path of a report's JSON snapshot (what the history view opens).
+   * Scheduled reports keep their PDF/Excel/CSV file in file_url next to it.
+   */
+  snapshotPath(report) {
+    return `${report.brand_id}/${report.id}.json`;
+  },
+
+  /**
+   * All storage paths a report may occupy
+   */
+  storedPaths(report) {
+    return [...new Set([report.file_url, this.snapshotPath(report)].filter(Boolean))];
+  },
+
+  /**
+   * Download a stored report file
+   */
+  async downloadFile(path) {
+    return apiRequest(
+      () => supabase.storage.from(REPORTS_BUCKET).download(path),
+      'Failed to download report file'
+    );
+  },
+
+  /**
+   * Delete a report and its files
    */
   async delete(id) {
+    const report = await this.getById(id);
+    const paths = this.storedPaths(report);
+    if (paths.length > 0) {
+      await apiRequest(
+        () => supabase.storage.from(REPORTS_BUCKET).remove(paths),
+        `Failed to delete file of report ${id}`
+      );
+    }
+
     return apiRequest(
       () => supabase
         .from('reports')
@@ -622,6 +1350,347 @@ export const reportsAPI = {
   }
 };
 
+// ============================================================================
+// REPORT SCHEDULES API
+// ============================================================================
+
+export const reportSchedulesAPI = {
+  /**
+   * Get the brand's report schedules
+   */
+  async getAll() {
+    return apiRequest(
+      () => supabase
+        .from('report_schedules')
+        .select('*, branches(name)')
+        .order('created_at', { ascending: false }),
+      'Failed to fetch report schedules'
+    );
+  },
+
+  /**
+   * Create a schedule; brand, creator and next run are set by the database
+   */
+  async create(scheduleData) {
+    return apiRequest(
+      () => supabase
+        .from('report_schedules')
+        .insert([scheduleData])
+        .select('*, branches(name)')
+        .single(),
+      'Failed to create report schedule'
+    );
+  },
+
+  /**
+   * Update a schedule; changing its timing recomputes the next run
+   */
+  async update(id, updates) {
+    return apiRequest(
+      () => supabase
+        .from('report_schedules')
+        .update(updates)
+        .eq('id', id)
+        .select('*, branches(name)')
+        .single(),
+      `Failed to update report schedule ${id}`
+    );
+  },
+
+  /**
+   * Pause or resume a schedule
+   */
+  async setActive(id, isActive) {
+    return this.update(id, { is_active: isActive });
+  },
+
+  /**
+   * Delete a schedule; reports it produced stay in the history
+   */
+  async delete(id) {
+    return apiRequest(
+      () => supabase
+        .from('report_schedules')
+        .delete()
+        .eq('id', id),
+      `Failed to delete report schedule ${id}`
+    );
+  }
+};
+
+// ============================================================================
+// IMPORTS API
+// ============================================================================
+
+const IMPORTS_BUCKET = 'imports';
+
+export const importsAPI = {
+  /**
+   * Get the brand's import batches, newest first
+   */
+  async getAll({ limit = 50 } = {}) {
+    return apiRequest(
+      () => supabase
+        .from('import_batches')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      'Failed to fetch imports'
+    );
+  },
+
+  /**
+   * Get a single import batch
+   */
+  async getById(id) {
+    return apiRequest(
+      () => supabase
+        .from('import_batches')
+        .select('*')
+        .eq('id', id)
+        .single(),
+      `Failed to fetch import ${id}`
+    );
+  },
+
+  /**
+   * Create a batch and store its validated records for (resumable) import
+   * @param {Object} batchData - entity, file_name, mapping, skipped_rows
+   * @param {Array<Object>} records - Records from validateImport()
+   */
+  async create(batchData, records) {
+    const batch = await apiRequest(
+      () => supabase
+        .from('import_batches')
+        .insert([{ ...batchData, total_rows: records.length }])
+        .select()
+        .single(),
+      'Failed to create import'
+    );
+
+    const path = `${batch.brand_id}/${batch.id}.json`;
+    const payload = new Blob([JSON.stringify(records)], { type: 'application/json' });
+    await apiRequest(
+      () => supabase.storage
+        .from(IMPORTS_BUCKET)
+        .upload(path, payload, { contentType: 'application/json', upsert: true }),
+      `Failed to store import ${batch.id}`
+    );
+
+    return apiRequest(
+      () => supabase
+        .from('import_batches')
+        .update({ payload_path: path })
+        .eq('id', batch.id)
+        .select()
+        .single(),
+      `Failed to update import ${batch.id}`
+    );
+  },
+
+  /**
+   * Load the stored records of a batch (to resume it)
+   */
+  async getRecords(batch) {
+    const blob = await apiRequest(
+      () => supabase.storage.from(IMPORTS_BUCKET).download(batch.payload_path),
+      `Failed to load import ${batch.id}`
+    );
+    return JSON.parse(await blob.text());
+  },
+
+  /**
+   * Drop the stored records once a batch no longer needs them
+   */
+  async removeRecords(batch) {
+    if (!batch.payload_path) return;
+    await apiRequest(
+      () => supabase.storage.from(IMPORTS_BUCKET).remove([batch.payload_path]),
+      `Failed to remove stored records of import ${batch.id}`
+    );
+  },
+
+  /**
+   * Insert one chunk and move the batch's progress to nextRow (one transaction)
+   * @returns {Promise<Object>} The updated batch
+   */
+  async applyChunk(batchId, records, nextRow) {
+    return apiRequest(
+      () => supabase.rpc('apply_import_chunk', {
+        batch_uuid: batchId,
+        chunk: records,
+        next_row: nextRow
+      }),
+      'Failed to import records'
+    );
+  },
+
+  /**
+   * Record why a batch stopped; it can be resumed from its progress
+   */
+  async markFailed(batchId, message) {
+    return apiRequest(
+      () => supabase
+        .from('import_batches')
+        .update({ status: 'failed', error: message })
+        .eq('id', batchId)
+        .select()
+        .single(),
+      `Failed to update import ${batchId}`
+    );
+  },
+
+  /**
+   * Delete every order and product the batch inserted
+   * @returns {Promise<Object>} The updated batch
+   */
+  async undo(batchId) {
+    return apiRequest(
+      () => supabase.rpc('undo_import_batch', { batch_uuid: batchId }),
+      `Failed to undo import ${batchId}`
+    );
+  },
+
+  /**
+   * Order numbers from the list that already exist (order_number is unique)
+   * @param {Array<string>} orderNumbers - Candidate order numbers
+   * @returns {Promise<Set<string>>}
+   */
+  async findExistingOrderNumbers(orderNumbers) {
+    const existing = new Set();
+    for (let i = 0; i < orderNumbers.length; i += 200) {
+      const rows = await apiRequest(
+        () => supabase
+          .from('orders')
+          .select('order_number')
+          .in('order_number', orderNumbers.slice(i, i + 200)),
+        'Failed to check existing orders'
+      );
+      (rows || []).forEach(row => existing.add(row.order_number));
+    }
+    return existing;
+  }
+};
+
+// ============================================================================
+// POS API
+// ============================================================================
+
+export const posAPI = {
+  /**
+   * Get the brand's POS connections with their location mappings
+   */
+  async getConnections() {
+    return apiRequest(
+      () => supabase
+        .from('pos_connections')
+        .select('*, locations:pos_location_mappings(*, branch:branches(id, name))')
+        .order('created_at', { ascending: true }),
+      'Failed to fetch POS connections'
+    );
+  },
+
+  /**
+   * Create a POS connection
+   * @param {Object} connectionData - provider, name, order_prefix
+   */
+  async createConnection(connectionData) {
+    return apiRequest(
+      () => supabase
+        .from('pos_connections')
+        .insert([connectionData])
+        .select()
+        .single(),
+      'Failed to create POS connection'
+    );
+  },
+
+  /**
+   * Update a POS connection
+   */
+  async updateConnection(id, updates) {
+    return apiRequest(
+      () => supabase
+        .from('pos_connections')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single(),
+      `Failed to update POS connection ${id}`
+    );
+  },
+
+  /**
+   * Delete a POS connection; its ingested orders are kept
+   */
+  async deleteConnection(id) {
+    return apiRequest(
+      () => supabase
+        .from('pos_connections')
+        .delete()
+        .eq('id', id),
+      `Failed to delete POS connection ${id}`
+    );
+  },
+
+  /**
+   * Get the external locations of a connection
+   */
+  async getLocations(connectionId) {
+    return apiRequest(
+      () => supabase
+        .from('pos_location_mappings')
+        .select('*')
+        .eq('connection_id', connectionId),
+      'Failed to fetch POS locations'
+    );
+  },
+
+  /**
+   * Register locations seen in a payload; existing mappings are left alone
+   * @param {Array<Object>} locations - connection_id, external_location_id, external_location_name, branch_id
+   */
+  async addLocations(locations) {
+    if (locations.length === 0) return [];
+    return apiRequest(
+      () => supabase
+        .from('pos_location_mappings')
+        .upsert(locations, { onConflict: 'connection_id,external_location_id', ignoreDuplicates: true })
+        .select(),
+      'Failed to save POS locations'
+    );
+  },
+
+  /**
+   * Map an external location to a branch (null to unmap)
+   */
+  async mapLocation(id, branchId) {
+    return apiRequest(
+      () => supabase
+        .from('pos_location_mappings')
+        .update({ branch_id: branchId })
+        .eq('id', id)
+        .select()
+        .single(),
+      `Failed to map POS location ${id}`
+    );
+  },
+
+  /**
+   * Upsert normalized orders on order_number (see ingest_pos_orders)
+   * @returns {Promise<Object>} inserted, updated, unchanged, conflicts, failed
+   */
+  async ingestOrders(connectionId, orders) {
+    return apiRequest(
+      () => supabase.rpc('ingest_pos_orders', {
+        connection_uuid: connectionId,
+        batch: orders
+      }),
+      'Failed to ingest POS orders'
+    );
+  }
+};
+
 // ============================================================================
 // NOTIFICATIONS API
 // ============================================================================
@@ -713,6 +1782,40 @@ export const notificationsAPI = {
   }
 };
 
+/**
+ * Business date `days` days before today, in the branch's business day
+ * (or the brand's reporting day when no branch is given)
+ */
+function daysAgo(days, branchId = null) {
+  return getBusinessDayRange(days, getDaySettings(branchId)).startDate;
+}
+
+/**
+ * Currency to aggregate in: undefined means the brand reporting currency,
+ * null keeps each branch's local currency
+ */
+function targetCurrency(currency) {
+  return currency === undefined ? getReportingCurrency() : currency;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * Normalize an aggregate RPC row to
+ * { revenue, orders, averageOrderValue, currency, missingRate }
+ */
+function toSalesTotals(row, currency = null) {
+  return {
+    revenue: roundMoney(row?.revenue),
+    orders: Number(row?.order_count || 0),
+    averageOrderValue: roundMoney(row?.avg_order_value),
+    currency: row?.currency || currency,
+    missingRate: !!row?.missing_rate
+  };
+}
+
 // ============================================================================
 // ANALYTICS API (Aggregated Data)
 // ============================================================================
@@ -721,15 +1824,12 @@ export const analyticsAPI = {
   /**
    * Get dashboard overview statistics
    */
-  async getDashboardOverview(branchId = null, days = 30) {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    const startDateStr = startDate.toISOString().split('T')[0];
-
+  async getDashboardOverview(branchId = null, days = 30, currency = undefined) {
     // Get orders data
     const ordersStats = await ordersAPI.getStatistics({
       branchId,
-      startDate: startDateStr
+      startDate: daysAgo(days, branchId),
+      currency
     });
 
     // Get branches count
@@ -749,6 +1849,8 @@ export const analyticsAPI = {
         totalRevenue: ordersStats.totalRevenue,
         totalOrders: ordersStats.totalOrders,
         averageOrderValue: ordersStats.averageOrderValue,
+        currency: ordersStats.currency,
+        missingRate: ordersStats.missingRate,
         period: `${days} days`
       },
       insights: insights.slice(0, 5),
@@ -757,103 +1859,177 @@ export const analyticsAPI = {
   },
 
   /**
-   * Get revenue trends
+   * Get a revenue / orders / AOV series bucketed by day, week or month.
+   * Rows: { date, branchId, revenue, orders, averageOrderValue, currency, missingRate }
+   * Amounts are in the reporting currency unless `currency` is given
+   * (null = each branch's local currency, only meaningful with one branch or byBranch).
    */
-  async getRevenueTrends(branchId = null, days = 30) {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-
-    let query = supabase
-      .from('orders')
-      .select('order_date, total')
-      .eq('status', 'completed')
-      .gte('order_date', startDate.toISOString().split('T')[0])
-      .order('order_date', { ascending: true });
-
-    if (branchId) query = query.eq('branch_id', branchId);
+  async getSalesSeries({
+    startDate = null,
+    endDate = null,
+    granularity = 'day',
+    branchIds = null,
+    byBranch = false,
+    currency = undefined
+  } = {}) {
+    const rows = await apiRequest(
+      () => supabase.rpc('get_sales_series', {
+        start_date: startDate,
+        end_date: endDate,
+        bucket: granularity,
+        branch_uuids: branchIds && branchIds.length ? branchIds : null,
+        by_branch: byBranch,
+        target_currency: targetCurrency(currency)
+      }),
+      'Failed to fetch sales series'
+    );
 
-    const orders = await apiRequest(() => query, 'Failed to fetch revenue trends');
+    return (rows || []).map(row => ({
+      date: row.period_start,
+      branchId: row.branch_id,
+      ...toSalesTotals(row)
+    }));
+  },
 
-    // Group by date
-    const trendsByDate = {};
-    orders.forEach(order => {
-      if (!trendsByDate[order.order_date]) {
-        trendsByDate[order.order_date] = 0;
-      }
-      trendsByDate[order.order_date] += Number(order.total);
+  /**
+   * Get revenue trends
+   */
+  async getRevenueTrends(branchId = null, days = 30, granularity = 'day', currency = undefined) {
+    return this.getSalesSeries({
+      startDate: daysAgo(days, branchId),
+      granularity,
+      branchIds: branchId ? [branchId] : null,
+      currency
     });
-
-    return Object.entries(trendsByDate).map(([date, revenue]) => ({
-      date,
-      revenue: Math.round(revenue * 100) / 100
-    }));
   },
 
   /**
    * Get branch comparison data
    */
-  async getBranchComparison(days = 30) {
-    const branches = await branchesAPI.getAll();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    const startDateStr = startDate.toISOString().split('T')[0];
+  async getBranchComparison(days = 30, currency = undefined) {
+    const [branches, rows] = await Promise.all([
+      branchesAPI.getAll(),
+      apiRequest(
+        () => supabase.rpc('get_branch_sales_summary', {
+          start_date: daysAgo(days),
+          target_currency: targetCurrency(currency)
+        }),
+        'Failed to fetch branch comparison'
+      )
+    ]);
+
+    const statsByBranch = {};
+    (rows || []).forEach(row => {
+      statsByBranch[row.branch_id] = row;
+    });
 
-    const comparisonData = await Promise.all(
-      branches.map(async (branch) => {
-        const stats = await ordersAPI.getStatistics({
-          branchId: branch.id,
-          startDate: startDateStr
-        });
+    return branches.map(branch => {
+      const stats = statsByBranch[branch.id];
+
+      return {
+        id: branch.id,
+        name: branch.name,
+        code: branch.code,
+        city: branch.city,
+        status: branch.status,
+        ...toSalesTotals(stats, targetCurrency(currency) || branch.currency),
+        localCurrency: branch.currency,
+        totalOrders: stats ? Number(stats.total_orders) : 0,
+        cancelledOrders: stats ? Number(stats.cancelled_orders) : 0
+      };
+    }).sort((a, b) => b.revenue - a.revenue);
+  },
 
-        return {
-          id: branch.id,
-          name: branch.name,
-          code: branch.code,
-          city: branch.city,
-          status: branch.status,
-          revenue: stats.totalRevenue,
-          orders: stats.totalOrders,
-          averageOrderValue: stats.averageOrderValue
-        };
-      })
+  /**
+   * Get top performing products/categories
+   */
+  async getTopPerformers(branchId = null, days = 30, limit = 10, currency = undefined) {
+    const rows = await apiRequest(
+      () => supabase.rpc('get_product_sales', {
+        start_date: daysAgo(days, branchId),
+        branch_uuids: branchId ? [branchId] : null,
+        max_rows: limit,
+        target_currency: targetCurrency(currency)
+      }),
+      'Failed to fetch top performers'
     );
 
-    return comparisonData.sort((a, b) => b.revenue - a.revenue);
+    return (rows || []).map(row => ({
+      productId: row.product_id,
+      name: row.product_name,
+      quantity: Number(row.quantity),
+      revenue: roundMoney(row.revenue),
+      orders: Number(row.order_count),
+      missingRate: !!row.missing_rate
+    }));
   },
 
   /**
-   * Get top performing products/categories
+   * Get completed orders and revenue by weekday × hour for each branch.
+   * Each branch gets a 7×24 grid (grid[weekday][hour], 0 = Sunday) of
+   * { orders, revenue, avgOrders, avgRevenue }, where the averages are per
+   * occurrence of that weekday in the window.
    */
-  async getTopPerformers(branchId = null, days = 30, limit = 10) {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+  async getSalesHeatmap({ branchIds = null, days = 28, startDate = null, endDate = null, currency = undefined } = {}) {
+    const range = getBusinessDayRange(days);
+    const start = startDate || range.startDate;
+    const end = endDate || range.endDate;
+
+    const [branches, rows] = await Promise.all([
+      branchesAPI.getAll(),
+      apiRequest(
+        () => supabase.rpc('get_sales_heatmap', {
+          start_date: start,
+          end_date: end,
+          branch_uuids: branchIds && branchIds.length ? branchIds : null,
+          target_currency: targetCurrency(currency)
+        }),
+        'Failed to fetch sales heatmap'
+      )
+    ]);
+
+    // How many times each weekday occurs in the window
+    const weekdayCounts = [0, 0, 0, 0, 0, 0, 0];
+    for (let date = start; date <= end; date = shiftDate(date, 1)) {
+      weekdayCounts[new Date(`${date}T00:00:00Z`).getUTCDay()]++;
+    }
 
-    let query = supabase
-      .from('order_items')
-      .select('product_name, quantity, subtotal, orders!inner(branch_id, order_date)')
-      .gte('orders.order_date', startDate.toISOString().split('T')[0]);
-
-    if (branchId) query = query.eq('orders.branch_id', branchId);
-
-    const items = await apiRequest(() => query, 'Failed to fetch top performers');
-
-    // Group by product
-    const productStats = {};
-    items.forEach(item => {
-      if (!productStats[item.product_name]) {
-        productStats[item.product_name] = {
-          name: item.product_name,
-          quantity: 0,
-          revenue: 0
-        };
-      }
-      productStats[item.product_name].quantity += item.quantity;
-      productStats[item.product_name].revenue += Number(item.subtotal);
+    const selected = branchIds && branchIds.length
+      ? branchIds.map(id => branches.find(branch => branch.id === id)).filter(Boolean)
+      : branches;
+
+    return selected.map(branch => {
+      const grid = weekdayCounts.map(() => Array.from({ length: 24 }, () => ({
+        orders: 0,
+        revenue: 0,
+        avgOrders: 0,
+        avgRevenue: 0
+      })));
+      let missingRate = false;
+      let rowCurrency = null;
+
+      (rows || []).filter(row => row.branch_id === branch.id).forEach(row => {
+        const occurrences = weekdayCounts[row.weekday] || 1;
+        const cell = grid[row.weekday][row.hour];
+        cell.orders = Number(row.order_count);
+        cell.revenue = roundMoney(row.revenue);
+        cell.avgOrders = Math.round((cell.orders / occurrences) * 10) / 10;
+        cell.avgRevenue = roundMoney(cell.revenue / occurrences);
+        missingRate = missingRate || !!row.missing_rate;
+        rowCurrency = row.currency;
+      });
+
+      return {
+        branchId: branch.id,
+        name: branch.name,
+        code: branch.code,
+        currency: rowCurrency || targetCurrency(currency) || branch.currency,
+        businessHours: branch.business_hours || {},
+        dayCloseTime: getDaySettings(branch.id).dayCloseTime,
+        missingRate,
+        grid
+      };
     });
-
-    return Object.values(productStats)
-      .sort((a, b) => b.revenue - a.revenue)
-      .slice(0, limit);
   }
 };
 
@@ -975,9 +2151,16 @@ export default {
   brand: brandAPI,
   branches: branchesAPI,
   orders: ordersAPI,
+  inventory: inventoryAPI,
   metrics: metricsAPI,
+  expenses: expensesAPI,
+  exchangeRates: exchangeRatesAPI,
   insights: insightsAPI,
+  aiConversations: aiConversationsAPI,
   reports: reportsAPI,
+  reportSchedules: reportSchedulesAPI,
+  imports: importsAPI,
+  pos: posAPI,
   notifications: notificationsAPI,
   analytics: analyticsAPI,
   team: teamAPI,
@@ -0,0 +1,82 @@
+// NAVA OPS - Cost Model Service
+// Per-branch costs from the expense ledger plus COGS derived from product costs
+
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import api, { APIError } from './api';
+import { getReportingCurrency } from '@/utils/currency';
+import {
+  EXPENSE_CATEGORIES,
+  ESTIMATED_COST_RATIO,
+  expenseAmountInWindow,
+  buildCostSummary
+} from '@/utils/costing';
+
+// The calculations live in utils/costing so the schedule runner can share them
+export { EXPENSE_CATEGORIES, ESTIMATED_COST_RATIO, expenseAmountInWindow };
+
+/**
+ * Call an aggregate RPC and key its rows by branch_id
+ */
+async function fetchByBranch(rpcName, { branchId = null, startDate, endDate, currency }, errorMessage) {
+  const { data, error } = await supabase.rpc(rpcName, {
+    start_date: startDate,
+    end_date: endDate,
+    branch_uuids: branchId ? [branchId] : null,
+    target_currency: currency
+  });
+
+  if (error) {
+    logger.error(errorMessage, error);
+    throw new APIError(error.message || errorMessage, error.code || 'API_ERROR', error);
+  }
+
+  const byBranch = {};
+  (data || []).forEach(row => {
+    byBranch[row.branch_id] = row;
+  });
+  return byBranch;
+}
+
+/**
+ * Cost Model API
+ */
+export const costModelAPI = {
+  /**
+   * Get revenue, costs and profit per branch and in total for a window.
+   * Branches without any recorded cost data fall back to the fixed
+   * ESTIMATED_COST_RATIO and are flagged with `estimated: true`.
+   * Amounts are in the reporting currency unless `currency` is given
+   * (null = the branch's local currency, for single-branch views).
+   */
+  async getCostSummary({ startDate, endDate, branchId = null, currency = undefined } = {}) {
+    try {
+      const target = currency === undefined ? getReportingCurrency() : currency;
+      const range = { branchId, startDate, endDate, currency: target };
+
+      const [allBranches, expenses, rates, cogsByBranch, salesByBranch] = await Promise.all([
+        api.branches.getAll(),
+        api.expenses.getAll({ branchId, startDate, endDate }),
+        target ? api.exchangeRates.getAll() : Promise.resolve([]),
+        fetchByBranch('get_branch_cogs', range, 'Failed to fetch cost of goods sold'),
+        fetchByBranch('get_branch_sales_summary', range, 'Failed to fetch branch revenue')
+      ]);
+
+      return buildCostSummary({
+        branches: branchId ? allBranches.filter(b => b.id === branchId) : allBranches,
+        expenses,
+        rates,
+        cogsByBranch,
+        salesByBranch,
+        startDate,
+        endDate,
+        currency: target
+      });
+    } catch (error) {
+      logger.error('Failed to build cost summary', error);
+      throw error;
+    }
+  }
+};
+
+export default costModelAPI;
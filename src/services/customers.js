@@ -0,0 +1,289 @@
+// NAVA OPS - Customer Analytics Service
+// Customer directory deduplicated from order contact details, with RFM
+// segments, churn risk and the inputs the AI layer clusters and scores
+
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import { APIError } from './api';
+import { getReportingCurrency } from '@/utils/currency';
+import { getBusinessDate, getDaySettings } from '@/utils/businessDay';
+
+/**
+ * RFM segments, checked in order; the first whose rule matches applies.
+ * Scores are 1-5 quintiles within the brand's customers (5 = most recent,
+ * most frequent, highest spend).
+ */
+export const RFM_SEGMENTS = [
+  { key: 'champions', label: 'Champions', description: 'Recent, frequent and high spending', match: ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4 },
+  { key: 'loyal', label: 'Loyal', description: 'Come back often', match: ({ r, f }) => r >= 3 && f >= 4 },
+  { key: 'new', label: 'New', description: 'First visit was recent', match: ({ r, visits }) => r >= 4 && visits === 1 },
+  { key: 'potential_loyalists', label: 'Potential Loyalists', description: 'Recent with a few visits', match: ({ r, f }) => r >= 4 && f >= 2 },
+  { key: 'at_risk', label: 'At Risk', description: 'Used to visit often but have not lately', match: ({ r, f }) => r <= 2 && f >= 3 },
+  { key: 'lost', label: 'Lost', description: 'Few visits, long ago', match: ({ r, f }) => r === 1 && f <= 2 },
+  { key: 'hibernating', label: 'Hibernating', description: 'Low recency and frequency', match: ({ r, f }) => r <= 2 && f <= 2 },
+  { key: 'needs_attention', label: 'Needs Attention', description: 'Average across the board', match: () => true }
+];
+
+/**
+ * Churn risk levels
+ */
+export const CHURN_RISK = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+/**
+ * A one-visit customer is at high risk once this many days pass without a return
+ */
+export const SINGLE_VISIT_CHURN_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Quintile score (1-5) of each value among all values; equal values share a
+ * score. With `lowerIsBetter` the smallest values score 5.
+ */
+export function quintileScores(values, { lowerIsBetter = false } = {}) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const below = (value) => {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+
+  return values.map(value => {
+    const score = Math.min(5, Math.floor((below(value) / sorted.length) * 5) + 1);
+    return lowerIsBetter ? 6 - score : score;
+  });
+}
+
+/**
+ * Churn risk from the time since the last visit against the customer's own
+ * rhythm: high past twice their usual gap between visits, medium past 1.25×
+ */
+export function churnRisk({ visits, daysSinceLastVisit, averageGapDays }) {
+  if (visits <= 1 || !averageGapDays) {
+    if (daysSinceLastVisit >= SINGLE_VISIT_CHURN_DAYS) return CHURN_RISK.HIGH;
+    return daysSinceLastVisit >= SINGLE_VISIT_CHURN_DAYS / 2 ? CHURN_RISK.MEDIUM : CHURN_RISK.LOW;
+  }
+  const ratio = daysSinceLastVisit / Math.max(averageGapDays, 1);
+  if (ratio >= 2) return CHURN_RISK.HIGH;
+  return ratio >= 1.25 ? CHURN_RISK.MEDIUM : CHURN_RISK.LOW;
+}
+
+/**
+ * Add recency, visit rhythm, RFM scores, segment and churn risk to
+ * directory rows (scores are relative to the rows given)
+ * @param {Array} customers - Directory rows
+ * @param {string} asOf - Business date the analysis is made on
+ */
+export function analyzeCustomers(customers, asOf) {
+  const base = customers.map(customer => {
+    const daysSinceLastVisit = Math.max(0, daysBetween(customer.lastVisit, asOf));
+    const averageGapDays = customer.visits > 1
+      ? daysBetween(customer.firstVisit, customer.lastVisit) / (customer.visits - 1)
+      : null;
+    return { ...customer, daysSinceLastVisit, averageGapDays };
+  });
+
+  const recency = quintileScores(base.map(c => c.daysSinceLastVisit), { lowerIsBetter: true });
+  const frequency = quintileScores(base.map(c => c.visits));
+  const monetary = quintileScores(base.map(c => c.lifetimeValue));
+
+  return base.map((customer, index) => {
+    const rfm = { r: recency[index], f: frequency[index], m: monetary[index] };
+    const segment = RFM_SEGMENTS.find(s => s.match({ ...rfm, visits: customer.visits }));
+    return {
+      ...customer,
+      rfm: { ...rfm, code: `${rfm.r}${rfm.f}${rfm.m}` },
+      segment: segment.key,
+      churnRisk: churnRisk(customer)
+    };
+  });
+}
+
+/**
+ * Count customers per segment, in RFM_SEGMENTS order
+ */
+export function countSegments(customers) {
+  return RFM_SEGMENTS.map(segment => {
+    const members = customers.filter(customer => customer.segment === segment.key);
+    return {
+      key: segment.key,
+      label: segment.label,
+      description: segment.description,
+      count: members.length,
+      lifetimeValue: members.reduce((sum, customer) => sum + customer.lifetimeValue, 0)
+    };
+  });
+}
+
+/**
+ * Directory-wide figures: repeat and retention rates (percent), churn risk
+ * counts and averages. A customer is active when seen within the window.
+ */
+export function summarizeCustomers(customers, { activeDays = 90 } = {}) {
+  const total = customers.length;
+  const repeat = customers.filter(c => c.visits > 1).length;
+  const active = customers.filter(c => c.daysSinceLastVisit <= activeDays).length;
+  const highRisk = customers.filter(c => c.churnRisk === CHURN_RISK.HIGH).length;
+  const lifetimeValue = customers.reduce((sum, c) => sum + c.lifetimeValue, 0);
+  const visits = customers.reduce((sum, c) => sum + c.visits, 0);
+  const gaps = customers.filter(c => c.averageGapDays !== null);
+
+  return {
+    total,
+    active,
+    repeat,
+    highRisk,
+    repeatRate: total > 0 ? (repeat / total) * 100 : 0,
+    retentionRate: total > 0 ? (active / total) * 100 : 0,
+    churnRate: total > 0 ? (highRisk / total) * 100 : 0,
+    averageVisits: total > 0 ? visits / total : 0,
+    averageLifetimeValue: total > 0 ? lifetimeValue / total : 0,
+    averageOrderValue: visits > 0 ? lifetimeValue / visits : 0,
+    averageGapDays: gaps.length > 0 ? gaps.reduce((sum, c) => sum + c.averageGapDays, 0) / gaps.length : null
+  };
+}
+
+/**
+ * Customer rows for aiIntelligenceAPI.clusterCustomers
+ */
+export function toClusterInput(customers) {
+  return customers.map(customer => ({
+    id: customer.id,
+    name: customer.name,
+    totalSpent: customer.lifetimeValue,
+    orderCount: customer.visits,
+    averageOrderValue: customer.averageOrderValue,
+    daysSinceLastVisit: customer.daysSinceLastVisit,
+    averageGapDays: customer.averageGapDays,
+    segment: customer.segment
+  }));
+}
+
+/**
+ * Customer section of the aiIntelligenceAPI.scoreCustomer input
+ */
+export function toSatisfactionInput(customers) {
+  const summary = summarizeCustomers(customers);
+  return {
+    customers: {
+      total: summary.total,
+      repeatRate: summary.repeatRate,
+      retentionRate: summary.retentionRate,
+      churnRate: summary.churnRate,
+      averageVisits: summary.averageVisits,
+      averageLifetimeValue: summary.averageLifetimeValue,
+      averageOrderValue: summary.averageOrderValue
+    }
+  };
+}
+
+function toDirectoryRow(row) {
+  const visits = Number(row.visit_count);
+  const lifetimeValue = Number(row.lifetime_value) || 0;
+  return {
+    id: row.customer_id,
+    name: row.name || row.phone || row.email || 'Unknown',
+    phone: row.phone,
+    email: row.email,
+    firstVisit: row.first_visit,
+    lastVisit: row.last_visit,
+    visits,
+    lifetimeValue,
+    averageOrderValue: visits > 0 ? lifetimeValue / visits : 0,
+    favoriteItems: row.favorite_items || [],
+    branchCount: Number(row.branch_count),
+    currency: row.currency,
+    missingRate: !!row.missing_rate
+  };
+}
+
+/**
+ * Customers API
+ */
+export const customersAPI = {
+  /**
+   * Get the analyzed customer directory: every customer with sales, their
+   * visits, lifetime value, favorite items, RFM segment and churn risk.
+   * Amounts are in the reporting currency.
+   */
+  async getDirectory({ branchId = null, asOf = null } = {}) {
+    try {
+      const date = asOf || getBusinessDate(new Date(), getDaySettings(branchId));
+      const { data, error } = await supabase.rpc('get_customer_directory', {
+        branch_uuids: branchId ? [branchId] : null,
+        target_currency: getReportingCurrency(),
+        as_of: date
+      });
+
+      if (error) {
+        throw new APIError(error.message || 'Failed to fetch customers', error.code || 'API_ERROR', error);
+      }
+      return analyzeCustomers((data || []).map(toDirectoryRow), date);
+    } catch (error) {
+      logger.error('Failed to build customer directory', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a customer with their most recent orders
+   */
+  async getById(id, { orderLimit = 20 } = {}) {
+    const { data, error } = await supabase
+      .from('customers')
+      .select('*, orders(id, order_number, business_date, total, refunded_amount, status, branches(name))')
+      .eq('id', id)
+      .order('business_date', { referencedTable: 'orders', ascending: false })
+      .limit(orderLimit, { referencedTable: 'orders' })
+      .single();
+
+    if (error) {
+      logger.error('Failed to fetch customer', error);
+      throw new APIError(error.message || 'Failed to fetch customer', error.code || 'API_ERROR', error);
+    }
+    return data;
+  },
+
+  /**
+   * Update a customer's name, contact details or notes
+   */
+  async update(id, { name, phone, email, notes }) {
+    const { data, error } = await supabase
+      .from('customers')
+      .update({ name, phone, email, notes })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to update customer', error);
+      throw new APIError(error.message || 'Failed to update customer', error.code || 'API_ERROR', error);
+    }
+    return data;
+  },
+
+  /**
+   * Merge a duplicate customer (and its orders) into another
+   */
+  async merge(keepId, duplicateId) {
+    const { data, error } = await supabase.rpc('merge_customers', { keep_uuid: keepId, merge_uuid: duplicateId });
+
+    if (error) {
+      logger.error('Failed to merge customers', error);
+      throw new APIError(error.message || 'Failed to merge customers', error.code || 'API_ERROR', error);
+    }
+    return data;
+  }
+};
+
+export default customersAPI;
@@ -0,0 +1,112 @@
+// NAVA OPS - Data Import Service
+// Runs bulk imports of orders and products in chunks. Each chunk and the
+// batch's progress are written in one transaction, so an import stopped by
+// an error, a pause or a closed tab resumes from its last chunk.
+
+import { logger } from '@/lib/logger';
+import { IMPORT_ENTITIES, validateImport } from '@/lib/importEngine';
+import { importsAPI, inventoryAPI } from './api';
+
+// Records of batches started in this session; others are loaded from Storage
+const sessionRecords = new Map();
+
+/**
+ * Data Import API
+ */
+export const dataImportAPI = {
+  /**
+   * Validate mapped rows against the brand's branches, products and orders
+   * @param {string} entity - IMPORT_ENTITIES key
+   * @param {Array} rows - Rows from readSpreadsheet
+   * @param {Object} mapping - Field key -> column index
+   * @param {Object} options - { dateFormat, defaultBranchId, branches }
+   */
+  async validate(entity, rows, mapping, { dateFormat, defaultBranchId, branches }) {
+    const products = await inventoryAPI.getProducts() || [];
+    let existingOrderNumbers = new Set();
+
+    if (entity === 'orders' && mapping.order_number !== undefined) {
+      const numbers = [...new Set(rows
+        .map(row => String(row.cells[mapping.order_number] ?? '').trim())
+        .filter(Boolean))];
+      existingOrderNumbers = await importsAPI.findExistingOrderNumbers(numbers);
+    }
+
+    return validateImport(entity, rows, mapping, {
+      dateFormat,
+      defaultBranchId,
+      branches,
+      products,
+      existingOrderNumbers
+    });
+  },
+
+  /**
+   * Create a batch for validated records
+   * @returns {Promise<Object>} The batch, ready for run()
+   */
+  async start({ entity, fileName, mapping, records, skippedRows }) {
+    const batch = await importsAPI.create({
+      entity,
+      file_name: fileName,
+      mapping,
+      skipped_rows: skippedRows
+    }, records);
+
+    sessionRecords.set(batch.id, records);
+    return batch;
+  },
+
+  /**
+   * Import a batch from its current progress to the end
+   * @param {Object} batch - Batch row
+   * @param {Object} options
+   * @param {Function} [options.onProgress] - Called with the updated batch after every chunk
+   * @param {Function} [options.shouldStop] - Checked between chunks; true pauses the import
+   * @returns {Promise<Object>} The batch as it stands when the run ends
+   */
+  async run(batch, { onProgress, shouldStop } = {}) {
+    const records = sessionRecords.get(batch.id) || await importsAPI.getRecords(batch);
+    const { chunkSize } = IMPORT_ENTITIES[batch.entity];
+    let current = batch;
+
+    try {
+      while (current.processed_rows < records.length) {
+        if (shouldStop?.()) return current;
+
+        const nextRow = Math.min(current.processed_rows + chunkSize, records.length);
+        current = await importsAPI.applyChunk(batch.id, records.slice(current.processed_rows, nextRow), nextRow);
+        onProgress?.(current);
+      }
+    } catch (error) {
+      return importsAPI.markFailed(batch.id, error.message);
+    }
+
+    await this.release(current);
+    return current;
+  },
+
+  /**
+   * Remove everything a batch imported
+   * @returns {Promise<Object>} The undone batch
+   */
+  async undo(batch) {
+    const undone = await importsAPI.undo(batch.id);
+    await this.release(undone);
+    return undone;
+  },
+
+  /**
+   * Forget a finished batch's stored records; they are only needed to resume
+   */
+  async release(batch) {
+    sessionRecords.delete(batch.id);
+    try {
+      await importsAPI.removeRecords(batch);
+    } catch (error) {
+      logger.warn('Failed to remove stored import records', error);
+    }
+  }
+};
+
+export default dataImportAPI;
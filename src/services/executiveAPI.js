@@ -4,6 +4,10 @@
 import { supabase } from '@/lib/supabase';
 import { logger } from '@/lib/logger';
 import api from './api';
+import costModelAPI from './costModel';
+import laborAnalyticsAPI from './laborAnalytics';
+import performanceScoringAPI from './performanceScoring';
+import { getBusinessDate, getBusinessDayRange, shiftDate } from '@/utils/businessDay';
 
 /**
  * Executive API - High-level business intelligence endpoints
@@ -14,47 +18,32 @@ export const executiveAPI = {
    */
   async getExecutiveOverview(days = 365) {
     try {
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
-      const startDateStr = startDate.toISOString().split('T')[0];
+      const { startDate: startDateStr, endDate: todayStr } = getBusinessDayRange(days);
 
       // Get previous period for comparison
-      const previousStartDate = new Date(startDate);
-      previousStartDate.setDate(previousStartDate.getDate() - days);
-      const previousStartDateStr = previousStartDate.toISOString().split('T')[0];
+      const previousStartDateStr = shiftDate(startDateStr, -days);
+      const previousEndDateStr = shiftDate(startDateStr, -1);
 
       // Fetch all branches
       const branches = await api.branches.getAll();
       const activeBranches = branches.filter(b => b.status === 'active');
 
-      // Fetch current period orders
-      const currentOrders = await api.orders.getAll({
-        startDate: startDateStr
-      });
-
-      // Fetch previous period orders
-      const previousOrders = await api.orders.getAll({
-        startDate: previousStartDateStr,
-        endDate: startDateStr
-      });
+      // Revenue and costs from the cost model (expense ledger + COGS)
+      const [current, previous] = await Promise.all([
+        costModelAPI.getCostSummary({ startDate: startDateStr, endDate: todayStr }),
+        costModelAPI.getCostSummary({ startDate: previousStartDateStr, endDate: previousEndDateStr })
+      ]);
 
-      // Calculate metrics
-      const currentRevenue = currentOrders.reduce((sum, order) =>
-        sum + (order.status === 'completed' ? Number(order.total) : 0), 0
-      );
-
-      const previousRevenue = previousOrders.reduce((sum, order) =>
-        sum + (order.status === 'completed' ? Number(order.total) : 0), 0
-      );
+      const currentRevenue = current.totals.revenue;
+      const previousRevenue = previous.totals.revenue;
 
       const revenueChange = previousRevenue > 0
         ? ((currentRevenue - previousRevenue) / previousRevenue) * 100
         : 0;
 
-      // Calculate costs (estimated at 65% of revenue)
-      const currentCosts = currentRevenue * 0.65;
-      const currentProfit = currentRevenue - currentCosts;
-      const previousProfit = previousRevenue - (previousRevenue * 0.65);
+      const currentCosts = current.totals.totalCosts;
+      const currentProfit = current.totals.netProfit;
+      const previousProfit = previous.totals.netProfit;
       const profitChange = previousProfit > 0
         ? ((currentProfit - previousProfit) / previousProfit) * 100
         : 0;
@@ -62,21 +51,34 @@ export const executiveAPI = {
       // Get team data
       const teamMembers = await api.team.getAll();
 
+      // Headcount change: members who joined during the period against those
+      // already on the team at its start, and how many of the latter stayed
+      const joinedOn = (member) => getBusinessDate(new Date(member.joined_at || member.invited_at || member.created_at));
+      const existingMembers = teamMembers.filter(member => joinedOn(member) < startDateStr);
+      const newMembers = teamMembers.length - existingMembers.length;
+      const retainedMembers = existingMembers.filter(member => member.status === 'active').length;
+
       return {
         totalRevenue: Math.round(currentRevenue),
         revenueChange: Math.round(revenueChange * 10) / 10,
+        totalCosts: Math.round(currentCosts),
         netProfit: Math.round(currentProfit),
         profitChange: Math.round(profitChange * 10) / 10,
-        profitMargin: ((currentProfit / currentRevenue) * 100) || 35,
+        profitMargin: current.totals.profitMargin,
+        costsEstimated: current.totals.estimated,
+        estimatedBranches: current.totals.estimatedBranches,
         totalBranches: branches.length,
         activeBranches: activeBranches.length,
         branchGrowth: branches.filter(b => {
-          const created = new Date(b.created_at);
-          return created >= startDate;
+          return getBusinessDate(new Date(b.created_at)) >= startDateStr;
         }).length,
         totalEmployees: teamMembers.length,
-        employeeGrowth: 5.2, // Mock data
-        employeeRetention: 92.5 // Mock data
+        employeeGrowth: existingMembers.length > 0
+          ? Math.round((newMembers / existingMembers.length) * 1000) / 10
+          : 0,
+        employeeRetention: existingMembers.length > 0
+          ? Math.round((retainedMembers / existingMembers.length) * 1000) / 10
+          : 100
       };
     } catch (error) {
       logger.error('Failed to fetch executive overview', error);
@@ -199,31 +201,45 @@ export const executiveAPI = {
   },
 
   /**
-   * Get employee performance summary
+   * Get employee performance scores for the last `days` days, best first
+   * (employees with nothing to score yet come last with a null score)
    */
   async getEmployeePerformance(days = 30) {
     try {
-      const teamMembers = await api.team.getAll();
-      const branches = await api.branches.getAll();
+      const scores = await performanceScoringAPI.getScores(getBusinessDayRange(days));
+
+      return scores.map(employee => ({
+        ...employee,
+        performance: employee.score,
+        sales: employee.metrics.sales,
+        rating: employee.metrics.averageRating
+      })).sort((a, b) => (b.performance ?? -1) - (a.performance ?? -1));
+    } catch (error) {
+      logger.error('Failed to fetch employee performance', error);
+      throw error;
+    }
+  },
 
-      // Create performance data for each employee
-      return teamMembers.map(member => {
-        const branch = branches.find(b =>
-          member.branch_ids && member.branch_ids.includes(b.id)
-        );
+  /**
+   * Get labor efficiency: labor cost %, sales per labor hour and hours,
+   * consolidated and per branch (highest labor cost % first)
+   */
+  async getLaborEfficiency(days = 30) {
+    try {
+      const summary = await laborAnalyticsAPI.getLaborSummary(getBusinessDayRange(days));
+      const target = summary.targetLaborCostPercent;
 
-        return {
-          id: member.id,
-          name: member.member?.full_name || 'Unknown',
-          branch: branch?.name || 'Unassigned',
-          role: member.role || 'Staff',
-          performance: Math.round(Math.random() * 40 + 60), // 60-100%
-          sales: Math.round(Math.random() * 50000 + 10000), // SAR 10k-60k
-          rating: (Math.random() * 2 + 3).toFixed(1) // 3.0-5.0
-        };
-      }).sort((a, b) => b.performance - a.performance);
+      return {
+        ...summary,
+        branches: summary.branches
+          .map(branch => ({
+            ...branch,
+            overTarget: branch.laborCostPercent !== null && branch.laborCostPercent > target
+          }))
+          .sort((a, b) => (b.laborCostPercent ?? -1) - (a.laborCostPercent ?? -1))
+      };
     } catch (error) {
-      logger.error('Failed to fetch employee performance', error);
+      logger.error('Failed to fetch labor efficiency', error);
       throw error;
     }
   },
@@ -292,8 +308,8 @@ export const executiveAPI = {
    */
   async getMultiYearTrends() {
     try {
-      // Fetch revenue trends for different time periods
-      const currentYear = await api.analytics.getRevenueTrends(null, 365);
+      // Fetch monthly revenue for the last year
+      const currentYear = await api.analytics.getRevenueTrends(null, 365, 'month');
 
       // Generate monthly aggregates
       const monthlyData = {};
@@ -329,13 +345,14 @@ export const executiveAPI = {
       const overview = await this.getExecutiveOverview(days);
 
       const revenue = overview.totalRevenue;
-      const costs = revenue * 0.65; // 65% costs
-      const profit = revenue - costs;
+      const costs = overview.totalCosts;
+      const profit = overview.netProfit;
+      const estimated = overview.costsEstimated;
 
       return [
-        { name: 'Revenue', value: Math.round(revenue), color: '#10B981' },
-        { name: 'Costs', value: Math.round(costs), color: '#EF4444' },
-        { name: 'Profit', value: Math.round(profit), color: '#0088FF' }
+        { name: 'Revenue', value: Math.round(revenue), color: '#10B981', estimated: false },
+        { name: 'Costs', value: Math.round(costs), color: '#EF4444', estimated },
+        { name: 'Profit', value: Math.round(profit), color: '#0088FF', estimated }
       ];
     } catch (error) {
       logger.error('Failed to fetch cost vs revenue', error);
@@ -348,13 +365,28 @@ export const executiveAPI = {
    */
   async getProfitabilityMap(days = 30) {
     try {
-      const branchComparison = await api.analytics.getBranchComparison(days);
+      const [branchComparison, summary] = await Promise.all([
+        api.analytics.getBranchComparison(days),
+        costModelAPI.getCostSummary(getBusinessDayRange(days))
+      ]);
+
+      const costsByBranch = {};
+      summary.branches.forEach(branch => {
+        costsByBranch[branch.id] = branch;
+      });
 
-      return branchComparison.map(branch => ({
-        ...branch,
-        profit: Math.round(branch.revenue * 0.35), // 35% profit margin
-        profitMargin: 35
-      })).sort((a, b) => b.profit - a.profit);
+      return branchComparison.map(branch => {
+        const costs = costsByBranch[branch.id];
+        const profit = costs ? branch.revenue - costs.totalCosts : 0;
+
+        return {
+          ...branch,
+          costs: costs ? Math.round(costs.totalCosts) : 0,
+          profit: Math.round(profit),
+          profitMargin: branch.revenue > 0 ? Math.round((profit / branch.revenue) * 1000) / 10 : 0,
+          estimated: costs ? costs.estimated : true
+        };
+      }).sort((a, b) => b.profit - a.profit);
     } catch (error) {
       logger.error('Failed to fetch profitability map', error);
       throw error;
@@ -490,12 +522,13 @@ export const executiveAPI = {
    */
   async getConsolidatedReports(days = 30) {
     try {
+      const today = getBusinessDate();
       const reports = [
         {
           id: 1,
           title: 'Executive Summary Report',
           description: 'Comprehensive overview of business performance across all metrics',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 12,
           type: 'executive'
         },
@@ -503,7 +536,7 @@ export const executiveAPI = {
           id: 2,
           title: 'Financial Performance Report',
           description: 'Detailed financial analysis including P&L, cash flow, and forecasts',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 18,
           type: 'financial'
         },
@@ -511,7 +544,7 @@ export const executiveAPI = {
           id: 3,
           title: 'Branch Performance Analysis',
           description: 'Individual branch metrics, comparisons, and improvement recommendations',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 24,
           type: 'operations'
         },
@@ -519,7 +552,7 @@ export const executiveAPI = {
           id: 4,
           title: 'Market & Competitive Analysis',
           description: 'Market trends, competitor analysis, and strategic positioning',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 15,
           type: 'market'
         },
@@ -527,7 +560,7 @@ export const executiveAPI = {
           id: 5,
           title: 'Employee Performance Report',
           description: 'Team productivity, satisfaction scores, and retention analytics',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 10,
           type: 'hr'
         },
@@ -535,7 +568,7 @@ export const executiveAPI = {
           id: 6,
           title: 'Customer Insights Report',
           description: 'Customer behavior analysis, satisfaction metrics, and loyalty trends',
-          date: new Date().toISOString().split('T')[0],
+          date: today,
           pages: 14,
           type: 'customer'
         }
@@ -0,0 +1,244 @@
+// NAVA OPS - Labor Analytics Service
+// Labor cost %, sales per labor hour and recommended staffing from rosters,
+// performance entries, wages and sales
+
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import api, { APIError } from './api';
+import { getReportingCurrency } from '@/utils/currency';
+import { isOpenAt, shiftDate } from '@/utils/businessDay';
+import { getHourlyCoverage } from '@/utils/rostering';
+
+/**
+ * Labor cost as a share of sales when the brand has not set a target
+ */
+export const DEFAULT_TARGET_LABOR_PERCENT = 25;
+
+/**
+ * Minimum headcount for any open hour, however quiet
+ */
+export const MIN_STAFF_PER_SLOT = 1;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Total daily labor rows into labor metrics.
+ * Each day uses its actual hours (performance entries) when recorded and its
+ * scheduled hours otherwise, so partially logged periods still add up.
+ */
+export function summarizeLabor(rows = []) {
+  const totals = rows.reduce((acc, row) => {
+    const scheduledHours = Number(row.scheduled_hours) || 0;
+    const scheduledCost = Number(row.scheduled_cost) || 0;
+    const hasActual = row.actual_hours !== null && row.actual_hours !== undefined;
+
+    acc.revenue += Number(row.revenue) || 0;
+    acc.scheduledHours += scheduledHours;
+    acc.scheduledCost += scheduledCost;
+    acc.unpricedHours += Number(row.unpriced_hours) || 0;
+    if (hasActual) {
+      acc.actualHours += Number(row.actual_hours) || 0;
+      acc.actualCost += Number(row.actual_cost) || 0;
+      acc.actualDays += 1;
+    }
+    acc.laborHours += hasActual ? Number(row.actual_hours) || 0 : scheduledHours;
+    acc.laborCost += hasActual ? Number(row.actual_cost) || 0 : scheduledCost;
+    return acc;
+  }, {
+    revenue: 0,
+    scheduledHours: 0,
+    scheduledCost: 0,
+    unpricedHours: 0,
+    actualHours: 0,
+    actualCost: 0,
+    actualDays: 0,
+    laborHours: 0,
+    laborCost: 0
+  });
+
+  return {
+    revenue: round2(totals.revenue),
+    scheduledHours: round1(totals.scheduledHours),
+    scheduledCost: round2(totals.scheduledCost),
+    unpricedHours: round1(totals.unpricedHours),
+    actualHours: round1(totals.actualHours),
+    actualCost: round2(totals.actualCost),
+    actualDays: totals.actualDays,
+    laborHours: round1(totals.laborHours),
+    laborCost: round2(totals.laborCost),
+    laborCostPercent: totals.revenue > 0 ? round1((totals.laborCost / totals.revenue) * 100) : null,
+    scheduledLaborCostPercent: totals.revenue > 0 ? round1((totals.scheduledCost / totals.revenue) * 100) : null,
+    salesPerLaborHour: totals.laborHours > 0 ? round2(totals.revenue / totals.laborHours) : null
+  };
+}
+
+/**
+ * Sales one labor hour should cover: the brand's explicit target, or the
+ * average wage divided by the target labor cost share
+ */
+export function resolveSalesPerLaborHourTarget(brand, averageWage) {
+  const explicit = Number(brand?.target_sales_per_labor_hour);
+  if (explicit > 0) return explicit;
+
+  const laborPercent = Number(brand?.target_labor_cost_percent) || DEFAULT_TARGET_LABOR_PERCENT;
+  return averageWage > 0 ? round2(averageWage / (laborPercent / 100)) : null;
+}
+
+/**
+ * Labor Analytics API
+ */
+export const laborAnalyticsAPI = {
+  /**
+   * Get labor cost %, sales per labor hour and hours per branch and in total.
+   * Amounts are in the reporting currency unless `currency` is given
+   * (null = the branch's local currency, for single-branch views).
+   */
+  async getLaborSummary({ startDate, endDate, branchId = null, currency = undefined } = {}) {
+    try {
+      const target = currency === undefined ? getReportingCurrency() : currency;
+
+      const [brand, allBranches, { data, error }] = await Promise.all([
+        api.brand.get(),
+        api.branches.getAll(),
+        supabase.rpc('get_labor_daily', {
+          start_date: startDate,
+          end_date: endDate,
+          branch_uuids: branchId ? [branchId] : null,
+          target_currency: target
+        })
+      ]);
+
+      if (error) {
+        throw new APIError(error.message || 'Failed to fetch labor data', error.code || 'API_ERROR', error);
+      }
+
+      const rows = data || [];
+      const branches = branchId ? allBranches.filter(b => b.id === branchId) : allBranches;
+
+      const branchSummaries = branches.map(branch => {
+        const branchRows = rows.filter(row => row.branch_id === branch.id);
+        return {
+          id: branch.id,
+          name: branch.name,
+          code: branch.code,
+          currency: target || branch.currency,
+          ...summarizeLabor(branchRows)
+        };
+      });
+
+      // Consolidated day-by-day series
+      const byDate = {};
+      rows.forEach(row => {
+        if (!byDate[row.business_date]) byDate[row.business_date] = [];
+        byDate[row.business_date].push(row);
+      });
+      const daily = Object.keys(byDate).sort().map(date => ({
+        date,
+        ...summarizeLabor(byDate[date])
+      }));
+
+      return {
+        period: { startDate, endDate },
+        currency: target,
+        missingRate: rows.some(row => row.missing_rate),
+        targetLaborCostPercent: Number(brand?.target_labor_cost_percent) || DEFAULT_TARGET_LABOR_PERCENT,
+        totals: summarizeLabor(rows),
+        branches: branchSummaries,
+        daily
+      };
+    } catch (error) {
+      logger.error('Failed to build labor summary', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get recommended vs scheduled headcount per weekday × hour for a branch.
+   * Expected sales per slot are the average of the last `days` days; the
+   * recommendation is expected sales over the sales-per-labor-hour target
+   * (at least MIN_STAFF_PER_SLOT while open). Scheduled coverage comes from
+   * the roster of `weekStart`. Amounts are in the branch's local currency,
+   * like its wages.
+   */
+  async getStaffingRecommendations({ branchId, weekStart, days = 28 }) {
+    try {
+      const weekEnd = shiftDate(weekStart, 6);
+
+      const brand = await api.brand.get();
+      const [heatmaps, staff, shifts] = await Promise.all([
+        api.analytics.getSalesHeatmap({ branchIds: [branchId], days, currency: null }),
+        supabase
+          .from('user_profiles')
+          .select('id, hourly_wage')
+          .eq('brand_id', brand.id)
+          .not('hourly_wage', 'is', null),
+        supabase
+          .from('shifts')
+          .select('id, employee_id, shift_date, start_time, end_time, break_minutes')
+          .eq('branch_id', branchId)
+          .gte('shift_date', weekStart)
+          .lte('shift_date', weekEnd)
+      ]);
+
+      const queryError = staff.error || shifts.error;
+      if (queryError) {
+        throw new APIError(queryError.message || 'Failed to fetch staffing data', queryError.code || 'API_ERROR', queryError);
+      }
+
+      const heatmap = heatmaps[0];
+      if (!heatmap) throw new Error('Branch not found');
+
+      const wages = (staff.data || []).map(member => Number(member.hourly_wage)).filter(wage => wage > 0);
+      const averageWage = wages.length > 0
+        ? round2(wages.reduce((sum, wage) => sum + wage, 0) / wages.length)
+        : Number(brand?.default_hourly_wage) || 0;
+      const targetSalesPerLaborHour = resolveSalesPerLaborHourTarget(brand, averageWage);
+
+      const coverage = getHourlyCoverage(shifts.data || [], heatmap.dayCloseTime);
+
+      let recommendedHours = 0;
+      let scheduledHours = 0;
+      const grid = heatmap.grid.map((hours, weekday) => hours.map((cell, hour) => {
+        const open = isOpenAt(heatmap.businessHours, weekday, hour, heatmap.dayCloseTime);
+        const trading = open === true || cell.avgRevenue > 0;
+        const recommended = trading && targetSalesPerLaborHour
+          ? Math.max(open === false ? 0 : MIN_STAFF_PER_SLOT, Math.ceil(cell.avgRevenue / targetSalesPerLaborHour))
+          : 0;
+        const scheduled = round1(coverage[weekday][hour]);
+
+        recommendedHours += recommended;
+        scheduledHours += scheduled;
+
+        return {
+          expectedRevenue: cell.avgRevenue,
+          recommended,
+          scheduled,
+          gap: round1(scheduled - recommended)
+        };
+      }));
+
+      return {
+        branchId,
+        name: heatmap.name,
+        currency: heatmap.currency,
+        businessHours: heatmap.businessHours,
+        dayCloseTime: heatmap.dayCloseTime,
+        weekStart,
+        averageWage,
+        targetSalesPerLaborHour,
+        grid,
+        totals: {
+          recommendedHours,
+          scheduledHours: round1(scheduledHours),
+          difference: round1(scheduledHours - recommendedHours)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to build staffing recommendations', error);
+      throw error;
+    }
+  }
+};
+
+export default laborAnalyticsAPI;
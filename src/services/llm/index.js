@@ -0,0 +1,3 @@
+// Providers live with the Edge Functions, which call them server-side
+export * from '../../../supabase/functions/_shared/llm/index.js';
+export { default } from '../../../supabase/functions/_shared/llm/index.js';
@@ -0,0 +1,227 @@
+// NAVA OPS - Menu Engineering Service
+// Kasavana–Smith menu engineering matrix computed from per-item sales and products
+
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import { APIError } from './api';
+import { getPreviousPeriod } from '@/utils/businessDay';
+import { getReportingCurrency } from '@/utils/currency';
+
+/**
+ * Menu engineering quadrants
+ */
+export const MENU_CLASSES = {
+  STAR: 'star',
+  PLOWHORSE: 'plowhorse',
+  PUZZLE: 'puzzle',
+  DOG: 'dog'
+};
+
+/**
+ * Kasavana–Smith popularity factor: an item is popular when its menu mix
+ * share reaches 70% of the share it would have if all items sold equally.
+ */
+export const POPULARITY_FACTOR = 0.7;
+
+/**
+ * Fetch per-item sales for a window (completed or refunded orders), rolled
+ * up on the server with product pricing, net of refunded units and in the
+ * given currency
+ */
+async function fetchItemSales({ branchId = null, startDate, endDate, currency }) {
+  const { data, error } = await supabase.rpc('get_menu_item_sales', {
+    start_date: startDate,
+    end_date: endDate,
+    branch_uuids: branchId ? [branchId] : null,
+    target_currency: currency
+  });
+
+  if (error) {
+    logger.error('Failed to fetch menu item sales', error);
+    throw new APIError(error.message || 'Failed to fetch menu item sales', error.code || 'API_ERROR', error);
+  }
+
+  return data || [];
+}
+
+const toNumberOrNull = (value) => (value !== null && value !== undefined ? Number(value) : null);
+
+/**
+ * Shape per-item sales rows into menu items
+ */
+export function aggregateItemSales(rows) {
+  return rows.map(row => {
+    const quantity = Number(row.quantity) || 0;
+    const revenue = Number(row.revenue) || 0;
+    const listPrice = toNumberOrNull(row.list_price);
+
+    return {
+      key: row.product_id || row.product_name,
+      productId: row.product_id,
+      name: row.product_name,
+      categoryId: row.category_id || null,
+      category: row.category_name || 'Uncategorized',
+      listPrice,
+      cost: toNumberOrNull(row.cost),
+      quantity,
+      revenue,
+      price: listPrice !== null ? listPrice : (quantity > 0 ? revenue / quantity : 0)
+    };
+  });
+}
+
+/**
+ * Classify menu items using the Kasavana–Smith thresholds.
+ *
+ * Popularity threshold: (1 / itemCount) × 70% of the menu mix.
+ * Profitability threshold: quantity-weighted average contribution margin.
+ * Items without a recorded cost cannot be placed on the CM axis and are
+ * returned with a null classification.
+ *
+ * @param {Array} items - Aggregated items ({ quantity, revenue, price, cost })
+ * @returns {Object} Classified items, thresholds and totals
+ */
+export function classifyMenuItems(items) {
+  const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const costed = items.filter(item => item.cost !== null);
+  const costedQuantity = costed.reduce((sum, item) => sum + item.quantity, 0);
+  const totalContribution = costed.reduce(
+    (sum, item) => sum + (item.price - item.cost) * item.quantity, 0
+  );
+
+  const popularityThreshold = items.length > 0 ? (1 / items.length) * POPULARITY_FACTOR : 0;
+  const marginThreshold = costedQuantity > 0 ? totalContribution / costedQuantity : 0;
+
+  const classified = items.map(item => {
+    const menuMix = totalQuantity > 0 ? item.quantity / totalQuantity : 0;
+    const contributionMargin = item.cost !== null ? item.price - item.cost : null;
+    const highPopularity = menuMix >= popularityThreshold;
+
+    let classification = null;
+    if (contributionMargin !== null) {
+      const highMargin = contributionMargin >= marginThreshold;
+      if (highPopularity && highMargin) classification = MENU_CLASSES.STAR;
+      else if (highPopularity) classification = MENU_CLASSES.PLOWHORSE;
+      else if (highMargin) classification = MENU_CLASSES.PUZZLE;
+      else classification = MENU_CLASSES.DOG;
+    }
+
+    return {
+      ...item,
+      menuMix,
+      contributionMargin,
+      totalContribution: contributionMargin !== null ? contributionMargin * item.quantity : null,
+      marginPercent: contributionMargin !== null && item.price > 0 ? contributionMargin / item.price : null,
+      highPopularity,
+      classification
+    };
+  });
+
+  const totalRevenue = items.reduce((sum, item) => sum + item.revenue, 0);
+  const totalCost = costed.reduce((sum, item) => sum + item.cost * item.quantity, 0);
+
+  return {
+    items: classified.sort((a, b) => b.quantity - a.quantity),
+    thresholds: {
+      popularity: popularityThreshold,
+      contributionMargin: marginThreshold
+    },
+    totals: {
+      items: items.length,
+      quantity: totalQuantity,
+      revenue: totalRevenue,
+      contribution: totalContribution,
+      foodCostPercent: totalRevenue > 0 ? totalCost / totalRevenue : null,
+      uncostedItems: items.length - costed.length
+    },
+    counts: Object.values(MENU_CLASSES).reduce((acc, cls) => {
+      acc[cls] = classified.filter(item => item.classification === cls).length;
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Build a matrix per category (items compete only within their own category)
+ */
+function classifyByCategory(items) {
+  const groups = {};
+  items.forEach(item => {
+    if (!groups[item.category]) groups[item.category] = [];
+    groups[item.category].push(item);
+  });
+
+  return Object.entries(groups)
+    .map(([category, categoryItems]) => ({ category, ...classifyMenuItems(categoryItems) }))
+    .sort((a, b) => b.totals.revenue - a.totals.revenue);
+}
+
+/**
+ * Menu Engineering API
+ */
+export const menuEngineeringAPI = {
+  /**
+   * Get the menu engineering matrix for a window, with category drilldown
+   * and quadrant movement versus the previous period of equal length.
+   * Amounts are in the reporting currency; missingRate is set when a
+   * branch's sales could not be converted.
+   */
+  async getMatrix({ branchId = null, startDate, endDate, compare = true, currency = getReportingCurrency() } = {}) {
+    try {
+      const previous = getPreviousPeriod(startDate, endDate);
+
+      const [currentRows, previousRows] = await Promise.all([
+        fetchItemSales({ branchId, startDate, endDate, currency }),
+        compare ? fetchItemSales({ branchId, currency, ...previous }) : Promise.resolve([])
+      ]);
+
+      const currentItems = aggregateItemSales(currentRows);
+      const matrix = classifyMenuItems(currentItems);
+      const previousMatrix = compare ? classifyMenuItems(aggregateItemSales(previousRows)) : null;
+
+      const previousByKey = {};
+      (previousMatrix?.items || []).forEach(item => {
+        previousByKey[item.key] = item;
+      });
+
+      const movements = [];
+      matrix.items = matrix.items.map(item => {
+        const prev = previousByKey[item.key];
+        const quantityChange = prev && prev.quantity > 0
+          ? ((item.quantity - prev.quantity) / prev.quantity) * 100
+          : null;
+
+        if (prev && prev.classification && item.classification && prev.classification !== item.classification) {
+          movements.push({
+            key: item.key,
+            name: item.name,
+            category: item.category,
+            from: prev.classification,
+            to: item.classification
+          });
+        }
+
+        return {
+          ...item,
+          previousClassification: prev?.classification || null,
+          quantityChange
+        };
+      });
+
+      return {
+        period: { startDate, endDate },
+        previousPeriod: compare ? previous : null,
+        currency,
+        missingRate: currentRows.some(row => row.missing_rate),
+        ...matrix,
+        categories: classifyByCategory(currentItems),
+        movements
+      };
+    } catch (error) {
+      logger.error('Failed to build menu engineering matrix', error);
+      throw error;
+    }
+  }
+};
+
+export default menuEngineeringAPI;
@@ -0,0 +1,274 @@
+// NAVA OPS - Performance Scoring Service
+// Weighted employee scores from tasks, attributed sales, attendance and
+// manager reviews, with brand-editable weights and per-period history
+
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import api, { APIError } from './api';
+import { getReportingCurrency } from '@/utils/currency';
+
+/**
+ * Score components in display order
+ */
+export const SCORE_COMPONENTS = [
+  { key: 'tasks', label: 'Task completion' },
+  { key: 'on_time', label: 'On-time tasks' },
+  { key: 'sales', label: 'Sales' },
+  { key: 'attendance', label: 'Attendance' },
+  { key: 'reviews', label: 'Manager reviews' }
+];
+
+/**
+ * Weights used until a brand saves its own (relative, need not sum to 100)
+ */
+export const DEFAULT_PERFORMANCE_WEIGHTS = {
+  tasks: 25,
+  on_time: 15,
+  sales: 30,
+  attendance: 15,
+  reviews: 15
+};
+
+/**
+ * Share of an attended shift lost by clocking in late
+ */
+export const LATE_ARRIVAL_PENALTY = 0.5;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Merge stored weights over the defaults, dropping invalid values
+ */
+export function normalizeWeights(weights = {}) {
+  return SCORE_COMPONENTS.reduce((acc, { key }) => {
+    const value = Number(weights?.[key]);
+    acc[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_PERFORMANCE_WEIGHTS[key];
+    return acc;
+  }, {});
+}
+
+/**
+ * Component scores (0-100) for one employee's inputs.
+ * A component is null when there is nothing to judge (no tasks, no shifts,
+ * no attributed sales, no reviews) so it does not count against anyone.
+ * Sales are scored against the period's top seller.
+ */
+export function scoreComponents(input, { topSales = 0 } = {}) {
+  const assigned = Number(input.tasks_assigned) || 0;
+  const due = Number(input.tasks_due) || 0;
+  const scheduled = Number(input.shifts_scheduled) || 0;
+  const sales = Number(input.sales) || 0;
+  const reviews = Number(input.review_count) || 0;
+
+  const attended = (Number(input.shifts_attended) || 0) - (Number(input.shifts_late) || 0) * LATE_ARRIVAL_PENALTY;
+
+  return {
+    tasks: assigned > 0 ? round1((Number(input.tasks_completed) / assigned) * 100) : null,
+    on_time: due > 0 ? round1((Number(input.tasks_on_time) / due) * 100) : null,
+    sales: topSales > 0 && Number(input.order_count) > 0 ? round1((sales / topSales) * 100) : null,
+    attendance: scheduled > 0 ? round1((Math.max(0, attended) / scheduled) * 100) : null,
+    reviews: reviews > 0 ? round1((Number(input.average_rating) / 5) * 100) : null
+  };
+}
+
+/**
+ * Weighted average of the available components; weights of missing
+ * components are spread over the rest. Null when nothing is available.
+ */
+export function weightedScore(components, weights) {
+  let total = 0;
+  let weightSum = 0;
+
+  SCORE_COMPONENTS.forEach(({ key }) => {
+    if (components[key] === null || components[key] === undefined) return;
+    total += components[key] * weights[key];
+    weightSum += weights[key];
+  });
+
+  return weightSum > 0 ? Math.round(total / weightSum) : null;
+}
+
+/**
+ * Performance Scoring API
+ */
+export const performanceScoringAPI = {
+  /**
+   * Get the brand's scoring weights
+   */
+  async getWeights() {
+    const brand = await api.brand.get();
+    return normalizeWeights(brand?.performance_weights);
+  },
+
+  /**
+   * Save the brand's scoring weights
+   */
+  async saveWeights(weights) {
+    try {
+      const brand = await api.brand.get();
+      const updated = await api.brand.update({ id: brand.id, performance_weights: normalizeWeights(weights) });
+      return normalizeWeights(updated.performance_weights);
+    } catch (error) {
+      logger.error('Failed to save performance weights', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Score every staff member of the brand for a window.
+   * Each row carries its components, raw metrics and the last score recorded
+   * for an earlier period (for trends). Sales are in the reporting currency.
+   */
+  async getScores({ startDate, endDate }) {
+    try {
+      const brand = await api.brand.get();
+      const currency = getReportingCurrency();
+
+      const [branches, inputs, history] = await Promise.all([
+        api.branches.getAll(),
+        supabase.rpc('get_employee_performance_inputs', {
+          brand_uuid: brand.id,
+          start_date: startDate,
+          end_date: endDate,
+          target_currency: currency
+        }),
+        supabase
+          .from('employee_performance_scores')
+          .select('employee_id, score, period_start, period_end')
+          .eq('brand_id', brand.id)
+          .lt('period_end', startDate)
+          .order('period_end', { ascending: false })
+      ]);
+
+      const queryError = inputs.error || history.error;
+      if (queryError) {
+        throw new APIError(queryError.message || 'Failed to fetch performance inputs', queryError.code || 'API_ERROR', queryError);
+      }
+
+      const weights = normalizeWeights(brand.performance_weights);
+      const rows = inputs.data || [];
+      const topSales = Math.max(0, ...rows.map(row => Number(row.sales) || 0));
+
+      return rows.map(row => {
+        const components = scoreComponents(row, { topSales });
+        const previous = (history.data || []).find(entry => entry.employee_id === row.employee_id);
+
+        return {
+          id: row.employee_id,
+          name: row.full_name || row.email || 'Unknown',
+          role: row.role || 'Staff',
+          branchId: row.primary_branch_id,
+          branch: branches.find(b => b.id === row.primary_branch_id)?.name || 'Unassigned',
+          score: weightedScore(components, weights),
+          components,
+          weights,
+          currency,
+          metrics: {
+            tasksAssigned: Number(row.tasks_assigned),
+            tasksCompleted: Number(row.tasks_completed),
+            tasksDue: Number(row.tasks_due),
+            tasksOnTime: Number(row.tasks_on_time),
+            orderCount: Number(row.order_count),
+            sales: Number(row.sales) || 0,
+            missingRate: !!row.missing_rate,
+            shiftsScheduled: Number(row.shifts_scheduled),
+            shiftsAttended: Number(row.shifts_attended),
+            shiftsLate: Number(row.shifts_late),
+            reviewCount: Number(row.review_count),
+            averageRating: row.average_rating === null ? null : round1(Number(row.average_rating))
+          },
+          previousScore: previous ? Number(previous.score) : null
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to compute performance scores', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Compute and store the scores of a period (re-recording replaces it).
+   * Returns the number of employees recorded; unscored employees are skipped.
+   */
+  async recordScores({ startDate, endDate }) {
+    try {
+      const brand = await api.brand.get();
+      const scores = await this.getScores({ startDate, endDate });
+      const rows = scores
+        .filter(employee => employee.score !== null)
+        .map(employee => ({
+          brand_id: brand.id,
+          employee_id: employee.id,
+          period_start: startDate,
+          period_end: endDate,
+          score: employee.score,
+          components: employee.components,
+          weights: employee.weights,
+          metrics: employee.metrics
+        }));
+
+      if (rows.length === 0) return 0;
+
+      const { error } = await supabase
+        .from('employee_performance_scores')
+        .upsert(rows, { onConflict: 'employee_id,period_start,period_end' });
+
+      if (error) {
+        throw new APIError(error.message || 'Failed to record scores', error.code || 'API_ERROR', error);
+      }
+      return rows.length;
+    } catch (error) {
+      logger.error('Failed to record performance scores', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get an employee's recorded scores, most recent period first
+   */
+  async getHistory(employeeId, limit = 12) {
+    const { data, error } = await supabase
+      .from('employee_performance_scores')
+      .select('*')
+      .eq('employee_id', employeeId)
+      .order('period_end', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Failed to fetch score history', error);
+      throw new APIError(error.message || 'Failed to fetch score history', error.code || 'API_ERROR', error);
+    }
+    return data || [];
+  },
+
+  /**
+   * Record a manager review of an employee
+   */
+  async createReview({ employeeId, rating, strengths = null, improvements = null, comments = null, reviewDate = undefined }) {
+    const brand = await api.brand.get();
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data, error } = await supabase
+      .from('performance_reviews')
+      .insert([{
+        brand_id: brand.id,
+        employee_id: employeeId,
+        reviewer_id: user?.id,
+        rating,
+        strengths,
+        improvements,
+        comments,
+        ...(reviewDate && { review_date: reviewDate })
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to create review', error);
+      throw new APIError(error.message || 'Failed to create review', error.code || 'API_ERROR', error);
+    }
+    return data;
+  }
+};
+
+export default performanceScoringAPI;
@@ -0,0 +1,227 @@
+/**
+ * POS Fixture Payloads
+ * Sample payloads per provider, shaped like the real APIs, with the result
+ * each should normalize to. Used by scripts/check-pos-adapters.js and the
+ * "Load sample orders" action so adapters can be exercised offline.
+ */
+
+export const foodicsFixture = {
+  data: [
+    {
+      id: '9a6b2c1e-0001-4f7a-9d0e-foodics00001',
+      reference: '00101',
+      status: 4,
+      business_date: '2024-03-31',
+      opened_at: '2024-03-31 12:48:10',
+      closed_at: '2024-03-31 13:05:42',
+      branch: { id: '9a6b2c1e-b001', name: 'Olaya', reference: 'B01' },
+      customer: { name: 'Sara Al-Qahtani', phone: '+966500000001', email: null },
+      subtotal_price: 50,
+      discount_amount: 5,
+      total_price: 51.75,
+      kitchen_notes: 'No sugar',
+      products: [
+        { product: { id: 'p-latte', name: 'Latte', sku: 'LAT-01' }, quantity: 2, unit_price: 16, total_price: 32 },
+        { product: { id: 'p-cookie', name: 'Cookie', sku: 'CKE-01' }, quantity: 2, unit_price: 9, total_price: 18 }
+      ],
+      payments: [{ amount: 51.75, tendered: 51.75, payment_method: { name: 'Mada', type: 2 } }]
+    },
+    {
+      id: '9a6b2c1e-0002-4f7a-9d0e-foodics00002',
+      reference: '00102',
+      status: 5,
+      closed_at: '2024-03-31 14:10:00',
+      updated_at: '2024-03-31 14:25:00',
+      branch: { id: '9a6b2c1e-b001', name: 'Olaya', reference: 'B01' },
+      subtotal_price: 20,
+      discount_amount: 0,
+      total_price: 23,
+      return_reason: { name: 'Customer complaint' },
+      products: [
+        { product: { id: 'p-sandwich', name: 'Chicken Sandwich', sku: 'SND-01' }, quantity: 1, unit_price: 20, total_price: 20 }
+      ],
+      payments: [{ amount: 23, payment_method: { name: 'Cash', type: 1 } }]
+    },
+    {
+      id: '9a6b2c1e-0003-4f7a-9d0e-foodics00003',
+      reference: '00103',
+      status: 2,
+      opened_at: '2024-03-31 15:00:00',
+      branch: { id: '9a6b2c1e-b002', name: 'Al Malqa', reference: 'B02' },
+      subtotal_price: 11,
+      discount_amount: 0,
+      total_price: 12.65,
+      products: []
+    },
+    {
+      id: '9a6b2c1e-0004-4f7a-9d0e-foodics00004',
+      reference: '00104',
+      status: 7,
+      closed_at: '2024-03-31 16:20:00',
+      branch: { id: '9a6b2c1e-b002', name: 'Al Malqa', reference: 'B02' },
+      subtotal_price: 11,
+      discount_amount: 0,
+      total_price: 12.65,
+      products: [
+        { product: { id: 'p-espresso', name: 'Espresso', sku: 'ESP-01' }, quantity: 1, unit_price: 11, total_price: 11 }
+      ],
+      payments: []
+    },
+    {
+      id: '9a6b2c1e-0005-4f7a-9d0e-foodics00005',
+      reference: '00105',
+      status: 4,
+      closed_at: '2024-03-31 18:02:00',
+      branch: { id: '9a6b2c1e-b002', name: 'Al Malqa', reference: 'B02' },
+      subtotal_price: 30,
+      discount_amount: 0,
+      total_price: 34.5,
+      tip_amount: 0,
+      products: [
+        { product: { id: 'p-dates', name: 'Dates (kg)', sku: 'DTS-KG' }, quantity: 1.5, unit_price: 20, total_price: 30 }
+      ],
+      payments: [{ amount: 34.5, payment_method: { name: 'Apple Pay', type: 3 } }]
+    }
+  ],
+  links: { next: null },
+  meta: { current_page: 1, last_page: 1 }
+};
+
+export const squareFixture = {
+  orders: [
+    {
+      id: 'sq-order-A1',
+      location_id: 'LQ9Z7X2M5K1',
+      reference_id: '4821',
+      state: 'COMPLETED',
+      created_at: '2024-04-02T08:15:00Z',
+      closed_at: '2024-04-02T08:16:30Z',
+      updated_at: '2024-04-02T09:00:00Z',
+      line_items: [
+        { uid: 'l1', catalog_object_id: 'VAR-LATTE-12', name: 'Latte', variation_name: '12 oz', quantity: '2', base_price_money: { amount: 450, currency: 'USD' }, gross_sales_money: { amount: 900, currency: 'USD' } },
+        { uid: 'l2', catalog_object_id: 'VAR-CROISSANT', name: 'Croissant', quantity: '1', base_price_money: { amount: 375, currency: 'USD' }, gross_sales_money: { amount: 375, currency: 'USD' } }
+      ],
+      total_money: { amount: 1478, currency: 'USD' },
+      total_tax_money: { amount: 103, currency: 'USD' },
+      total_discount_money: { amount: 100, currency: 'USD' },
+      total_tip_money: { amount: 200, currency: 'USD' },
+      tenders: [{ id: 't1', type: 'CARD', amount_money: { amount: 1478, currency: 'USD' } }],
+      fulfillments: [{ type: 'PICKUP', pickup_details: { recipient: { display_name: 'Jordan Lee', phone_number: '+15555550100' } } }],
+      refunds: [{ id: 'rf-A1-1', status: 'APPROVED', reason: 'Wrong drink', amount_money: { amount: 450, currency: 'USD' } }],
+      returns: [{ return_line_items: [{ name: 'Latte', quantity: '1', total_money: { amount: 450, currency: 'USD' } }] }]
+    },
+    {
+      id: 'sq-order-A2',
+      location_id: 'LQ9Z7X2M5K1',
+      state: 'CANCELED',
+      created_at: '2024-04-02T10:00:00Z',
+      line_items: [
+        { uid: 'l1', catalog_object_id: 'VAR-MUFFIN', name: 'Muffin', quantity: '1', base_price_money: { amount: 325, currency: 'USD' }, gross_sales_money: { amount: 325, currency: 'USD' } }
+      ],
+      total_money: { amount: 352, currency: 'USD' },
+      total_tax_money: { amount: 27, currency: 'USD' },
+      total_discount_money: { amount: 0, currency: 'USD' },
+      total_tip_money: { amount: 0, currency: 'USD' }
+    },
+    {
+      id: 'sq-order-A3',
+      location_id: 'LQ9Z7X2M5K1',
+      state: 'OPEN',
+      created_at: '2024-04-02T11:30:00Z',
+      line_items: [],
+      total_money: { amount: 0, currency: 'USD' }
+    },
+    {
+      id: 'sq-order-A4',
+      location_id: 'LB3H8T6W0P4',
+      reference_id: '4822',
+      state: 'COMPLETED',
+      created_at: '2024-04-02T12:05:00Z',
+      closed_at: '2024-04-02T12:06:00Z',
+      line_items: [
+        { uid: 'l1', catalog_object_id: 'VAR-BAGEL', name: 'Bagel', quantity: '2', base_price_money: { amount: 300, currency: 'USD' }, gross_sales_money: { amount: 600, currency: 'USD' } }
+      ],
+      total_money: { amount: 650, currency: 'USD' },
+      total_tax_money: { amount: 50, currency: 'USD' },
+      total_discount_money: { amount: 0, currency: 'USD' },
+      total_tip_money: { amount: 0, currency: 'USD' },
+      tenders: [{ id: 't1', type: 'CASH', amount_money: { amount: 650, currency: 'USD' } }],
+      refunds: [
+        { id: 'rf-A4-1', status: 'APPROVED', reason: 'Stale', amount_money: { amount: 650, currency: 'USD' } },
+        { id: 'rf-A4-2', status: 'REJECTED', reason: 'Duplicate request', amount_money: { amount: 650, currency: 'USD' } }
+      ]
+    }
+  ],
+  cursor: null
+};
+
+export const mockFixture = {
+  orders: [
+    {
+      id: 'mock-fixture-1',
+      number: 'F-0001',
+      location: { id: 'mock-loc-1', name: 'Downtown' },
+      created_at: '2024-04-05T09:12:00Z',
+      status: 'completed',
+      discount: 0,
+      tax_rate: 0.15,
+      items: [{ sku: 'MOCK-LATTE', name: 'Latte', qty: 2, price: 16 }],
+      payments: [{ method: 'mada', amount: 36.8 }]
+    },
+    {
+      id: 'mock-fixture-2',
+      number: 'F-0002',
+      location: { id: 'mock-loc-2', name: 'Airport' },
+      created_at: '2024-04-05T10:40:00Z',
+      status: 'completed',
+      discount: 5,
+      tax_rate: 0.15,
+      items: [{ sku: 'MOCK-SANDWICH', name: 'Chicken Sandwich', qty: 1, price: 24 }, { sku: 'MOCK-JUICE', name: 'Orange Juice', qty: 1, price: 14 }],
+      payments: [{ method: 'cash', amount: 37.95 }],
+      refunds: [{ id: 'mock-fixture-2-r1', amount: 16.1, reason: 'Juice spilled', items: [{ product_name: 'Orange Juice', quantity: 1, amount: 16.1 }] }]
+    },
+    {
+      id: 'mock-fixture-3',
+      number: 'F-0003',
+      location: { id: 'mock-loc-1', name: 'Downtown' },
+      created_at: '2024-04-05T11:00:00Z',
+      status: 'open',
+      items: []
+    }
+  ]
+};
+
+/**
+ * Fixtures by provider, with what normalization should yield (total = sum of order totals)
+ */
+export const POS_FIXTURES = {
+  foodics: {
+    payload: foodicsFixture,
+    expected: {
+      orders: 4,
+      skipped: 1,
+      total: 121.9,
+      statuses: { completed: 2, refunded: 1, cancelled: 1 }
+    }
+  },
+  square: {
+    payload: squareFixture,
+    expected: {
+      orders: 3,
+      skipped: 1,
+      total: 22.8,
+      statuses: { completed: 1, refunded: 1, cancelled: 1 }
+    }
+  },
+  mock: {
+    payload: mockFixture,
+    expected: {
+      orders: 2,
+      skipped: 1,
+      total: 74.75,
+      statuses: { completed: 2 }
+    }
+  }
+};
+
+export default POS_FIXTURES;
@@ -0,0 +1,100 @@
+/**
+ * Foodics Adapter
+ * Normalizes Foodics-style orders (API v5 list/detail responses and order
+ * webhooks). Amounts are in major units and times are UTC "Y-m-d H:i:s".
+ */
+
+import { round2, toNumber, paymentMethodFromName, dominantPaymentMethod, normalizeAll } from './normalize.js';
+
+// Foodics order status codes
+const STATUS = {
+  1: { skip: 'Order is still pending' },
+  2: { skip: 'Order is still open' },
+  3: { status: 'cancelled', payment_status: 'failed' },  // declined
+  4: { status: 'completed', payment_status: 'completed' }, // closed
+  5: { status: 'completed', payment_status: 'completed', returned: true },
+  6: { skip: 'Order was joined into another order' },
+  7: { status: 'cancelled', payment_status: 'failed' },  // void
+  8: { skip: 'Order is a draft' }
+};
+
+// Foodics payment method types: 1 cash, 2 card
+const PAYMENT_TYPES = { 1: 'cash', 2: 'card' };
+
+const toIso = (value) => (value ? `${String(value).replace(' ', 'T')}${/Z|[+-]\d{2}:?\d{2}$/.test(value) ? '' : 'Z'}` : null);
+
+function extractOrders(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.data)) return payload.data;
+  if (payload?.data?.id) return [payload.data];
+  if (payload?.order?.id) return [payload.order];
+  return payload?.id ? [payload] : [];
+}
+
+function normalizeOrder(order) {
+  const state = STATUS[order.status];
+  if (!state) return { skip: `Unknown status ${order.status}` };
+  if (state.skip) return { skip: state.skip };
+
+  const subtotal = toNumber(order.subtotal_price);
+  const discount = toNumber(order.discount_amount);
+  const tip = toNumber(order.tip_amount);
+  const total = round2(toNumber(order.total_price) - tip);
+  const payments = (order.payments || []).map(payment => ({
+    method: PAYMENT_TYPES[payment.payment_method?.type] || paymentMethodFromName(payment.payment_method?.name),
+    amount: toNumber(payment.amount)
+  }));
+
+  return {
+    external_id: order.id,
+    order_number: String(order.reference ?? order.id),
+    external_location_id: order.branch?.id || null,
+    external_location_name: order.branch?.name || null,
+    ordered_at: toIso(order.closed_at || order.opened_at || order.created_at),
+    status: state.status,
+    payment_status: state.payment_status,
+    payment_method: dominantPaymentMethod(payments),
+    customer_name: order.customer?.name || null,
+    customer_phone: order.customer?.phone || null,
+    customer_email: order.customer?.email || null,
+    subtotal,
+    // Foodics reports taxes per line; the order-level figure is what balances the totals
+    tax: round2(total - subtotal + discount),
+    discount,
+    total,
+    tip,
+    currency: order.currency || null,
+    notes: order.kitchen_notes || order.customer_notes || null,
+    items: (order.products || []).map(line => ({
+      external_product_id: line.product?.id || null,
+      sku: line.product?.sku || null,
+      product_name: line.product?.name || line.name || 'Item',
+      quantity: toNumber(line.quantity),
+      unit_price: toNumber(line.unit_price),
+      subtotal: toNumber(line.total_price)
+    })),
+    // A returned order gives back its whole amount
+    refunds: state.returned
+      ? [{
+          external_id: order.id,
+          amount: total,
+          reason: order.return_reason?.name || 'Returned',
+          refunded_at: toIso(order.updated_at || order.closed_at),
+          items: (order.products || []).map(line => ({
+            product_name: line.product?.name || 'Item',
+            quantity: toNumber(line.quantity),
+            amount: toNumber(line.total_price)
+          }))
+        }]
+      : []
+  };
+}
+
+export const foodicsAdapter = {
+  id: 'foodics',
+  name: 'Foodics',
+  orderPrefix: 'FDX-',
+  normalize: (payload) => normalizeAll(extractOrders(payload), normalizeOrder, order => order?.id)
+};
+
+export default foodicsAdapter;
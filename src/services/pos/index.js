@@ -0,0 +1,41 @@
+/**
+ * POS Adapters
+ * Registry of the POS systems orders can be ingested from. Each adapter
+ * exposes { id, name, orderPrefix, normalize(payload) } and is pure; see
+ * normalize.js for the shape it produces.
+ */
+
+import { foodicsAdapter } from './foodics.js';
+import { squareAdapter } from './square.js';
+import { mockAdapter } from './mock.js';
+
+export const POS_ADAPTERS = {
+  [foodicsAdapter.id]: foodicsAdapter,
+  [squareAdapter.id]: squareAdapter,
+  [mockAdapter.id]: mockAdapter
+};
+
+/**
+ * Get the adapter for a provider
+ * @param {string} provider - Provider id (pos_connections.provider)
+ * @returns {Object}
+ */
+export function getPosAdapter(provider) {
+  const adapter = POS_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unsupported POS provider: ${provider}`);
+  }
+  return adapter;
+}
+
+/**
+ * Normalize a provider payload
+ * @param {string} provider - Provider id
+ * @param {Object|Array} payload - Raw payload (API response or webhook body)
+ * @returns {{orders: Array, skipped: Array}}
+ */
+export const normalizePayload = (provider, payload) => getPosAdapter(provider).normalize(payload);
+
+export { generateMockPayload } from './mock.js';
+
+export default POS_ADAPTERS;
@@ -0,0 +1,139 @@
+/**
+ * Mock Adapter
+ * A minimal POS for development and offline checks. Its payload is a
+ * simplified order list, and generateMockPayload() produces realistic
+ * traffic for any set of locations without a POS account.
+ */
+
+import { round2, toNumber, paymentMethodFromName, dominantPaymentMethod, normalizeAll } from './normalize.js';
+
+const FINAL_STATUSES = {
+  completed: { status: 'completed', payment_status: 'completed' },
+  refunded: { status: 'completed', payment_status: 'completed', refundAll: true },
+  void: { status: 'cancelled', payment_status: 'failed' }
+};
+
+const MENU = [
+  { sku: 'MOCK-LATTE', name: 'Latte', price: 16 },
+  { sku: 'MOCK-ESPRESSO', name: 'Espresso', price: 11 },
+  { sku: 'MOCK-CROISSANT', name: 'Croissant', price: 9 },
+  { sku: 'MOCK-SANDWICH', name: 'Chicken Sandwich', price: 24 },
+  { sku: 'MOCK-SALAD', name: 'Greek Salad', price: 22 },
+  { sku: 'MOCK-JUICE', name: 'Orange Juice', price: 14 }
+];
+
+const PAYMENTS = ['cash', 'mada', 'visa', 'apple pay', 'hungerstation'];
+
+function extractOrders(payload) {
+  if (Array.isArray(payload)) return payload;
+  return Array.isArray(payload?.orders) ? payload.orders : [];
+}
+
+function normalizeOrder(order) {
+  const state = FINAL_STATUSES[order.status];
+  if (!state) return { skip: `Order is ${order.status || 'without a status'}` };
+
+  const items = (order.items || []).map(item => ({
+    external_product_id: item.sku || null,
+    sku: item.sku || null,
+    product_name: item.name,
+    quantity: toNumber(item.qty),
+    unit_price: toNumber(item.price),
+    subtotal: round2(toNumber(item.qty) * toNumber(item.price))
+  }));
+  const subtotal = round2(items.reduce((sum, item) => sum + item.subtotal, 0));
+  const discount = toNumber(order.discount);
+  const tax = round2((subtotal - discount) * toNumber(order.tax_rate ?? 0.15));
+  const total = round2(subtotal - discount + tax);
+  const payments = (order.payments || []).map(payment => ({
+    method: paymentMethodFromName(payment.method),
+    amount: toNumber(payment.amount)
+  }));
+
+  return {
+    external_id: order.id,
+    order_number: String(order.number ?? order.id),
+    external_location_id: order.location?.id || null,
+    external_location_name: order.location?.name || null,
+    ordered_at: order.created_at,
+    status: state.status,
+    payment_status: state.payment_status,
+    payment_method: dominantPaymentMethod(payments),
+    customer_name: order.customer?.name || null,
+    customer_phone: order.customer?.phone || null,
+    customer_email: order.customer?.email || null,
+    subtotal,
+    tax,
+    discount,
+    total,
+    tip: 0,
+    currency: order.currency || null,
+    notes: order.note || null,
+    items,
+    refunds: state.refundAll
+      ? [{ external_id: `${order.id}-refund`, amount: total, reason: order.refund_reason || 'Refunded', refunded_at: order.created_at, items: [] }]
+      : (order.refunds || []).map(refund => ({
+          external_id: refund.id,
+          amount: toNumber(refund.amount),
+          reason: refund.reason || null,
+          refunded_at: refund.at || order.created_at,
+          items: refund.items || []
+        }))
+  };
+}
+
+// Small deterministic generator so repeated runs produce the same orders
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+/**
+ * Generate a mock POS payload
+ * @param {Object} options
+ * @param {Array<{id: string, name: string}>} options.locations - External locations
+ * @param {number} [options.count=50] - Orders to generate
+ * @param {number} [options.days=7] - Spread over the last N days
+ * @param {number} [options.seed=1] - Same seed, same orders (and order numbers)
+ * @param {Date} [options.now]
+ * @returns {{orders: Array}}
+ */
+export function generateMockPayload({ locations, count = 50, days = 7, seed = 1, now = new Date() }) {
+  const next = random(seed);
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const start = now.getTime() - days * 24 * 60 * 60 * 1000;
+
+  const orders = Array.from({ length: count }, (_, index) => {
+    const items = Array.from({ length: 1 + Math.floor(next() * 3) }, () => {
+      const product = pick(MENU);
+      return { sku: product.sku, name: product.name, qty: 1 + Math.floor(next() * 2), price: product.price };
+    });
+    const roll = next();
+    return {
+      id: `mock-${seed}-${index + 1}`,
+      number: `${seed}-${String(index + 1).padStart(5, '0')}`,
+      location: pick(locations),
+      created_at: new Date(start + next() * (now.getTime() - start)).toISOString(),
+      status: roll < 0.03 ? 'void' : roll < 0.06 ? 'refunded' : roll < 0.08 ? 'open' : 'completed',
+      discount: next() < 0.15 ? 5 : 0,
+      tax_rate: 0.15,
+      items,
+      payments: [{ method: pick(PAYMENTS), amount: 0 }],
+      customer: next() < 0.4 ? { name: `Guest ${index + 1}`, phone: `+9665${String(10000000 + index).slice(-8)}` } : null
+    };
+  });
+
+  return { orders };
+}
+
+export const mockAdapter = {
+  id: 'mock',
+  name: 'Mock POS',
+  orderPrefix: 'MOCK-',
+  normalize: (payload) => normalizeAll(extractOrders(payload), normalizeOrder, order => order?.id)
+};
+
+export default mockAdapter;
@@ -0,0 +1,164 @@
+/**
+ * POS Normalization
+ * The order shape every POS adapter produces, and the helpers they share.
+ * Adapters are pure (no network, no Supabase), so they run anywhere and can
+ * be checked offline against the fixtures.
+ *
+ * Normalized order:
+ *   {
+ *     external_id, order_number,               // order_number before the connection prefix
+ *     external_location_id, external_location_name,
+ *     ordered_at,                               // ISO instant
+ *     status, payment_status, payment_method,   // values allowed by the orders table
+ *     customer_name, customer_phone, customer_email,
+ *     subtotal, tax, discount, total, tip, currency, notes,
+ *     items: [{ external_product_id, sku, product_name, quantity, unit_price, subtotal }],
+ *     refunds: [{ external_id, amount, reason, refunded_at, items: [{ product_name, quantity, amount }] }]
+ *   }
+ *
+ * An adapter's normalize(payload) returns { orders, skipped }, where skipped
+ * lists { external_id, reason } for tickets that are not ingested (open,
+ * draft or malformed). Only final orders are ingested, so an order's items
+ * never change after it is stored; later refunds and voids update it.
+ */
+
+const TOLERANCE = 0.01;
+
+export const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Minor units per currency where it is not 2 (ISO 4217)
+const CURRENCY_DECIMALS = { JPY: 0, KRW: 0, VND: 0, BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3 };
+
+/**
+ * Convert a money object in minor units ({ amount: 1250, currency: 'USD' })
+ * @returns {number} Amount in major units
+ */
+export const fromMinorUnits = (money) => {
+  if (!money) return 0;
+  const decimals = CURRENCY_DECIMALS[money.currency] ?? 2;
+  return toNumber(money.amount) / 10 ** decimals;
+};
+
+// Tender names as POS systems print them
+const PAYMENT_KEYWORDS = [
+  { method: 'cash', words: ['cash', 'نقد', 'كاش'] },
+  { method: 'wallet', words: ['apple pay', 'google pay', 'stc pay', 'wallet', 'محفظة'] },
+  { method: 'online', words: ['online', 'hungerstation', 'jahez', 'talabat', 'careem', 'deliveroo', 'uber', 'marsool', 'delivery'] },
+  { method: 'card', words: ['card', 'visa', 'master', 'mada', 'amex', 'credit', 'debit', 'شبكة', 'مدى', 'بطاقة'] }
+];
+
+/**
+ * Map a tender name to an orders.payment_method value
+ * @param {string} name - Tender or payment method name
+ * @returns {string}
+ */
+export function paymentMethodFromName(name) {
+  const text = String(name || '').toLowerCase();
+  const match = PAYMENT_KEYWORDS.find(entry => entry.words.some(word => text.includes(word)));
+  return match ? match.method : 'other';
+}
+
+/**
+ * The payment method that covered most of an order
+ * @param {Array<{method: string, amount: number}>} payments
+ * @returns {string|null}
+ */
+export function dominantPaymentMethod(payments) {
+  if (!payments || payments.length === 0) return null;
+  return [...payments].sort((a, b) => b.amount - a.amount)[0].method;
+}
+
+/**
+ * Check a normalized order and settle its refund status. Items get integer
+ * quantities (order_items.quantity); fractional ones, such as weighed
+ * items, are rounded and the exact quantity kept in the item metadata.
+ * @param {Object} order - Normalized order from an adapter
+ * @returns {{order?: Object, reason?: string}}
+ */
+export function finalizeOrder(order) {
+  if (!order.order_number) return { reason: 'Missing order number' };
+  if (!order.external_location_id) return { reason: 'Missing location' };
+  if (!order.ordered_at || Number.isNaN(new Date(order.ordered_at).getTime())) {
+    return { reason: 'Missing or invalid order time' };
+  }
+
+  const subtotal = round2(order.subtotal);
+  const tax = round2(order.tax);
+  const discount = round2(order.discount);
+  const total = round2(order.total);
+  if (Math.abs(subtotal + tax - discount - total) > TOLERANCE) {
+    return { reason: `Total ${total} does not equal subtotal + tax - discount (${round2(subtotal + tax - discount)})` };
+  }
+
+  const items = (order.items || []).map(item => {
+    const quantity = toNumber(item.quantity);
+    const rounded = Math.max(1, Math.round(quantity));
+    return {
+      ...item,
+      quantity: rounded,
+      unit_price: round2(item.unit_price),
+      subtotal: round2(item.subtotal),
+      metadata: rounded === quantity ? {} : { quantity }
+    };
+  });
+
+  const refunds = order.refunds || [];
+  const refunded = round2(refunds.reduce((sum, refund) => sum + toNumber(refund.amount), 0));
+  const fullyRefunded = refunded > 0 && refunded >= total - TOLERANCE;
+
+  let { status, payment_status: paymentStatus } = order;
+  if (fullyRefunded && status === 'completed') {
+    status = 'refunded';
+    paymentStatus = 'refunded';
+  }
+
+  return {
+    order: {
+      ...order,
+      status,
+      payment_status: paymentStatus,
+      subtotal,
+      tax,
+      discount,
+      total,
+      tip: round2(order.tip),
+      items,
+      refunds,
+      refunded_amount: refunded
+    }
+  };
+}
+
+/**
+ * Run an adapter's order normalizer over a list and split the results
+ * @param {Array} rawOrders - Provider orders
+ * @param {Function} normalizeOrder - raw -> normalized order | { skip: reason }
+ * @param {Function} externalId - raw -> provider id (for skipped entries)
+ * @returns {{orders: Array, skipped: Array}}
+ */
+export function normalizeAll(rawOrders, normalizeOrder, externalId) {
+  const orders = [];
+  const skipped = [];
+
+  rawOrders.forEach(raw => {
+    const normalized = normalizeOrder(raw);
+    if (normalized.skip) {
+      skipped.push({ external_id: externalId(raw), reason: normalized.skip });
+      return;
+    }
+
+    const { order, reason } = finalizeOrder(normalized);
+    if (order) {
+      orders.push(order);
+    } else {
+      skipped.push({ external_id: externalId(raw), reason });
+    }
+  });
+
+  return { orders, skipped };
+}
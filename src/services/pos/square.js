@@ -0,0 +1,103 @@
+/**
+ * Square Adapter
+ * Normalizes Square-style orders (Orders API search/retrieve responses and
+ * order webhooks carrying a full order). Money is in minor units.
+ */
+
+import { round2, toNumber, fromMinorUnits, dominantPaymentMethod, normalizeAll } from './normalize.js';
+
+const TENDER_TYPES = {
+  CARD: 'card',
+  CASH: 'cash',
+  WALLET: 'wallet',
+  BANK_ACCOUNT: 'online',
+  BUY_NOW_PAY_LATER: 'online',
+  SQUARE_GIFT_CARD: 'other',
+  OTHER: 'other'
+};
+
+// Refunds that actually returned money
+const SETTLED_REFUNDS = ['APPROVED', 'COMPLETED'];
+
+function extractOrders(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.orders)) return payload.orders;
+  if (payload?.order?.id) return [payload.order];
+  if (payload?.data?.object?.order?.id) return [payload.data.object.order];
+  return payload?.id && payload?.location_id ? [payload] : [];
+}
+
+const recipientOf = (order) => {
+  const fulfillment = (order.fulfillments || [])[0] || {};
+  return (fulfillment.pickup_details || fulfillment.delivery_details || fulfillment.shipment_details || {}).recipient || {};
+};
+
+function normalizeOrder(order) {
+  if (order.state === 'OPEN' || order.state === 'DRAFT') return { skip: `Order is ${order.state.toLowerCase()}` };
+  if (order.state !== 'COMPLETED' && order.state !== 'CANCELED') return { skip: `Unknown state ${order.state}` };
+
+  const canceled = order.state === 'CANCELED';
+  const tax = fromMinorUnits(order.total_tax_money);
+  const discount = fromMinorUnits(order.total_discount_money);
+  const tip = fromMinorUnits(order.total_tip_money);
+  // Tips are passed on to staff, so they stay out of the order total
+  const total = round2(fromMinorUnits(order.total_money) - tip);
+  const recipient = recipientOf(order);
+  const payments = (order.tenders || []).map(tender => ({
+    method: TENDER_TYPES[tender.type] || 'other',
+    amount: fromMinorUnits(tender.amount_money)
+  }));
+  const returnedItems = (order.returns || []).flatMap(entry => entry.return_line_items || []).map(line => ({
+    product_name: line.name || 'Item',
+    quantity: toNumber(line.quantity),
+    amount: fromMinorUnits(line.total_money)
+  }));
+
+  return {
+    external_id: order.id,
+    order_number: order.reference_id || order.id,
+    external_location_id: order.location_id || null,
+    external_location_name: null,
+    ordered_at: order.closed_at || order.created_at,
+    status: canceled ? 'cancelled' : 'completed',
+    payment_status: canceled ? 'failed' : 'completed',
+    payment_method: dominantPaymentMethod(payments),
+    customer_name: recipient.display_name || null,
+    customer_phone: recipient.phone_number || null,
+    customer_email: recipient.email_address || null,
+    // Service charges count as sales, so the subtotal is whatever balances the total
+    subtotal: round2(total - tax + discount),
+    tax,
+    discount,
+    total,
+    tip,
+    currency: order.total_money?.currency || null,
+    notes: order.ticket_name || null,
+    items: (order.line_items || []).map(line => ({
+      external_product_id: line.catalog_object_id || null,
+      sku: null,
+      product_name: [line.name || 'Item', line.variation_name].filter(Boolean).join(' - '),
+      quantity: toNumber(line.quantity),
+      unit_price: fromMinorUnits(line.base_price_money),
+      subtotal: fromMinorUnits(line.gross_sales_money || line.total_money)
+    })),
+    refunds: (order.refunds || [])
+      .filter(refund => SETTLED_REFUNDS.includes(refund.status))
+      .map((refund, index) => ({
+        external_id: refund.id,
+        amount: fromMinorUnits(refund.amount_money),
+        reason: refund.reason || null,
+        refunded_at: refund.created_at || order.updated_at || null,
+        items: index === 0 ? returnedItems : []
+      }))
+  };
+}
+
+export const squareAdapter = {
+  id: 'square',
+  name: 'Square',
+  orderPrefix: 'SQ-',
+  normalize: (payload) => normalizeAll(extractOrders(payload), normalizeOrder, order => order?.id)
+};
+
+export default squareAdapter;
@@ -0,0 +1,155 @@
+// NAVA OPS - POS Integration Service
+// Ingests orders from external POS systems: the connection's adapter
+// normalizes the payload, external locations are matched to branches and
+// products are matched by SKU or name, then the orders are upserted on
+// order_number in chunks. Re-sending a payload is safe; orders already
+// stored are only updated when their status or totals changed, and each
+// POS refund is recorded once (by its refund id).
+
+import { logger } from '@/lib/logger';
+import { branchResolver, productResolver } from '@/lib/importEngine';
+import { getPosAdapter, generateMockPayload } from './pos';
+import { POS_FIXTURES } from './pos/fixtures';
+import { posAPI, inventoryAPI } from './api';
+
+const CHUNK_SIZE = 100;
+
+/**
+ * Register locations the connection has not reported before. A location
+ * whose name matches a branch name or code is mapped to it straight away.
+ * @returns {Promise<Map<string, Object>>} external_location_id -> mapping
+ */
+async function syncLocations(connection, orders, branches) {
+  const known = new Map((await posAPI.getLocations(connection.id) || [])
+    .map(location => [location.external_location_id, location]));
+  const resolveBranch = branchResolver(branches);
+
+  const unknown = new Map();
+  orders.forEach(order => {
+    if (known.has(order.external_location_id) || unknown.has(order.external_location_id)) return;
+    unknown.set(order.external_location_id, {
+      connection_id: connection.id,
+      external_location_id: order.external_location_id,
+      external_location_name: order.external_location_name,
+      branch_id: order.external_location_name ? resolveBranch(order.external_location_name) : null
+    });
+  });
+
+  if (unknown.size > 0) {
+    const added = await posAPI.addLocations([...unknown.values()]) || [];
+    added.forEach(location => known.set(location.external_location_id, location));
+  }
+  return known;
+}
+
+// Normalized order -> ingest_pos_orders record
+function toRecord(connection, order, branchId, resolveProduct) {
+  return {
+    order_number: `${connection.order_prefix || ''}${order.order_number}`,
+    branch_id: branchId,
+    ordered_at: order.ordered_at,
+    customer_name: order.customer_name,
+    customer_phone: order.customer_phone,
+    customer_email: order.customer_email,
+    subtotal: order.subtotal,
+    tax: order.tax,
+    discount: order.discount,
+    total: order.total,
+    payment_method: order.payment_method,
+    payment_status: order.payment_status,
+    status: order.status,
+    notes: order.notes,
+    metadata: {
+      source: 'pos',
+      provider: connection.provider,
+      external_id: order.external_id,
+      external_location_id: order.external_location_id,
+      tip: order.tip,
+      currency: order.currency,
+      // Keeps a new partial refund from looking like an unchanged order
+      refunded_amount: order.refunded_amount
+    },
+    refunds: order.refunds,
+    items: order.items.map(item => ({
+      product_id: resolveProduct({ sku: item.sku, name: item.product_name }, branchId),
+      product_name: item.product_name,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      subtotal: item.subtotal,
+      metadata: { ...item.metadata, external_product_id: item.external_product_id }
+    }))
+  };
+}
+
+/**
+ * POS Integration API
+ */
+export const posIntegrationAPI = {
+  /**
+   * Ingest a provider payload for a connection
+   * @param {Object} connection - pos_connections row
+   * @param {Object|Array} payload - Raw provider payload
+   * @param {Object} options
+   * @param {Array} options.branches - The brand's branches (for auto-mapping)
+   * @returns {Promise<Object>} Summary: received, inserted, updated, unchanged,
+   *   conflicts, failed, skipped (not final or malformed) and held (unmapped location)
+   */
+  async ingest(connection, payload, { branches = [] } = {}) {
+    const { orders, skipped } = getPosAdapter(connection.provider).normalize(payload);
+    const summary = {
+      received: orders.length + skipped.length,
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      conflicts: [],
+      failed: [],
+      skipped,
+      held: []
+    };
+    if (orders.length === 0) return summary;
+
+    const locations = await syncLocations(connection, orders, branches);
+    const resolveProduct = productResolver(await inventoryAPI.getProducts() || []);
+
+    const records = [];
+    orders.forEach(order => {
+      const branchId = locations.get(order.external_location_id)?.branch_id;
+      if (branchId) {
+        records.push(toRecord(connection, order, branchId, resolveProduct));
+      } else {
+        summary.held.push({ order_number: order.order_number, external_location_id: order.external_location_id });
+      }
+    });
+
+    for (let i = 0; i < records.length; i += CHUNK_SIZE) {
+      const result = await posAPI.ingestOrders(connection.id, records.slice(i, i + CHUNK_SIZE));
+      summary.inserted += result.inserted;
+      summary.updated += result.updated;
+      summary.unchanged += result.unchanged;
+      summary.conflicts.push(...result.conflicts);
+      summary.failed.push(...result.failed);
+    }
+
+    if (summary.failed.length > 0) {
+      logger.warn('Some POS orders failed to ingest', { connection: connection.id, failed: summary.failed });
+    }
+    return summary;
+  },
+
+  /**
+   * Ingest sample orders: generated ones for the mock POS (one location per
+   * branch, so they map themselves), the fixture payload for other providers
+   */
+  async ingestSample(connection, { branches = [] } = {}) {
+    const payload = connection.provider === 'mock'
+      ? generateMockPayload({
+          locations: branches.map(branch => ({ id: `mock-${branch.id}`, name: branch.name })),
+          count: 40
+        })
+      : POS_FIXTURES[connection.provider].payload;
+
+    return this.ingest(connection, payload, { branches });
+  }
+};
+
+export default posIntegrationAPI;
@@ -0,0 +1,102 @@
+// NAVA OPS - Report History Service
+// Generates reports into the shared history: a reports row tracks the run
+// and a JSON snapshot in Storage keeps the result for every team member
+
+import { saveAs } from 'file-saver';
+import { supabase } from '@/lib/supabase';
+import { logger } from '@/lib/logger';
+import { reportEngine } from '@/lib/reportEngine';
+import { getReportType } from '@/lib/reportTypes';
+import { renderReport } from '@/lib/exportEngine';
+import { reportsAPI } from './api';
+
+/**
+ * Report History API
+ */
+export const reportHistoryAPI = {
+  /**
+   * Generate a report and record it in the history
+   * @param {string} typeId - Report type id
+   * @param {Object} filters - Report filters
+   * @returns {Promise<{report: Object, record: Object}>}
+   */
+  async generate(typeId, filters = {}) {
+    const definition = getReportType(typeId);
+    const parameters = reportEngine.resolveParameters(typeId, filters);
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const record = await reportsAPI.create({
+      user_id: user.id,
+      branch_id: parameters.branchId || null,
+      report_name: definition.name,
+      report_type: definition.id,
+      report_format: 'json',
+      start_date: parameters.startDate,
+      end_date: parameters.endDate,
+      status: 'generating',
+      parameters
+    });
+
+    let report;
+    try {
+      report = await reportEngine.generateReport(typeId, parameters, { id: record.id });
+    } catch (error) {
+      await reportsAPI.updateStatus(record.id, 'failed', null, error.message || 'Report generation failed')
+        .catch(updateError => logger.warn('Failed to mark report as failed', updateError));
+      throw error;
+    }
+
+    try {
+      const { blob, extension } = await renderReport(report, 'json');
+      const path = await reportsAPI.uploadFile(record, blob, extension);
+      const saved = await reportsAPI.updateStatus(record.id, 'completed', path, null, blob.size);
+      return { report, record: saved };
+    } catch (error) {
+      // The report is still shown; only the history copy is missing
+      logger.error('Failed to save report to history', error);
+      await reportsAPI.updateStatus(record.id, 'failed', null, 'Report could not be saved')
+        .catch(updateError => logger.warn('Failed to mark report as failed', updateError));
+      return { report, record: null };
+    }
+  },
+
+  /**
+   * Load a stored report snapshot
+   * @param {Object} record - reports row
+   * @returns {Promise<Object>} Report object
+   */
+  async open(record) {
+    if (!record.file_url) {
+      throw new Error('This report has no saved copy');
+    }
+    const blob = await reportsAPI.downloadFile(reportsAPI.snapshotPath(record));
+    return JSON.parse(await blob.text());
+  },
+
+  /**
+   * Download the stored file of a scheduled report (PDF, Excel or CSV)
+   * @param {Object} record - reports row
+   * @returns {Promise<string>} The saved file name
+   */
+  async download(record) {
+    if (!record.file_url) {
+      throw new Error('This report has no saved copy');
+    }
+    const blob = await reportsAPI.downloadFile(record.file_url);
+    const extension = record.file_url.split('.').pop();
+    const name = `${record.report_name} ${record.start_date} - ${record.end_date}.${extension}`.replace(/[\\/:*?"<>|]/g, '_');
+    saveAs(blob, name);
+    return name;
+  },
+
+  /**
+   * Run a stored report again over the same date range
+   * @param {Object} record - reports row
+   * @returns {Promise<{report: Object, record: Object}>}
+   */
+  async rerun(record) {
+    return this.generate(record.report_type, { ...record.parameters, period: 'CUSTOM' });
+  }
+};
+
+export default reportHistoryAPI;
@@ -14,11 +14,10 @@ import {
   GRACE_PERIOD_DAYS,
   getPlanById,
   hasFeature,
-  getLimit,
-  isUnlimited,
   isWithinLimit,
   comparePlans
 } from '@/utils/subscriptionPlans';
+import { getFeatureUsage, checkFeatureLimit, trackFeatureUsage } from '@/lib/featureUsage';
 
 /**
  * Generic API request wrapper
@@ -42,6 +41,18 @@ async function apiRequest(fn, errorMessage = 'API request failed') {
   }
 }
 
+/**
+ * Wrapper for the shared feature usage helpers, which throw plain errors
+ */
+async function usageRequest(fn, errorMessage) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.error(errorMessage, error);
+    throw new APIError(error.message || errorMessage, 'USAGE_ERROR', { originalError: error });
+  }
+}
+
 // ============================================================================
 // SUBSCRIPTION PLANS API
 // ============================================================================
@@ -361,27 +372,15 @@ export const featureUsageAPI = {
    * Get current usage for a feature
    */
   async getCurrent(userId, featureKey) {
-    const now = new Date();
-    const periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-
-    const logs = await apiRequest(
-      () => supabase
-        .from('feature_usage_logs')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('feature_key', featureKey)
-        .gte('period_start', periodStart.toISOString())
-        .lte('period_end', periodEnd.toISOString())
-        .single(),
+    return usageRequest(
+      () => getFeatureUsage(supabase, userId, featureKey),
       `Failed to fetch usage for ${featureKey}`
     );
-
-    return logs || null;
   },
 
   /**
-   * Track feature usage
+   * Track feature usage within the plan limit (see trackFeatureUsage);
+   * resolves with allowed: false, counting nothing, once the limit is reached
    */
   async track(userId, featureKey, incrementBy = 1) {
     const subscription = await userSubscriptionsAPI.getCurrent(userId);
@@ -389,55 +388,10 @@ export const featureUsageAPI = {
       throw new APIError('No active subscription found', 'NO_SUBSCRIPTION');
     }
 
-    const plan = getPlanById(subscription.plan_id);
-    const limit = getLimit(subscription.plan_id, featureKey);
-
-    const now = new Date();
-    const periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-
-    // Try to get existing log
-    const existing = await this.getCurrent(userId, featureKey);
-
-    if (existing) {
-      const newCount = existing.usage_count + incrementBy;
-      const isOverLimit = !isUnlimited(limit) && newCount >= limit;
-
-      return apiRequest(
-        () => supabase
-          .from('feature_usage_logs')
-          .update({
-            usage_count: newCount,
-            is_over_limit: isOverLimit,
-            last_checked_at: now.toISOString()
-          })
-          .eq('id', existing.id)
-          .select()
-          .single(),
-        `Failed to update usage for ${featureKey}`
-      );
-    } else {
-      // Create new log
-      const isOverLimit = !isUnlimited(limit) && incrementBy >= limit;
-
-      return apiRequest(
-        () => supabase
-          .from('feature_usage_logs')
-          .insert([{
-            user_id: userId,
-            feature_key: featureKey,
-            usage_count: incrementBy,
-            limit_value: limit,
-            period_start: periodStart.toISOString(),
-            period_end: periodEnd.toISOString(),
-            period_type: 'monthly',
-            is_over_limit: isOverLimit
-          }])
-          .select()
-          .single(),
-        `Failed to create usage log for ${featureKey}`
-      );
-    }
+    return usageRequest(
+      () => trackFeatureUsage(supabase, { userId, planId: subscription.plan_id, featureKey, incrementBy }),
+      `Failed to track usage for ${featureKey}`
+    );
   },
 
   /**
@@ -449,23 +403,10 @@ export const featureUsageAPI = {
       return { allowed: false, reason: 'No active subscription' };
     }
 
-    const limit = getLimit(subscription.plan_id, featureKey);
-
-    // Unlimited
-    if (isUnlimited(limit)) {
-      return { allowed: true, limit: -1, usage: 0, remaining: -1 };
-    }
-
-    const usage = await this.getCurrent(userId, featureKey);
-    const currentUsage = usage?.usage_count || 0;
-
-    return {
-      allowed: currentUsage < limit,
-      limit,
-      usage: currentUsage,
-      remaining: Math.max(0, limit - currentUsage),
-      percentage: (currentUsage / limit) * 100
-    };
+    return usageRequest(
+      () => checkFeatureLimit(supabase, userId, subscription.plan_id, featureKey),
+      `Failed to check usage for ${featureKey}`
+    );
   },
 
   /**
@@ -478,7 +419,7 @@ export const featureUsageAPI = {
     }
 
     const plan = getPlanById(subscription.plan_id);
-    const featureKeys = ['branches', 'team_members', 'data_points', 'reports', 'api_calls', 'exports'];
+    const featureKeys = ['branches', 'team_members', 'data_points', 'reports', 'api_calls', 'exports', 'aiRequests'];
 
     const usage = {};
 
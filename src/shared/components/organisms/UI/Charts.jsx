@@ -6,6 +6,7 @@ import {
   LineChart, Line, BarChart, Bar, AreaChart, Area, PieChart, Pie, Cell,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
+import { isOpenAt } from '@/utils/businessDay';
 
 // Modern color palette aligned with design system
 const CHART_COLORS = {
@@ -30,13 +31,8 @@ const COLOR_PALETTE = [
   CHART_COLORS.teal
 ];
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Modern Custom Tooltip with refined styling
-const CustomTooltip = ({ active, payload, label, prefix = '', suffix = '' }) => {
-
 // Custom Tooltip - Memoized
 const CustomTooltip = memo(({ active, payload, label, prefix = '', suffix = '' }) => {
- main
   if (active && payload && payload.length) {
     return (
       <div className="bg-white dark:bg-gray-900 rounded-xl shadow-xl border border-gray-200 dark:border-gray-800 p-4 animate-fade-in">
@@ -67,21 +63,6 @@ const CustomTooltip = memo(({ active, payload, label, prefix = '', suffix = '' }
   return null;
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Modern Loading State
-const ChartLoading = () => (
-  <div className="w-full h-80 flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800 rounded-2xl">
-    <div className="text-center space-y-3">
-      <div className="loading-spinner w-8 h-8 mx-auto" />
-      <p className="text-sm text-gray-500 dark:text-gray-400 font-medium">Loading chart data...</p>
-    </div>
-  </div>
-);
-
-// Revenue Trend Line Chart with modern styling
-export function RevenueTrendChart({ data, loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Revenue Trend Line Chart - Memoized
 export const RevenueTrendChart = memo(({ data, loading = false }) => {
   if (loading) {
@@ -91,7 +72,6 @@ export const RevenueTrendChart = memo(({ data, loading = false }) => {
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -137,11 +117,6 @@ export const RevenueTrendChart = memo(({ data, loading = false }) => {
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Orders Bar Chart with rounded corners
-export function OrdersBarChart({ data, loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Orders Bar Chart - Memoized
 export const OrdersBarChart = memo(({ data, loading = false }) => {
   if (loading) {
@@ -151,7 +126,6 @@ export const OrdersBarChart = memo(({ data, loading = false }) => {
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -194,11 +168,6 @@ export const OrdersBarChart = memo(({ data, loading = false }) => {
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Modern Area Chart with gradient fills
-export function TrendAreaChart({ data, dataKeys = [], colors = [], loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Area Chart for Trends - Memoized
 export const TrendAreaChart = memo(({ data, dataKeys = [], colors = [], loading = false }) => {
   if (loading) {
@@ -208,7 +177,6 @@ export const TrendAreaChart = memo(({ data, dataKeys = [], colors = [], loading
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -264,11 +232,6 @@ export const TrendAreaChart = memo(({ data, dataKeys = [], colors = [], loading
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Branch Comparison Chart with modern horizontal bars
-export function BranchComparisonChart({ data, loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Branch Comparison Chart - Memoized
 export const BranchComparisonChart = memo(({ data, loading = false }) => {
   if (loading) {
@@ -278,7 +241,6 @@ export const BranchComparisonChart = memo(({ data, loading = false }) => {
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -325,10 +287,15 @@ export const BranchComparisonChart = memo(({ data, loading = false }) => {
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Modern Pie Chart with clean design
-export function CategoryPieChart({ data, loading = false }) {
-  if (loading) return <ChartLoading />;
+// Pie Chart for Category Distribution - Memoized
+export const CategoryPieChart = memo(({ data, loading = false }) => {
+  if (loading) {
+    return (
+      <div className="w-full h-80 flex items-center justify-center bg-gray-50 dark:bg-gray-750 rounded-lg animate-pulse">
+        <div className="text-gray-400">Loading chart...</div>
+      </div>
+    );
+  }
 
   const RADIAN = Math.PI / 180;
   const renderCustomizedLabel = ({ cx, cy, midAngle, innerRadius, outerRadius, percent }) => {
@@ -338,11 +305,6 @@ export function CategoryPieChart({ data, loading = false }) {
 
     if (percent < 0.05) return null; // Hide labels for small slices
 
-
-// Pie Chart for Category Distribution - Memoized
-export const CategoryPieChart = memo(({ data, loading = false }) => {
-  if (loading) {
- main
     return (
       <text
         x={x}
@@ -390,11 +352,6 @@ export const CategoryPieChart = memo(({ data, loading = false }) => {
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Multi-Line Chart for modern comparisons
-export function MultiLineChart({ data, lines = [], loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Multi-Line Chart for Comparison - Memoized
 export const MultiLineChart = memo(({ data, lines = [], loading = false }) => {
   if (loading) {
@@ -404,7 +361,6 @@ export const MultiLineChart = memo(({ data, lines = [], loading = false }) => {
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -452,11 +408,6 @@ export const MultiLineChart = memo(({ data, lines = [], loading = false }) => {
   );
 });
 
- claude/ui-design-overhaul-011CV5xogYtprfQkRSM6J4Sx
-// Modern Stacked Bar Chart
-export function StackedBarChart({ data, bars = [], loading = false }) {
-  if (loading) return <ChartLoading />;
-
 // Stacked Bar Chart - Memoized
 export const StackedBarChart = memo(({ data, bars = [], loading = false }) => {
   if (loading) {
@@ -466,7 +417,6 @@ export const StackedBarChart = memo(({ data, bars = [], loading = false }) => {
       </div>
     );
   }
- main
 
   return (
     <ResponsiveContainer width="100%" height={320}>
@@ -513,6 +463,103 @@ export const StackedBarChart = memo(({ data, bars = [], loading = false }) => {
   );
 });
 
+// Weekday × Hour Heatmap - Memoized
+// values[weekday][hour] (0 = Sunday). With `diverging`, positive values are
+// shaded in primary and negative ones in warning (e.g. branch A minus branch B).
+// Hours outside businessHours are hatched so dead open hours stand out.
+const HEATMAP_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HEATMAP_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const hexToRgba = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+export const SalesHeatmap = memo(({
+  values = [],
+  businessHours = null,
+  dayCloseTime,
+  maxValue = null,
+  diverging = false,
+  formatValue = (value) => value.toLocaleString(),
+  loading = false
+}) => {
+  if (loading) {
+    return (
+      <div className="w-full h-64 flex items-center justify-center bg-gray-50 dark:bg-gray-750 rounded-lg animate-pulse">
+        <div className="text-gray-400">Loading chart...</div>
+      </div>
+    );
+  }
+
+  const scale = maxValue || Math.max(0, ...values.flat().map(Math.abs)) || 1;
+  const hatch = 'repeating-linear-gradient(45deg, rgba(156, 163, 175, 0.25) 0 2px, transparent 2px 6px)';
+
+  return (
+    <div className="w-full overflow-x-auto">
+      <div className="inline-grid gap-px min-w-full" style={{ gridTemplateColumns: '2.5rem repeat(24, minmax(1.5rem, 1fr))' }}>
+        <div />
+        {HEATMAP_HOURS.map(hour => (
+          <div key={hour} className="text-[10px] text-center text-gray-500 dark:text-gray-400">
+            {hour % 3 === 0 ? String(hour).padStart(2, '0') : ''}
+          </div>
+        ))}
+
+        {HEATMAP_WEEKDAYS.map((dayLabel, weekday) => (
+          <React.Fragment key={dayLabel}>
+            <div className="text-xs font-medium text-gray-600 dark:text-gray-400 flex items-center">{dayLabel}</div>
+            {HEATMAP_HOURS.map(hour => {
+              const value = values[weekday]?.[hour] || 0;
+              const open = isOpenAt(businessHours, weekday, hour, dayCloseTime);
+              const intensity = Math.min(Math.abs(value) / scale, 1);
+              const color = diverging && value < 0 ? CHART_COLORS.warning : CHART_COLORS.primary;
+              const fill = value === 0 ? 'transparent' : hexToRgba(color, 0.15 + (intensity * 0.85));
+              const status = open === null ? '' : open ? ' · open' : ' · closed';
+
+              return (
+                <div
+                  key={hour}
+                  title={`${dayLabel} ${String(hour).padStart(2, '0')}:00 — ${formatValue(value)}${status}`}
+                  className={`h-6 rounded-sm ${open ? 'ring-1 ring-inset ring-gray-300 dark:ring-gray-600' : ''}`}
+                  style={{
+                    backgroundColor: fill,
+                    backgroundImage: open === false ? hatch : undefined
+                  }}
+                />
+              );
+            })}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-gray-500 dark:text-gray-400">
+        <span className="flex items-center gap-1.5">
+          <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: hexToRgba(CHART_COLORS.primary, 0.9) }} />
+          {diverging ? 'Higher in first' : 'Busiest'}
+        </span>
+        {diverging && (
+          <span className="flex items-center gap-1.5">
+            <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: hexToRgba(CHART_COLORS.warning, 0.9) }} />
+            Higher in second
+          </span>
+        )}
+        {businessHours && Object.keys(businessHours).length > 0 && (
+          <>
+            <span className="flex items-center gap-1.5">
+              <span className="w-3 h-3 rounded-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600" />
+              Open
+            </span>
+            <span className="flex items-center gap-1.5">
+              <span className="w-3 h-3 rounded-sm" style={{ backgroundImage: hatch }} />
+              Closed
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+});
+
 // Pie Chart Component (Enhanced version for Executive Dashboard)
 export function PieChartComponent({ data, loading = false }) {
   if (loading) {
@@ -1,8 +1,22 @@
 // NAVA OPS - Data Table Component
 // Professional data table with sorting, filtering, and pagination
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, isValidElement } from 'react';
 import { ChevronUp, ChevronDown, ChevronsUpDown, Search, Download, Filter } from 'lucide-react';
+import { excelUtils } from '@/utils/exportUtils';
+
+/**
+ * Cell value for export: exportValue, then accessor, then the raw key.
+ * Rendered elements are not exportable and come out empty.
+ */
+const exportCell = (column, row) => {
+  const value = column.exportValue
+    ? column.exportValue(row)
+    : column.accessor
+    ? column.accessor(row)
+    : row[column.key];
+  return isValidElement(value) ? '' : value;
+};
 
 export default function DataTable({
   data = [],
@@ -11,6 +25,7 @@ export default function DataTable({
   searchable = true,
   exportable = false,
   onExport,
+  exportFilename = 'export',
   onRowClick,
   loading = false,
   emptyMessage = 'No data available'
@@ -66,6 +81,28 @@ export default function DataTable({
     }
   };
 
+  // Without an onExport handler the filtered, sorted rows are saved as .xlsx.
+  // Columns take exportType ('number', 'currency', 'date', ...) and currency;
+  // exportable: false leaves a column (e.g. actions) out.
+  const handleExport = () => {
+    if (onExport) {
+      onExport(sortedData);
+      return;
+    }
+
+    const exportColumns = columns.filter(column => column.exportable !== false);
+    excelUtils.exportSheetsToExcel([{
+      name: exportFilename,
+      columns: exportColumns.map(column => ({
+        header: typeof column.header === 'string' ? column.header : column.key,
+        type: column.exportType,
+        currency: column.currency
+      })),
+      rows: sortedData.map(row => exportColumns.map(column => exportCell(column, row))),
+      rtl: document.documentElement.dir === 'rtl'
+    }], exportFilename);
+  };
+
   const getSortIcon = (column) => {
     if (!column.sortable) return null;
 
@@ -120,9 +157,9 @@ export default function DataTable({
             )}
 
             <div className="flex items-center gap-2">
-              {exportable && onExport && (
+              {exportable && (
                 <button
-                  onClick={onExport}
+                  onClick={handleExport}
                   className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700
                            hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200
                            rounded-lg transition-colors duration-200"
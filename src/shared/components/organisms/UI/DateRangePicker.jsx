@@ -3,30 +3,24 @@
 
 import React, { useState } from 'react';
 import { Calendar, X } from 'lucide-react';
+import {
+  getBusinessDayRange,
+  getReportingDaySettings,
+  formatBusinessDate
+} from '@/utils/businessDay';
 
 export default function DateRangePicker({
   startDate,
   endDate,
   onDateChange,
-  presets = true
+  presets = true,
+  daySettings = null // { timezone, dayCloseTime }; defaults to the brand's reporting day
 }) {
   const [isOpen, setIsOpen] = useState(false);
 
-  const formatDate = (date) => {
-    if (!date) return '';
-    const d = new Date(date);
-    return d.toISOString().split('T')[0];
-  };
-
+  // Presets end on the current business day, not the browser's UTC date
   const handlePreset = (days) => {
-    const end = new Date();
-    const start = new Date();
-    start.setDate(start.getDate() - days);
-
-    onDateChange({
-      startDate: formatDate(start),
-      endDate: formatDate(end)
-    });
+    onDateChange(getBusinessDayRange(days, daySettings || getReportingDaySettings()));
     setIsOpen(false);
   };
 
@@ -51,7 +45,7 @@ export default function DateRangePicker({
         <Calendar className="w-5 h-5" />
         <span className="text-sm font-medium">
           {startDate && endDate
-            ? `${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`
+            ? `${formatBusinessDate(startDate)} - ${formatBusinessDate(endDate)}`
             : 'Select Date Range'}
         </span>
       </button>
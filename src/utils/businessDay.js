@@ -0,0 +1,2 @@
+// Business days are shared with the report schedule runner
+export * from '../../supabase/functions/_shared/businessDay.js';
@@ -0,0 +1,2 @@
+// The cost model is shared with the report schedule runner
+export * from '../../supabase/functions/_shared/costing.js';
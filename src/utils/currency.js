@@ -0,0 +1,2 @@
+// Currency helpers are shared with the report schedule runner
+export * from '../../supabase/functions/_shared/currency.js';
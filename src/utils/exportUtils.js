@@ -1,5 +1,7 @@
 // src/utils/exportUtils.js
 import { saveAs } from 'file-saver';
+import { buildXlsx, sheetFromObjects } from './xlsx';
+import { createTablePDF } from './pdfDocument';
 
 // تنسيق الأرقام والعملات
 export const formatters = {
@@ -109,6 +111,44 @@ export const csvUtils = {
   }
 };
 
+// أدوات التصدير إلى Excel (ملفات xlsx أصلية)
+export const excelUtils = {
+  /**
+   * تصدير صفوف إلى ملف xlsx
+   * @param {Array<Object>} data - الصفوف (المفاتيح تصبح عناوين الأعمدة)
+   * @param {string} filename - اسم الملف بدون امتداد
+   * @param {Object} options - { sheetName, columns: [{ key, header, type, currency, width }], rtl }
+   *   الاتجاه من اليمين لليسار تلقائي عندما تكون العناوين عربية
+   */
+  exportToExcel(data, filename = 'data', options = {}) {
+    try {
+      const { sheetName = filename, columns = null, rtl } = options;
+      const blob = buildXlsx([sheetFromObjects(data, { name: sheetName, columns, rtl })]);
+      const fullName = `${filename}_${new Date().toISOString().split('T')[0]}.xlsx`;
+
+      saveAs(blob, fullName);
+      return { success: true, filename: fullName };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * تصدير عدة أوراق في ملف واحد
+   * @param {Array<Object>} sheets - أوراق بصيغة utils/xlsx
+   * @param {string} filename - اسم الملف بدون امتداد
+   */
+  exportSheetsToExcel(sheets, filename = 'data') {
+    try {
+      const fullName = `${filename}_${new Date().toISOString().split('T')[0]}.xlsx`;
+      saveAs(buildXlsx(sheets), fullName);
+      return { success: true, filename: fullName };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
+
 // أدوات التصدير إلى PDF (باستخدام jsPDF)
 export const pdfUtils = {
   async exportToPDF(elementId, filename = 'document', options = {}) {
@@ -159,36 +199,28 @@ export const pdfUtils = {
     }
   },
 
-  // إنشاء تقرير جدولي
-  async exportTableToPDF(headers, data, filename = 'table') {
+  /**
+   * إنشاء تقرير جدولي بخط عربي مضمّن وترويسة العلامة التجارية وترقيم الصفحات
+   * @param {Array<Object>} headers - الأعمدة [{ key, label, formatter }]
+   * @param {Array<Object>} data - الصفوف
+   * @param {string} filename - اسم الملف بدون امتداد
+   * @param {Object} options - { title, subtitle, direction, orientation }
+   *   الاتجاه الافتراضي هو اتجاه الواجهة الحالي
+   */
+  async exportTableToPDF(headers, data, filename = 'table', options = {}) {
     try {
-      const { jsPDF } = await import('jspdf');
-      const doc = new jsPDF();
-
-      // إعداد الجدول
-      const tableColumn = headers.map(h => h.label || h.key);
-      const tableRows = data.map(item => 
-        headers.map(header => {
-          let value = item[header.key];
-          if (header.formatter) {
-            value = header.formatter(value, item);
-          }
-          return value || '';
-        })
-      );
-
-      // إضافة الجدول إلى PDF
-      doc.autoTable({
-        head: [tableColumn],
-        body: tableRows,
-        startY: 20,
-        styles: { font: 'Helvetica', fontSize: 10 },
-        headStyles: { fillColor: [0, 136, 255] }, // لون NAVA الأزرق
-        margin: { top: 20 }
+      const doc = await createTablePDF({
+        title: options.title || filename,
+        subtitle: options.subtitle,
+        direction: options.direction,
+        orientation: options.orientation,
+        columns: headers,
+        rows: data
       });
+      const fullName = `${filename}_${new Date().toISOString().split('T')[0]}.pdf`;
 
-      doc.save(`${filename}.pdf`);
-      return { success: true };
+      doc.save(fullName);
+      return { success: true, filename: fullName };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -241,6 +273,7 @@ export const generalUtils = {
 export const exportUtils = {
   ...formatters,
   ...csvUtils,
+  ...excelUtils,
   ...pdfUtils,
   ...generalUtils,
 
@@ -254,6 +287,9 @@ export const exportUtils = {
         case 'csv':
           results.push(this.exportToCSV(data, baseFilename));
           break;
+        case 'excel':
+          results.push(this.exportToExcel(data, baseFilename));
+          break;
         case 'pdf':
           results.push(this.exportToPDF(null, baseFilename));
           break;
@@ -267,5 +303,15 @@ export const exportUtils = {
   }
 };
 
+// تصديرات مسماة لخدمات المهام والموظفين والتحليلات
+export const exportToExcel = (...args) => excelUtils.exportToExcel(...args);
+export const exportToCSV = (...args) => csvUtils.exportToCSV(...args);
+
+// تصدير صفوف إلى جدول PDF (المفاتيح تصبح عناوين الأعمدة)
+export const exportToPDF = (filename, data, options = {}) => {
+  const headers = Object.keys(data[0] || {}).map(key => ({ key, label: key }));
+  return pdfUtils.exportTableToPDF(headers, data, filename, options);
+};
+
 // 🔥 أضف هذا في النهاية للتوافق مع TasksManagement.jsx:
 export default exportUtils;
\ No newline at end of file
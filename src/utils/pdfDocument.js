@@ -0,0 +1,3 @@
+// PDF documents are also rendered by the report schedule runner
+export * from '../../supabase/functions/_shared/pdfDocument.js';
+export { default } from '../../supabase/functions/_shared/pdfDocument.js';
@@ -0,0 +1,258 @@
+/**
+ * Rostering Utilities
+ * Week handling, shift durations and roster conflict detection.
+ * Shifts carry a branch-local shift_date (YYYY-MM-DD) with start_time/end_time;
+ * an end at or before the start runs past midnight into the next day.
+ */
+
+import { shiftDate } from './businessDay';
+
+export const DEFAULT_MIN_REST_HOURS = 10;
+export const DEFAULT_MAX_WEEKLY_HOURS = 48;
+
+export const CONFLICT_TYPES = {
+  OVERLAP: 'overlap',
+  REST_PERIOD: 'rest_period',
+  MAX_WEEKLY_HOURS: 'max_weekly_hours',
+  TIME_OFF: 'time_off',
+  AVAILABILITY: 'availability'
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  if (!time) return 0;
+  const [hours = 0, minutes = 0] = String(time).split(':').map(Number);
+  return (hours * 60) + minutes;
+};
+
+/**
+ * Whole days since 1970-01-01 for a YYYY-MM-DD date
+ * @param {string} dateStr - Date
+ * @returns {number} Day number
+ */
+const toDayNumber = (dateStr) => Math.round(Date.parse(`${dateStr}T00:00:00Z`) / 86400000);
+
+/**
+ * Format minutes as "9h" / "7.5h"
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+const formatHours = (minutes) => `${Math.round((minutes / 60) * 10) / 10}h`;
+
+/**
+ * Get the Sunday that opens the week containing a date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWeekStart = (dateStr) => {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return shiftDate(dateStr, -weekday);
+};
+
+/**
+ * Get the seven dates of a roster week
+ * @param {string} weekStart - YYYY-MM-DD (Sunday)
+ * @returns {Array<string>}
+ */
+export const getWeekDates = (weekStart) => Array.from({ length: 7 }, (_, i) => shiftDate(weekStart, i));
+
+/**
+ * Get a shift's interval as absolute minutes (comparable across days).
+ * Without a shift_date (e.g. a template) the interval is relative to midnight.
+ * @param {Object} shift - { shift_date, start_time, end_time }
+ * @returns {{start: number, end: number}}
+ */
+export const getShiftInterval = (shift) => {
+  const dayStart = shift.shift_date ? toDayNumber(shift.shift_date) * MINUTES_PER_DAY : 0;
+  const start = dayStart + toMinutes(shift.start_time);
+  let end = dayStart + toMinutes(shift.end_time);
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { start, end };
+};
+
+/**
+ * Paid minutes of a shift (length minus unpaid break)
+ * @param {Object} shift - Shift row
+ * @returns {number} Minutes
+ */
+export const getShiftMinutes = (shift) => {
+  const { start, end } = getShiftInterval(shift);
+  return Math.max(0, end - start - (Number(shift.break_minutes) || 0));
+};
+
+/**
+ * Check whether a window on a weekday covers (or touches) a shift
+ * @param {Object} shift - Shift row
+ * @param {Object} window - { weekday, start_time, end_time }
+ * @param {boolean} covers - true: window must contain the shift; false: any overlap
+ * @returns {boolean}
+ */
+const windowMatches = (shift, window, covers) => {
+  const interval = getShiftInterval(shift);
+  const windowShift = { shift_date: shift.shift_date, start_time: window.start_time, end_time: window.end_time };
+  const { start, end } = getShiftInterval(windowShift);
+  return covers
+    ? start <= interval.start && end >= interval.end
+    : start < interval.end && end > interval.start;
+};
+
+/**
+ * Detect roster conflicts for a set of shifts.
+ * `shifts` should include the neighbouring days of the week being checked so
+ * rest periods across the week boundary are caught; only conflicts touching a
+ * shift inside [weekStart, weekStart + 6] are reported.
+ * @param {Array} shifts - Shift rows ({ id, employee_id, shift_date, start_time, end_time, break_minutes })
+ * @param {Object} options
+ * @param {string} options.weekStart - Roster week (YYYY-MM-DD)
+ * @param {Array} options.availability - employee_availability rows
+ * @param {Array} options.timeOff - time_off_requests rows (pending/approved)
+ * @param {number} options.minRestHours - Minimum rest between shifts
+ * @param {number} options.maxWeeklyHours - Maximum paid hours per week
+ * @returns {Array<{type, severity, employeeId, shiftIds, message}>}
+ */
+export const detectRosterConflicts = (shifts = [], {
+  weekStart,
+  availability = [],
+  timeOff = [],
+  minRestHours = DEFAULT_MIN_REST_HOURS,
+  maxWeeklyHours = DEFAULT_MAX_WEEKLY_HOURS
+} = {}) => {
+  const conflicts = [];
+  const weekEnd = shiftDate(weekStart, 6);
+  const inWeek = (shift) => shift.shift_date >= weekStart && shift.shift_date <= weekEnd;
+
+  const byEmployee = {};
+  shifts.filter(shift => shift.employee_id).forEach(shift => {
+    if (!byEmployee[shift.employee_id]) byEmployee[shift.employee_id] = [];
+    byEmployee[shift.employee_id].push(shift);
+  });
+
+  Object.entries(byEmployee).forEach(([employeeId, employeeShifts]) => {
+    const sorted = [...employeeShifts].sort((a, b) => getShiftInterval(a).start - getShiftInterval(b).start);
+
+    // Overlaps and rest periods between consecutive shifts
+    sorted.forEach((shift, i) => {
+      const current = getShiftInterval(shift);
+      for (let j = i + 1; j < sorted.length; j++) {
+        const next = sorted[j];
+        if (!inWeek(shift) && !inWeek(next)) continue;
+        const nextInterval = getShiftInterval(next);
+
+        if (nextInterval.start < current.end) {
+          conflicts.push({
+            type: CONFLICT_TYPES.OVERLAP,
+            severity: 'error',
+            employeeId,
+            shiftIds: [shift.id, next.id],
+            message: `Overlapping shifts on ${shift.shift_date} and ${next.shift_date}`
+          });
+          continue;
+        }
+
+        const restMinutes = nextInterval.start - current.end;
+        if (restMinutes < minRestHours * 60) {
+          conflicts.push({
+            type: CONFLICT_TYPES.REST_PERIOD,
+            severity: 'warning',
+            employeeId,
+            shiftIds: [shift.id, next.id],
+            message: `Only ${formatHours(restMinutes)} rest before the ${next.shift_date} shift (minimum ${minRestHours}h)`
+          });
+        }
+        break;
+      }
+    });
+
+    // Weekly hours
+    const weekShifts = sorted.filter(inWeek);
+    const weeklyMinutes = weekShifts.reduce((sum, shift) => sum + getShiftMinutes(shift), 0);
+    if (weeklyMinutes > maxWeeklyHours * 60) {
+      conflicts.push({
+        type: CONFLICT_TYPES.MAX_WEEKLY_HOURS,
+        severity: 'warning',
+        employeeId,
+        shiftIds: weekShifts.map(shift => shift.id),
+        message: `${formatHours(weeklyMinutes)} scheduled this week (maximum ${maxWeeklyHours}h)`
+      });
+    }
+
+    // Time off and availability
+    weekShifts.forEach(shift => {
+      const leave = timeOff.find(request =>
+        request.employee_id === employeeId &&
+        ['approved', 'pending'].includes(request.status) &&
+        request.start_date <= shift.shift_date &&
+        request.end_date >= shift.shift_date
+      );
+      if (leave) {
+        conflicts.push({
+          type: CONFLICT_TYPES.TIME_OFF,
+          severity: leave.status === 'approved' ? 'error' : 'warning',
+          employeeId,
+          shiftIds: [shift.id],
+          message: `Shift on ${shift.shift_date} during ${leave.status} time off`
+        });
+      }
+
+      const weekday = new Date(`${shift.shift_date}T00:00:00Z`).getUTCDay();
+      const windows = availability.filter(row => row.employee_id === employeeId && row.weekday === weekday);
+      const unavailable = windows.filter(row => !row.is_available);
+      const preferred = windows.filter(row => row.is_available);
+
+      if (unavailable.some(window => windowMatches(shift, window, false))) {
+        conflicts.push({
+          type: CONFLICT_TYPES.AVAILABILITY,
+          severity: 'warning',
+          employeeId,
+          shiftIds: [shift.id],
+          message: `Shift on ${shift.shift_date} falls in hours marked unavailable`
+        });
+      } else if (preferred.length > 0 && !preferred.some(window => windowMatches(shift, window, true))) {
+        conflicts.push({
+          type: CONFLICT_TYPES.AVAILABILITY,
+          severity: 'warning',
+          employeeId,
+          shiftIds: [shift.id],
+          message: `Shift on ${shift.shift_date} is outside the employee's available hours`
+        });
+      }
+    });
+  });
+
+  return conflicts;
+};
+
+/**
+ * Staffed hours per weekday × hour slot, laid out like the sales heatmap:
+ * the weekday is that of the business day, so with a 04:00 cutoff the 01:00
+ * slot of a late Friday shift stays on Friday's row. A slot covered for half
+ * an hour by one person counts 0.5. Breaks are not placed, so they are ignored.
+ * @param {Array} shifts - Shift rows
+ * @param {string} dayCloseTime - Business day cutoff ("HH:MM")
+ * @returns {Array<Array<number>>} coverage[weekday][hour]
+ */
+export const getHourlyCoverage = (shifts = [], dayCloseTime = '00:00') => {
+  const coverage = Array.from({ length: 7 }, () => Array(24).fill(0));
+  const cutoff = toMinutes(dayCloseTime);
+
+  shifts.forEach(shift => {
+    const { start, end } = getShiftInterval(shift);
+    for (let slot = Math.floor(start / 60) * 60; slot < end; slot += 60) {
+      const covered = Math.min(end, slot + 60) - Math.max(start, slot);
+      if (covered <= 0) continue;
+      // 1970-01-01 (day 0) was a Thursday
+      const businessDay = Math.floor((slot - cutoff) / MINUTES_PER_DAY);
+      const weekday = (((businessDay + 4) % 7) + 7) % 7;
+      const hour = Math.floor((slot % MINUTES_PER_DAY) / 60);
+      coverage[weekday][hour] += covered / 60;
+    }
+  });
+
+  return coverage;
+};
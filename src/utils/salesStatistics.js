@@ -0,0 +1,2 @@
+// Sales totals are shared with the report schedule runner
+export * from '../../supabase/functions/_shared/salesStatistics.js';
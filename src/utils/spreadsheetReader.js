@@ -0,0 +1,325 @@
+/**
+ * Spreadsheet Reader
+ * Reads CSV and XLSX files into a header row and data rows for imports,
+ * without a spreadsheet library. XLSX support covers what POS and
+ * accounting exports produce: the first worksheet, shared and inline
+ * strings, and date-formatted cells (returned as ISO strings).
+ *
+ * Result shape:
+ *   {
+ *     headers: ['Order #', 'Date', ...],     // first non-empty row, made unique
+ *     rows: [{ line: 2, cells: [...] }, ...]  // line = row number in the file
+ *   }
+ */
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const DATE_1904_OFFSET = 1462;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+// The delimiter used most often in the header line
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  let best = { delimiter: ',', count: 0 };
+  [',', ';', '\t'].forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > best.count) best = { delimiter, count };
+  });
+  return best.delimiter;
+}
+
+/**
+ * Parse CSV text (quoted fields, embedded newlines, "," ";" or tab delimiters)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed XLSX files; save the file as CSV instead');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {ArrayBuffer} buffer - Archive bytes
+ * @returns {Map<string, Function>} Entry name -> async () => Uint8Array
+ */
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // The end-of-central-directory record sits in the last 64 KB (after an optional comment)
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a valid XLSX file');
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt XLSX file');
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, async () => {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return inflate(data);
+      throw new Error(`Unsupported XLSX compression (method ${method})`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// ============================================================================
+// XLSX
+// ============================================================================
+
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <t> element, which joins the runs of rich-text strings
+// (phonetic guides are skipped)
+const textContent = (xml) => {
+  let text = '';
+  for (const match of xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>|<t\b[^>]*\/>/g)) {
+    text += decodeXml(match[1] || '');
+  }
+  return text;
+};
+
+function parseSharedStrings(xml) {
+  return [...xml.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)].map(match => textContent(match[1] || ''));
+}
+
+// Indexes of cell styles that display dates or times
+function parseDateStyles(xml) {
+  const customDates = new Set();
+  for (const match of xml.matchAll(/<numFmt\b([^>]*)\/?>/g)) {
+    // Quoted literals and [colour]/[locale] sections are not part of the pattern
+    const code = (attribute(match[1], 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dyhs]/i.test(code)) customDates.add(Number(attribute(match[1], 'numFmtId')));
+  }
+
+  const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+  const dateStyles = new Set();
+  [...(cellXfs ? cellXfs[1].matchAll(/<xf\b([^>]*)/g) : [])].forEach((match, index) => {
+    const formatId = Number(attribute(match[1], 'numFmtId'));
+    if (BUILTIN_DATE_FORMATS.has(formatId) || customDates.has(formatId)) dateStyles.add(index);
+  });
+  return dateStyles;
+}
+
+function serialToIso(serial, date1904) {
+  const ms = Math.round((serial + (date1904 ? DATE_1904_OFFSET : 0) - EXCEL_EPOCH_OFFSET) * DAY_MS);
+  const iso = new Date(ms).toISOString();
+  if (serial < 1) return iso.slice(11, 19);
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || '');
+  if (!letters) return null;
+  return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+function parseWorksheet(xml, sharedStrings, dateStyles, date1904) {
+  const rows = [];
+
+  for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const line = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const index = columnIndex(attribute(attributes, 'r')) ?? cells.length;
+      const type = attribute(attributes, 't');
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+      let value = raw ? decodeXml(raw[1]) : '';
+
+      if (type === 's') {
+        value = sharedStrings[Number(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = textContent(body);
+      } else if (type === 'b') {
+        value = value === '1';
+      } else if (type === 'e') {
+        value = '';
+      } else if (type !== 'str' && value !== '') {
+        const number = Number(value);
+        value = dateStyles.has(Number(attribute(attributes, 's'))) ? serialToIso(number, date1904) : number;
+      }
+
+      cells[index] = value;
+    }
+
+    rows.push({ line, cells: Array.from(cells, cell => cell ?? '') });
+  }
+
+  return rows;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {ArrayBuffer} buffer - Workbook bytes
+ * @returns {Promise<Array<{line: number, cells: Array}>>}
+ */
+export async function readXlsx(buffer) {
+  const entries = readZip(buffer);
+  const decoder = new TextDecoder();
+  const text = async (name) => (entries.has(name) ? decoder.decode(await entries.get(name)()) : '');
+
+  const workbook = await text('xl/workbook.xml');
+  const relations = await text('xl/_rels/workbook.xml.rels');
+  const firstSheet = /<sheet\b([^>]*)\/?>/.exec(workbook);
+  const relationId = firstSheet ? attribute(firstSheet[1], 'r:id') : null;
+  const relation = [...relations.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .find(match => attribute(match[1], 'Id') === relationId);
+  const target = relation ? attribute(relation[1], 'Target') : 'worksheets/sheet1.xml';
+  const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+  if (!entries.has(sheetPath)) throw new Error('The workbook has no worksheet');
+
+  return parseWorksheet(
+    await text(sheetPath),
+    parseSharedStrings(await text('xl/sharedStrings.xml')),
+    parseDateStyles(await text('xl/styles.xml')),
+    /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbook)
+  );
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+const isBlank = (cells) => cells.every(cell => cell === '' || cell === null || cell === undefined);
+
+function toTable(rows) {
+  const data = rows.filter(row => !isBlank(row.cells));
+  if (data.length === 0) return { headers: [], rows: [] };
+
+  const seen = new Map();
+  const headers = data[0].cells.map((cell, index) => {
+    const base = String(cell ?? '').trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+
+  return {
+    headers,
+    rows: data.slice(1).map(row => ({
+      line: row.line,
+      cells: headers.map((_, index) => {
+        const cell = row.cells[index];
+        return typeof cell === 'string' ? cell.trim() : cell ?? '';
+      })
+    }))
+  };
+}
+
+/**
+ * Read an uploaded CSV or XLSX file
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<{headers: Array<string>, rows: Array<{line: number, cells: Array}>}>}
+ */
+export async function readSpreadsheet(file) {
+  const name = String(file.name || '').toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    return toTable(await readXlsx(await file.arrayBuffer()));
+  }
+  if (name.endsWith('.xls')) {
+    throw new Error('Legacy .xls files are not supported; save the file as .xlsx or CSV');
+  }
+
+  return toTable(parseCSV(await file.text()).map((cells, index) => ({ line: index + 1, cells })));
+}
+
+export default readSpreadsheet;
@@ -0,0 +1,3 @@
+// The XLSX writer also renders scheduled reports server-side
+export * from '../../supabase/functions/_shared/xlsx.js';
+export { default } from '../../supabase/functions/_shared/xlsx.js';
@@ -0,0 +1,197 @@
+/**
+ * Business Day Model
+ * A branch's business day runs from its day-close cutoff (e.g. 04:00) to the
+ * same time the next morning, in the branch's own timezone. Orders placed at
+ * 01:30 with a 04:00 cutoff belong to the previous business day.
+ * Dates are passed around as YYYY-MM-DD strings.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Riyadh';
+export const DEFAULT_DAY_CLOSE_TIME = '00:00';
+
+// Keys of branches.business_hours, indexed like Date#getDay() (0 = Sunday)
+export const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Reporting defaults used when no branch is given (set from the brand)
+let reportingSettings = {
+  timezone: DEFAULT_TIMEZONE,
+  dayCloseTime: DEFAULT_DAY_CLOSE_TIME
+};
+
+// Per-branch settings, registered when branches are loaded
+const branchSettings = new Map();
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  if (!time) return 0;
+  const [hours = 0, minutes = 0] = String(time).split(':').map(Number);
+  return (hours * 60) + minutes;
+};
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+export const getLocalDate = (date, timezone = DEFAULT_TIMEZONE) => {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateStr - Date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} YYYY-MM-DD
+ */
+export const shiftDate = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Get the window of equal length immediately preceding the given one
+ * @param {string} startDate - Window start (YYYY-MM-DD)
+ * @param {string} endDate - Window end (YYYY-MM-DD)
+ * @returns {{startDate: string, endDate: string}}
+ */
+export const getPreviousPeriod = (startDate, endDate) => {
+  const length = Math.round(
+    (new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+  ) + 1;
+
+  return {
+    startDate: shiftDate(startDate, -length),
+    endDate: shiftDate(startDate, -1)
+  };
+};
+
+/**
+ * Get the business date an instant belongs to
+ * @param {Date} date - Instant (defaults to now)
+ * @param {Object} settings - { timezone, dayCloseTime }
+ * @returns {string} YYYY-MM-DD
+ */
+export const getBusinessDate = (date = new Date(), settings = reportingSettings) => {
+  const timezone = settings.timezone || DEFAULT_TIMEZONE;
+  const cutoffMs = toMinutes(settings.dayCloseTime) * 60 * 1000;
+  return getLocalDate(new Date(date.getTime() - cutoffMs), timezone);
+};
+
+/**
+ * Get the range covering the last `days` business days up to today
+ * @param {number} days - Days back from today
+ * @param {Object} settings - { timezone, dayCloseTime }
+ * @returns {{startDate: string, endDate: string}}
+ */
+export const getBusinessDayRange = (days, settings = reportingSettings) => {
+  const endDate = getBusinessDate(new Date(), settings);
+  return {
+    startDate: shiftDate(endDate, -days),
+    endDate
+  };
+};
+
+/**
+ * Resolve day settings from a branch row, falling back to its brand
+ * @param {Object} branch - Branch ({ timezone, day_close_time })
+ * @param {Object} brand - Brand ({ timezone, day_close_time })
+ * @returns {{timezone: string, dayCloseTime: string}}
+ */
+export const resolveDaySettings = (branch = null, brand = null) => ({
+  timezone: branch?.timezone || brand?.timezone || DEFAULT_TIMEZONE,
+  dayCloseTime: branch?.day_close_time || brand?.day_close_time || DEFAULT_DAY_CLOSE_TIME
+});
+
+/**
+ * Set the reporting defaults (used for multi-branch views)
+ * @param {Object} brand - Brand row
+ */
+export const setReportingDaySettings = (brand) => {
+  reportingSettings = resolveDaySettings(null, brand);
+};
+
+/**
+ * Get the reporting defaults
+ * @returns {{timezone: string, dayCloseTime: string}}
+ */
+export const getReportingDaySettings = () => reportingSettings;
+
+/**
+ * Register branch rows so later lookups by id use their own timezone/cutoff
+ * @param {Array} branches - Branch rows
+ */
+export const registerBranchDaySettings = (branches = []) => {
+  branches.forEach(branch => {
+    branchSettings.set(branch.id, {
+      timezone: branch.timezone || reportingSettings.timezone,
+      dayCloseTime: branch.day_close_time || reportingSettings.dayCloseTime
+    });
+  });
+};
+
+/**
+ * Get day settings for a branch id, or the reporting defaults
+ * @param {string|null} branchId - Branch ID
+ * @returns {{timezone: string, dayCloseTime: string}}
+ */
+export const getDaySettings = (branchId = null) => {
+  return (branchId && branchSettings.get(branchId)) || reportingSettings;
+};
+
+/**
+ * Format a YYYY-MM-DD business date for display without timezone drift
+ * @param {string} dateStr - Date
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+export const formatBusinessDate = (dateStr, locale = undefined) => {
+  if (!dateStr) return '';
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(locale, { timeZone: 'UTC' });
+};
+
+/**
+ * Check whether a branch is open during an hour of a business day.
+ * business_hours is { monday: { open: '09:00', close: '22:00' }, ... }; a close
+ * at or before open runs past midnight, a day marked closed or left out is shut.
+ * Hours before the day-close cutoff belong to the next calendar day.
+ * @param {Object} businessHours - branches.business_hours
+ * @param {number} weekday - Business-day weekday (0 = Sunday)
+ * @param {number} hour - Local clock hour (0-23)
+ * @param {string} dayCloseTime - Day-close cutoff
+ * @returns {boolean|null} null when the branch has no hours configured
+ */
+export const isOpenAt = (businessHours, weekday, hour, dayCloseTime = DEFAULT_DAY_CLOSE_TIME) => {
+  if (!businessHours || Object.keys(businessHours).length === 0) return null;
+
+  // Middle of the hour, so a 09:30 opening still counts the 09:00 slot as open
+  const minute = (hour * 60) + 30;
+  const calendarDay = hour * 60 < toMinutes(dayCloseTime) ? (weekday + 1) % 7 : weekday;
+
+  const windowFor = (day) => {
+    const hours = businessHours[WEEKDAY_KEYS[day]];
+    if (!hours || hours.closed || !hours.open || !hours.close) return null;
+    return { open: toMinutes(hours.open), close: toMinutes(hours.close) };
+  };
+
+  const today = windowFor(calendarDay);
+  if (today) {
+    const overnight = today.close <= today.open;
+    if (minute >= today.open && (overnight || minute < today.close)) return true;
+  }
+
+  // Tail of the previous day's overnight shift
+  const yesterday = windowFor((calendarDay + 6) % 7);
+  return !!(yesterday && yesterday.close <= yesterday.open && minute < yesterday.close);
+};
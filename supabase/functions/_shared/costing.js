@@ -0,0 +1,208 @@
+/**
+ * Costing Utilities
+ * Pure cost-model calculations: expense recurrence, per-branch cost
+ * breakdowns and brand totals. Kept free of service imports so the
+ * report schedule runner can build the same figures server-side.
+ */
+
+import { createRateConverter } from './currency.js';
+
+export const EXPENSE_CATEGORIES = ['cogs', 'payroll', 'rent', 'utilities', 'marketing', 'other'];
+
+/**
+ * Share of revenue assumed as cost when a branch has no recorded cost data
+ */
+export const ESTIMATED_COST_RATIO = 0.65;
+
+const RECURRENCE_STEPS = {
+  weekly: { days: 7 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { months: 12 }
+};
+
+export const RECURRENCE_INTERVALS = Object.keys(RECURRENCE_STEPS);
+
+/**
+ * Add days/months to a YYYY-MM-DD string, clamping to the end of the month
+ */
+function addToDate(dateStr, { days = 0, months = 0 }) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  if (months) {
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+  }
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Apply expense filters to a Supabase query on the expenses table.
+ * Recurring entries are kept when they started on or before endDate and
+ * have not ended before startDate, so callers can expand them.
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - { branchId, branchIds, category, startDate, endDate }
+ * @returns {Object} The filtered query
+ */
+export function filterExpenses(query, filters = {}) {
+  if (filters.branchId) query = query.eq('branch_id', filters.branchId);
+  if (filters.branchIds) query = query.in('branch_id', filters.branchIds);
+  if (filters.category) query = query.eq('category', filters.category);
+  if (filters.endDate) query = query.lte('expense_date', filters.endDate);
+  if (filters.startDate) {
+    query = query.or(
+      `expense_date.gte.${filters.startDate},` +
+      `and(is_recurring.eq.true,or(recurrence_end_date.is.null,recurrence_end_date.gte.${filters.startDate}))`
+    );
+  }
+  return query;
+}
+
+/**
+ * Total amount an expense entry contributes to a window.
+ * One-off entries count once if dated inside the window; recurring entries
+ * count once per occurrence between their start and end dates.
+ * `convert(amount, date)` can translate each occurrence (e.g. currency).
+ */
+export function expenseAmountInWindow(expense, startDate, endDate, convert = (amount) => amount) {
+  const amount = Number(expense.amount) || 0;
+
+  if (!expense.is_recurring) {
+    return expense.expense_date >= startDate && expense.expense_date <= endDate
+      ? convert(amount, expense.expense_date)
+      : 0;
+  }
+
+  const step = RECURRENCE_STEPS[expense.recurrence_interval];
+  if (!step) return 0;
+
+  const lastDate = expense.recurrence_end_date && expense.recurrence_end_date < endDate
+    ? expense.recurrence_end_date
+    : endDate;
+
+  let total = 0;
+  for (let n = 0; ; n++) {
+    const occurrence = addToDate(expense.expense_date, {
+      days: (step.days || 0) * n,
+      months: (step.months || 0) * n
+    });
+    if (occurrence > lastDate) break;
+    if (occurrence >= startDate) total += convert(amount, occurrence);
+  }
+  return total;
+}
+
+/**
+ * Build the cost breakdown for one branch.
+ * Computed COGS takes precedence over manually recorded 'cogs' entries so
+ * purchases are not counted twice once products carry a cost.
+ */
+function buildBranchCosts(branch, revenue, expenses, cogsData, startDate, endDate, expenseConverter) {
+  const breakdown = EXPENSE_CATEGORIES.reduce((acc, category) => {
+    acc[category] = 0;
+    return acc;
+  }, {});
+
+  expenses.forEach(expense => {
+    const category = breakdown[expense.category] !== undefined ? expense.category : 'other';
+    breakdown[category] += expenseAmountInWindow(expense, startDate, endDate, expenseConverter(expense));
+  });
+
+  const hasComputedCogs = !!cogsData && Number(cogsData.costed_quantity) > 0;
+  if (hasComputedCogs) breakdown.cogs = Number(cogsData.cogs);
+
+  const recordedTotal = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  const estimated = recordedTotal === 0 && !hasComputedCogs;
+  const totalCosts = estimated ? revenue * ESTIMATED_COST_RATIO : recordedTotal;
+  const netProfit = revenue - totalCosts;
+
+  return {
+    id: branch.id,
+    name: branch.name,
+    code: branch.code,
+    city: branch.city,
+    status: branch.status,
+    currency: branch.currency,
+    revenue,
+    costs: estimated ? null : breakdown,
+    totalCosts,
+    netProfit,
+    profitMargin: revenue > 0 ? (netProfit / revenue) * 100 : 0,
+    estimated,
+    partialCogs: !!cogsData && Number(cogsData.uncosted_quantity) > 0
+  };
+}
+
+/**
+ * Build the cost summary for a window from raw rows.
+ * Branches without any recorded cost data fall back to the fixed
+ * ESTIMATED_COST_RATIO and are flagged with `estimated: true`.
+ * @param {Object} input
+ * @param {Array} input.branches - Branches to include
+ * @param {Array} input.expenses - Expense entries (recurring ones may start before the window)
+ * @param {Array} input.rates - Exchange-rate rows
+ * @param {Object} input.cogsByBranch - get_branch_cogs rows keyed by branch_id
+ * @param {Object} input.salesByBranch - get_branch_sales_summary rows keyed by branch_id
+ * @param {string} input.startDate - Window start
+ * @param {string} input.endDate - Window end
+ * @param {string|null} input.currency - Target currency (null = branch currency)
+ * @returns {Object} { period, currency, missingRate, branches, totals }
+ */
+export function buildCostSummary({ branches, expenses, rates, cogsByBranch, salesByBranch, startDate, endDate, currency }) {
+  const convertRate = createRateConverter(rates);
+  let missingRate = Object.values({ ...cogsByBranch, ...salesByBranch }).some(row => row.missing_rate);
+
+  const branchCosts = branches.map(branch => {
+    // Expenses are recorded in their own currency (defaulting to the branch's)
+    const convertExpense = (expense) => (amount, date) => {
+      const from = expense.currency || branch.currency;
+      if (!currency) return amount;
+      const converted = convertRate(amount, from, currency, date);
+      if (converted === null) missingRate = true;
+      return converted === null ? amount : converted;
+    };
+
+    return buildBranchCosts(
+      branch,
+      Number(salesByBranch[branch.id]?.revenue || 0),
+      expenses.filter(e => e.branch_id === branch.id),
+      cogsByBranch[branch.id],
+      startDate,
+      endDate,
+      convertExpense
+    );
+  });
+
+  const breakdown = EXPENSE_CATEGORIES.reduce((acc, category) => {
+    acc[category] = branchCosts.reduce((sum, b) => sum + (b.costs ? b.costs[category] : 0), 0);
+    return acc;
+  }, {});
+  const estimatedCosts = branchCosts
+    .filter(b => b.estimated)
+    .reduce((sum, b) => sum + b.totalCosts, 0);
+
+  const revenue = branchCosts.reduce((sum, b) => sum + b.revenue, 0);
+  const totalCosts = branchCosts.reduce((sum, b) => sum + b.totalCosts, 0);
+  const netProfit = revenue - totalCosts;
+  const estimatedBranches = branchCosts.filter(b => b.estimated).length;
+
+  return {
+    period: { startDate, endDate },
+    currency,
+    missingRate,
+    branches: branchCosts,
+    totals: {
+      revenue,
+      totalCosts,
+      netProfit,
+      profitMargin: revenue > 0 ? (netProfit / revenue) * 100 : 0,
+      breakdown,
+      estimatedCosts,
+      estimated: estimatedBranches > 0,
+      estimatedBranches,
+      fullyEstimated: branchCosts.length > 0 && estimatedBranches === branchCosts.length
+    }
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Currency Utilities
+ * Reporting currency, dated exchange-rate lookups and CSV import parsing.
+ * Rates are stored as "1 from_currency = rate to_currency" on a rate_date.
+ */
+
+export const DEFAULT_CURRENCY = 'SAR';
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'SAR', name: 'Saudi Riyal' },
+  { code: 'AED', name: 'UAE Dirham' },
+  { code: 'KWD', name: 'Kuwaiti Dinar' },
+  { code: 'QAR', name: 'Qatari Riyal' },
+  { code: 'BHD', name: 'Bahraini Dinar' },
+  { code: 'OMR', name: 'Omani Rial' },
+  { code: 'EGP', name: 'Egyptian Pound' },
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' }
+];
+
+// Brand reporting currency (set from the brand when it loads)
+let reportingCurrency = DEFAULT_CURRENCY;
+
+/**
+ * Set the brand reporting currency
+ * @param {string} currency - ISO 4217 code
+ */
+export const setReportingCurrency = (currency) => {
+  reportingCurrency = currency || DEFAULT_CURRENCY;
+};
+
+/**
+ * Get the brand reporting currency
+ * @returns {string} ISO 4217 code
+ */
+export const getReportingCurrency = () => reportingCurrency;
+
+/**
+ * Format an amount with its currency code (e.g. "AED 1,250.5")
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code (defaults to the reporting currency)
+ * @returns {string}
+ */
+export const formatAmount = (amount, currency = reportingCurrency) => {
+  const value = Number(amount || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  return `${currency} ${value}`;
+};
+
+/**
+ * Build a converter over a list of exchange-rate rows.
+ * Uses the latest rate on or before the date (or the inverse of the reverse
+ * pair), falling back to the earliest later rate — the same rule as the
+ * exchange_rate_at() database function.
+ * @param {Array} rates - Rows ({ from_currency, to_currency, rate, rate_date })
+ * @returns {Function} (amount, from, to, date) => number|null
+ */
+export const createRateConverter = (rates = []) => {
+  const byPair = {};
+  const addRate = (from, to, rate, date) => {
+    const key = `${from}>${to}`;
+    if (!byPair[key]) byPair[key] = [];
+    byPair[key].push({ rate, date });
+  };
+
+  rates.forEach(row => {
+    const rate = Number(row.rate);
+    if (!(rate > 0)) return;
+    addRate(row.from_currency, row.to_currency, rate, row.rate_date);
+    addRate(row.to_currency, row.from_currency, 1 / rate, row.rate_date);
+  });
+
+  // Oldest first, so the scan below stops at the latest rate on or before the date
+  Object.values(byPair).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+  const rateAt = (from, to, date) => {
+    if (!from || !to || from === to) return 1;
+    const list = byPair[`${from}>${to}`];
+    if (!list || list.length === 0) return null;
+
+    let match = null;
+    for (const entry of list) {
+      if (entry.date <= date) match = entry;
+      else break;
+    }
+    return (match || list[0]).rate;
+  };
+
+  return (amount, from, to, date) => {
+    const rate = rateAt(from, to, date);
+    return rate === null ? null : Number(amount) * rate;
+  };
+};
+
+/**
+ * Parse exchange rates from CSV text.
+ * Expected header: date,from,to,rate (column order is free, case-insensitive;
+ * "rate_date", "from_currency" and "to_currency" are accepted too).
+ * @param {string} text - CSV content
+ * @returns {{rows: Array, errors: Array}}
+ */
+export const parseExchangeRatesCSV = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const rows = [];
+  const errors = [];
+
+  if (lines.length === 0) {
+    return { rows, errors: [{ line: 0, message: 'File is empty' }] };
+  }
+
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/"/g, ''));
+  const column = (...names) => header.findIndex(h => names.includes(h));
+  const cols = {
+    date: column('date', 'rate_date'),
+    from: column('from', 'from_currency'),
+    to: column('to', 'to_currency'),
+    rate: column('rate')
+  };
+
+  const missing = Object.entries(cols).filter(([, index]) => index === -1).map(([name]) => name);
+  if (missing.length > 0) {
+    return { rows, errors: [{ line: 1, message: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  lines.slice(1).forEach((line, i) => {
+    const lineNumber = i + 2;
+    const cells = line.split(',').map(c => c.trim().replace(/"/g, ''));
+    const date = cells[cols.date];
+    const from = (cells[cols.from] || '').toUpperCase();
+    const to = (cells[cols.to] || '').toUpperCase();
+    const rate = Number(cells[cols.rate]);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      errors.push({ line: lineNumber, message: `Invalid date "${date || ''}" (expected YYYY-MM-DD)` });
+    } else if (!/^[A-Z]{3}$/.test(from) || !/^[A-Z]{3}$/.test(to)) {
+      errors.push({ line: lineNumber, message: 'Currencies must be 3-letter ISO codes' });
+    } else if (from === to) {
+      errors.push({ line: lineNumber, message: 'From and to currencies must differ' });
+    } else if (!(rate > 0)) {
+      errors.push({ line: lineNumber, message: `Invalid rate "${cells[cols.rate] || ''}"` });
+    } else {
+      rows.push({ rate_date: date, from_currency: from, to_currency: to, rate });
+    }
+  });
+
+  return { rows, errors };
+};
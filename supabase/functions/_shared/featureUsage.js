@@ -0,0 +1,137 @@
+/**
+ * Feature Usage
+ * Monthly per-user usage counters in feature_usage_logs, checked against
+ * the plan limits in subscriptionPlans. The Supabase client is injected so
+ * the same counting backs featureUsageAPI in the app and the ai-chat Edge
+ * Function, which writes with the service role (users can only read their
+ * own logs).
+ */
+
+import { getLimit, isUnlimited } from './subscriptionPlans.js';
+
+const ACTIVE_STATUSES = ['active', 'trial', 'past_due'];
+
+async function query(request, message) {
+  const { data, error } = await request;
+  if (error) {
+    throw new Error(`${message}: ${error.message || error}`);
+  }
+  return data;
+}
+
+/**
+ * Calendar month a usage counter belongs to
+ * @param {Date} now - Reference time
+ * @returns {{start: Date, end: Date}}
+ */
+export function usagePeriod(now = new Date()) {
+  return {
+    start: new Date(now.getFullYear(), now.getMonth(), 1),
+    end: new Date(now.getFullYear(), now.getMonth() + 1, 0)
+  };
+}
+
+/**
+ * Latest active, trial or past-due subscription of a user, or null
+ */
+export async function getActiveSubscription(supabase, userId) {
+  const rows = await query(
+    supabase
+      .from('user_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', ACTIVE_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1),
+    'Failed to fetch current subscription'
+  );
+  return rows?.[0] || null;
+}
+
+/**
+ * This month's usage log for a feature, or null before first use
+ */
+export async function getFeatureUsage(supabase, userId, featureKey, now = new Date()) {
+  const { start, end } = usagePeriod(now);
+  return query(
+    supabase
+      .from('feature_usage_logs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('feature_key', featureKey)
+      .gte('period_start', start.toISOString())
+      .lte('period_end', end.toISOString())
+      .maybeSingle(),
+    `Failed to fetch usage for ${featureKey}`
+  );
+}
+
+/**
+ * Whether a user may use a feature once more this month
+ * @returns {Promise<{allowed: boolean, limit: number, usage: number, remaining: number, percentage?: number}>}
+ */
+export async function checkFeatureLimit(supabase, userId, planId, featureKey) {
+  const limit = getLimit(planId, featureKey);
+
+  if (isUnlimited(limit)) {
+    return { allowed: true, limit: -1, usage: 0, remaining: -1 };
+  }
+
+  const usage = await getFeatureUsage(supabase, userId, featureKey);
+  const currentUsage = usage?.usage_count || 0;
+
+  return {
+    allowed: currentUsage < limit,
+    limit,
+    usage: currentUsage,
+    remaining: Math.max(0, limit - currentUsage),
+    percentage: limit > 0 ? (currentUsage / limit) * 100 : 100
+  };
+}
+
+/**
+ * Count a use of a feature this month if the plan limit leaves room. The
+ * limit is checked and the counter created or incremented in one statement
+ * in the database, so concurrent requests cannot slip past the limit;
+ * callers gate on `allowed` rather than on an earlier checkFeatureLimit.
+ * @returns {Promise<{allowed: boolean, limit: number, usage: number|null, remaining: number, percentage?: number}>}
+ */
+export async function trackFeatureUsage(supabase, { userId, planId, featureKey, incrementBy = 1 }) {
+  const { start, end } = usagePeriod();
+  const limit = getLimit(planId, featureKey);
+  const row = await query(
+    supabase
+      .rpc('increment_feature_usage', {
+        user_uuid: userId,
+        feature: featureKey,
+        increment_by: incrementBy,
+        limit_count: limit,
+        period_from: start.toISOString(),
+        period_to: end.toISOString()
+      })
+      .maybeSingle(),
+    `Failed to track usage for ${featureKey}`
+  );
+
+  if (!row) {
+    return { allowed: false, limit, usage: null, remaining: 0 };
+  }
+  if (isUnlimited(limit)) {
+    return { allowed: true, limit: -1, usage: row.usage_count, remaining: -1 };
+  }
+  return {
+    allowed: true,
+    limit,
+    usage: row.usage_count,
+    remaining: Math.max(0, limit - row.usage_count),
+    percentage: limit > 0 ? (row.usage_count / limit) * 100 : 100
+  };
+}
+
+/**
+ * Give back usage counted by trackFeatureUsage, e.g. when the request it
+ * was counted for failed
+ */
+export async function releaseFeatureUsage(supabase, { userId, planId, featureKey, incrementBy = 1 }) {
+  return trackFeatureUsage(supabase, { userId, planId, featureKey, incrementBy: -incrementBy });
+}
@@ -0,0 +1,167 @@
+/**
+ * Anthropic Provider
+ * Messages API. System turns become the top-level system prompt, turns of
+ * the same role are merged (the API requires alternating roles starting with
+ * the user) and temperature is capped at 1. Tool calls are tool_use blocks
+ * and their results tool_result blocks of a user turn.
+ */
+
+import { LlmProviderError, postWithRetry, readServerSentEvents, usageOf, parseToolArguments } from './transport.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+
+const blocksOf = (content) => (typeof content === 'string'
+  ? (content ? [{ type: 'text', text: content }] : [])
+  : content);
+
+function toAnthropicTurn(message) {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+    };
+  }
+  if (message.role === 'assistant' && message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: [
+        ...blocksOf(message.content || ''),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+      ]
+    };
+  }
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Split chat messages into Anthropic's system prompt and turns
+ */
+export function toAnthropicMessages(messages = []) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const turns = [];
+  messages
+    .filter(message => message.role !== 'system')
+    .map(toAnthropicTurn)
+    .forEach(({ role, content }) => {
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content = typeof last.content === 'string' && typeof content === 'string'
+          ? `${last.content}\n\n${content}`
+          : [...blocksOf(last.content), ...blocksOf(content)];
+      } else {
+        turns.push({ role, content });
+      }
+    });
+
+  // Leading assistant turns (e.g. a greeting) have no user turn to follow
+  while (turns.length > 0 && turns[0].role !== 'user') turns.shift();
+
+  return { system, messages: turns };
+}
+
+const request = (config, { messages, tools, toolChoice, temperature, maxTokens, signal }, stream) => {
+  const { system, messages: turns } = toAnthropicMessages(messages);
+  return postWithRetry(config.url, {
+    provider: 'anthropic',
+    headers: config.headers,
+    signal,
+    fetch: config.fetch,
+    retry: config.retry,
+    body: {
+      model: config.model,
+      ...(system ? { system } : {}),
+      messages: turns,
+      ...(tools?.length
+        ? {
+          tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+          ...(toolChoice ? { tool_choice: { type: toolChoice } } : {})
+        }
+        : {}),
+      max_tokens: maxTokens,
+      ...(temperature === undefined ? {} : { temperature: Math.min(1, temperature) }),
+      stream
+    }
+  });
+};
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  defaultModel: DEFAULT_MODEL,
+  contextWindow: 200000,
+  // Claude's tokenizer splits English a little finer than OpenAI's
+  tokenCounting: { charsPerToken: 3.5, messageOverhead: 4 },
+  pricing: {
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 }
+  },
+
+  configure(env, model) {
+    const apiKey = env('ANTHROPIC_API_KEY');
+    if (!apiKey) return null;
+    return {
+      url: `${ANTHROPIC_URL}/messages`,
+      headers: { 'x-api-key': apiKey, 'anthropic-version': API_VERSION },
+      model: model || env('ANTHROPIC_MODEL') || DEFAULT_MODEL
+    };
+  },
+
+  async complete(config, chatRequest) {
+    const response = await request(config, chatRequest, false);
+    const data = await response.json();
+    return {
+      content: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: (data.content || [])
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      model: data.model || config.model,
+      finishReason: data.stop_reason || null,
+      usage: usageOf(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  },
+
+  async* stream(config, chatRequest) {
+    const response = await request(config, chatRequest, true);
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let finishReason = null;
+    // tool_use blocks by index; their input arrives as partial JSON
+    const toolBlocks = {};
+
+    for await (const { data } of readServerSentEvents(response.body)) {
+      const event = JSON.parse(data);
+      if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens || 0;
+        outputTokens = event.message?.usage?.output_tokens || 0;
+      } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield { type: 'text', text: event.delta.text };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        if (toolBlocks[event.index]) toolBlocks[event.index].json += event.delta.partial_json;
+      } else if (event.type === 'content_block_stop' && toolBlocks[event.index]) {
+        const { id, name, json } = toolBlocks[event.index];
+        yield { type: 'tool_call', toolCall: { id, name, arguments: parseToolArguments(json) } };
+      } else if (event.type === 'message_delta') {
+        // Output tokens here are cumulative
+        if (event.usage?.output_tokens !== undefined) outputTokens = event.usage.output_tokens;
+        if (event.delta?.stop_reason) finishReason = event.delta.stop_reason;
+      } else if (event.type === 'error') {
+        throw new LlmProviderError(event.error?.message || 'Anthropic stream error', { provider: 'anthropic' });
+      } else if (event.type === 'message_stop') {
+        break;
+      }
+    }
+
+    yield { type: 'usage', usage: usageOf(inputTokens, outputTokens) };
+    yield { type: 'done', finishReason };
+  }
+};
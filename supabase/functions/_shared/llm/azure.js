@@ -0,0 +1,31 @@
+/**
+ * Azure OpenAI Provider
+ * Same API as OpenAI on a resource endpoint; the model is the deployment
+ * name and auth is an api-key header.
+ */
+
+import { createOpenAICompatibleProvider } from './openai.js';
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+export const azureProvider = createOpenAICompatibleProvider({
+  id: 'azure',
+  name: 'Azure OpenAI',
+  defaultModel: null,
+  contextWindow: 128000,
+  // Deployment names say nothing about the model, so cost is not estimated
+  pricing: null,
+  configure(env, model) {
+    const apiKey = env('AZURE_OPENAI_API_KEY');
+    const endpoint = env('AZURE_OPENAI_ENDPOINT');
+    const deployment = model || env('AZURE_OPENAI_DEPLOYMENT');
+    if (!apiKey || !endpoint || !deployment) return null;
+    return {
+      url: `${endpoint.replace(/\/$/, '')}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions`
+        + `?api-version=${env('AZURE_OPENAI_API_VERSION') || DEFAULT_API_VERSION}`,
+      headers: { 'api-key': apiKey },
+      model: deployment,
+      streamUsage: true
+    };
+  }
+});
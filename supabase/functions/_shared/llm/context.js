@@ -0,0 +1,180 @@
+/**
+ * LLM Context Budget
+ * Keeps advisor requests inside a token budget whatever the conversation
+ * length: counts tokens the way the provider roughly tokenizes, splits the
+ * history into recent turns sent verbatim and older turns folded into a
+ * rolling summary, shrinks tool results that are too large and prices usage.
+ */
+
+import { DEFAULT_TOKEN_COUNTING, estimateTokens, estimateMessageTokens } from './transport.js';
+
+export const CONTEXT_BUDGET = {
+  // Most a request may send, whatever the model's window allows
+  maxInputTokens: 16000,
+  // Recent turns sent verbatim before older ones are summarized
+  historyTokens: 4000,
+  // The last question and answer always go verbatim
+  minRecentMessages: 2,
+  // Longest rolling summary
+  summaryTokens: 500,
+  // Most a single tool result may take
+  toolResultTokens: 1500,
+  // Longest single turn given to the summarizer
+  summaryTurnTokens: 800
+};
+
+/**
+ * The provider's token counting, or the default ~4 characters per token
+ */
+export const tokenCountingOf = (provider) => provider?.tokenCounting || DEFAULT_TOKEN_COUNTING;
+
+/**
+ * Tokens a request may send: the budget, less the answer's room when the
+ * provider's window is smaller
+ * @param {Object} provider
+ * @param {number} maxTokens - Tokens reserved for the answer
+ */
+export function inputTokenBudget(provider, maxTokens = 0, budget = CONTEXT_BUDGET) {
+  const window = provider?.contextWindow || Infinity;
+  return Math.max(0, Math.min(budget.maxInputTokens, window - maxTokens));
+}
+
+/**
+ * Split a conversation's turns into the recent ones sent verbatim and the
+ * older ones to summarize. Nothing is split off while the history fits in
+ * historyTokens; once it does not, it is cut back to half of that so the
+ * summary is not redone on every turn. Recent turns start with a question.
+ * @param {Array} history - { role, content } turns, oldest first
+ * @param {Object} options - { counting, historyTokens, minRecentMessages }
+ * @returns {{recent: Array, older: Array}} the same turn objects
+ */
+export function splitHistory(history = [], {
+  counting = DEFAULT_TOKEN_COUNTING,
+  historyTokens = CONTEXT_BUDGET.historyTokens,
+  minRecentMessages = CONTEXT_BUDGET.minRecentMessages
+} = {}) {
+  if (estimateMessageTokens(history, counting) <= historyTokens) {
+    return { recent: history, older: [] };
+  }
+
+  const target = historyTokens / 2;
+  let start = history.length;
+  let used = 0;
+  while (start > 0) {
+    const cost = estimateMessageTokens([history[start - 1]], counting);
+    if (history.length - start >= minRecentMessages && used + cost > target) break;
+    used += cost;
+    start -= 1;
+  }
+  while (start > 0 && start < history.length && history[start].role !== 'user') start += 1;
+
+  return { recent: history.slice(start), older: history.slice(0, start) };
+}
+
+/**
+ * Cut text down to about maxTokens, marking the cut
+ */
+export function truncateToTokens(text, maxTokens, counting = DEFAULT_TOKEN_COUNTING) {
+  const value = String(text ?? '');
+  if (estimateTokens(value, counting) <= maxTokens) return value;
+  return `${value.slice(0, Math.max(0, Math.floor(maxTokens * counting.charsPerToken) - 1))}…`;
+}
+
+// The longest array in a value, with where it sits
+function largestArray(value, parent = null, key = null, found = null) {
+  let best = found;
+  if (Array.isArray(value)) {
+    if (value.length > 1 && (!best || value.length > best.array.length)) best = { array: value, parent, key };
+    value.forEach((item, index) => { best = largestArray(item, value, index, best); });
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([name, item]) => { best = largestArray(item, value, name, best); });
+  }
+  return best;
+}
+
+// Halve an array: dated rows keep the latest, ranked rows the top
+const halve = (array) => {
+  const keep = Math.ceil(array.length / 2);
+  return array[0] && typeof array[0] === 'object' && 'date' in array[0] ? array.slice(-keep) : array.slice(0, keep);
+};
+
+/**
+ * A tool result as JSON of at most about maxTokens. Large results lose half
+ * of their longest list at a time and are marked truncated; anything still
+ * too long is cut as text.
+ * @param {*} result - What the tool returned
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function fitToolResult(result, maxTokens = CONTEXT_BUDGET.toolResultTokens, counting = DEFAULT_TOKEN_COUNTING) {
+  const json = JSON.stringify(result ?? null);
+  if (estimateTokens(json, counting) <= maxTokens) return json;
+  const preview = () => JSON.stringify({ truncated: true, preview: truncateToTokens(json, maxTokens - 20, counting) });
+  if (!result || typeof result !== 'object') return preview();
+
+  const value = Array.isArray(result) ? { rows: JSON.parse(json) } : JSON.parse(json);
+  value.truncated = true;
+  let found = largestArray(value);
+  while (found && estimateTokens(JSON.stringify(value), counting) > maxTokens) {
+    found.parent[found.key] = halve(found.array);
+    found = largestArray(value);
+  }
+  const fitted = JSON.stringify(value);
+  return estimateTokens(fitted, counting) <= maxTokens ? fitted : preview();
+}
+
+/**
+ * Messages asking the model to fold older turns into the rolling summary
+ * @param {Object} options - { summary, turns, counting, maxTokens }
+ * @returns {Array}
+ */
+export function summaryMessages({
+  summary = null,
+  turns = [],
+  counting = DEFAULT_TOKEN_COUNTING,
+  maxTokens = CONTEXT_BUDGET.summaryTokens
+}) {
+  const words = Math.floor(maxTokens * 0.75);
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'Owner' : 'Advisor'}: ${truncateToTokens(turn.content, CONTEXT_BUDGET.summaryTurnTokens, counting)}`)
+    .join('\n\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You keep the running summary of a conversation between a restaurant owner and their business advisor. '
+        + `Merge the summary so far with the new turns into one summary of at most ${words} words. `
+        + 'Keep figures with their periods and branches, the owner\'s goals, decisions and open questions; drop greetings and repetition. '
+        + 'Reply with the summary only.'
+    },
+    {
+      role: 'user',
+      content: `Summary so far:\n${summary || 'None'}\n\nNew turns:\n${transcript}`
+    }
+  ];
+}
+
+/**
+ * A model's price from the provider's pricing: the entry whose key is the
+ * longest prefix of the model name
+ * @returns {{input: number, output: number}|null} USD per million tokens
+ */
+export function modelPrice(provider, model) {
+  if (!provider?.pricing) return null;
+  const name = String(model || provider.defaultModel || '');
+  const key = Object.keys(provider.pricing)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key === undefined ? null : provider.pricing[key];
+}
+
+/**
+ * Estimated cost in USD of usage on a model
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number|null} null when the model's price is unknown
+ */
+export function estimateCost(usage, provider, model) {
+  const price = modelPrice(provider, model);
+  if (!price || !usage) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
@@ -0,0 +1,80 @@
+/**
+ * LLM Providers
+ * Registry of the chat model providers the AI advisor can run on, chosen per
+ * brand (brands.ai_provider). Each provider is a plain object:
+ *
+ *   { id, name, defaultModel, contextWindow, tokenCounting, pricing,
+ *     configure(env, model), complete(config, request), stream(config, request) }
+ *
+ * - contextWindow is the tokens a request and its answer may take,
+ *   tokenCounting { charsPerToken, messageOverhead } how its tokenizer
+ *   roughly counts (see context.js), and pricing USD per million
+ *   { input, output } tokens keyed by model name prefix, or null when
+ *   unknown
+ * - configure reads credentials through env(name) and returns the config
+ *   for the other calls, or null when they are not set
+ * - request is { messages, tools, toolChoice, temperature, maxTokens, signal }
+ *   where messages are { role, content } turns; an assistant turn may carry
+ *   toolCalls [{ id, name, arguments }] answered by { role: 'tool',
+ *   toolCallId, name, content } turns. tools are [{ name, description,
+ *   parameters (JSON schema) }] and toolChoice 'auto' or 'none'
+ * - complete resolves { content, toolCalls, model, finishReason, usage }
+ * - stream yields { type: 'text', text } chunks, { type: 'tool_call',
+ *   toolCall } once a call is complete, then { type: 'usage', usage } and
+ *   { type: 'done', finishReason }
+ *
+ * usage is { inputTokens, outputTokens, totalTokens, estimated }. Requests
+ * are retried with backoff on 429/5xx (see transport.js).
+ */
+
+import { openaiProvider } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+import { azureProvider } from './azure.js';
+import { localProvider } from './local.js';
+import { mockProvider } from './mock.js';
+
+export const LLM_PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [azureProvider.id]: azureProvider,
+  [localProvider.id]: localProvider,
+  [mockProvider.id]: mockProvider
+};
+
+export const DEFAULT_LLM_PROVIDER = openaiProvider.id;
+
+/**
+ * Get a provider
+ * @param {string} id - Provider id (brands.ai_provider)
+ * @returns {Object}
+ */
+export function getLlmProvider(id) {
+  const provider = LLM_PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unsupported AI provider: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * Provider and its config for a brand's settings
+ * @param {string} id - Provider id, defaults to DEFAULT_LLM_PROVIDER
+ * @param {Function} env - Reads a credential/setting by name
+ * @param {string} model - Brand model override (brands.ai_model)
+ * @returns {{provider: Object, config: Object|null}} config is null when
+ *   the provider's credentials are not set
+ */
+export function resolveLlmProvider(id, env, model = null) {
+  const provider = getLlmProvider(id || DEFAULT_LLM_PROVIDER);
+  return { provider, config: provider.configure(env, model || null) };
+}
+
+export { LlmProviderError, DEFAULT_TOKEN_COUNTING, estimateTokens, estimateMessageTokens, readServerSentEvents } from './transport.js';
+export {
+  CONTEXT_BUDGET, tokenCountingOf, inputTokenBudget, splitHistory, truncateToTokens, fitToolResult, summaryMessages, modelPrice, estimateCost
+} from './context.js';
+export { toOpenAIMessages } from './openai.js';
+export { toAnthropicMessages } from './anthropic.js';
+export { mockReply, mockToolCall } from './mock.js';
+
+export default LLM_PROVIDERS;
@@ -0,0 +1,33 @@
+/**
+ * Local Provider
+ * A self-hosted OpenAI-compatible server such as Ollama or llama.cpp. The
+ * URL comes from the server environment, never from brand settings, so a
+ * brand cannot point the proxy at an arbitrary host. Usage is estimated
+ * since these servers do not all report it when streaming.
+ */
+
+import { createOpenAICompatibleProvider } from './openai.js';
+
+const DEFAULT_MODEL = 'llama3.1';
+
+export const localProvider = createOpenAICompatibleProvider({
+  id: 'local',
+  name: 'Local (OpenAI-compatible)',
+  defaultModel: DEFAULT_MODEL,
+  // Ollama's default context length; raise it with the server's num_ctx
+  contextWindow: 8192,
+  // Self-hosted, so no per-token cost ('' matches every model)
+  pricing: { '': { input: 0, output: 0 } },
+  configure(env, model) {
+    // e.g. http://localhost:11434/v1 for Ollama
+    const baseUrl = env('LOCAL_LLM_URL');
+    if (!baseUrl) return null;
+    const apiKey = env('LOCAL_LLM_API_KEY');
+    return {
+      url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      model: model || env('LOCAL_LLM_MODEL') || DEFAULT_MODEL,
+      streamUsage: false
+    };
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Mock Provider
+ * A deterministic advisor for development, checks and offline demos: no
+ * network and no credentials, and the same conversation always gets the
+ * same reply. Replies echo the question and the business data the system
+ * prompt carried, so prompt changes are visible without a real model. Given
+ * tools, it calls the first one once per question before answering.
+ */
+
+import { estimateMessageTokens, estimateTokens, usageOf, DEFAULT_TOKEN_COUNTING } from './transport.js';
+
+const MODEL = 'mock-advisor-1';
+
+const lastUserMessage = (messages) => [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+// Tool results since the latest question
+const currentToolResults = (messages) => {
+  const lastQuestion = messages.map(message => message.role).lastIndexOf('user');
+  return messages.slice(lastQuestion + 1).filter(message => message.role === 'tool');
+};
+
+// "- Revenue: 12,345" style lines from the advisor's system prompt
+const contextFacts = (messages) => messages
+  .filter(message => message.role === 'system')
+  .flatMap(message => message.content.split('\n'))
+  .filter(line => /^- [^:]+: .+/.test(line.trim()))
+  .map(line => line.trim().slice(2))
+  .slice(0, 3);
+
+/**
+ * The reply the mock gives to a conversation
+ */
+export function mockReply(messages = []) {
+  const question = lastUserMessage(messages).trim().replace(/\s+/g, ' ');
+  const quoted = question.length > 80 ? `${question.slice(0, 77)}...` : question;
+  const facts = contextFacts(messages);
+  const turn = messages.filter(message => message.role === 'user').length;
+  const lookups = currentToolResults(messages).map(message => message.name || 'a tool');
+
+  return [
+    `(Mock advisor, turn ${turn}) You asked: "${quoted || 'nothing yet'}".`,
+    ...(lookups.length > 0 ? [`I looked up ${lookups.join(', ')}.`] : []),
+    facts.length > 0
+      ? `From your data: ${facts.join('; ')}.`
+      : 'No business data was shared with this request.',
+    'A real provider would analyse this and suggest next steps. Would you like me to compare it with last month?'
+  ].join(' ');
+}
+
+/**
+ * The tool call the mock makes: the first tool, until it has a result for
+ * the latest question
+ */
+export function mockToolCall(messages = [], tools = [], toolChoice = null) {
+  if (!tools?.length || toolChoice === 'none' || currentToolResults(messages).length > 0) return null;
+  const turn = messages.filter(message => message.role === 'user').length;
+  return { id: `mock_call_${turn}`, name: tools[0].name, arguments: {} };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Mock (offline demo)',
+  defaultModel: MODEL,
+  // Small, like a local model, so long conversations get summarized in demos
+  contextWindow: 8192,
+  tokenCounting: DEFAULT_TOKEN_COUNTING,
+  pricing: { '': { input: 0, output: 0 } },
+
+  configure(env, model) {
+    return {
+      model: model || MODEL,
+      // Optional pause between streamed words, to make demos look live
+      delayMs: Number(env('MOCK_LLM_DELAY_MS')) || 0
+    };
+  },
+
+  async complete(config, { messages, tools, toolChoice, maxTokens }) {
+    const toolCall = mockToolCall(messages, tools, toolChoice);
+    const content = toolCall ? '' : truncate(mockReply(messages), maxTokens);
+    return {
+      content,
+      toolCalls: toolCall ? [toolCall] : [],
+      model: config.model,
+      finishReason: toolCall ? 'tool_calls' : 'stop',
+      usage: usageOf(estimateMessageTokens(messages), estimateTokens(content), true)
+    };
+  },
+
+  async* stream(config, { messages, tools, toolChoice, maxTokens }) {
+    const toolCall = mockToolCall(messages, tools, toolChoice);
+    const content = toolCall ? '' : truncate(mockReply(messages), maxTokens);
+    const words = content ? content.split(/(?<= )/) : [];
+    for (const word of words) {
+      if (config.delayMs) await wait(config.delayMs);
+      yield { type: 'text', text: word };
+    }
+    if (toolCall) yield { type: 'tool_call', toolCall };
+    yield { type: 'usage', usage: usageOf(estimateMessageTokens(messages), estimateTokens(content), true) };
+    yield { type: 'done', finishReason: toolCall ? 'tool_calls' : 'stop' };
+  }
+};
+
+// Honour maxTokens at the same ~4 characters per token as the estimates
+function truncate(text, maxTokens) {
+  return maxTokens ? text.slice(0, maxTokens * 4) : text;
+}
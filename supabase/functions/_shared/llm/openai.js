@@ -0,0 +1,169 @@
+/**
+ * OpenAI Provider
+ * Chat Completions API. createOpenAICompatibleProvider() also backs Azure
+ * OpenAI and local OpenAI-compatible servers, which differ only in URL,
+ * auth header and whether streamed usage is available.
+ */
+
+import {
+  postWithRetry, readServerSentEvents, estimateMessageTokens, estimateTokens, usageOf, parseToolArguments, DEFAULT_TOKEN_COUNTING
+} from './transport.js';
+
+const OPENAI_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Chat messages in the Chat Completions shape: tool calls become
+ * function tool_calls and tool results `tool` messages
+ */
+export function toOpenAIMessages(messages = []) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+const toOpenAITools = (tools) => tools.map(({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters }
+}));
+
+// Some OpenAI-compatible servers leave out tool call ids
+const toToolCall = (call, index) => ({
+  id: call.id || `call_${index}`,
+  name: call.function?.name,
+  arguments: parseToolArguments(call.function?.arguments)
+});
+
+/**
+ * Build a provider for an OpenAI-compatible chat completions endpoint
+ * @param {Object} definition - { id, name, defaultModel, contextWindow,
+ *   tokenCounting, pricing, configure(env, model) } where configure returns
+ *   { url, headers, model, streamUsage } or null when the provider's
+ *   credentials are not set
+ */
+export function createOpenAICompatibleProvider({
+  id,
+  name,
+  defaultModel,
+  contextWindow,
+  tokenCounting = DEFAULT_TOKEN_COUNTING,
+  pricing = null,
+  configure
+}) {
+  const request = (config, { messages, tools, toolChoice, temperature, maxTokens, signal }, stream) => postWithRetry(config.url, {
+    provider: id,
+    headers: config.headers,
+    signal,
+    fetch: config.fetch,
+    retry: config.retry,
+    body: {
+      model: config.model,
+      messages: toOpenAIMessages(messages),
+      ...(tools?.length ? { tools: toOpenAITools(tools), ...(toolChoice ? { tool_choice: toolChoice } : {}) } : {}),
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+      ...(stream && config.streamUsage ? { stream_options: { include_usage: true } } : {})
+    }
+  });
+
+  return {
+    id,
+    name,
+    defaultModel,
+    contextWindow,
+    tokenCounting,
+    pricing,
+    configure,
+
+    async complete(config, chatRequest) {
+      const response = await request(config, chatRequest, false);
+      const data = await response.json();
+      const message = data.choices?.[0]?.message;
+      const content = message?.content || '';
+      return {
+        content,
+        toolCalls: (message?.tool_calls || []).map(toToolCall),
+        model: data.model || config.model,
+        finishReason: data.choices?.[0]?.finish_reason || null,
+        usage: data.usage
+          ? usageOf(data.usage.prompt_tokens, data.usage.completion_tokens)
+          : usageOf(estimateMessageTokens(chatRequest.messages, tokenCounting), estimateTokens(content, tokenCounting), true)
+      };
+    },
+
+    async* stream(config, chatRequest) {
+      const response = await request(config, chatRequest, true);
+      let text = '';
+      let usage = null;
+      let finishReason = null;
+      // Tool calls arrive in pieces keyed by index: id and name first, then the arguments
+      const toolCalls = [];
+
+      for await (const { data } of readServerSentEvents(response.body)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          yield { type: 'text', text: choice.delta.content };
+        }
+        (choice?.delta?.tool_calls || []).forEach(part => {
+          const call = toolCalls[part.index] || (toolCalls[part.index] = { id: null, function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        // With include_usage the last chunk has usage and no choices
+        if (chunk.usage) usage = usageOf(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+      }
+
+      for (const [index, call] of toolCalls.entries()) {
+        if (call) yield { type: 'tool_call', toolCall: toToolCall(call, index) };
+      }
+      yield {
+        type: 'usage',
+        usage: usage || usageOf(estimateMessageTokens(chatRequest.messages, tokenCounting), estimateTokens(text, tokenCounting), true)
+      };
+      yield { type: 'done', finishReason };
+    }
+  };
+}
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  defaultModel: DEFAULT_MODEL,
+  contextWindow: 128000,
+  pricing: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 }
+  },
+  configure(env, model) {
+    const apiKey = env('OPENAI_API_KEY');
+    if (!apiKey) return null;
+    return {
+      url: `${(env('OPENAI_BASE_URL') || OPENAI_URL).replace(/\/$/, '')}/chat/completions`,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      model: model || env('OPENAI_MODEL') || DEFAULT_MODEL,
+      streamUsage: true
+    };
+  }
+});
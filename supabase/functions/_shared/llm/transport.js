@@ -0,0 +1,180 @@
+/**
+ * LLM Transport
+ * What every provider shares: a POST with retry and exponential backoff on
+ * rate limits and server errors, a server-sent events reader, tool call
+ * argument parsing, and token estimates for providers that do not report
+ * usage.
+ */
+
+// 529 is Anthropic's "overloaded"
+export const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+export const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+};
+
+export class LlmProviderError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry `attempt` (0-based): doubling from baseDelayMs, or the
+ * server's Retry-After, capped at maxDelayMs
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY, retryAfter = null) {
+  const delay = retryAfter ?? baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, delay);
+}
+
+async function errorFrom(response, provider) {
+  const body = await response.json().catch(() => ({}));
+  // OpenAI/Azure: { error: { message } }, Anthropic: { type: 'error', error: { message } }
+  const message = body.error?.message || body.message || `${provider} request failed: ${response.status} ${response.statusText}`;
+  return new LlmProviderError(message, {
+    provider,
+    status: response.status,
+    retryable: RETRYABLE_STATUSES.includes(response.status),
+    retryAfterMs: retryAfterMs(response)
+  });
+}
+
+/**
+ * POST JSON and return the response once it is OK, retrying retryable
+ * statuses and network failures. Only the request is retried: once a
+ * response body is being read it is the caller's.
+ * @param {string} url
+ * @param {Object} options - { provider, headers, body, signal, fetch, retry }
+ * @returns {Promise<Response>}
+ */
+export async function postWithRetry(url, { provider, headers = {}, body, signal, fetch: fetchImpl = fetch, retry = {} }) {
+  const settings = { ...DEFAULT_RETRY, ...retry };
+  let attempt = 0;
+
+  while (true) {
+    let error;
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+      });
+      if (response.ok) return response;
+      error = await errorFrom(response, provider);
+    } catch (fetchError) {
+      if (fetchError.name === 'AbortError') throw fetchError;
+      error = new LlmProviderError(`${provider} is unreachable: ${fetchError.message}`, { provider, retryable: true });
+    }
+
+    if (!error.retryable || attempt >= settings.retries) throw error;
+    await (settings.sleep || sleep)(backoffDelay(attempt, settings, error.retryAfterMs));
+    attempt += 1;
+  }
+}
+
+/**
+ * Read a server-sent events body
+ * @param {ReadableStream} body - Response body
+ * @yields {{event: string|null, data: string}}
+ */
+export async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const dispatch = function* () {
+    if (data.length > 0) yield { event, data: data.join('\n') };
+    event = null;
+    data = [];
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line === '') {
+          yield* dispatch();
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+    }
+    if (buffer.startsWith('data:')) data.push(buffer.slice(5).replace(/^ /, ''));
+    yield* dispatch();
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * How a provider's tokenizer roughly splits text: characters per token, and
+ * the tokens of framing each message costs
+ */
+export const DEFAULT_TOKEN_COUNTING = { charsPerToken: 4, messageOverhead: 4 };
+
+/**
+ * Rough token count for budgeting and for providers that do not report usage
+ */
+export const estimateTokens = (text = '', { charsPerToken } = DEFAULT_TOKEN_COUNTING) => (
+  Math.ceil(String(text ?? '').length / charsPerToken)
+);
+
+export const estimateMessageTokens = (messages = [], counting = DEFAULT_TOKEN_COUNTING) => messages.reduce(
+  (total, message) => total + counting.messageOverhead + estimateTokens(message.content || '', counting)
+    + (message.toolCalls ? estimateTokens(JSON.stringify(message.toolCalls), counting) : 0),
+  0
+);
+
+/**
+ * Tool call arguments sent as a JSON string; a model that sends something
+ * unparsable gets no arguments rather than failing the request
+ */
+export function parseToolArguments(text) {
+  if (!text) return {};
+  try {
+    const args = JSON.parse(text);
+    return args && typeof args === 'object' && !Array.isArray(args) ? args : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Usage in the shape every provider reports
+ */
+export function usageOf(inputTokens, outputTokens, estimated = false) {
+  const input = Number(inputTokens) || 0;
+  const output = Number(outputTokens) || 0;
+  return { inputTokens: input, outputTokens: output, totalTokens: input + output, estimated };
+}
@@ -0,0 +1,268 @@
+/**
+ * PDF Documents
+ * Branded table PDFs that render Arabic. jsPDF shapes Arabic letters and
+ * reorders right-to-left runs on its own once a font with Arabic glyphs is
+ * active, so this module embeds one, mirrors the table for RTL, draws the
+ * brand's logo and color on every page and numbers the pages. Long tables
+ * continue onto new pages with the header repeated. The font (Amiri, SIL
+ * Open Font License) ships in public/fonts, so nothing is downloaded from
+ * third parties.
+ */
+
+import { containsArabic } from './xlsx.js';
+import logger from './logger.js';
+
+const ARABIC_FONT = { family: 'Amiri', file: 'Amiri-Regular.ttf' };
+
+// Served with the app; VITE_PDF_ARABIC_FONT_URL overrides it, e.g. for a CDN the app already uses
+const ARABIC_FONT_URL = import.meta.env?.VITE_PDF_ARABIC_FONT_URL || `/fonts/${ARABIC_FONT.file}`;
+
+// The same file read from the repository where there is no web server
+// (report schedules run in Node or Deno). Kept in a variable so Vite does
+// not bundle it. A deployed Edge Function only carries supabase/functions,
+// so it fetches the app's copy from PDF_ARABIC_FONT_URL instead.
+const ARABIC_FONT_PATH = `../../../public/fonts/${ARABIC_FONT.file}`;
+
+const DEFAULT_COLOR = '#3B82F6';
+const MARGIN = 14;
+const HEADER_HEIGHT = 28;
+
+let branding = { name: null, logoUrl: null, primaryColor: DEFAULT_COLOR };
+let fontRequest = null;
+const logoCache = new Map();
+
+/**
+ * Set the brand shown in PDF headers; called when the active brand changes
+ * @param {Object|null} brand - Brand row (name, logo_url, primary_color)
+ */
+export function setPdfBranding(brand) {
+  branding = {
+    name: brand?.name || null,
+    logoUrl: brand?.logo_url || null,
+    primaryColor: brand?.primary_color || DEFAULT_COLOR
+  };
+}
+
+export function getPdfBranding() {
+  return branding;
+}
+
+/**
+ * Current layout direction, as set on <html> by the locale context
+ * @returns {'rtl'|'ltr'}
+ */
+export function getDocumentDirection() {
+  return typeof document !== 'undefined' && document.documentElement.dir === 'rtl' ? 'rtl' : 'ltr';
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim());
+  const value = parseInt(match ? match[1] : DEFAULT_COLOR.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+async function fetchFont(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function readArabicFont() {
+  if (typeof document !== 'undefined') return fetchFont(ARABIC_FONT_URL);
+  const url = new URL(ARABIC_FONT_PATH, import.meta.url);
+  if (globalThis.Deno) {
+    const deployedUrl = globalThis.Deno.env.get('PDF_ARABIC_FONT_URL');
+    return deployedUrl ? fetchFont(deployedUrl) : globalThis.Deno.readFile(url);
+  }
+  const fsModule = 'node:fs/promises';
+  const { readFile } = await import(/* @vite-ignore */ fsModule);
+  return new Uint8Array(await readFile(url));
+}
+
+/**
+ * Load the Arabic font once per session
+ * @returns {Promise<string|null>} Base64 TTF, or null when it cannot be read
+ */
+function loadArabicFont() {
+  if (!fontRequest) {
+    fontRequest = (async () => {
+      try {
+        const bytes = await readArabicFont();
+        // A dev server answers unknown paths with index.html; a TrueType file starts with 0x00010000
+        if (bytes.length < 4 || new DataView(bytes.buffer, bytes.byteOffset).getUint32(0) !== 0x00010000) {
+          throw new Error('not a TrueType font');
+        }
+        return toBase64(bytes);
+      } catch (error) {
+        logger.warn('Arabic PDF font could not be loaded; Arabic text will not render', error);
+        return null;
+      }
+    })();
+  }
+  return fontRequest;
+}
+
+/**
+ * Embed the Arabic font in a document when its text needs it
+ * @param {import('jspdf').jsPDF} doc
+ * @param {boolean} needsArabic - Right-to-left layout or Arabic text present
+ * @returns {Promise<string>} Font family to draw with (helvetica without Arabic)
+ */
+export async function embedPdfFont(doc, needsArabic) {
+  const font = needsArabic ? await loadArabicFont() : null;
+  if (!font) return 'helvetica';
+
+  doc.addFileToVFS(ARABIC_FONT.file, font);
+  // Only a regular weight is embedded; bold and italic text reuse it
+  ['normal', 'bold', 'italic'].forEach(style => doc.addFont(ARABIC_FONT.file, ARABIC_FONT.family, style));
+  return ARABIC_FONT.family;
+}
+
+async function loadLogo(url) {
+  if (!url) return null;
+  if (!logoCache.has(url)) {
+    logoCache.set(url, (async () => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const type = response.headers.get('content-type') || '';
+        const format = type.includes('png') ? 'PNG' : /jpe?g/.test(type) ? 'JPEG' : null;
+        // jsPDF only embeds raster images; SVG and WebP logos are left out
+        if (!format) return null;
+        return { data: `data:${type};base64,${toBase64(await response.arrayBuffer())}`, format };
+      } catch {
+        return null;
+      }
+    })());
+  }
+  return logoCache.get(url);
+}
+
+/**
+ * The jspdf-autotable function, in the browser, Node and Deno
+ */
+export async function loadAutoTable() {
+  const autoTableModule = await import('jspdf-autotable');
+  // Node loads the CommonJS build, which nests the function one level deeper
+  return typeof autoTableModule.default === 'function' ? autoTableModule.default : autoTableModule.default.default;
+}
+
+/**
+ * Build a branded table PDF
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {Array<{key: string, label: string, formatter?: Function}>} options.columns - Columns in reading order
+ * @param {Array<Object>} options.rows - Rows keyed by column key
+ * @param {string} [options.subtitle] - Line under the title
+ * @param {'rtl'|'ltr'} [options.direction] - Defaults to the document direction
+ * @param {Object} [options.branding] - Overrides the brand set with setPdfBranding
+ * @param {'portrait'|'landscape'} [options.orientation] - Defaults to landscape for more than six columns
+ * @returns {Promise<import('jspdf').jsPDF>}
+ */
+export async function createTablePDF({
+  title,
+  columns,
+  rows,
+  subtitle = null,
+  direction = getDocumentDirection(),
+  branding: brandOverride = null,
+  orientation = columns.length > 6 ? 'landscape' : 'portrait'
+}) {
+  const brand = { ...branding, ...brandOverride };
+  const rtl = direction === 'rtl';
+  const cells = rows.map(row => columns.map(column => {
+    const value = column.formatter ? column.formatter(row[column.key], row) : row[column.key];
+    return value === null || value === undefined ? '' : String(value);
+  }));
+  const labels = columns.map(column => column.label || column.key);
+  const needsArabic = rtl || [title, subtitle, brand.name, ...labels, ...cells.flat()].some(text => text && containsArabic(text));
+
+  const [{ jsPDF }, autoTable, logo] = await Promise.all([
+    import('jspdf'),
+    loadAutoTable(),
+    loadLogo(brand.logoUrl)
+  ]);
+
+  const doc = new jsPDF({ orientation, unit: 'mm', format: 'a4' });
+  const fontName = await embedPdfFont(doc, needsArabic);
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const color = hexToRgb(brand.primaryColor);
+  const start = rtl ? pageWidth - MARGIN : MARGIN;
+  const end = rtl ? MARGIN : pageWidth - MARGIN;
+  const align = rtl ? 'right' : 'left';
+  const generated = new Date().toLocaleDateString(rtl ? 'ar-SA' : 'en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  const drawHeader = () => {
+    doc.setFillColor(...color);
+    doc.rect(0, 0, pageWidth, 3, 'F');
+
+    let textStart = start;
+    if (logo) {
+      const size = 14;
+      doc.addImage(logo.data, logo.format, rtl ? start - size : start, 7, size, size);
+      textStart = rtl ? start - size - 4 : start + size + 4;
+    }
+
+    doc.setFont(fontName, 'normal');
+    doc.setTextColor(17, 24, 39);
+    doc.setFontSize(15);
+    doc.text(title, textStart, 13, { align });
+    doc.setFontSize(9);
+    doc.setTextColor(107, 114, 128);
+    doc.text(subtitle || brand.name || '', textStart, 19, { align });
+    doc.text(generated, end, 13, { align: rtl ? 'left' : 'right' });
+
+    doc.setDrawColor(...color);
+    doc.setLineWidth(0.4);
+    doc.line(MARGIN, HEADER_HEIGHT - 3, pageWidth - MARGIN, HEADER_HEIGHT - 3);
+  };
+
+  // Right-to-left tables read from the right, so the first column is drawn last
+  const order = (list) => (rtl ? [...list].reverse() : list);
+
+  autoTable(doc, {
+    head: [order(labels)],
+    body: cells.map(order),
+    startY: HEADER_HEIGHT + 2,
+    margin: { top: HEADER_HEIGHT + 2, left: MARGIN, right: MARGIN, bottom: 16 },
+    styles: { font: fontName, fontStyle: 'normal', fontSize: 9, halign: align, overflow: 'linebreak' },
+    headStyles: { fillColor: color, textColor: 255 },
+    alternateRowStyles: { fillColor: [248, 250, 252] },
+    showHead: 'everyPage',
+    didDrawPage: drawHeader
+  });
+
+  // Footers go on once the table is laid out and the page count is known
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont(fontName, 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(rtl ? `صفحة ${page} من ${pages}` : `Page ${page} of ${pages}`, pageWidth / 2, pageHeight - 8, { align: 'center' });
+    if (brand.name && subtitle) {
+      doc.text(brand.name, start, pageHeight - 8, { align });
+    }
+  }
+
+  return doc;
+}
+
+export default {
+  setPdfBranding,
+  getPdfBranding,
+  getDocumentDirection,
+  embedPdfFont,
+  createTablePDF
+};
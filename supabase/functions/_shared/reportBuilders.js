@@ -0,0 +1,477 @@
+/**
+ * Report Builders
+ * Definitions of the report types that can also be produced server-side by
+ * the report schedule runner: metadata, parameters, section building and
+ * rule-based insights. Nothing here touches the browser session or the
+ * service layer; reportTypes attaches the in-app data fetch.
+ */
+
+import { EXPENSE_CATEGORIES } from './costing.js';
+import { formatBusinessDate } from './businessDay.js';
+
+export const REPORT_CATEGORIES = {
+  SALES: 'sales',
+  COMPARATIVE: 'comparative',
+  MENU: 'menu',
+  FINANCIAL: 'financial',
+  STAFF: 'staff'
+};
+
+export const percentChange = (current, previous) => (
+  previous > 0 ? ((current - previous) / previous) * 100 : null
+);
+
+export const round1 = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+export const PERIOD_PARAMETER = { key: 'period', label: 'Period', type: 'period', default: 'LAST_30_DAYS' };
+export const BRANCH_PARAMETER = { key: 'branchId', label: 'Branch', type: 'branch', default: null };
+
+const SEVERITIES = ['critical', 'warning', 'info', 'positive'];
+
+/**
+ * Normalize an insight from rules or a provider
+ */
+export const normalizeInsight = (insight, source) => ({
+  title: String(insight.title || '').trim(),
+  description: String(insight.description || '').trim(),
+  severity: SEVERITIES.includes(insight.severity) ? insight.severity : 'info',
+  source
+});
+
+function describePeriod({ startDate, endDate }) {
+  return startDate === endDate
+    ? formatBusinessDate(startDate)
+    : `${formatBusinessDate(startDate)} – ${formatBusinessDate(endDate)}`;
+}
+
+/**
+ * Confidence drops with each data-quality warning
+ */
+function confidenceFor(built) {
+  if (built.empty) return 'low';
+  if (built.warnings.length === 0) return 'high';
+  return built.warnings.length === 1 ? 'medium' : 'low';
+}
+
+/**
+ * Assemble the report object shown on screen, stored in the history and exported
+ * @param {Object} input
+ * @param {string} input.id - Report id
+ * @param {Object} input.definition - Report type definition
+ * @param {Object} input.parameters - Resolved parameters (with startDate/endDate)
+ * @param {Object} input.built - Result of definition.build()
+ * @param {Array} input.insights - Normalized insights
+ * @param {string} input.currency - Fallback currency
+ * @returns {Object}
+ */
+export function assembleReport({ id, definition, parameters, built, insights, currency }) {
+  return {
+    id,
+    type: definition.id,
+    title: definition.name,
+    subtitle: describePeriod(parameters),
+    generatedAt: new Date().toISOString(),
+    parameters,
+    currency: built.currency || currency,
+    executiveSummary: built.summary,
+    sections: built.sections,
+    insights,
+    metadata: {
+      confidence: confidenceFor(built),
+      warnings: built.warnings,
+      facts: built.facts
+    }
+  };
+}
+
+// ============================================================================
+// SALES SUMMARY
+// ============================================================================
+
+export const salesSummaryBase = {
+  id: 'sales_summary',
+  name: 'Sales Summary',
+  description: 'Revenue, orders and average order value with the trend over the period',
+  category: REPORT_CATEGORIES.SALES,
+  icon: 'TrendingUp',
+  color: 'blue',
+  aiInsights: true,
+  parameters: [
+    PERIOD_PARAMETER,
+    BRANCH_PARAMETER,
+    {
+      key: 'granularity',
+      label: 'Group by',
+      type: 'select',
+      default: 'day',
+      options: [
+        { value: 'day', label: 'Day' },
+        { value: 'week', label: 'Week' },
+        { value: 'month', label: 'Month' }
+      ]
+    }
+  ],
+
+  build({ current, prior, series }) {
+    const cancellationRate = current.totalOrders > 0 ? (current.cancelledOrders / current.totalOrders) * 100 : 0;
+
+    return {
+      currency: current.currency,
+      empty: current.completedOrders === 0,
+      warnings: current.missingRate ? ['Some branches have no exchange rate for the period and are unconverted'] : [],
+      summary: current.completedOrders === 0
+        ? 'No completed orders in this period.'
+        : `Revenue was ${current.totalRevenue.toFixed(2)} ${current.currency} from ${current.completedOrders} completed orders ` +
+          `(average ${current.averageOrderValue.toFixed(2)})` +
+          (prior.totalRevenue > 0
+            ? `, ${percentChange(current.totalRevenue, prior.totalRevenue) >= 0 ? 'up' : 'down'} ` +
+              `${Math.abs(percentChange(current.totalRevenue, prior.totalRevenue)).toFixed(1)}% on the previous period.`
+            : '.'),
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Key Figures',
+          type: 'kpis',
+          items: [
+            { label: 'Revenue', value: current.totalRevenue, format: 'currency', change: round1(percentChange(current.totalRevenue, prior.totalRevenue)) },
+            { label: 'Completed Orders', value: current.completedOrders, format: 'number', change: round1(percentChange(current.completedOrders, prior.completedOrders)) },
+            { label: 'Average Order Value', value: current.averageOrderValue, format: 'currency', change: round1(percentChange(current.averageOrderValue, prior.averageOrderValue)) },
+            { label: 'Cancellation Rate', value: cancellationRate, format: 'percent' }
+          ]
+        },
+        {
+          id: 'trend',
+          title: 'Revenue Trend',
+          type: 'chart',
+          chart: 'line',
+          xKey: 'date',
+          series: [{ key: 'revenue', label: 'Revenue' }],
+          data: series
+        },
+        {
+          id: 'series',
+          title: 'Sales by Period',
+          type: 'table',
+          columns: [
+            { key: 'date', label: 'Period', format: 'date' },
+            { key: 'orders', label: 'Orders', format: 'number' },
+            { key: 'revenue', label: 'Revenue', format: 'currency' },
+            { key: 'averageOrderValue', label: 'Avg Order', format: 'currency' }
+          ],
+          rows: series,
+          totals: { date: 'Total', orders: current.completedOrders, revenue: current.totalRevenue, averageOrderValue: current.averageOrderValue }
+        }
+      ],
+      facts: {
+        revenue: current.totalRevenue,
+        previousRevenue: prior.totalRevenue,
+        orders: current.completedOrders,
+        averageOrderValue: current.averageOrderValue,
+        cancellationRate: round1(cancellationRate)
+      }
+    };
+  },
+
+  insights({ current, prior, series }) {
+    const insights = [];
+    const change = percentChange(current.totalRevenue, prior.totalRevenue);
+
+    if (change !== null && change >= 10) {
+      insights.push({ severity: 'positive', title: 'Revenue growing', description: `Revenue is up ${change.toFixed(1)}% on the previous period of the same length.` });
+    } else if (change !== null && change <= -10) {
+      insights.push({ severity: 'warning', title: 'Revenue declining', description: `Revenue is down ${Math.abs(change).toFixed(1)}% on the previous period of the same length.` });
+    }
+
+    const aovChange = percentChange(current.averageOrderValue, prior.averageOrderValue);
+    const orderChange = percentChange(current.completedOrders, prior.completedOrders);
+    if (aovChange !== null && orderChange !== null && aovChange <= -5 && orderChange >= 0) {
+      insights.push({ severity: 'info', title: 'Smaller baskets', description: `Order count held up but the average order value fell ${Math.abs(aovChange).toFixed(1)}%. Consider upselling or bundles.` });
+    }
+
+    if (current.totalOrders > 0 && current.cancelledOrders / current.totalOrders > 0.05) {
+      insights.push({ severity: 'warning', title: 'High cancellations', description: `${current.cancelledOrders} of ${current.totalOrders} orders (${((current.cancelledOrders / current.totalOrders) * 100).toFixed(1)}%) were cancelled.` });
+    }
+
+    if (series.length > 2) {
+      const best = series.reduce((a, b) => (b.revenue > a.revenue ? b : a));
+      const worst = series.reduce((a, b) => (b.revenue < a.revenue ? b : a));
+      insights.push({ severity: 'info', title: 'Best and weakest periods', description: `Strongest: ${best.date} (${best.revenue.toFixed(2)}). Weakest: ${worst.date} (${worst.revenue.toFixed(2)}).` });
+    }
+
+    return insights;
+  }
+};
+
+// ============================================================================
+// BRANCH COMPARISON
+// ============================================================================
+
+export const branchComparisonBase = {
+  id: 'branch_comparison',
+  name: 'Branch Comparison',
+  description: 'Revenue, orders, costs and margin side by side for every branch',
+  category: REPORT_CATEGORIES.COMPARATIVE,
+  icon: 'GitCompare',
+  color: 'purple',
+  aiInsights: true,
+  parameters: [PERIOD_PARAMETER],
+
+  build({ costs, series }) {
+    const orders = {};
+    series.forEach(row => {
+      orders[row.branchId] = (orders[row.branchId] || 0) + row.orders;
+    });
+
+    const totalRevenue = costs.totals.revenue;
+    const rows = costs.branches
+      .map(branch => ({
+        name: branch.name,
+        revenue: branch.revenue,
+        share: totalRevenue > 0 ? (branch.revenue / totalRevenue) * 100 : 0,
+        orders: orders[branch.id] || 0,
+        averageOrderValue: orders[branch.id] ? branch.revenue / orders[branch.id] : 0,
+        totalCosts: branch.totalCosts,
+        netProfit: branch.netProfit,
+        profitMargin: branch.profitMargin,
+        estimated: branch.estimated ? 'Estimated' : ''
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const totalOrders = rows.reduce((sum, row) => sum + row.orders, 0);
+    const warnings = [];
+    if (costs.totals.estimated) warnings.push(`${costs.totals.estimatedBranches} branch(es) have no cost data; their costs are estimated`);
+    if (costs.missingRate) warnings.push('Some amounts have no exchange rate and are unconverted');
+
+    return {
+      currency: costs.currency,
+      empty: totalRevenue === 0,
+      warnings,
+      summary: rows.length === 0
+        ? 'No branches to compare.'
+        : `${rows.length} branch(es) generated ${totalRevenue.toFixed(2)} ${costs.currency} with a combined margin of ` +
+          `${costs.totals.profitMargin.toFixed(1)}%. ${rows[0].name} led with ${rows[0].share.toFixed(1)}% of revenue.`,
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Totals',
+          type: 'kpis',
+          items: [
+            { label: 'Revenue', value: totalRevenue, format: 'currency' },
+            { label: 'Orders', value: totalOrders, format: 'number' },
+            { label: 'Net Profit', value: costs.totals.netProfit, format: 'currency' },
+            { label: 'Margin', value: costs.totals.profitMargin, format: 'percent' }
+          ]
+        },
+        {
+          id: 'revenue_chart',
+          title: 'Revenue and Profit by Branch',
+          type: 'chart',
+          chart: 'bar',
+          xKey: 'name',
+          series: [
+            { key: 'totalCosts', label: 'Costs' },
+            { key: 'netProfit', label: 'Net Profit' }
+          ],
+          data: rows
+        },
+        {
+          id: 'branches',
+          title: 'Branch Breakdown',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Branch', format: 'text' },
+            { key: 'revenue', label: 'Revenue', format: 'currency' },
+            { key: 'share', label: 'Share', format: 'percent' },
+            { key: 'orders', label: 'Orders', format: 'number' },
+            { key: 'averageOrderValue', label: 'Avg Order', format: 'currency' },
+            { key: 'totalCosts', label: 'Costs', format: 'currency' },
+            { key: 'netProfit', label: 'Net Profit', format: 'currency' },
+            { key: 'profitMargin', label: 'Margin', format: 'percent' },
+            { key: 'estimated', label: 'Costs', format: 'text' }
+          ],
+          rows,
+          totals: {
+            name: 'Total',
+            revenue: totalRevenue,
+            share: 100,
+            orders: totalOrders,
+            averageOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
+            totalCosts: costs.totals.totalCosts,
+            netProfit: costs.totals.netProfit,
+            profitMargin: costs.totals.profitMargin,
+            estimated: ''
+          }
+        }
+      ],
+      facts: {
+        branches: rows.map(({ name, revenue, orders: count, profitMargin }) => ({ name, revenue, orders: count, margin: round1(profitMargin) }))
+      }
+    };
+  },
+
+  insights({ costs }) {
+    const insights = [];
+    const branches = costs.branches.filter(branch => branch.revenue > 0);
+    if (branches.length < 2) return insights;
+
+    const sorted = [...branches].sort((a, b) => b.revenue - a.revenue);
+    const topShare = (sorted[0].revenue / costs.totals.revenue) * 100;
+    if (topShare >= 50) {
+      insights.push({ severity: 'info', title: 'Revenue concentrated', description: `${sorted[0].name} brings in ${topShare.toFixed(1)}% of revenue; the brand depends heavily on one location.` });
+    }
+
+    const losing = branches.filter(branch => !branch.estimated && branch.netProfit < 0);
+    if (losing.length > 0) {
+      insights.push({ severity: 'critical', title: 'Loss-making branches', description: `${losing.map(b => b.name).join(', ')} ran at a loss this period.` });
+    }
+
+    const margins = branches.filter(branch => !branch.estimated).map(branch => branch.profitMargin);
+    if (margins.length >= 2) {
+      const spread = Math.max(...margins) - Math.min(...margins);
+      if (spread >= 15) {
+        const best = branches.reduce((a, b) => (b.profitMargin > a.profitMargin && !b.estimated ? b : a));
+        insights.push({ severity: 'info', title: 'Wide margin spread', description: `Margins differ by ${spread.toFixed(1)} points. Review what ${best.name} does differently on costs.` });
+      }
+    }
+
+    return insights;
+  }
+};
+
+// ============================================================================
+// FINANCIAL P&L
+// ============================================================================
+
+const EXPENSE_LABELS = {
+  cogs: 'Cost of goods sold',
+  payroll: 'Payroll',
+  rent: 'Rent',
+  utilities: 'Utilities',
+  marketing: 'Marketing',
+  other: 'Other expenses'
+};
+
+export const financialPnlBase = {
+  id: 'financial_pnl',
+  name: 'Profit & Loss',
+  description: 'Revenue, cost breakdown and net profit, with the previous period for comparison',
+  category: REPORT_CATEGORIES.FINANCIAL,
+  icon: 'DollarSign',
+  color: 'green',
+  aiInsights: true,
+  parameters: [PERIOD_PARAMETER, BRANCH_PARAMETER],
+
+  build({ current, prior }) {
+    const { totals } = current;
+    const revenueShare = (value) => (totals.revenue > 0 ? (value / totals.revenue) * 100 : null);
+    const line = (label, amount, previousAmount) => ({
+      line: label,
+      amount,
+      share: revenueShare(amount),
+      previous: previousAmount,
+      change: round1(percentChange(amount, previousAmount))
+    });
+
+    const grossProfit = totals.revenue - totals.breakdown.cogs;
+    const priorGross = prior.totals.revenue - prior.totals.breakdown.cogs;
+    const statement = [
+      line('Revenue', totals.revenue, prior.totals.revenue),
+      line(EXPENSE_LABELS.cogs, totals.breakdown.cogs, prior.totals.breakdown.cogs),
+      line('Gross profit', grossProfit, priorGross),
+      ...EXPENSE_CATEGORIES.filter(category => category !== 'cogs').map(category => (
+        line(EXPENSE_LABELS[category], totals.breakdown[category], prior.totals.breakdown[category])
+      )),
+      ...(totals.estimatedCosts > 0 ? [line('Estimated costs (no data)', totals.estimatedCosts, prior.totals.estimatedCosts)] : []),
+      line('Total costs', totals.totalCosts, prior.totals.totalCosts),
+      line('Net profit', totals.netProfit, prior.totals.netProfit)
+    ];
+
+    const warnings = [];
+    if (totals.estimated) warnings.push(`Costs for ${totals.estimatedBranches} branch(es) are estimated at a fixed ratio of revenue`);
+    if (current.branches.some(branch => branch.partialCogs)) warnings.push('Some items sold have no product cost, so COGS is understated');
+    if (current.missingRate) warnings.push('Some amounts have no exchange rate and are unconverted');
+
+    return {
+      currency: current.currency,
+      empty: totals.revenue === 0 && totals.totalCosts === 0,
+      warnings,
+      summary: `Revenue of ${totals.revenue.toFixed(2)} ${current.currency} against ${totals.totalCosts.toFixed(2)} of costs ` +
+        `left a net profit of ${totals.netProfit.toFixed(2)} (${totals.profitMargin.toFixed(1)}% margin).`,
+      sections: [
+        {
+          id: 'kpis',
+          title: 'Headline',
+          type: 'kpis',
+          items: [
+            { label: 'Revenue', value: totals.revenue, format: 'currency', change: round1(percentChange(totals.revenue, prior.totals.revenue)) },
+            { label: 'Total Costs', value: totals.totalCosts, format: 'currency', change: round1(percentChange(totals.totalCosts, prior.totals.totalCosts)) },
+            { label: 'Net Profit', value: totals.netProfit, format: 'currency', change: round1(percentChange(totals.netProfit, prior.totals.netProfit)) },
+            { label: 'Net Margin', value: totals.profitMargin, format: 'percent' }
+          ]
+        },
+        {
+          id: 'statement',
+          title: 'Profit & Loss Statement',
+          type: 'table',
+          columns: [
+            { key: 'line', label: 'Line', format: 'text' },
+            { key: 'amount', label: 'Amount', format: 'currency' },
+            { key: 'share', label: '% of Revenue', format: 'percent' },
+            { key: 'previous', label: 'Previous Period', format: 'currency' },
+            { key: 'change', label: 'Change', format: 'percent' }
+          ],
+          rows: statement
+        },
+        {
+          id: 'branches',
+          title: 'By Branch',
+          type: 'table',
+          columns: [
+            { key: 'name', label: 'Branch', format: 'text' },
+            { key: 'revenue', label: 'Revenue', format: 'currency' },
+            { key: 'totalCosts', label: 'Costs', format: 'currency' },
+            { key: 'netProfit', label: 'Net Profit', format: 'currency' },
+            { key: 'profitMargin', label: 'Margin', format: 'percent' }
+          ],
+          rows: current.branches
+        }
+      ],
+      facts: {
+        revenue: totals.revenue,
+        costs: totals.breakdown,
+        netProfit: totals.netProfit,
+        margin: round1(totals.profitMargin),
+        previousMargin: round1(prior.totals.profitMargin),
+        estimated: totals.estimated
+      }
+    };
+  },
+
+  insights({ current, prior }) {
+    const insights = [];
+    const { totals } = current;
+    if (totals.revenue === 0) return insights;
+
+    if (totals.netProfit < 0) {
+      insights.push({ severity: 'critical', title: 'Operating at a loss', description: `Costs exceeded revenue by ${Math.abs(totals.netProfit).toFixed(2)} ${current.currency}.` });
+    } else if (prior.totals.revenue > 0 && totals.profitMargin - prior.totals.profitMargin <= -3) {
+      insights.push({ severity: 'warning', title: 'Margin squeezed', description: `Net margin fell from ${prior.totals.profitMargin.toFixed(1)}% to ${totals.profitMargin.toFixed(1)}%.` });
+    }
+
+    const cogsShare = (totals.breakdown.cogs / totals.revenue) * 100;
+    if (!totals.fullyEstimated && cogsShare > 35) {
+      insights.push({ severity: 'warning', title: 'High cost of goods', description: `COGS is ${cogsShare.toFixed(1)}% of revenue; restaurants typically aim for 28-35%.` });
+    }
+
+    const payrollShare = (totals.breakdown.payroll / totals.revenue) * 100;
+    if (!totals.fullyEstimated && payrollShare > 35) {
+      insights.push({ severity: 'warning', title: 'High payroll', description: `Payroll is ${payrollShare.toFixed(1)}% of revenue.` });
+    }
+
+    if (totals.estimated) {
+      insights.push({ severity: 'info', title: 'Record your costs', description: 'Some branches have no expenses or product costs recorded, so profit is estimated.' });
+    }
+
+    return insights;
+  }
+};
@@ -0,0 +1,333 @@
+/**
+ * Report Renderers
+ * Renders a report object to PDF, Excel, CSV or JSON. Every format is
+ * produced from the same sections, so files match what is shown on screen.
+ * Runs in the browser and in the report schedule runner (Node or Deno).
+ * PDFs share the Arabic font and right-to-left layout of pdfDocument.
+ */
+
+import { formatAmount } from './currency.js';
+import { formatBusinessDate } from './businessDay.js';
+import { buildXlsx, containsArabic, XLSX_MIME_TYPE } from './xlsx.js';
+import { embedPdfFont, getDocumentDirection, loadAutoTable } from './pdfDocument.js';
+
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+  excel: { label: 'Excel', extension: 'xlsx', mimeType: XLSX_MIME_TYPE },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Format a cell value for display (PDF, screen)
+ * @param {*} value - Raw value
+ * @param {string} format - Column format
+ * @param {string} currency - Report currency
+ * @returns {string}
+ */
+export function formatValue(value, format, currency) {
+  if (value === null || value === undefined || value === '') return '—';
+  switch (format) {
+    case 'currency':
+      return formatAmount(value, currency);
+    case 'percent':
+      return `${Number(value).toFixed(1)}%`;
+    case 'number':
+      return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? formatBusinessDate(value) : String(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Raw value for CSV: numbers stay numeric
+ */
+function rawValue(value, format) {
+  if (value === null || value === undefined) return '';
+  if (['currency', 'percent', 'number'].includes(format) && value !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.round(number * 100) / 100 : value;
+  }
+  return value;
+}
+
+/**
+ * Flatten any section to a table ({ columns, rows, totals })
+ */
+export function sectionToTable(section) {
+  switch (section.type) {
+    case 'kpis':
+      return {
+        columns: [
+          { key: 'label', label: 'Metric', format: 'text' },
+          { key: 'value', label: 'Value', format: 'text' },
+          { key: 'change', label: 'Change vs previous', format: 'percent' }
+        ],
+        rows: section.items.map(item => ({ ...item, format: item.format })),
+        valueFormat: (row) => row.format
+      };
+    case 'chart':
+      return {
+        columns: [
+          { key: section.xKey, label: section.xKey === 'date' ? 'Period' : 'Name', format: section.xKey === 'date' ? 'date' : 'text' },
+          ...section.series.map(series => ({ key: series.key, label: series.label, format: 'currency' }))
+        ],
+        rows: section.data
+      };
+    case 'text':
+      return {
+        columns: [{ key: 'text', label: section.title, format: 'text' }],
+        rows: String(section.content || '').split('\n').map(text => ({ text }))
+      };
+    default:
+      return { columns: section.columns, rows: section.rows, totals: section.totals };
+  }
+}
+
+/**
+ * Resolve the format of one cell (KPI values carry their own format)
+ */
+const cellFormat = (table, column, row) => (
+  table.valueFormat && column.key === 'value' ? table.valueFormat(row) : column.format
+);
+
+const headerLines = (report) => [
+  report.title,
+  report.subtitle,
+  `Generated ${new Date(report.generatedAt).toLocaleString()} · Currency ${report.currency}`
+];
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function renderCSV(report) {
+  const lines = headerLines(report).map(line => csvCell(line));
+  lines.push('', csvCell('Summary'), csvCell(report.executiveSummary));
+
+  report.sections.forEach(section => {
+    const table = sectionToTable(section);
+    lines.push('', csvCell(section.title));
+    lines.push(table.columns.map(column => csvCell(column.label)).join(','));
+    [...table.rows, ...(table.totals ? [table.totals] : [])].forEach(row => {
+      lines.push(table.columns.map(column => csvCell(rawValue(row[column.key], cellFormat(table, column, row)))).join(','));
+    });
+  });
+
+  if (report.insights.length > 0) {
+    lines.push('', csvCell('Insights'), 'Severity,Title,Description');
+    report.insights.forEach(insight => {
+      lines.push([insight.severity, insight.title, insight.description].map(csvCell).join(','));
+    });
+  }
+
+  // BOM so Excel opens UTF-8 (Arabic names) correctly
+  return new Blob(['﻿' + lines.join('\r\n')], { type: EXPORT_FORMATS.csv.mimeType });
+}
+
+// ============================================================================
+// EXCEL (.xlsx, one sheet per section)
+// ============================================================================
+
+const XLSX_TYPES = {
+  currency: 'currency',
+  percent: 'percent',
+  number: 'number',
+  date: 'date',
+  text: 'string'
+};
+
+function renderExcel(report) {
+  const bold = (value) => ({ value, bold: true });
+
+  const overview = {
+    name: 'Overview',
+    header: false,
+    columns: [{ width: 14 }, { width: 40 }, { width: 90 }],
+    rows: [
+      [bold(report.title)],
+      ...headerLines(report).slice(1).map(line => [line]),
+      [],
+      [bold('Summary')],
+      [report.executiveSummary],
+      ...(report.insights.length > 0
+        ? [[], ['Severity', 'Insight', 'Description'].map(bold), ...report.insights.map(insight => [insight.severity, insight.title, insight.description])]
+        : []),
+      ...(report.metadata.warnings.length > 0
+        ? [[], ...report.metadata.warnings.map(warning => [`Note: ${warning}`])]
+        : [])
+    ]
+  };
+
+  const sections = report.sections.map(section => {
+    const table = sectionToTable(section);
+    const toRow = (row, isTotal = false) => table.columns.map(column => {
+      const type = XLSX_TYPES[cellFormat(table, column, row)] || 'string';
+      return { value: row[column.key], type, currency: report.currency, bold: isTotal };
+    });
+
+    return {
+      name: section.title,
+      columns: table.columns.map(column => ({
+        key: column.key,
+        header: column.label,
+        type: XLSX_TYPES[column.format] || 'string',
+        currency: report.currency
+      })),
+      rows: [
+        ...table.rows.map(row => toRow(row)),
+        ...(table.totals ? [toRow(table.totals, true)] : [])
+      ]
+    };
+  });
+
+  return buildXlsx([overview, ...sections]);
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+const SEVERITY_LABELS = { critical: 'Critical', warning: 'Warning', info: 'Info', positive: 'Positive' };
+
+async function renderPDF(report) {
+  const rtl = getDocumentDirection() === 'rtl';
+  const tables = report.sections.map(section => {
+    const table = sectionToTable(section);
+    return {
+      title: section.title,
+      head: table.columns.map(column => column.label),
+      body: table.rows.map(row => table.columns.map(column => formatValue(row[column.key], cellFormat(table, column, row), report.currency))),
+      foot: table.totals ? table.columns.map(column => formatValue(table.totals[column.key], column.format, report.currency)) : null
+    };
+  });
+  const insights = report.insights.map(insight => [SEVERITY_LABELS[insight.severity], insight.title, insight.description]);
+  const texts = [
+    ...headerLines(report),
+    report.executiveSummary,
+    ...tables.flatMap(table => [table.title, ...table.head, ...table.body.flat()]),
+    ...insights.flat(),
+    ...report.metadata.warnings
+  ];
+  const needsArabic = rtl || texts.some(text => text && containsArabic(String(text)));
+
+  const [{ jsPDF }, autoTable] = await Promise.all([
+    import('jspdf'),
+    loadAutoTable()
+  ]);
+
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const fontName = await embedPdfFont(doc, needsArabic);
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 14;
+  const width = pageWidth - margin * 2;
+  const x = rtl ? pageWidth - margin : margin;
+  const align = rtl ? 'right' : 'left';
+  // Right-to-left tables read from the right, so the first column is drawn last
+  const order = (list) => (rtl ? [...list].reverse() : list);
+  let y = 18;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > doc.internal.pageSize.getHeight() - margin) {
+      doc.addPage();
+      y = 18;
+    }
+  };
+
+  const paragraph = (text, size = 10, style = 'normal') => {
+    doc.setFont(fontName, style);
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(String(text), width);
+    ensureSpace(lines.length * size * 0.45);
+    doc.text(lines, x, y, { align });
+    y += lines.length * size * 0.45 + 2;
+  };
+
+  const tableStyles = { font: fontName, fontSize: 8, halign: align };
+
+  const [title, subtitle, generated] = headerLines(report);
+  paragraph(title, 18, 'bold');
+  paragraph(subtitle, 11);
+  paragraph(generated, 9);
+  y += 2;
+  paragraph('Summary', 12, 'bold');
+  paragraph(report.executiveSummary);
+
+  tables.forEach(table => {
+    y += 4;
+    ensureSpace(20);
+    paragraph(table.title, 12, 'bold');
+    autoTable(doc, {
+      startY: y,
+      margin: { left: margin, right: margin },
+      head: [order(table.head)],
+      body: table.body.map(order),
+      foot: table.foot ? [order(table.foot)] : undefined,
+      styles: tableStyles,
+      headStyles: { fillColor: [79, 70, 229] },
+      footStyles: { fillColor: [238, 242, 255], textColor: [17, 24, 39], fontStyle: 'bold' }
+    });
+    y = doc.lastAutoTable.finalY + 4;
+  });
+
+  if (insights.length > 0) {
+    y += 4;
+    ensureSpace(20);
+    paragraph('Insights', 12, 'bold');
+    const widths = order([{ cellWidth: 22 }, { cellWidth: 55 }, {}]);
+    autoTable(doc, {
+      startY: y,
+      margin: { left: margin, right: margin },
+      head: [order(['', 'Insight', 'Detail'])],
+      body: insights.map(order),
+      styles: tableStyles,
+      headStyles: { fillColor: [79, 70, 229] },
+      columnStyles: Object.fromEntries(widths.map((style, index) => [index, style]))
+    });
+    y = doc.lastAutoTable.finalY + 4;
+  }
+
+  if (report.metadata.warnings.length > 0) {
+    y += 2;
+    report.metadata.warnings.forEach(warning => paragraph(`Note: ${warning}`, 8, 'italic'));
+  }
+
+  return doc.output('blob');
+}
+
+/**
+ * Render a report to a file blob
+ * @param {Object} report - Report from reportEngine.generateReport
+ * @param {string} format - 'pdf' | 'excel' | 'csv' | 'json'
+ * @returns {Promise<{blob: Blob, extension: string, mimeType: string}>}
+ */
+export async function renderReport(report, format) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  let blob;
+  switch (format) {
+    case 'pdf':
+      blob = await renderPDF(report);
+      break;
+    case 'excel':
+      blob = renderExcel(report);
+      break;
+    case 'csv':
+      blob = renderCSV(report);
+      break;
+    default:
+      blob = new Blob([JSON.stringify(report, null, 2)], { type: definition.mimeType });
+  }
+
+  return { blob, extension: definition.extension, mimeType: definition.mimeType };
+}
@@ -0,0 +1,427 @@
+/**
+ * Report Scheduler
+ * Runs due report schedules outside the browser. The Supabase client is
+ * injected (service role), so the same code backs the run-report-schedules
+ * Edge Function and scripts/run-report-schedules.js. Data is fetched with
+ * the RPCs the app uses, scoped to the schedule's brand explicitly since
+ * the service role bypasses row level security.
+ *
+ * Each run stores a reports row with a JSON snapshot (<brand>/<id>.json,
+ * opened by the history view) and the file in the schedule's format, then
+ * notifies the recipients in-app with a signed link to the file. The
+ * runners also purge reports of every brand past their expires_at.
+ */
+
+import { getBusinessDate, getPreviousPeriod, resolveDaySettings, shiftDate } from './businessDay.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+import { buildCostSummary, filterExpenses } from './costing.js';
+import { summarizeSalesRows } from './salesStatistics.js';
+import {
+  assembleReport,
+  normalizeInsight,
+  salesSummaryBase,
+  branchComparisonBase,
+  financialPnlBase
+} from './reportBuilders.js';
+import { EXPORT_FORMATS, renderReport } from './reportRenderers.js';
+
+const REPORTS_BUCKET = 'reports';
+
+// Matches the reports.expires_at default, used when the row has none
+const DEFAULT_LINK_SECONDS = 30 * 24 * 60 * 60;
+
+// Expired reports removed per purge; the rest go on the next run
+const PURGE_BATCH = 500;
+
+export const SCHEDULE_FREQUENCIES = {
+  daily: { label: 'Daily', covers: 'the previous business day' },
+  weekly: { label: 'Weekly', covers: 'the previous 7 business days' },
+  monthly: { label: 'Monthly', covers: 'the previous calendar month' }
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+async function query(request, message) {
+  const { data, error } = await request;
+  if (error) {
+    throw new Error(`${message}: ${error.message || error}`);
+  }
+  return data;
+}
+
+const rpc = (supabase, name, params, message) => query(supabase.rpc(name, params), message);
+
+const keyByBranch = (rows) => {
+  const byBranch = {};
+  (rows || []).forEach(row => {
+    byBranch[row.branch_id] = row;
+  });
+  return byBranch;
+};
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+/**
+ * Same totals as ordersAPI.getStatistics
+ */
+async function fetchSalesStatistics(supabase, { branchIds, startDate, endDate, currency }) {
+  const rows = await rpc(supabase, 'get_branch_sales_summary', {
+    start_date: startDate,
+    end_date: endDate,
+    branch_uuids: branchIds,
+    target_currency: currency
+  }, 'Failed to fetch order statistics');
+
+  return summarizeSalesRows(rows, currency);
+}
+
+/**
+ * Same rows as analyticsAPI.getSalesSeries
+ */
+async function fetchSalesSeries(supabase, { branchIds, startDate, endDate, currency, granularity = 'day', byBranch = false }) {
+  const rows = await rpc(supabase, 'get_sales_series', {
+    start_date: startDate,
+    end_date: endDate,
+    bucket: granularity,
+    branch_uuids: branchIds,
+    by_branch: byBranch,
+    target_currency: currency
+  }, 'Failed to fetch sales series');
+
+  return (rows || []).map(row => ({
+    date: row.period_start,
+    branchId: row.branch_id,
+    revenue: roundMoney(row.revenue),
+    orders: Number(row.order_count || 0),
+    averageOrderValue: roundMoney(row.avg_order_value),
+    currency: row.currency || null,
+    missingRate: !!row.missing_rate
+  }));
+}
+
+/**
+ * Same summary as costModelAPI.getCostSummary
+ */
+async function fetchCostSummary(supabase, context, { startDate, endDate }) {
+  const { brand, branches, branchIds, currency } = context;
+  const range = { start_date: startDate, end_date: endDate, branch_uuids: branchIds, target_currency: currency };
+
+  const [expenses, rates, cogsRows, salesRows] = await Promise.all([
+    query(
+      filterExpenses(supabase.from('expenses').select('*'), { branchIds, startDate, endDate }),
+      'Failed to fetch expenses'
+    ),
+    query(supabase.from('exchange_rates').select('*').eq('brand_id', brand.id), 'Failed to fetch exchange rates'),
+    rpc(supabase, 'get_branch_cogs', range, 'Failed to fetch cost of goods sold'),
+    rpc(supabase, 'get_branch_sales_summary', range, 'Failed to fetch branch revenue')
+  ]);
+
+  return buildCostSummary({
+    branches,
+    expenses: expenses || [],
+    rates: rates || [],
+    cogsByBranch: keyByBranch(cogsRows),
+    salesByBranch: keyByBranch(salesRows),
+    startDate,
+    endDate,
+    currency
+  });
+}
+
+/**
+ * Report types the runner can produce: the shared definitions plus a fetch
+ * that takes the runner context instead of the browser session
+ */
+export const SCHEDULED_REPORT_TYPES = {
+  sales_summary: {
+    ...salesSummaryBase,
+    async fetch(supabase, context, { startDate, endDate, granularity }) {
+      const { branchIds, currency } = context;
+      const previous = getPreviousPeriod(startDate, endDate);
+      const [current, prior, series] = await Promise.all([
+        fetchSalesStatistics(supabase, { branchIds, startDate, endDate, currency }),
+        fetchSalesStatistics(supabase, { branchIds, currency, ...previous }),
+        fetchSalesSeries(supabase, { branchIds, startDate, endDate, currency, granularity })
+      ]);
+      return { current, prior, series, previous };
+    }
+  },
+
+  branch_comparison: {
+    ...branchComparisonBase,
+    async fetch(supabase, context, { startDate, endDate }) {
+      const { branchIds, currency } = context;
+      const [costs, series] = await Promise.all([
+        fetchCostSummary(supabase, context, { startDate, endDate }),
+        fetchSalesSeries(supabase, { branchIds, startDate, endDate, currency, granularity: 'month', byBranch: true })
+      ]);
+      return { costs, series };
+    }
+  },
+
+  financial_pnl: {
+    ...financialPnlBase,
+    async fetch(supabase, context, { startDate, endDate }) {
+      const [current, prior] = await Promise.all([
+        fetchCostSummary(supabase, context, { startDate, endDate }),
+        fetchCostSummary(supabase, context, getPreviousPeriod(startDate, endDate))
+      ]);
+      return { current, prior };
+    }
+  }
+};
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+/**
+ * Get the window a run covers, ending on the business day before `now`
+ * @param {string} frequency - 'daily' | 'weekly' | 'monthly'
+ * @param {Date} now - Run time
+ * @param {Object} settings - { timezone, dayCloseTime }
+ * @returns {{startDate: string, endDate: string}}
+ */
+export function getSchedulePeriod(frequency, now, settings) {
+  const today = getBusinessDate(now, settings);
+  const yesterday = shiftDate(today, -1);
+
+  switch (frequency) {
+    case 'daily':
+      return { startDate: yesterday, endDate: yesterday };
+    case 'weekly':
+      return { startDate: shiftDate(yesterday, -6), endDate: yesterday };
+    case 'monthly': {
+      const endDate = shiftDate(`${today.slice(0, 7)}-01`, -1);
+      return { startDate: `${endDate.slice(0, 7)}-01`, endDate };
+    }
+    default:
+      throw new Error(`Unknown schedule frequency: ${frequency}`);
+  }
+}
+
+/**
+ * Load the brand, branches and currency a schedule reports on
+ */
+async function loadContext(supabase, schedule) {
+  const brand = await query(
+    supabase
+      .from('brands')
+      .select('id, user_id, name, currency, timezone, day_close_time')
+      .eq('id', schedule.brand_id)
+      .single(),
+    `Failed to fetch brand ${schedule.brand_id}`
+  );
+
+  let branchQuery = supabase.from('branches').select('*').eq('brand_id', brand.id);
+  if (schedule.branch_id) branchQuery = branchQuery.eq('id', schedule.branch_id);
+  const branches = await query(branchQuery, 'Failed to fetch branches');
+
+  if (schedule.branch_id && branches.length === 0) {
+    throw new Error('The scheduled branch no longer exists');
+  }
+
+  return {
+    brand,
+    branches,
+    branchIds: branches.map(branch => branch.id),
+    currency: brand.currency || DEFAULT_CURRENCY,
+    settings: resolveDaySettings(branches.length === 1 ? branches[0] : null, brand)
+  };
+}
+
+async function upload(supabase, path, blob) {
+  await query(
+    supabase.storage.from(REPORTS_BUCKET).upload(path, blob, { contentType: blob.type, upsert: true }),
+    `Failed to upload ${path}`
+  );
+}
+
+/**
+ * Insert in-app notifications, one per recipient who is still a member of
+ * the brand
+ */
+async function notify(supabase, brandId, userIds, notification) {
+  const members = new Set(await rpc(supabase, 'brand_member_ids', { brand_uuid: brandId }, 'Failed to fetch brand members'));
+  const rows = [...new Set(userIds.filter(userId => members.has(userId)))].map(userId => ({ user_id: userId, ...notification }));
+  if (rows.length === 0) return;
+  await query(supabase.from('notifications').insert(rows), 'Failed to create notifications');
+}
+
+/**
+ * Generate, store and deliver one schedule's report
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} schedule - report_schedules row
+ * @param {Object} options - { now: Date }
+ * @returns {Promise<Object>} The completed reports row
+ */
+export async function runSchedule(supabase, schedule, { now = new Date() } = {}) {
+  const definition = SCHEDULED_REPORT_TYPES[schedule.report_type];
+  if (!definition) {
+    throw new Error(`Report type ${schedule.report_type} cannot be scheduled`);
+  }
+  const format = EXPORT_FORMATS[schedule.report_format] ? schedule.report_format : 'pdf';
+
+  const context = await loadContext(supabase, schedule);
+  const parameters = {
+    period: 'CUSTOM',
+    branchId: schedule.branch_id || null,
+    granularity: 'day',
+    ...getSchedulePeriod(schedule.frequency, now, context.settings)
+  };
+
+  const record = await query(
+    supabase
+      .from('reports')
+      .insert([{
+        user_id: schedule.created_by || context.brand.user_id,
+        brand_id: context.brand.id,
+        branch_id: parameters.branchId,
+        schedule_id: schedule.id,
+        report_name: schedule.name,
+        report_type: definition.id,
+        report_format: format,
+        start_date: parameters.startDate,
+        end_date: parameters.endDate,
+        status: 'generating',
+        parameters
+      }])
+      .select()
+      .single(),
+    'Failed to create report'
+  );
+
+  try {
+    const data = await definition.fetch(supabase, context, parameters);
+    const built = definition.build(data, parameters);
+    const insights = built.empty ? [] : definition.insights(data, parameters).map(insight => normalizeInsight(insight, 'rules'));
+    const report = assembleReport({ id: record.id, definition, parameters, built, insights, currency: context.currency });
+
+    const snapshot = await renderReport(report, 'json');
+    const snapshotPath = `${record.brand_id}/${record.id}.json`;
+    await upload(supabase, snapshotPath, snapshot.blob);
+
+    let file = { blob: snapshot.blob, path: snapshotPath };
+    if (format !== 'json') {
+      const rendered = await renderReport(report, format);
+      file = { blob: rendered.blob, path: `${record.brand_id}/${record.id}.${rendered.extension}` };
+      await upload(supabase, file.path, file.blob);
+    }
+
+    const saved = await query(
+      supabase
+        .from('reports')
+        .update({ status: 'completed', file_url: file.path, file_size: file.blob.size, updated_at: new Date().toISOString() })
+        .eq('id', record.id)
+        .select()
+        .single(),
+      `Failed to update report ${record.id}`
+    );
+
+    // The link stays valid as long as the report is kept
+    const linkSeconds = saved.expires_at
+      ? Math.max(60, Math.floor((new Date(saved.expires_at) - now) / 1000))
+      : DEFAULT_LINK_SECONDS;
+    const { signedUrl } = await query(
+      supabase.storage.from(REPORTS_BUCKET).createSignedUrl(file.path, linkSeconds),
+      'Failed to sign report link'
+    );
+
+    await notify(supabase, schedule.brand_id, schedule.recipients?.length ? schedule.recipients : [schedule.created_by], {
+      type: 'report',
+      priority: 'normal',
+      title: `${schedule.name} is ready`,
+      message: `${definition.name} for ${report.subtitle}. ${report.executiveSummary}`,
+      action_url: signedUrl,
+      action_label: 'Download',
+      metadata: { report_id: record.id, schedule_id: schedule.id, format },
+      expires_at: saved.expires_at
+    });
+
+    return saved;
+  } catch (error) {
+    await supabase
+      .from('reports')
+      .update({ status: 'failed', error_message: error.message || 'Report generation failed', updated_at: new Date().toISOString() })
+      .eq('id', record.id);
+    throw error;
+  }
+}
+
+/**
+ * Claim and run every due schedule. Failures are recorded on the schedule
+ * and reported to its creator; they do not stop the remaining runs.
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} options - { limit, now, log }
+ * @returns {Promise<{processed: number, completed: number, failed: number}>}
+ */
+export async function runDueSchedules(supabase, { limit = 20, now = new Date(), log = console } = {}) {
+  const schedules = await rpc(supabase, 'claim_due_report_schedules', { max_rows: limit }, 'Failed to claim report schedules');
+  const summary = { processed: 0, completed: 0, failed: 0 };
+
+  for (const schedule of schedules || []) {
+    summary.processed++;
+    try {
+      const report = await runSchedule(supabase, schedule, { now });
+      await supabase
+        .from('report_schedules')
+        .update({ last_status: 'completed', last_error: null })
+        .eq('id', schedule.id);
+      summary.completed++;
+      log.info(`Report schedule ${schedule.id} completed (report ${report.id})`);
+    } catch (error) {
+      summary.failed++;
+      log.error(`Report schedule ${schedule.id} failed`, error);
+      await supabase
+        .from('report_schedules')
+        .update({ last_status: 'failed', last_error: error.message || 'Report generation failed' })
+        .eq('id', schedule.id);
+      await notify(supabase, schedule.brand_id, [schedule.created_by], {
+        type: 'report',
+        priority: 'high',
+        title: `${schedule.name} failed`,
+        message: error.message || 'The scheduled report could not be generated',
+        metadata: { schedule_id: schedule.id }
+      }).catch(notifyError => log.error('Failed to report schedule failure', notifyError));
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Delete reports past their expires_at, of every brand, together with
+ * their stored files
+ * @param {Object} supabase - Service-role Supabase client
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<number>} Number of reports removed
+ */
+export async function purgeExpiredReports(supabase, { now = new Date(), limit = PURGE_BATCH } = {}) {
+  const expired = await query(
+    supabase
+      .from('reports')
+      .select('id, brand_id, file_url')
+      .lt('expires_at', now.toISOString())
+      .order('expires_at')
+      .limit(limit),
+    'Failed to fetch expired reports'
+  );
+  if (!expired || expired.length === 0) return 0;
+
+  const paths = [...new Set(expired.flatMap(report => (
+    [report.file_url, `${report.brand_id}/${report.id}.json`].filter(Boolean)
+  )))];
+  await query(supabase.storage.from(REPORTS_BUCKET).remove(paths), 'Failed to delete expired report files');
+
+  await query(
+    supabase.from('reports').delete().in('id', expired.map(report => report.id)),
+    'Failed to delete expired reports'
+  );
+  return expired.length;
+}
+
+export default runDueSchedules;
@@ -0,0 +1,37 @@
+/**
+ * Sales Statistics
+ * Totals over get_branch_sales_summary rows, shared by ordersAPI and the
+ * report schedule runner so both report the same figures. Kept free of
+ * service imports like costing.js.
+ */
+
+/**
+ * Sum per-branch sales summary rows into order counts and revenue.
+ * Revenue is net of refunds; AOV is net revenue per completed order.
+ * @param {Array} rows - get_branch_sales_summary rows
+ * @param {string} currency - Requested reporting currency
+ * @returns {Object} Totals with averageOrderValue, currency and missingRate
+ */
+export function summarizeSalesRows(rows, currency) {
+  const totals = (rows || []).reduce((acc, row) => {
+    acc.totalOrders += Number(row.total_orders);
+    acc.completedOrders += Number(row.order_count);
+    acc.pendingOrders += Number(row.pending_orders);
+    acc.cancelledOrders += Number(row.cancelled_orders);
+    acc.refundedOrders += Number(row.refunded_orders);
+    acc.grossRevenue += Number(row.gross_revenue);
+    acc.totalRefunds += Number(row.refunds);
+    acc.totalRevenue += Number(row.revenue);
+    return acc;
+  }, {
+    totalOrders: 0, completedOrders: 0, pendingOrders: 0, cancelledOrders: 0, refundedOrders: 0,
+    grossRevenue: 0, totalRefunds: 0, totalRevenue: 0
+  });
+
+  return {
+    ...totals,
+    averageOrderValue: totals.completedOrders > 0 ? totals.totalRevenue / totals.completedOrders : 0,
+    currency: rows?.[0]?.currency || currency,
+    missingRate: (rows || []).some(row => row.missing_rate)
+  };
+}
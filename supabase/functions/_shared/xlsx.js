@@ -0,0 +1,454 @@
+/**
+ * XLSX Writer
+ * Builds Office Open XML workbooks without a spreadsheet library: typed
+ * cells (numbers, currency, percent, dates), column widths, a frozen header
+ * row and right-to-left sheets for Arabic exports. The package is a plain
+ * stored ZIP, so this runs in the browser and in Node/Deno alike.
+ *
+ * Sheet shape:
+ *   {
+ *     name,
+ *     columns: [{ key, header, type, currency, width }],
+ *     rows: [Object | Array],   // objects are read by column key, arrays by position
+ *     header: true,             // false = no header row (free-form sheets)
+ *     freezeHeader: true,
+ *     rtl: false
+ *   }
+ *
+ * Types: 'string' | 'number' | 'currency' | 'percent' (0-100) | 'date' | 'datetime'.
+ * Without a type, numbers, Date objects and ISO date strings are detected.
+ * A cell may override its column as { value, type, currency, bold }.
+ */
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 60;
+const WIDTH_SAMPLE_ROWS = 200;
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const ARABIC_PATTERN = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+// ============================================================================
+// ZIP (stored entries only)
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files into an uncompressed ZIP archive
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+function zip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+
+    chunks.push(new Uint8Array(local.buffer), name, file.data);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + size;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+}
+
+// ============================================================================
+// CELLS
+// ============================================================================
+
+const xmlEscape = (value) => String(value ?? '')
+  // Control characters are not allowed in XML 1.0
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Column letters for a zero-based index (0 = A, 26 = AA)
+ */
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Whether a text contains Arabic script (used to default sheets to RTL)
+ */
+export const containsArabic = (text) => ARABIC_PATTERN.test(String(text ?? ''));
+
+const isCellObject = (value) => (
+  value !== null && typeof value === 'object' && !(value instanceof Date) && 'value' in value
+);
+
+function inferType(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'string';
+  if (value instanceof Date) return 'datetime';
+  if (typeof value === 'string') {
+    if (DATE_PATTERN.test(value)) return 'date';
+    if (DATETIME_PATTERN.test(value)) return 'datetime';
+  }
+  return 'string';
+}
+
+/**
+ * Excel serial day number; dates are calendar days, datetimes local wall time
+ */
+function toSerial(value, type) {
+  if (type === 'date' && typeof value === 'string' && DATE_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS + EXCEL_EPOCH_OFFSET;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const local = date.getTime() - date.getTimezoneOffset() * 60 * 1000;
+  const serial = local / DAY_MS + EXCEL_EPOCH_OFFSET;
+  return type === 'date' ? Math.floor(serial) : serial;
+}
+
+/**
+ * Style registry: number formats and cell formats are added as cells need them
+ */
+function createStyles() {
+  const numFmts = [];
+  const xfs = [{ numFmtId: 0, fontId: 0, fillId: 0 }];
+  const xfIndex = new Map([['0|0|0', 0]]);
+
+  const numFmtId = (code) => {
+    if (!code) return 0;
+    let index = numFmts.indexOf(code);
+    if (index === -1) {
+      numFmts.push(code);
+      index = numFmts.length - 1;
+    }
+    return 164 + index;
+  };
+
+  return {
+    /**
+     * Index of the cell format for a number format and header/bold flags
+     */
+    get(code, { bold = false, header = false } = {}) {
+      const xf = { numFmtId: numFmtId(code), fontId: bold || header ? 1 : 0, fillId: header ? 2 : 0 };
+      const key = `${xf.numFmtId}|${xf.fontId}|${xf.fillId}`;
+      if (!xfIndex.has(key)) {
+        xfs.push(xf);
+        xfIndex.set(key, xfs.length - 1);
+      }
+      return xfIndex.get(key);
+    },
+
+    toXml() {
+      return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+        numFmts.length > 0
+          ? `<numFmts count="${numFmts.length}">${numFmts.map((code, i) => `<numFmt numFmtId="${164 + i}" formatCode="${xmlEscape(code)}"/>`).join('')}</numFmts>`
+          : '',
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+        '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>',
+        '<fill><patternFill patternType="solid"><fgColor rgb="FFE0E7FF"/><bgColor indexed="64"/></patternFill></fill></fills>',
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+        `<cellXfs count="${xfs.length}">`,
+        ...xfs.map(xf => (
+          `<xf numFmtId="${xf.numFmtId}" fontId="${xf.fontId}" fillId="${xf.fillId}" borderId="0" xfId="0"` +
+          `${xf.numFmtId ? ' applyNumberFormat="1"' : ''}${xf.fontId ? ' applyFont="1"' : ''}${xf.fillId ? ' applyFill="1"' : ''}/>`
+        )),
+        '</cellXfs>',
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+        '</styleSheet>'
+      ].join('');
+    }
+  };
+}
+
+const NUMBER_FORMATS = {
+  number: null,
+  percent: '0.0%',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+const currencyFormat = (currency) => (currency ? `#,##0.00 "${currency.replace(/"/g, '')}"` : '#,##0.00');
+
+/**
+ * Render one cell; empty values produce no element
+ */
+function renderCell(ref, raw, column, styles, { header = false } = {}) {
+  const cell = isCellObject(raw) ? raw : { value: raw };
+  const { value } = cell;
+  if (value === null || value === undefined || value === '') return '';
+
+  const bold = !!cell.bold;
+  if (header) {
+    return `<c r="${ref}" s="${styles.get(null, { header: true })}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+  }
+
+  let type = cell.type || column?.type || inferType(value);
+  if (['number', 'currency', 'percent'].includes(type) && !Number.isFinite(Number(value))) type = 'string';
+
+  if (type === 'number' || type === 'currency' || type === 'percent') {
+    const number = Number(value);
+    const code = type === 'currency'
+      ? currencyFormat(cell.currency || column?.currency)
+      : NUMBER_FORMATS[type];
+    // toPrecision drops float noise such as 0.12300000000000001
+    const stored = type === 'percent' ? Number((number / 100).toPrecision(15)) : number;
+    return `<c r="${ref}" s="${styles.get(code, { bold })}"><v>${stored}</v></c>`;
+  }
+
+  if (type === 'date' || type === 'datetime') {
+    const serial = toSerial(value, type);
+    if (serial !== null) {
+      return `<c r="${ref}" s="${styles.get(NUMBER_FORMATS[type], { bold })}"><v>${serial}</v></c>`;
+    }
+  }
+
+  const style = bold ? ` s="${styles.get(null, { bold })}"` : '';
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+// ============================================================================
+// SHEETS
+// ============================================================================
+
+const cellAt = (row, column, index) => {
+  if (Array.isArray(row)) return row[index];
+  return column?.key !== undefined ? row?.[column.key] : undefined;
+};
+
+const displayLength = (value) => {
+  const raw = isCellObject(value) ? value.value : value;
+  if (raw === null || raw === undefined) return 0;
+  if (typeof raw === 'number') return raw.toLocaleString('en-US', { maximumFractionDigits: 2 }).length + 4;
+  if (raw instanceof Date) return 16;
+  return Math.max(...String(raw).split('\n').map(line => line.length));
+};
+
+function columnWidths(sheet, columnCount) {
+  const sample = sheet.rows.slice(0, WIDTH_SAMPLE_ROWS);
+  return Array.from({ length: columnCount }, (_, index) => {
+    const column = sheet.columns[index];
+    if (column?.width) return column.width;
+    const longest = Math.max(
+      sheet.header === false ? 0 : String(column?.header ?? column?.key ?? '').length,
+      ...sample.map(row => displayLength(cellAt(row, column, index)))
+    );
+    return Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, longest + 2));
+  });
+}
+
+function sheetXml(sheet, styles) {
+  const columns = sheet.columns || [];
+  const columnCount = Math.max(
+    columns.length,
+    ...sheet.rows.map(row => (Array.isArray(row) ? row.length : 0))
+  );
+  const hasHeader = sheet.header !== false && columns.length > 0;
+  const widths = columnWidths({ ...sheet, columns }, columnCount);
+
+  const rows = [];
+  if (hasHeader) {
+    rows.push(`<row r="1">${columns.map((column, i) => renderCell(`${columnLetter(i)}1`, column.header ?? column.key, column, styles, { header: true })).join('')}</row>`);
+  }
+  sheet.rows.forEach((row, rowIndex) => {
+    const number = rowIndex + (hasHeader ? 2 : 1);
+    const cells = Array.from({ length: columnCount }, (_, i) => (
+      renderCell(`${columnLetter(i)}${number}`, cellAt(row, columns[i], i), columns[i], styles)
+    )).join('');
+    rows.push(`<row r="${number}">${cells}</row>`);
+  });
+
+  const frozen = hasHeader && sheet.freezeHeader !== false
+    ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>'
+    : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    `<sheetViews><sheetView workbookViewId="0"${sheet.rtl ? ' rightToLeft="1"' : ''}>${frozen}</sheetView></sheetViews>`,
+    '<sheetFormatPr defaultRowHeight="15"/>',
+    columnCount > 0
+      ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+      : '',
+    `<sheetData>${rows.join('')}</sheetData>`,
+    '</worksheet>'
+  ].join('');
+}
+
+/**
+ * Make sheet names valid (no []:*?/\, at most 31 characters) and unique
+ */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base = String(sheet.name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 28) || `Sheet${index + 1}`;
+    let name = base;
+    for (let counter = 2; used.has(name.toLowerCase()); counter++) name = `${base} ${counter}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {Array<Object>} sheets - Sheets (see the module comment)
+ * @returns {Blob}
+ */
+export function buildXlsx(sheets) {
+  if (!sheets || sheets.length === 0) {
+    throw new Error('A workbook needs at least one sheet');
+  }
+
+  const encoder = new TextEncoder();
+  const styles = createStyles();
+  const names = sheetNames(sheets);
+  const worksheets = sheets.map(sheet => sheetXml({ rows: [], ...sheet }, styles));
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      xml: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+        ...worksheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`),
+        '</Types>'
+      ].join('')
+    },
+    {
+      name: '_rels/.rels',
+      xml: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      xml: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+        '<bookViews><workbookView/></bookViews>',
+        '<sheets>',
+        ...names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`),
+        '</sheets>',
+        '</workbook>'
+      ].join('')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      xml: [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        ...worksheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`),
+        `<Relationship Id="rId${worksheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`,
+        '</Relationships>'
+      ].join('')
+    },
+    ...worksheets.map((xml, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, xml })),
+    // Styles last: every sheet has registered its formats by now
+    { name: 'xl/styles.xml', xml: styles.toXml() }
+  ];
+
+  const archive = zip(files.map(file => ({ name: file.name, data: encoder.encode(file.xml) })));
+  return new Blob([archive], { type: XLSX_MIME_TYPE });
+}
+
+/**
+ * Describe plain row objects as a sheet: columns come from the keys of the
+ * first row, and the sheet is right-to-left when the headers are Arabic
+ * @param {Array<Object>} rows - Row objects
+ * @param {Object} options - { name, columns, rtl }
+ * @returns {Object} Sheet
+ */
+export function sheetFromObjects(rows, { name = 'Sheet1', columns = null, rtl } = {}) {
+  const sheetColumns = columns || Object.keys(rows[0] || {}).map(key => ({ key, header: key }));
+  return {
+    name,
+    columns: sheetColumns,
+    rows,
+    rtl: rtl ?? sheetColumns.some(column => containsArabic(column.header ?? column.key))
+  };
+}
+
+export default buildXlsx;
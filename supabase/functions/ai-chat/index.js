@@ -0,0 +1,248 @@
+// NAVA OPS - AI Chat Proxy (Edge Function)
+// Forwards advisor chat requests to the brand's model provider so API keys
+// never reach the browser. Callers must be signed in, on a plan with AI
+// insights and within their monthly AI request allowance; every accepted
+// request is counted in feature_usage_logs and its tokens in ai_usage_logs.
+// Streaming responses are server-sent events of the normalized provider
+// chunks ({ type: 'text' | 'tool_call' | 'usage' | 'done' | 'error', ... })
+// ending in [DONE]. Tools are only described to the model here; the browser
+// runs the calls the model asks for against the user's own data access.
+// Requests that would not fit the provider's context window are refused
+// before they are counted; the browser keeps conversations within budget.
+//
+// Secrets (supabase secrets set NAME=...), per provider in use:
+//   openai     OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL
+//   anthropic  ANTHROPIC_API_KEY, ANTHROPIC_MODEL
+//   azure      AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+//   local      LOCAL_LLM_URL, LOCAL_LLM_API_KEY, LOCAL_LLM_MODEL
+//   mock       MOCK_LLM_DELAY_MS
+
+import { createClient } from '@supabase/supabase-js';
+import { FEATURE_FLAGS, hasFeature } from '../_shared/subscriptionPlans.js';
+import { getActiveSubscription, trackFeatureUsage, releaseFeatureUsage } from '../_shared/featureUsage.js';
+import { resolveLlmProvider, estimateTokens, estimateMessageTokens, tokenCountingOf } from '../_shared/llm/index.js';
+
+// Plan limit key counted per request (see subscriptionPlans limits)
+const USAGE_KEY = 'aiRequests';
+
+const MAX_TOKENS = 2000;
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_TEMPERATURE = 0.7;
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+const MAX_TOOLS = 20;
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': Deno.env.get('ALLOWED_ORIGIN') || '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+});
+
+const fail = (status, code, error, extra = {}) => json({ error, code, ...extra }, status);
+
+const env = (name) => Deno.env.get(name);
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const validToolCall = (call) => isObject(call)
+  && typeof call.id === 'string' && TOOL_NAME.test(call.name) && isObject(call.arguments);
+
+// Only chat turns, tool calls and tool results are forwarded; anything else
+// is a bad request
+function sanitizeMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return null;
+  const valid = messages.every(message => (
+    message && ROLES.includes(message.role) && typeof message.content === 'string'
+    && (message.toolCalls === undefined || (message.role === 'assistant' && Array.isArray(message.toolCalls) && message.toolCalls.every(validToolCall)))
+    && (message.role !== 'tool' || typeof message.toolCallId === 'string')
+  ));
+  if (!valid) return null;
+  return messages.map(({ role, content, toolCalls, toolCallId, name }) => ({
+    role,
+    content,
+    ...(toolCalls ? { toolCalls: toolCalls.map(call => ({ id: call.id, name: call.name, arguments: call.arguments })) } : {}),
+    ...(role === 'tool' ? { toolCallId, name: typeof name === 'string' ? name : undefined } : {})
+  }));
+}
+
+// Tool definitions: undefined when none were sent, null when malformed
+function sanitizeTools(tools) {
+  if (tools === undefined || tools === null) return undefined;
+  const valid = Array.isArray(tools) && tools.length <= MAX_TOOLS && tools.every(tool => (
+    isObject(tool) && TOOL_NAME.test(tool.name) && typeof tool.description === 'string' && isObject(tool.parameters)
+  ));
+  return valid ? tools.map(({ name, description, parameters }) => ({ name, description, parameters })) : null;
+}
+
+const numberOr = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+// The caller's brand (resolved as the user, so team members get their
+// owner's brand) and its AI settings
+async function brandSettings(supabase, token) {
+  const asUser = createClient(env('SUPABASE_URL'), env('SUPABASE_ANON_KEY'), {
+    global: { headers: { Authorization: `Bearer ${token}` } },
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+  const { data: brandId, error } = await asUser.rpc('current_brand_id');
+  if (error) throw new Error(`Failed to resolve brand: ${error.message}`);
+  if (!brandId) return { id: null, ai_provider: null, ai_model: null };
+
+  const { data: brand, error: brandError } = await supabase
+    .from('brands')
+    .select('id, ai_provider, ai_model')
+    .eq('id', brandId)
+    .maybeSingle();
+  if (brandError) throw new Error(`Failed to load AI settings: ${brandError.message}`);
+  return brand || { id: brandId, ai_provider: null, ai_model: null };
+}
+
+async function recordTokens(supabase, { brandId, userId, provider, model, usage, streamed }) {
+  if (!usage) return;
+  const { error } = await supabase.from('ai_usage_logs').insert([{
+    brand_id: brandId,
+    user_id: userId,
+    provider,
+    model,
+    input_tokens: usage.inputTokens,
+    output_tokens: usage.outputTokens,
+    estimated: usage.estimated,
+    streamed
+  }]);
+  if (error) console.error('Failed to record AI token usage', error);
+}
+
+const sse = (payload) => new TextEncoder().encode(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+
+Deno.serve(async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+  if (request.method !== 'POST') {
+    return fail(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+  }
+
+  const supabase = createClient(env('SUPABASE_URL'), env('SUPABASE_SERVICE_ROLE_KEY'), {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const { data: auth, error: authError } = await supabase.auth.getUser(token);
+  const user = auth?.user;
+  if (authError || !user) {
+    return fail(401, 'UNAUTHORIZED', 'Sign in to use the AI advisor.');
+  }
+
+  const body = await request.json().catch(() => null);
+  const messages = sanitizeMessages(body?.messages);
+  if (!messages) {
+    return fail(400, 'INVALID_REQUEST', 'messages must be a non-empty array of { role, content }.');
+  }
+  const tools = sanitizeTools(body.tools);
+  if (tools === null) {
+    return fail(400, 'INVALID_REQUEST', `tools must be at most ${MAX_TOOLS} { name, description, parameters } definitions.`);
+  }
+
+  try {
+    const subscription = await getActiveSubscription(supabase, user.id);
+    if (!subscription || !hasFeature(subscription.plan_id, FEATURE_FLAGS.AI_INSIGHTS)) {
+      return fail(403, 'FEATURE_NOT_AVAILABLE', 'The AI advisor is not included in your plan.');
+    }
+
+    const brand = await brandSettings(supabase, token);
+    const { provider, config } = resolveLlmProvider(brand.ai_provider, env, brand.ai_model);
+    if (!config) {
+      return fail(503, 'AI_NOT_CONFIGURED', `The AI advisor's ${provider.name} provider is not configured on the server.`);
+    }
+
+    const chatRequest = {
+      messages,
+      ...(tools ? { tools, toolChoice: body.toolChoice === 'none' ? 'none' : 'auto' } : {}),
+      temperature: Math.min(2, Math.max(0, numberOr(body.temperature, DEFAULT_TEMPERATURE))),
+      maxTokens: Math.min(MAX_TOKENS, Math.max(1, numberOr(body.maxTokens, DEFAULT_MAX_TOKENS)))
+    };
+    const counting = tokenCountingOf(provider);
+    const inputTokens = estimateMessageTokens(messages, counting) + (tools ? estimateTokens(JSON.stringify(tools), counting) : 0);
+    if (provider.contextWindow && inputTokens + chatRequest.maxTokens > provider.contextWindow) {
+      return fail(413, 'CONTEXT_TOO_LONG', `This conversation is too long for ${provider.name}. Start a new conversation.`, {
+        inputTokens,
+        contextWindow: provider.contextWindow
+      });
+    }
+
+    // Counted before the provider is called and given back if it fails, so
+    // concurrent requests cannot pass the limit
+    const counted = { userId: user.id, planId: subscription.plan_id, featureKey: USAGE_KEY };
+    const usage = await trackFeatureUsage(supabase, counted);
+    if (!usage.allowed) {
+      return fail(429, 'USAGE_LIMIT_REACHED', `You have used all ${usage.limit} AI advisor requests for this month.`, { usage });
+    }
+
+    const stream = body.stream === true;
+    const accounting = { brandId: brand.id, userId: user.id, provider: provider.id, model: config.model, streamed: stream };
+
+    let result = null;
+    let chunks = null;
+    let first = null;
+    try {
+      if (stream) {
+        // Start the stream here so a rejected request still gets a status code
+        chunks = provider.stream(config, chatRequest);
+        first = await chunks.next();
+      } else {
+        result = await provider.complete(config, chatRequest);
+      }
+    } catch (error) {
+      console.error(`${provider.name} request failed`, error);
+      await releaseFeatureUsage(supabase, counted)
+        .catch(releaseError => console.error('Failed to give back AI usage', releaseError));
+      return fail(502, 'AI_PROVIDER_ERROR', error.message, { provider: provider.id });
+    }
+
+    if (!stream) {
+      await recordTokens(supabase, { ...accounting, model: result.model, usage: result.usage });
+      return json({
+        content: result.content,
+        toolCalls: result.toolCalls || [],
+        provider: provider.id,
+        model: result.model,
+        finishReason: result.finishReason,
+        usage: result.usage
+      });
+    }
+
+    const events = new ReadableStream({
+      async start(controller) {
+        let tokens = null;
+        try {
+          for (let step = first; !step.done; step = await chunks.next()) {
+            if (step.value.type === 'usage') tokens = step.value.usage;
+            controller.enqueue(sse(step.value));
+          }
+        } catch (error) {
+          console.error(`${provider.name} stream failed`, error);
+          controller.enqueue(sse({ type: 'error', error: error.message }));
+        } finally {
+          await recordTokens(supabase, { ...accounting, usage: tokens });
+          controller.enqueue(sse('[DONE]'));
+          controller.close();
+        }
+      }
+    });
+
+    return new Response(events, {
+      headers: {
+        ...CORS_HEADERS,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      }
+    });
+  } catch (error) {
+    console.error('AI chat proxy failed', error);
+    return fail(500, 'AI_PROXY_ERROR', error.message);
+  }
+});
@@ -0,0 +1,39 @@
+// NAVA OPS - Report Schedule Runner (Edge Function)
+// Runs due report schedules and purges expired reports. Invoke it from a
+// cron job (pg_cron + pg_net or the Supabase scheduler) with the service
+// role key as bearer token.
+//
+// Set PDF_ARABIC_FONT_URL (e.g. https://<app>/fonts/Amiri-Regular.ttf) so
+// PDFs with Arabic text embed the font; the function bundle does not
+// include public/fonts.
+
+import { createClient } from '@supabase/supabase-js';
+import { runDueSchedules, purgeExpiredReports } from '../_shared/reportScheduler.js';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+Deno.serve(async (request) => {
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+  // Only the scheduler (holding the service role key) may trigger runs
+  if (request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return json({ error: 'Unauthorized' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL'), serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  try {
+    const { limit } = await request.json().catch(() => ({}));
+    const summary = await runDueSchedules(supabase, { limit: Number(limit) || undefined });
+    const purged = await purgeExpiredReports(supabase);
+    return json({ ...summary, purged });
+  } catch (error) {
+    console.error('Report schedule run failed', error);
+    return json({ error: error.message }, 500);
+  }
+});
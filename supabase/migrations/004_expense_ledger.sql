@@ -0,0 +1,88 @@
+-- Migration 004: Expense Ledger
+-- Per-branch operating expenses (rent, payroll, utilities, marketing, ...) with
+-- recurring and one-off entries. COGS is not stored here: it is derived from
+-- products.cost × quantities sold in order_items.
+
+-- ============================================================================
+-- 1. EXPENSES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  brand_id UUID REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+
+  -- Expense details
+  category TEXT NOT NULL CHECK (category IN ('rent', 'payroll', 'utilities', 'marketing', 'cogs', 'other')),
+  description TEXT,
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount >= 0),
+  currency TEXT DEFAULT 'SAR',
+
+  -- Timing: one-off entries use expense_date only; recurring entries repeat
+  -- from expense_date every recurrence_interval until recurrence_end_date
+  expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  is_recurring BOOLEAN DEFAULT false,
+  recurrence_interval TEXT CHECK (recurrence_interval IN ('weekly', 'monthly', 'quarterly', 'yearly')),
+  recurrence_end_date DATE,
+
+  -- Metadata
+  vendor TEXT,
+  reference TEXT, -- Invoice / receipt number
+  notes TEXT,
+  metadata JSONB DEFAULT '{}',
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT recurring_requires_interval CHECK (NOT is_recurring OR recurrence_interval IS NOT NULL)
+);
+
+CREATE INDEX idx_expenses_user_id ON expenses(user_id);
+CREATE INDEX idx_expenses_brand_id ON expenses(brand_id);
+CREATE INDEX idx_expenses_branch_id ON expenses(branch_id);
+CREATE INDEX idx_expenses_date ON expenses(expense_date DESC);
+CREATE INDEX idx_expenses_category ON expenses(category);
+
+CREATE TRIGGER update_expenses_updated_at
+  BEFORE UPDATE ON expenses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY expenses_select_own ON expenses
+  FOR SELECT
+  USING (
+    branch_id IN (
+      SELECT br.id FROM branches br
+      INNER JOIN brands b ON b.id = br.brand_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY expenses_insert_own ON expenses
+  FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id AND
+    branch_id IN (
+      SELECT br.id FROM branches br
+      INNER JOIN brands b ON b.id = br.brand_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY expenses_update_own ON expenses
+  FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY expenses_delete_own ON expenses
+  FOR DELETE
+  USING (auth.uid() = user_id);
+
+COMMENT ON TABLE expenses IS 'Per-branch expense ledger with recurring and one-off entries';
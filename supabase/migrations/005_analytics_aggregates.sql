@@ -0,0 +1,175 @@
+-- Migration 005: Analytics Aggregates
+-- Server-side rollups for analyticsAPI / executiveAPI so the browser no longer
+-- downloads every order and order_item row to group them in JavaScript.
+-- All objects run with the caller's privileges, so existing RLS on orders,
+-- order_items and branches still decides which rows are aggregated.
+
+-- ============================================================================
+-- 1. INDEXES
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_orders_branch_date_status ON orders(branch_id, order_date, status);
+
+-- ============================================================================
+-- 2. DAILY BRANCH SALES VIEW
+-- ============================================================================
+
+-- One row per branch per day. Revenue and AOV only count completed orders;
+-- the status counters cover every order placed that day.
+CREATE OR REPLACE VIEW branch_daily_sales
+WITH (security_invoker = true) AS
+SELECT
+  o.branch_id,
+  o.order_date,
+  COUNT(*) AS total_orders,
+  COUNT(*) FILTER (WHERE o.status = 'completed') AS completed_orders,
+  COUNT(*) FILTER (WHERE o.status = 'pending') AS pending_orders,
+  COUNT(*) FILTER (WHERE o.status = 'cancelled') AS cancelled_orders,
+  COALESCE(SUM(o.total) FILTER (WHERE o.status = 'completed'), 0) AS revenue,
+  COALESCE(SUM(o.tax) FILTER (WHERE o.status = 'completed'), 0) AS tax,
+  COALESCE(SUM(o.discount) FILTER (WHERE o.status = 'completed'), 0) AS discount
+FROM orders o
+GROUP BY o.branch_id, o.order_date;
+
+-- ============================================================================
+-- 3. RPC FUNCTIONS
+-- ============================================================================
+
+-- Revenue / order count / AOV series bucketed by day, week (ISO, Monday) or
+-- month. With by_branch = false the branches are summed and branch_id is NULL.
+CREATE OR REPLACE FUNCTION get_sales_series(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  bucket TEXT DEFAULT 'day',
+  branch_uuids UUID[] DEFAULT NULL,
+  by_branch BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+  period_start DATE,
+  branch_id UUID,
+  order_count BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL
+) AS $$
+  SELECT
+    date_trunc(bucket, s.order_date)::DATE AS period_start,
+    CASE WHEN by_branch THEN s.branch_id END AS branch_id,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value
+  FROM branch_daily_sales s
+  WHERE (start_date IS NULL OR s.order_date >= start_date)
+    AND (end_date IS NULL OR s.order_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids))
+    AND bucket IN ('day', 'week', 'month')
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+-- Per-branch totals for a window
+CREATE OR REPLACE FUNCTION get_branch_sales_summary(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  total_orders BIGINT,
+  order_count BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL
+) AS $$
+  SELECT
+    s.branch_id,
+    SUM(s.total_orders)::BIGINT AS total_orders,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.pending_orders)::BIGINT AS pending_orders,
+    SUM(s.cancelled_orders)::BIGINT AS cancelled_orders,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value
+  FROM branch_daily_sales s
+  WHERE (start_date IS NULL OR s.order_date >= start_date)
+    AND (end_date IS NULL OR s.order_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids))
+  GROUP BY s.branch_id;
+$$ LANGUAGE sql STABLE;
+
+-- Product rollup (completed orders only), best sellers by revenue first
+CREATE OR REPLACE FUNCTION get_product_sales(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  max_rows INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  quantity BIGINT,
+  revenue DECIMAL,
+  order_count BIGINT
+) AS $$
+  SELECT
+    oi.product_id,
+    MAX(oi.product_name) AS product_name,
+    SUM(oi.quantity)::BIGINT AS quantity,
+    SUM(oi.subtotal) AS revenue,
+    COUNT(DISTINCT oi.order_id) AS order_count
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.order_date >= start_date)
+    AND (end_date IS NULL OR o.order_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY oi.product_id, CASE WHEN oi.product_id IS NULL THEN oi.product_name END
+  ORDER BY revenue DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
+-- Cost of goods sold per branch (products.cost × quantity, completed orders).
+-- Lines whose product has no cost are counted separately so callers can tell
+-- a partially costed menu from a fully costed one.
+CREATE OR REPLACE FUNCTION get_branch_cogs(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  cogs DECIMAL,
+  costed_quantity BIGINT,
+  uncosted_quantity BIGINT
+) AS $$
+  SELECT
+    o.branch_id,
+    COALESCE(SUM(oi.quantity * p.cost) FILTER (WHERE p.cost IS NOT NULL), 0) AS cogs,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NOT NULL), 0)::BIGINT AS costed_quantity,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NULL), 0)::BIGINT AS uncosted_quantity
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  LEFT JOIN products p ON p.id = oi.product_id
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.order_date >= start_date)
+    AND (end_date IS NULL OR o.order_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY o.branch_id;
+$$ LANGUAGE sql STABLE;
+
+GRANT SELECT ON branch_daily_sales TO authenticated;
+GRANT EXECUTE ON FUNCTION get_sales_series(DATE, DATE, TEXT, UUID[], BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_branch_sales_summary(DATE, DATE, UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_product_sales(DATE, DATE, UUID[], INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_branch_cogs(DATE, DATE, UUID[]) TO authenticated;
+
+COMMENT ON VIEW branch_daily_sales IS 'Per-branch daily order counts and completed revenue';
+COMMENT ON FUNCTION get_sales_series IS 'Revenue, order count and AOV bucketed by day/week/month';
+COMMENT ON FUNCTION get_branch_sales_summary IS 'Per-branch order and revenue totals for a date window';
+COMMENT ON FUNCTION get_product_sales IS 'Per-product quantity and revenue for completed orders';
+COMMENT ON FUNCTION get_branch_cogs IS 'Per-branch cost of goods sold from product costs';
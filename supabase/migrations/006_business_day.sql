@@ -0,0 +1,259 @@
+-- Migration 006: Business Day Model
+-- Orders are attributed to the business day of their branch: the local date in
+-- branches.timezone, shifted back by a day-close cutoff so late-night trade
+-- (e.g. 01:30 with a 04:00 cutoff) counts toward the previous day.
+-- order_date / order_time keep their existing meaning (server time, UTC) and a
+-- new orders.business_date column is maintained from them.
+
+-- ============================================================================
+-- 1. DAY-CLOSE CUTOFF
+-- ============================================================================
+
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS day_close_time TIME DEFAULT '00:00';
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS day_close_time TIME; -- NULL = use brand cutoff
+
+COMMENT ON COLUMN brands.day_close_time IS 'Local time the business day rolls over (default midnight)';
+COMMENT ON COLUMN branches.day_close_time IS 'Branch override for brands.day_close_time';
+
+-- ============================================================================
+-- 2. BUSINESS DATE ON ORDERS
+-- ============================================================================
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS ordered_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS business_date DATE;
+
+COMMENT ON COLUMN orders.ordered_at IS 'Exact order instant; derived from order_date + order_time (UTC) when not supplied';
+COMMENT ON COLUMN orders.business_date IS 'Branch-local business day the order belongs to';
+
+-- Business date of an instant for a timezone and cutoff
+CREATE OR REPLACE FUNCTION business_date_at(ts TIMESTAMPTZ, tz TEXT, day_close TIME)
+RETURNS DATE AS $$
+  SELECT ((ts AT TIME ZONE COALESCE(tz, 'Asia/Riyadh')) - COALESCE(day_close, '00:00'::TIME)::INTERVAL)::DATE;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Day settings of a branch (branch cutoff overrides brand cutoff)
+CREATE OR REPLACE FUNCTION branch_day_settings(branch_uuid UUID)
+RETURNS TABLE (
+  timezone TEXT,
+  day_close_time TIME
+) AS $$
+  SELECT
+    COALESCE(br.timezone, b.timezone, 'Asia/Riyadh')::TEXT,
+    COALESCE(br.day_close_time, b.day_close_time, '00:00'::TIME)
+  FROM branches br
+  LEFT JOIN brands b ON b.id = br.brand_id
+  WHERE br.id = branch_uuid;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION set_order_business_date()
+RETURNS TRIGGER AS $$
+DECLARE
+  settings RECORD;
+BEGIN
+  IF NEW.ordered_at IS NULL
+     OR (TG_OP = 'UPDATE' AND (NEW.order_date IS DISTINCT FROM OLD.order_date
+                               OR NEW.order_time IS DISTINCT FROM OLD.order_time)
+         AND NEW.ordered_at IS NOT DISTINCT FROM OLD.ordered_at) THEN
+    NEW.ordered_at := (NEW.order_date + NEW.order_time) AT TIME ZONE 'UTC';
+  END IF;
+
+  SELECT * INTO settings FROM branch_day_settings(NEW.branch_id);
+  NEW.business_date := business_date_at(NEW.ordered_at, settings.timezone, settings.day_close_time);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_orders_business_date
+  BEFORE INSERT OR UPDATE OF order_date, order_time, ordered_at, branch_id ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION set_order_business_date();
+
+-- Backfill existing orders
+UPDATE orders o
+SET
+  ordered_at = COALESCE(o.ordered_at, (o.order_date + o.order_time) AT TIME ZONE 'UTC'),
+  business_date = business_date_at(
+    COALESCE(o.ordered_at, (o.order_date + o.order_time) AT TIME ZONE 'UTC'),
+    s.timezone,
+    s.day_close_time
+  )
+FROM branches br
+CROSS JOIN LATERAL branch_day_settings(br.id) s
+WHERE br.id = o.branch_id;
+
+CREATE INDEX IF NOT EXISTS idx_orders_branch_business_date ON orders(branch_id, business_date, status);
+
+-- Re-attribute orders when a branch or brand changes its timezone or cutoff
+CREATE OR REPLACE FUNCTION recalculate_branch_business_dates()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE orders o
+  SET business_date = business_date_at(o.ordered_at, s.timezone, s.day_close_time)
+  FROM branches br
+  CROSS JOIN LATERAL branch_day_settings(br.id) s
+  WHERE br.id = o.branch_id
+    AND (
+      (TG_TABLE_NAME = 'branches' AND br.id = NEW.id) OR
+      (TG_TABLE_NAME = 'brands' AND br.brand_id = NEW.id)
+    );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER recalculate_branch_business_dates
+  AFTER UPDATE OF timezone, day_close_time ON branches
+  FOR EACH ROW
+  WHEN (OLD.timezone IS DISTINCT FROM NEW.timezone OR OLD.day_close_time IS DISTINCT FROM NEW.day_close_time)
+  EXECUTE FUNCTION recalculate_branch_business_dates();
+
+CREATE TRIGGER recalculate_brand_business_dates
+  AFTER UPDATE OF timezone, day_close_time ON brands
+  FOR EACH ROW
+  WHEN (OLD.timezone IS DISTINCT FROM NEW.timezone OR OLD.day_close_time IS DISTINCT FROM NEW.day_close_time)
+  EXECUTE FUNCTION recalculate_branch_business_dates();
+
+-- ============================================================================
+-- 3. AGGREGATES ON BUSINESS DATE
+-- ============================================================================
+
+-- Rebuild the daily view keyed by business_date instead of the UTC order_date
+DROP VIEW IF EXISTS branch_daily_sales;
+
+CREATE VIEW branch_daily_sales
+WITH (security_invoker = true) AS
+SELECT
+  o.branch_id,
+  o.business_date,
+  COUNT(*) AS total_orders,
+  COUNT(*) FILTER (WHERE o.status = 'completed') AS completed_orders,
+  COUNT(*) FILTER (WHERE o.status = 'pending') AS pending_orders,
+  COUNT(*) FILTER (WHERE o.status = 'cancelled') AS cancelled_orders,
+  COALESCE(SUM(o.total) FILTER (WHERE o.status = 'completed'), 0) AS revenue,
+  COALESCE(SUM(o.tax) FILTER (WHERE o.status = 'completed'), 0) AS tax,
+  COALESCE(SUM(o.discount) FILTER (WHERE o.status = 'completed'), 0) AS discount
+FROM orders o
+GROUP BY o.branch_id, o.business_date;
+
+GRANT SELECT ON branch_daily_sales TO authenticated;
+
+CREATE OR REPLACE FUNCTION get_sales_series(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  bucket TEXT DEFAULT 'day',
+  branch_uuids UUID[] DEFAULT NULL,
+  by_branch BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+  period_start DATE,
+  branch_id UUID,
+  order_count BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL
+) AS $$
+  SELECT
+    date_trunc(bucket, s.business_date)::DATE AS period_start,
+    CASE WHEN by_branch THEN s.branch_id END AS branch_id,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value
+  FROM branch_daily_sales s
+  WHERE (start_date IS NULL OR s.business_date >= start_date)
+    AND (end_date IS NULL OR s.business_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids))
+    AND bucket IN ('day', 'week', 'month')
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_branch_sales_summary(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  total_orders BIGINT,
+  order_count BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL
+) AS $$
+  SELECT
+    s.branch_id,
+    SUM(s.total_orders)::BIGINT AS total_orders,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.pending_orders)::BIGINT AS pending_orders,
+    SUM(s.cancelled_orders)::BIGINT AS cancelled_orders,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value
+  FROM branch_daily_sales s
+  WHERE (start_date IS NULL OR s.business_date >= start_date)
+    AND (end_date IS NULL OR s.business_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids))
+  GROUP BY s.branch_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_product_sales(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  max_rows INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  quantity BIGINT,
+  revenue DECIMAL,
+  order_count BIGINT
+) AS $$
+  SELECT
+    oi.product_id,
+    MAX(oi.product_name) AS product_name,
+    SUM(oi.quantity)::BIGINT AS quantity,
+    SUM(oi.subtotal) AS revenue,
+    COUNT(DISTINCT oi.order_id) AS order_count
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY oi.product_id, CASE WHEN oi.product_id IS NULL THEN oi.product_name END
+  ORDER BY revenue DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_branch_cogs(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  cogs DECIMAL,
+  costed_quantity BIGINT,
+  uncosted_quantity BIGINT
+) AS $$
+  SELECT
+    o.branch_id,
+    COALESCE(SUM(oi.quantity * p.cost) FILTER (WHERE p.cost IS NOT NULL), 0) AS cogs,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NOT NULL), 0)::BIGINT AS costed_quantity,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NULL), 0)::BIGINT AS uncosted_quantity
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  LEFT JOIN products p ON p.id = oi.product_id
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY o.branch_id;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON VIEW branch_daily_sales IS 'Per-branch business-day order counts and completed revenue';
@@ -0,0 +1,294 @@
+-- Migration 007: Multi-Currency Consolidation
+-- Dated exchange rates per brand and currency-aware aggregates. brands.currency
+-- is the reporting currency; each branch keeps trading in branches.currency.
+-- Consolidated figures convert every branch-day at the rate valid on that day.
+
+-- ============================================================================
+-- 1. EXCHANGE RATES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+
+  -- 1 unit of from_currency = rate units of to_currency
+  from_currency VARCHAR(3) NOT NULL,
+  to_currency VARCHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+  rate_date DATE NOT NULL,
+
+  source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'csv_import')),
+  notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT exchange_rates_distinct_currencies CHECK (from_currency <> to_currency),
+  CONSTRAINT exchange_rates_unique_daily UNIQUE (brand_id, from_currency, to_currency, rate_date)
+);
+
+CREATE INDEX idx_exchange_rates_brand_id ON exchange_rates(brand_id);
+CREATE INDEX idx_exchange_rates_lookup ON exchange_rates(brand_id, from_currency, to_currency, rate_date DESC);
+
+CREATE TRIGGER update_exchange_rates_updated_at
+  BEFORE UPDATE ON exchange_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY exchange_rates_select_own ON exchange_rates
+  FOR SELECT
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY exchange_rates_insert_own ON exchange_rates
+  FOR INSERT
+  WITH CHECK (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY exchange_rates_update_own ON exchange_rates
+  FOR UPDATE
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY exchange_rates_delete_own ON exchange_rates
+  FOR DELETE
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+COMMENT ON TABLE exchange_rates IS 'Dated currency conversion rates per brand';
+COMMENT ON COLUMN brands.currency IS 'Reporting currency for consolidated figures';
+
+-- ============================================================================
+-- 2. RATE LOOKUP
+-- ============================================================================
+
+-- Rate to convert from_cur into to_cur on a date: the latest rate on or before
+-- the date (direct pair, else the inverse of the reverse pair), falling back
+-- to the earliest later rate. NULL when no rate has been recorded.
+CREATE OR REPLACE FUNCTION exchange_rate_at(brand_uuid UUID, from_cur TEXT, to_cur TEXT, on_date DATE)
+RETURNS DECIMAL AS $$
+  SELECT CASE
+    WHEN from_cur IS NULL OR to_cur IS NULL OR from_cur = to_cur THEN 1
+    ELSE (
+      SELECT r.rate_value
+      FROM (
+        SELECT er.rate AS rate_value, er.rate_date
+        FROM exchange_rates er
+        WHERE er.brand_id = brand_uuid AND er.from_currency = from_cur AND er.to_currency = to_cur
+        UNION ALL
+        SELECT 1 / er.rate AS rate_value, er.rate_date
+        FROM exchange_rates er
+        WHERE er.brand_id = brand_uuid AND er.from_currency = to_cur AND er.to_currency = from_cur
+      ) r
+      ORDER BY (r.rate_date > on_date), ABS(r.rate_date - on_date)
+      LIMIT 1
+    )
+  END;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================================
+-- 3. CURRENCY-AWARE AGGREGATES
+-- ============================================================================
+-- target_currency = NULL keeps each branch's local currency (only meaningful
+-- per branch); otherwise amounts are converted per business day.
+-- missing_rate is true when some amounts had no rate and were left unconverted.
+
+DROP FUNCTION IF EXISTS get_sales_series(DATE, DATE, TEXT, UUID[], BOOLEAN);
+DROP FUNCTION IF EXISTS get_branch_sales_summary(DATE, DATE, UUID[]);
+DROP FUNCTION IF EXISTS get_product_sales(DATE, DATE, UUID[], INTEGER);
+DROP FUNCTION IF EXISTS get_branch_cogs(DATE, DATE, UUID[]);
+
+-- Branch-day rows with the conversion rate applied
+CREATE OR REPLACE FUNCTION branch_daily_sales_in(
+  target_currency TEXT DEFAULT NULL,
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  business_date DATE,
+  currency TEXT,
+  total_orders BIGINT,
+  completed_orders BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  revenue DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    s.branch_id,
+    s.business_date,
+    COALESCE(target_currency, br.currency, 'SAR')::TEXT AS currency,
+    s.total_orders,
+    s.completed_orders,
+    s.pending_orders,
+    s.cancelled_orders,
+    s.revenue * COALESCE(x.rate, 1) AS revenue,
+    (target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM branch_daily_sales s
+  INNER JOIN branches br ON br.id = s.branch_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, s.business_date)
+    END AS rate
+  ) x ON true
+  WHERE (start_date IS NULL OR s.business_date >= start_date)
+    AND (end_date IS NULL OR s.business_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids));
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_sales_series(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  bucket TEXT DEFAULT 'day',
+  branch_uuids UUID[] DEFAULT NULL,
+  by_branch BOOLEAN DEFAULT false,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start DATE,
+  branch_id UUID,
+  currency TEXT,
+  order_count BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    date_trunc(bucket, s.business_date)::DATE AS period_start,
+    CASE WHEN by_branch THEN s.branch_id END AS branch_id,
+    MIN(s.currency) AS currency,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value,
+    BOOL_OR(s.missing_rate) AS missing_rate
+  FROM branch_daily_sales_in(target_currency, start_date, end_date, branch_uuids) s
+  WHERE bucket IN ('day', 'week', 'month')
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_branch_sales_summary(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  currency TEXT,
+  total_orders BIGINT,
+  order_count BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  revenue DECIMAL,
+  avg_order_value DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    s.branch_id,
+    MIN(s.currency) AS currency,
+    SUM(s.total_orders)::BIGINT AS total_orders,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.pending_orders)::BIGINT AS pending_orders,
+    SUM(s.cancelled_orders)::BIGINT AS cancelled_orders,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value,
+    BOOL_OR(s.missing_rate) AS missing_rate
+  FROM branch_daily_sales_in(target_currency, start_date, end_date, branch_uuids) s
+  GROUP BY s.branch_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_product_sales(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  max_rows INTEGER DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  quantity BIGINT,
+  revenue DECIMAL,
+  order_count BIGINT,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    oi.product_id,
+    MAX(oi.product_name) AS product_name,
+    SUM(oi.quantity)::BIGINT AS quantity,
+    SUM(oi.subtotal * COALESCE(x.rate, 1)) AS revenue,
+    COUNT(DISTINCT oi.order_id) AS order_count,
+    BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY oi.product_id, CASE WHEN oi.product_id IS NULL THEN oi.product_name END
+  ORDER BY revenue DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
+-- Product costs are recorded in the selling branch's currency
+CREATE OR REPLACE FUNCTION get_branch_cogs(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  cogs DECIMAL,
+  costed_quantity BIGINT,
+  uncosted_quantity BIGINT,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    o.branch_id,
+    COALESCE(SUM(oi.quantity * p.cost * COALESCE(x.rate, 1)) FILTER (WHERE p.cost IS NOT NULL), 0) AS cogs,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NOT NULL), 0)::BIGINT AS costed_quantity,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NULL), 0)::BIGINT AS uncosted_quantity,
+    COALESCE(BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL), false) AS missing_rate
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN products p ON p.id = oi.product_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY o.branch_id;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION exchange_rate_at(UUID, TEXT, TEXT, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION branch_daily_sales_in(TEXT, DATE, DATE, UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_sales_series(DATE, DATE, TEXT, UUID[], BOOLEAN, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_branch_sales_summary(DATE, DATE, UUID[], TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_product_sales(DATE, DATE, UUID[], INTEGER, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_branch_cogs(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+COMMENT ON FUNCTION exchange_rate_at IS 'Conversion rate between two currencies valid on a date';
+COMMENT ON FUNCTION branch_daily_sales_in IS 'branch_daily_sales converted to a target currency';
@@ -0,0 +1,54 @@
+-- Migration 008: Sales Heatmap
+-- Completed orders and revenue per branch by weekday × hour, for spotting dead
+-- hours against branches.business_hours.
+-- The hour is the branch-local clock hour of the order; the weekday is that of
+-- its business day, so a 01:30 order behind a 04:00 cutoff lands on the
+-- previous day's row (late-night trade stays with the evening it belongs to).
+
+-- ============================================================================
+-- 1. HEATMAP RPC
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_sales_heatmap(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  weekday SMALLINT, -- 0 = Sunday … 6 = Saturday
+  hour SMALLINT,    -- 0 … 23, branch-local
+  currency TEXT,
+  order_count BIGINT,
+  revenue DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    o.branch_id,
+    EXTRACT(DOW FROM o.business_date)::SMALLINT AS weekday,
+    EXTRACT(HOUR FROM o.ordered_at AT TIME ZONE COALESCE(br.timezone, b.timezone, 'Asia/Riyadh'))::SMALLINT AS hour,
+    MIN(COALESCE(target_currency, br.currency, 'SAR'))::TEXT AS currency,
+    COUNT(*)::BIGINT AS order_count,
+    SUM(o.total * COALESCE(x.rate, 1)) AS revenue,
+    BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN brands b ON b.id = br.brand_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status = 'completed'
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY 1, 2, 3
+  ORDER BY 1, 2, 3;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_sales_heatmap(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+COMMENT ON FUNCTION get_sales_heatmap IS 'Per-branch completed orders and revenue by business weekday and local hour';
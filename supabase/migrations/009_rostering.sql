@@ -0,0 +1,298 @@
+-- Migration 009: Rostering & Shift Scheduling
+-- Shift templates, weekly rosters per branch, employee availability and
+-- time-off requests. Shift times are branch-local; a shift whose end_time is at
+-- or before its start_time runs past midnight.
+-- Staff are user_profiles rows linked to a brand through user_profiles.brand_id.
+
+-- ============================================================================
+-- 1. SCHEDULING RULES
+-- ============================================================================
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS brand_id UUID REFERENCES brands(id) ON DELETE SET NULL;
+
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS min_rest_hours DECIMAL(4, 1) DEFAULT 10;
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS max_weekly_hours DECIMAL(5, 1) DEFAULT 48;
+
+COMMENT ON COLUMN brands.min_rest_hours IS 'Minimum hours between two shifts of the same employee';
+COMMENT ON COLUMN brands.max_weekly_hours IS 'Maximum paid hours per employee per roster week';
+
+-- ============================================================================
+-- 2. SHIFT TEMPLATES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS shift_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID REFERENCES branches(id) ON DELETE CASCADE, -- NULL = all branches
+
+  name TEXT NOT NULL, -- "Morning", "Closing", ...
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  break_minutes INTEGER DEFAULT 0 CHECK (break_minutes >= 0),
+  role TEXT, -- Station / position (cashier, kitchen, ...)
+  color TEXT DEFAULT '#6366F1',
+  is_active BOOLEAN DEFAULT true,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_shift_templates_brand_id ON shift_templates(brand_id);
+
+-- ============================================================================
+-- 3. ROSTERS & SHIFTS
+-- ============================================================================
+
+-- One roster per branch per week (week_start is the Sunday the week opens on)
+CREATE TABLE IF NOT EXISTS rosters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  week_start DATE NOT NULL,
+
+  status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+  published_at TIMESTAMPTZ,
+  published_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(branch_id, week_start)
+);
+
+CREATE INDEX idx_rosters_brand_week ON rosters(brand_id, week_start);
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  roster_id UUID NOT NULL REFERENCES rosters(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  employee_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL, -- NULL = open shift
+  template_id UUID REFERENCES shift_templates(id) ON DELETE SET NULL,
+
+  shift_date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  break_minutes INTEGER DEFAULT 0 CHECK (break_minutes >= 0),
+  role TEXT,
+  notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_shifts_roster_id ON shifts(roster_id);
+CREATE INDEX idx_shifts_employee_date ON shifts(employee_id, shift_date);
+CREATE INDEX idx_shifts_branch_date ON shifts(branch_id, shift_date);
+
+-- ============================================================================
+-- 4. AVAILABILITY & TIME OFF
+-- ============================================================================
+
+-- Recurring weekly windows. is_available = false marks hours the employee
+-- cannot work; true marks preferred hours (none recorded = available any time).
+CREATE TABLE IF NOT EXISTS employee_availability (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = Sunday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  is_available BOOLEAN DEFAULT true,
+  notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_employee_availability_employee ON employee_availability(employee_id, weekday);
+
+CREATE TABLE IF NOT EXISTS time_off_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  type TEXT DEFAULT 'vacation' CHECK (type IN ('vacation', 'sick', 'personal', 'other')),
+  reason TEXT,
+
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  reviewed_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT time_off_valid_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX idx_time_off_requests_employee ON time_off_requests(employee_id, start_date);
+CREATE INDEX idx_time_off_requests_brand_status ON time_off_requests(brand_id, status);
+
+-- ============================================================================
+-- 5. TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER update_shift_templates_updated_at
+  BEFORE UPDATE ON shift_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_rosters_updated_at
+  BEFORE UPDATE ON rosters
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_shifts_updated_at
+  BEFORE UPDATE ON shifts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_employee_availability_updated_at
+  BEFORE UPDATE ON employee_availability
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_time_off_requests_updated_at
+  BEFORE UPDATE ON time_off_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 6. ROW LEVEL SECURITY
+-- ============================================================================
+-- Brand owners manage everything; staff read their own published shifts and
+-- manage their own availability and time-off requests.
+
+ALTER TABLE shift_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rosters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shifts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE employee_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE time_off_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY shift_templates_manage_own ON shift_templates
+  FOR ALL
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY rosters_manage_own ON rosters
+  FOR ALL
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY rosters_select_staff ON rosters
+  FOR SELECT
+  USING (
+    status = 'published' AND
+    brand_id IN (SELECT brand_id FROM user_profiles WHERE id = auth.uid())
+  );
+
+CREATE POLICY shifts_manage_own ON shifts
+  FOR ALL
+  USING (
+    roster_id IN (
+      SELECT r.id FROM rosters r
+      INNER JOIN brands b ON b.id = r.brand_id
+      WHERE b.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY shifts_select_assigned ON shifts
+  FOR SELECT
+  USING (
+    employee_id = auth.uid() AND
+    roster_id IN (SELECT id FROM rosters WHERE status = 'published')
+  );
+
+CREATE POLICY employee_availability_manage_own ON employee_availability
+  FOR ALL
+  USING (
+    employee_id = auth.uid() OR
+    brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid())
+  );
+
+CREATE POLICY time_off_requests_select_own ON time_off_requests
+  FOR SELECT
+  USING (
+    employee_id = auth.uid() OR
+    brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid())
+  );
+
+CREATE POLICY time_off_requests_insert_own ON time_off_requests
+  FOR INSERT
+  WITH CHECK (
+    (employee_id = auth.uid() AND status = 'pending') OR
+    brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid())
+  );
+
+-- Staff may only cancel their own requests; reviewing is for the brand owner
+CREATE POLICY time_off_requests_update_own ON time_off_requests
+  FOR UPDATE
+  USING (
+    employee_id = auth.uid() OR
+    brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid())
+  )
+  WITH CHECK (
+    (employee_id = auth.uid() AND status IN ('pending', 'cancelled')) OR
+    brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid())
+  );
+
+CREATE POLICY time_off_requests_delete_own ON time_off_requests
+  FOR DELETE
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+-- ============================================================================
+-- 7. PUBLISHING
+-- ============================================================================
+
+-- Mark a roster published and notify every employee with a shift on it.
+-- Runs as definer because staff notifications are written on their behalf.
+CREATE OR REPLACE FUNCTION publish_roster(roster_uuid UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  roster RECORD;
+  notified INTEGER;
+BEGIN
+  SELECT r.*, br.name AS branch_name
+  INTO roster
+  FROM rosters r
+  INNER JOIN branches br ON br.id = r.branch_id
+  INNER JOIN brands b ON b.id = r.brand_id
+  WHERE r.id = roster_uuid AND b.user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Roster not found or not owned by the current user';
+  END IF;
+
+  UPDATE rosters
+  SET status = 'published', published_at = NOW(), published_by = auth.uid()
+  WHERE id = roster_uuid;
+
+  INSERT INTO notifications (user_id, type, priority, title, message, action_url, action_label, metadata)
+  SELECT
+    s.employee_id,
+    'system',
+    'normal',
+    'Your schedule is ready',
+    format('%s shift(s) at %s for the week of %s', COUNT(*), roster.branch_name, to_char(roster.week_start, 'DD Mon YYYY')),
+    '/staff-command',
+    'View schedule',
+    jsonb_build_object('kind', 'roster_published', 'roster_id', roster_uuid, 'branch_id', roster.branch_id)
+  FROM shifts s
+  WHERE s.roster_id = roster_uuid AND s.employee_id IS NOT NULL
+  GROUP BY s.employee_id;
+
+  GET DIAGNOSTICS notified = ROW_COUNT;
+  RETURN notified;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION publish_roster(UUID) TO authenticated;
+
+COMMENT ON TABLE shift_templates IS 'Reusable shift definitions per brand or branch';
+COMMENT ON TABLE rosters IS 'Weekly staff roster per branch (draft or published)';
+COMMENT ON TABLE shifts IS 'Scheduled shifts; times are branch-local';
+COMMENT ON TABLE employee_availability IS 'Recurring weekly availability windows per employee';
+COMMENT ON TABLE time_off_requests IS 'Employee leave requests and their review status';
+COMMENT ON FUNCTION publish_roster IS 'Publish a roster and notify the scheduled staff';
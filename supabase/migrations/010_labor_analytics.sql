@@ -0,0 +1,139 @@
+-- Migration 010: Labor Analytics
+-- Labor cost and productivity per branch per business day.
+-- Scheduled hours come from shifts on published rosters, priced at the
+-- employee's hourly wage (brand default for open shifts or missing wages).
+-- Actual hours come from daily performance_entries (staff_count ×
+-- operating_hours) and are priced at the day's average scheduled wage.
+-- Wages are in the currency of the branch the shift is worked at.
+
+-- ============================================================================
+-- 1. WAGES & TARGETS
+-- ============================================================================
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS hourly_wage DECIMAL(10, 2) CHECK (hourly_wage >= 0);
+
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS default_hourly_wage DECIMAL(10, 2) CHECK (default_hourly_wage >= 0);
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS target_labor_cost_percent DECIMAL(5, 2) DEFAULT 25;
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS target_sales_per_labor_hour DECIMAL(10, 2); -- NULL = derive from wage and labor %
+
+COMMENT ON COLUMN user_profiles.hourly_wage IS 'Hourly wage used for labor cost, in the currency of the branch worked at';
+COMMENT ON COLUMN brands.default_hourly_wage IS 'Wage for open shifts and staff without an hourly_wage';
+COMMENT ON COLUMN brands.target_labor_cost_percent IS 'Labor cost as a share of sales the brand aims for';
+COMMENT ON COLUMN brands.target_sales_per_labor_hour IS 'Sales each labor hour should cover when recommending staffing';
+
+CREATE INDEX IF NOT EXISTS idx_performance_branch_period_date ON performance_entries(branch_id, period_type, entry_date);
+
+-- ============================================================================
+-- 2. STAFF PROFILES FOR BRAND OWNERS
+-- ============================================================================
+
+-- user_profiles was only readable by its owner, so rosters could not list staff
+-- and wages could not be set. Brand owners may read and update their staff.
+CREATE POLICY user_profiles_select_brand_staff ON user_profiles
+  FOR SELECT
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY user_profiles_update_brand_staff ON user_profiles
+  FOR UPDATE
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+-- ============================================================================
+-- 3. DAILY LABOR RPC
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_labor_daily(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  business_date DATE,
+  currency TEXT,
+  revenue DECIMAL,
+  scheduled_hours DECIMAL,
+  scheduled_cost DECIMAL,
+  unpriced_hours DECIMAL, -- scheduled hours with no wage to price them
+  actual_hours DECIMAL,   -- NULL when no performance entry was recorded
+  actual_cost DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  WITH scheduled AS (
+    SELECT
+      s.branch_id,
+      s.shift_date AS business_date,
+      SUM(h.paid_hours) AS hours,
+      SUM(h.paid_hours * COALESCE(up.hourly_wage, b.default_hourly_wage)) AS cost,
+      COALESCE(SUM(h.paid_hours) FILTER (WHERE COALESCE(up.hourly_wage, b.default_hourly_wage) IS NULL), 0) AS unpriced_hours
+    FROM shifts s
+    INNER JOIN rosters r ON r.id = s.roster_id AND r.status = 'published'
+    INNER JOIN branches br ON br.id = s.branch_id
+    LEFT JOIN brands b ON b.id = br.brand_id
+    LEFT JOIN user_profiles up ON up.id = s.employee_id
+    CROSS JOIN LATERAL (
+      SELECT GREATEST(
+        0,
+        EXTRACT(EPOCH FROM CASE
+          WHEN s.end_time > s.start_time THEN s.end_time - s.start_time
+          ELSE s.end_time - s.start_time + INTERVAL '24 hours'
+        END) / 3600 - COALESCE(s.break_minutes, 0) / 60.0
+      ) AS paid_hours
+    ) h
+    WHERE (start_date IS NULL OR s.shift_date >= start_date)
+      AND (end_date IS NULL OR s.shift_date <= end_date)
+      AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids))
+    GROUP BY 1, 2
+  ),
+  actual AS (
+    SELECT
+      p.branch_id,
+      p.entry_date AS business_date,
+      SUM(p.staff_count * p.operating_hours) AS hours
+    FROM performance_entries p
+    WHERE p.period_type = 'daily'
+      AND (start_date IS NULL OR p.entry_date >= start_date)
+      AND (end_date IS NULL OR p.entry_date <= end_date)
+      AND (branch_uuids IS NULL OR p.branch_id = ANY(branch_uuids))
+    GROUP BY 1, 2
+  ),
+  sales AS (
+    SELECT s.branch_id, s.business_date, s.revenue
+    FROM branch_daily_sales_in(NULL, start_date, end_date, branch_uuids) s
+  ),
+  days AS (
+    SELECT scheduled.branch_id, scheduled.business_date FROM scheduled
+    UNION
+    SELECT actual.branch_id, actual.business_date FROM actual
+    UNION
+    SELECT sales.branch_id, sales.business_date FROM sales
+  )
+  SELECT
+    d.branch_id,
+    d.business_date,
+    COALESCE(target_currency, br.currency, 'SAR')::TEXT AS currency,
+    COALESCE(sa.revenue, 0) * COALESCE(x.rate, 1) AS revenue,
+    COALESCE(sc.hours, 0) AS scheduled_hours,
+    COALESCE(sc.cost, 0) * COALESCE(x.rate, 1) AS scheduled_cost,
+    COALESCE(sc.unpriced_hours, 0) AS unpriced_hours,
+    a.hours AS actual_hours,
+    a.hours * COALESCE(sc.cost / NULLIF(sc.hours - sc.unpriced_hours, 0), b.default_hourly_wage) * COALESCE(x.rate, 1) AS actual_cost,
+    (target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM days d
+  INNER JOIN branches br ON br.id = d.branch_id
+  LEFT JOIN brands b ON b.id = br.brand_id
+  LEFT JOIN scheduled sc ON sc.branch_id = d.branch_id AND sc.business_date = d.business_date
+  LEFT JOIN actual a ON a.branch_id = d.branch_id AND a.business_date = d.business_date
+  LEFT JOIN sales sa ON sa.branch_id = d.branch_id AND sa.business_date = d.business_date
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, d.business_date)
+    END AS rate
+  ) x ON true
+  ORDER BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_labor_daily(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+COMMENT ON FUNCTION get_labor_daily IS 'Per-branch daily sales with scheduled and actual labor hours and cost';
@@ -0,0 +1,368 @@
+-- Migration 011: Employee Performance Scoring
+-- Inputs for a weighted employee score: task completion and on-time rate
+-- (tasks), attributed sales (orders.metadata->>'staff_id'), attendance against
+-- published shifts (attendance_records) and manager reviews. Weights live on
+-- the brand; computed scores are kept per period for history.
+
+-- ============================================================================
+-- 1. TASK DEADLINES
+-- ============================================================================
+
+-- tasks predates these migrations; create it if missing so the columns below apply
+CREATE TABLE IF NOT EXISTS tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID REFERENCES brands(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'completed')),
+  priority TEXT DEFAULT 'medium',
+  assigned_to UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to ON tasks(assigned_to);
+
+-- Stamp completed_at when a task is completed, clear it when reopened
+CREATE OR REPLACE FUNCTION set_task_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'completed' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'completed') THEN
+    NEW.completed_at := COALESCE(NEW.completed_at, NOW());
+  ELSIF NEW.status <> 'completed' THEN
+    NEW.completed_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_tasks_completed_at ON tasks;
+CREATE TRIGGER set_tasks_completed_at
+  BEFORE INSERT OR UPDATE OF status ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION set_task_completed_at();
+
+CREATE INDEX IF NOT EXISTS idx_orders_staff_id ON orders((metadata->>'staff_id'));
+
+-- ============================================================================
+-- 2. ATTENDANCE & REVIEWS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS attendance_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL, -- NULL = unscheduled work
+
+  clock_in TIMESTAMPTZ NOT NULL,
+  clock_out TIMESTAMPTZ,
+  source TEXT DEFAULT 'manual' CHECK (source IN ('manual', 'pos', 'app')),
+  notes TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT clock_out_after_clock_in CHECK (clock_out IS NULL OR clock_out > clock_in)
+);
+
+CREATE INDEX idx_attendance_employee ON attendance_records(employee_id, clock_in);
+CREATE INDEX idx_attendance_shift ON attendance_records(shift_id);
+
+CREATE TABLE IF NOT EXISTS performance_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  reviewer_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+
+  review_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  rating DECIMAL(2, 1) NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  strengths TEXT,
+  improvements TEXT,
+  comments TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_performance_reviews_employee ON performance_reviews(employee_id, review_date DESC);
+
+-- ============================================================================
+-- 3. WEIGHTS & SCORE HISTORY
+-- ============================================================================
+
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS performance_weights JSONB
+  DEFAULT '{"tasks": 25, "on_time": 15, "sales": 30, "attendance": 15, "reviews": 15}';
+
+COMMENT ON COLUMN brands.performance_weights IS 'Relative weight of each employee score component';
+
+CREATE TABLE IF NOT EXISTS employee_performance_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  score DECIMAL(5, 2) NOT NULL,
+  components JSONB DEFAULT '{}', -- component scores (0-100), null = no data
+  weights JSONB DEFAULT '{}',    -- weights in effect when scored
+  metrics JSONB DEFAULT '{}',    -- raw inputs behind the components
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(employee_id, period_start, period_end)
+);
+
+CREATE INDEX idx_performance_scores_brand_period ON employee_performance_scores(brand_id, period_end DESC);
+
+CREATE TRIGGER update_attendance_records_updated_at
+  BEFORE UPDATE ON attendance_records
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_performance_reviews_updated_at
+  BEFORE UPDATE ON performance_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_employee_performance_scores_updated_at
+  BEFORE UPDATE ON employee_performance_scores
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE attendance_records ENABLE ROW LEVEL SECURITY;
+ALTER TABLE performance_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE employee_performance_scores ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY attendance_records_manage_own ON attendance_records
+  FOR ALL
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY attendance_records_select_self ON attendance_records
+  FOR SELECT
+  USING (employee_id = auth.uid());
+
+CREATE POLICY performance_reviews_manage_own ON performance_reviews
+  FOR ALL
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY performance_reviews_select_self ON performance_reviews
+  FOR SELECT
+  USING (employee_id = auth.uid());
+
+CREATE POLICY employee_performance_scores_manage_own ON employee_performance_scores
+  FOR ALL
+  USING (brand_id IN (SELECT id FROM brands WHERE user_id = auth.uid()));
+
+CREATE POLICY employee_performance_scores_select_self ON employee_performance_scores
+  FOR SELECT
+  USING (employee_id = auth.uid());
+
+-- ============================================================================
+-- 5. SCORING INPUTS RPC
+-- ============================================================================
+
+-- Raw per-employee counts for a window; weighting happens in the app so the
+-- brand's weights can change without touching SQL.
+CREATE OR REPLACE FUNCTION get_employee_performance_inputs(
+  brand_uuid UUID,
+  start_date DATE,
+  end_date DATE,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  employee_id UUID,
+  full_name TEXT,
+  email TEXT,
+  role TEXT,
+  primary_branch_id UUID,
+  tasks_assigned BIGINT,
+  tasks_completed BIGINT,
+  tasks_due BIGINT,      -- tasks whose due date has passed or that are done
+  tasks_on_time BIGINT,
+  order_count BIGINT,
+  sales DECIMAL,
+  missing_rate BOOLEAN,
+  shifts_scheduled BIGINT, -- published shifts that have started
+  shifts_attended BIGINT,
+  shifts_late BIGINT,      -- clocked in more than 5 minutes after the start
+  review_count BIGINT,
+  average_rating DECIMAL
+) AS $$
+  WITH staff AS (
+    SELECT up.id, up.full_name, up.email, up.role
+    FROM user_profiles up
+    WHERE up.brand_id = brand_uuid
+  ),
+  task_stats AS (
+    SELECT
+      t.assigned_to AS employee_id,
+      COUNT(*) AS assigned,
+      COUNT(*) FILTER (WHERE t.status = 'completed') AS completed,
+      COUNT(*) FILTER (WHERE t.due_date IS NOT NULL AND (t.status = 'completed' OR t.due_date < CURRENT_DATE)) AS due,
+      COUNT(*) FILTER (WHERE t.status = 'completed' AND t.due_date IS NOT NULL AND t.completed_at::DATE <= t.due_date) AS on_time
+    FROM tasks t
+    WHERE t.assigned_to IN (SELECT id FROM staff)
+      AND COALESCE(t.due_date, t.created_at::DATE) BETWEEN start_date AND end_date
+    GROUP BY 1
+  ),
+  sales_stats AS (
+    SELECT
+      (o.metadata->>'staff_id')::UUID AS employee_id,
+      COUNT(*) AS order_count,
+      SUM(o.total * COALESCE(x.rate, 1)) AS sales,
+      BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+    FROM orders o
+    INNER JOIN branches br ON br.id = o.branch_id
+    LEFT JOIN LATERAL (
+      SELECT CASE
+        WHEN target_currency IS NULL THEN 1
+        ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+      END AS rate
+    ) x ON true
+    WHERE br.brand_id = brand_uuid
+      AND o.status = 'completed'
+      AND o.business_date BETWEEN start_date AND end_date
+      AND o.metadata->>'staff_id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    GROUP BY 1
+  ),
+  shift_stats AS (
+    SELECT
+      s.employee_id,
+      COUNT(*) AS scheduled,
+      COUNT(a.id) AS attended,
+      COUNT(a.id) FILTER (WHERE a.clock_in > sh.starts_at + INTERVAL '5 minutes') AS late,
+      MODE() WITHIN GROUP (ORDER BY s.branch_id) AS primary_branch_id
+    FROM shifts s
+    INNER JOIN rosters r ON r.id = s.roster_id AND r.status = 'published'
+    INNER JOIN branches br ON br.id = s.branch_id
+    LEFT JOIN brands b ON b.id = br.brand_id
+    CROSS JOIN LATERAL (
+      SELECT (s.shift_date + s.start_time) AT TIME ZONE COALESCE(br.timezone, b.timezone, 'Asia/Riyadh') AS starts_at
+    ) sh
+    LEFT JOIN LATERAL (
+      SELECT ar.id, ar.clock_in
+      FROM attendance_records ar
+      WHERE ar.shift_id = s.id
+      ORDER BY ar.clock_in
+      LIMIT 1
+    ) a ON true
+    WHERE s.employee_id IN (SELECT id FROM staff)
+      AND s.shift_date BETWEEN start_date AND end_date
+      AND sh.starts_at <= NOW()
+    GROUP BY 1
+  ),
+  review_stats AS (
+    SELECT
+      pr.employee_id,
+      COUNT(*) AS review_count,
+      AVG(pr.rating) AS average_rating
+    FROM performance_reviews pr
+    WHERE pr.brand_id = brand_uuid
+      AND pr.review_date BETWEEN start_date AND end_date
+    GROUP BY 1
+  )
+  SELECT
+    st.id AS employee_id,
+    st.full_name,
+    st.email,
+    st.role,
+    ss.primary_branch_id,
+    COALESCE(ts.assigned, 0),
+    COALESCE(ts.completed, 0),
+    COALESCE(ts.due, 0),
+    COALESCE(ts.on_time, 0),
+    COALESCE(sa.order_count, 0),
+    COALESCE(sa.sales, 0),
+    COALESCE(sa.missing_rate, false),
+    COALESCE(ss.scheduled, 0),
+    COALESCE(ss.attended, 0),
+    COALESCE(ss.late, 0),
+    COALESCE(rs.review_count, 0),
+    rs.average_rating
+  FROM staff st
+  LEFT JOIN task_stats ts ON ts.employee_id = st.id
+  LEFT JOIN sales_stats sa ON sa.employee_id = st.id
+  LEFT JOIN shift_stats ss ON ss.employee_id = st.id
+  LEFT JOIN review_stats rs ON rs.employee_id = st.id
+  ORDER BY st.full_name;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_employee_performance_inputs(UUID, DATE, DATE, TEXT) TO authenticated;
+
+-- ============================================================================
+-- 6. SHIFT ATTENDANCE RPC
+-- ============================================================================
+
+-- Record (or replace) the manual clock-in/out of a shift from wall-clock
+-- times in the branch's timezone; a clock-out at or before the clock-in is
+-- taken as the next day. NULL clock-in clears the record.
+CREATE OR REPLACE FUNCTION record_shift_attendance(
+  shift_uuid UUID,
+  clock_in_time TIME,
+  clock_out_time TIME DEFAULT NULL
+)
+RETURNS attendance_records AS $$
+DECLARE
+  target RECORD;
+  tz TEXT;
+  saved attendance_records;
+BEGIN
+  SELECT s.id, s.employee_id, s.branch_id, s.shift_date, br.brand_id, br.timezone AS branch_tz, b.timezone AS brand_tz
+  INTO target
+  FROM shifts s
+  INNER JOIN branches br ON br.id = s.branch_id
+  LEFT JOIN brands b ON b.id = br.brand_id
+  WHERE s.id = shift_uuid;
+
+  IF target.id IS NULL THEN
+    RAISE EXCEPTION 'Shift not found';
+  END IF;
+  IF target.employee_id IS NULL THEN
+    RAISE EXCEPTION 'Cannot record attendance for an open shift';
+  END IF;
+
+  DELETE FROM attendance_records WHERE shift_id = shift_uuid AND source = 'manual';
+
+  IF clock_in_time IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  tz := COALESCE(target.branch_tz, target.brand_tz, 'Asia/Riyadh');
+
+  INSERT INTO attendance_records (brand_id, branch_id, employee_id, shift_id, clock_in, clock_out, source)
+  VALUES (
+    target.brand_id,
+    target.branch_id,
+    target.employee_id,
+    shift_uuid,
+    (target.shift_date + clock_in_time) AT TIME ZONE tz,
+    CASE
+      WHEN clock_out_time IS NULL THEN NULL
+      WHEN clock_out_time <= clock_in_time THEN (target.shift_date + 1 + clock_out_time) AT TIME ZONE tz
+      ELSE (target.shift_date + clock_out_time) AT TIME ZONE tz
+    END,
+    'manual'
+  )
+  RETURNING * INTO saved;
+
+  RETURN saved;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION record_shift_attendance(UUID, TIME, TIME) TO authenticated;
+
+COMMENT ON TABLE attendance_records IS 'Clock-in/out records, linked to the shift they cover';
+COMMENT ON TABLE performance_reviews IS 'Manager ratings (1-5) of employees';
+COMMENT ON TABLE employee_performance_scores IS 'Weighted employee scores recorded per period';
+COMMENT ON FUNCTION get_employee_performance_inputs IS 'Per-employee task, sales, attendance and review inputs for scoring';
+COMMENT ON FUNCTION record_shift_attendance IS 'Record manual clock-in/out for a shift from branch-local times';
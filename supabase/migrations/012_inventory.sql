@@ -0,0 +1,362 @@
+-- Migration 012: Inventory Ledger
+-- Every stock change is a row in inventory_movements (receipts, sales, waste,
+-- transfers between branches and stock count adjustments). Movements keep
+-- per-branch on-hand quantities in inventory_levels and the product total in
+-- products.stock_quantity. Order items decrement stock as they are inserted.
+-- Stock is valued at products.cost, a moving average updated by receipts,
+-- in the currency of the branch holding it. Everyone working for the brand
+-- (owner, staff and active team members) shares its inventory.
+
+-- ============================================================================
+-- 1. BRAND ACCESS
+-- ============================================================================
+
+-- The brand the current user works for: their own, the one their profile
+-- belongs to, or the one of an owner who invited them to the team
+CREATE OR REPLACE FUNCTION current_brand_id()
+RETURNS UUID AS $$
+  SELECT COALESCE(
+    (SELECT id FROM brands WHERE user_id = auth.uid() LIMIT 1),
+    (SELECT brand_id FROM user_profiles WHERE id = auth.uid()),
+    (
+      SELECT b.id
+      FROM team_members tm
+      INNER JOIN brands b ON b.user_id = tm.owner_id
+      WHERE tm.member_id = auth.uid()
+        AND tm.status = 'active'
+      ORDER BY tm.created_at
+      LIMIT 1
+    )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The brand a product belongs to: its branch's brand, or for shared products
+-- the brand of the user who created it
+CREATE OR REPLACE FUNCTION product_brand_id(product_uuid UUID)
+RETURNS UUID AS $$
+  SELECT COALESCE(br.brand_id, b.id, up.brand_id)
+  FROM products p
+  LEFT JOIN branches br ON br.id = p.branch_id
+  LEFT JOIN brands b ON b.user_id = p.user_id
+  LEFT JOIN user_profiles up ON up.id = p.user_id
+  WHERE p.id = product_uuid
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION current_brand_id() TO authenticated;
+GRANT EXECUTE ON FUNCTION product_brand_id(UUID) TO authenticated;
+
+-- ============================================================================
+-- 2. TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS inventory_levels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+
+  quantity INTEGER NOT NULL DEFAULT 0,
+
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(product_id, branch_id)
+);
+
+CREATE INDEX idx_inventory_levels_brand ON inventory_levels(brand_id);
+CREATE INDEX idx_inventory_levels_branch ON inventory_levels(branch_id);
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  branch_id UUID NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+
+  movement_type TEXT NOT NULL CHECK (movement_type IN (
+    'receive', 'sale', 'waste', 'transfer_in', 'transfer_out', 'adjustment'
+  )),
+  quantity INTEGER NOT NULL, -- signed: positive adds stock, negative removes it
+  unit_cost DECIMAL(10, 2) CHECK (unit_cost >= 0), -- purchase cost for receipts
+
+  -- References
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  order_item_id UUID REFERENCES order_items(id) ON DELETE SET NULL,
+  transfer_id UUID, -- pairs the two sides of a transfer
+
+  reason TEXT, -- waste reason, count note, supplier
+  notes TEXT,
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT movement_quantity_sign CHECK (
+    (movement_type IN ('receive', 'transfer_in') AND quantity > 0) OR
+    (movement_type IN ('sale', 'waste', 'transfer_out') AND quantity < 0) OR
+    (movement_type = 'adjustment' AND quantity <> 0)
+  )
+);
+
+CREATE INDEX idx_inventory_movements_product ON inventory_movements(product_id, created_at DESC);
+CREATE INDEX idx_inventory_movements_branch ON inventory_movements(branch_id, created_at DESC);
+CREATE INDEX idx_inventory_movements_order ON inventory_movements(order_id);
+CREATE INDEX idx_inventory_movements_transfer ON inventory_movements(transfer_id);
+
+-- Opening balances: stock already on branch products becomes that branch's level.
+-- Shared products (no branch) keep their total until stock is received or counted.
+INSERT INTO inventory_levels (brand_id, product_id, branch_id, quantity)
+SELECT br.brand_id, p.id, p.branch_id, COALESCE(p.stock_quantity, 0)
+FROM products p
+INNER JOIN branches br ON br.id = p.branch_id
+WHERE br.brand_id IS NOT NULL
+ON CONFLICT (product_id, branch_id) DO NOTHING;
+
+-- ============================================================================
+-- 3. APPLYING MOVEMENTS
+-- ============================================================================
+
+-- Move the branch level and product total by each new movement; receipts with
+-- a unit cost roll products.cost into a moving average over stock on hand.
+-- Branch and product are checked here because team members cannot read
+-- them, and the updates below run as definer.
+CREATE OR REPLACE FUNCTION apply_inventory_movement()
+RETURNS TRIGGER AS $$
+DECLARE
+  on_hand INTEGER;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM branches WHERE id = NEW.branch_id AND brand_id = NEW.brand_id) THEN
+    RAISE EXCEPTION 'Branch does not belong to the brand';
+  END IF;
+  IF product_brand_id(NEW.product_id) IS DISTINCT FROM NEW.brand_id THEN
+    RAISE EXCEPTION 'Product does not belong to the brand';
+  END IF;
+
+  IF NEW.movement_type = 'receive' AND NEW.unit_cost IS NOT NULL THEN
+    SELECT GREATEST(COALESCE(stock_quantity, 0), 0) INTO on_hand FROM products WHERE id = NEW.product_id;
+
+    UPDATE products
+    SET cost = ROUND((COALESCE(cost, NEW.unit_cost) * on_hand + NEW.unit_cost * NEW.quantity) / (on_hand + NEW.quantity), 2)
+    WHERE id = NEW.product_id;
+  END IF;
+
+  INSERT INTO inventory_levels (brand_id, product_id, branch_id, quantity)
+  VALUES (NEW.brand_id, NEW.product_id, NEW.branch_id, NEW.quantity)
+  ON CONFLICT (product_id, branch_id)
+  DO UPDATE SET quantity = inventory_levels.quantity + EXCLUDED.quantity, updated_at = NOW();
+
+  UPDATE products
+  SET stock_quantity = COALESCE(stock_quantity, 0) + NEW.quantity
+  WHERE id = NEW.product_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER apply_inventory_movements
+  AFTER INSERT ON inventory_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_inventory_movement();
+
+-- Sold items leave stock at the order's branch (cancelled orders excepted).
+-- Products of another brand are not tracked.
+CREATE OR REPLACE FUNCTION record_order_item_sale()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.product_id IS NULL OR COALESCE(NEW.quantity, 0) <= 0 THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO inventory_movements (brand_id, product_id, branch_id, movement_type, quantity, order_id, order_item_id, created_by)
+  SELECT br.brand_id, NEW.product_id, o.branch_id, 'sale', -NEW.quantity, o.id, NEW.id, auth.uid()
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  WHERE o.id = NEW.order_id
+    AND o.status <> 'cancelled'
+    AND br.brand_id IS NOT NULL
+    AND product_brand_id(NEW.product_id) = br.brand_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER record_order_item_sales
+  AFTER INSERT ON order_items
+  FOR EACH ROW
+  EXECUTE FUNCTION record_order_item_sale();
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE inventory_levels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_movements ENABLE ROW LEVEL SECURITY;
+
+-- Levels are only written by the movement trigger
+CREATE POLICY inventory_levels_select_brand ON inventory_levels
+  FOR SELECT
+  USING (brand_id = current_brand_id());
+
+-- The ledger is append-only: mistakes are corrected with a new movement
+CREATE POLICY inventory_movements_select_brand ON inventory_movements
+  FOR SELECT
+  USING (brand_id = current_brand_id());
+
+CREATE POLICY inventory_movements_insert_brand ON inventory_movements
+  FOR INSERT
+  WITH CHECK (brand_id = current_brand_id() AND product_brand_id(product_id) = brand_id);
+
+-- ============================================================================
+-- 5. TRANSFERS & STOCK COUNTS
+-- ============================================================================
+
+-- Transfers and counts run as definer so team members, who cannot read
+-- branches or products, can use them for branches and products of their brand
+
+-- Move stock between two branches of the same brand as a paired movement
+CREATE OR REPLACE FUNCTION transfer_stock(
+  product_uuid UUID,
+  from_branch UUID,
+  to_branch UUID,
+  transfer_quantity INTEGER,
+  transfer_notes TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  brand UUID;
+  transfer UUID := gen_random_uuid();
+BEGIN
+  IF transfer_quantity <= 0 THEN
+    RAISE EXCEPTION 'Transfer quantity must be positive';
+  END IF;
+  IF from_branch = to_branch THEN
+    RAISE EXCEPTION 'Pick two different branches';
+  END IF;
+
+  SELECT br.brand_id INTO brand FROM branches br WHERE br.id = from_branch AND br.brand_id = current_brand_id();
+  IF brand IS NULL THEN
+    RAISE EXCEPTION 'Branch not found';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM branches WHERE id = to_branch AND brand_id = brand) THEN
+    RAISE EXCEPTION 'Branches belong to different brands';
+  END IF;
+
+  IF product_brand_id(product_uuid) IS DISTINCT FROM brand THEN
+    RAISE EXCEPTION 'Product not found';
+  END IF;
+
+  INSERT INTO inventory_movements (brand_id, product_id, branch_id, movement_type, quantity, transfer_id, notes, created_by)
+  VALUES
+    (brand, product_uuid, from_branch, 'transfer_out', -transfer_quantity, transfer, transfer_notes, auth.uid()),
+    (brand, product_uuid, to_branch, 'transfer_in', transfer_quantity, transfer, transfer_notes, auth.uid());
+
+  RETURN transfer;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Set a branch's on-hand quantity from a physical count; the difference is
+-- recorded as an adjustment. Returns the adjustment (0 when the count matches).
+CREATE OR REPLACE FUNCTION record_stock_count(
+  product_uuid UUID,
+  branch_uuid UUID,
+  counted_quantity INTEGER,
+  count_notes TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  current_quantity INTEGER;
+  difference INTEGER;
+BEGIN
+  IF counted_quantity < 0 THEN
+    RAISE EXCEPTION 'Counted quantity cannot be negative';
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM branches WHERE id = branch_uuid AND brand_id = current_brand_id()) THEN
+    RAISE EXCEPTION 'Branch not found';
+  END IF;
+  IF product_brand_id(product_uuid) IS DISTINCT FROM current_brand_id() THEN
+    RAISE EXCEPTION 'Product not found';
+  END IF;
+
+  SELECT COALESCE(
+    (SELECT quantity FROM inventory_levels WHERE product_id = product_uuid AND branch_id = branch_uuid),
+    0
+  ) INTO current_quantity;
+
+  difference := counted_quantity - current_quantity;
+
+  IF difference <> 0 THEN
+    INSERT INTO inventory_movements (brand_id, product_id, branch_id, movement_type, quantity, reason, notes, created_by)
+    SELECT br.brand_id, product_uuid, branch_uuid, 'adjustment', difference, 'stock_count', count_notes, auth.uid()
+    FROM branches br
+    WHERE br.id = branch_uuid;
+  END IF;
+
+  RETURN difference;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION transfer_stock(UUID, UUID, UUID, INTEGER, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION record_stock_count(UUID, UUID, INTEGER, TEXT) TO authenticated;
+
+-- ============================================================================
+-- 6. STOCK STATUS & VALUATION RPC
+-- ============================================================================
+
+-- On-hand stock per product and branch with its value at current cost,
+-- converted into target_currency at today's rate when given. Runs as definer
+-- for team members, limited to the caller's brand.
+CREATE OR REPLACE FUNCTION get_inventory_status(
+  brand_uuid UUID,
+  branch_uuid UUID DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  sku TEXT,
+  category_id UUID,
+  branch_id UUID,
+  quantity INTEGER,
+  low_stock_threshold INTEGER,
+  is_low_stock BOOLEAN,
+  unit_cost DECIMAL,
+  currency TEXT,
+  stock_value DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.sku,
+    p.category_id,
+    l.branch_id,
+    l.quantity,
+    p.low_stock_threshold,
+    l.quantity <= COALESCE(p.low_stock_threshold, 0),
+    ROUND(COALESCE(p.cost, 0) * COALESCE(x.rate, 1), 2),
+    CASE WHEN target_currency IS NULL OR x.rate IS NULL THEN br.currency ELSE target_currency END,
+    ROUND(GREATEST(l.quantity, 0) * COALESCE(p.cost, 0) * COALESCE(x.rate, 1), 2),
+    x.rate IS NULL
+  FROM inventory_levels l
+  INNER JOIN products p ON p.id = l.product_id
+  INNER JOIN branches br ON br.id = l.branch_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, CURRENT_DATE)
+    END AS rate
+  ) x ON true
+  WHERE l.brand_id = brand_uuid
+    AND l.brand_id = current_brand_id()
+    AND (branch_uuid IS NULL OR l.branch_id = branch_uuid)
+    AND p.is_active
+  ORDER BY p.name, br.name;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_inventory_status(UUID, UUID, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION current_brand_id IS 'Brand the current user owns, belongs to or is a team member of';
+COMMENT ON FUNCTION product_brand_id IS 'Brand a product belongs to, through its branch or its creator';
+COMMENT ON TABLE inventory_levels IS 'On-hand quantity per product and branch, maintained from inventory_movements';
+COMMENT ON TABLE inventory_movements IS 'Append-only stock ledger: receipts, sales, waste, transfers and count adjustments';
+COMMENT ON FUNCTION transfer_stock IS 'Move stock between two branches of a brand';
+COMMENT ON FUNCTION record_stock_count IS 'Adjust a branch level to a physical count';
+COMMENT ON FUNCTION get_inventory_status IS 'Stock on hand, low-stock flags and valuation per product and branch';
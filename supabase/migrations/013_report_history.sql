@@ -0,0 +1,75 @@
+-- Migration 013: Report History
+-- Generated reports are tracked in the reports table and shared by everyone
+-- working for the brand (owner, staff and active team members). The report
+-- snapshot is stored in the private "reports" Storage bucket under
+-- <brand_id>/<report_id>.<ext>. Rows past expires_at are hidden by the API
+-- and purged together with their files. Brand access goes through
+-- current_brand_id() from the inventory migration (012).
+
+-- ============================================================================
+-- 1. REPORTS TABLE
+-- ============================================================================
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS brand_id UUID REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE reports r
+SET brand_id = b.id
+FROM brands b
+WHERE r.brand_id IS NULL
+  AND b.user_id = r.user_id;
+
+-- report_type now holds the report registry id (sales_summary, financial_pnl, ...)
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_report_type_check;
+
+CREATE INDEX IF NOT EXISTS idx_reports_brand_id ON reports(brand_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_expires_at ON reports(expires_at);
+
+CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================================================
+
+DROP POLICY IF EXISTS reports_select ON reports;
+DROP POLICY IF EXISTS reports_insert ON reports;
+
+CREATE POLICY reports_select_brand ON reports
+  FOR SELECT
+  USING (brand_id = current_brand_id() OR auth.uid() = user_id);
+
+CREATE POLICY reports_insert_brand ON reports
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id AND brand_id = current_brand_id());
+
+CREATE POLICY reports_update_brand ON reports
+  FOR UPDATE
+  USING (brand_id = current_brand_id());
+
+CREATE POLICY reports_delete_brand ON reports
+  FOR DELETE
+  USING (brand_id = current_brand_id());
+
+-- ============================================================================
+-- 3. STORAGE
+-- ============================================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('reports', 'reports', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY reports_files_select ON storage.objects
+  FOR SELECT
+  USING (bucket_id = 'reports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+CREATE POLICY reports_files_insert ON storage.objects
+  FOR INSERT
+  WITH CHECK (bucket_id = 'reports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+CREATE POLICY reports_files_delete ON storage.objects
+  FOR DELETE
+  USING (bucket_id = 'reports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+COMMENT ON COLUMN reports.brand_id IS 'Brand the report belongs to; shared with everyone working for it';
+COMMENT ON COLUMN reports.file_url IS 'Storage path of the report snapshot in the reports bucket';
@@ -0,0 +1,201 @@
+-- Migration 014: Report Schedules
+-- Recurring report runs (daily, weekly or monthly at a local time) for a
+-- brand or a single branch. A runner - the run-report-schedules Edge
+-- Function or scripts/run-report-schedules.js - claims due schedules with
+-- the service role, stores each report in the history and notifies the
+-- recipients in-app with a link to the file.
+
+-- ============================================================================
+-- 1. SCHEDULES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS report_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+  branch_id UUID REFERENCES branches(id) ON DELETE CASCADE, -- NULL = whole brand
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+
+  name TEXT NOT NULL,
+  -- Report registry ids the runner can build server-side
+  report_type TEXT NOT NULL CHECK (report_type IN ('sales_summary', 'branch_comparison', 'financial_pnl')),
+  report_format TEXT NOT NULL DEFAULT 'pdf' CHECK (report_format IN ('pdf', 'excel', 'csv', 'json')),
+
+  -- Cadence, in the schedule's timezone. Daily reports cover the previous
+  -- business day, weekly the previous 7 days, monthly the previous month.
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),   -- weekly, 0 = Sunday
+  day_of_month SMALLINT CHECK (day_of_month BETWEEN 1 AND 28), -- monthly
+  run_at TIME NOT NULL DEFAULT '07:00',
+  timezone TEXT NOT NULL DEFAULT 'Asia/Riyadh',
+
+  recipients UUID[] NOT NULL DEFAULT '{}', -- brand members notified in-app
+
+  is_active BOOLEAN DEFAULT true,
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_status TEXT CHECK (last_status IN ('completed', 'failed')),
+  last_error TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CHECK (frequency <> 'weekly' OR day_of_week IS NOT NULL),
+  CHECK (frequency <> 'monthly' OR day_of_month IS NOT NULL)
+);
+
+CREATE INDEX idx_report_schedules_brand ON report_schedules(brand_id);
+CREATE INDEX idx_report_schedules_due ON report_schedules(next_run_at) WHERE is_active;
+
+CREATE TRIGGER update_report_schedules_updated_at BEFORE UPDATE ON report_schedules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES report_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_schedule_id ON reports(schedule_id);
+
+-- ============================================================================
+-- 2. NEXT RUN
+-- ============================================================================
+
+-- First run strictly after `after`, at run_at local time on a matching day
+CREATE OR REPLACE FUNCTION report_schedule_next_run(
+  schedule_frequency TEXT,
+  schedule_day_of_week SMALLINT,
+  schedule_day_of_month SMALLINT,
+  schedule_run_at TIME,
+  schedule_timezone TEXT,
+  after TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  local_after TIMESTAMP := after AT TIME ZONE schedule_timezone;
+  day DATE := (after AT TIME ZONE schedule_timezone)::DATE;
+BEGIN
+  -- A monthly day is at most ~31 days away
+  FOR i IN 0..62 LOOP
+    IF schedule_frequency = 'daily'
+      OR (schedule_frequency = 'weekly' AND EXTRACT(DOW FROM day) = schedule_day_of_week)
+      OR (schedule_frequency = 'monthly' AND EXTRACT(DAY FROM day) = schedule_day_of_month)
+    THEN
+      IF day + schedule_run_at > local_after THEN
+        RETURN (day + schedule_run_at) AT TIME ZONE schedule_timezone;
+      END IF;
+    END IF;
+    day := day + 1;
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION set_report_schedule_next_run()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+    OR NEW.next_run_at IS NULL
+    OR NEW.frequency IS DISTINCT FROM OLD.frequency
+    OR NEW.day_of_week IS DISTINCT FROM OLD.day_of_week
+    OR NEW.day_of_month IS DISTINCT FROM OLD.day_of_month
+    OR NEW.run_at IS DISTINCT FROM OLD.run_at
+    OR NEW.timezone IS DISTINCT FROM OLD.timezone
+    OR (NEW.is_active AND NOT OLD.is_active)
+  THEN
+    NEW.next_run_at := report_schedule_next_run(
+      NEW.frequency, NEW.day_of_week, NEW.day_of_month, NEW.run_at, NEW.timezone, NOW()
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER report_schedules_next_run
+  BEFORE INSERT OR UPDATE ON report_schedules
+  FOR EACH ROW EXECUTE FUNCTION set_report_schedule_next_run();
+
+-- ============================================================================
+-- 3. RECIPIENTS
+-- ============================================================================
+
+-- Users of a brand: its owner, staff linked through user_profiles.brand_id
+-- and the owner's active team members
+CREATE OR REPLACE FUNCTION brand_member_ids(brand_uuid UUID)
+RETURNS SETOF UUID AS $$
+  SELECT user_id FROM brands WHERE id = brand_uuid
+  UNION
+  SELECT id FROM user_profiles WHERE brand_id = brand_uuid
+  UNION
+  SELECT tm.member_id
+  FROM team_members tm
+  INNER JOIN brands b ON b.user_id = tm.owner_id
+  WHERE b.id = brand_uuid
+    AND tm.status = 'active';
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Reports are only delivered inside the brand
+CREATE OR REPLACE FUNCTION check_report_schedule_recipients()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM unnest(NEW.recipients) AS recipient
+    WHERE recipient NOT IN (SELECT brand_member_ids(NEW.brand_id))
+  ) THEN
+    RAISE EXCEPTION 'Recipients must be members of the brand';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER report_schedules_recipients
+  BEFORE INSERT OR UPDATE OF recipients, brand_id ON report_schedules
+  FOR EACH ROW EXECUTE FUNCTION check_report_schedule_recipients();
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE report_schedules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY report_schedules_manage_brand ON report_schedules
+  FOR ALL
+  USING (brand_id = current_brand_id())
+  WITH CHECK (
+    brand_id = current_brand_id()
+    AND (branch_id IS NULL OR branch_id IN (SELECT id FROM branches WHERE brand_id = report_schedules.brand_id))
+  );
+
+-- ============================================================================
+-- 5. RUNNER
+-- ============================================================================
+
+-- Claim due schedules and move them to their next run, so overlapping
+-- runners never produce the same report twice
+CREATE OR REPLACE FUNCTION claim_due_report_schedules(max_rows INTEGER DEFAULT 20)
+RETURNS SETOF report_schedules AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE report_schedules s
+  SET
+    next_run_at = report_schedule_next_run(s.frequency, s.day_of_week, s.day_of_month, s.run_at, s.timezone, NOW()),
+    last_run_at = NOW()
+  WHERE s.id IN (
+    SELECT id
+    FROM report_schedules
+    WHERE is_active AND next_run_at <= NOW()
+    ORDER BY next_run_at
+    LIMIT max_rows
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING s.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_due_report_schedules(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_due_report_schedules(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION report_schedule_next_run(TEXT, SMALLINT, SMALLINT, TIME, TEXT, TIMESTAMPTZ) TO authenticated;
+REVOKE EXECUTE ON FUNCTION brand_member_ids(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION brand_member_ids(UUID) TO service_role;
+
+COMMENT ON TABLE report_schedules IS 'Recurring report runs delivered to the history and as in-app notifications';
+COMMENT ON COLUMN reports.schedule_id IS 'Schedule that produced the report (NULL = generated by hand)';
+COMMENT ON FUNCTION report_schedule_next_run IS 'Next run time of a daily, weekly or monthly schedule in its timezone';
+COMMENT ON FUNCTION brand_member_ids IS 'Users of a brand: owner, linked staff and active team members (service role only)';
+COMMENT ON FUNCTION claim_due_report_schedules IS 'Claim due report schedules for the runner and advance them (service role only)';
@@ -0,0 +1,220 @@
+-- Migration 015: Data Imports
+-- Bulk import of historical orders (with their items) and products from
+-- CSV/XLSX exports. The validated records of an import batch are stored in
+-- the private "imports" Storage bucket and applied in chunks with
+-- apply_import_chunk(), which records progress in the same transaction, so
+-- an interrupted import resumes where it stopped. Every imported row keeps
+-- its batch id and undo_import_batch() removes the whole batch.
+
+-- ============================================================================
+-- 1. IMPORT BATCHES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+
+  entity TEXT NOT NULL CHECK (entity IN ('orders', 'products')),
+  file_name TEXT NOT NULL,
+  mapping JSONB NOT NULL DEFAULT '{}', -- field -> source column, kept for reference
+  payload_path TEXT,                   -- validated records in the imports bucket
+
+  -- Progress, in records (orders or products), not file rows
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  skipped_rows INTEGER NOT NULL DEFAULT 0, -- file rows left out because they failed validation
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'importing', 'completed', 'failed', 'undone')),
+  error TEXT,
+
+  completed_at TIMESTAMPTZ,
+  undone_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_import_batches_brand ON import_batches(brand_id, created_at DESC);
+
+CREATE TRIGGER update_import_batches_updated_at BEFORE UPDATE ON import_batches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_import_batch ON orders(import_batch_id) WHERE import_batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_products_import_batch ON products(import_batch_id) WHERE import_batch_id IS NOT NULL;
+
+-- ============================================================================
+-- 2. STOCK
+-- ============================================================================
+
+-- Historical orders were sold long before today's stock was counted, so
+-- imported items do not move stock (otherwise as in migration 012)
+CREATE OR REPLACE FUNCTION record_order_item_sale()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.product_id IS NULL OR COALESCE(NEW.quantity, 0) <= 0 THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO inventory_movements (brand_id, product_id, branch_id, movement_type, quantity, order_id, order_item_id, created_by)
+  SELECT br.brand_id, NEW.product_id, o.branch_id, 'sale', -NEW.quantity, o.id, NEW.id, auth.uid()
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  WHERE o.id = NEW.order_id
+    AND o.status <> 'cancelled'
+    AND o.import_batch_id IS NULL
+    AND br.brand_id IS NOT NULL;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- 3. APPLY AND UNDO
+-- ============================================================================
+
+-- Insert one chunk of validated records and advance the batch to next_row.
+-- Runs with the caller's rights, so the usual orders/products policies
+-- apply. A chunk the batch has already passed is ignored, which makes
+-- retrying after a lost response safe.
+CREATE OR REPLACE FUNCTION apply_import_chunk(batch_uuid UUID, chunk JSONB, next_row INTEGER)
+RETURNS import_batches AS $$
+DECLARE
+  batch import_batches;
+BEGIN
+  SELECT * INTO batch FROM import_batches WHERE id = batch_uuid FOR UPDATE;
+
+  IF batch.id IS NULL THEN
+    RAISE EXCEPTION 'Import batch % not found', batch_uuid;
+  END IF;
+  IF batch.status IN ('completed', 'undone') THEN
+    RAISE EXCEPTION 'Import batch is already %', batch.status;
+  END IF;
+  IF next_row <= batch.processed_rows THEN
+    RETURN batch;
+  END IF;
+
+  IF batch.entity = 'products' THEN
+    INSERT INTO products (user_id, branch_id, name, sku, description, price, cost, low_stock_threshold, import_batch_id)
+    SELECT auth.uid(), r.branch_id, r.name, r.sku, r.description, r.price, r.cost, COALESCE(r.low_stock_threshold, 10), batch.id
+    FROM jsonb_to_recordset(chunk) AS r(
+      branch_id UUID, name TEXT, sku TEXT, description TEXT,
+      price DECIMAL, cost DECIMAL, low_stock_threshold INTEGER
+    );
+  ELSE
+    WITH source AS (
+      SELECT *
+      FROM jsonb_to_recordset(chunk) AS r(
+        order_number TEXT, branch_id UUID, order_date DATE, order_time TIME,
+        customer_name TEXT, customer_phone TEXT, customer_email TEXT,
+        subtotal DECIMAL, tax DECIMAL, discount DECIMAL, total DECIMAL,
+        payment_method TEXT, payment_status TEXT, status TEXT, notes TEXT,
+        items JSONB
+      )
+    ),
+    inserted AS (
+      INSERT INTO orders (
+        user_id, branch_id, order_number, order_date, order_time,
+        customer_name, customer_phone, customer_email,
+        subtotal, tax, discount, total,
+        payment_method, payment_status, status, notes,
+        metadata, import_batch_id
+      )
+      SELECT
+        auth.uid(), s.branch_id, s.order_number, s.order_date, COALESCE(s.order_time, '00:00'),
+        s.customer_name, s.customer_phone, s.customer_email,
+        s.subtotal, COALESCE(s.tax, 0), COALESCE(s.discount, 0), s.total,
+        s.payment_method, COALESCE(s.payment_status, 'completed'), COALESCE(s.status, 'completed'), s.notes,
+        jsonb_build_object('source', 'import'), batch.id
+      FROM source s
+      RETURNING id, order_number
+    )
+    INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, subtotal)
+    SELECT i.id, item.product_id, item.product_name, item.quantity, item.unit_price, item.subtotal
+    FROM inserted i
+    INNER JOIN source s ON s.order_number = i.order_number
+    CROSS JOIN LATERAL jsonb_to_recordset(COALESCE(s.items, '[]'::JSONB)) AS item(
+      product_id UUID, product_name TEXT, quantity INTEGER, unit_price DECIMAL, subtotal DECIMAL
+    );
+  END IF;
+
+  UPDATE import_batches
+  SET
+    processed_rows = LEAST(next_row, total_rows),
+    status = CASE WHEN next_row >= total_rows THEN 'completed' ELSE 'importing' END,
+    completed_at = CASE WHEN next_row >= total_rows THEN NOW() ELSE NULL END,
+    error = NULL
+  WHERE id = batch.id
+  RETURNING * INTO batch;
+
+  RETURN batch;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Remove everything a batch inserted; order items go with their orders
+CREATE OR REPLACE FUNCTION undo_import_batch(batch_uuid UUID)
+RETURNS import_batches AS $$
+DECLARE
+  batch import_batches;
+BEGIN
+  SELECT * INTO batch FROM import_batches WHERE id = batch_uuid FOR UPDATE;
+
+  IF batch.id IS NULL THEN
+    RAISE EXCEPTION 'Import batch % not found', batch_uuid;
+  END IF;
+  IF batch.status = 'undone' THEN
+    RETURN batch;
+  END IF;
+
+  DELETE FROM orders WHERE import_batch_id = batch.id;
+  DELETE FROM products WHERE import_batch_id = batch.id;
+
+  UPDATE import_batches
+  SET status = 'undone', undone_at = NOW(), error = NULL
+  WHERE id = batch.id
+  RETURNING * INTO batch;
+
+  RETURN batch;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION apply_import_chunk(UUID, JSONB, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION undo_import_batch(UUID) TO authenticated;
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY import_batches_manage_brand ON import_batches
+  FOR ALL
+  USING (brand_id = current_brand_id())
+  WITH CHECK (brand_id = current_brand_id());
+
+-- ============================================================================
+-- 5. STORAGE
+-- ============================================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('imports', 'imports', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY imports_files_select ON storage.objects
+  FOR SELECT
+  USING (bucket_id = 'imports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+CREATE POLICY imports_files_insert ON storage.objects
+  FOR INSERT
+  WITH CHECK (bucket_id = 'imports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+CREATE POLICY imports_files_delete ON storage.objects
+  FOR DELETE
+  USING (bucket_id = 'imports' AND (storage.foldername(name))[1] = current_brand_id()::text);
+
+COMMENT ON TABLE import_batches IS 'Bulk imports of historical orders or products; undone as a whole';
+COMMENT ON COLUMN orders.import_batch_id IS 'Import batch the order came from (NULL = recorded in the app)';
+COMMENT ON COLUMN products.import_batch_id IS 'Import batch the product came from (NULL = created in the app)';
+COMMENT ON FUNCTION apply_import_chunk IS 'Insert a chunk of an import batch and record its progress atomically';
+COMMENT ON FUNCTION undo_import_batch IS 'Delete every order and product an import batch inserted';
@@ -0,0 +1,208 @@
+-- Migration 016: POS Integrations
+-- Orders ingested from external POS systems (Foodics, Square, ...). Each
+-- brand registers POS connections; the external locations a connection
+-- reports are mapped to branches, and orders from an unmapped location are
+-- held back until it is mapped. Adapters in the app normalize provider
+-- payloads and ingest_pos_orders() upserts them on order_number, so
+-- delivering the same payload twice changes nothing and a later refund or
+-- void updates the stored order.
+
+-- ============================================================================
+-- 1. CONNECTIONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_connections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+
+  provider TEXT NOT NULL CHECK (provider IN ('foodics', 'square', 'mock')),
+  name TEXT NOT NULL,
+  -- Prepended to the POS order number, keeping order_number unique across sources
+  order_prefix TEXT NOT NULL DEFAULT '',
+  is_active BOOLEAN DEFAULT true,
+
+  last_synced_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_pos_connections_brand ON pos_connections(brand_id);
+
+CREATE TRIGGER update_pos_connections_updated_at BEFORE UPDATE ON pos_connections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. LOCATION MAPPINGS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_location_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  connection_id UUID NOT NULL REFERENCES pos_connections(id) ON DELETE CASCADE,
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+
+  external_location_id TEXT NOT NULL,
+  external_location_name TEXT,
+  branch_id UUID REFERENCES branches(id) ON DELETE SET NULL, -- NULL = not mapped yet, orders are held
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(connection_id, external_location_id)
+);
+
+CREATE INDEX idx_pos_location_mappings_branch ON pos_location_mappings(branch_id) WHERE branch_id IS NOT NULL;
+
+CREATE TRIGGER update_pos_location_mappings_updated_at BEFORE UPDATE ON pos_location_mappings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pos_connection_id UUID REFERENCES pos_connections(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_pos_connection ON orders(pos_connection_id) WHERE pos_connection_id IS NOT NULL;
+
+-- ============================================================================
+-- 3. INGESTION
+-- ============================================================================
+
+-- Upsert a batch of normalized orders for a connection. Runs with the
+-- caller's rights. A new order is inserted with its items; an order the
+-- connection already ingested only has its status, payment and totals
+-- updated (items of a final order do not change). An order number that
+-- belongs to another source is reported as a conflict and left alone, and
+-- one failing order does not stop the rest of the batch.
+CREATE OR REPLACE FUNCTION ingest_pos_orders(connection_uuid UUID, batch JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  connection pos_connections;
+  r RECORD;
+  new_order_id UUID;
+  is_new BOOLEAN;
+  inserted INTEGER := 0;
+  updated INTEGER := 0;
+  unchanged INTEGER := 0;
+  conflicts JSONB := '[]';
+  failed JSONB := '[]';
+BEGIN
+  SELECT * INTO connection FROM pos_connections WHERE id = connection_uuid;
+
+  IF connection.id IS NULL THEN
+    RAISE EXCEPTION 'POS connection % not found', connection_uuid;
+  END IF;
+  IF NOT connection.is_active THEN
+    RAISE EXCEPTION 'POS connection % is not active', connection.name;
+  END IF;
+
+  FOR r IN
+    SELECT *
+    FROM jsonb_to_recordset(batch) AS s(
+      order_number TEXT, branch_id UUID, ordered_at TIMESTAMPTZ,
+      customer_name TEXT, customer_phone TEXT, customer_email TEXT,
+      subtotal DECIMAL, tax DECIMAL, discount DECIMAL, total DECIMAL,
+      payment_method TEXT, payment_status TEXT, status TEXT, notes TEXT,
+      metadata JSONB, items JSONB
+    )
+  LOOP
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pos_location_mappings
+        WHERE connection_id = connection.id AND branch_id = r.branch_id
+      ) THEN
+        RAISE EXCEPTION 'Branch is not mapped to a location of this connection';
+      END IF;
+
+      INSERT INTO orders AS o (
+        user_id, branch_id, order_number, order_date, order_time, ordered_at,
+        customer_name, customer_phone, customer_email,
+        subtotal, tax, discount, total,
+        payment_method, payment_status, status, notes,
+        metadata, pos_connection_id
+      )
+      VALUES (
+        auth.uid(), r.branch_id, r.order_number,
+        (r.ordered_at AT TIME ZONE 'UTC')::DATE, (r.ordered_at AT TIME ZONE 'UTC')::TIME, r.ordered_at,
+        r.customer_name, r.customer_phone, r.customer_email,
+        r.subtotal, COALESCE(r.tax, 0), COALESCE(r.discount, 0), r.total,
+        r.payment_method, r.payment_status, r.status, r.notes,
+        COALESCE(r.metadata, '{}'), connection.id
+      )
+      ON CONFLICT (order_number) DO UPDATE
+      SET
+        status = EXCLUDED.status,
+        payment_status = EXCLUDED.payment_status,
+        payment_method = EXCLUDED.payment_method,
+        subtotal = EXCLUDED.subtotal,
+        tax = EXCLUDED.tax,
+        discount = EXCLUDED.discount,
+        total = EXCLUDED.total,
+        metadata = COALESCE(o.metadata, '{}') || EXCLUDED.metadata,
+        updated_at = NOW()
+      WHERE o.pos_connection_id = EXCLUDED.pos_connection_id
+        AND (
+          o.status, o.payment_status, o.payment_method, o.subtotal, o.tax, o.discount, o.total,
+          COALESCE(o.metadata, '{}') || EXCLUDED.metadata
+        ) IS DISTINCT FROM (
+          EXCLUDED.status, EXCLUDED.payment_status, EXCLUDED.payment_method, EXCLUDED.subtotal,
+          EXCLUDED.tax, EXCLUDED.discount, EXCLUDED.total, COALESCE(o.metadata, '{}')
+        )
+      RETURNING o.id, (o.xmax = 0) INTO new_order_id, is_new;
+
+      IF new_order_id IS NULL THEN
+        -- Nothing written: either already up to date or someone else's order number
+        IF EXISTS (SELECT 1 FROM orders WHERE order_number = r.order_number AND pos_connection_id = connection.id) THEN
+          unchanged := unchanged + 1;
+        ELSE
+          conflicts := conflicts || to_jsonb(r.order_number);
+        END IF;
+      ELSIF is_new THEN
+        INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, subtotal, metadata)
+        SELECT new_order_id, item.product_id, item.product_name, item.quantity, item.unit_price, item.subtotal, COALESCE(item.metadata, '{}')
+        FROM jsonb_to_recordset(COALESCE(r.items, '[]'::JSONB)) AS item(
+          product_id UUID, product_name TEXT, quantity INTEGER, unit_price DECIMAL, subtotal DECIMAL, metadata JSONB
+        );
+        inserted := inserted + 1;
+      ELSE
+        updated := updated + 1;
+      END IF;
+    EXCEPTION WHEN OTHERS THEN
+      failed := failed || jsonb_build_object('order_number', r.order_number, 'error', SQLERRM);
+    END;
+  END LOOP;
+
+  UPDATE pos_connections
+  SET
+    last_synced_at = NOW(),
+    last_error = CASE WHEN jsonb_array_length(failed) > 0 THEN failed->0->>'error' ELSE NULL END
+  WHERE id = connection.id;
+
+  RETURN jsonb_build_object(
+    'inserted', inserted,
+    'updated', updated,
+    'unchanged', unchanged,
+    'conflicts', conflicts,
+    'failed', failed
+  );
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION ingest_pos_orders(UUID, JSONB) TO authenticated;
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE pos_connections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pos_location_mappings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY pos_connections_manage_brand ON pos_connections
+  FOR ALL
+  USING (brand_id = current_brand_id())
+  WITH CHECK (brand_id = current_brand_id());
+
+CREATE POLICY pos_location_mappings_manage_brand ON pos_location_mappings
+  FOR ALL
+  USING (brand_id = current_brand_id())
+  WITH CHECK (brand_id = current_brand_id());
+
+COMMENT ON TABLE pos_connections IS 'External POS systems orders are ingested from';
+COMMENT ON TABLE pos_location_mappings IS 'External POS locations and the branch each one feeds';
+COMMENT ON COLUMN orders.pos_connection_id IS 'POS connection the order was ingested from (NULL = recorded in the app or imported)';
+COMMENT ON FUNCTION ingest_pos_orders IS 'Idempotently upsert normalized POS orders on order_number';
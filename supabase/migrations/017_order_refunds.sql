@@ -0,0 +1,1192 @@
+-- Migration 017: Order Refunds
+-- Refunds and voids become records of their own instead of a status flip:
+-- full or partial, optionally per line item, with a reason code, the staff
+-- member who keyed it and the manager who approved it. Staff key a refund
+-- request; it only becomes a refund once an admin or manager approves it in
+-- their own session. orders.refunded_amount and the order status are kept
+-- in step by triggers.
+--
+-- Revenue is now net of refunds everywhere it is aggregated. A refund
+-- reduces revenue on the business day it was issued (a closed day's sales
+-- never change afterwards); order-level figures such as the heatmap and
+-- staff sales subtract it from the order it belongs to. A void cancels the
+-- order, which already takes it out of revenue, so voids are reported but
+-- not subtracted a second time.
+
+-- ============================================================================
+-- 1. REFUND RECORDS
+-- ============================================================================
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(15, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS order_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  -- Copied from the order on insert, for reporting without the join
+  brand_id UUID REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID REFERENCES branches(id) ON DELETE CASCADE,
+
+  kind TEXT NOT NULL CHECK (kind IN ('refund', 'void')),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  reason_code TEXT NOT NULL DEFAULT 'other' CHECK (reason_code IN (
+    'customer_request', 'wrong_item', 'quality_issue', 'late_delivery',
+    'pricing_error', 'duplicate_charge', 'staff_error', 'other'
+  )),
+  reason_note TEXT,
+
+  refunded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  business_date DATE, -- set from refunded_at by trigger
+
+  requested_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(), -- who keyed it (the cashier)
+  approved_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ,
+
+  source TEXT NOT NULL DEFAULT 'app' CHECK (source IN ('app', 'pos')),
+  external_id TEXT, -- refund id in the POS
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(order_id, external_id),
+  -- Refunds taken in the app always carry an approval; POS refunds were approved at the till
+  CHECK (source = 'pos' OR approved_by IS NOT NULL)
+);
+
+CREATE INDEX idx_order_refunds_order ON order_refunds(order_id);
+CREATE INDEX idx_order_refunds_branch_date ON order_refunds(branch_id, business_date);
+CREATE INDEX idx_order_refunds_requested_by ON order_refunds(requested_by);
+
+CREATE TABLE IF NOT EXISTS order_refund_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  refund_id UUID NOT NULL REFERENCES order_refunds(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  amount DECIMAL(15, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_refund_items_refund ON order_refund_items(refund_id);
+CREATE INDEX idx_order_refund_items_order_item ON order_refund_items(order_item_id);
+
+-- Refunds and voids keyed in the app, waiting for an admin or manager
+CREATE TABLE IF NOT EXISTS order_refund_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  branch_id UUID REFERENCES branches(id) ON DELETE CASCADE,
+
+  -- As passed to record_order_refund; checked again on approval
+  kind TEXT NOT NULL CHECK (kind IN ('refund', 'void')),
+  amount DECIMAL(15, 2) CHECK (amount > 0), -- NULL = the items' share, or everything left
+  items JSONB NOT NULL DEFAULT '[]',
+  reason_code TEXT NOT NULL DEFAULT 'other' CHECK (reason_code IN (
+    'customer_request', 'wrong_item', 'quality_issue', 'late_delivery',
+    'pricing_error', 'duplicate_charge', 'staff_error', 'other'
+  )),
+  reason_note TEXT,
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL DEFAULT auth.uid(),
+  decided_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  decided_at TIMESTAMPTZ,
+  refund_id UUID REFERENCES order_refunds(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_order_refund_requests_pending ON order_refund_requests(brand_id, created_at) WHERE status = 'pending';
+CREATE INDEX idx_order_refund_requests_order ON order_refund_requests(order_id);
+
+-- Branch, brand and business day of a refund come from its order
+CREATE OR REPLACE FUNCTION set_order_refund_context()
+RETURNS TRIGGER AS $$
+DECLARE
+  settings RECORD;
+BEGIN
+  SELECT o.branch_id, br.brand_id INTO NEW.branch_id, NEW.brand_id
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  WHERE o.id = NEW.order_id;
+
+  SELECT * INTO settings FROM branch_day_settings(NEW.branch_id);
+  NEW.business_date := business_date_at(NEW.refunded_at, settings.timezone, settings.day_close_time);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER set_order_refunds_context
+  BEFORE INSERT ON order_refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION set_order_refund_context();
+
+-- A refund adds to the order's refunded amount and marks it refunded once
+-- nothing is left; a void cancels it
+CREATE OR REPLACE FUNCTION apply_order_refund()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.kind = 'void' THEN
+    UPDATE orders
+    SET
+      status = 'cancelled',
+      payment_status = CASE WHEN payment_status = 'completed' THEN 'refunded' ELSE 'failed' END,
+      updated_at = NOW()
+    WHERE id = NEW.order_id;
+  ELSE
+    UPDATE orders
+    SET
+      refunded_amount = refunded_amount + NEW.amount,
+      status = CASE WHEN refunded_amount + NEW.amount >= total THEN 'refunded' ELSE status END,
+      payment_status = CASE WHEN refunded_amount + NEW.amount >= total THEN 'refunded' ELSE payment_status END,
+      updated_at = NOW()
+    WHERE id = NEW.order_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER apply_order_refunds
+  AFTER INSERT ON order_refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_order_refund();
+
+-- ============================================================================
+-- 2. RECORDING REFUNDS
+-- ============================================================================
+
+-- Check a refund or void against what is left of the order and work out
+-- its amount and lines. Without items or an amount, a refund returns
+-- everything not refunded yet; with items, the amount defaults to their
+-- share of the line subtotals.
+CREATE OR REPLACE FUNCTION plan_order_refund(
+  target orders,
+  refund_kind TEXT,
+  refund_amount DECIMAL,
+  refund_items JSONB,
+  OUT refund_total DECIMAL,
+  OUT lines JSONB,
+  OUT full_refund BOOLEAN
+) AS $$
+DECLARE
+  remaining DECIMAL;
+  items_amount DECIMAL;
+BEGIN
+  remaining := target.total - target.refunded_amount;
+  full_refund := false;
+
+  IF refund_kind = 'void' THEN
+    IF target.status NOT IN ('pending', 'processing', 'completed') OR target.refunded_amount > 0 THEN
+      RAISE EXCEPTION 'Only open or completed orders without refunds can be voided (order is %)', target.status;
+    END IF;
+    refund_total := target.total;
+  ELSIF refund_kind = 'refund' THEN
+    IF target.status <> 'completed' THEN
+      RAISE EXCEPTION 'Only completed orders can be refunded (order is %)', target.status;
+    END IF;
+
+    -- Requested lines, checked against what is left of each
+    SELECT
+      COALESCE(jsonb_agg(jsonb_build_object(
+        'order_item_id', oi.id,
+        'quantity', i.quantity,
+        'amount', ROUND(COALESCE(i.amount, oi.subtotal / NULLIF(oi.quantity, 0) * i.quantity), 2)
+      )), '[]'),
+      SUM(ROUND(COALESCE(i.amount, oi.subtotal / NULLIF(oi.quantity, 0) * i.quantity), 2))
+    INTO lines, items_amount
+    FROM jsonb_to_recordset(COALESCE(refund_items, '[]'::JSONB)) AS i(order_item_id UUID, quantity INTEGER, amount DECIMAL)
+    INNER JOIN order_items oi ON oi.id = i.order_item_id AND oi.order_id = target.id
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(ri.quantity), 0) AS refunded
+      FROM order_refund_items ri
+      WHERE ri.order_item_id = oi.id
+    ) done ON true
+    WHERE i.quantity > 0 AND i.quantity <= oi.quantity - done.refunded;
+
+    IF jsonb_array_length(lines) <> jsonb_array_length(COALESCE(refund_items, '[]'::JSONB)) THEN
+      RAISE EXCEPTION 'Some refunded items are not on the order or exceed the quantity left to refund';
+    END IF;
+
+    full_refund := refund_amount IS NULL AND items_amount IS NULL;
+    refund_total := ROUND(COALESCE(refund_amount, items_amount, remaining), 2);
+
+    IF refund_total <= 0 OR refund_total > remaining THEN
+      RAISE EXCEPTION 'Refund amount must be between 0 and the % left on the order', remaining;
+    END IF;
+  ELSE
+    RAISE EXCEPTION 'Unknown refund kind %', refund_kind;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- Admins and managers of the caller's brand approve refunds
+CREATE OR REPLACE FUNCTION can_approve_refunds()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_profiles
+    WHERE id = auth.uid() AND brand_id = current_brand_id() AND role IN ('admin', 'manager')
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Turn an approved request into a refund, approved by the caller. Only
+-- reachable through approve_order_refund.
+CREATE OR REPLACE FUNCTION issue_order_refund(request order_refund_requests)
+RETURNS order_refunds AS $$
+DECLARE
+  target orders;
+  plan RECORD;
+  refund order_refunds;
+BEGIN
+  SELECT o.* INTO target
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  WHERE o.id = request.order_id AND br.brand_id = request.brand_id
+  FOR UPDATE OF o;
+
+  IF target.id IS NULL THEN
+    RAISE EXCEPTION 'Order % not found', request.order_id;
+  END IF;
+
+  SELECT * INTO plan FROM plan_order_refund(target, request.kind, request.amount, request.items);
+
+  INSERT INTO order_refunds (order_id, kind, amount, reason_code, reason_note, requested_by, approved_by, approved_at)
+  VALUES (target.id, request.kind, plan.refund_total, request.reason_code, request.reason_note, request.requested_by, auth.uid(), NOW())
+  RETURNING * INTO refund;
+
+  IF request.kind = 'refund' THEN
+    IF plan.full_refund THEN
+      -- Everything not refunded yet goes back
+      INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount)
+      SELECT refund.id, oi.id, oi.quantity - done.refunded,
+        ROUND(oi.subtotal / NULLIF(oi.quantity, 0) * (oi.quantity - done.refunded), 2)
+      FROM order_items oi
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(ri.quantity), 0) AS refunded
+        FROM order_refund_items ri
+        WHERE ri.order_item_id = oi.id
+      ) done ON true
+      WHERE oi.order_id = target.id AND oi.quantity > done.refunded;
+    ELSE
+      INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount)
+      SELECT refund.id, l.order_item_id, l.quantity, l.amount
+      FROM jsonb_to_recordset(plan.lines) AS l(order_item_id UUID, quantity INTEGER, amount DECIMAL);
+    END IF;
+  END IF;
+
+  RETURN refund;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Key a refund or void. Runs with the caller's rights, so only orders the
+-- caller can see can be refunded. The request waits for an admin or
+-- manager, unless the caller is one: then it is approved at once and, as
+-- keyed and approved by the same person, flagged in the refund report.
+CREATE OR REPLACE FUNCTION record_order_refund(
+  order_uuid UUID,
+  refund_kind TEXT,
+  refund_amount DECIMAL DEFAULT NULL,
+  refund_items JSONB DEFAULT '[]',
+  reason TEXT DEFAULT 'other',
+  note TEXT DEFAULT NULL
+)
+RETURNS order_refund_requests AS $$
+DECLARE
+  target orders;
+  request order_refund_requests;
+BEGIN
+  SELECT * INTO target FROM orders WHERE id = order_uuid;
+
+  IF target.id IS NULL THEN
+    RAISE EXCEPTION 'Order % not found', order_uuid;
+  END IF;
+
+  -- Fail now rather than on approval
+  PERFORM plan_order_refund(target, refund_kind, refund_amount, refund_items);
+
+  INSERT INTO order_refund_requests (order_id, brand_id, branch_id, kind, amount, items, reason_code, reason_note)
+  SELECT target.id, br.brand_id, br.id, refund_kind, refund_amount, COALESCE(refund_items, '[]'), COALESCE(reason, 'other'), note
+  FROM branches br
+  WHERE br.id = target.branch_id
+  RETURNING * INTO request;
+
+  IF can_approve_refunds() THEN
+    request := approve_order_refund(request.id);
+  END IF;
+
+  RETURN request;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Approve a pending request in the approver's own session
+CREATE OR REPLACE FUNCTION approve_order_refund(request_uuid UUID)
+RETURNS order_refund_requests AS $$
+DECLARE
+  request order_refund_requests;
+  refund order_refunds;
+BEGIN
+  SELECT * INTO request
+  FROM order_refund_requests
+  WHERE id = request_uuid AND brand_id = current_brand_id()
+  FOR UPDATE;
+
+  IF request.id IS NULL THEN
+    RAISE EXCEPTION 'Refund request % not found', request_uuid;
+  END IF;
+  IF request.status <> 'pending' THEN
+    RAISE EXCEPTION 'Refund request is already %', request.status;
+  END IF;
+  IF NOT can_approve_refunds() THEN
+    RAISE EXCEPTION 'Refunds must be approved by an admin or manager';
+  END IF;
+
+  refund := issue_order_refund(request);
+
+  UPDATE order_refund_requests
+  SET status = 'approved', decided_by = auth.uid(), decided_at = NOW(), refund_id = refund.id
+  WHERE id = request.id
+  RETURNING * INTO request;
+
+  RETURN request;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Turn a pending request down; the order is left as it is
+CREATE OR REPLACE FUNCTION reject_order_refund(request_uuid UUID)
+RETURNS order_refund_requests AS $$
+DECLARE
+  request order_refund_requests;
+BEGIN
+  IF NOT can_approve_refunds() THEN
+    RAISE EXCEPTION 'Refunds must be rejected by an admin or manager';
+  END IF;
+
+  UPDATE order_refund_requests
+  SET status = 'rejected', decided_by = auth.uid(), decided_at = NOW()
+  WHERE id = request_uuid AND brand_id = current_brand_id() AND status = 'pending'
+  RETURNING * INTO request;
+
+  IF request.id IS NULL THEN
+    RAISE EXCEPTION 'No pending refund request %', request_uuid;
+  END IF;
+
+  RETURN request;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION issue_order_refund(order_refund_requests) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_order_refund(UUID, TEXT, DECIMAL, JSONB, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION approve_order_refund(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION reject_order_refund(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION can_approve_refunds() TO authenticated;
+
+-- ============================================================================
+-- 3. POS REFUNDS
+-- ============================================================================
+
+-- As in migration 016, plus the refunds each order carries: they are
+-- recorded once per POS refund id, so re-sending a payload adds nothing
+CREATE OR REPLACE FUNCTION ingest_pos_orders(connection_uuid UUID, batch JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  connection pos_connections;
+  r RECORD;
+  new_order_id UUID;
+  is_new BOOLEAN;
+  inserted INTEGER := 0;
+  updated INTEGER := 0;
+  unchanged INTEGER := 0;
+  conflicts JSONB := '[]';
+  failed JSONB := '[]';
+BEGIN
+  SELECT * INTO connection FROM pos_connections WHERE id = connection_uuid;
+
+  IF connection.id IS NULL THEN
+    RAISE EXCEPTION 'POS connection % not found', connection_uuid;
+  END IF;
+  IF NOT connection.is_active THEN
+    RAISE EXCEPTION 'POS connection % is not active', connection.name;
+  END IF;
+
+  FOR r IN
+    SELECT *
+    FROM jsonb_to_recordset(batch) AS s(
+      order_number TEXT, branch_id UUID, ordered_at TIMESTAMPTZ,
+      customer_name TEXT, customer_phone TEXT, customer_email TEXT,
+      subtotal DECIMAL, tax DECIMAL, discount DECIMAL, total DECIMAL,
+      payment_method TEXT, payment_status TEXT, status TEXT, notes TEXT,
+      metadata JSONB, items JSONB, refunds JSONB
+    )
+  LOOP
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pos_location_mappings
+        WHERE connection_id = connection.id AND branch_id = r.branch_id
+      ) THEN
+        RAISE EXCEPTION 'Branch is not mapped to a location of this connection';
+      END IF;
+
+      INSERT INTO orders AS o (
+        user_id, branch_id, order_number, order_date, order_time, ordered_at,
+        customer_name, customer_phone, customer_email,
+        subtotal, tax, discount, total,
+        payment_method, payment_status, status, notes,
+        metadata, pos_connection_id
+      )
+      VALUES (
+        auth.uid(), r.branch_id, r.order_number,
+        (r.ordered_at AT TIME ZONE 'UTC')::DATE, (r.ordered_at AT TIME ZONE 'UTC')::TIME, r.ordered_at,
+        r.customer_name, r.customer_phone, r.customer_email,
+        r.subtotal, COALESCE(r.tax, 0), COALESCE(r.discount, 0), r.total,
+        r.payment_method, r.payment_status, r.status, r.notes,
+        COALESCE(r.metadata, '{}'), connection.id
+      )
+      ON CONFLICT (order_number) DO UPDATE
+      SET
+        status = EXCLUDED.status,
+        payment_status = EXCLUDED.payment_status,
+        payment_method = EXCLUDED.payment_method,
+        subtotal = EXCLUDED.subtotal,
+        tax = EXCLUDED.tax,
+        discount = EXCLUDED.discount,
+        total = EXCLUDED.total,
+        metadata = COALESCE(o.metadata, '{}') || EXCLUDED.metadata,
+        updated_at = NOW()
+      WHERE o.pos_connection_id = EXCLUDED.pos_connection_id
+        AND (
+          o.status, o.payment_status, o.payment_method, o.subtotal, o.tax, o.discount, o.total,
+          COALESCE(o.metadata, '{}') || EXCLUDED.metadata
+        ) IS DISTINCT FROM (
+          EXCLUDED.status, EXCLUDED.payment_status, EXCLUDED.payment_method, EXCLUDED.subtotal,
+          EXCLUDED.tax, EXCLUDED.discount, EXCLUDED.total, COALESCE(o.metadata, '{}')
+        )
+      RETURNING o.id, (o.xmax = 0) INTO new_order_id, is_new;
+
+      IF new_order_id IS NULL THEN
+        -- Nothing written: either already up to date or someone else's order number
+        IF EXISTS (SELECT 1 FROM orders WHERE order_number = r.order_number AND pos_connection_id = connection.id) THEN
+          unchanged := unchanged + 1;
+        ELSE
+          conflicts := conflicts || to_jsonb(r.order_number);
+        END IF;
+        CONTINUE;
+      END IF;
+
+      IF is_new THEN
+        INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, subtotal, metadata)
+        SELECT new_order_id, item.product_id, item.product_name, item.quantity, item.unit_price, item.subtotal, COALESCE(item.metadata, '{}')
+        FROM jsonb_to_recordset(COALESCE(r.items, '[]'::JSONB)) AS item(
+          product_id UUID, product_name TEXT, quantity INTEGER, unit_price DECIMAL, subtotal DECIMAL, metadata JSONB
+        );
+        inserted := inserted + 1;
+      ELSE
+        updated := updated + 1;
+      END IF;
+
+      -- Returned lines are matched to the order's items by name
+      WITH pos_refunds AS (
+        SELECT *
+        FROM jsonb_to_recordset(COALESCE(r.refunds, '[]'::JSONB)) AS rf(
+          external_id TEXT, amount DECIMAL, reason TEXT, refunded_at TIMESTAMPTZ, items JSONB
+        )
+        WHERE rf.amount > 0 AND rf.external_id IS NOT NULL
+      ),
+      added AS (
+        INSERT INTO order_refunds (order_id, kind, amount, reason_code, reason_note, refunded_at, requested_by, source, external_id)
+        SELECT new_order_id, 'refund', s.amount, 'other', s.reason, COALESCE(s.refunded_at, NOW()), NULL, 'pos', s.external_id
+        FROM pos_refunds s
+        ON CONFLICT (order_id, external_id) DO NOTHING
+        RETURNING id, external_id
+      )
+      INSERT INTO order_refund_items (refund_id, order_item_id, quantity, amount)
+      SELECT a.id, oi.id, GREATEST(ROUND(line.quantity), 1), COALESCE(line.amount, 0)
+      FROM added a
+      INNER JOIN pos_refunds s ON s.external_id = a.external_id
+      CROSS JOIN LATERAL jsonb_to_recordset(COALESCE(s.items, '[]'::JSONB)) AS line(product_name TEXT, quantity DECIMAL, amount DECIMAL)
+      INNER JOIN LATERAL (
+        SELECT id FROM order_items
+        WHERE order_id = new_order_id AND product_name = line.product_name
+        LIMIT 1
+      ) oi ON true;
+    EXCEPTION WHEN OTHERS THEN
+      failed := failed || jsonb_build_object('order_number', r.order_number, 'error', SQLERRM);
+    END;
+  END LOOP;
+
+  UPDATE pos_connections
+  SET
+    last_synced_at = NOW(),
+    last_error = CASE WHEN jsonb_array_length(failed) > 0 THEN failed->0->>'error' ELSE NULL END
+  WHERE id = connection.id;
+
+  RETURN jsonb_build_object(
+    'inserted', inserted,
+    'updated', updated,
+    'unchanged', unchanged,
+    'conflicts', conflicts,
+    'failed', failed
+  );
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ============================================================================
+-- 4. NET REVENUE
+-- ============================================================================
+
+-- Refunded orders were sales, so they count in gross revenue and their
+-- refunds come off it
+DROP VIEW IF EXISTS branch_daily_sales;
+
+CREATE VIEW branch_daily_sales
+WITH (security_invoker = true) AS
+WITH sales AS (
+  SELECT
+    o.branch_id,
+    o.business_date,
+    COUNT(*) AS total_orders,
+    COUNT(*) FILTER (WHERE o.status = 'completed') AS completed_orders,
+    COUNT(*) FILTER (WHERE o.status = 'refunded') AS refunded_orders,
+    COUNT(*) FILTER (WHERE o.status = 'pending') AS pending_orders,
+    COUNT(*) FILTER (WHERE o.status = 'cancelled') AS cancelled_orders,
+    COALESCE(SUM(o.total) FILTER (WHERE o.status IN ('completed', 'refunded')), 0) AS gross_revenue,
+    COALESCE(SUM(o.tax) FILTER (WHERE o.status IN ('completed', 'refunded')), 0) AS tax,
+    COALESCE(SUM(o.discount) FILTER (WHERE o.status IN ('completed', 'refunded')), 0) AS discount
+  FROM orders o
+  GROUP BY o.branch_id, o.business_date
+),
+refunds AS (
+  SELECT r.branch_id, r.business_date, SUM(r.amount) AS refunds
+  FROM order_refunds r
+  WHERE r.kind = 'refund'
+  GROUP BY r.branch_id, r.business_date
+)
+SELECT
+  COALESCE(s.branch_id, r.branch_id) AS branch_id,
+  COALESCE(s.business_date, r.business_date) AS business_date,
+  COALESCE(s.total_orders, 0) AS total_orders,
+  COALESCE(s.completed_orders, 0) AS completed_orders,
+  COALESCE(s.refunded_orders, 0) AS refunded_orders,
+  COALESCE(s.pending_orders, 0) AS pending_orders,
+  COALESCE(s.cancelled_orders, 0) AS cancelled_orders,
+  COALESCE(s.gross_revenue, 0) AS gross_revenue,
+  COALESCE(r.refunds, 0) AS refunds,
+  COALESCE(s.gross_revenue, 0) - COALESCE(r.refunds, 0) AS revenue,
+  COALESCE(s.tax, 0) AS tax,
+  COALESCE(s.discount, 0) AS discount
+FROM sales s
+FULL JOIN refunds r ON r.branch_id = s.branch_id AND r.business_date = s.business_date;
+
+GRANT SELECT ON branch_daily_sales TO authenticated;
+
+DROP FUNCTION IF EXISTS branch_daily_sales_in(TEXT, DATE, DATE, UUID[]);
+DROP FUNCTION IF EXISTS get_branch_sales_summary(DATE, DATE, UUID[], TEXT);
+
+CREATE OR REPLACE FUNCTION branch_daily_sales_in(
+  target_currency TEXT DEFAULT NULL,
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  business_date DATE,
+  currency TEXT,
+  total_orders BIGINT,
+  completed_orders BIGINT,
+  refunded_orders BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  gross_revenue DECIMAL,
+  refunds DECIMAL,
+  revenue DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    s.branch_id,
+    s.business_date,
+    COALESCE(target_currency, br.currency, 'SAR')::TEXT AS currency,
+    s.total_orders,
+    s.completed_orders,
+    s.refunded_orders,
+    s.pending_orders,
+    s.cancelled_orders,
+    s.gross_revenue * COALESCE(x.rate, 1) AS gross_revenue,
+    s.refunds * COALESCE(x.rate, 1) AS refunds,
+    s.revenue * COALESCE(x.rate, 1) AS revenue,
+    (target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM branch_daily_sales s
+  INNER JOIN branches br ON br.id = s.branch_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, s.business_date)
+    END AS rate
+  ) x ON true
+  WHERE (start_date IS NULL OR s.business_date >= start_date)
+    AND (end_date IS NULL OR s.business_date <= end_date)
+    AND (branch_uuids IS NULL OR s.branch_id = ANY(branch_uuids));
+$$ LANGUAGE sql STABLE;
+
+-- revenue is net; average order value is net revenue per completed order
+CREATE OR REPLACE FUNCTION get_branch_sales_summary(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  currency TEXT,
+  total_orders BIGINT,
+  order_count BIGINT,
+  refunded_orders BIGINT,
+  pending_orders BIGINT,
+  cancelled_orders BIGINT,
+  gross_revenue DECIMAL,
+  refunds DECIMAL,
+  revenue DECIMAL,
+  avg_order_value DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    s.branch_id,
+    MIN(s.currency) AS currency,
+    SUM(s.total_orders)::BIGINT AS total_orders,
+    SUM(s.completed_orders)::BIGINT AS order_count,
+    SUM(s.refunded_orders)::BIGINT AS refunded_orders,
+    SUM(s.pending_orders)::BIGINT AS pending_orders,
+    SUM(s.cancelled_orders)::BIGINT AS cancelled_orders,
+    SUM(s.gross_revenue) AS gross_revenue,
+    SUM(s.refunds) AS refunds,
+    SUM(s.revenue) AS revenue,
+    CASE WHEN SUM(s.completed_orders) > 0
+      THEN ROUND(SUM(s.revenue) / SUM(s.completed_orders), 2)
+      ELSE 0
+    END AS avg_order_value,
+    BOOL_OR(s.missing_rate) AS missing_rate
+  FROM branch_daily_sales_in(target_currency, start_date, end_date, branch_uuids) s
+  GROUP BY s.branch_id;
+$$ LANGUAGE sql STABLE;
+
+-- Refunded units and amounts come off each product
+CREATE OR REPLACE FUNCTION get_product_sales(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  max_rows INTEGER DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  quantity BIGINT,
+  revenue DECIMAL,
+  order_count BIGINT,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    oi.product_id,
+    MAX(oi.product_name) AS product_name,
+    SUM(oi.quantity - ref.quantity)::BIGINT AS quantity,
+    SUM((oi.subtotal - ref.amount) * COALESCE(x.rate, 1)) AS revenue,
+    COUNT(DISTINCT oi.order_id) AS order_count,
+    BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(SUM(ri.quantity), 0) AS quantity, COALESCE(SUM(ri.amount), 0) AS amount
+    FROM order_refund_items ri
+    WHERE ri.order_item_id = oi.id
+  ) ref ON true
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status IN ('completed', 'refunded')
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY oi.product_id, CASE WHEN oi.product_id IS NULL THEN oi.product_name END
+  ORDER BY revenue DESC
+  LIMIT max_rows;
+$$ LANGUAGE sql STABLE;
+
+-- Food on refunded orders was still made, so its cost stays in COGS
+CREATE OR REPLACE FUNCTION get_branch_cogs(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  cogs DECIMAL,
+  costed_quantity BIGINT,
+  uncosted_quantity BIGINT,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    o.branch_id,
+    COALESCE(SUM(oi.quantity * p.cost * COALESCE(x.rate, 1)) FILTER (WHERE p.cost IS NOT NULL), 0) AS cogs,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NOT NULL), 0)::BIGINT AS costed_quantity,
+    COALESCE(SUM(oi.quantity) FILTER (WHERE p.cost IS NULL), 0)::BIGINT AS uncosted_quantity,
+    COALESCE(BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL), false) AS missing_rate
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN products p ON p.id = oi.product_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status IN ('completed', 'refunded')
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY o.branch_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_sales_heatmap(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  weekday SMALLINT, -- 0 = Sunday … 6 = Saturday
+  hour SMALLINT,    -- 0 … 23, branch-local
+  currency TEXT,
+  order_count BIGINT,
+  revenue DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    o.branch_id,
+    EXTRACT(DOW FROM o.business_date)::SMALLINT AS weekday,
+    EXTRACT(HOUR FROM o.ordered_at AT TIME ZONE COALESCE(br.timezone, b.timezone, 'Asia/Riyadh'))::SMALLINT AS hour,
+    MIN(COALESCE(target_currency, br.currency, 'SAR'))::TEXT AS currency,
+    COUNT(*) FILTER (WHERE o.status = 'completed')::BIGINT AS order_count,
+    SUM((o.total - o.refunded_amount) * COALESCE(x.rate, 1)) AS revenue,
+    BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM orders o
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN brands b ON b.id = br.brand_id
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status IN ('completed', 'refunded')
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY 1, 2, 3
+  ORDER BY 1, 2, 3;
+$$ LANGUAGE sql STABLE;
+
+-- Staff sales are net of refunds on the orders they took
+CREATE OR REPLACE FUNCTION get_employee_performance_inputs(
+  brand_uuid UUID,
+  start_date DATE,
+  end_date DATE,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  employee_id UUID,
+  full_name TEXT,
+  email TEXT,
+  role TEXT,
+  primary_branch_id UUID,
+  tasks_assigned BIGINT,
+  tasks_completed BIGINT,
+  tasks_due BIGINT,      -- tasks whose due date has passed or that are done
+  tasks_on_time BIGINT,
+  order_count BIGINT,
+  sales DECIMAL,
+  missing_rate BOOLEAN,
+  shifts_scheduled BIGINT, -- published shifts that have started
+  shifts_attended BIGINT,
+  shifts_late BIGINT,      -- clocked in more than 5 minutes after the start
+  review_count BIGINT,
+  average_rating DECIMAL
+) AS $$
+  WITH staff AS (
+    SELECT up.id, up.full_name, up.email, up.role
+    FROM user_profiles up
+    WHERE up.brand_id = brand_uuid
+  ),
+  task_stats AS (
+    SELECT
+      t.assigned_to AS employee_id,
+      COUNT(*) AS assigned,
+      COUNT(*) FILTER (WHERE t.status = 'completed') AS completed,
+      COUNT(*) FILTER (WHERE t.due_date IS NOT NULL AND (t.status = 'completed' OR t.due_date < CURRENT_DATE)) AS due,
+      COUNT(*) FILTER (WHERE t.status = 'completed' AND t.due_date IS NOT NULL AND t.completed_at::DATE <= t.due_date) AS on_time
+    FROM tasks t
+    WHERE t.assigned_to IN (SELECT id FROM staff)
+      AND COALESCE(t.due_date, t.created_at::DATE) BETWEEN start_date AND end_date
+    GROUP BY 1
+  ),
+  sales_stats AS (
+    SELECT
+      (o.metadata->>'staff_id')::UUID AS employee_id,
+      COUNT(*) FILTER (WHERE o.status = 'completed') AS order_count,
+      SUM((o.total - o.refunded_amount) * COALESCE(x.rate, 1)) AS sales,
+      BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+    FROM orders o
+    INNER JOIN branches br ON br.id = o.branch_id
+    LEFT JOIN LATERAL (
+      SELECT CASE
+        WHEN target_currency IS NULL THEN 1
+        ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+      END AS rate
+    ) x ON true
+    WHERE br.brand_id = brand_uuid
+      AND o.status IN ('completed', 'refunded')
+      AND o.business_date BETWEEN start_date AND end_date
+      AND o.metadata->>'staff_id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    GROUP BY 1
+  ),
+  shift_stats AS (
+    SELECT
+      s.employee_id,
+      COUNT(*) AS scheduled,
+      COUNT(a.id) AS attended,
+      COUNT(a.id) FILTER (WHERE a.clock_in > sh.starts_at + INTERVAL '5 minutes') AS late,
+      MODE() WITHIN GROUP (ORDER BY s.branch_id) AS primary_branch_id
+    FROM shifts s
+    INNER JOIN rosters r ON r.id = s.roster_id AND r.status = 'published'
+    INNER JOIN branches br ON br.id = s.branch_id
+    LEFT JOIN brands b ON b.id = br.brand_id
+    CROSS JOIN LATERAL (
+      SELECT (s.shift_date + s.start_time) AT TIME ZONE COALESCE(br.timezone, b.timezone, 'Asia/Riyadh') AS starts_at
+    ) sh
+    LEFT JOIN LATERAL (
+      SELECT ar.id, ar.clock_in
+      FROM attendance_records ar
+      WHERE ar.shift_id = s.id
+      ORDER BY ar.clock_in
+      LIMIT 1
+    ) a ON true
+    WHERE s.employee_id IN (SELECT id FROM staff)
+      AND s.shift_date BETWEEN start_date AND end_date
+      AND sh.starts_at <= NOW()
+    GROUP BY 1
+  ),
+  review_stats AS (
+    SELECT
+      pr.employee_id,
+      COUNT(*) AS review_count,
+      AVG(pr.rating) AS average_rating
+    FROM performance_reviews pr
+    WHERE pr.brand_id = brand_uuid
+      AND pr.review_date BETWEEN start_date AND end_date
+    GROUP BY 1
+  )
+  SELECT
+    st.id AS employee_id,
+    st.full_name,
+    st.email,
+    st.role,
+    ss.primary_branch_id,
+    COALESCE(ts.assigned, 0),
+    COALESCE(ts.completed, 0),
+    COALESCE(ts.due, 0),
+    COALESCE(ts.on_time, 0),
+    COALESCE(sa.order_count, 0),
+    COALESCE(sa.sales, 0),
+    COALESCE(sa.missing_rate, false),
+    COALESCE(ss.scheduled, 0),
+    COALESCE(ss.attended, 0),
+    COALESCE(ss.late, 0),
+    COALESCE(rs.review_count, 0),
+    rs.average_rating
+  FROM staff st
+  LEFT JOIN task_stats ts ON ts.employee_id = st.id
+  LEFT JOIN sales_stats sa ON sa.employee_id = st.id
+  LEFT JOIN shift_stats ss ON ss.employee_id = st.id
+  LEFT JOIN review_stats rs ON rs.employee_id = st.id
+  ORDER BY st.full_name;
+$$ LANGUAGE sql STABLE;
+
+-- The original lifetime stats, net of refunds
+CREATE OR REPLACE FUNCTION calculate_branch_stats(branch_uuid UUID)
+RETURNS TABLE (
+  total_revenue DECIMAL,
+  total_orders INTEGER,
+  avg_order_value DECIMAL,
+  last_30_days_revenue DECIMAL,
+  growth_rate DECIMAL
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH net AS (
+    SELECT o.id, o.order_date, o.total - o.refunded_amount AS amount
+    FROM orders o
+    WHERE o.branch_id = branch_uuid AND o.status IN ('completed', 'refunded')
+  )
+  SELECT
+    SUM(n.amount) as total_revenue,
+    COUNT(n.id)::INTEGER as total_orders,
+    AVG(n.amount) as avg_order_value,
+    SUM(CASE WHEN n.order_date >= CURRENT_DATE - INTERVAL '30 days' THEN n.amount ELSE 0 END) as last_30_days_revenue,
+    CASE
+      WHEN SUM(CASE WHEN n.order_date >= CURRENT_DATE - INTERVAL '60 days' AND n.order_date < CURRENT_DATE - INTERVAL '30 days' THEN n.amount ELSE 0 END) > 0
+      THEN ((SUM(CASE WHEN n.order_date >= CURRENT_DATE - INTERVAL '30 days' THEN n.amount ELSE 0 END) -
+             SUM(CASE WHEN n.order_date >= CURRENT_DATE - INTERVAL '60 days' AND n.order_date < CURRENT_DATE - INTERVAL '30 days' THEN n.amount ELSE 0 END)) /
+            SUM(CASE WHEN n.order_date >= CURRENT_DATE - INTERVAL '60 days' AND n.order_date < CURRENT_DATE - INTERVAL '30 days' THEN n.amount ELSE 0 END) * 100)
+      ELSE 0
+    END as growth_rate
+  FROM net n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Also reads orders.total; the version in migration 002 summed a
+-- total_amount column that orders never had
+CREATE OR REPLACE FUNCTION calculate_brand_stats(brand_uuid UUID)
+RETURNS TABLE (
+  total_branches BIGINT,
+  active_branches BIGINT,
+  total_revenue NUMERIC,
+  total_orders BIGINT,
+  avg_order_value NUMERIC,
+  last_30_days_revenue NUMERIC,
+  growth_rate NUMERIC
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH branch_counts AS (
+    SELECT
+      COUNT(*) as branches_count,
+      COUNT(*) FILTER (WHERE br.status = 'active') as active_count
+    FROM branches br
+    WHERE br.brand_id = brand_uuid
+  ),
+  net AS (
+    SELECT o.id, o.created_at, o.total - o.refunded_amount AS amount
+    FROM orders o
+    INNER JOIN branches br ON br.id = o.branch_id
+    WHERE br.brand_id = brand_uuid AND o.status IN ('completed', 'refunded')
+  ),
+  current_stats AS (
+    SELECT COALESCE(SUM(n.amount), 0) as revenue, COUNT(n.id) as orders_count
+    FROM net n
+  ),
+  last_30_days AS (
+    SELECT COALESCE(SUM(n.amount), 0) as recent_revenue
+    FROM net n
+    WHERE n.created_at >= NOW() - INTERVAL '30 days'
+  ),
+  previous_30_days AS (
+    SELECT COALESCE(SUM(n.amount), 0) as prev_revenue
+    FROM net n
+    WHERE n.created_at >= NOW() - INTERVAL '60 days'
+      AND n.created_at < NOW() - INTERVAL '30 days'
+  )
+  SELECT
+    bc.branches_count,
+    bc.active_count,
+    cs.revenue,
+    cs.orders_count,
+    CASE WHEN cs.orders_count > 0
+      THEN ROUND(cs.revenue / cs.orders_count, 2)
+      ELSE 0
+    END as avg_value,
+    l30.recent_revenue,
+    CASE WHEN p30.prev_revenue > 0
+      THEN ROUND(((l30.recent_revenue - p30.prev_revenue) / p30.prev_revenue * 100), 2)
+      ELSE 0
+    END as growth
+  FROM branch_counts bc
+  CROSS JOIN current_stats cs
+  CROSS JOIN last_30_days l30
+  CROSS JOIN previous_30_days p30;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE VIEW daily_analytics AS
+SELECT
+  b.id as branch_id,
+  b.name as branch_name,
+  o.order_date,
+  COUNT(o.id) as order_count,
+  SUM(o.total - o.refunded_amount) as total_revenue,
+  AVG(o.total - o.refunded_amount) as avg_order_value,
+  SUM(o.tax) as total_tax,
+  SUM(o.discount) as total_discount
+FROM branches b
+LEFT JOIN orders o ON b.id = o.branch_id
+WHERE o.status IN ('completed', 'refunded')
+GROUP BY b.id, b.name, o.order_date;
+
+GRANT EXECUTE ON FUNCTION branch_daily_sales_in(TEXT, DATE, DATE, UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_branch_sales_summary(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+-- ============================================================================
+-- 5. REFUND REPORT
+-- ============================================================================
+
+-- Refunds and voids per branch and cashier with the cashier's own sales, for
+-- spotting unusual refund rates. The cashier is whoever keyed the refund;
+-- for POS refunds, the staff member who took the order (when known).
+CREATE OR REPLACE FUNCTION get_refund_summary(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  branch_id UUID,
+  cashier_id UUID,       -- NULL = unknown (POS refund on an order without staff)
+  cashier_name TEXT,
+  currency TEXT,
+  refund_count BIGINT,
+  refund_amount DECIMAL,
+  void_count BIGINT,
+  void_amount DECIMAL,
+  self_approved BIGINT,  -- keyed and approved by the same person
+  top_reason TEXT,
+  order_count BIGINT,    -- orders the cashier took in the branch
+  sales DECIMAL,         -- gross sales on those orders
+  missing_rate BOOLEAN
+) AS $$
+  WITH refunds AS (
+    SELECT
+      r.branch_id,
+      COALESCE(
+        r.requested_by,
+        CASE WHEN o.metadata->>'staff_id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+          THEN (o.metadata->>'staff_id')::UUID
+        END
+      ) AS cashier_id,
+      r.kind,
+      r.amount * COALESCE(x.rate, 1) AS amount,
+      r.reason_code,
+      (r.requested_by IS NOT NULL AND r.requested_by = r.approved_by) AS self_approved,
+      COALESCE(target_currency, br.currency, 'SAR')::TEXT AS currency,
+      (target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+    FROM order_refunds r
+    INNER JOIN orders o ON o.id = r.order_id
+    INNER JOIN branches br ON br.id = r.branch_id
+    LEFT JOIN LATERAL (
+      SELECT CASE
+        WHEN target_currency IS NULL THEN 1
+        ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, r.business_date)
+      END AS rate
+    ) x ON true
+    WHERE (start_date IS NULL OR r.business_date >= start_date)
+      AND (end_date IS NULL OR r.business_date <= end_date)
+      AND (branch_uuids IS NULL OR r.branch_id = ANY(branch_uuids))
+  ),
+  grouped AS (
+    SELECT
+      f.branch_id,
+      f.cashier_id,
+      MIN(f.currency) AS currency,
+      COUNT(*) FILTER (WHERE f.kind = 'refund') AS refund_count,
+      COALESCE(SUM(f.amount) FILTER (WHERE f.kind = 'refund'), 0) AS refund_amount,
+      COUNT(*) FILTER (WHERE f.kind = 'void') AS void_count,
+      COALESCE(SUM(f.amount) FILTER (WHERE f.kind = 'void'), 0) AS void_amount,
+      COUNT(*) FILTER (WHERE f.self_approved) AS self_approved,
+      MODE() WITHIN GROUP (ORDER BY f.reason_code) AS top_reason,
+      BOOL_OR(f.missing_rate) AS missing_rate
+    FROM refunds f
+    GROUP BY f.branch_id, f.cashier_id
+  ),
+  sales AS (
+    SELECT
+      o.branch_id,
+      (o.metadata->>'staff_id')::UUID AS cashier_id,
+      COUNT(*) AS order_count,
+      SUM(o.total * COALESCE(x.rate, 1)) AS sales
+    FROM orders o
+    INNER JOIN branches br ON br.id = o.branch_id
+    LEFT JOIN LATERAL (
+      SELECT CASE
+        WHEN target_currency IS NULL THEN 1
+        ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+      END AS rate
+    ) x ON true
+    WHERE o.status IN ('completed', 'refunded', 'cancelled')
+      AND (start_date IS NULL OR o.business_date >= start_date)
+      AND (end_date IS NULL OR o.business_date <= end_date)
+      AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+      AND o.metadata->>'staff_id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+    GROUP BY 1, 2
+  )
+  SELECT
+    g.branch_id,
+    g.cashier_id,
+    up.full_name AS cashier_name,
+    g.currency,
+    g.refund_count,
+    g.refund_amount,
+    g.void_count,
+    g.void_amount,
+    g.self_approved,
+    g.top_reason,
+    COALESCE(s.order_count, 0) AS order_count,
+    COALESCE(s.sales, 0) AS sales,
+    g.missing_rate
+  FROM grouped g
+  LEFT JOIN sales s ON s.branch_id = g.branch_id AND s.cashier_id = g.cashier_id
+  LEFT JOIN user_profiles up ON up.id = g.cashier_id
+  ORDER BY g.branch_id, g.refund_amount + g.void_amount DESC;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_refund_summary(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+-- ============================================================================
+-- 6. ROW LEVEL SECURITY
+-- ============================================================================
+
+-- Refunds are an audit trail: recorded, never edited or removed. App
+-- refunds are only written by approve_order_refund; direct inserts are
+-- limited to POS refunds, which were approved at the till.
+ALTER TABLE order_refunds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_refund_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_refund_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY order_refunds_select_brand ON order_refunds
+  FOR SELECT
+  USING (brand_id = current_brand_id());
+
+CREATE POLICY order_refunds_insert_brand ON order_refunds
+  FOR INSERT
+  WITH CHECK (brand_id = current_brand_id() AND source = 'pos');
+
+CREATE POLICY order_refund_items_select_brand ON order_refund_items
+  FOR SELECT
+  USING (EXISTS (SELECT 1 FROM order_refunds r WHERE r.id = order_refund_items.refund_id AND r.brand_id = current_brand_id()));
+
+CREATE POLICY order_refund_items_insert_brand ON order_refund_items
+  FOR INSERT
+  WITH CHECK (EXISTS (SELECT 1 FROM order_refunds r WHERE r.id = order_refund_items.refund_id AND r.brand_id = current_brand_id() AND r.source = 'pos'));
+
+-- Requests are decided only through approve/reject_order_refund
+CREATE POLICY order_refund_requests_select_brand ON order_refund_requests
+  FOR SELECT
+  USING (brand_id = current_brand_id());
+
+CREATE POLICY order_refund_requests_insert_own ON order_refund_requests
+  FOR INSERT
+  WITH CHECK (
+    brand_id = current_brand_id()
+    AND requested_by = auth.uid()
+    AND status = 'pending'
+    AND decided_by IS NULL
+    AND refund_id IS NULL
+  );
+
+COMMENT ON TABLE order_refunds IS 'Refunds (full or partial) and voids of orders, with reason and approval';
+COMMENT ON TABLE order_refund_items IS 'Order lines returned by a refund';
+COMMENT ON COLUMN orders.refunded_amount IS 'Sum of the order''s refunds (maintained from order_refunds)';
+COMMENT ON FUNCTION branch_daily_sales_in IS 'branch_daily_sales converted to a target currency';
+COMMENT ON VIEW branch_daily_sales IS 'Per-branch business-day order counts and revenue (gross, refunds and net)';
+COMMENT ON TABLE order_refund_requests IS 'Refunds and voids keyed in the app, pending, approved or rejected';
+COMMENT ON FUNCTION record_order_refund IS 'Request a refund (full, partial or per item) or void; approved at once for admins and managers';
+COMMENT ON FUNCTION approve_order_refund IS 'Approve a pending refund request as the current user and record the refund';
+COMMENT ON FUNCTION reject_order_refund IS 'Reject a pending refund request as the current user';
+COMMENT ON FUNCTION get_refund_summary IS 'Refunds and voids per branch and cashier with the cashier''s sales';
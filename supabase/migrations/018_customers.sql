@@ -0,0 +1,315 @@
+-- Migration 018: Customers
+-- A customer directory built from the name, phone and email captured on
+-- orders. Customers belong to a brand and are deduplicated by phone, then
+-- by email: phones are compared on their last nine digits (so +966 5x...,
+-- 00966 5x... and 05x... are the same number) and emails case-insensitively.
+-- Orders carrying a phone or email are linked to their customer by trigger,
+-- and existing orders are linked at the end of this migration.
+--
+-- Visits, spend and favorite items are computed from the linked orders when
+-- read (get_customer_directory), so refunds and late status changes are
+-- always reflected. RFM segments and churn risk are derived in the app.
+
+-- ============================================================================
+-- 1. CUSTOMERS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+
+  name TEXT,
+  phone TEXT,
+  email TEXT,
+  -- Matching keys, set by trigger
+  phone_key TEXT,
+  email_key TEXT,
+  notes TEXT,
+  metadata JSONB DEFAULT '{}',
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_customers_brand_phone ON customers(brand_id, phone_key) WHERE phone_key IS NOT NULL;
+CREATE UNIQUE INDEX idx_customers_brand_email ON customers(brand_id, email_key) WHERE email_key IS NOT NULL;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id) WHERE customer_id IS NOT NULL;
+
+-- Last nine digits of a phone number; NULL when it has too few digits to identify anyone
+CREATE OR REPLACE FUNCTION customer_phone_key(phone TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN length(digits) >= 7 THEN right(digits, 9) END
+  FROM (SELECT regexp_replace(COALESCE(phone, ''), '\D', '', 'g') AS digits) p;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION customer_email_key(email TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE WHEN position('@' IN key) > 1 THEN key END
+  FROM (SELECT lower(btrim(COALESCE(email, ''))) AS key) e;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION set_customer_keys()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.phone_key := customer_phone_key(NEW.phone);
+  NEW.email_key := customer_email_key(NEW.email);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_customers_keys BEFORE INSERT OR UPDATE OF phone, email ON customers FOR EACH ROW EXECUTE FUNCTION set_customer_keys();
+CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. LINKING ORDERS
+-- ============================================================================
+
+-- Find the brand's customer with this phone (or, failing that, this email),
+-- creating one when there is none, and fill in details it was missing.
+-- Returns NULL when there is neither a usable phone nor email.
+CREATE OR REPLACE FUNCTION resolve_customer(
+  brand_uuid UUID,
+  customer_name TEXT,
+  customer_phone TEXT,
+  customer_email TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+  phone_match TEXT := customer_phone_key(customer_phone);
+  email_match TEXT := customer_email_key(customer_email);
+  display_name TEXT := NULLIF(btrim(customer_name), '');
+  found_id UUID;
+BEGIN
+  IF brand_uuid IS NULL OR (phone_match IS NULL AND email_match IS NULL) THEN
+    RETURN NULL;
+  END IF;
+
+  IF phone_match IS NOT NULL THEN
+    SELECT id INTO found_id FROM customers WHERE brand_id = brand_uuid AND phone_key = phone_match;
+  END IF;
+  IF found_id IS NULL AND email_match IS NOT NULL THEN
+    SELECT id INTO found_id FROM customers WHERE brand_id = brand_uuid AND email_key = email_match;
+  END IF;
+
+  IF found_id IS NULL THEN
+    INSERT INTO customers (brand_id, name, phone, email)
+    VALUES (brand_uuid, display_name, NULLIF(btrim(customer_phone), ''), email_match)
+    RETURNING id INTO found_id;
+    RETURN found_id;
+  END IF;
+
+  -- A phone or email already used by another customer is left where it is
+  UPDATE customers c
+  SET
+    name = COALESCE(c.name, display_name),
+    phone = CASE
+      WHEN c.phone_key IS NULL AND phone_match IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM customers o WHERE o.brand_id = brand_uuid AND o.phone_key = phone_match)
+      THEN btrim(customer_phone)
+      ELSE c.phone
+    END,
+    email = CASE
+      WHEN c.email_key IS NULL AND email_match IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM customers o WHERE o.brand_id = brand_uuid AND o.email_key = email_match)
+      THEN email_match
+      ELSE c.email
+    END
+  WHERE c.id = found_id
+    AND (
+      (c.name IS NULL AND display_name IS NOT NULL)
+      OR (c.phone_key IS NULL AND phone_match IS NOT NULL)
+      OR (c.email_key IS NULL AND email_match IS NOT NULL)
+    );
+
+  RETURN found_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- An order without a phone or email keeps any customer it was given
+CREATE OR REPLACE FUNCTION link_order_customer()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.customer_id := COALESCE(
+    resolve_customer(
+      (SELECT brand_id FROM branches WHERE id = NEW.branch_id),
+      NEW.customer_name,
+      NEW.customer_phone,
+      NEW.customer_email
+    ),
+    NEW.customer_id
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER link_orders_customer
+  BEFORE INSERT OR UPDATE OF customer_name, customer_phone, customer_email, branch_id ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION link_order_customer();
+
+-- Merge a duplicate into the customer kept: its orders move over and any
+-- contact details the kept customer lacks are copied before it is deleted
+CREATE OR REPLACE FUNCTION merge_customers(keep_uuid UUID, merge_uuid UUID)
+RETURNS customers AS $$
+DECLARE
+  kept customers;
+  merged customers;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM user_profiles
+    WHERE id = auth.uid() AND brand_id = current_brand_id() AND role IN ('admin', 'manager')
+  ) THEN
+    RAISE EXCEPTION 'Only admins and managers can merge customers';
+  END IF;
+
+  SELECT * INTO kept FROM customers WHERE id = keep_uuid AND brand_id = current_brand_id() FOR UPDATE;
+  SELECT * INTO merged FROM customers WHERE id = merge_uuid AND brand_id = current_brand_id() FOR UPDATE;
+
+  IF kept.id IS NULL OR merged.id IS NULL OR kept.id = merged.id THEN
+    RAISE EXCEPTION 'Pick two different customers of your brand to merge';
+  END IF;
+
+  UPDATE orders SET customer_id = kept.id WHERE customer_id = merged.id;
+  DELETE FROM customers WHERE id = merged.id;
+
+  UPDATE customers
+  SET
+    name = COALESCE(kept.name, merged.name),
+    phone = COALESCE(kept.phone, merged.phone),
+    email = COALESCE(kept.email, merged.email),
+    notes = CONCAT_WS(E'\n', kept.notes, merged.notes)
+  WHERE id = kept.id
+  RETURNING * INTO kept;
+
+  RETURN kept;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION merge_customers(UUID, UUID) TO authenticated;
+
+-- ============================================================================
+-- 3. DIRECTORY
+-- ============================================================================
+
+-- One row per customer with sales (completed or refunded orders, net of
+-- refunds) up to as_of: first and last visit (business dates), visit count,
+-- lifetime value, the three items bought most and how many branches visited
+CREATE OR REPLACE FUNCTION get_customer_directory(
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL,
+  as_of DATE DEFAULT NULL
+)
+RETURNS TABLE (
+  customer_id UUID,
+  name TEXT,
+  phone TEXT,
+  email TEXT,
+  first_visit DATE,
+  last_visit DATE,
+  visit_count BIGINT,
+  lifetime_value DECIMAL,
+  favorite_items TEXT[],
+  branch_count BIGINT,
+  currency TEXT,
+  missing_rate BOOLEAN
+) AS $$
+  WITH visits AS (
+    SELECT
+      o.id,
+      o.customer_id,
+      o.branch_id,
+      o.business_date,
+      (o.total - o.refunded_amount) * COALESCE(x.rate, 1) AS amount,
+      COALESCE(target_currency, br.currency, 'SAR')::TEXT AS currency,
+      (target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+    FROM orders o
+    INNER JOIN branches br ON br.id = o.branch_id
+    LEFT JOIN LATERAL (
+      SELECT CASE
+        WHEN target_currency IS NULL THEN 1
+        ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+      END AS rate
+    ) x ON true
+    WHERE o.customer_id IS NOT NULL
+      AND o.status IN ('completed', 'refunded')
+      AND (as_of IS NULL OR o.business_date <= as_of)
+      AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  ),
+  totals AS (
+    SELECT
+      v.customer_id,
+      MIN(v.business_date) AS first_visit,
+      MAX(v.business_date) AS last_visit,
+      COUNT(*) AS visit_count,
+      SUM(v.amount) AS lifetime_value,
+      COUNT(DISTINCT v.branch_id) AS branch_count,
+      MIN(v.currency) AS currency,
+      BOOL_OR(v.missing_rate) AS missing_rate
+    FROM visits v
+    GROUP BY v.customer_id
+  ),
+  favorites AS (
+    SELECT
+      q.customer_id,
+      (array_agg(q.product_name ORDER BY q.quantity DESC, q.product_name))[1:3] AS favorite_items
+    FROM (
+      SELECT v.customer_id, oi.product_name, SUM(oi.quantity) AS quantity
+      FROM order_items oi
+      INNER JOIN visits v ON v.id = oi.order_id
+      GROUP BY v.customer_id, oi.product_name
+    ) q
+    GROUP BY q.customer_id
+  )
+  SELECT
+    c.id AS customer_id,
+    c.name,
+    c.phone,
+    c.email,
+    t.first_visit,
+    t.last_visit,
+    t.visit_count,
+    t.lifetime_value,
+    COALESCE(f.favorite_items, '{}') AS favorite_items,
+    t.branch_count,
+    t.currency,
+    t.missing_rate
+  FROM totals t
+  INNER JOIN customers c ON c.id = t.customer_id
+  LEFT JOIN favorites f ON f.customer_id = t.customer_id
+  ORDER BY t.lifetime_value DESC;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_customer_directory(UUID[], TEXT, DATE) TO authenticated;
+
+-- ============================================================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY customers_manage_brand ON customers
+  FOR ALL
+  USING (brand_id = current_brand_id())
+  WITH CHECK (brand_id = current_brand_id());
+
+-- ============================================================================
+-- 5. EXISTING ORDERS
+-- ============================================================================
+
+UPDATE orders o
+SET customer_id = resolve_customer(br.brand_id, o.customer_name, o.customer_phone, o.customer_email)
+FROM branches br
+WHERE br.id = o.branch_id
+  AND o.customer_id IS NULL
+  AND (o.customer_phone IS NOT NULL OR o.customer_email IS NOT NULL);
+
+COMMENT ON TABLE customers IS 'Brand customers, deduplicated from the contact details on orders';
+COMMENT ON COLUMN customers.phone_key IS 'Last nine digits of the phone, used for matching';
+COMMENT ON COLUMN customers.email_key IS 'Lower-cased email, used for matching';
+COMMENT ON COLUMN orders.customer_id IS 'Customer matched from the order''s phone or email';
+COMMENT ON FUNCTION resolve_customer IS 'Find or create the brand customer for a phone/email';
+COMMENT ON FUNCTION merge_customers IS 'Merge a duplicate customer and its orders into another';
+COMMENT ON FUNCTION get_customer_directory IS 'Visits, lifetime value and favorite items per customer';
@@ -0,0 +1,52 @@
+-- Migration 019: AI Providers
+-- Each brand chooses the model provider its AI advisor runs on (OpenAI,
+-- Anthropic, Azure OpenAI, a local OpenAI-compatible server or the offline
+-- mock) and optionally a model. Credentials stay in the ai-chat Edge
+-- Function's secrets. Every advisor request records its token usage.
+
+-- ============================================================================
+-- 1. BRAND SETTINGS
+-- ============================================================================
+
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS ai_provider TEXT NOT NULL DEFAULT 'openai'
+  CHECK (ai_provider IN ('openai', 'anthropic', 'azure', 'local', 'mock'));
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS ai_model TEXT; -- NULL = provider default
+
+COMMENT ON COLUMN brands.ai_provider IS 'Model provider the AI advisor uses for this brand';
+COMMENT ON COLUMN brands.ai_model IS 'Model (Azure: deployment) override; NULL uses the provider default';
+
+-- ============================================================================
+-- 2. TOKEN USAGE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ai_usage_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID REFERENCES brands(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+
+  provider TEXT NOT NULL,
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  -- Counted by the ~4 characters per token estimate, not reported by the provider
+  estimated BOOLEAN NOT NULL DEFAULT false,
+  streamed BOOLEAN NOT NULL DEFAULT false,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_usage_logs_brand_created ON ai_usage_logs(brand_id, created_at DESC);
+CREATE INDEX idx_ai_usage_logs_user ON ai_usage_logs(user_id);
+
+-- ============================================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE ai_usage_logs ENABLE ROW LEVEL SECURITY;
+
+-- Rows are written by the ai-chat Edge Function with the service role
+CREATE POLICY ai_usage_logs_view_brand ON ai_usage_logs
+  FOR SELECT
+  USING (brand_id = current_brand_id() OR user_id = auth.uid());
+
+COMMENT ON TABLE ai_usage_logs IS 'Token usage of each AI advisor request';
@@ -0,0 +1,87 @@
+-- Migration 020: AI Advisor Conversations
+-- Conversations with the business advisor are kept per user and brand, with
+-- the branch (and page context) they started in so a resumed conversation
+-- keeps looking at the same numbers. An assistant answer can be pinned as
+-- an insights row, which the Dashboard lists with the other insights.
+
+-- ============================================================================
+-- 1. CONVERSATIONS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ai_conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  brand_id UUID NOT NULL REFERENCES brands(id) ON DELETE CASCADE DEFAULT current_brand_id(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE DEFAULT auth.uid(),
+  branch_id UUID REFERENCES branches(id) ON DELETE SET NULL, -- NULL = all branches
+
+  title TEXT NOT NULL DEFAULT 'New conversation',
+  context JSONB DEFAULT '{}', -- page context the conversation started from
+
+  last_message_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_conversations_user ON ai_conversations(user_id, brand_id, last_message_at DESC);
+
+CREATE TRIGGER update_ai_conversations_updated_at BEFORE UPDATE ON ai_conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. MESSAGES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ai_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES ai_conversations(id) ON DELETE CASCADE,
+
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  is_error BOOLEAN NOT NULL DEFAULT false,
+  usage JSONB, -- token usage reported for an assistant answer
+
+  -- Set while the answer is pinned to the Dashboard
+  insight_id UUID REFERENCES insights(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_messages_conversation ON ai_messages(conversation_id, created_at);
+
+-- Keep conversations ordered by their latest message
+CREATE OR REPLACE FUNCTION touch_ai_conversation()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE ai_conversations SET last_message_at = NEW.created_at WHERE id = NEW.conversation_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER touch_ai_conversation_on_message AFTER INSERT ON ai_messages
+  FOR EACH ROW EXECUTE FUNCTION touch_ai_conversation();
+
+-- ============================================================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================================================
+
+ALTER TABLE ai_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY ai_conversations_manage_own ON ai_conversations
+  FOR ALL
+  USING (user_id = auth.uid() AND brand_id = current_brand_id())
+  WITH CHECK (user_id = auth.uid() AND brand_id = current_brand_id());
+
+CREATE POLICY ai_messages_manage_own ON ai_messages
+  FOR ALL
+  USING (EXISTS (
+    SELECT 1 FROM ai_conversations c
+    WHERE c.id = ai_messages.conversation_id AND c.user_id = auth.uid() AND c.brand_id = current_brand_id()
+  ))
+  WITH CHECK (EXISTS (
+    SELECT 1 FROM ai_conversations c
+    WHERE c.id = ai_messages.conversation_id AND c.user_id = auth.uid() AND c.brand_id = current_brand_id()
+  ));
+
+COMMENT ON TABLE ai_conversations IS 'Business advisor conversations of a user within their brand';
+COMMENT ON TABLE ai_messages IS 'Turns of an advisor conversation';
+COMMENT ON COLUMN ai_messages.insight_id IS 'Insight the answer is pinned as, shown on the Dashboard';
@@ -0,0 +1,47 @@
+-- Migration 021: Advisor Tools
+-- The AI advisor looks up live data through read-only tools, limited to the
+-- branches the user may access. Team members whose membership lists
+-- branch_ids only get those; owners and brand staff get every branch. The
+-- tools an answer used are kept with it so a resumed conversation shows them.
+
+-- ============================================================================
+-- 1. BRANCH ACCESS
+-- ============================================================================
+
+-- Branches of the current brand the user may access
+CREATE OR REPLACE FUNCTION current_branch_ids()
+RETURNS UUID[] AS $$
+  WITH brand AS (
+    SELECT current_brand_id() AS id
+  ),
+  membership AS (
+    SELECT tm.branch_ids
+    FROM team_members tm
+    INNER JOIN brands b ON b.user_id = tm.owner_id
+    WHERE tm.member_id = auth.uid()
+      AND tm.status = 'active'
+      AND b.id = (SELECT id FROM brand)
+      -- Brand staff are not limited by a team membership
+      AND NOT EXISTS (SELECT 1 FROM user_profiles p WHERE p.id = auth.uid() AND p.brand_id = b.id)
+    ORDER BY tm.created_at
+    LIMIT 1
+  )
+  SELECT COALESCE(array_agg(br.id), '{}')
+  FROM branches br
+  WHERE br.brand_id = (SELECT id FROM brand)
+    AND (
+      NOT EXISTS (SELECT 1 FROM membership m WHERE jsonb_array_length(COALESCE(m.branch_ids, '[]')) > 0)
+      OR br.id::TEXT IN (SELECT jsonb_array_elements_text(m.branch_ids) FROM membership m)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION current_branch_ids() TO authenticated;
+
+-- ============================================================================
+-- 2. TOOL CALLS ON ADVISOR ANSWERS
+-- ============================================================================
+
+ALTER TABLE ai_messages ADD COLUMN IF NOT EXISTS tool_calls JSONB; -- [{ id, name, label, status }]
+
+COMMENT ON FUNCTION current_branch_ids() IS 'Branches of the current brand the user may access';
+COMMENT ON COLUMN ai_messages.tool_calls IS 'Data lookups the advisor made for this answer';
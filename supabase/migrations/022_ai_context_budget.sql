@@ -0,0 +1,24 @@
+-- Migration 022: AI Advisor Context Budget
+-- Long advisor conversations are not resent in full: turns older than the
+-- recent ones are folded into a rolling summary kept on the conversation,
+-- along with the tokens and requests the conversation has used so the
+-- advisor can show what it costs against the plan's AI allowance.
+
+-- ============================================================================
+-- 1. ROLLING SUMMARY
+-- ============================================================================
+
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS summarized_count INTEGER NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- 2. USAGE TOTALS
+-- ============================================================================
+
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS input_tokens BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS output_tokens BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE ai_conversations ADD COLUMN IF NOT EXISTS ai_requests INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN ai_conversations.summary IS 'Summary of the turns no longer sent to the model';
+COMMENT ON COLUMN ai_conversations.summarized_count IS 'Leading messages, in order, that the summary covers';
+COMMENT ON COLUMN ai_conversations.ai_requests IS 'Model requests made for the conversation, summaries included';
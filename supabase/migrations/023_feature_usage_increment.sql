@@ -0,0 +1,46 @@
+-- Migration 023: Atomic Feature Usage Counting
+-- Usage counters were read, compared with the plan limit and then written
+-- back, so concurrent requests (several advisor questions at once) could
+-- overwrite each other's count and slip past the limit. The counter is now
+-- checked and created or incremented in one statement on the
+-- (user_id, feature_key, period_start) key, and callers gate on its result.
+
+-- ============================================================================
+-- 1. INCREMENT RPC
+-- ============================================================================
+
+-- Add to a user's counter for the period, creating it on first use, unless
+-- that would take it past limit_count (-1 means unlimited). Returns the
+-- updated row, or no row when the limit leaves no room. A negative
+-- increment gives usage back and is always applied. Runs as the caller:
+-- users can only read their logs, so counting is done with the service role.
+CREATE OR REPLACE FUNCTION increment_feature_usage(
+  user_uuid UUID,
+  feature TEXT,
+  increment_by INTEGER,
+  limit_count INTEGER,
+  period_from TIMESTAMPTZ,
+  period_to TIMESTAMPTZ
+)
+RETURNS SETOF feature_usage_logs AS $$
+  INSERT INTO feature_usage_logs AS f (
+    user_id, feature_key, usage_count, limit_value, period_start, period_end, period_type, is_over_limit
+  )
+  SELECT
+    user_uuid, feature, GREATEST(increment_by, 0), limit_count, period_from, period_to, 'monthly',
+    limit_count <> -1 AND increment_by >= limit_count
+  WHERE limit_count = -1 OR increment_by <= limit_count
+  ON CONFLICT (user_id, feature_key, period_start) DO UPDATE
+  SET usage_count = GREATEST(f.usage_count + increment_by, 0),
+      limit_value = EXCLUDED.limit_value,
+      is_over_limit = EXCLUDED.limit_value <> -1 AND f.usage_count + increment_by >= EXCLUDED.limit_value,
+      last_checked_at = NOW()
+  WHERE EXCLUDED.limit_value = -1
+    OR increment_by <= 0
+    OR f.usage_count + increment_by <= EXCLUDED.limit_value
+  RETURNING *;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION increment_feature_usage(UUID, TEXT, INTEGER, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ) TO authenticated, service_role;
+
+COMMENT ON FUNCTION increment_feature_usage IS 'Atomically add to a user''s monthly feature usage counter within the plan limit';
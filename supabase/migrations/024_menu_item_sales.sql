@@ -0,0 +1,69 @@
+-- Migration 024: Menu Item Sales
+-- Menu engineering fetched every sold order line in its window and rolled
+-- them up in the browser, so busy months ran past the API row cap and lost
+-- lines. Sales are now rolled up per menu item on the server, with the
+-- product's price, cost and category, net of refunded units and amounts,
+-- and converted to the reporting currency like the other sales RPCs.
+
+-- ============================================================================
+-- 1. MENU ITEM SALES
+-- ============================================================================
+
+-- One row per menu item sold in the window (completed and refunded orders).
+-- Revenue, price and cost are converted from each branch's currency at the
+-- rate of the business day; price and cost are averaged over the units
+-- sold. Without a target currency amounts stay in branch currencies. Lines
+-- whose product was deleted are grouped by the name they were sold under.
+CREATE OR REPLACE FUNCTION get_menu_item_sales(
+  start_date DATE DEFAULT NULL,
+  end_date DATE DEFAULT NULL,
+  branch_uuids UUID[] DEFAULT NULL,
+  target_currency TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id UUID,
+  product_name TEXT,
+  category_id UUID,
+  category_name TEXT,
+  list_price DECIMAL,
+  cost DECIMAL,
+  quantity BIGINT,
+  revenue DECIMAL,
+  missing_rate BOOLEAN
+) AS $$
+  SELECT
+    oi.product_id,
+    COALESCE(MAX(p.name), MAX(oi.product_name)) AS product_name,
+    p.category_id,
+    MAX(c.name) AS category_name,
+    SUM(oi.quantity * p.price * COALESCE(x.rate, 1)) / NULLIF(SUM(oi.quantity), 0) AS list_price,
+    SUM(oi.quantity * p.cost * COALESCE(x.rate, 1)) / NULLIF(SUM(oi.quantity), 0) AS cost,
+    SUM(oi.quantity - ref.quantity)::BIGINT AS quantity,
+    SUM((oi.subtotal - ref.amount) * COALESCE(x.rate, 1)) AS revenue,
+    BOOL_OR(target_currency IS NOT NULL AND x.rate IS NULL) AS missing_rate
+  FROM order_items oi
+  INNER JOIN orders o ON o.id = oi.order_id
+  INNER JOIN branches br ON br.id = o.branch_id
+  LEFT JOIN products p ON p.id = oi.product_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(SUM(ri.quantity), 0) AS quantity, COALESCE(SUM(ri.amount), 0) AS amount
+    FROM order_refund_items ri
+    WHERE ri.order_item_id = oi.id
+  ) ref ON true
+  LEFT JOIN LATERAL (
+    SELECT CASE
+      WHEN target_currency IS NULL THEN 1
+      ELSE exchange_rate_at(br.brand_id, br.currency, target_currency, o.business_date)
+    END AS rate
+  ) x ON true
+  WHERE o.status IN ('completed', 'refunded')
+    AND (start_date IS NULL OR o.business_date >= start_date)
+    AND (end_date IS NULL OR o.business_date <= end_date)
+    AND (branch_uuids IS NULL OR o.branch_id = ANY(branch_uuids))
+  GROUP BY oi.product_id, p.category_id, CASE WHEN oi.product_id IS NULL THEN oi.product_name END;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_menu_item_sales(DATE, DATE, UUID[], TEXT) TO authenticated;
+
+COMMENT ON FUNCTION get_menu_item_sales IS 'Per-item quantity and revenue net of refunds, with price, cost and category in a target currency, for menu engineering';